@@ -0,0 +1,111 @@
+// backend/scripts/migrateSuppressions.js
+// Backfill de la colección Suppression desde el estado legacy de Customer
+// (emailStatus bounced/complained/unsubscribed y bounceInfo.isBounced).
+// Idempotente: no pisa entradas existentes.
+require('dotenv').config();
+const mongoose = require('mongoose');
+const Customer = require('../src/models/Customer');
+const Suppression = require('../src/models/Suppression');
+const suppressionService = require('../src/services/suppressionService');
+
+async function migrateSuppressions() {
+  try {
+    await mongoose.connect(process.env.MONGODB_URI);
+    console.log('✅ Conectado a MongoDB\n');
+
+    console.log('🔄 MIGRACIÓN A SUPPRESSION LIST');
+    console.log('═'.repeat(60));
+
+    const query = {
+      $or: [
+        { emailStatus: { $in: ['bounced', 'complained', 'unsubscribed'] } },
+        { 'bounceInfo.isBounced': true }
+      ]
+    };
+
+    const total = await Customer.countDocuments(query);
+    console.log(`📊 Customers suprimidos (legacy): ${total.toLocaleString()}`);
+
+    if (total === 0) {
+      console.log('✅ Nada que migrar\n');
+      return;
+    }
+
+    const startTime = Date.now();
+    const cursor = Customer.find(query)
+      .select('email emailStatus bounceInfo unsubscribeReason')
+      .lean()
+      .cursor({ batchSize: 1000 });
+
+    let operations = [];
+    let processed = 0;
+    let added = 0;
+
+    const flush = async () => {
+      if (operations.length === 0) return;
+      const result = await Suppression.bulkWrite(operations, { ordered: false });
+      added += result.upsertedCount || 0;
+      operations = [];
+    };
+
+    for await (const customer of cursor) {
+      processed++;
+
+      const target = suppressionService.parseTarget({ email: customer.email });
+      if (!target) continue;
+
+      const reason = suppressionService.legacyReason(customer);
+
+      operations.push({
+        updateOne: {
+          filter: target,
+          update: {
+            $setOnInsert: {
+              ...target,
+              reason,
+              source: 'migration',
+              customer: customer._id,
+              campaign: customer.bounceInfo?.bouncedCampaignId || undefined,
+              notes: customer.bounceInfo?.bounceReason || customer.unsubscribeReason || undefined,
+              expiresAt: null
+            }
+          },
+          upsert: true
+        }
+      });
+
+      if (operations.length >= 1000) {
+        await flush();
+        console.log(`  [${((processed / total) * 100).toFixed(1)}%] ${processed.toLocaleString()} / ${total.toLocaleString()}`);
+      }
+    }
+
+    await flush();
+
+    const totalTime = ((Date.now() - startTime) / 1000).toFixed(1);
+
+    console.log('\n╔═══════════════════════════════════════════╗');
+    console.log('║  ✅ MIGRACIÓN COMPLETADA                  ║');
+    console.log('╚═══════════════════════════════════════════╝');
+    console.log(`   Customers procesados: ${processed.toLocaleString()}`);
+    console.log(`   Supresiones nuevas: ${added.toLocaleString()}`);
+    console.log(`   Tiempo total: ${totalTime}s`);
+
+    const stats = await suppressionService.getStats();
+    console.log('\n📊 Suppression list:');
+    Object.entries(stats.byReason).forEach(([reason, count]) => {
+      console.log(`   ${reason}: ${count.toLocaleString()}`);
+    });
+
+    console.log('\n✅ Migración exitosa\n');
+
+  } catch (error) {
+    console.error('❌ Error en migración:', error);
+  } finally {
+    await mongoose.connection.close();
+    console.log('👋 Desconectado de MongoDB');
+    process.exit(0);
+  }
+}
+
+migrateSuppressions();
@@ -9,12 +9,16 @@ const mongoose = require('mongoose');
 const connectDB = require('./src/config/database');
 const errorHandler = require('./src/middleware/errorHandler');
 const { apiLimiter } = require('./src/middleware/rateLimiter');
+const { checkWebhookSecrets } = require('./src/middleware/validateWebhook');
 const { closeQueue } = require('./src/jobs/emailQueue');
 
 const app = express();
 
 app.set('trust proxy', 1);
 
+// Webhooks firmados (Resend/Telnyx): en producción no arrancar sin secretos
+checkWebhookSecrets();
+
 // Conectar a MongoDB
 connectDB();
 
@@ -94,6 +98,50 @@ try {
   console.log('   ⚠️ Agent models:', e.message);
 }
 
+// 🔄 FLOW MODELS
+try {
+  require('./src/models/Flow');
+  require('./src/models/FlowExecution');
+  console.log('   ✅ Flow models loaded');
+} catch(e) {
+  console.log('   ⚠️ Flow models:', e.message);
+}
+
+// 🎯 SEGMENT MODEL
+try {
+  require('./src/models/Segment');
+  console.log('   ✅ Segment model loaded');
+} catch(e) {
+  console.log('   ⚠️ Segment model:', e.message);
+}
+
+// 🧭 MULTI-TOUCH ATTRIBUTION MODELS
+try {
+  require('./src/models/Touchpoint');
+  require('./src/models/AttributionCredit');
+  require('./src/models/AttributionConfig');
+  console.log('   ✅ Attribution models loaded');
+} catch(e) {
+  console.log('   ⚠️ Attribution models:', e.message);
+}
+
+// 🚦 FREQUENCY CAP MODELS
+try {
+  require('./src/models/ContactLog');
+  require('./src/models/FrequencyCapConfig');
+  console.log('   ✅ Frequency cap models loaded');
+} catch(e) {
+  console.log('   ⚠️ Frequency cap models:', e.message);
+}
+
+// 🛑 SUPPRESSION MODEL
+try {
+  require('./src/models/Suppression');
+  console.log('   ✅ Suppression model loaded');
+} catch(e) {
+  console.log('   ⚠️ Suppression model:', e.message);
+}
+
 console.log('📦 Models ready');
 
 // ==================== MIDDLEWARE ====================
@@ -165,11 +213,14 @@ shopifyWebhookPaths.forEach(path => {
   app.use(path, express.raw({ type: 'application/json', limit: '10mb' }));
 });
 
-// 📧 Resend webhooks (JSON body)
-app.use('/api/webhooks/resend', express.json({ limit: '10mb' }));
+// Resend y Telnyx: JSON parseado + raw body para verificar la firma
+const keepRawBody = (req, res, buf) => { req.rawBody = buf; };
 
-// 📱 Telnyx SMS webhooks (JSON body)
-app.use('/api/webhooks/telnyx', express.json({ limit: '10mb' }));
+// 📧 Resend webhooks (JSON body, firma Svix)
+app.use('/api/webhooks/resend', express.json({ limit: '10mb', verify: keepRawBody }));
+
+// 📱 Telnyx SMS webhooks (JSON body, firma Ed25519)
+app.use('/api/webhooks/telnyx', express.json({ limit: '10mb', verify: keepRawBody }));
 
 // Montar webhook routes ANTES de express.json()
 app.use('/api/webhooks', webhookRoutes);
@@ -210,6 +261,9 @@ app.get('/', (req, res) => {
     status: 'running',
     features: {
       campaigns: '✅ Email Campaigns',
+      email_ab_testing: '✅ Email A/B Testing',
+      flows: '✅ Email/SMS Automation Flows',
+      segments: '✅ Dynamic Segments',
       sms_marketing: '✅ SMS Marketing (Telnyx)',
       sms_campaigns: '✅ SMS Campaigns',
       sms_second_chance: '✅ Second Chance SMS',
@@ -223,7 +277,9 @@ app.get('/', (req, res) => {
       health: '/health',
       auth: '/api/auth',
       campaigns: '/api/campaigns',
+      flows: '/api/flows',
       lists: '/api/lists',
+      segments: '/api/segments',
       sms: '/api/sms',
       sms_campaigns: '/api/sms/campaigns',
       maximus: '/api/maximus',
@@ -242,6 +298,21 @@ app.use('/api/test', require('./src/routes/test'));
 // NOTA: webhooks ya están montados arriba ANTES de express.json()
 app.use('/api/campaigns', require('./src/routes/campaigns'));
 
+// 🔄 FLOWS (automatizaciones)
+app.use('/api/flows', require('./src/routes/flows'));
+
+// 🎯 SEGMENTS (segmentos dinámicos)
+app.use('/api/segments', require('./src/routes/segments'));
+
+// 🔁 CAMPAIGN SERIES (campañas recurrentes)
+app.use('/api/campaign-series', require('./src/routes/campaignSeries'));
+
+// 🚦 FREQUENCY CAPS (contact pressure entre canales)
+app.use('/api/frequency-caps', require('./src/routes/frequencyCaps'));
+
+// 🛑 SUPPRESSION LIST (emails y dominios, import/export CSV)
+app.use('/api/suppressions', require('./src/routes/suppressions'));
+
 // AI ANALYTICS ROUTES
 try {
   const aiRoutes = require('./src/routes/ai');
@@ -418,6 +489,11 @@ const server = app.listen(PORT, '0.0.0.0', () => {
   console.log(`🔗 MongoDB: ${mongoose.connection.readyState === 1 ? '✅ Connected' : '⏳ Connecting...'}`);
   console.log(`🍪 Cookie Parser: Enabled`);
   console.log(`🔒 Webhook Validation: ${process.env.SHOPIFY_WEBHOOK_SECRET ? '✅ Enabled' : '⚠️  Disabled'}`);
+  console.log(`🔐 Resend/Telnyx Signatures: ${
+    process.env.RESEND_WEBHOOK_SECRET || process.env.RESEND_WEBHOOK_SECRETS ? '✅ Resend' : '⚠️  Resend sin secreto (rechaza)'
+  } · ${
+    process.env.TELNYX_PUBLIC_KEY || process.env.TELNYX_PUBLIC_KEYS ? '✅ Telnyx' : '⚠️  Telnyx sin clave (rechaza)'
+  }`);
   console.log(`📧 Email Queue: ${process.env.REDIS_URL ? '✅ Redis Connected' : '⚠️  Direct Send Mode'}`);
   // Tener TELNYX_API_KEY ya no significa que los SMS salgan: la cuenta fue
   // dada de baja. Manda SMS_ENABLED, no la presencia de la key.
@@ -426,6 +502,7 @@ const server = app.listen(PORT, '0.0.0.0', () => {
       ? (process.env.TELNYX_API_KEY ? '✅ Telnyx Configured' : '⚠️  SMS_ENABLED=true pero falta TELNYX_API_KEY')
       : '⛔ DESHABILITADO (SMS_ENABLED != true) — no se intenta ningún envío'
   }`);
+  console.log(`📜 SMS Opt-in: ${process.env.SMS_DOUBLE_OPT_IN === 'true' ? '✅ Double opt-in (Reply Y)' : 'Single opt-in'} · consent ledger activo`);
   console.log(`✅ Server ready - Payload limit: 10MB`);
   console.log(`🔧 Shopify webhooks: express.raw() enabled`);
   console.log(`🔧 Telnyx webhooks: express.json() enabled`);
@@ -601,6 +678,66 @@ const server = app.listen(PORT, '0.0.0.0', () => {
     }
   }, 6500);
 
+  // 🧪 Inicializar A/B Test Winner job
+  let abTestAvailable = false;
+  setTimeout(() => {
+    console.log('\n🧪 Inicializando A/B Test Winner job...');
+    try {
+      const abTestJob = require('./src/jobs/abTestJob');
+      abTestJob.init();
+      abTestAvailable = true;
+      console.log('✅ A/B Test Winner job listo (every 5 minutes)');
+    } catch (error) {
+      abTestAvailable = false;
+      console.log('⚠️  A/B Test Winner job no disponible:', error.message);
+    }
+  }, 6600);
+
+  // 🔁 Inicializar Resend to non-openers job
+  let resendAvailable = false;
+  setTimeout(() => {
+    console.log('\n🔁 Inicializando Resend to non-openers job...');
+    try {
+      const resendJob = require('./src/jobs/resendJob');
+      resendJob.init();
+      resendAvailable = true;
+      console.log('✅ Resend to non-openers job listo (every 10 minutes)');
+    } catch (error) {
+      resendAvailable = false;
+      console.log('⚠️  Resend to non-openers job no disponible:', error.message);
+    }
+  }, 6620);
+
+  // 🌙 Inicializar SMS Campaign Queue job (quiet hours)
+  let smsQueueAvailable = false;
+  setTimeout(() => {
+    console.log('\n🌙 Inicializando SMS Campaign Queue job...');
+    try {
+      const smsCampaignQueueJob = require('./src/jobs/smsCampaignQueueJob');
+      smsCampaignQueueJob.init();
+      smsQueueAvailable = true;
+      console.log('✅ SMS Campaign Queue job listo (every minute)');
+    } catch (error) {
+      smsQueueAvailable = false;
+      console.log('⚠️  SMS Campaign Queue job no disponible:', error.message);
+    }
+  }, 6650);
+
+  // 🔄 Inicializar Flow Executor
+  let flowsAvailable = false;
+  setTimeout(() => {
+    console.log('\n🔄 Inicializando Flow Executor...');
+    try {
+      const flowQueue = require('./src/jobs/flowQueue');
+      flowQueue.init();
+      flowsAvailable = true;
+      console.log('✅ Flow Executor listo');
+    } catch (error) {
+      flowsAvailable = false;
+      console.log('⚠️  Flow Executor no disponible:', error.message);
+    }
+  }, 6750);
+
   // 🏛️ Inicializar Maximus Agent (dormant)
   let maximusAvailable = false;
   setTimeout(() => {
@@ -645,6 +782,10 @@ const server = app.listen(PORT, '0.0.0.0', () => {
     console.log(`║  Delayed Shipment:   ${delayedShipmentAvailable ? '✅ Active' : '❌ Inactive'}              ║`);
     console.log(`║  Smart Schedule:     ${smartScheduleAvailable ? '✅ Active' : '❌ Inactive'}              ║`);
     console.log(`║  📅 Scheduler:       ${schedulerAvailable ? '✅ Active' : '❌ Inactive'}              ║`);
+    console.log(`║  🧪 A/B Tests:       ${abTestAvailable ? '✅ Active' : '❌ Inactive'}              ║`);
+    console.log(`║  🔁 Resends:         ${resendAvailable ? '✅ Active' : '❌ Inactive'}              ║`);
+    console.log(`║  🌙 SMS Quiet Hours: ${smsQueueAvailable ? '✅ Active' : '❌ Inactive'}              ║`);
+    console.log(`║  🔄 Flows:           ${flowsAvailable ? '✅ Active' : '❌ Inactive'}              ║`);
     console.log(`║  🏛️ Maximus Agent:   ${maximusAvailable ? '✅ Dormant' : '❌ Inactive'}              ║`);
     console.log(`║  🔨 Vulcan Agent:    ${vulcanAvailable ? '✅ Active' : '❌ Inactive'}              ║`);
     console.log('╚════════════════════════════════════════════════╝');
@@ -698,6 +839,34 @@ const gracefulShutdown = async (signal) => {
       console.log('✅ Scheduler stopped');
     } catch (err) {}
 
+    // Stop A/B Test Winner job
+    try {
+      const abTestJob = require('./src/jobs/abTestJob');
+      abTestJob.stop();
+      console.log('✅ A/B Test job stopped');
+    } catch (err) {}
+
+    // Stop Resend to non-openers job
+    try {
+      const resendJob = require('./src/jobs/resendJob');
+      resendJob.stop();
+      console.log('✅ Resend job stopped');
+    } catch (err) {}
+
+    // Stop SMS Campaign Queue job
+    try {
+      const smsCampaignQueueJob = require('./src/jobs/smsCampaignQueueJob');
+      smsCampaignQueueJob.stop();
+      console.log('✅ SMS Campaign Queue job stopped');
+    } catch (err) {}
+
+    // Stop Flow Executor
+    try {
+      const flowQueue = require('./src/jobs/flowQueue');
+      await flowQueue.stop();
+      console.log('✅ Flow executor stopped');
+    } catch (err) {}
+
     // Stop Maximus
     try {
       const maximusJob = require('./src/jobs/maximusJob');
@@ -0,0 +1,277 @@
+// backend/src/controllers/campaignSeriesController.js
+const Campaign = require('../models/Campaign');
+const CampaignSeries = require('../models/CampaignSeries');
+const campaignSeriesService = require('../services/campaignSeriesService');
+
+// Valida leadHours. Devuelve mensaje de error o null
+function validateLeadHours(leadHours) {
+  if (leadHours === undefined) return null;
+  if (typeof leadHours !== 'number' || leadHours < 0 || leadHours > 168) {
+    return 'leadHours debe estar entre 0 y 168';
+  }
+  return null;
+}
+
+class CampaignSeriesController {
+
+  // Listar series
+  async getAll(req, res) {
+    try {
+      const { status } = req.query;
+
+      const query = {};
+      if (status) query.status = status;
+
+      const series = await CampaignSeries.find(query)
+        .populate('template', 'name subject targetType')
+        .select('-skipped')
+        .sort({ createdAt: -1 });
+
+      res.json({ series, total: series.length });
+
+    } catch (error) {
+      console.error('Error listando series:', error);
+      res.status(500).json({ error: error.message });
+    }
+  }
+
+  // Preview de la regla sin guardar: próximas fechas y cuáles caen en blackout
+  async preview(req, res) {
+    try {
+      const { recurrence, skipBlackouts = true, limit = 8 } = req.body;
+
+      const errors = campaignSeriesService.validateRecurrence(recurrence);
+      if (errors.length > 0) {
+        return res.status(400).json({ error: 'Recurrencia inválida', details: errors });
+      }
+
+      const dates = await campaignSeriesService.preview(recurrence, {
+        limit: Math.min(parseInt(limit) || 8, 52),
+        skipBlackouts,
+        after: new Date(Math.max(Date.now(), new Date(recurrence.startDate).getTime() - 1))
+      });
+
+      res.json({ dates });
+
+    } catch (error) {
+      console.error('Error en preview de serie:', error);
+      res.status(500).json({ error: error.message });
+    }
+  }
+
+  // Crear serie a partir de una campaña draft (template)
+  async create(req, res) {
+    try {
+      const { name, description, templateId, recurrence, skipBlackouts, leadHours, acknowledgeWarnings } = req.body;
+
+      if (!name || !templateId) {
+        return res.status(400).json({ error: 'name y templateId son requeridos' });
+      }
+
+      const errors = campaignSeriesService.validateRecurrence(recurrence);
+      if (errors.length > 0) {
+        return res.status(400).json({ error: 'Recurrencia inválida', details: errors });
+      }
+
+      const leadError = validateLeadHours(leadHours);
+      if (leadError) {
+        return res.status(400).json({ error: leadError });
+      }
+
+      const template = await Campaign.findById(templateId);
+      if (!template) {
+        return res.status(404).json({ error: 'Campaña template no encontrada' });
+      }
+      if (template.status !== 'draft' || template.targetType === 'resend' || template.seriesOccurrence) {
+        return res.status(400).json({ error: 'El template debe ser una campaña en borrador' });
+      }
+      if (await CampaignSeries.exists({ template: template._id })) {
+        return res.status(400).json({ error: 'La campaña ya es template de otra serie' });
+      }
+
+      const series = await campaignSeriesService.create({
+        name,
+        description,
+        template: template._id,
+        recurrence,
+        skipBlackouts,
+        leadHours,
+        acknowledgeWarnings
+      }, req.user?._id);
+
+      console.log(`🔁 Serie creada: ${series.name} (${recurrence.frequency}, next ${series.nextOccurrenceAt?.toISOString() || '-'})`);
+
+      res.status(201).json(series);
+
+    } catch (error) {
+      console.error('Error creando serie:', error);
+      res.status(500).json({ error: error.message });
+    }
+  }
+
+  // Serie + reporte combinado de sus ocurrencias
+  async getOne(req, res) {
+    try {
+      const series = await CampaignSeries.findById(req.params.id)
+        .populate('template', 'name subject targetType list segment');
+
+      if (!series) {
+        return res.status(404).json({ error: 'Serie no encontrada' });
+      }
+
+      const report = await campaignSeriesService.getReport(series);
+
+      res.json({ ...series.toObject(), report });
+
+    } catch (error) {
+      console.error('Error obteniendo serie:', error);
+      res.status(500).json({ error: error.message });
+    }
+  }
+
+  // Solo el reporte (totales + por ocurrencia + saltadas + próximas)
+  async getReport(req, res) {
+    try {
+      const series = await CampaignSeries.findById(req.params.id);
+
+      if (!series) {
+        return res.status(404).json({ error: 'Serie no encontrada' });
+      }
+
+      res.json(await campaignSeriesService.getReport(series));
+
+    } catch (error) {
+      console.error('Error obteniendo reporte de serie:', error);
+      res.status(500).json({ error: error.message });
+    }
+  }
+
+  // Actualizar config. Las ocurrencias ya creadas no cambian (se editan como campañas)
+  async update(req, res) {
+    try {
+      const series = await CampaignSeries.findById(req.params.id);
+
+      if (!series) {
+        return res.status(404).json({ error: 'Serie no encontrada' });
+      }
+
+      const { name, description, recurrence, skipBlackouts, leadHours, acknowledgeWarnings } = req.body;
+
+      if (recurrence !== undefined) {
+        const errors = campaignSeriesService.validateRecurrence(recurrence);
+        if (errors.length > 0) {
+          return res.status(400).json({ error: 'Recurrencia inválida', details: errors });
+        }
+        series.recurrence = recurrence;
+      }
+
+      const leadError = validateLeadHours(leadHours);
+      if (leadError) {
+        return res.status(400).json({ error: leadError });
+      }
+
+      if (name) series.name = name;
+      if (description !== undefined) series.description = description;
+      if (skipBlackouts !== undefined) series.skipBlackouts = !!skipBlackouts;
+      if (leadHours !== undefined) series.leadHours = leadHours;
+      if (acknowledgeWarnings !== undefined) series.acknowledgeWarnings = !!acknowledgeWarnings;
+
+      series.nextOccurrenceAt = campaignSeriesService.nextOccurrence(
+        series.recurrence,
+        series.lastOccurrenceAt || new Date()
+      );
+
+      // Una regla nueva puede reabrir una serie terminada
+      const { count } = series.recurrence;
+      const exhausted = !series.nextOccurrenceAt || (count && series.occurrencesCreated >= count);
+      if (exhausted) series.status = 'completed';
+      else if (series.status === 'completed') series.status = 'active';
+
+      await series.save();
+
+      console.log(`✅ Serie actualizada: ${series.name}`);
+
+      res.json(series);
+
+    } catch (error) {
+      console.error('Error actualizando serie:', error);
+      res.status(500).json({ error: error.message });
+    }
+  }
+
+  async pause(req, res) {
+    try {
+      const series = await CampaignSeries.findById(req.params.id);
+
+      if (!series) {
+        return res.status(404).json({ error: 'Serie no encontrada' });
+      }
+      if (series.status !== 'active') {
+        return res.status(400).json({ error: `No se puede pausar una serie ${series.status}` });
+      }
+
+      series.status = 'paused';
+      await series.save();
+
+      console.log(`⏸️  Serie pausada: ${series.name}`);
+
+      res.json({ success: true, series });
+
+    } catch (error) {
+      console.error('Error pausando serie:', error);
+      res.status(500).json({ error: error.message });
+    }
+  }
+
+  // Las fechas que pasaron durante la pausa no se envían
+  async resume(req, res) {
+    try {
+      const series = await CampaignSeries.findById(req.params.id);
+
+      if (!series) {
+        return res.status(404).json({ error: 'Serie no encontrada' });
+      }
+      if (series.status !== 'paused') {
+        return res.status(400).json({ error: `No se puede reanudar una serie ${series.status}` });
+      }
+
+      await campaignSeriesService.resume(series);
+
+      console.log(`▶️  Serie reanudada: ${series.name} (next ${series.nextOccurrenceAt?.toISOString() || '-'})`);
+
+      res.json({ success: true, series });
+
+    } catch (error) {
+      console.error('Error reanudando serie:', error);
+      res.status(500).json({ error: error.message });
+    }
+  }
+
+  // Eliminar serie: las ocurrencias programadas vuelven a borrador, las enviadas quedan
+  async delete(req, res) {
+    try {
+      const series = await CampaignSeries.findById(req.params.id);
+
+      if (!series) {
+        return res.status(404).json({ error: 'Serie no encontrada' });
+      }
+
+      const unscheduled = await Campaign.updateMany(
+        { series: series._id, seriesOccurrence: { $ne: null }, status: 'scheduled' },
+        { $set: { status: 'draft', scheduledAt: null } }
+      );
+      await Campaign.updateOne({ _id: series.template }, { $set: { series: null } });
+      await series.deleteOne();
+
+      console.log(`🗑️  Serie eliminada: ${series.name} (${unscheduled.modifiedCount} ocurrencias desprogramadas)`);
+
+      res.json({ success: true, unscheduled: unscheduled.modifiedCount });
+
+    } catch (error) {
+      console.error('Error eliminando serie:', error);
+      res.status(500).json({ error: error.message });
+    }
+  }
+}
+
+module.exports = new CampaignSeriesController();
@@ -12,223 +12,53 @@
 // ═══════════════════════════════════════════════════════════════════════════
 
 const Campaign = require('../models/Campaign');
-// Segment model removed
+const Segment = require('../models/Segment');
 const List = require('../models/List');
 const Customer = require('../models/Customer');
 const EmailSend = require('../models/EmailSend');
 const EmailEvent = require('../models/EmailEvent');
 const emailService = require('../services/emailService');
 const templateService = require('../services/templateService');
-// segmentationService removed - campaigns now use lists only
+const segmentationService = require('../services/segmentationService');
+const abTestService = require('../services/abTestService');
+const sendTimeService = require('../services/sendTimeService');
+const emailPreferenceService = require('../services/emailPreferenceService');
+const personalizationService = require('../services/personalizationService');
+const couponPoolService = require('../services/couponPoolService');
+const preflightService = require('../services/preflightService');
+const resendService = require('../services/resendService');
+const holdoutService = require('../services/holdoutService');
+const botFilterService = require('../services/botFilterService');
+const blockRenderer = require('../utils/blockRenderer');
 
-// ==================== HELPER FUNCTIONS ====================
-
-// Tracker global de índices de batch por campaña
-const batchIndexTracker = new Map();
-
-function getNextBatchIndex(campaignId) {
-  const current = batchIndexTracker.get(campaignId) || 0;
-  batchIndexTracker.set(campaignId, current + 1);
-  return current;
-}
-
-function resetBatchTracker(campaignId) {
-  batchIndexTracker.set(campaignId, 0);
-}
-
-/**
- * Timer helper para medir etapas
- */
-class StageTimer {
-  constructor(name) {
-    this.name = name;
-    this.stages = {};
-    this.current = null;
-    this.startTime = Date.now();
-  }
+// Valida la config de send-time optimization. Devuelve mensaje de error o null
+function validateSendTimeOptimization(sto) {
+  if (!sto || !sto.enabled) return null;
   
-  start(stage) {
-    if (this.current) {
-      this.end(this.current);
-    }
-    this.current = stage;
-    this.stages[stage] = { start: Date.now(), end: null, duration: null };
+  const pct = sto.controlPercentage;
+  if (pct !== undefined && (typeof pct !== 'number' || pct < 0 || pct > 50)) {
+    return 'controlPercentage debe estar entre 0 y 50';
   }
   
-  end(stage) {
-    if (this.stages[stage]) {
-      this.stages[stage].end = Date.now();
-      this.stages[stage].duration = this.stages[stage].end - this.stages[stage].start;
-    }
-    if (this.current === stage) {
-      this.current = null;
-    }
-  }
-  
-  log() {
-    const total = Date.now() - this.startTime;
-    console.log(`\n   ⏱️  ════════ TIMERS: ${this.name} ════════`);
-    Object.entries(this.stages).forEach(([stage, data]) => {
-      if (data.duration !== null) {
-        const pct = ((data.duration / total) * 100).toFixed(1);
-        console.log(`      ${stage}: ${data.duration}ms (${pct}%)`);
-      }
-    });
-    console.log(`      TOTAL: ${total}ms`);
-    console.log(`   ═══════════════════════════════════════════\n`);
-  }
+  return null;
 }
 
-/**
- * Intenta agregar UN batch a BullMQ con retry automático
- */
-async function addBatchWithRetry(batch, campaignId, batchIndex, retries = 3) {
-  const { emailQueue, generateBatchJobId } = require('../jobs/emailQueue');
+// Valida la config de {{coupon}}. Devuelve mensaje de error o null
+function validateCoupon(coupon) {
+  if (!coupon) return null;
   
-  for (let attempt = 1; attempt <= retries; attempt++) {
-    try {
-      // El worker espera { campaignId, recipients, chunkIndex }
-      await emailQueue.add('process-batch', {
-        campaignId,
-        chunkIndex: batchIndex,
-        recipients: batch
-      }, {
-        jobId: generateBatchJobId(campaignId, batchIndex),
-        priority: 1,
-        attempts: 3,
-        backoff: {
-          type: 'exponential',
-          delay: 2000
-        }
-      });
-      
-      return { success: true, count: batch.length };
-      
-    } catch (error) {
-      if (attempt === retries) {
-        console.error(`      ❌ Failed after ${retries} attempts: ${error.message}`);
-        return { success: false, count: 0, error: error.message };
-      }
-      
-      const backoff = Math.pow(2, attempt) * 1000;
-      console.log(`      ⚠️  Attempt ${attempt}/${retries} failed, retry in ${backoff}ms...`);
-      await new Promise(resolve => setTimeout(resolve, backoff));
-    }
+  const { percentOff, expirationDays, prefix } = coupon;
+  if (percentOff !== undefined && (typeof percentOff !== 'number' || percentOff < 1 || percentOff > 100)) {
+    return 'coupon.percentOff debe estar entre 1 y 100';
   }
-}
-
-/**
- * Encola jobs en batches con retry
- */
-async function enqueueBulkWithRetry(jobs, campaignId, batchSize = 100) {
-  const results = {
-    total: jobs.length,
-    enqueued: 0,
-    failed: 0,
-    batches: 0,
-    errors: []
-  };
-  
-  const totalBatches = Math.ceil(jobs.length / batchSize);
-  
-  console.log(`\n   🔄 ════════ ENCOLANDO CON RETRY ════════`);
-  console.log(`      Total emails: ${jobs.length.toLocaleString()}`);
-  console.log(`      Batch size: ${batchSize}`);
-  console.log(`      Total batches: ${totalBatches}`);
-  console.log(`   ═══════════════════════════════════════\n`);
-  
-  for (let i = 0; i < jobs.length; i += batchSize) {
-    const batch = jobs.slice(i, i + batchSize);
-    const batchIndex = getNextBatchIndex(campaignId);
-    const batchNum = Math.floor(i / batchSize) + 1;
-    
-    if (batchNum === 1 || batchNum % 10 === 0 || batchNum === totalBatches) {
-      console.log(`   📦 Batch ${batchNum}/${totalBatches} (${batch.length} emails, idx=${batchIndex})...`);
-    }
-    
-    const result = await addBatchWithRetry(batch, campaignId, batchIndex, 3);
-    
-    if (result.success) {
-      results.enqueued += result.count;
-      results.batches++;
-    } else {
-      results.failed += batch.length;
-      results.errors.push({
-        batch: batchNum,
-        count: batch.length,
-        error: result.error
-      });
-      console.log(`      ❌ Batch ${batchNum} falló: ${result.error}`);
-    }
-    
-    // Delay entre batches para no saturar Redis
-    if (i + batchSize < jobs.length) {
-      await new Promise(resolve => setTimeout(resolve, 50));
-    }
+  if (expirationDays !== undefined && (typeof expirationDays !== 'number' || expirationDays < 1 || expirationDays > 365)) {
+    return 'coupon.expirationDays debe estar entre 1 y 365';
   }
-  
-  console.log(`\n   ✅ ════════ ENCOLADO COMPLETO ═════════`);
-  console.log(`      Total: ${results.total.toLocaleString()}`);
-  console.log(`      ✅ Exitosos: ${results.enqueued.toLocaleString()}`);
-  console.log(`      ❌ Fallidos: ${results.failed.toLocaleString()}`);
-  console.log(`      📦 Batches OK: ${results.batches}/${totalBatches}`);
-  
-  if (results.errors.length > 0) {
-    console.log(`      ⚠️  Batches fallidos: ${results.errors.map(e => e.batch).join(', ')}`);
+  if (prefix !== undefined && !/^[A-Za-z0-9]{2,10}$/.test(prefix)) {
+    return 'coupon.prefix debe tener 2-10 letras o números';
   }
-  console.log(`   ═══════════════════════════════════════\n`);
   
-  return results;
-}
-
-// ==================== ADAPTIVE CONFIGURATION ====================
-
-/**
- * Configuración dinámica según tamaño de campaña
- * NOTA: concurrency es FIJA, solo ajustamos delays
- */
-function getOptimalConfig(totalEmails) {
-  // Con 10 req/s y batch de 100 emails:
-  // Throughput máximo teórico: 1000 emails/s
-  // Throughput realista: 500-800 emails/s
-  
-  if (totalEmails < 5000) {
-    return {
-      name: 'FAST',
-      cursorBatch: 1000,
-      bulkWriteBatch: 1000,
-      enqueueChunk: 5000,
-      delayBetweenBatches: 50,
-      description: 'Campañas pequeñas: máxima velocidad'
-    };
-  } else if (totalEmails < 50000) {
-    return {
-      name: 'BALANCED',
-      cursorBatch: 500,
-      bulkWriteBatch: 500,
-      enqueueChunk: 3000,
-      delayBetweenBatches: 75,
-      description: 'Campañas medianas: balance velocidad/estabilidad'
-    };
-  } else if (totalEmails < 200000) {
-    return {
-      name: 'STABLE',
-      cursorBatch: 300,
-      bulkWriteBatch: 300,
-      enqueueChunk: 2000,
-      delayBetweenBatches: 100,
-      description: 'Campañas grandes: prioridad estabilidad'
-    };
-  } else {
-    return {
-      name: 'ULTRA_STABLE',
-      cursorBatch: 200,
-      bulkWriteBatch: 200,
-      enqueueChunk: 1000,
-      delayBetweenBatches: 150,
-      description: 'Campañas masivas: máxima estabilidad'
-    };
-  }
+  return null;
 }
 
 class CampaignsController {
@@ -242,11 +72,24 @@ class CampaignsController {
     this.delete = this.delete.bind(this);
     this.duplicate = this.duplicate.bind(this);
     this.send = this.send.bind(this);
+    this.preflight = this.preflight.bind(this);
+    this.schedule = this.schedule.bind(this);
+    this.unschedule = this.unschedule.bind(this);
     this.sendTestEmail = this.sendTestEmail.bind(this);
     this.getStats = this.getStats.bind(this);
+    this.selectAbWinner = this.selectAbWinner.bind(this);
+    this.setFrequencyCapExempt = this.setFrequencyCapExempt.bind(this);
+    this.getCoupons = this.getCoupons.bind(this);
+    this.generateCoupons = this.generateCoupons.bind(this);
+    this.getResend = this.getResend.bind(this);
+    this.updateResend = this.updateResend.bind(this);
+    this.getIncrementality = this.getIncrementality.bind(this);
     this.getEvents = this.getEvents.bind(this);
     this.getAnalytics = this.getAnalytics.bind(this);
     this.createFromTemplate = this.createFromTemplate.bind(this);
+    this.validateTemplate = this.validateTemplate.bind(this);
+    this.getBlockTypes = this.getBlockTypes.bind(this);
+    this.previewBlocks = this.previewBlocks.bind(this);
     this.cleanupDrafts = this.cleanupDrafts.bind(this);
     this.healthCheck = this.healthCheck.bind(this);
     this.getQueueStatus = this.getQueueStatus.bind(this);
@@ -273,6 +116,7 @@ class CampaignsController {
       
       const campaigns = await Campaign.find(query)
                 .populate('list', 'name memberCount')
+                .populate('segment', 'name customerCount')
         .sort({ createdAt: -1 })
         .limit(limit * 1)
         .skip((page - 1) * limit);
@@ -295,7 +139,8 @@ class CampaignsController {
   async getOne(req, res) {
     try {
       const campaign = await Campaign.findById(req.params.id)
-                .populate('list');
+                .populate('list')
+                .populate('segment', 'name description customerCount rules conditions');
       
       if (!campaign) {
         return res.status(404).json({ error: 'Campaña no encontrada' });
@@ -324,9 +169,72 @@ class CampaignsController {
         replyTo,
         scheduledAt,
         tags,
-        templateBlocks
+        templateBlocks,
+        abTest,
+        sendTimeOptimization,
+        topic,
+        coupon,
+        resend,
+        holdout
       } = req.body;
       
+      const abTestErrors = abTestService.validateConfig(abTest);
+      if (abTestErrors.length > 0) {
+        return res.status(400).json({ error: 'A/B test inválido', details: abTestErrors });
+      }
+      
+      const stoError = validateSendTimeOptimization(sendTimeOptimization);
+      if (stoError) {
+        return res.status(400).json({ error: stoError });
+      }
+      
+      const couponError = validateCoupon(coupon);
+      if (couponError) {
+        return res.status(400).json({ error: couponError });
+      }
+      
+      const resendErrors = resendService.validateConfig(resend);
+      if (resendErrors.length > 0) {
+        return res.status(400).json({ error: 'Resend inválido', details: resendErrors });
+      }
+      
+      const holdoutError = holdoutService.validateConfig(holdout);
+      if (holdoutError) {
+        return res.status(400).json({ error: holdoutError });
+      }
+      
+      // Las campañas de resend las crea resendJob a partir de la original
+      if (targetType === 'resend') {
+        return res.status(400).json({ error: 'targetType "resend" es solo para follow-ups automáticos' });
+      }
+      
+      if (topic !== undefined && !emailPreferenceService.isValidTopic(topic)) {
+        return res.status(400).json({ error: `Topic inválido: ${topic}` });
+      }
+      
+      // Email builder: los bloques generan htmlContent/textContent (Campaign pre-validate)
+      let rendered = null;
+      if (templateBlocks?.length > 0) {
+        const blockErrors = blockRenderer.validate(templateBlocks);
+        if (blockErrors.length > 0) {
+          return res.status(400).json({ error: 'Bloques inválidos', details: blockErrors });
+        }
+        rendered = blockRenderer.render(templateBlocks, { title: subject });
+      }
+      
+      // Sintaxis y partials bloquean; variables desconocidas quedan como warning
+      const templateCheck = await personalizationService.validate(
+        personalizationService.campaignSources({
+          htmlContent: rendered?.html || htmlContent,
+          textContent: rendered?.text,
+          previewText,
+          abTest
+        })
+      );
+      if (!templateCheck.valid) {
+        return res.status(400).json({ error: 'Template inválido', details: templateCheck.errors });
+      }
+      
       let totalRecipients = 0;
       
       if (targetType === 'segment') {
@@ -337,7 +245,8 @@ class CampaignsController {
         if (!segment) {
           return res.status(404).json({ error: 'Segmento no encontrado' });
         }
-        totalRecipients = segment.customerCount;
+        // Estimado: la membresía real se evalúa al enviar
+        totalRecipients = await segmentationService.recalculate(segment);
       } else if (targetType === 'list') {
         if (!listId) {
           return res.status(400).json({ error: 'Debes seleccionar una lista' });
@@ -362,11 +271,38 @@ class CampaignsController {
         replyTo,
         scheduledAt: scheduledAt ? new Date(scheduledAt) : null,
         tags,
+        topic,
         templateBlocks: templateBlocks || [],
+        templateValidation: {
+          valid: true,
+          errors: [],
+          unknownVariables: templateCheck.unknownVariables,
+          checkedAt: new Date()
+        },
+        abTest: abTest?.enabled ? abTest : undefined,
+        sendTimeOptimization: sendTimeOptimization?.enabled ? {
+          enabled: true,
+          controlPercentage: sendTimeOptimization.controlPercentage
+        } : undefined,
+        coupon: coupon ? {
+          percentOff: coupon.percentOff,
+          expirationDays: coupon.expirationDays,
+          prefix: coupon.prefix
+        } : undefined,
+        resend: resend?.enabled ? {
+          enabled: true,
+          subject: resend.subject,
+          previewText: resend.previewText,
+          delayHours: resend.delayHours
+        } : undefined,
+        holdout: holdoutService.buildConfig(holdout),
         'stats.totalRecipients': totalRecipients
       });
       
       console.log(`✅ Campaña creada: ${name} (${targetType})`);
+      if (templateCheck.unknownVariables.length > 0) {
+        console.log(`   ⚠️ Variables desconocidas: ${templateCheck.unknownVariables.join(', ')}`);
+      }
       
       res.status(201).json(campaign);
       
@@ -403,9 +339,79 @@ class CampaignsController {
         replyTo,
         scheduledAt,
         tags,
-        templateBlocks
+        templateBlocks,
+        abTest,
+        sendTimeOptimization,
+        topic,
+        coupon,
+        resend,
+        holdout
       } = req.body;
       
+      if (sendTimeOptimization !== undefined) {
+        const stoError = validateSendTimeOptimization(sendTimeOptimization);
+        if (stoError) {
+          return res.status(400).json({ error: stoError });
+        }
+        campaign.sendTimeOptimization = {
+          enabled: !!sendTimeOptimization?.enabled,
+          controlPercentage: sendTimeOptimization?.controlPercentage ?? 10
+        };
+      }
+      
+      if (abTest !== undefined) {
+        const abTestErrors = abTestService.validateConfig(abTest);
+        if (abTestErrors.length > 0) {
+          return res.status(400).json({ error: 'A/B test inválido', details: abTestErrors });
+        }
+        campaign.abTest = abTest?.enabled ? abTest : { enabled: false, variants: [] };
+      }
+      
+      if (coupon !== undefined) {
+        const couponError = validateCoupon(coupon);
+        if (couponError) {
+          return res.status(400).json({ error: couponError });
+        }
+        // El price rule ya existe en Shopify: el descuento y la expiración quedan fijos
+        if (campaign.coupon?.priceRuleId &&
+            ((coupon?.percentOff !== undefined && coupon.percentOff !== campaign.coupon.percentOff) ||
+             (coupon?.expirationDays !== undefined && coupon.expirationDays !== campaign.coupon.expirationDays))) {
+          return res.status(400).json({ error: 'El pool de cupones ya fue generado: no se puede cambiar el descuento' });
+        }
+        if (coupon?.percentOff !== undefined) campaign.coupon.percentOff = coupon.percentOff;
+        if (coupon?.expirationDays !== undefined) campaign.coupon.expirationDays = coupon.expirationDays;
+        if (coupon?.prefix !== undefined) campaign.coupon.prefix = coupon.prefix;
+      }
+      
+      if (resend !== undefined) {
+        const resendErrors = resendService.validateConfig(resend);
+        if (resendErrors.length > 0) {
+          return res.status(400).json({ error: 'Resend inválido', details: resendErrors });
+        }
+        campaign.resend = {
+          enabled: !!resend?.enabled,
+          subject: resend?.subject,
+          previewText: resend?.previewText,
+          delayHours: resend?.delayHours ?? 48
+        };
+      }
+      
+      if (holdout !== undefined) {
+        const holdoutError = holdoutService.validateConfig(holdout);
+        if (holdoutError) {
+          return res.status(400).json({ error: holdoutError });
+        }
+        campaign.holdout.percentage = holdout?.percentage || 0;
+        if (holdout?.windowDays) campaign.holdout.windowDays = holdout.windowDays;
+      }
+      
+      if (topic !== undefined) {
+        if (!emailPreferenceService.isValidTopic(topic)) {
+          return res.status(400).json({ error: `Topic inválido: ${topic}` });
+        }
+        campaign.topic = topic;
+      }
+      
       if (name) campaign.name = name;
       if (subject) campaign.subject = subject;
       if (htmlContent) campaign.htmlContent = htmlContent;
@@ -415,7 +421,25 @@ class CampaignsController {
       if (replyTo !== undefined) campaign.replyTo = replyTo;
       if (scheduledAt !== undefined) campaign.scheduledAt = scheduledAt ? new Date(scheduledAt) : null;
       if (tags) campaign.tags = tags;
-      if (templateBlocks) campaign.templateBlocks = templateBlocks;
+      if (templateBlocks) {
+        const blockErrors = blockRenderer.validate(templateBlocks);
+        if (blockErrors.length > 0) {
+          return res.status(400).json({ error: 'Bloques inválidos', details: blockErrors });
+        }
+        campaign.templateBlocks = templateBlocks;
+        if (templateBlocks.length > 0) campaign.renderBlocks();
+      }
+      
+      if (htmlContent || templateBlocks || previewText !== undefined || abTest !== undefined) {
+        const templateCheck = await personalizationService.validateCampaign(campaign);
+        if (!templateCheck.valid) {
+          return res.status(400).json({ error: 'Template inválido', details: templateCheck.errors });
+        }
+      }
+      
+      if (targetType === 'resend' && campaign.targetType !== 'resend') {
+        return res.status(400).json({ error: 'targetType "resend" es solo para follow-ups automáticos' });
+      }
       
       if (targetType) {
         campaign.targetType = targetType;
@@ -428,7 +452,7 @@ class CampaignsController {
             }
             campaign.segment = segmentId;
             campaign.list = null;
-            campaign.stats.totalRecipients = segment.customerCount;
+            campaign.stats.totalRecipients = await segmentationService.recalculate(segment);
           }
         } else if (targetType === 'list') {
           if (listId && listId !== campaign.list?.toString()) {
@@ -492,6 +516,11 @@ class CampaignsController {
         return res.status(404).json({ error: 'Campaña no encontrada' });
       }
       
+      // La audiencia de un resend depende de su original: se duplica la original
+      if (original.targetType === 'resend') {
+        return res.status(400).json({ error: 'Un resend no se puede duplicar, duplica la campaña original' });
+      }
+      
       const duplicate = await Campaign.create({
         name: `${original.name} (Copia)`,
         subject: original.subject,
@@ -504,7 +533,40 @@ class CampaignsController {
         fromEmail: original.fromEmail,
         replyTo: original.replyTo,
         tags: original.tags,
+        topic: original.topic,
         templateBlocks: original.templateBlocks || [],
+        textContent: original.textContent,
+        templateValidation: original.templateValidation,
+        abTest: original.abTest?.enabled ? {
+          enabled: true,
+          variants: original.abTest.variants.map(v => ({
+            key: v.key,
+            subject: v.subject,
+            previewText: v.previewText,
+            fromName: v.fromName,
+            htmlContent: v.htmlContent
+          })),
+          testPercentage: original.abTest.testPercentage,
+          waitHours: original.abTest.waitHours,
+          winnerMetric: original.abTest.winnerMetric
+        } : undefined,
+        sendTimeOptimization: original.sendTimeOptimization?.enabled ? {
+          enabled: true,
+          controlPercentage: original.sendTimeOptimization.controlPercentage
+        } : undefined,
+        // Solo la config: la copia genera su propio price rule y pool
+        coupon: original.coupon?.percentOff ? {
+          percentOff: original.coupon.percentOff,
+          expirationDays: original.coupon.expirationDays,
+          prefix: original.coupon.prefix
+        } : undefined,
+        resend: original.resend?.enabled ? {
+          enabled: true,
+          subject: original.resend.subject,
+          previewText: original.resend.previewText,
+          delayHours: original.resend.delayHours
+        } : undefined,
+        holdout: holdoutService.buildConfig(original.holdout),
         status: 'draft'
       });
       
@@ -539,64 +601,32 @@ class CampaignsController {
       console.log(`║  📧 ENVIANDO: ${campaign.name.substring(0, 35).padEnd(35)} ║`);
       console.log('╚════════════════════════════════════════════════╝\n');
       
-      const { testMode = false, testEmail = null } = req.body;
+      const { testMode = false, testEmail = null, variant = null, acknowledgeWarnings = false } = req.body;
       
       // ==================== MODO TEST ====================
       if (testMode && testEmail) {
-        return await this.sendTestEmail(campaign, testEmail, res);
+        return await this.sendTestEmail(campaign, testEmail, res, variant);
       }
       
       // ==================== MODO PRODUCCIÓN ====================
-      const { isAvailable, generateJobId } = require('../jobs/emailQueue');
+      // Misma lógica que el scheduler: campaignSendService resuelve la
+      // audiencia (lista o segmento evaluado ahora) y prepara en background
+      const { sendCampaign } = require('../services/campaignSendService');
       
-      if (!isAvailable()) {
-        return res.status(400).json({
-          error: 'Redis no disponible',
-          message: 'Configura REDIS_URL (Upstash) para envíos masivos'
-        });
-      }
-      
-      const timer = new StageTimer(campaign.name);
-      timer.start('count_recipients');
-      
-      // ========== PASO 1: Contar destinatarios ==========
-      let totalRecipients = 0;
-      
-      if (campaign.targetType === 'list') {
-        const list = await List.findById(campaign.list._id).select('members');
-        totalRecipients = list?.members?.length || 0;
-      } else {
-        totalRecipients = 0;
-      }
-      
-      timer.end('count_recipients');
+      const result = await sendCampaign(campaign._id, {
+        acknowledgeWarnings,
+        acknowledgedBy: req.user?.email
+      });
       
-      if (totalRecipients === 0) {
-        return res.status(400).json({ 
-          error: campaign.targetType === 'list' 
-            ? 'La lista no tiene miembros' 
-            : 'El segmento no tiene clientes' 
+      if (!result.success) {
+        return res.status(400).json({
+          error: result.error,
+          requiresAcknowledgement: result.requiresAcknowledgement,
+          preflight: result.preflight
         });
       }
       
-      console.log(`👥 Total destinatarios (estimado): ${totalRecipients.toLocaleString()}`);
-      
-      // Configuración adaptativa
-      const config = getOptimalConfig(totalRecipients);
-      console.log(`⚙️  Modo seleccionado: ${config.name}`);
-      console.log(`   ${config.description}`);
-      console.log(`   Batch sizes: cursor=${config.cursorBatch}, bulk=${config.bulkWriteBatch}`);
-      
-      // ========== PASO 2: Cambiar estado a "preparing" ==========
-      campaign.status = 'preparing';
-      campaign.stats.totalRecipients = totalRecipients;
-      campaign.stats.sent = 0;
-      campaign.stats.delivered = 0;
-      campaign.stats.failed = 0;
-      campaign.stats.skipped = 0;
-      await campaign.save();
-      
-      // ========== PASO 3: Responder inmediatamente ==========
+      const totalRecipients = result.totalRecipients;
       const estimatedSeconds = Math.ceil(totalRecipients / 600);
       const estimatedMinutes = Math.ceil(estimatedSeconds / 60);
       
@@ -605,335 +635,27 @@ class CampaignsController {
         campaign: {
           _id: campaign._id,
           name: campaign.name,
-          status: 'preparing',
-          stats: campaign.stats
+          status: 'preparing'
         },
         queue: {
           totalEmails: totalRecipients,
           processing: true,
-          mode: config.name,
           estimatedTime: estimatedMinutes > 1 
             ? `${estimatedMinutes} minutos` 
             : `${estimatedSeconds} segundos`,
-          message: `Preparando ${totalRecipients.toLocaleString()} emails en modo ${config.name}...`,
+          message: `Preparando ${totalRecipients.toLocaleString()} emails...`,
           checkStatusAt: `/api/campaigns/${campaign._id}/stats`
-        }
-      });
-      
-      // ========== PASO 4: Procesar en background ==========
-      const campaignId = campaign._id.toString();
-      const htmlTemplate = campaign.htmlContent;
-      const subject = campaign.subject;
-      const fromName = campaign.fromName;
-      const fromEmail = campaign.fromEmail;
-      const replyTo = campaign.replyTo;
-      const targetType = campaign.targetType;
-      const listId = campaign.list?._id;
-      const segmentConditions = campaign.segment?.conditions;
-      
-      setImmediate(async () => {
-        console.log('╔════════════════════════════════════════════════╗');
-        console.log('║  📥 BACKGROUND - PREPARACIÓN OPTIMIZADA v2.1   ║');
-        console.log('╚════════════════════════════════════════════════╝');
-        console.log(`   Modo: ${config.name}`);
-        console.log(`   Cambios: Bulk claim, Estados, Debounce, Timers, Fix duplicados`);
-        console.log('════════════════════════════════════════════════\n');
-        
-        // Resetear tracker de batches
-        resetBatchTracker(campaignId);
-        
-        // Configuración
-        const CURSOR_BATCH_SIZE = config.cursorBatch;
-        const BULK_WRITE_BATCH = config.bulkWriteBatch;
-        const ENQUEUE_CHUNK_SIZE = config.enqueueChunk;
-        
-        let processedCount = 0;
-        let createdEmailSends = 0;
-        let skippedDuplicates = 0;
-        let bulkWriteCount = 0;
-        
-        // Arrays temporales
-        let tempRecipients = [];
-        let bulkOperations = [];
-        const seenEmails = new Set();
-        
-        try {
-          timer.start('create_cursor');
-          
-          // ========== CREAR CURSOR SEGÚN TIPO ==========
-          let cursor;
-          
-          if (targetType === 'list') {
-            const list = await List.findById(listId).select('members');
-            const memberIds = list?.members || [];
-            
-            cursor = Customer
-              .find({ _id: { $in: memberIds } })
-              .select('email firstName lastName _id')
-              .lean()
-              .cursor({ batchSize: CURSOR_BATCH_SIZE });
-              
-          } else {
-            // Segments removed - lists only
-            cursor = null;
-          }
-          
-          timer.end('create_cursor');
-          timer.start('process_customers');
-          
-          console.log('🔄 Procesando clientes...\n');
-          
-          // ========== ITERAR CON CURSOR + BATCH WRITES ==========
-          for await (const customer of cursor) {
-            processedCount++;
-            
-            // Normalización
-            const normalizedEmail = customer.email.toLowerCase().trim();
-            
-            // Deduplicación en memoria
-            const emailKey = `${campaignId}:${normalizedEmail}`;
-            if (seenEmails.has(emailKey)) {
-              skippedDuplicates++;
-              continue;
-            }
-            seenEmails.add(emailKey);
-            
-            // Generar jobId
-            const jobId = generateJobId(campaignId, normalizedEmail);
-            
-            // DEBUG: Solo primer email
-            if (processedCount === 1) {
-              console.log(`🔍 ════════ VERIFICACIÓN ════════`);
-              console.log(`   Email: "${normalizedEmail}"`);
-              console.log(`   JobId: ${jobId}`);
-              console.log(`════════════════════════════════\n`);
-            }
-            
-            // ✅ CAMBIO #4: Fix upsert - usar $setOnInsert para campos requeridos
-            bulkOperations.push({
-              updateOne: {
-                filter: {
-                  campaignId: campaignId,
-                  recipientEmail: normalizedEmail
-                },
-                update: {
-                  $setOnInsert: {
-                    jobId,
-                    campaignId: campaignId,
-                    recipientEmail: normalizedEmail,
-                    customerId: customer._id,
-                    status: 'pending',
-                    attempts: 0,
-                    createdAt: new Date(),
-                    lockedBy: null,
-                    lockedAt: null
-                  }
-                },
-                upsert: true
-              }
-            });
-            
-            // Personalizar email
-            let html = htmlTemplate;
-            html = emailService.personalize(html, customer);
-            
-            // Inyectar unsubscribe link
-            html = emailService.injectUnsubscribeLink(
-              html,
-              customer._id.toString(),
-              normalizedEmail,
-              campaignId
-            );
-            
-            // Inyectar tracking
-            html = emailService.injectTracking(
-              html,
-              campaignId,
-              customer._id.toString(),
-              normalizedEmail
-            );
-            
-            // Agregar a tempRecipients
-            tempRecipients.push({
-              email: normalizedEmail,
-              subject: subject,
-              html: html,
-              from: `${fromName} <${fromEmail}>`,
-              replyTo: replyTo,
-              customerId: customer._id.toString(),
-              jobId: jobId
-            });
-            
-            // ========== BATCH WRITE A MONGODB ==========
-            if (bulkOperations.length >= BULK_WRITE_BATCH) {
-              bulkWriteCount++;
-              
-              try {
-                const bulkResult = await EmailSend.bulkWrite(bulkOperations, {
-                  ordered: false
-                });
-                
-                createdEmailSends += bulkResult.upsertedCount || 0;
-                
-                if (bulkWriteCount === 1 || bulkWriteCount % 20 === 0) {
-                  console.log(`   💾 BulkWrite #${bulkWriteCount}: ${bulkOperations.length} ops → ${bulkResult.upsertedCount || 0} nuevos`);
-                }
-                
-              } catch (error) {
-                if (error.code !== 11000) {
-                  console.error(`   ❌ Error en bulkWrite #${bulkWriteCount}:`, error.message);
-                  throw error;
-                }
-              }
-              
-              bulkOperations = [];
-            }
-            
-            // ========== ENCOLAR CHUNK ==========
-            if (tempRecipients.length >= ENQUEUE_CHUNK_SIZE) {
-              timer.end('process_customers');
-              timer.start('enqueue_chunk');
-              
-              console.log(`\n   📤 ════════ ENCOLANDO ${tempRecipients.length} emails ════════`);
-              console.log(`      Progreso: ${processedCount.toLocaleString()} / ${totalRecipients.toLocaleString()}`);
-              
-              const enqueueResult = await enqueueBulkWithRetry(
-                tempRecipients, 
-                campaignId, 
-                100
-              );
-              
-              console.log(`      ✅ Encolados: ${enqueueResult.enqueued.toLocaleString()}`);
-              
-              // Liberar memoria
-              tempRecipients = [];
-              
-              timer.end('enqueue_chunk');
-              timer.start('process_customers');
-              
-              await new Promise(resolve => setTimeout(resolve, config.delayBetweenBatches));
-            }
-            
-            // Log progreso cada 5000
-            if (processedCount % 5000 === 0) {
-              const memoryUsed = Math.round(process.memoryUsage().heapUsed / 1024 / 1024);
-              const elapsed = ((Date.now() - timer.startTime) / 1000).toFixed(1);
-              const rate = Math.round(processedCount / parseFloat(elapsed));
-              
-              console.log(`   📊 Progreso: ${processedCount.toLocaleString()} / ${totalRecipients.toLocaleString()} (${rate}/s)`);
-              console.log(`      Memoria: ${memoryUsed} MB | Buffers: bulk=${bulkOperations.length}, queue=${tempRecipients.length}`);
-            }
-          }
-          
-          timer.end('process_customers');
-          timer.start('residual_operations');
-          
-          // ========== PROCESAR OPERACIONES RESIDUALES ==========
-          
-          // 1. BulkWrite residual
-          if (bulkOperations.length > 0) {
-            bulkWriteCount++;
-            console.log(`\n   💾 BulkWrite FINAL #${bulkWriteCount}: ${bulkOperations.length} ops`);
-            
-            try {
-              const bulkResult = await EmailSend.bulkWrite(bulkOperations, {
-                ordered: false
-              });
-              
-              createdEmailSends += bulkResult.upsertedCount || 0;
-              console.log(`      ✅ Creados: ${bulkResult.upsertedCount || 0}`);
-              
-            } catch (error) {
-              if (error.code !== 11000) {
-                console.error(`      ❌ Error en bulkWrite final:`, error.message);
-              }
-            }
-            
-            bulkOperations = [];
-          }
-          
-          // 2. Encolar residuales
-          if (tempRecipients.length > 0) {
-            console.log(`\n   📤 ════════ ENCOLANDO CHUNK FINAL ════════`);
-            console.log(`      Emails: ${tempRecipients.length.toLocaleString()}`);
-            
-            const enqueueResult = await enqueueBulkWithRetry(
-              tempRecipients, 
-              campaignId, 
-              100
-            );
-            
-            console.log(`      ✅ Encolados: ${enqueueResult.enqueued.toLocaleString()}`);
-            
-            tempRecipients = [];
-          }
-          
-          timer.end('residual_operations');
-          
-          // ═══════════════════════════════════════════════════════════════════
-          // ✅ CAMBIO #12: Ajustar totalRecipients después de deduplicación
-          // Este es el FIX principal - sin esto, checkAndFinalizeCampaign
-          // nunca puede completar porque totalProcessed < totalRecipients
-          // ═══════════════════════════════════════════════════════════════════
-          const actualRecipients = processedCount - skippedDuplicates;
-          
-          await Campaign.findByIdAndUpdate(campaignId, {
-            status: 'sending',
-            sentAt: new Date(),
-            'stats.totalRecipients': actualRecipients  // ← FIX: Ajustar al número real
-          });
-          
-          console.log(`\n   📊 Recipients ajustados: ${processedCount} → ${actualRecipients} (${skippedDuplicates} duplicados omitidos)`);
-          
-          // ========== RESUMEN FINAL ==========
-          const duration = ((Date.now() - timer.startTime) / 1000).toFixed(2);
-          const finalMemory = Math.round(process.memoryUsage().heapUsed / 1024 / 1024);
-          const prepRate = Math.round(processedCount / parseFloat(duration));
-          
-          console.log('\n╔════════════════════════════════════════════════╗');
-          console.log('║  ✅ PREPARACIÓN COMPLETADA                     ║');
-          console.log('╚════════════════════════════════════════════════╝');
-          console.log(`   Total procesados: ${processedCount.toLocaleString()}`);
-          console.log(`   Recipients reales: ${actualRecipients.toLocaleString()}`);
-          console.log(`   EmailSend creados: ${createdEmailSends.toLocaleString()}`);
-          console.log(`   Duplicados omitidos: ${skippedDuplicates.toLocaleString()}`);
-          console.log(`   BulkWrites ejecutados: ${bulkWriteCount}`);
-          console.log(`   Tiempo: ${duration}s (${prepRate}/s)`);
-          console.log(`   Memoria pico: ${finalMemory} MB`);
-          console.log(`   Modo: ${config.name}`);
-          console.log(`   Estado: preparing → sending`);
-          console.log('════════════════════════════════════════════════\n');
-          
-          // Mostrar timers
-          timer.log();
-          
-          console.log('╔════════════════════════════════════════════════╗');
-          console.log('║  🚀 WORKERS PROCESANDO AUTOMÁTICAMENTE        ║');
-          console.log('╚════════════════════════════════════════════════╝\n');
-          
-        } catch (error) {
-          console.error('\n╔════════════════════════════════════════════════╗');
-          console.error('║  ❌ ERROR EN BACKGROUND                        ║');
-          console.error('╚════════════════════════════════════════════════╝');
-          console.error(`   Error: ${error.message}`);
-          console.error(`   Stack: ${error.stack}`);
-          console.error('════════════════════════════════════════════════\n');
-          
-          try {
-            await Campaign.findByIdAndUpdate(campaignId, {
-              status: 'draft',
-              'stats.error': error.message
-            });
-            console.log('⚠️  Campaña revertida a draft\n');
-          } catch (err) {
-            console.error('❌ Error revertiendo campaña:', err.message);
-          }
-        } finally {
-          bulkOperations = null;
-          tempRecipients = null;
-          seenEmails.clear();
-          batchIndexTracker.delete(campaignId);
-        }
+        },
+        abTest: result.abTest ? {
+          variants: campaign.abTest.variants.map(v => v.key),
+          testPercentage: campaign.abTest.testPercentage,
+          waitHours: campaign.abTest.waitHours,
+          winnerMetric: campaign.abTest.winnerMetric
+        } : undefined,
+        sendTimeOptimization: campaign.sendTimeOptimization?.enabled ? {
+          window: '24h',
+          controlPercentage: campaign.sendTimeOptimization.controlPercentage
+        } : undefined
       });
       
     } catch (error) {
@@ -955,9 +677,110 @@ class CampaignsController {
     }
   }
   
+  // ==================== PREFLIGHT ====================
+  
+  // 🛫 Chequeo previo al envío (body opcional: { acknowledgeWarnings: true })
+  async preflight(req, res) {
+    try {
+      const campaign = await Campaign.findById(req.params.id);
+      
+      if (!campaign) {
+        return res.status(404).json({ error: 'Campaña no encontrada' });
+      }
+      
+      const result = await preflightService.check(campaign, {
+        acknowledge: !!req.body?.acknowledgeWarnings,
+        acknowledgedBy: req.user?.email
+      });
+      await campaign.save();
+      
+      console.log(`🛫 Preflight "${campaign.name}": ${result.preflight.errors.length} errores, ${result.preflight.warnings.length} warnings`);
+      
+      res.json({
+        canSend: result.canSend,
+        requiresAcknowledgement: result.requiresAcknowledgement,
+        reason: result.reason,
+        preflight: result.preflight
+      });
+      
+    } catch (error) {
+      console.error('Error en preflight:', error);
+      res.status(500).json({ error: error.message });
+    }
+  }
+  
+  // 📅 Programar: corre el preflight con la fecha de envío (body: { scheduledAt, acknowledgeWarnings })
+  async schedule(req, res) {
+    try {
+      const campaign = await Campaign.findById(req.params.id);
+      
+      if (!campaign) {
+        return res.status(404).json({ error: 'Campaña no encontrada' });
+      }
+      
+      if (campaign.status !== 'draft' && campaign.status !== 'scheduled') {
+        return res.status(400).json({ error: `No se puede programar campaña con estado: ${campaign.status}` });
+      }
+      
+      const scheduledAt = new Date(req.body?.scheduledAt);
+      if (isNaN(scheduledAt.getTime()) || scheduledAt <= new Date()) {
+        return res.status(400).json({ error: 'scheduledAt debe ser una fecha futura' });
+      }
+      
+      const result = await preflightService.check(campaign, {
+        sendAt: scheduledAt,
+        acknowledge: !!req.body?.acknowledgeWarnings,
+        acknowledgedBy: req.user?.email
+      });
+      
+      if (!result.canSend) {
+        await campaign.save();
+        return res.status(400).json({
+          error: result.reason,
+          requiresAcknowledgement: result.requiresAcknowledgement,
+          preflight: result.preflight
+        });
+      }
+      
+      campaign.status = 'scheduled';
+      campaign.scheduledAt = scheduledAt;
+      await campaign.save();
+      
+      console.log(`📅 Campaña "${campaign.name}" programada para ${scheduledAt.toISOString()}`);
+      
+      res.json({ success: true, campaign, preflight: result.preflight });
+      
+    } catch (error) {
+      console.error('Error programando campaña:', error);
+      res.status(500).json({ error: error.message });
+    }
+  }
+  
+  async unschedule(req, res) {
+    try {
+      const campaign = await Campaign.findOneAndUpdate(
+        { _id: req.params.id, status: 'scheduled' },
+        { status: 'draft', scheduledAt: null },
+        { new: true }
+      );
+      
+      if (!campaign) {
+        return res.status(400).json({ error: 'La campaña no existe o no está programada' });
+      }
+      
+      console.log(`📅 Campaña "${campaign.name}" desprogramada`);
+      
+      res.json({ success: true, campaign });
+      
+    } catch (error) {
+      console.error('Error desprogramando campaña:', error);
+      res.status(500).json({ error: error.message });
+    }
+  }
+  
   // ========== ENVÍO DE EMAIL DE PRUEBA ==========
   
-  async sendTestEmail(campaign, testEmail, res) {
+  async sendTestEmail(campaign, testEmail, res, variant = null) {
     console.log(`🧪 ════════ MODO TEST ════════`);
     console.log(`   Enviando a: ${testEmail}`);
     console.log(`════════════════════════════\n`);
@@ -969,13 +792,15 @@ class CampaignsController {
         const list = await List.findById(campaign.list._id).select('members');
         if (list && list.members.length > 0) {
           testCustomer = await Customer.findById(list.members[0])
-            .select('email firstName lastName _id')
+            .select(personalizationService.CUSTOMER_FIELDS)
             .lean();
         }
-      } else {
-        // Segments removed - lists only
-        const customers = [];
-        testCustomer = customers[0];
+      } else if (campaign.segment) {
+        const segment = await Segment.findById(campaign.segment._id || campaign.segment);
+        if (segment) {
+          const [sample] = await segmentationService.getSampleMembers(segment.buildQuery(), 1);
+          testCustomer = sample;
+        }
       }
       
       if (!testCustomer) {
@@ -987,8 +812,21 @@ class CampaignsController {
         };
       }
       
-      let html = campaign.htmlContent;
-      html = emailService.personalize(html, testCustomer);
+      // Variante A/B (o contenido base)
+      const content = campaign.getVariantContent(variant);
+      
+      const templateCheck = await personalizationService.validate([content.htmlContent, content.previewText, content.textContent]);
+      if (!templateCheck.valid) {
+        return res.status(400).json({ success: false, error: 'Template inválido', details: templateCheck.errors });
+      }
+      
+      if (templateCheck.usesLastOrder && testCustomer._id !== 'test') {
+        const lastOrders = await personalizationService.loadLastOrders([testCustomer._id]);
+        testCustomer.lastOrder = lastOrders.get(testCustomer._id.toString()) || null;
+      }
+      
+      let html = emailService.injectPreheader(content.htmlContent, content.previewText);
+      html = emailService.personalize(html, testCustomer, { partials: templateCheck.partials });
       
       html = emailService.injectUnsubscribeLink(
         html,
@@ -1004,11 +842,23 @@ class CampaignsController {
         testEmail
       );
       
+      let text = null;
+      if (content.textContent) {
+        text = emailService.personalize(content.textContent, testCustomer, { partials: templateCheck.partials, autoescape: false });
+        text = emailService.injectUnsubscribeLinkText(text, testCustomer._id.toString(), testEmail, campaign._id.toString());
+      }
+      
+      // {{coupon}}: código de muestra, el test no consume el pool
+      const sampleCoupon = `${campaign.coupon?.prefix || 'JPE'}-TEST`;
+      html = couponPoolService.render(html, sampleCoupon);
+      text = couponPoolService.render(text, sampleCoupon);
+      
       const result = await emailService.sendEmail({
         to: testEmail,
-        subject: `[TEST] ${campaign.subject}`,
+        subject: `[TEST${variant ? ` ${variant}` : ''}] ${couponPoolService.render(content.subject, sampleCoupon)}`,
         html,
-        from: `${campaign.fromName} <${campaign.fromEmail}>`,
+        text,
+        from: `${content.fromName} <${campaign.fromEmail}>`,
         replyTo: campaign.replyTo,
         tags: [
           { name: 'campaign_id', value: campaign._id.toString() },
@@ -1042,7 +892,8 @@ class CampaignsController {
   async getStats(req, res) {
     try {
       const campaign = await Campaign.findById(req.params.id)
-                .populate('list', 'name');
+                .populate('list', 'name')
+                .populate('segment', 'name');
       
       if (!campaign) {
         return res.status(404).json({ error: 'Campaña no encontrada' });
@@ -1059,9 +910,31 @@ class CampaignsController {
       const unsubscribedCustomers = unsubscribedEvents.map(event => ({
         customer: event.customer,
         email: event.customer?.email || event.metadata?.email,
+        method: event.metadata?.source || 'email_link',
         createdAt: event.eventDate
       }));
       
+      // Unsubscribes por método: link del footer, header one-click (RFC 8058), preference center
+      const unsubscribesByMethod = {
+        email_link: 0,
+        'list-unsubscribe-header': 0,
+        preference_center: 0
+      };
+      unsubscribedCustomers.forEach(({ method }) => {
+        unsubscribesByMethod[method] = (unsubscribesByMethod[method] || 0) + 1;
+      });
+      
+      // 🤖 Opens/clicks por clasificación (human, prefetch de Apple MPP, scanner de seguridad)
+      const isHuman = e => !botFilterService.isMachine(e.classification);
+      const engagementByClassification = { opened: {}, clicked: {} };
+      events
+        .filter(e => e.eventType === 'opened' || e.eventType === 'clicked')
+        .forEach(e => {
+          const key = e.classification || 'unclassified';
+          const bucket = engagementByClassification[e.eventType];
+          bucket[key] = (bucket[key] || 0) + 1;
+        });
+      
       const stats = {
         total: emailSendStats.total,
         pending: emailSendStats.pending,
@@ -1073,8 +946,12 @@ class CampaignsController {
         skipped: emailSendStats.skipped || 0,
         opened: events.filter(e => e.eventType === 'opened').length,
         clicked: events.filter(e => e.eventType === 'clicked').length,
+        humanOpened: events.filter(e => e.eventType === 'opened' && isHuman(e)).length,
+        humanClicked: events.filter(e => e.eventType === 'clicked' && isHuman(e)).length,
         complained: events.filter(e => e.eventType === 'complained').length,
         unsubscribed: unsubscribedEvents.length,
+        unsubscribesByMethod,
+        optedDown: events.filter(e => e.eventType === 'opted_down').length,
         purchased: campaign.stats.purchased || 0,
       };
       
@@ -1086,6 +963,8 @@ class CampaignsController {
         bounceRate: stats.sent > 0 ? ((stats.bounced / stats.sent) * 100).toFixed(1) : '0.0',
         unsubscribeRate: stats.sent > 0 ? ((stats.unsubscribed / stats.sent) * 100).toFixed(2) : '0.00',
         clickToOpenRate: stats.opened > 0 ? ((stats.clicked / stats.opened) * 100).toFixed(1) : '0.0',
+        humanOpenRate: totalDelivered > 0 ? ((stats.humanOpened / totalDelivered) * 100).toFixed(1) : '0.0',
+        humanClickRate: stats.humanOpened > 0 ? ((stats.humanClicked / stats.humanOpened) * 100).toFixed(1) : '0.0',
         conversionRate: campaign.stats.conversionRate || 0,
       };
       
@@ -1097,14 +976,16 @@ class CampaignsController {
       
       const clickEvents = events.filter(e => e.eventType === 'clicked' && (e.clickedUrl || e.metadata?.url));
       const linkCounts = {};
+      const humanLinkCounts = {};
       clickEvents.forEach(event => {
         const url = event.clickedUrl || event.metadata?.url;
         if (url) {
           linkCounts[url] = (linkCounts[url] || 0) + 1;
+          if (isHuman(event)) humanLinkCounts[url] = (humanLinkCounts[url] || 0) + 1;
         }
       });
       const topLinks = Object.entries(linkCounts)
-        .map(([url, clicks]) => ({ url, clicks }))
+        .map(([url, clicks]) => ({ url, clicks, humanClicks: humanLinkCounts[url] || 0 }))
         .sort((a, b) => b.clicks - a.clicks)
         .slice(0, 10);
       
@@ -1170,6 +1051,8 @@ class CampaignsController {
           sent: dayEvents.filter(e => e.eventType === 'sent').length,
           opened: dayEvents.filter(e => e.eventType === 'opened').length,
           clicked: dayEvents.filter(e => e.eventType === 'clicked').length,
+          humanOpened: dayEvents.filter(e => e.eventType === 'opened' && isHuman(e)).length,
+          humanClicked: dayEvents.filter(e => e.eventType === 'clicked' && isHuman(e)).length,
           bounced: dayEvents.filter(e => e.eventType === 'bounced').length,
           unsubscribed: dayEvents.filter(e => e.eventType === 'unsubscribed').length,
           purchased: dayOrders.length,
@@ -1237,6 +1120,17 @@ class CampaignsController {
         conversionRate: campaign.stats.conversionRate || 0,
       };
       
+      // A/B test: resultados por variante (null si no aplica)
+      const abTest = await abTestService.getSummary(campaign);
+      
+      // Send-time optimization: lift vs. grupo de control (null si no aplica)
+      const sendTimeOptimization = await sendTimeService.getLiftReport(campaign);
+      
+      // Resend a no-openers: original + follow-up (null si no aplica)
+      const resend = campaign.resend?.enabled || campaign.parentCampaign
+        ? await resendService.getCombinedStats(campaign)
+        : null;
+      
       res.json({
         campaign: {
           id: campaign._id,
@@ -1251,6 +1145,8 @@ class CampaignsController {
         },
         stats,
         rates,
+        humanOnly: botFilterService.getHumanMetrics(campaign.stats),
+        engagementByClassification,
         statsBySource,
         topLinks,
         topCustomers,
@@ -1260,7 +1156,10 @@ class CampaignsController {
         totalEvents: events.length,
         revenue,
         emailSendStats,
-        unsubscribedCustomers
+        unsubscribedCustomers,
+        abTest,
+        sendTimeOptimization,
+        resend
       });
       
     } catch (error) {
@@ -1269,6 +1168,204 @@ class CampaignsController {
     }
   }
 
+  // ==================== A/B TEST ====================
+  
+  // Elegir ganadora ahora (opcional: forzar variantKey) y enviar al resto
+  async selectAbWinner(req, res) {
+    try {
+      const { variantKey = null } = req.body || {};
+      
+      const result = await abTestService.selectWinner(req.params.id, { variantKey });
+      
+      if (!result.success) {
+        return res.status(400).json({ error: result.error });
+      }
+      
+      res.json(result);
+      
+    } catch (error) {
+      console.error('Error eligiendo ganadora A/B:', error);
+      res.status(500).json({ error: error.message });
+    }
+  }
+
+  // 🚦 Exentar (o no) una campaña del frequency capping global - solo admin
+  async setFrequencyCapExempt(req, res) {
+    try {
+      const { exempt } = req.body || {};
+      
+      if (typeof exempt !== 'boolean') {
+        return res.status(400).json({ error: 'exempt debe ser true o false' });
+      }
+      
+      const campaign = await Campaign.findByIdAndUpdate(
+        req.params.id,
+        { frequencyCapExempt: exempt },
+        { new: true }
+      ).select('name frequencyCapExempt');
+      
+      if (!campaign) {
+        return res.status(404).json({ error: 'Campaña no encontrada' });
+      }
+      
+      console.log(`🚦 Campaña "${campaign.name}" frequencyCapExempt=${exempt} (${req.user?.email || 'admin'})`);
+      
+      res.json({ success: true, campaign });
+      
+    } catch (error) {
+      console.error('Error actualizando frequencyCapExempt:', error);
+      res.status(500).json({ error: error.message });
+    }
+  }
+
+  // 🎟️ Pool de códigos únicos {{coupon}}: config + disponibles/asignados/canjeados
+  async getCoupons(req, res) {
+    try {
+      const campaign = await Campaign.findById(req.params.id).select('name coupon stats.totalRecipients');
+      
+      if (!campaign) {
+        return res.status(404).json({ error: 'Campaña no encontrada' });
+      }
+      
+      const stats = await couponPoolService.getStats(campaign._id);
+      
+      res.json({
+        campaign: { _id: campaign._id, name: campaign.name, totalRecipients: campaign.stats.totalRecipients },
+        coupon: campaign.coupon,
+        stats
+      });
+      
+    } catch (error) {
+      console.error('Error obteniendo cupones:', error);
+      res.status(500).json({ error: error.message });
+    }
+  }
+
+  // 🎟️ Pre-generar el pool (por defecto 1 código por destinatario estimado).
+  // Shopify crea los códigos de a 100: corre en background, ver getCoupons para el progreso
+  async generateCoupons(req, res) {
+    try {
+      const campaign = await Campaign.findById(req.params.id);
+      
+      if (!campaign) {
+        return res.status(404).json({ error: 'Campaña no encontrada' });
+      }
+      
+      if (!campaign.coupon?.percentOff && !campaign.coupon?.priceRuleId) {
+        return res.status(400).json({ error: 'Configura coupon.percentOff antes de generar códigos' });
+      }
+      
+      const count = parseInt(req.body?.count) || campaign.stats.totalRecipients;
+      if (!count || count < 1 || count > 200000) {
+        return res.status(400).json({ error: 'count debe estar entre 1 y 200000' });
+      }
+      
+      setImmediate(async () => {
+        try {
+          await couponPoolService.ensurePool(campaign, count);
+        } catch (error) {
+          console.error(`❌ Error generando cupones para ${campaign.name}:`, error.message);
+        }
+      });
+      
+      res.status(202).json({
+        success: true,
+        status: 'generating',
+        requested: count,
+        message: `Generando pool de ${count.toLocaleString()} códigos`
+      });
+      
+    } catch (error) {
+      console.error('Error generando cupones:', error);
+      res.status(500).json({ error: error.message });
+    }
+  }
+
+  // 🔁 Resend a no-openers: config + stats de la original, el follow-up y el combinado
+  async getResend(req, res) {
+    try {
+      const campaign = await Campaign.findById(req.params.id).lean();
+      
+      if (!campaign) {
+        return res.status(404).json({ error: 'Campaña no encontrada' });
+      }
+      
+      const stats = await resendService.getCombinedStats(campaign);
+      
+      res.json(stats);
+      
+    } catch (error) {
+      console.error('Error obteniendo resend:', error);
+      res.status(500).json({ error: error.message });
+    }
+  }
+
+  // 🔁 Configurar el resend. Se puede cambiar después de enviar mientras no se haya creado el follow-up
+  async updateResend(req, res) {
+    try {
+      const resend = req.body || {};
+      
+      const campaign = await Campaign.findById(req.params.id);
+      
+      if (!campaign) {
+        return res.status(404).json({ error: 'Campaña no encontrada' });
+      }
+      
+      if (campaign.targetType === 'resend') {
+        return res.status(400).json({ error: 'Un resend no puede tener su propio resend' });
+      }
+      
+      if (campaign.resend?.childCampaign || (campaign.resend?.status && campaign.resend.status !== 'pending')) {
+        return res.status(400).json({ error: `El resend ya fue procesado (${campaign.resend.status})` });
+      }
+      
+      const errors = resendService.validateConfig(resend);
+      if (errors.length > 0) {
+        return res.status(400).json({ error: 'Resend inválido', details: errors });
+      }
+      
+      campaign.resend = {
+        enabled: !!resend.enabled,
+        subject: resend.subject ?? campaign.resend?.subject,
+        previewText: resend.previewText ?? campaign.resend?.previewText,
+        delayHours: resend.delayHours ?? campaign.resend?.delayHours ?? 48,
+        status: 'pending'
+      };
+      await campaign.save();
+      
+      console.log(`🔁 Campaña "${campaign.name}" resend=${campaign.resend.enabled} (${campaign.resend.delayHours}h, ${req.user?.email || 'admin'})`);
+      
+      res.json({ success: true, resend: campaign.resend });
+      
+    } catch (error) {
+      console.error('Error actualizando resend:', error);
+      res.status(500).json({ error: error.message });
+    }
+  }
+
+  // 🧪 Incrementalidad: tratados vs. holdout con datos de Order (no de atribución)
+  async getIncrementality(req, res) {
+    try {
+      const campaign = await Campaign.findById(req.params.id).select('name status holdout stats.totalRevenue').lean();
+      
+      if (!campaign) {
+        return res.status(404).json({ error: 'Campaña no encontrada' });
+      }
+      
+      if (!holdoutService.isEnabled(campaign)) {
+        return res.status(400).json({ error: 'La campaña no tiene grupo de holdout' });
+      }
+      
+      const report = await holdoutService.getReport('email', campaign);
+      
+      res.json({ campaign: { _id: campaign._id, name: campaign.name, status: campaign.status }, report });
+      
+    } catch (error) {
+      console.error('Error obteniendo incrementalidad:', error);
+      res.status(500).json({ error: error.message });
+    }
+  }
+
   async getEvents(req, res) {
     try {
       const { page = 1, limit = 50, eventType, source } = req.query;
@@ -1513,6 +1610,114 @@ class CampaignsController {
     }
   }
 
+  // Validación del editor: errores, variables desconocidas y variables disponibles
+  async validateTemplate(req, res) {
+    try {
+      const { htmlContent, previewText, abTest } = req.body;
+      
+      if (!htmlContent) {
+        return res.status(400).json({ error: 'htmlContent es requerido' });
+      }
+      
+      const result = await personalizationService.validate(
+        personalizationService.campaignSources({ htmlContent, previewText, abTest })
+      );
+      
+      res.json({
+        valid: result.valid,
+        errors: result.errors,
+        unknownVariables: result.unknownVariables,
+        partials: Object.keys(result.partials),
+        availableVariables: personalizationService.CONTEXT_VARIABLES
+      });
+      
+    } catch (error) {
+      console.error('Error validando template:', error);
+      res.status(500).json({ error: error.message });
+    }
+  }
+
+  // ==================== EMAIL BUILDER ====================
+  
+  // Tipos de bloque + variables para el editor
+  async getBlockTypes(req, res) {
+    res.json({
+      blockTypes: blockRenderer.BLOCK_TYPES,
+      variables: personalizationService.CONTEXT_VARIABLES
+    });
+  }
+  
+  /**
+   * Preview de un documento de bloques contra un cliente de muestra
+   * body: { blocks, subject?, customerId? | email? } (sin cliente: el último con órdenes)
+   */
+  async previewBlocks(req, res) {
+    try {
+      const { blocks, subject, customerId, email } = req.body;
+      
+      if (!Array.isArray(blocks) || blocks.length === 0) {
+        return res.status(400).json({ error: 'blocks es requerido' });
+      }
+      
+      const blockErrors = blockRenderer.validate(blocks);
+      if (blockErrors.length > 0) {
+        return res.status(400).json({ error: 'Bloques inválidos', details: blockErrors });
+      }
+      
+      const rendered = blockRenderer.render(blocks, { title: subject });
+      
+      let customer = null;
+      if (customerId) {
+        customer = await Customer.findById(customerId).select(personalizationService.CUSTOMER_FIELDS).lean();
+      } else if (email) {
+        customer = await Customer.findOne({ email: email.toLowerCase().trim() }).select(personalizationService.CUSTOMER_FIELDS).lean();
+      } else {
+        customer = await Customer.findOne({ ordersCount: { $gt: 0 } })
+          .sort({ lastOrderDate: -1 })
+          .select(personalizationService.CUSTOMER_FIELDS)
+          .lean();
+      }
+      
+      if ((customerId || email) && !customer) {
+        return res.status(404).json({ error: 'Cliente no encontrado' });
+      }
+      
+      if (!customer) {
+        customer = { firstName: 'Test', lastName: 'User', email: 'preview@jerseypickles.com' };
+      }
+      
+      const templateCheck = await personalizationService.validate([rendered.html, rendered.text]);
+      
+      if (templateCheck.usesLastOrder && customer._id) {
+        const lastOrders = await personalizationService.loadLastOrders([customer._id]);
+        customer.lastOrder = lastOrders.get(customer._id.toString()) || null;
+      }
+      
+      // Links de unsubscribe/preferences inertes en el preview
+      const inertLinks = (content) => content.replace(/\{\{(unsubscribe_link|unsubscribe_url|unsubscribeLink|unsubscribeUrl|preferences_link)\}\}/g, '#');
+      
+      res.json({
+        html: inertLinks(emailService.personalize(rendered.html, customer, { partials: templateCheck.partials })),
+        text: inertLinks(emailService.personalize(rendered.text, customer, { partials: templateCheck.partials, autoescape: false })),
+        customer: {
+          _id: customer._id || null,
+          email: customer.email,
+          firstName: customer.firstName,
+          lastName: customer.lastName
+        },
+        validation: {
+          valid: templateCheck.valid,
+          errors: templateCheck.errors,
+          unknownVariables: templateCheck.unknownVariables
+        }
+      });
+      
+    } catch (error) {
+      console.error('Error en preview de bloques:', error);
+      res.status(500).json({ error: error.message });
+    }
+  }
+
   async cleanupDrafts(req, res) {
     try {
       const result = await Campaign.deleteMany({ status: 'draft' });
@@ -0,0 +1,328 @@
+// backend/src/controllers/flowsController.js
+const Flow = require('../models/Flow');
+const FlowExecution = require('../models/FlowExecution');
+const flowService = require('../services/flowService');
+
+// Valida steps (incluye ramas de condiciones). Devuelve mensaje de error o null
+function validateSteps(steps, path = 'steps') {
+  if (!Array.isArray(steps)) {
+    return `${path} debe ser un array`;
+  }
+
+  for (let i = 0; i < steps.length; i++) {
+    const step = steps[i];
+    const where = `${path}[${i}]`;
+
+    if (!step || !Flow.STEP_TYPES.includes(step.type)) {
+      return `${where}: tipo inválido (${step?.type}). Válidos: ${Flow.STEP_TYPES.join(', ')}`;
+    }
+
+    const config = step.config || {};
+
+    if (step.type === 'send_email' && !config.templateId && !config.htmlContent) {
+      return `${where}: send_email requiere templateId o htmlContent`;
+    }
+    if (step.type === 'send_email' && !config.templateId && !config.subject) {
+      return `${where}: send_email sin template requiere subject`;
+    }
+    if (step.type === 'send_sms' && !config.message) {
+      return `${where}: send_sms requiere message`;
+    }
+    if (step.type === 'add_tag' && !config.tagName) {
+      return `${where}: add_tag requiere tagName`;
+    }
+    if (step.type === 'create_discount' && !config.discountCode && !config.unique) {
+      return `${where}: create_discount requiere discountCode o unique`;
+    }
+    if (step.type === 'wait' && flowService.getWaitDelayMs(config) <= 0) {
+      return `${where}: wait requiere delayMinutes, delayHours o delayDays`;
+    }
+    if (step.type === 'condition') {
+      if (!config.conditionType) {
+        return `${where}: condition requiere conditionType`;
+      }
+      const branchError =
+        validateSteps(config.ifTrue || [], `${where}.ifTrue`) ||
+        validateSteps(config.ifFalse || [], `${where}.ifFalse`);
+      if (branchError) return branchError;
+    }
+  }
+
+  return null;
+}
+
+class FlowsController {
+
+  // Listar flows
+  async getAll(req, res) {
+    try {
+      const { status, triggerType } = req.query;
+
+      const query = {};
+      if (status) query.status = status;
+      if (triggerType) query['trigger.type'] = triggerType;
+
+      const flows = await Flow.find(query).sort({ createdAt: -1 });
+
+      res.json({ flows, total: flows.length });
+
+    } catch (error) {
+      console.error('Error listando flows:', error);
+      res.status(500).json({ error: error.message });
+    }
+  }
+
+  // Obtener flow con conteo de ejecuciones
+  async getOne(req, res) {
+    try {
+      const flow = await Flow.findById(req.params.id);
+
+      if (!flow) {
+        return res.status(404).json({ error: 'Flow no encontrado' });
+      }
+
+      const executions = await FlowExecution.getFlowStats(flow._id);
+
+      res.json({ flow, executions });
+
+    } catch (error) {
+      console.error('Error obteniendo flow:', error);
+      res.status(500).json({ error: error.message });
+    }
+  }
+
+  // Crear flow (siempre como draft)
+  async create(req, res) {
+    try {
+      const { name, description, trigger, steps = [], settings } = req.body;
+
+      if (!name || !trigger?.type) {
+        return res.status(400).json({ error: 'name y trigger.type son requeridos' });
+      }
+
+      if (!Flow.TRIGGER_TYPES.includes(trigger.type)) {
+        return res.status(400).json({
+          error: 'Trigger no válido',
+          validTriggers: Flow.TRIGGER_TYPES
+        });
+      }
+
+      const stepsError = validateSteps(steps);
+      if (stepsError) {
+        return res.status(400).json({ error: stepsError });
+      }
+
+      const flow = await Flow.create({
+        name,
+        description,
+        trigger,
+        steps,
+        settings,
+        status: 'draft',
+        createdBy: req.user?._id
+      });
+
+      console.log(`✅ Flow creado: ${flow.name}`);
+
+      res.status(201).json(flow);
+
+    } catch (error) {
+      console.error('Error creando flow:', error);
+      res.status(500).json({ error: error.message });
+    }
+  }
+
+  // Actualizar flow. Las ejecuciones en curso conservan su copia de los steps
+  async update(req, res) {
+    try {
+      const flow = await Flow.findById(req.params.id);
+
+      if (!flow) {
+        return res.status(404).json({ error: 'Flow no encontrado' });
+      }
+
+      const { name, description, trigger, steps, settings } = req.body;
+
+      if (trigger?.type && !Flow.TRIGGER_TYPES.includes(trigger.type)) {
+        return res.status(400).json({
+          error: 'Trigger no válido',
+          validTriggers: Flow.TRIGGER_TYPES
+        });
+      }
+
+      if (steps !== undefined) {
+        const stepsError = validateSteps(steps);
+        if (stepsError) {
+          return res.status(400).json({ error: stepsError });
+        }
+        flow.steps = steps;
+      }
+
+      if (name !== undefined) flow.name = name;
+      if (description !== undefined) flow.description = description;
+      if (trigger) flow.trigger = trigger;
+      if (settings) flow.settings = { ...(flow.settings?.toObject?.() || {}), ...settings };
+
+      await flow.save();
+
+      res.json(flow);
+
+    } catch (error) {
+      console.error('Error actualizando flow:', error);
+      res.status(500).json({ error: error.message });
+    }
+  }
+
+  // Eliminar flow (cancela ejecuciones en curso)
+  async delete(req, res) {
+    try {
+      const flow = await Flow.findById(req.params.id);
+
+      if (!flow) {
+        return res.status(404).json({ error: 'Flow no encontrado' });
+      }
+
+      const result = await FlowExecution.updateMany(
+        { flow: flow._id, status: { $in: ['active', 'waiting'] } },
+        {
+          $set: {
+            status: 'cancelled',
+            cancelledAt: new Date(),
+            cancelReason: 'flow_deleted',
+            nextRunAt: null
+          }
+        }
+      );
+
+      await flow.deleteOne();
+
+      console.log(`🗑️  Flow eliminado: ${flow.name} (${result.modifiedCount} ejecuciones canceladas)`);
+
+      res.json({
+        success: true,
+        message: 'Flow eliminado',
+        cancelledExecutions: result.modifiedCount
+      });
+
+    } catch (error) {
+      console.error('Error eliminando flow:', error);
+      res.status(500).json({ error: error.message });
+    }
+  }
+
+  // Activar flow
+  async activate(req, res) {
+    try {
+      const flow = await Flow.findById(req.params.id);
+
+      if (!flow) {
+        return res.status(404).json({ error: 'Flow no encontrado' });
+      }
+
+      if (!flow.steps || flow.steps.length === 0) {
+        return res.status(400).json({ error: 'El flow no tiene steps' });
+      }
+
+      flow.status = 'active';
+      flow.activatedAt = new Date();
+      await flow.save();
+
+      // Ejecuciones congeladas mientras estaba pausado: el barrido las retoma
+      const resumed = await flowService.resumePausedExecutions(flow._id);
+
+      console.log(`▶️  Flow activado: ${flow.name}${resumed ? ` (${resumed} ejecuciones reanudadas)` : ''}`);
+
+      res.json({ success: true, flow, resumedExecutions: resumed });
+
+    } catch (error) {
+      console.error('Error activando flow:', error);
+      res.status(500).json({ error: error.message });
+    }
+  }
+
+  // Pausar flow: no inscribe nuevos clientes y congela los que están en curso
+  async pause(req, res) {
+    try {
+      const flow = await Flow.findById(req.params.id);
+
+      if (!flow) {
+        return res.status(404).json({ error: 'Flow no encontrado' });
+      }
+
+      flow.status = 'paused';
+      flow.pausedAt = new Date();
+      await flow.save();
+
+      console.log(`⏸️  Flow pausado: ${flow.name}`);
+
+      res.json({ success: true, flow });
+
+    } catch (error) {
+      console.error('Error pausando flow:', error);
+      res.status(500).json({ error: error.message });
+    }
+  }
+
+  // Ejecuciones de un flow (paginado)
+  async getExecutions(req, res) {
+    try {
+      const { page = 1, limit = 50, status } = req.query;
+
+      const filter = { flow: req.params.id };
+      if (status) filter.status = status;
+
+      const [executions, total] = await Promise.all([
+        FlowExecution.find(filter)
+          .populate('customer', 'email firstName lastName')
+          .select('-plan')
+          .sort({ createdAt: -1 })
+          .limit(parseInt(limit))
+          .skip((parseInt(page) - 1) * parseInt(limit)),
+        FlowExecution.countDocuments(filter)
+      ]);
+
+      res.json({
+        executions,
+        pagination: {
+          page: parseInt(page),
+          limit: parseInt(limit),
+          total,
+          pages: Math.ceil(total / parseInt(limit))
+        }
+      });
+
+    } catch (error) {
+      console.error('Error obteniendo ejecuciones:', error);
+      res.status(500).json({ error: error.message });
+    }
+  }
+
+  // Cancelar una ejecución puntual
+  async cancelExecution(req, res) {
+    try {
+      const execution = await flowService.cancelExecution(req.params.executionId, 'manual');
+
+      if (!execution) {
+        return res.status(404).json({ error: 'Ejecución no encontrada o ya finalizada' });
+      }
+
+      res.json({ success: true, execution });
+
+    } catch (error) {
+      console.error('Error cancelando ejecución:', error);
+      res.status(500).json({ error: error.message });
+    }
+  }
+
+  // Estado del executor (BullMQ / barrido)
+  async getQueueStatus(req, res) {
+    try {
+      const flowQueue = require('../jobs/flowQueue');
+      res.json(await flowQueue.getStatus());
+    } catch (error) {
+      res.status(500).json({ error: error.message });
+    }
+  }
+}
+
+module.exports = new FlowsController();
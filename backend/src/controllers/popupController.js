@@ -3,6 +3,8 @@ const Customer = require('../models/Customer');
 const Order = require('../models/Order');
 const List = require('../models/List');
 const shopifyService = require('../services/shopifyService');
+const multiTouchAttribution = require('../services/multiTouchAttributionService');
+const suppressionService = require('../services/suppressionService');
 
 // Configuración de la lista del popup
 const POPUP_LIST_CONFIG = {
@@ -59,6 +61,17 @@ class PopupController {
       
       const emailLower = email.toLowerCase().trim();
       
+      // Suppression list: los dominios bloqueados no reciben código
+      const suppression = await suppressionService.check(emailLower);
+      
+      if (suppression?.type === 'domain') {
+        console.log(`🛑 Dominio suprimido: ${suppression.value}`);
+        return res.status(400).json({ 
+          success: false,
+          error: 'Please use a different email address' 
+        });
+      }
+      
       // Buscar si el cliente ya existe
       let customer = await Customer.findOne({ email: emailLower });
       
@@ -117,6 +130,19 @@ class PopupController {
         console.log(`✨ Nuevo cliente creado con código: ${discountCode}`);
       }
       
+      // Nuevo opt-in explícito: levanta un unsubscribe previo (bounces y complaints se mantienen)
+      if (suppression?.reason === 'unsubscribe') {
+        await suppressionService.remove({ email: emailLower }, ['unsubscribe']);
+        if (customer.emailStatus === 'unsubscribed') {
+          customer.emailStatus = 'active';
+          customer.acceptsMarketing = true;
+          await customer.save();
+        }
+        console.log(`🔓 Unsubscribe previo levantado por nuevo opt-in: ${emailLower}`);
+      } else if (suppression) {
+        console.log(`ℹ️  ${emailLower} suprimido (${suppression.reason}): no recibirá campañas`);
+      }
+      
       // Agregar a lista del popup
       let list = await List.findById(POPUP_LIST_CONFIG.id);
       
@@ -140,6 +166,14 @@ class PopupController {
         console.log(`📋 Cliente agregado a lista "${list.name}" (${list.memberCount} miembros)`);
       }
       
+      // Touchpoint de atribución (signup del popup)
+      await multiTouchAttribution.recordTouch({
+        type: 'popup_signup',
+        customer: customer._id,
+        email: emailLower,
+        metadata: { source, discountCode, isNew }
+      });
+      
       res.json({
         success: true,
         message: isNew ? 'Thanks for subscribing!' : 'You\'re already subscribed!',
@@ -0,0 +1,277 @@
+// backend/src/controllers/segmentsController.js
+const Segment = require('../models/Segment');
+const Campaign = require('../models/Campaign');
+const segmentationService = require('../services/segmentationService');
+
+function slugify(text) {
+  return String(text)
+    .toLowerCase()
+    .normalize('NFD')
+    .replace(/[̀-ͯ]/g, '')
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '');
+}
+
+// Valida que el árbol exista y tenga al menos una regla. Devuelve errores
+function validateTree(rules) {
+  if (!rules || !Array.isArray(rules.rules) || rules.rules.length === 0) {
+    return ['El segmento necesita al menos una regla'];
+  }
+  return segmentationService.validateRules(rules);
+}
+
+class SegmentsController {
+
+  // Listar segmentos
+  async getAll(req, res) {
+    try {
+      const { category, active } = req.query;
+
+      const query = {};
+      if (category) query.category = category;
+      if (active !== undefined) query.isActive = active === 'true';
+
+      const segments = await Segment.find(query).sort({ category: 1, customerCount: -1 });
+
+      res.json({ segments, total: segments.length });
+
+    } catch (error) {
+      console.error('Error listando segmentos:', error);
+      res.status(500).json({ error: error.message });
+    }
+  }
+
+  // Campos y operadores disponibles para el editor de reglas
+  async getFields(req, res) {
+    res.json({ fields: segmentationService.getFieldDefinitions() });
+  }
+
+  // Preview de reglas sin guardar: conteo + muestra
+  async preview(req, res) {
+    try {
+      const { rules, sampleSize = 10 } = req.body;
+
+      const errors = validateTree(rules);
+      if (errors.length > 0) {
+        return res.status(400).json({ error: 'Reglas inválidas', details: errors });
+      }
+
+      const { count, sample } = await segmentationService.preview(rules, sampleSize);
+
+      res.json({ count, sample });
+
+    } catch (error) {
+      console.error('Error en preview de segmento:', error);
+      res.status(500).json({ error: error.message });
+    }
+  }
+
+  // Obtener segmento con conteo actualizado
+  async getOne(req, res) {
+    try {
+      const segment = await Segment.findById(req.params.id);
+
+      if (!segment) {
+        return res.status(404).json({ error: 'Segmento no encontrado' });
+      }
+
+      await segmentationService.recalculate(segment);
+
+      res.json({ ...segment.toObject(), rules: segment.getRuleTree() });
+
+    } catch (error) {
+      console.error('Error obteniendo segmento:', error);
+      res.status(500).json({ error: error.message });
+    }
+  }
+
+  // Muestra de miembros actuales (paginado)
+  async getMembers(req, res) {
+    try {
+      const { page = 1, limit = 50 } = req.query;
+
+      const segment = await Segment.findById(req.params.id);
+
+      if (!segment) {
+        return res.status(404).json({ error: 'Segmento no encontrado' });
+      }
+
+      const Customer = require('../models/Customer');
+      const query = segment.buildQuery();
+
+      const [members, total] = await Promise.all([
+        Customer.find(query)
+          .select('email firstName lastName totalSpent ordersCount lastOrderDate emailStatus tags')
+          .sort({ totalSpent: -1 })
+          .limit(parseInt(limit))
+          .skip((parseInt(page) - 1) * parseInt(limit))
+          .lean(),
+        Customer.countDocuments(query)
+      ]);
+
+      res.json({
+        members,
+        pagination: {
+          page: parseInt(page),
+          limit: parseInt(limit),
+          total,
+          pages: Math.ceil(total / parseInt(limit))
+        }
+      });
+
+    } catch (error) {
+      console.error('Error obteniendo miembros del segmento:', error);
+      res.status(500).json({ error: error.message });
+    }
+  }
+
+  // Crear segmento
+  async create(req, res) {
+    try {
+      const { name, description, category, rules } = req.body;
+
+      if (!name) {
+        return res.status(400).json({ error: 'El nombre es requerido' });
+      }
+
+      const errors = validateTree(rules);
+      if (errors.length > 0) {
+        return res.status(400).json({ error: 'Reglas inválidas', details: errors });
+      }
+
+      const slug = slugify(req.body.slug || name);
+      if (await Segment.exists({ slug })) {
+        return res.status(400).json({ error: 'Ya existe un segmento con ese nombre' });
+      }
+
+      const segment = new Segment({
+        name,
+        slug,
+        description,
+        category: category || 'custom',
+        rules,
+        type: 'custom',
+        createdBy: req.user?._id
+      });
+
+      await segmentationService.recalculate(segment);
+
+      console.log(`✅ Segmento creado: ${name} (${segment.customerCount} clientes)`);
+
+      res.status(201).json(segment);
+
+    } catch (error) {
+      console.error('Error creando segmento:', error);
+      res.status(500).json({ error: error.message });
+    }
+  }
+
+  // Actualizar segmento
+  async update(req, res) {
+    try {
+      const segment = await Segment.findById(req.params.id);
+
+      if (!segment) {
+        return res.status(404).json({ error: 'Segmento no encontrado' });
+      }
+
+      const { name, description, category, rules, isActive } = req.body;
+
+      if (rules !== undefined) {
+        const errors = validateTree(rules);
+        if (errors.length > 0) {
+          return res.status(400).json({ error: 'Reglas inválidas', details: errors });
+        }
+        segment.rules = rules;
+        // Las reglas reemplazan al formato anterior
+        segment.conditions = [];
+        segment.markModified('rules');
+      }
+
+      if (name) segment.name = name;
+      if (description !== undefined) segment.description = description;
+      if (category) segment.category = category;
+      if (typeof isActive === 'boolean') segment.isActive = isActive;
+
+      await segmentationService.recalculate(segment);
+
+      res.json(segment);
+
+    } catch (error) {
+      console.error('Error actualizando segmento:', error);
+      res.status(500).json({ error: error.message });
+    }
+  }
+
+  // Eliminar segmento (no si hay campañas pendientes que lo usan)
+  async delete(req, res) {
+    try {
+      const segment = await Segment.findById(req.params.id);
+
+      if (!segment) {
+        return res.status(404).json({ error: 'Segmento no encontrado' });
+      }
+
+      const pendingCampaigns = await Campaign.countDocuments({
+        segment: segment._id,
+        status: { $in: ['draft', 'scheduled', 'preparing', 'sending'] }
+      });
+
+      if (pendingCampaigns > 0) {
+        return res.status(400).json({
+          error: `El segmento está en uso por ${pendingCampaigns} campaña(s) pendientes`
+        });
+      }
+
+      await segment.deleteOne();
+
+      console.log(`🗑️  Segmento eliminado: ${segment.name}`);
+
+      res.json({ success: true, message: 'Segmento eliminado' });
+
+    } catch (error) {
+      console.error('Error eliminando segmento:', error);
+      res.status(500).json({ error: error.message });
+    }
+  }
+
+  // Recalcular conteo de un segmento
+  async recalculate(req, res) {
+    try {
+      const segment = await Segment.findById(req.params.id);
+
+      if (!segment) {
+        return res.status(404).json({ error: 'Segmento no encontrado' });
+      }
+
+      const count = await segmentationService.recalculate(segment);
+
+      res.json({ success: true, customerCount: count, lastCalculated: segment.lastCalculated });
+
+    } catch (error) {
+      console.error('Error recalculando segmento:', error);
+      res.status(500).json({ error: error.message });
+    }
+  }
+
+  // Crear/actualizar todos los segmentos predefinidos
+  async createPredefined(req, res) {
+    try {
+      const results = await segmentationService.createAllPredefinedSegments();
+
+      res.json({
+        success: true,
+        created: results.filter(r => r.action === 'created').length,
+        updated: results.filter(r => r.action === 'updated').length,
+        errors: results.filter(r => r.action === 'error').length,
+        results
+      });
+
+    } catch (error) {
+      console.error('Error creando segmentos predefinidos:', error);
+      res.status(500).json({ error: error.message });
+    }
+  }
+}
+
+module.exports = new SegmentsController();
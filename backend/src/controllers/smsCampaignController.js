@@ -6,6 +6,44 @@ const SmsSubscriber = require('../models/SmsSubscriber');
 const telnyxService = require('../services/telnyxService');
 const urlShortenerService = require('../services/urlShortenerService');
 const shopifyService = require('../services/shopifyService');
+const smsQuietHoursService = require('../services/smsQuietHoursService');
+const contactPressureService = require('../services/contactPressureService');
+const holdoutService = require('../services/holdoutService');
+const smsMediaService = require('../services/smsMediaService');
+const smsCostService = require('../services/smsCostService');
+
+// Campaigns with a queue processor running in this process
+const activeQueues = new Set();
+
+// Content that drives the cost estimate (encoding, segments, MMS)
+const costContent = (campaign) => ({
+  message: campaign.message,
+  discountCode: campaign.discountCode,
+  discountPercent: campaign.discountPercent,
+  dynamicDiscount: campaign.dynamicDiscount,
+  media: campaign.media
+});
+
+/**
+ * Pre-send estimate over the campaign audience (stored in campaign.costEstimate)
+ */
+async function refreshCostEstimate(campaign) {
+  const estimate = await smsCostService.estimateAudience(campaign.buildAudienceQuery(), {
+    ...costContent(campaign),
+    holdoutPercentage: campaign.holdout?.percentage || 0
+  });
+
+  campaign.costEstimate = {
+    total: estimate.total,
+    perMessage: estimate.perMessage.average,
+    recipients: estimate.recipients,
+    segments: estimate.segments,
+    encoding: estimate.encoding,
+    estimatedAt: new Date()
+  };
+
+  return estimate;
+}
 
 const smsCampaignController = {
   
@@ -28,9 +66,37 @@ const smsCampaignController = {
         targetCountry,
         customFilter,
         scheduledAt,
+        delivery,
+        holdout,
+        media,
+        budget,
         tags
       } = req.body;
       
+      const deliveryError = smsQuietHoursService.validateDeliveryConfig(delivery);
+      if (deliveryError) {
+        return res.status(400).json({
+          success: false,
+          error: deliveryError
+        });
+      }
+      
+      const holdoutError = holdoutService.validateConfig(holdout);
+      if (holdoutError) {
+        return res.status(400).json({
+          success: false,
+          error: holdoutError
+        });
+      }
+      
+      const budgetError = smsCostService.validateBudget(budget);
+      if (budgetError) {
+        return res.status(400).json({
+          success: false,
+          error: budgetError
+        });
+      }
+      
       // Validate message
       if (!message || message.length === 0) {
         return res.status(400).json({
@@ -46,6 +112,15 @@ const smsCampaignController = {
         });
       }
       
+      // MMS: type and size checked against the actual file
+      const { error: mediaError, media: validatedMedia } = await smsMediaService.validateMedia(media);
+      if (mediaError) {
+        return res.status(400).json({
+          success: false,
+          error: mediaError
+        });
+      }
+      
       // Create campaign
       const campaign = new SmsCampaign({
         name: name || `SMS Campaign ${new Date().toLocaleDateString()}`,
@@ -59,20 +134,26 @@ const smsCampaignController = {
         customFilter,
         scheduledAt: scheduledAt ? new Date(scheduledAt) : null,
         status: scheduledAt ? 'scheduled' : 'draft',
+        delivery: delivery || undefined,
+        holdout: holdoutService.buildConfig(holdout),
+        media: validatedMedia,
+        budget: { cap: budget?.cap || null },
         tags,
         createdBy: req.user?._id
       });
       
       // Get eligible count
       campaign.stats.eligible = await campaign.getEligibleCount();
+      const costEstimate = await refreshCostEstimate(campaign);
       
       await campaign.save();
       
-      console.log(`📱 SMS Campaign created: ${campaign.name} (${campaign.stats.eligible} eligible)`);
+      console.log(`📱 SMS Campaign created: ${campaign.name} (${campaign.stats.eligible} eligible, ~$${costEstimate.total})`);
       
       res.status(201).json({
         success: true,
-        campaign
+        campaign,
+        costEstimate
       });
       
     } catch (error) {
@@ -89,10 +170,21 @@ const smsCampaignController = {
   /**
    * GET /api/sms/campaigns/audience-count?audienceType=all_delivered&targetCountry=US
    * Get eligible subscriber count for given filters (used by campaign editor before saving)
+   * With &message=... also returns the cost estimate (optional: discountCode, discountPercent,
+   * dynamicMin, dynamicMax, media (URL, repeatable), holdoutPercentage)
    */
   async audienceCount(req, res) {
     try {
-      const { audienceType = 'all_delivered', targetCountry = 'all' } = req.query;
+      const {
+        audienceType = 'all_delivered',
+        targetCountry = 'all',
+        message = null,
+        discountCode = null,
+        discountPercent = null,
+        dynamicMin = null,
+        dynamicMax = null,
+        holdoutPercentage = 0
+      } = req.query;
 
       const baseQuery = {
         status: 'active',
@@ -127,7 +219,22 @@ const smsCampaignController = {
 
       const count = await SmsSubscriber.countDocuments(baseQuery);
 
-      res.json({ success: true, count, audienceType, targetCountry });
+      // Pre-send cost: encoding-aware segments x rate per country/carrier
+      let costEstimate = null;
+      if (message) {
+        costEstimate = await smsCostService.estimateAudience(baseQuery, {
+          message,
+          discountCode,
+          discountPercent: discountPercent ? parseInt(discountPercent) : null,
+          dynamicDiscount: dynamicMax
+            ? { enabled: true, min: parseInt(dynamicMin) || parseInt(dynamicMax), max: parseInt(dynamicMax) }
+            : null,
+          media: [].concat(req.query.media || []),
+          holdoutPercentage: Math.min(Math.max(parseFloat(holdoutPercentage) || 0, 0), 50)
+        });
+      }
+
+      res.json({ success: true, count, audienceType, targetCountry, costEstimate });
     } catch (error) {
       console.error('❌ Audience Count Error:', error);
       res.status(500).json({ success: false, error: error.message });
@@ -278,12 +385,64 @@ const smsCampaignController = {
         'audienceType', 'targetCountry', 'customFilter', 'scheduledAt', 'tags', 'excludedSubscribers'
       ];
       
+      const deliveryError = smsQuietHoursService.validateDeliveryConfig(req.body.delivery);
+      if (deliveryError) {
+        return res.status(400).json({
+          success: false,
+          error: deliveryError
+        });
+      }
+      
+      const holdoutError = holdoutService.validateConfig(req.body.holdout);
+      if (holdoutError) {
+        return res.status(400).json({
+          success: false,
+          error: holdoutError
+        });
+      }
+      
+      const budgetError = smsCostService.validateBudget(req.body.budget);
+      if (budgetError) {
+        return res.status(400).json({
+          success: false,
+          error: budgetError
+        });
+      }
+      
+      if (req.body.budget !== undefined) {
+        campaign.budget.cap = req.body.budget?.cap || null;
+      }
+      
+      if (req.body.media !== undefined) {
+        const { error: mediaError, media } = await smsMediaService.validateMedia(req.body.media);
+        if (mediaError) {
+          return res.status(400).json({
+            success: false,
+            error: mediaError
+          });
+        }
+        campaign.media = media;
+      }
+      
       allowedUpdates.forEach(field => {
         if (req.body[field] !== undefined) {
           campaign[field] = req.body[field];
         }
       });
       
+      if (req.body.holdout !== undefined) {
+        campaign.holdout.percentage = req.body.holdout?.percentage || 0;
+        if (req.body.holdout?.windowDays) campaign.holdout.windowDays = req.body.holdout.windowDays;
+      }
+      
+      if (req.body.delivery) {
+        Object.entries(req.body.delivery).forEach(([key, value]) => {
+          if (['mode', 'quietHoursStart', 'quietHoursEnd', 'maxPerSecond'].includes(key)) {
+            campaign.delivery[key] = value;
+          }
+        });
+      }
+      
       // Update status based on scheduledAt
       if (req.body.scheduledAt) {
         campaign.status = 'scheduled';
@@ -292,12 +451,14 @@ const smsCampaignController = {
       
       // Refresh eligible count
       campaign.stats.eligible = await campaign.getEligibleCount();
+      const costEstimate = await refreshCostEstimate(campaign);
       
       await campaign.save();
       
       res.json({
         success: true,
-        campaign
+        campaign,
+        costEstimate
       });
       
     } catch (error) {
@@ -450,8 +611,16 @@ const smsCampaignController = {
 
       testMessage = `[TEST] ${testMessage}`;
 
+      // MMS or SMS + link, same decision as the real send if the phone is a subscriber
+      const testRecipient = await SmsSubscriber.findOne({ phone: formattedPhone })
+        .select('countryCode location.countryCode carrier lineType')
+        .lean();
+      const prepared = smsMediaService.prepare(testRecipient || {}, testMessage, campaign.media);
+
       // Send SMS
-      const result = await telnyxService.sendSms(formattedPhone, testMessage);
+      const result = await telnyxService.sendSms(formattedPhone, prepared.text, {
+        mediaUrls: prepared.mediaUrls
+      });
       
       if (result.success) {
         // Record test send
@@ -464,7 +633,9 @@ const smsCampaignController = {
           message: 'Test SMS sent successfully',
           messageId: result.messageId,
           phone: formattedPhone,
-          segments: campaign.segments
+          segments: campaign.segments,
+          mms: prepared.mms,
+          mmsFallbackReason: prepared.fallbackReason
         });
       } else {
         res.status(400).json({
@@ -506,16 +677,31 @@ const smsCampaignController = {
         });
       }
       
+      const now = new Date();
+      
       // Get eligible subscribers
-      const subscribers = await campaign.getEligibleSubscribers();
+      const eligible = await campaign.getEligibleSubscribers();
       
-      if (subscribers.length === 0) {
+      if (eligible.length === 0) {
         return res.status(400).json({
           success: false,
           error: 'No eligible subscribers for this campaign'
         });
       }
       
+      // Holdout: deterministic slice withheld (recorded) for the incrementality report
+      const holdoutPercentage = campaign.holdout?.percentage || 0;
+      const subscribers = [];
+      const heldOut = [];
+      eligible.forEach(sub => {
+        if (holdoutService.isHeldOut(campaign._id.toString(), sub.phone, holdoutPercentage)) {
+          heldOut.push({ recipient: sub.phone, smsSubscriber: sub._id });
+        } else {
+          subscribers.push(sub);
+        }
+      });
+
+      
       // If dynamic discount enabled, create Shopify price rules for each percent in range
       if (campaign.dynamicDiscount?.enabled) {
         const { min, max } = campaign.dynamicDiscount;
@@ -552,27 +738,88 @@ const smsCampaignController = {
         campaign.dynamicDiscount.priceRuleIds = priceRuleIds;
       }
 
+      // Create SmsMessage records for each subscriber
+      // Subscribers in their local quiet hours are deferred to their next allowed hour
+      let deferredCount = 0;
+      let nextSendAt = null;
+      let mmsFallbackCount = 0;
+      let estimatedTotal = 0;
+
+      const messages = subscribers.map(sub => {
+        const timezone = smsQuietHoursService.resolveTimezone(sub.location?.timezone);
+        const scheduledFor = smsQuietHoursService.getScheduledTime(campaign, timezone, now);
+
+        if (scheduledFor) {
+          deferredCount++;
+          if (!nextSendAt || scheduledFor < nextSendAt) nextSendAt = scheduledFor;
+        }
+
+        // MMS, or SMS + link for recipients that can't receive it
+        const prepared = smsMediaService.prepare(sub, campaign.message, campaign.media);
+        if (prepared.fallbackReason) mmsFallbackCount++;
+
+        const estimatedCost = smsCostService.estimateMessage(sub, prepared.text, {
+          ...costContent(campaign),
+          mms: prepared.mms
+        });
+        estimatedTotal += estimatedCost;
+
+        return {
+          campaign: campaign._id,
+          subscriber: sub._id,
+          phone: sub.phone,
+          message: prepared.text,
+          mediaUrls: prepared.mediaUrls,
+          mms: prepared.mms,
+          mmsFallbackReason: prepared.fallbackReason || undefined,
+          estimatedCost,
+          countryCode: sub.location?.countryCode || sub.countryCode || 'US',
+          segments: campaign.segments,
+          discountCode: campaign.discountCode || sub.discountCode,
+          status: 'pending',
+          timezone,
+          scheduledFor: scheduledFor || undefined,
+          deferred: !!scheduledFor
+        };
+      });
+
+      // Holdout recorded once the send is committed (price rules created)
+      if (heldOut.length > 0) {
+        await holdoutService.record('sms', SmsCampaign, campaign._id, heldOut);
+      }
+      if (holdoutPercentage > 0 && !campaign.holdout.startedAt) {
+        campaign.holdout.startedAt = now;
+      }
+      
       // Update campaign status
       campaign.status = 'sending';
-      campaign.startedAt = new Date();
-      campaign.stats.eligible = subscribers.length;
+      campaign.startedAt = now;
+      campaign.stats.eligible = eligible.length;
       campaign.stats.queued = subscribers.length;
-      await campaign.save();
-
-      // Create SmsMessage records for each subscriber
-      const messages = subscribers.map(sub => ({
-        campaign: campaign._id,
-        subscriber: sub._id,
-        phone: sub.phone,
-        message: campaign.message,
+      campaign.stats.deferred = deferredCount;
+      campaign.costEstimate = {
+        total: parseFloat(estimatedTotal.toFixed(2)),
+        perMessage: subscribers.length > 0 ? parseFloat((estimatedTotal / subscribers.length).toFixed(5)) : 0,
+        recipients: subscribers.length,
         segments: campaign.segments,
-        discountCode: campaign.discountCode || sub.discountCode,
-        status: 'pending'
-      }));
+        encoding: campaign.encoding,
+        estimatedAt: now
+      };
+      await campaign.save();
 
       await SmsMessage.insertMany(messages, { ordered: false });
 
       console.log(`📱 SMS Campaign ${campaign.name} started - ${subscribers.length} messages queued`);
+      if (heldOut.length > 0) {
+        console.log(`   🧪 ${heldOut.length} held out (${holdoutPercentage}% holdout)`);
+      }
+      if (deferredCount > 0) {
+        console.log(`   🌙 ${deferredCount} deferred for quiet hours (next at ${nextSendAt.toISOString()})`);
+      }
+      if (campaign.hasMedia()) {
+        console.log(`   🖼️ MMS: ${subscribers.length - mmsFallbackCount} with media, ${mmsFallbackCount} SMS + link`);
+      }
+      console.log(`   💰 Estimated cost: $${campaign.costEstimate.total}${campaign.budget?.cap ? ` (budget cap $${campaign.budget.cap})` : ''}`);
 
       // Create pending time report for Smart Schedule analysis
       try {
@@ -591,6 +838,13 @@ const smsCampaignController = {
         success: true,
         message: 'Campaign sending started',
         totalQueued: subscribers.length,
+        heldOut: heldOut.length,
+        deferred: deferredCount,
+        nextDeferredSendAt: nextSendAt,
+        mmsFallback: mmsFallbackCount,
+        costEstimate: campaign.costEstimate,
+        // The queue pauses the campaign when the cap is reached
+        budgetCapBelowEstimate: !!campaign.budget?.cap && campaign.costEstimate.total > campaign.budget.cap,
         campaignId: campaign._id
       });
       
@@ -621,6 +875,7 @@ const smsCampaignController = {
       }
       
       campaign.status = 'paused';
+      campaign.pausedReason = 'manual';
       await campaign.save();
       
       res.json({ success: true, message: 'Campaign paused' });
@@ -645,7 +900,15 @@ const smsCampaignController = {
         return res.status(400).json({ success: false, error: 'Campaign is not paused' });
       }
       
+      if (campaign.budget?.cap && campaign.budget.committed >= campaign.budget.cap) {
+        return res.status(400).json({
+          success: false,
+          error: `Budget cap reached ($${campaign.budget.committed.toFixed(2)} of $${campaign.budget.cap}). Raise the cap to resume.`
+        });
+      }
+      
       campaign.status = 'sending';
+      campaign.pausedReason = null;
       await campaign.save();
       
       // Resume processing
@@ -720,7 +983,10 @@ const smsCampaignController = {
         sent: messageStats.sent + messageStats.delivered + messageStats.queued,
         delivered: messageStats.delivered,
         failed: messageStats.failed,
-        totalCost: messageStats.totalCost
+        totalCost: messageStats.totalCost,
+        mmsSent: messageStats.mms,
+        mmsFallback: messageStats.mmsFallback,
+        mediaCost: messageStats.mediaCost
       });
       
       campaign.updateRates();
@@ -736,10 +1002,15 @@ const smsCampaignController = {
       .select('phone conversionData convertedAt')
       .lean();
       
+      // Messages held for quiet hours and when they go out
+      const deferral = await smsQuietHoursService.getDeferralSchedule(campaign._id);
+      
       res.json({
         success: true,
         stats: campaign.stats,
         messageBreakdown: messageStats,
+        delivery: smsQuietHoursService.getDeliveryConfig(campaign),
+        deferral,
         recentConversions
       });
       
@@ -1131,6 +1402,194 @@ const smsCampaignController = {
       console.error('❌ Reprocess Conversions Error:', error);
       res.status(500).json({ success: false, error: error.message });
     }
+  },
+
+  // ==================== FREQUENCY CAP EXEMPTION ====================
+
+  /**
+   * PUT /api/sms/campaigns/:id/frequency-cap-exempt
+   * Body: { exempt: true|false } - admin only
+   */
+  async setFrequencyCapExempt(req, res) {
+    try {
+      const { exempt } = req.body || {};
+
+      if (typeof exempt !== 'boolean') {
+        return res.status(400).json({ success: false, error: 'exempt must be true or false' });
+      }
+
+      const campaign = await SmsCampaign.findByIdAndUpdate(
+        req.params.id,
+        { frequencyCapExempt: exempt },
+        { new: true }
+      ).select('name frequencyCapExempt');
+
+      if (!campaign) {
+        return res.status(404).json({ success: false, error: 'Campaign not found' });
+      }
+
+      res.json({ success: true, campaign });
+
+    } catch (error) {
+      res.status(500).json({ success: false, error: error.message });
+    }
+  },
+
+  // ==================== INCREMENTALITY (holdout) ====================
+
+  /**
+   * GET /api/sms/campaigns/:id/incrementality
+   * Treated vs. holdout conversion and revenue per recipient from Order data
+   */
+  async getIncrementality(req, res) {
+    try {
+      const campaign = await SmsCampaign.findById(req.params.id).lean();
+
+      if (!campaign) {
+        return res.status(404).json({ success: false, error: 'Campaign not found' });
+      }
+
+      if (!holdoutService.isEnabled(campaign)) {
+        return res.status(400).json({ success: false, error: 'Campaign has no holdout group' });
+      }
+
+      const report = await holdoutService.getReport('sms', campaign);
+
+      res.json({ success: true, report });
+
+    } catch (error) {
+      res.status(500).json({ success: false, error: error.message });
+    }
+  },
+
+  // ==================== COST / BUDGET ====================
+
+  /**
+   * GET /api/sms/campaigns/:id/cost
+   * Pre-send estimate vs. actual cost reported by Telnyx, by country and SMS/MMS
+   */
+  async getCostReport(req, res) {
+    try {
+      const campaign = await SmsCampaign.findById(req.params.id).lean();
+
+      if (!campaign) {
+        return res.status(404).json({ success: false, error: 'Campaign not found' });
+      }
+
+      const report = await smsCostService.getCostReport(campaign);
+
+      res.json({ success: true, report });
+
+    } catch (error) {
+      res.status(500).json({ success: false, error: error.message });
+    }
+  },
+
+  /**
+   * PUT /api/sms/campaigns/:id/budget
+   * Body: { cap } - USD, null removes the cap. Also allowed while sending/paused
+   */
+  async setBudget(req, res) {
+    try {
+      const campaign = await SmsCampaign.findById(req.params.id);
+
+      if (!campaign) {
+        return res.status(404).json({ success: false, error: 'Campaign not found' });
+      }
+
+      if (['sent', 'cancelled', 'failed'].includes(campaign.status)) {
+        return res.status(400).json({ success: false, error: `Cannot change budget of a ${campaign.status} campaign` });
+      }
+
+      const budgetError = smsCostService.validateBudget(req.body);
+      if (budgetError) {
+        return res.status(400).json({ success: false, error: budgetError });
+      }
+
+      campaign.budget.cap = req.body.cap || null;
+      if (!smsCostService.wouldExceedBudget(campaign)) {
+        campaign.budget.reachedAt = null;
+      }
+      await campaign.save();
+
+      res.json({ success: true, budget: campaign.budget });
+
+    } catch (error) {
+      res.status(500).json({ success: false, error: error.message });
+    }
+  },
+
+  // ==================== MEDIA (MMS) ====================
+
+  /**
+   * POST /api/sms/campaigns/media/validate
+   * Body: { media: [url | { url, source, cloudinaryId }] }
+   * Checks type and size before saving (uploads come from POST /api/upload/image)
+   */
+  async validateMedia(req, res) {
+    try {
+      const { error, media } = await smsMediaService.validateMedia(req.body.media || []);
+
+      if (error) {
+        return res.status(400).json({ success: false, error, limits: smsMediaService.getLimits() });
+      }
+
+      res.json({ success: true, media, limits: smsMediaService.getLimits() });
+
+    } catch (error) {
+      res.status(500).json({ success: false, error: error.message });
+    }
+  },
+
+  /**
+   * GET /api/sms/campaigns/media/apollo?product=hot-tomatoes&limit=30&cursor=
+   * Apollo-generated creatives, with an MMS-sized URL ready to use as campaign media
+   */
+  async getApolloMedia(req, res) {
+    try {
+      const { product = null, limit = 30, cursor = null } = req.query;
+
+      const result = await smsMediaService.listApolloCreatives({
+        product,
+        limit: parseInt(limit) || 30,
+        nextCursor: cursor
+      });
+
+      res.json({ success: true, ...result });
+
+    } catch (error) {
+      console.error('❌ Apollo Media Error:', error);
+      res.status(500).json({ success: false, error: error.message || 'Error listing Apollo creatives' });
+    }
+  },
+
+  // ==================== DEFERRED QUEUES (job) ====================
+
+  /**
+   * Restart queue processors for 'sending' campaigns with due messages
+   * (quiet hours ended, or the process restarted mid-send).
+   * Called by smsCampaignQueueJob, not exposed as a route.
+   */
+  async processDueQueues() {
+    const campaigns = await SmsCampaign.find({ status: 'sending' }).select('_id name').lean();
+    const started = [];
+
+    for (const campaign of campaigns) {
+      if (activeQueues.has(campaign._id.toString())) continue;
+
+      const due = await SmsMessage.getPendingForCampaign(campaign._id, 1);
+      const deferred = due.length === 0
+        ? await SmsMessage.countDeferredForCampaign(campaign._id)
+        : 0;
+
+      // Nothing due and nothing deferred: let the processor close the campaign
+      if (due.length > 0 || deferred === 0) {
+        processCampaignQueue(campaign._id);
+        started.push(campaign.name);
+      }
+    }
+
+    return started;
   }
 };
 
@@ -1159,13 +1618,21 @@ function formatPhoneForConversion(phone) {
 
 /**
  * Process SMS queue for a campaign
- * Sends ~1 SMS per second to respect rate limits
+ * Sends at the campaign's delivery.maxPerSecond and skips messages deferred
+ * for quiet hours; smsCampaignQueueJob restarts it when those come due.
  */
 async function processCampaignQueue(campaignId) {
+  const queueKey = campaignId.toString();
+  if (activeQueues.has(queueKey)) {
+    console.log(`📱 Queue processor already running for campaign ${campaignId}`);
+    return;
+  }
+  activeQueues.add(queueKey);
+
   console.log(`📱 Starting queue processor for campaign ${campaignId}`);
   
   const BATCH_SIZE = 50;
-  const DELAY_BETWEEN_SMS = 1100; // 1.1 seconds (safe rate limit)
+  let lastSentAt = 0;
   
   try {
     while (true) {
@@ -1181,6 +1648,13 @@ async function processCampaignQueue(campaignId) {
       const pendingMessages = await SmsMessage.getPendingForCampaign(campaignId, BATCH_SIZE);
       
       if (pendingMessages.length === 0) {
+        // Messages held for quiet hours: leave the campaign 'sending' until they come due
+        const deferredPending = await SmsMessage.countDeferredForCampaign(campaignId);
+        if (deferredPending > 0) {
+          console.log(`🌙 Campaign ${campaign.name}: ${deferredPending} message(s) waiting for quiet hours to end`);
+          break;
+        }
+
         // No more messages - campaign complete
         campaign.status = 'sent';
         campaign.completedAt = new Date();
@@ -1209,15 +1683,67 @@ async function processCampaignQueue(campaignId) {
         break;
       }
       
+      const sendInterval = smsQuietHoursService.getSendInterval(campaign);
+
+      // Global frequency capping (email + SMS + flows)
+      let cappedPhones = new Set();
+      try {
+        cappedPhones = await contactPressureService.evaluateSmsBatch(
+          campaign,
+          pendingMessages.map(m => m.phone)
+        );
+      } catch (capError) {
+        console.error(`⚠️ Frequency cap check failed, sending anyway:`, capError.message);
+      }
+
       // Process each message
       for (const msg of pendingMessages) {
         // Re-check campaign status
-        const currentStatus = await SmsCampaign.findById(campaignId).select('status');
+        const currentStatus = await SmsCampaign.findById(campaignId).select('status budget');
         if (currentStatus?.status !== 'sending') {
           console.log(`📱 Campaign paused/cancelled during processing`);
           return;
         }
 
+        // Hard budget cap: pause before this message would go over it
+        if (smsCostService.wouldExceedBudget(currentStatus, msg.estimatedCost || 0)) {
+          await SmsCampaign.findOneAndUpdate(
+            { _id: campaignId, status: 'sending' },
+            { status: 'paused', pausedReason: 'budget_cap', 'budget.reachedAt': new Date() }
+          );
+          console.log(`💰 Campaign ${campaign.name} paused: budget cap $${currentStatus.budget.cap} reached ($${(currentStatus.budget.committed || 0).toFixed(2)} committed)`);
+          return;
+        }
+
+        // The queue may have run into the subscriber's quiet hours since it was built
+        const deferUntil = smsQuietHoursService.getScheduledTime(campaign, msg.timezone);
+        if (deferUntil) {
+          await SmsMessage.findByIdAndUpdate(msg._id, { scheduledFor: deferUntil, deferred: true });
+          if (!msg.deferred) {
+            await SmsCampaign.findByIdAndUpdate(campaignId, { $inc: { 'stats.deferred': 1 } });
+          }
+          continue;
+        }
+
+        if (cappedPhones.has(msg.phone)) {
+          await SmsMessage.findByIdAndUpdate(msg._id, {
+            status: 'skipped',
+            skipReason: 'frequency_capped',
+            skippedAt: new Date()
+          });
+          await SmsCampaign.findByIdAndUpdate(campaignId, {
+            $inc: { 'stats.frequencyCapped': 1, 'stats.queued': -1 }
+          });
+          continue;
+        }
+
+        // Throughput cap (delivery.maxPerSecond)
+        const wait = sendInterval - (Date.now() - lastSentAt);
+        if (wait > 0) {
+          await sleep(wait);
+        }
+        lastSentAt = Date.now();
+
         try {
           let finalMessage = msg.message;
           let assignedPercent = null;
@@ -1271,8 +1797,10 @@ async function processCampaignQueue(campaignId) {
             console.log(`⚠️ URL shortening failed, using original message:`, urlError.message);
           }
 
-          // Send SMS with processed message
-          const result = await telnyxService.sendSms(msg.phone, finalMessage);
+          // Send SMS with processed message (MMS if media was assigned at queue time)
+          const result = await telnyxService.sendSms(msg.phone, finalMessage, {
+            mediaUrls: msg.mediaUrls
+          });
 
           // Update message record (include dynamic discount data)
           const updateData = {
@@ -1285,6 +1813,10 @@ async function processCampaignQueue(campaignId) {
             carrier: result.carrier
           };
 
+          if (result.cost !== null && result.cost !== undefined) {
+            updateData.cost = result.cost;
+          }
+
           if (assignedPercent !== null) {
             updateData.discountCode = assignedCode;
             updateData.discountPercent = assignedPercent;
@@ -1294,9 +1826,23 @@ async function processCampaignQueue(campaignId) {
 
           // Update campaign stats
           if (result.success) {
-            await SmsCampaign.findByIdAndUpdate(campaignId, {
-              $inc: { 'stats.sent': 1, 'stats.queued': -1 }
-            });
+            // Telnyx cost when the send response has it; estimate until the webhook reports it
+            const sentInc = {
+              'stats.sent': 1,
+              'stats.queued': -1,
+              'budget.committed': result.cost ?? msg.estimatedCost ?? 0
+            };
+            if (msg.mms) sentInc['stats.mmsSent'] = 1;
+            if (msg.mmsFallbackReason) sentInc['stats.mmsFallback'] = 1;
+
+            await SmsCampaign.findByIdAndUpdate(campaignId, { $inc: sentInc });
+
+            await contactPressureService.recordContacts([{
+              channel: 'sms',
+              source: 'sms_campaign',
+              phone: msg.phone,
+              smsCampaign: campaignId
+            }]);
           } else {
             await SmsCampaign.findByIdAndUpdate(campaignId, {
               $inc: { 'stats.failed': 1, 'stats.queued': -1 }
@@ -1316,9 +1862,6 @@ async function processCampaignQueue(campaignId) {
             $inc: { 'stats.failed': 1, 'stats.queued': -1 }
           });
         }
-
-        // Rate limit delay
-        await sleep(DELAY_BETWEEN_SMS);
       }
     }
     
@@ -1330,6 +1873,8 @@ async function processCampaignQueue(campaignId) {
       status: 'failed',
       notes: `Queue processor error: ${error.message}`
     });
+  } finally {
+    activeQueues.delete(queueKey);
   }
 }
 
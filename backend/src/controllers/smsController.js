@@ -66,6 +66,28 @@ try {
   console.log('⚠️  SMS Controller: Delayed Shipment Job not available');
 }
 
+// Cargar smsInboxService de forma segura
+let smsInboxService = null;
+try {
+  smsInboxService = require('../services/smsInboxService');
+  console.log('📱 SMS Controller: Inbox service loaded');
+} catch (e) {
+  console.log('⚠️  SMS Controller: Inbox service not available');
+}
+
+// Ledger de consentimiento + double opt-in
+const smsConsentService = require('../services/smsConsentService');
+const smsMediaService = require('../services/smsMediaService');
+
+// Cargar smsKeywordService de forma segura
+let smsKeywordService = null;
+try {
+  smsKeywordService = require('../services/smsKeywordService');
+  console.log('📱 SMS Controller: Keyword service loaded');
+} catch (e) {
+  console.log('⚠️  SMS Controller: Keyword service not available');
+}
+
 const smsController = {
   // ==================== SUSCRIBIR NUEVO NÚMERO ====================
   
@@ -75,7 +97,7 @@ const smsController = {
    */
   async subscribe(req, res) {
     try {
-      const { phone, source = 'popup', sourceUrl, deviceType, consent, consentTimestamp, pageUrl } = req.body;
+      const { phone, source = 'popup', sourceUrl, deviceType, consent, consentTimestamp, pageUrl, disclosureText } = req.body;
 
       // Validar teléfono
       const formattedPhone = telnyxService.formatPhoneNumber(phone);
@@ -86,6 +108,28 @@ const smsController = {
         });
       }
 
+      // 🆕 Obtener geolocalización por IP
+      // Prioridad: CF-Connecting-IP (Cloudflare) > X-Real-IP > X-Forwarded-For > req.ip
+      const clientIp =
+        req.headers['cf-connecting-ip'] ||  // Cloudflare real IP
+        req.headers['x-real-ip'] ||          // Nginx real IP
+        req.headers['x-forwarded-for']?.split(',')[0]?.trim() ||
+        req.ip ||
+        req.connection?.remoteAddress;
+
+      // 📜 Evidencia de consentimiento para el ledger
+      const clientTimestamp = consentTimestamp ? new Date(consentTimestamp) : null;
+      const consentContext = {
+        disclosureText,
+        consentCheckbox: consent === undefined ? undefined : consent === true || consent === 'true',
+        clientTimestamp: clientTimestamp && !isNaN(clientTimestamp.getTime()) ? clientTimestamp : undefined,
+        ipAddress: clientIp,
+        userAgent: req.headers['user-agent'],
+        sourceUrl,
+        pageUrl
+      };
+      const doubleOptIn = smsConsentService.isDoubleOptInEnabled();
+
       // Verificar si ya existe
       let subscriber = await SmsSubscriber.findOne({ phone: formattedPhone });
       
@@ -99,9 +143,38 @@ const smsController = {
             alreadySubscribed: true
           });
         }
+
+        // Double opt-in pendiente: reenviar la confirmación
+        if (subscriber.status === 'pending_confirmation') {
+          const confirmResult = await smsConsentService.requestConfirmation(subscriber, consentContext);
+
+          return res.json({
+            success: true,
+            message: 'Almost done! Reply Y to the text we sent to confirm your subscription.',
+            pendingConfirmation: true,
+            smsSent: confirmResult.success && !confirmResult.skipped
+          });
+        }
         
         // Si estaba unsubscribed, reactivar
         if (subscriber.status === 'unsubscribed') {
+          if (doubleOptIn) {
+            subscriber.status = 'pending_confirmation';
+            subscriber.confirmationRequestedAt = null;
+            subscriber.confirmationRequests = 0;
+            await subscriber.save();
+
+            const confirmResult = await smsConsentService.requestConfirmation(subscriber, consentContext);
+
+            return res.json({
+              success: true,
+              message: 'Welcome back! Reply Y to the text we sent to confirm your subscription.',
+              pendingConfirmation: true,
+              resubscribed: true,
+              smsSent: confirmResult.success
+            });
+          }
+
           subscriber.status = 'active';
           subscriber.subscribedAt = new Date();
           subscriber.unsubscribedAt = null;
@@ -115,6 +188,15 @@ const smsController = {
             subscriber.discountPercent,
             subscriber._id // Pass subscriber ID for logging
           );
+
+          await smsConsentService.record({
+            phone: formattedPhone,
+            subscriber: subscriber._id,
+            type: 're_opt_in',
+            source: subscriber.source,
+            ...smsConsentService.consentFields(consentContext),
+            outboundMessageId: smsResult.messageId
+          });
           
           return res.json({
             success: true,
@@ -125,36 +207,33 @@ const smsController = {
           });
         }
       }
-      
-      // ========== NUEVO SUSCRIPTOR ==========
-      
-      // Generar código de descuento único (15% OFF)
-      const discountCode = await generateDiscountCode();
-      console.log(`🎟️  Generated discount code: ${discountCode}`);
-      
-      // Crear código en Shopify (sin expiración para el primero)
-      let shopifyDiscount = null;
-      try {
-        shopifyDiscount = await createShopifyDiscountCode(discountCode, 15);
-        if (shopifyDiscount) {
-          console.log(`✅ Shopify discount created: ${discountCode}`);
-        }
-      } catch (err) {
-        console.error('⚠️  Error creating Shopify discount:', err.message);
-      }
 
       // Normalizar source para que sea válido en el enum
       const validSources = ['popup', 'checkout', 'manual', 'import', 'landing_page', 'website-popup-sms', 'api', 'test'];
       const normalizedSource = validSources.includes(source) ? source : 'popup';
 
-      // 🆕 Obtener geolocalización por IP
-      // Prioridad: CF-Connecting-IP (Cloudflare) > X-Real-IP > X-Forwarded-For > req.ip
-      const clientIp =
-        req.headers['cf-connecting-ip'] ||  // Cloudflare real IP
-        req.headers['x-real-ip'] ||          // Nginx real IP
-        req.headers['x-forwarded-for']?.split(',')[0]?.trim() ||
-        req.ip ||
-        req.connection?.remoteAddress;
+      // ========== NUEVO SUSCRIPTOR ==========
+
+      // Double opt-in: sin código ni welcome hasta que responda Y (confirmDoubleOptIn)
+      let discountCode = null;
+      let shopifyDiscount = null;
+
+      if (!doubleOptIn) {
+        // Generar código de descuento único (15% OFF)
+        discountCode = await generateDiscountCode();
+        console.log(`🎟️  Generated discount code: ${discountCode}`);
+
+        // Crear código en Shopify (sin expiración para el primero)
+        try {
+          shopifyDiscount = await createShopifyDiscountCode(discountCode, 15);
+          if (shopifyDiscount) {
+            console.log(`✅ Shopify discount created: ${discountCode}`);
+          }
+        } catch (err) {
+          console.error('⚠️  Error creating Shopify discount:', err.message);
+        }
+      }
+
       let location = null;
       if (geoLocationService && clientIp) {
         try {
@@ -169,10 +248,11 @@ const smsController = {
       subscriber = new SmsSubscriber({
         phone: formattedPhone,
         phoneFormatted: telnyxService.formatForDisplay ? telnyxService.formatForDisplay(formattedPhone) : formattedPhone,
-        discountCode,
+        discountCode: discountCode || undefined,
         discountPercent: 15,
-        status: 'active',
+        status: doubleOptIn ? 'pending_confirmation' : 'active',
         source: normalizedSource,
+        sourceUrl,
         shopifyPriceRuleId: shopifyDiscount?.priceRuleId || null,
         shopifyDiscountCodeId: shopifyDiscount?.discountId || null,
         ipAddress: clientIp,
@@ -198,36 +278,35 @@ const smsController = {
       });
 
       await subscriber.save();
-      console.log(`📱 New SMS subscriber created: ${formattedPhone}`);
 
-      // Enviar SMS de bienvenida (15% OFF)
-      const smsResult = await telnyxService.sendWelcomeSms(
-        formattedPhone,
-        subscriber.discountCode,
-        subscriber.discountPercent,
-        subscriber._id // Pass subscriber ID for logging
-      );
+      if (doubleOptIn) {
+        const confirmResult = await smsConsentService.requestConfirmation(subscriber, consentContext);
+        console.log(`📱 New SMS subscriber pending confirmation: ${formattedPhone}`);
 
-      if (smsResult.success) {
-        subscriber.welcomeSmsSent = true;
-        subscriber.welcomeSmsAt = new Date(); // 🆕 Renamed from welcomeSmsSentAt
-        subscriber.welcomeSmsMessageId = smsResult.messageId;
-        subscriber.welcomeSmsStatus = smsResult.status || 'sent';
-        subscriber.carrier = smsResult.carrier;
-        // Map Telnyx lineType to model enum values
-        const lineTypeMap = { 'wireless': 'mobile', 'mobile': 'mobile', 'landline': 'landline', 'voip': 'voip' };
-        subscriber.lineType = lineTypeMap[smsResult.lineType?.toLowerCase()] || 'unknown';
-        subscriber.totalSmsSent = 1;
-        subscriber.totalSmsReceived = 1;
-        console.log(`✅ Welcome SMS (15% OFF) sent to ${formattedPhone} - ID: ${smsResult.messageId}`);
-      } else {
-        subscriber.welcomeSmsStatus = 'failed';
-        subscriber.welcomeSmsError = smsResult.error;
-        subscriber.status = 'invalid';
-        console.log(`❌ Welcome SMS failed to ${formattedPhone}: ${smsResult.error}`);
+        return res.status(201).json({
+          success: true,
+          message: confirmResult.success
+            ? 'Almost done! Reply Y to the text we just sent to confirm and get your discount code.'
+            : 'There was an error sending the confirmation text. Please try again.',
+          pendingConfirmation: true,
+          smsSent: confirmResult.success,
+          smsError: confirmResult.error
+        });
       }
 
-      await subscriber.save();
+      console.log(`📱 New SMS subscriber created: ${formattedPhone}`);
+
+      // Enviar SMS de bienvenida (15% OFF)
+      const smsResult = await deliverWelcomeSms(subscriber);
+
+      await smsConsentService.record({
+        phone: formattedPhone,
+        subscriber: subscriber._id,
+        type: 'opt_in',
+        source: normalizedSource,
+        ...smsConsentService.consentFields(consentContext),
+        outboundMessageId: smsResult.messageId
+      });
 
       res.status(201).json({
         success: true,
@@ -1003,6 +1082,69 @@ function getConversionStatus(sub) {
   return 'waiting';
 }
 
+/**
+ * Envía el welcome SMS (código 15% OFF) y guarda el resultado en el subscriber.
+ * Lo usan el alta directa y la confirmación del double opt-in
+ */
+async function deliverWelcomeSms(subscriber) {
+  const smsResult = await telnyxService.sendWelcomeSms(
+    subscriber.phone,
+    subscriber.discountCode,
+    subscriber.discountPercent,
+    subscriber._id // Pass subscriber ID for logging
+  );
+
+  if (smsResult.success) {
+    subscriber.welcomeSmsSent = true;
+    subscriber.welcomeSmsAt = new Date(); // 🆕 Renamed from welcomeSmsSentAt
+    subscriber.welcomeSmsMessageId = smsResult.messageId;
+    subscriber.welcomeSmsStatus = smsResult.status || 'sent';
+    subscriber.carrier = smsResult.carrier;
+    // Map Telnyx lineType to model enum values
+    const lineTypeMap = { 'wireless': 'mobile', 'mobile': 'mobile', 'landline': 'landline', 'voip': 'voip' };
+    subscriber.lineType = lineTypeMap[smsResult.lineType?.toLowerCase()] || 'unknown';
+    subscriber.totalSmsSent = (subscriber.totalSmsSent || 0) + 1;
+    subscriber.totalSmsReceived = (subscriber.totalSmsReceived || 0) + 1;
+    console.log(`✅ Welcome SMS (${subscriber.discountPercent}% OFF) sent to ${subscriber.phone} - ID: ${smsResult.messageId}`);
+  } else {
+    subscriber.welcomeSmsStatus = 'failed';
+    subscriber.welcomeSmsError = smsResult.error;
+    subscriber.status = 'invalid';
+    console.log(`❌ Welcome SMS failed to ${subscriber.phone}: ${smsResult.error}`);
+  }
+
+  await subscriber.save();
+  return smsResult;
+}
+
+/**
+ * Respuesta Y (o START) de un subscriber en pending_confirmation: activa,
+ * registra opt_in_confirmed y recién ahora crea el código y envía el welcome
+ */
+async function confirmDoubleOptIn(subscriber, webhookData) {
+  await smsConsentService.confirm(subscriber, {
+    inboundMessageId: webhookData.messageId,
+    text: webhookData.text
+  });
+
+  if (!subscriber.discountCode) {
+    subscriber.discountCode = await generateDiscountCode();
+    subscriber.discountPercent = subscriber.discountPercent || 15;
+
+    try {
+      const shopifyDiscount = await createShopifyDiscountCode(subscriber.discountCode, subscriber.discountPercent);
+      subscriber.shopifyPriceRuleId = shopifyDiscount?.priceRuleId || null;
+      subscriber.shopifyDiscountCodeId = shopifyDiscount?.discountId || null;
+    } catch (err) {
+      console.error('⚠️  Error creating Shopify discount:', err.message);
+    }
+
+    await subscriber.save();
+  }
+
+  return deliverWelcomeSms(subscriber);
+}
+
 /**
  * Genera código de descuento único JP-XXXXX (first) o JP2-XXXXX (second)
  */
@@ -1261,6 +1403,13 @@ async function updateSmsStatus(webhookData) {
       });
 
       if (campaignMessage) {
+        // Budget: replace the estimate with Telnyx's cost the first time it's reported
+        // (before updateFromWebhook, which also writes cost)
+        if (webhookData.cost > 0) {
+          const smsCostService = require('../services/smsCostService');
+          await smsCostService.recordActualCost(campaignMessage, webhookData.cost);
+        }
+
         // Update message status
         await campaignMessage.updateFromWebhook(webhookData);
 
@@ -1302,6 +1451,16 @@ async function handleInboundSms(webhookData) {
 
     const subscriber = await SmsSubscriber.findOne({ phone: fromPhone });
 
+    // Keyword de admin (PICKLES, RECIPE...). STOP/START/HELP son reservados y no matchean
+    let keyword = null;
+    if (smsKeywordService) {
+      try {
+        keyword = await smsKeywordService.match(webhookData.text);
+      } catch (kwErr) {
+        console.error('Error matching SMS keyword:', kwErr.message);
+      }
+    }
+
     // Log inbound message to conversation history
     try {
       await SmsConversation.logInbound({
@@ -1309,13 +1468,38 @@ async function handleInboundSms(webhookData) {
         to: webhookData.toPhone,
         message: webhookData.text || '',
         messageId: webhookData.messageId,
-        subscriberId: subscriber?._id
+        subscriberId: subscriber?._id,
+        messageType: keyword ? 'keyword' : undefined,
+        metadata: keyword ? { keywordId: keyword._id.toString(), keyword: keyword.keyword } : undefined
       });
       console.log(`💬 Logged inbound SMS from ${fromPhone}`);
     } catch (logErr) {
       console.error('Error logging inbound SMS:', logErr.message);
     }
 
+    // Inbox: +1 no leído y reabrir el thread (los keywords se responden solos)
+    if (smsInboxService) {
+      try {
+        await smsInboxService.registerInbound(fromPhone, {
+          message: webhookData.text || '',
+          subscriberId: subscriber?._id,
+          unread: !keyword
+        });
+      } catch (inboxErr) {
+        console.error('Error updating SMS inbox thread:', inboxErr.message);
+      }
+    }
+
+    if (keyword) {
+      await smsKeywordService.handle(keyword, {
+        phone: fromPhone,
+        text: webhookData.text,
+        subscriber,
+        messageId: webhookData.messageId
+      });
+      return;
+    }
+
     if (!subscriber) {
       console.log(`📨 Inbound SMS from unknown number: ${fromPhone}`);
       return;
@@ -1374,6 +1558,17 @@ async function handleInboundSms(webhookData) {
       // Record unsubscribe with analytics
       await subscriber.recordUnsubscribe(unsubData);
 
+      await smsConsentService.record({
+        phone: fromPhone,
+        subscriber: subscriber._id,
+        type: 'opt_out',
+        source: 'reply_stop',
+        keyword: keywordUsed.toUpperCase(),
+        inboundMessageId: webhookData.messageId,
+        messageText: webhookData.text,
+        metadata: lastCampaignId ? { campaignId: lastCampaignId.toString() } : undefined
+      });
+
       console.log(`   Keyword: ${keywordUsed.toUpperCase()}`);
       console.log(`   After SMS: ${subscriber.unsubscribeAfterSms}`);
       console.log(`   SMS count: ${subscriber.smsCountBeforeUnsub}`);
@@ -1382,31 +1577,37 @@ async function handleInboundSms(webhookData) {
       // Nota: Telnyx maneja automáticamente la confirmación de STOP
       // No podemos enviar mensajes después de que el usuario envía STOP
 
+    } else if (subscriber.status === 'pending_confirmation' &&
+               (smsConsentService.isConfirmationReply(text) || optInKeywords.some(kw => text === kw || text.startsWith(kw + ' ')))) {
+      // ==================== Y - CONFIRMAR DOUBLE OPT-IN ====================
+      await confirmDoubleOptIn(subscriber, webhookData);
+
     } else if (optInKeywords.some(kw => text === kw || text.startsWith(kw + ' '))) {
       // ==================== START - RE-SUBSCRIBE ====================
 
       if (subscriber.status === 'unsubscribed') {
-        subscriber.status = 'active';
-        subscriber.subscribedAt = new Date();
-        // Clear unsubscribe data
-        subscriber.unsubscribedAt = null;
-        subscriber.unsubscribeReason = null;
-        subscriber.unsubscribeSource = null;
-        subscriber.unsubscribeAfterSms = null;
-        subscriber.timeToUnsubscribe = null;
-        subscriber.smsCountBeforeUnsub = null;
-        subscriber.unsubscribeFeedback = null;
-        subscriber.unsubscribeKeyword = null;
-        subscriber.unsubscribeCampaignId = null;
-        await subscriber.save();
+        await subscriber.resubscribe();
 
         console.log(`✅ Re-subscribed via SMS START: ${fromPhone}`);
 
+        let startResult = null;
         try {
-          await telnyxService.sendStartConfirmation(fromPhone, subscriber._id);
+          startResult = await telnyxService.sendStartConfirmation(fromPhone, subscriber._id);
         } catch (e) {
           console.log('Could not send START confirmation:', e.message);
         }
+
+        await smsConsentService.record({
+          phone: fromPhone,
+          subscriber: subscriber._id,
+          type: 're_opt_in',
+          source: 'reply_start',
+          keyword: text.split(' ')[0].toUpperCase(),
+          disclosureSource: 'sms',
+          inboundMessageId: webhookData.messageId,
+          outboundMessageId: startResult?.messageId,
+          messageText: webhookData.text
+        });
       } else {
         console.log(`📨 START from already active subscriber: ${fromPhone}`);
       }
@@ -1493,9 +1694,24 @@ smsController.updateTriggersSettings = async (req, res) => {
         });
       }
     } else {
-      // New format: { [triggerType]: { enabled, template } }
+      // New format: { [triggerType]: { enabled, template, media } }
       const validTriggers = ['order_confirmation', 'shipping_notification', 'delivery_confirmation'];
 
+      // MMS: validar tipo y tamaño de todas antes de guardar nada
+      const validatedMedia = {};
+      for (const [triggerType, config] of Object.entries(body)) {
+        if (!validTriggers.includes(triggerType) || config?.media === undefined) continue;
+
+        const { error, media } = await smsMediaService.validateMedia(config.media);
+        if (error) {
+          return res.status(400).json({
+            success: false,
+            error: `${triggerType}: ${error}`
+          });
+        }
+        validatedMedia[triggerType] = media;
+      }
+
       for (const [triggerType, config] of Object.entries(body)) {
         if (!validTriggers.includes(triggerType)) continue;
 
@@ -1505,6 +1721,9 @@ smsController.updateTriggersSettings = async (req, res) => {
           ...smsTransactionalService.getSettings()[triggerType],
           ...config
         };
+        if (validatedMedia[triggerType]) {
+          newSettings[triggerType].media = validatedMedia[triggerType];
+        }
         smsTransactionalService.updateSettings(newSettings);
       }
     }
@@ -1896,10 +2115,22 @@ smsController.getConversationThread = async (req, res) => {
       .select('phone phoneFormatted firstName lastName status discountCode secondDiscountCode converted convertedWith')
       .lean();
 
+    // Inbox: estado del thread + Customer y última Order
+    let thread = null;
+    let context = null;
+    if (smsInboxService) {
+      thread = await smsInboxService.ensureThread(formattedPhone);
+      await thread.populate('assignedTo', 'email firstName lastName');
+      context = await smsInboxService.getContext(formattedPhone);
+    }
+
     res.json({
       success: true,
       phone: formattedPhone,
       subscriber,
+      thread,
+      customer: context?.customer || null,
+      latestOrder: context?.latestOrder || null,
       messages,
       count: messages.length
     });
@@ -1913,6 +2144,400 @@ smsController.getConversationThread = async (req, res) => {
   }
 };
 
+// ==================== 💬 SMS INBOX (AGENT REPLIES) ====================
+
+/**
+ * Teléfono de req.params normalizado; responde 400/503 si no se puede usar
+ */
+function resolveInboxPhone(req, res) {
+  if (!smsInboxService) {
+    res.status(503).json({
+      success: false,
+      error: 'SMS Inbox service not available'
+    });
+    return null;
+  }
+
+  const phone = telnyxService.formatPhoneNumber(req.params.phone);
+  if (!phone) {
+    res.status(400).json({
+      success: false,
+      error: 'Invalid phone number'
+    });
+    return null;
+  }
+
+  return phone;
+}
+
+/**
+ * GET /api/sms/conversations/inbox
+ * Threads del inbox (status, assignedTo = me|unassigned|userId, unread)
+ */
+smsController.getInbox = async (req, res) => {
+  try {
+    if (!smsInboxService) {
+      return res.status(503).json({ success: false, error: 'SMS Inbox service not available' });
+    }
+
+    const { page = 1, limit = 50, status = 'open', assignedTo = null, unread = 'false' } = req.query;
+
+    const result = await smsInboxService.listThreads({
+      page: parseInt(page),
+      limit: Math.min(parseInt(limit) || 50, 200),
+      status,
+      assignedTo,
+      unread: unread === 'true',
+      userId: req.user?._id || null
+    });
+
+    res.json({
+      success: true,
+      ...result
+    });
+
+  } catch (error) {
+    console.error('❌ Get SMS Inbox Error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Error getting inbox'
+    });
+  }
+};
+
+/**
+ * GET /api/sms/conversations/unread
+ * Conteos de no leídos (badge del dashboard)
+ */
+smsController.getInboxUnread = async (req, res) => {
+  try {
+    if (!smsInboxService) {
+      return res.status(503).json({ success: false, error: 'SMS Inbox service not available' });
+    }
+
+    const counts = await smsInboxService.getUnreadCounts(req.user?._id || null);
+
+    res.json({
+      success: true,
+      ...counts
+    });
+
+  } catch (error) {
+    console.error('❌ Get SMS Inbox Unread Error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Error getting unread counts'
+    });
+  }
+};
+
+/**
+ * POST /api/sms/conversations/thread/:phone/reply
+ * Body: { message?, cannedResponseId? } - merge fields se rellenan con Customer/Order
+ */
+smsController.replyToThread = async (req, res) => {
+  try {
+    const phone = resolveInboxPhone(req, res);
+    if (!phone) return;
+
+    const { message, cannedResponseId } = req.body;
+
+    const result = await smsInboxService.reply(phone, {
+      message,
+      cannedResponseId,
+      user: req.user || null
+    });
+
+    if (!result.success) {
+      return res.status(result.skipped ? 503 : 400).json(result);
+    }
+
+    res.json(result);
+
+  } catch (error) {
+    console.error('❌ SMS Inbox Reply Error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Error sending reply'
+    });
+  }
+};
+
+/**
+ * POST /api/sms/conversations/thread/:phone/preview
+ * Renderiza merge fields sin enviar
+ */
+smsController.previewThreadReply = async (req, res) => {
+  try {
+    const phone = resolveInboxPhone(req, res);
+    if (!phone) return;
+
+    const { message, cannedResponseId } = req.body;
+    const result = await smsInboxService.buildReply(phone, { message, cannedResponseId });
+
+    if (!result.success) {
+      return res.status(400).json(result);
+    }
+
+    res.json({
+      success: true,
+      text: result.text,
+      length: result.text.length,
+      missingFields: result.missing
+    });
+
+  } catch (error) {
+    console.error('❌ SMS Inbox Preview Error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Error rendering reply'
+    });
+  }
+};
+
+/**
+ * PUT /api/sms/conversations/thread/:phone/status
+ * Body: { status: 'open'|'closed'|'snoozed', snoozedUntil? }
+ */
+smsController.updateThreadStatus = async (req, res) => {
+  try {
+    const phone = resolveInboxPhone(req, res);
+    if (!phone) return;
+
+    const { status, snoozedUntil } = req.body;
+    const result = await smsInboxService.setStatus(phone, status, {
+      snoozedUntil,
+      userId: req.user?._id || null
+    });
+
+    if (!result.success) {
+      return res.status(400).json(result);
+    }
+
+    res.json(result);
+
+  } catch (error) {
+    console.error('❌ SMS Inbox Status Error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Error updating thread status'
+    });
+  }
+};
+
+/**
+ * PUT /api/sms/conversations/thread/:phone/assign
+ * Body: { userId } (null = desasignar)
+ */
+smsController.assignThread = async (req, res) => {
+  try {
+    const phone = resolveInboxPhone(req, res);
+    if (!phone) return;
+
+    const { userId = null } = req.body;
+    const result = await smsInboxService.assign(phone, userId);
+
+    if (!result.success) {
+      return res.status(400).json(result);
+    }
+
+    res.json(result);
+
+  } catch (error) {
+    console.error('❌ SMS Inbox Assign Error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Error assigning thread'
+    });
+  }
+};
+
+/**
+ * POST /api/sms/conversations/thread/:phone/read
+ * Marca el thread como leído
+ */
+smsController.markThreadRead = async (req, res) => {
+  try {
+    const phone = resolveInboxPhone(req, res);
+    if (!phone) return;
+
+    const thread = await smsInboxService.markRead(phone);
+
+    if (!thread) {
+      return res.status(404).json({
+        success: false,
+        error: 'Thread not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      thread
+    });
+
+  } catch (error) {
+    console.error('❌ SMS Inbox Mark Read Error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Error marking thread as read'
+    });
+  }
+};
+
+// ==================== 💬 CANNED RESPONSES ====================
+
+/**
+ * GET /api/sms/conversations/canned-responses
+ * Respuestas guardadas + merge fields disponibles
+ */
+smsController.getCannedResponses = async (req, res) => {
+  try {
+    if (!smsInboxService) {
+      return res.status(503).json({ success: false, error: 'SMS Inbox service not available' });
+    }
+
+    const { category = null, includeInactive = 'false' } = req.query;
+    const cannedResponses = await smsInboxService.listCannedResponses({
+      category,
+      includeInactive: includeInactive === 'true'
+    });
+
+    res.json({
+      success: true,
+      cannedResponses,
+      mergeFields: smsInboxService.getMergeFields()
+    });
+
+  } catch (error) {
+    console.error('❌ Get Canned Responses Error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Error getting canned responses'
+    });
+  }
+};
+
+/**
+ * POST /api/sms/conversations/canned-responses
+ * Body: { name, body, shortcut?, category? }
+ */
+smsController.createCannedResponse = async (req, res) => {
+  try {
+    if (!smsInboxService) {
+      return res.status(503).json({ success: false, error: 'SMS Inbox service not available' });
+    }
+
+    const result = await smsInboxService.createCannedResponse(req.body, req.user?._id || null);
+
+    if (!result.success) {
+      return res.status(400).json(result);
+    }
+
+    res.status(201).json(result);
+
+  } catch (error) {
+    console.error('❌ Create Canned Response Error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Error creating canned response'
+    });
+  }
+};
+
+/**
+ * PUT /api/sms/conversations/canned-responses/:id
+ */
+smsController.updateCannedResponse = async (req, res) => {
+  try {
+    if (!smsInboxService) {
+      return res.status(503).json({ success: false, error: 'SMS Inbox service not available' });
+    }
+
+    const result = await smsInboxService.updateCannedResponse(req.params.id, req.body);
+
+    if (!result.success) {
+      return res.status(result.error === 'Canned response not found' ? 404 : 400).json(result);
+    }
+
+    res.json(result);
+
+  } catch (error) {
+    console.error('❌ Update Canned Response Error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Error updating canned response'
+    });
+  }
+};
+
+/**
+ * DELETE /api/sms/conversations/canned-responses/:id
+ */
+smsController.deleteCannedResponse = async (req, res) => {
+  try {
+    if (!smsInboxService) {
+      return res.status(503).json({ success: false, error: 'SMS Inbox service not available' });
+    }
+
+    const deleted = await smsInboxService.deleteCannedResponse(req.params.id);
+
+    if (!deleted) {
+      return res.status(404).json({
+        success: false,
+        error: 'Canned response not found'
+      });
+    }
+
+    res.json({ success: true });
+
+  } catch (error) {
+    console.error('❌ Delete Canned Response Error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Error deleting canned response'
+    });
+  }
+};
+
+// ==================== 📜 CONSENT LEDGER ====================
+
+/**
+ * GET /api/sms/consent/:phone?format=json|csv
+ * Historial de consentimiento de un teléfono (opt-in, confirmación, bajas) con
+ * disclosure, IP y message IDs, + verificación de la cadena de hashes
+ */
+smsController.getConsentHistory = async (req, res) => {
+  try {
+    const phone = telnyxService.formatPhoneNumber(req.params.phone);
+    if (!phone) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid phone number'
+      });
+    }
+
+    const history = await smsConsentService.exportForPhone(phone);
+
+    if (req.query.format === 'csv') {
+      res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+      res.setHeader('Content-Disposition', `attachment; filename="sms-consent-${phone.replace(/\D/g, '')}.csv"`);
+      return res.send(smsConsentService.toCsv(history.events));
+    }
+
+    res.json({
+      success: true,
+      ...history
+    });
+
+  } catch (error) {
+    console.error('❌ Get Consent History Error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Error getting consent history'
+    });
+  }
+};
+
 // Export webhook handlers for use in webhooks.js
 smsController.handleInboundSms = handleInboundSms;
 smsController.updateSmsStatus = updateSmsStatus;
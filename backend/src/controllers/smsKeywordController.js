@@ -0,0 +1,233 @@
+// backend/src/controllers/smsKeywordController.js
+// 🔑 SMS Keyword Controller - CRUD de keywords, analytics y concursos
+
+const mongoose = require('mongoose');
+const SmsKeyword = require('../models/SmsKeyword');
+const smsKeywordService = require('../services/smsKeywordService');
+
+// Keyword por :id (responde 400/404 si no existe)
+async function loadKeyword(req, res) {
+  if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+    res.status(400).json({ success: false, error: 'Invalid keyword id' });
+    return null;
+  }
+
+  const keyword = await SmsKeyword.findById(req.params.id);
+  if (!keyword) {
+    res.status(404).json({ success: false, error: 'Keyword not found' });
+    return null;
+  }
+
+  return keyword;
+}
+
+const smsKeywordController = {
+  /**
+   * GET /api/sms/keywords
+   * Lista keywords (status opcional) + tipos de acción y palabras reservadas
+   */
+  async list(req, res) {
+    try {
+      const { status = null } = req.query;
+      const query = status ? { status } : {};
+
+      const keywords = await SmsKeyword.find(query).sort({ keyword: 1 });
+
+      res.json({
+        success: true,
+        keywords: keywords.map(k => ({ ...k.toObject(), inWindow: k.isInWindow() })),
+        actionTypes: SmsKeyword.ACTION_TYPES,
+        reserved: SmsKeyword.RESERVED_KEYWORDS
+      });
+
+    } catch (error) {
+      console.error('❌ List SMS Keywords Error:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Error getting keywords'
+      });
+    }
+  },
+
+  /**
+   * GET /api/sms/keywords/:id
+   */
+  async get(req, res) {
+    try {
+      const keyword = await loadKeyword(req, res);
+      if (!keyword) return;
+
+      res.json({
+        success: true,
+        keyword: { ...keyword.toObject(), inWindow: keyword.isInWindow() }
+      });
+
+    } catch (error) {
+      console.error('❌ Get SMS Keyword Error:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Error getting keyword'
+      });
+    }
+  },
+
+  /**
+   * POST /api/sms/keywords
+   * Body: { keyword, aliases?, name?, activeRanges?, inactiveMessage?, actions[] }
+   */
+  async create(req, res) {
+    try {
+      const result = await smsKeywordService.create(req.body, req.user?._id || null);
+
+      if (!result.success) {
+        return res.status(400).json(result);
+      }
+
+      res.status(201).json(result);
+
+    } catch (error) {
+      console.error('❌ Create SMS Keyword Error:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Error creating keyword'
+      });
+    }
+  },
+
+  /**
+   * PUT /api/sms/keywords/:id
+   */
+  async update(req, res) {
+    try {
+      if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+        return res.status(400).json({ success: false, error: 'Invalid keyword id' });
+      }
+
+      const result = await smsKeywordService.update(req.params.id, req.body);
+
+      if (!result.success) {
+        return res.status(result.notFound ? 404 : 400).json({ success: false, error: result.error });
+      }
+
+      res.json(result);
+
+    } catch (error) {
+      console.error('❌ Update SMS Keyword Error:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Error updating keyword'
+      });
+    }
+  },
+
+  /**
+   * DELETE /api/sms/keywords/:id
+   * Con envíos registrados solo se pausa (conserva analytics y concursos)
+   */
+  async remove(req, res) {
+    try {
+      const keyword = await loadKeyword(req, res);
+      if (!keyword) return;
+
+      if (keyword.stats?.received > 0) {
+        keyword.status = 'paused';
+        await keyword.save();
+        return res.json({ success: true, paused: true });
+      }
+
+      await keyword.deleteOne();
+      res.json({ success: true, deleted: true });
+
+    } catch (error) {
+      console.error('❌ Delete SMS Keyword Error:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Error deleting keyword'
+      });
+    }
+  },
+
+  /**
+   * GET /api/sms/keywords/:id/analytics?days=30
+   */
+  async getAnalytics(req, res) {
+    try {
+      const keyword = await loadKeyword(req, res);
+      if (!keyword) return;
+
+      const days = Math.min(Math.max(parseInt(req.query.days) || 30, 1), 365);
+      const analytics = await smsKeywordService.getAnalytics(keyword, days);
+
+      res.json({
+        success: true,
+        analytics
+      });
+
+    } catch (error) {
+      console.error('❌ SMS Keyword Analytics Error:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Error getting keyword analytics'
+      });
+    }
+  },
+
+  /**
+   * GET /api/sms/keywords/:id/entries?contestName=&page=1
+   * Participaciones del concurso (acción enter_contest)
+   */
+  async getEntries(req, res) {
+    try {
+      const keyword = await loadKeyword(req, res);
+      if (!keyword) return;
+
+      const { contestName = null, page = 1, limit = 100 } = req.query;
+      const result = await smsKeywordService.getContestEntries(keyword, {
+        contestName,
+        page: parseInt(page),
+        limit: Math.min(parseInt(limit) || 100, 500)
+      });
+
+      res.json({
+        success: true,
+        ...result
+      });
+
+    } catch (error) {
+      console.error('❌ SMS Keyword Entries Error:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Error getting contest entries'
+      });
+    }
+  },
+
+  /**
+   * POST /api/sms/keywords/:id/draw
+   * Body: { contestName?, count? } - sortea ganadores
+   */
+  async drawWinners(req, res) {
+    try {
+      const keyword = await loadKeyword(req, res);
+      if (!keyword) return;
+
+      const { contestName = null, count = 1 } = req.body;
+      const result = await smsKeywordService.drawWinners(keyword, { contestName, count });
+
+      if (!result.success) {
+        return res.status(400).json(result);
+      }
+
+      res.json(result);
+
+    } catch (error) {
+      console.error('❌ SMS Keyword Draw Error:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Error drawing winners'
+      });
+    }
+  }
+};
+
+module.exports = smsKeywordController;
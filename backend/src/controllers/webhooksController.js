@@ -7,6 +7,7 @@ const EmailSend = require('../models/EmailSend');
 const Campaign = require('../models/Campaign');
 const WebhookLog = require('../models/WebhookLog');
 const AttributionService = require('../middleware/attributionTracking');
+const couponPoolService = require('../services/couponPoolService');
 const crypto = require('crypto');
 
 // SMS Conversion Service
@@ -770,9 +771,31 @@ class WebhooksController {
       let flowId = null;
       let customerId = customer._id;
       let attributionMethod = 'none';
+      let couponCode = null;
+      
+      // Método 0: Código único de {{coupon}} (atribución exacta al destinatario)
+      try {
+        const redemption = await couponPoolService.redeemFromOrder(shopifyOrder, order);
+        
+        if (redemption) {
+          campaignId = redemption.campaignId;
+          customerId = redemption.customerId || customer._id;
+          attributionMethod = 'unique_coupon';
+          couponCode = redemption.code;
+          console.log(`🎟️ Attribution found via unique coupon: ${redemption.code} (${redemption.email}) → Campaign ${campaignId}${redemption.reused ? ' [reused]' : ''}`);
+          
+          actions.push({
+            type: 'coupon_redeemed',
+            details: { code: redemption.code, email: redemption.email, campaignId: campaignId.toString(), reused: redemption.reused },
+            success: true
+          });
+        }
+      } catch (couponError) {
+        console.log(`   ⚠️  Coupon redemption check skipped: ${couponError.message}`);
+      }
       
       // Método 1: Cookie
-      if (attribution) {
+      if (!campaignId && attribution) {
         campaignId = attribution.campaignId;
         customerId = attribution.customerId;
         attributionMethod = 'cookie';
@@ -888,9 +911,10 @@ class WebhooksController {
           'attribution.campaign': campaignId,
           'attribution.source': attributionMethod === 'cookie' ? 'email_click' : 
                                 attributionMethod === 'utm' ? 'utm' : 
-                                attributionMethod === 'discount_code' ? 'discount_code' :
+                                attributionMethod === 'discount_code' || attributionMethod === 'unique_coupon' ? 'discount_code' :
                                 attributionMethod.startsWith('last_click') ? 'email_click' : 'unknown',
-          'attribution.clickedAt': new Date()
+          'attribution.clickedAt': new Date(),
+          ...(couponCode ? { 'attribution.discountCode': couponCode } : {})
         });
         
         await EmailEvent.create({
@@ -960,6 +984,36 @@ class WebhooksController {
         }
       }
       
+      // MULTI-TOUCH ATTRIBUTION (first/last/linear/time-decay)
+      try {
+        const multiTouchAttribution = require('../services/multiTouchAttributionService');
+        const result = await multiTouchAttribution.attributeOrder(order, {
+          customer,
+          email: customer.email,
+          phone: shopifyOrder.phone ||
+                 shopifyOrder.customer?.phone ||
+                 shopifyOrder.billing_address?.phone ||
+                 customer.phone
+        });
+        
+        console.log(`🧭 Multi-touch: ${result.touches} touchpoint(s) credited`);
+        
+        actions.push({
+          type: 'multi_touch_attribution',
+          details: result,
+          success: true
+        });
+        
+      } catch (err) {
+        console.error('⚠️  Multi-touch attribution error:', err.message);
+        actions.push({
+          type: 'multi_touch_attribution',
+          details: { error: err.message },
+          success: false,
+          error: err.message
+        });
+      }
+      
       // FLOW TRIGGER: order_placed
       console.log('🎯 Triggering ORDER_PLACED flow...');
       
@@ -0,0 +1,60 @@
+// backend/src/jobs/abTestJob.js
+// A/B Test Winner - Picks the winning variant once the wait period ends
+// Runs every 5 minutes, picks up campaigns where abTest.winnerSelectAt <= now
+
+const cron = require('node-cron');
+const abTestService = require('../services/abTestService');
+
+let job = null;
+let isRunning = false;
+
+/**
+ * Select winners for A/B tests whose wait period is over
+ */
+const checkDueTests = async () => {
+  if (isRunning) return;
+  isRunning = true;
+
+  try {
+    const processed = await abTestService.processDueTests();
+
+    if (processed.length > 0) {
+      const ok = processed.filter(p => p.success).length;
+      console.log(`🧪 A/B Job: ${ok}/${processed.length} winner(s) selected`);
+    }
+  } catch (error) {
+    console.error('🧪 A/B Job error:', error.message);
+  } finally {
+    isRunning = false;
+  }
+};
+
+/**
+ * Initialize the A/B winner job
+ */
+const init = () => {
+  console.log('🧪 A/B Test Winner job initialized');
+  console.log('   Schedule: Every 5 minutes');
+
+  job = cron.schedule('*/5 * * * *', checkDueTests, {
+    scheduled: true,
+    timezone: 'America/New_York'
+  });
+
+  console.log('✅ A/B Test Winner job ready');
+};
+
+const stop = () => {
+  if (job) {
+    job.stop();
+    job = null;
+    console.log('🧪 A/B Test Winner job stopped');
+  }
+};
+
+const getStatus = () => ({
+  initialized: !!job,
+  running: isRunning
+});
+
+module.exports = { init, stop, getStatus, checkDueTests };
@@ -16,6 +16,11 @@ const emailService = require('../services/emailService');
 const Campaign = require('../models/Campaign');
 const EmailSend = require('../models/EmailSend');
 const EmailEvent = require('../models/EmailEvent');
+const contactPressureService = require('../services/contactPressureService');
+const emailPreferenceService = require('../services/emailPreferenceService');
+const suppressionService = require('../services/suppressionService');
+const recommendationService = require('../services/recommendationService');
+const couponPoolService = require('../services/couponPoolService');
 
 let emailQueue;
 let emailWorker;
@@ -76,9 +81,10 @@ function generateJobId(campaignId, email) {
   return `email_${hash}`;
 }
 
-function generateBatchJobId(campaignId, chunkIndex) {
+function generateBatchJobId(campaignId, chunkIndex, bucket = null) {
   // Include timestamp so re-runs don't collide with previous runs
-  return `batch_${campaignId}_${Date.now()}_${chunkIndex}`;
+  // (bucket separa los chunks de distintas horas en send-time optimization)
+  return `batch_${campaignId}_${Date.now()}_${bucket ? `${bucket}_` : ''}${chunkIndex}`;
 }
 
 // ========== INICIALIZACIÓN ==========
@@ -188,7 +194,8 @@ async function initializeQueue() {
 // ========== PROCESAMIENTO OPTIMIZADO v2.0 ==========
 
 async function processEmailBatchOptimized(job) {
-  const { campaignId, recipients, chunkIndex } = job.data;
+  const { campaignId, chunkIndex } = job.data;
+  let { recipients } = job.data;
   const workerId = `w-${process.pid}-${Date.now()}`;
   const startTime = Date.now();
   
@@ -213,45 +220,100 @@ async function processEmailBatchOptimized(job) {
     skippedBounced: 0,
     skippedComplained: 0,
     skippedUnsubscribed: 0,
+    skippedSuppressed: 0,
+    skippedFrequencyCapped: 0,
+    skippedPreferences: 0,
     skippedAlreadySent: 0,
     failed: 0,
     errors: []
   };
   
-  const Customer = require('../models/Customer');
+  // ═══════════════════════════════════════════════════════════════════════
+  // ETAPA 0: Batches diferidos (STO) - el job trae solo IDs, se renderiza ahora
+  // ═══════════════════════════════════════════════════════════════════════
+  if (recipients.some(r => r.deferred)) {
+    startTimer('render');
+    
+    const { renderDeferredRecipients } = require('../services/campaignSendService');
+    const rendered = await renderDeferredRecipients(campaignId, recipients);
+    
+    if (rendered.missing.length > 0) {
+      await EmailSend.updateMany(
+        { jobId: { $in: rendered.missing }, status: 'pending' },
+        { $set: { status: 'skipped', lastError: 'Customer not found', skippedAt: new Date() } }
+      );
+      results.skipped += rendered.missing.length;
+    }
+    
+    recipients = rendered.recipients;
+    
+    endTimer('render');
+    console.log(`   🎨 Render diferido: ${recipients.length} (${timers.render}ms)`);
+  }
   
   // ═══════════════════════════════════════════════════════════════════════
-  // ETAPA 1: Pre-cargar bounces/complaints/unsubscribed (1 query)
+  // ETAPA 1: Pre-cargar supresiones (bounces/complaints/unsubscribes/dominios)
   // ═══════════════════════════════════════════════════════════════════════
   startTimer('preloadInvalid');
   
   const emailsInBatch = recipients.map(r => r.email.toLowerCase().trim());
   
-  const invalidCustomers = await Customer.find({
-    email: { $in: emailsInBatch },
-    $or: [
-      { emailStatus: { $in: ['bounced', 'complained', 'unsubscribed'] } },
-      { 'bounceInfo.isBounced': true }
-    ]
-  }).select('email emailStatus bounceInfo').lean();
+  const suppressed = await suppressionService.findSuppressed(emailsInBatch);
   
   const bouncedEmails = new Set();
   const complainedEmails = new Set();
   const unsubscribedEmails = new Set();
+  const suppressedEmails = new Set();  // manual, import o dominio
   
-  invalidCustomers.forEach(c => {
-    const email = c.email.toLowerCase();
-    if (c.emailStatus === 'bounced' || c.bounceInfo?.isBounced) {
+  suppressed.forEach((entry, email) => {
+    if (entry.reason === 'hard_bounce' || entry.reason === 'soft_bounce') {
       bouncedEmails.add(email);
-    } else if (c.emailStatus === 'complained') {
+    } else if (entry.reason === 'complaint') {
       complainedEmails.add(email);
-    } else if (c.emailStatus === 'unsubscribed') {
+    } else if (entry.reason === 'unsubscribe') {
       unsubscribedEmails.add(email);
+    } else {
+      suppressedEmails.add(email);
     }
   });
   
   endTimer('preloadInvalid');
-  console.log(`   📋 Pre-carga: ${invalidCustomers.length} inválidos (${timers.preloadInvalid}ms)`);
+  console.log(`   📋 Pre-carga: ${suppressed.size} suprimidos (${timers.preloadInvalid}ms)`);
+  
+  // ═══════════════════════════════════════════════════════════════════════
+  // ETAPA 1b: Frequency capping global (email + SMS + Maximus + flows)
+  // ═══════════════════════════════════════════════════════════════════════
+  startTimer('frequencyCap');
+  
+  let pressure = { capped: new Set(), phoneByEmail: new Map(), source: 'campaign' };
+  try {
+    pressure = await contactPressureService.evaluateEmailBatch(campaignId, emailsInBatch);
+  } catch (err) {
+    // Si falla el chequeo se envía igual (no bloquear la campaña)
+    console.error('   ⚠️  Frequency cap check error:', err.message);
+  }
+  
+  endTimer('frequencyCap');
+  if (pressure.capped.size > 0) {
+    console.log(`   🚦 Frequency cap: ${pressure.capped.size} limitados (${timers.frequencyCap}ms)`);
+  }
+  
+  // ═══════════════════════════════════════════════════════════════════════
+  // ETAPA 1c: Preference center (topic, pausa, fewer emails)
+  // ═══════════════════════════════════════════════════════════════════════
+  startTimer('preferences');
+  
+  let preferenceSkips = new Map();
+  try {
+    preferenceSkips = await emailPreferenceService.evaluateEmailBatch(campaignId, emailsInBatch);
+  } catch (err) {
+    console.error('   ⚠️  Preference check error:', err.message);
+  }
+  
+  endTimer('preferences');
+  if (preferenceSkips.size > 0) {
+    console.log(`   📬 Preferencias: ${preferenceSkips.size} saltados (${timers.preferences}ms)`);
+  }
   
   // ═══════════════════════════════════════════════════════════════════════
   // ETAPA 2: Filtrar y preparar emails válidos
@@ -277,6 +339,7 @@ async function processEmailBatchOptimized(job) {
           update: { 
             $set: { 
               status: 'skipped', 
+              skipReason: 'bounced',
               lastError: 'Bounced email', 
               skippedAt: new Date() 
             } 
@@ -296,6 +359,7 @@ async function processEmailBatchOptimized(job) {
           update: { 
             $set: { 
               status: 'skipped', 
+              skipReason: 'complained',
               lastError: 'Complained', 
               skippedAt: new Date() 
             } 
@@ -315,6 +379,7 @@ async function processEmailBatchOptimized(job) {
           update: { 
             $set: { 
               status: 'skipped', 
+              skipReason: 'unsubscribed',
               lastError: 'Unsubscribed', 
               skippedAt: new Date() 
             } 
@@ -324,6 +389,67 @@ async function processEmailBatchOptimized(job) {
       continue;
     }
     
+    // Skip suppression list (manual, import, dominio)
+    if (suppressedEmails.has(normalizedEmail)) {
+      results.skippedSuppressed++;
+      results.skipped++;
+      emailSendUpdates.push({
+        updateOne: {
+          filter: { jobId },
+          update: { 
+            $set: { 
+              status: 'skipped', 
+              skipReason: 'suppressed',
+              lastError: `Suppressed (${suppressed.get(normalizedEmail).type}: ${suppressed.get(normalizedEmail).value})`, 
+              skippedAt: new Date() 
+            } 
+          }
+        }
+      });
+      continue;
+    }
+    
+    // Skip frequency capped
+    if (pressure.capped.has(normalizedEmail)) {
+      results.skippedFrequencyCapped++;
+      results.skipped++;
+      emailSendUpdates.push({
+        updateOne: {
+          filter: { jobId, status: 'pending' },
+          update: { 
+            $set: { 
+              status: 'skipped', 
+              skipReason: 'frequency_capped',
+              lastError: 'Frequency capped', 
+              skippedAt: new Date() 
+            } 
+          }
+        }
+      });
+      continue;
+    }
+    
+    // Skip por preferencias (topic desactivado, pausa, fewer emails)
+    if (preferenceSkips.has(normalizedEmail)) {
+      const skipReason = preferenceSkips.get(normalizedEmail);
+      results.skippedPreferences++;
+      results.skipped++;
+      emailSendUpdates.push({
+        updateOne: {
+          filter: { jobId, status: 'pending' },
+          update: { 
+            $set: { 
+              status: 'skipped', 
+              skipReason,
+              lastError: `Preferences: ${skipReason}`, 
+              skippedAt: new Date() 
+            } 
+          }
+        }
+      });
+      continue;
+    }
+    
     // Agregar a lista para bulk claim
     jobIdsToClaimArr.push(jobId);
     
@@ -333,7 +459,11 @@ async function processEmailBatchOptimized(job) {
       to: recipient.email,
       subject: recipient.subject,
       html: recipient.html,
+      text: recipient.text || undefined,
       replyTo: recipient.replyTo,
+      headers: recipient.customerId
+        ? emailService.generateListUnsubscribeHeaders(recipient.customerId, normalizedEmail, campaignId)
+        : undefined,
       tags: [
         { name: 'campaign_id', value: campaignId },
         { name: 'customer_id', value: recipient.customerId || 'unknown' }
@@ -433,12 +563,105 @@ async function processEmailBatchOptimized(job) {
     emailMetadata.push(...finalMetadata);
   }
   
+  // ═══════════════════════════════════════════════════════════════════════
+  // ETAPA 2b: Resolver {{recommendations}} por destinatario
+  // ═══════════════════════════════════════════════════════════════════════
+  const recIndexes = emailsToSend
+    .map((email, i) => (recommendationService.hasPlaceholder(email.html) || recommendationService.hasPlaceholder(email.text) ? i : -1))
+    .filter(i => i >= 0);
+  
+  if (recIndexes.length > 0) {
+    startTimer('recommendations');
+    
+    const resolved = await recommendationService.resolveBatch(campaignId, recIndexes.map(i => ({
+      customerId: emailMetadata[i].customerId,
+      email: emailMetadata[i].email,
+      html: emailsToSend[i].html,
+      text: emailsToSend[i].text
+    })));
+    
+    recIndexes.forEach((i, idx) => {
+      emailsToSend[i].html = resolved[idx].html;
+      emailsToSend[i].text = resolved[idx].text || undefined;
+      emailMetadata[i].recommendations = resolved[idx].recommendations;
+    });
+    
+    endTimer('recommendations');
+    console.log(`   🛍️  Recomendaciones resueltas: ${recIndexes.length} (${timers.recommendations}ms)`);
+  }
+  
+  // ═══════════════════════════════════════════════════════════════════════
+  // ETAPA 2c: Asignar código único {{coupon}} (sin código → skip, nunca el placeholder)
+  // ═══════════════════════════════════════════════════════════════════════
+  const couponIndexes = emailsToSend
+    .map((email, i) => ([email.subject, email.html, email.text].some(c => couponPoolService.hasPlaceholder(c)) ? i : -1))
+    .filter(i => i >= 0);
+  
+  if (couponIndexes.length > 0) {
+    startTimer('coupons');
+    
+    let codes = new Map();
+    try {
+      codes = await couponPoolService.assignBatch(campaignId, couponIndexes.map(i => ({
+        email: emailMetadata[i].email,
+        customerId: emailMetadata[i].customerId
+      })));
+    } catch (error) {
+      console.error(`   ⚠️  Error asignando cupones: ${error.message}`);
+    }
+    
+    const withoutCode = new Set();
+    couponIndexes.forEach(i => {
+      const code = codes.get(emailMetadata[i].email);
+      if (!code) {
+        withoutCode.add(i);
+        return;
+      }
+      emailsToSend[i].subject = couponPoolService.render(emailsToSend[i].subject, code);
+      emailsToSend[i].html = couponPoolService.render(emailsToSend[i].html, code);
+      emailsToSend[i].text = couponPoolService.render(emailsToSend[i].text, code);
+      emailMetadata[i].coupon = code;
+    });
+    
+    if (withoutCode.size > 0) {
+      withoutCode.forEach(i => {
+        emailSendUpdates.push({
+          updateOne: {
+            filter: { jobId: emailMetadata[i].jobId, lockedBy: workerId },
+            update: {
+              $set: {
+                status: 'skipped',
+                skipReason: 'coupon_unavailable',
+                lastError: 'Coupon pool exhausted',
+                skippedAt: new Date(),
+                lockedBy: null,
+                lockedAt: null
+              }
+            }
+          }
+        });
+        results.skipped++;
+      });
+      
+      const keptEmails = emailsToSend.filter((e, i) => !withoutCode.has(i));
+      const keptMetadata = emailMetadata.filter((m, i) => !withoutCode.has(i));
+      emailsToSend.length = 0;
+      emailMetadata.length = 0;
+      emailsToSend.push(...keptEmails);
+      emailMetadata.push(...keptMetadata);
+    }
+    
+    endTimer('coupons');
+    console.log(`   🎟️  Cupones asignados: ${couponIndexes.length - withoutCode.size}${withoutCode.size > 0 ? `, sin código: ${withoutCode.size}` : ''} (${timers.coupons}ms)`);
+  }
+  
   // ═══════════════════════════════════════════════════════════════════════
   // ETAPA 3: Enviar con RESEND BATCH API
   // ═══════════════════════════════════════════════════════════════════════
   startTimer('sendBatch');
   
   const emailEventsToInsert = [];
+  const contactsToRecord = [];
   
   if (emailsToSend.length > 0) {
     // Dividir en sub-batches de 100 (límite de Resend Batch API)
@@ -451,7 +674,7 @@ async function processEmailBatchOptimized(job) {
       try {
         // UNA llamada a Resend por cada 100 emails
         const batchResult = await emailService.sendBatch(subBatch, {
-          includeUnsubscribe: false  // Ya está inyectado en el HTML
+          includeUnsubscribe: false  // Ya está inyectado en el HTML (headers List-Unsubscribe arriba)
         });
         
         if (batchResult.success) {
@@ -472,7 +695,9 @@ async function processEmailBatchOptimized(job) {
                     sentAt: new Date(),
                     resendId: resendId,
                     lockedBy: null,
-                    lockedAt: null
+                    lockedAt: null,
+                    ...(meta.recommendations?.length ? { recommendations: meta.recommendations } : {}),
+                    ...(meta.coupon ? { 'coupon.code': meta.coupon } : {})
                   }
                 }
               }
@@ -488,6 +713,15 @@ async function processEmailBatchOptimized(job) {
               eventDate: new Date()
             });
             
+            contactsToRecord.push({
+              channel: 'email',
+              source: pressure.source,
+              customer: meta.customerId || undefined,
+              email: meta.email,
+              phone: pressure.phoneByEmail.get(meta.email),
+              campaign: campaignId
+            });
+            
             results.sent++;
           });
           
@@ -585,13 +819,19 @@ async function processEmailBatchOptimized(job) {
     }
   }
   
+  if (contactsToRecord.length > 0) {
+    await contactPressureService.recordContacts(contactsToRecord);
+  }
+  
   // Update Campaign stats
   if (results.sent > 0 || results.failed > 0 || results.skipped > 0) {
     await Campaign.findByIdAndUpdate(campaignId, {
       $inc: {
         'stats.sent': results.sent,
         'stats.failed': results.failed,
-        'stats.skipped': results.skipped
+        'stats.skipped': results.skipped,
+        'stats.frequencyCapped': results.skippedFrequencyCapped,
+        'stats.preferenceSkipped': results.skippedPreferences
       }
     });
   }
@@ -606,14 +846,18 @@ async function processEmailBatchOptimized(job) {
   
   console.log(`\n   ⏱️  Timers:`);
   console.log(`      preloadInvalid: ${timers.preloadInvalid}ms`);
+  console.log(`      frequencyCap: ${timers.frequencyCap}ms`);
+  console.log(`      preferences: ${timers.preferences}ms`);
   console.log(`      filterAndPrepare: ${timers.filterAndPrepare}ms`);
   console.log(`      bulkClaim: ${timers.bulkClaim}ms`);
+  if (timers.recommendations !== undefined) console.log(`      recommendations: ${timers.recommendations}ms`);
+  if (timers.coupons !== undefined) console.log(`      coupons: ${timers.coupons}ms`);
   console.log(`      sendBatch: ${timers.sendBatch}ms`);
   console.log(`      bulkWrites: ${timers.bulkWrites}ms`);
   console.log(`   ✅ TOTAL: ${totalDuration}ms (${throughput} emails/s)`);
   
-  if (results.skippedBounced > 0 || results.skippedComplained > 0 || results.skippedUnsubscribed > 0) {
-    console.log(`   📊 Skips: bounced=${results.skippedBounced}, complained=${results.skippedComplained}, unsub=${results.skippedUnsubscribed}, alreadySent=${results.skippedAlreadySent}`);
+  if (results.skippedBounced > 0 || results.skippedComplained > 0 || results.skippedUnsubscribed > 0 || results.skippedSuppressed > 0 || results.skippedFrequencyCapped > 0 || results.skippedPreferences > 0) {
+    console.log(`   📊 Skips: bounced=${results.skippedBounced}, complained=${results.skippedComplained}, unsub=${results.skippedUnsubscribed}, suppressed=${results.skippedSuppressed}, capped=${results.skippedFrequencyCapped}, prefs=${results.skippedPreferences}, alreadySent=${results.skippedAlreadySent}`);
   }
   
   console.log(`════════════════════════════════════════════\n`);
@@ -685,15 +929,38 @@ async function checkAndFinalizeCampaign(campaignId) {
     console.log(`🔍 Check: ${campaign.name} - ${totalProcessed}/${totalRecipients}`);
     
     if (totalProcessed >= totalRecipients && totalRecipients > 0) {
-      // Verificar que no hay jobs pendientes en la cola
-      if (emailQueue && isQueueReady) {
-        const counts = await emailQueue.getJobCounts('waiting', 'active', 'delayed');
-        const pending = (counts.waiting || 0) + (counts.active || 0) + (counts.delayed || 0);
+      // Verificar que no quedan envíos pendientes DE ESTA campaña
+      // (la cola es compartida: los jobs diferidos de STO de otra campaña no cuentan)
+      const pending = await EmailSend.countDocuments({
+        campaignId,
+        status: { $in: ['pending', 'processing', 'sending'] }
+      });
+      
+      if (pending > 0) {
+        console.log(`   ⏳ ${pending} envíos pendientes\n`);
+        return false;
+      }
+      
+      // A/B test: terminó el split de prueba → esperar antes de elegir ganadora
+      if (campaign.abTest?.enabled) {
+        if (campaign.abTest.status === 'testing') {
+          const waitMs = (campaign.abTest.waitHours ?? 4) * 60 * 60 * 1000;
+          campaign.abTest.status = 'waiting';
+          campaign.abTest.testCompletedAt = new Date();
+          campaign.abTest.winnerSelectAt = new Date(Date.now() + waitMs);
+          campaign.stats.sent = emailSendStats.sent;
+          await campaign.save();
+          
+          lastFinalizeCheck.delete(campaignId);
+          console.log(`🧪 A/B test enviado: ${campaign.name} - ganadora a las ${campaign.abTest.winnerSelectAt.toISOString()}\n`);
+          return false;
+        }
         
-        if (pending > 0) {
-          console.log(`   ⏳ ${pending} batches pendientes\n`);
+        if (campaign.abTest.status === 'waiting') {
           return false;
         }
+        
+        campaign.abTest.status = 'completed';
       }
       
       campaign.status = 'sent';
@@ -730,7 +997,13 @@ async function checkAndFinalizeCampaign(campaignId) {
 
 // ========== UTILIDADES ==========
 
-async function addCampaignToQueue(recipients, campaignId) {
+/**
+ * Encola destinatarios en batches de RESEND_BATCH_SIZE
+ * @param {object} options - { delay: ms hasta procesar (STO), bucket: id para jobIds }
+ */
+async function addCampaignToQueue(recipients, campaignId, options = {}) {
+  const { delay = 0, bucket = null } = options;
+  
   if (!emailQueue || !isQueueReady) {
     throw new Error('Queue no disponible');
   }
@@ -751,14 +1024,18 @@ async function addCampaignToQueue(recipients, campaignId) {
   
   console.log(`   Batches: ${chunks.length}`);
   console.log(`   Estimado: ~${Math.ceil(estimatedSeconds / 60)} min`);
+  if (delay > 0) {
+    console.log(`   ⏰ Delay: ${(delay / 60000).toFixed(0)} min`);
+  }
   console.log('════════════════════════════════════════════════\n');
   
   const jobs = chunks.map((chunk, index) => ({
     name: 'process-batch',
     data: { campaignId, chunkIndex: index, recipients: chunk },
     opts: {
-      jobId: generateBatchJobId(campaignId, index),
+      jobId: generateBatchJobId(campaignId, index, bucket),
       priority: 1,
+      delay: delay > 0 ? delay : undefined,
       attempts: 3,
       backoff: { type: 'exponential', delay: 2000 }
     }
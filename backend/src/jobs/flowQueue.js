@@ -0,0 +1,215 @@
+// backend/src/jobs/flowQueue.js
+// 🔄 FLOW EXECUTOR - BullMQ queue para avanzar ejecuciones de Flows
+// ═══════════════════════════════════════════════════════════════════════════
+// Cada job = "avanzar la ejecución X". Los steps "wait" se resuelven con
+// jobs diferidos (delay). nextRunAt se persiste en FlowExecution, y un cron
+// de barrido recoge lo que Redis haya perdido (o todo, si no hay REDIS_URL).
+// ═══════════════════════════════════════════════════════════════════════════
+
+const { Queue, Worker } = require('bullmq');
+const cron = require('node-cron');
+
+let flowQueue;
+let flowWorker;
+let sweepJob = null;
+let isQueueReady = false;
+let isSweeping = false;
+
+const CONFIG = {
+  CONCURRENCY: 3,
+  SWEEP_SCHEDULE: '*/5 * * * *',     // Barrido de ejecuciones vencidas
+  SWEEP_BATCH: 200
+};
+
+// ========== INICIALIZACIÓN ==========
+
+function initializeQueue() {
+  const redisUrl = process.env.REDIS_URL;
+
+  if (!redisUrl) {
+    console.warn('⚠️  Flow queue: REDIS_URL no configurado (solo barrido por cron)');
+    return null;
+  }
+
+  try {
+    const url = new URL(redisUrl);
+
+    const connectionConfig = {
+      host: url.hostname,
+      port: parseInt(url.port) || 6379,
+      password: url.password,
+      tls: url.protocol === 'rediss:' ? {} : undefined,
+      maxRetriesPerRequest: null,
+      enableReadyCheck: false,
+      enableOfflineQueue: true,
+      connectTimeout: 30000,
+      keepAlive: 10000
+    };
+
+    flowQueue = new Queue('flow-execution', {
+      connection: { ...connectionConfig, maxRetriesPerRequest: 3 },
+      defaultJobOptions: {
+        attempts: 3,
+        backoff: { type: 'exponential', delay: 5000 },
+        removeOnComplete: { age: 3600, count: 1000 },
+        removeOnFail: { age: 86400 }
+      }
+    });
+
+    flowWorker = new Worker(
+      'flow-execution',
+      async (job) => {
+        const flowService = require('../services/flowService');
+        return flowService.runExecution(job.data.executionId);
+      },
+      {
+        connection: connectionConfig,
+        concurrency: CONFIG.CONCURRENCY,
+        autorun: true
+      }
+    );
+
+    flowWorker.on('failed', (job, err) => {
+      console.error(`❌ [Flow] Job ${job?.id} falló: ${err.message}`);
+    });
+
+    flowWorker.on('error', (err) => {
+      console.error('❌ Flow worker error:', err.message);
+    });
+
+    isQueueReady = true;
+    console.log('✅ Flow queue lista');
+
+    return flowQueue;
+
+  } catch (error) {
+    console.error('❌ Error inicializando flow queue:', error.message);
+    isQueueReady = false;
+    return null;
+  }
+}
+
+// ========== SCHEDULING ==========
+
+/**
+ * Programa el siguiente avance de una ejecución
+ * @param {string} executionId
+ * @param {number} delayMs - 0 para ejecutar ya
+ */
+async function scheduleExecution(executionId, delayMs = 0) {
+  const id = executionId.toString();
+
+  if (flowQueue && isQueueReady) {
+    await flowQueue.add('advance', { executionId: id }, {
+      delay: Math.max(0, delayMs),
+      // Un job por ejecución y momento: evita duplicados si el barrido
+      // y el job diferido coinciden
+      jobId: `flow_${id}_${Date.now() + Math.max(0, delayMs)}`
+    });
+    return { queued: true };
+  }
+
+  // Sin Redis: los steps inmediatos corren en el proceso; los waits
+  // quedan para el barrido vía nextRunAt
+  if (delayMs <= 0) {
+    setImmediate(() => {
+      const flowService = require('../services/flowService');
+      flowService.runExecution(id).catch(err => {
+        console.error(`❌ [Flow] Error ejecutando ${id}:`, err.message);
+      });
+    });
+  }
+
+  return { queued: false };
+}
+
+// ========== BARRIDO DE RECUPERACIÓN ==========
+
+async function sweepDueExecutions() {
+  if (isSweeping) return { processed: 0 };
+  isSweeping = true;
+
+  let processed = 0;
+
+  try {
+    const FlowExecution = require('../models/FlowExecution');
+    const flowService = require('../services/flowService');
+
+    const due = await FlowExecution.getDue(CONFIG.SWEEP_BATCH);
+
+    for (const execution of due) {
+      try {
+        await flowService.runExecution(execution._id);
+        processed++;
+      } catch (err) {
+        console.error(`❌ [Flow] Barrido ${execution._id}:`, err.message);
+      }
+    }
+
+    if (processed > 0) {
+      console.log(`🔄 [Flow] Barrido: ${processed} ejecuciones avanzadas`);
+    }
+
+  } catch (error) {
+    console.error('❌ [Flow] Error en barrido:', error.message);
+  } finally {
+    isSweeping = false;
+  }
+
+  return { processed };
+}
+
+// ========== LIFECYCLE ==========
+
+const init = () => {
+  console.log('🔄 Initializing Flow Executor...');
+  initializeQueue();
+
+  sweepJob = cron.schedule(CONFIG.SWEEP_SCHEDULE, sweepDueExecutions, {
+    scheduled: true,
+    timezone: 'America/New_York'
+  });
+
+  console.log(`🔄 Flow Executor: ${isQueueReady ? 'BullMQ + barrido' : 'solo barrido'} (${CONFIG.SWEEP_SCHEDULE})`);
+};
+
+const stop = async () => {
+  if (sweepJob) {
+    sweepJob.stop();
+    sweepJob = null;
+  }
+
+  try {
+    if (flowWorker) await flowWorker.close();
+    if (flowQueue) await flowQueue.close();
+  } catch (error) {
+    console.error('Error cerrando flow queue:', error.message);
+  }
+
+  isQueueReady = false;
+  console.log('🔄 Flow Executor: Stopped');
+};
+
+const getStatus = async () => {
+  if (!flowQueue || !isQueueReady) {
+    return { available: false, mode: 'cron' };
+  }
+
+  const [waiting, active, delayed, failed] = await Promise.all([
+    flowQueue.getWaitingCount(),
+    flowQueue.getActiveCount(),
+    flowQueue.getDelayedCount(),
+    flowQueue.getFailedCount()
+  ]);
+
+  return { available: true, mode: 'bullmq', waiting, active, delayed, failed };
+};
+
+module.exports = {
+  init,
+  stop,
+  getStatus,
+  scheduleExecution,
+  sweepDueExecutions,
+  isAvailable: () => !!flowQueue && isQueueReady
+};
@@ -0,0 +1,60 @@
+// backend/src/jobs/resendJob.js
+// Resend to non-openers - Sends the follow-up once the delay after the original is over
+// Runs every 10 minutes, picks up sent campaigns where sentAt + resend.delayHours <= now
+
+const cron = require('node-cron');
+const resendService = require('../services/resendService');
+
+let job = null;
+let isRunning = false;
+
+/**
+ * Create and send follow-ups whose delay is over
+ */
+const checkDueResends = async () => {
+  if (isRunning) return;
+  isRunning = true;
+
+  try {
+    const processed = await resendService.processDue();
+
+    if (processed.length > 0) {
+      const ok = processed.filter(p => p.success).length;
+      console.log(`🔁 Resend Job: ${ok}/${processed.length} follow-up(s) sent`);
+    }
+  } catch (error) {
+    console.error('🔁 Resend Job error:', error.message);
+  } finally {
+    isRunning = false;
+  }
+};
+
+/**
+ * Initialize the resend job
+ */
+const init = () => {
+  console.log('🔁 Resend to non-openers job initialized');
+  console.log('   Schedule: Every 10 minutes');
+
+  job = cron.schedule('*/10 * * * *', checkDueResends, {
+    scheduled: true,
+    timezone: 'America/New_York'
+  });
+
+  console.log('✅ Resend to non-openers job ready');
+};
+
+const stop = () => {
+  if (job) {
+    job.stop();
+    job = null;
+    console.log('🔁 Resend to non-openers job stopped');
+  }
+};
+
+const getStatus = () => ({
+  initialized: !!job,
+  running: isRunning
+});
+
+module.exports = { init, stop, getStatus, checkDueResends };
@@ -1,10 +1,12 @@
 // backend/src/jobs/schedulerJob.js
 // Campaign Scheduler - Checks for scheduled campaigns and sends them
 // Runs every minute, picks up campaigns where scheduledAt <= now
+// Recurring series materialize their next occurrence here first (campaignSeriesService)
 
 const cron = require('node-cron');
 const Campaign = require('../models/Campaign');
 const { sendCampaign } = require('../services/campaignSendService');
+const campaignSeriesService = require('../services/campaignSeriesService');
 
 let job = null;
 let isRunning = false;
@@ -17,11 +19,22 @@ const checkAndSendScheduled = async () => {
   isRunning = true;
 
   try {
+    // Recurring series: create the scheduled Campaign for occurrences inside their lead window
+    try {
+      const series = await campaignSeriesService.processDue();
+      const created = series.reduce((sum, s) => sum + (s.created?.length || 0), 0);
+      if (created > 0) {
+        console.log(`📅 Scheduler: ${created} series occurrence(s) scheduled`);
+      }
+    } catch (error) {
+      console.error('📅 Scheduler: series error:', error.message);
+    }
+
     // Find campaigns that are scheduled and ready to send
     const readyCampaigns = await Campaign.find({
       status: 'scheduled',
       scheduledAt: { $lte: new Date() }
-    }).select('_id name scheduledAt').lean();
+    }).select('_id name scheduledAt series seriesOccurrence').lean();
 
     if (readyCampaigns.length === 0) {
       isRunning = false;
@@ -34,10 +47,16 @@ const checkAndSendScheduled = async () => {
       console.log(`📅 Scheduler: Sending "${campaign.name}" (scheduled for ${campaign.scheduledAt})`);
 
       try {
-        const result = await sendCampaign(campaign._id.toString());
+        // Series occurrences may auto-acknowledge preflight warnings
+        const options = await campaignSeriesService.getSendOptions(campaign);
+        const result = await sendCampaign(campaign._id.toString(), options);
 
         if (result.success) {
           console.log(`📅 Scheduler: ✅ "${campaign.name}" - ${result.totalRecipients} recipients`);
+        } else if (result.preflight) {
+          // Blocked by preflight: back to draft so it is not retried every minute
+          await Campaign.findByIdAndUpdate(campaign._id, { status: 'draft' });
+          console.error(`📅 Scheduler: 🛫 "${campaign.name}" blocked by preflight, back to draft - ${result.error}`);
         } else {
           console.error(`📅 Scheduler: ❌ "${campaign.name}" - ${result.error}`);
         }
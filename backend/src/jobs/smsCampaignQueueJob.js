@@ -0,0 +1,59 @@
+// backend/src/jobs/smsCampaignQueueJob.js
+// SMS Campaign Queue - Restarts campaign queues when quiet-hours deferrals come due
+// Runs every minute, picks up 'sending' campaigns with pending messages whose scheduledFor <= now
+
+const cron = require('node-cron');
+const smsCampaignController = require('../controllers/smsCampaignController');
+
+let job = null;
+let isRunning = false;
+
+/**
+ * Start queue processors for campaigns with due messages
+ */
+const checkDueQueues = async () => {
+  if (isRunning) return;
+  isRunning = true;
+
+  try {
+    const started = await smsCampaignController.processDueQueues();
+
+    if (started.length > 0) {
+      console.log(`🌙 SMS Queue Job: resumed ${started.length} campaign(s): ${started.join(', ')}`);
+    }
+  } catch (error) {
+    console.error('🌙 SMS Queue Job error:', error.message);
+  } finally {
+    isRunning = false;
+  }
+};
+
+/**
+ * Initialize the SMS campaign queue job
+ */
+const init = () => {
+  console.log('🌙 SMS Campaign Queue job initialized');
+  console.log('   Schedule: Every minute');
+
+  job = cron.schedule('* * * * *', checkDueQueues, {
+    scheduled: true,
+    timezone: 'America/New_York'
+  });
+
+  console.log('✅ SMS Campaign Queue job ready');
+};
+
+const stop = () => {
+  if (job) {
+    job.stop();
+    job = null;
+    console.log('🌙 SMS Campaign Queue job stopped');
+  }
+};
+
+const getStatus = () => ({
+  initialized: !!job,
+  running: isRunning
+});
+
+module.exports = { init, stop, getStatus, checkDueQueues };
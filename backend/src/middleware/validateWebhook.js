@@ -1,16 +1,19 @@
 // backend/src/middleware/validateWebhook.js
 // 🔧 FIXED - Robust HMAC validation for Shopify webhooks
+// 🔐 Resend (Svix HMAC) y Telnyx (Ed25519): firma + timestamp + replay protection
 const crypto = require('crypto');
+const WebhookLog = require('../models/WebhookLog');
+const WebhookReceipt = require('../models/WebhookReceipt');
 
-const getWebhookSecrets = () => {
-  const raw = [
-    process.env.SHOPIFY_WEBHOOK_SECRET,
-    process.env.SHOPIFY_WEBHOOK_SECRETS,
-    process.env.SHOPIFY_WEBHOOK_SECRET_PREVIOUS,
-    process.env.SHOPIFY_WEBHOOK_SECRET_OLD,
-    process.env.SHOPIFY_API_SECRET,
-    process.env.SHOPIFY_API_SECRET_KEY
-  ]
+// Tolerancia de timestamp para Resend/Telnyx (segundos, ambos sentidos)
+const DEFAULT_TOLERANCE_SECONDS = 300;
+
+// Prefijo DER SPKI de Ed25519: Telnyx entrega la clave pública cruda (32 bytes en base64)
+const ED25519_SPKI_PREFIX = Buffer.from('302a300506032b6570032100', 'hex');
+
+// Varias variables y listas separadas por coma → secretos únicos (rotación: current + previous)
+const collectSecrets = (values) => {
+  const raw = values
     .filter(Boolean)
     .flatMap(value => String(value).split(','))
     .map(value => value.trim())
@@ -19,6 +22,33 @@ const getWebhookSecrets = () => {
   return [...new Set(raw)];
 };
 
+const getWebhookSecrets = () => collectSecrets([
+  process.env.SHOPIFY_WEBHOOK_SECRET,
+  process.env.SHOPIFY_WEBHOOK_SECRETS,
+  process.env.SHOPIFY_WEBHOOK_SECRET_PREVIOUS,
+  process.env.SHOPIFY_WEBHOOK_SECRET_OLD,
+  process.env.SHOPIFY_API_SECRET,
+  process.env.SHOPIFY_API_SECRET_KEY
+]);
+
+const getResendSecrets = () => collectSecrets([
+  process.env.RESEND_WEBHOOK_SECRET,
+  process.env.RESEND_WEBHOOK_SECRETS,
+  process.env.RESEND_WEBHOOK_SECRET_PREVIOUS
+]);
+
+const getTelnyxPublicKeys = () => collectSecrets([
+  process.env.TELNYX_PUBLIC_KEY,
+  process.env.TELNYX_PUBLIC_KEYS,
+  process.env.TELNYX_PUBLIC_KEY_PREVIOUS
+]);
+
+const getToleranceSeconds = () =>
+  parseInt(process.env.WEBHOOK_TIMESTAMP_TOLERANCE_SECONDS, 10) || DEFAULT_TOLERANCE_SECONDS;
+
+const skipValidation = () =>
+  process.env.NODE_ENV === 'development' && process.env.SKIP_WEBHOOK_VALIDATION === 'true';
+
 /**
  * Middleware para capturar raw body ANTES de cualquier parseo
  * Debe usarse ANTES de express.json()
@@ -198,12 +228,237 @@ const validateShopifyWebhook = (req, res, next) => {
   }
 };
 
+// ==================== RESEND / TELNYX ====================
+
+/**
+ * Raw body para verificar la firma (server.js lo captura con express.json({ verify }))
+ */
+const getRawBody = (req) => {
+  if (req.rawBody && Buffer.isBuffer(req.rawBody)) return req.rawBody;
+  if (Buffer.isBuffer(req.body)) return req.body;
+  // Reconstruir desde el objeto parseado (NO IDEAL - puede no coincidir byte a byte)
+  return Buffer.from(JSON.stringify(req.body || {}));
+};
+
+const isTimestampFresh = (timestamp) => {
+  const seconds = parseInt(timestamp, 10);
+  if (!Number.isFinite(seconds)) return false;
+  return Math.abs(Math.floor(Date.now() / 1000) - seconds) <= getToleranceSeconds();
+};
+
+/**
+ * Svix (Resend): HMAC-SHA256 de "id.timestamp.body" con el secreto whsec_ decodificado.
+ * El header puede traer varias firmas "v1,<base64>" separadas por espacio
+ */
+const verifySvixSignature = (rawBody, { id, timestamp, signature }, secrets) => {
+  const provided = signature
+    .split(' ')
+    .map(part => part.split(','))
+    .filter(([version, value]) => version === 'v1' && value)
+    .map(([, value]) => Buffer.from(value, 'base64'));
+
+  if (provided.length === 0) return false;
+
+  const signedContent = Buffer.concat([Buffer.from(`${id}.${timestamp}.`), rawBody]);
+
+  return secrets.some(secret => {
+    const key = Buffer.from(secret.replace(/^whsec_/, ''), 'base64');
+    const expected = crypto.createHmac('sha256', key).update(signedContent).digest();
+    return provided.some(candidate =>
+      candidate.length === expected.length && crypto.timingSafeEqual(candidate, expected)
+    );
+  });
+};
+
+const toEd25519PublicKey = (key) => {
+  if (key.startsWith('-----BEGIN')) {
+    return crypto.createPublicKey(key);
+  }
+  return crypto.createPublicKey({
+    key: Buffer.concat([ED25519_SPKI_PREFIX, Buffer.from(key, 'base64')]),
+    format: 'der',
+    type: 'spki'
+  });
+};
+
+/**
+ * Telnyx: firma Ed25519 (base64) de "timestamp|body" con la clave pública de la cuenta
+ */
+const verifyTelnyxSignature = (rawBody, { timestamp, signature }, publicKeys) => {
+  const signedContent = Buffer.concat([Buffer.from(`${timestamp}|`), rawBody]);
+  const signatureBuffer = Buffer.from(signature, 'base64');
+
+  return publicKeys.some(key => {
+    try {
+      return crypto.verify(null, signedContent, toEd25519PublicKey(key), signatureBuffer);
+    } catch (error) {
+      console.error(`⚠️  Invalid Telnyx public key: ${error.message}`);
+      return false;
+    }
+  });
+};
+
+/**
+ * ¿El evento ya se procesó? (replay de un evento con firma válida)
+ */
+const isEventProcessed = async (provider, eventId) =>
+  Boolean(await WebhookReceipt.exists({ provider, eventId }));
+
+/**
+ * Registra el ID del evento una vez procesado. Si el handler falla no se registra
+ * y el reintento del proveedor se procesa normalmente
+ */
+const recordEventId = async (provider, eventId, timestamp) => {
+  try {
+    await WebhookReceipt.create({
+      provider,
+      eventId,
+      signedAt: new Date(parseInt(timestamp, 10) * 1000)
+    });
+  } catch (error) {
+    // Dos entregas simultáneas del mismo evento: ya quedó registrado
+    if (error.code !== 11000) throw error;
+  }
+};
+
+const logRejection = (req, source, topic, reason, message) => {
+  console.error(`❌ ${source} webhook rejected (${reason}): ${message}`);
+
+  // No bloquear la respuesta: logRejected ya captura sus propios errores
+  WebhookLog.logRejected({
+    topic,
+    source,
+    reason,
+    message,
+    payload: req.body,
+    ip: req.ip,
+    userAgent: req.headers['user-agent'],
+    contentLength: parseInt(req.headers['content-length'], 10) || undefined
+  });
+};
+
+/**
+ * Verificación común: headers → timestamp → firma → replay
+ * @param {object} options - { provider, topic, keys, headers, eventId, verify }
+ */
+const verifySignedWebhook = async (req, res, next, options) => {
+  const { provider, topic, keys, headers, eventId, verify } = options;
+  const label = provider === 'resend' ? 'Resend' : 'Telnyx';
+
+  if (keys.length === 0) {
+    console.error(`❌ ${label} webhook secret(s) not configured`);
+    return res.status(500).json({
+      error: 'Configuration error',
+      message: 'Webhook secret not configured'
+    });
+  }
+
+  if (!headers.signature || !headers.timestamp || !eventId) {
+    logRejection(req, provider, topic, 'missing_headers', 'Missing signature, timestamp or event id');
+    return res.status(401).json({ error: 'Unauthorized', message: 'Missing signature headers' });
+  }
+
+  if (!isTimestampFresh(headers.timestamp)) {
+    logRejection(req, provider, topic, 'stale_timestamp', `Timestamp ${headers.timestamp} outside tolerance`);
+    return res.status(401).json({ error: 'Unauthorized', message: 'Timestamp outside tolerance' });
+  }
+
+  if (!verify(getRawBody(req), headers, keys)) {
+    logRejection(req, provider, topic, 'invalid_signature', `Signature did not match ${keys.length} configured key(s)`);
+    return res.status(401).json({ error: 'Unauthorized', message: 'Invalid signature' });
+  }
+
+  // Replay: firma válida pero el evento ya se procesó. 200 para que el proveedor no reintente
+  if (await isEventProcessed(provider, eventId)) {
+    logRejection(req, provider, topic, 'replay', `Event ${eventId} already processed`);
+    return res.status(200).json({ received: true, duplicate: true });
+  }
+
+  req.webhookVerification = {
+    provider,
+    eventId,
+    signatureValid: true,
+    receivedAt: new Date(),
+    // El handler lo llama al terminar de procesar el evento sin errores
+    markProcessed: () => recordEventId(provider, eventId, headers.timestamp)
+  };
+
+  next();
+};
+
+/**
+ * Validar webhook de Resend (Svix): svix-id, svix-timestamp, svix-signature
+ * Secretos: RESEND_WEBHOOK_SECRET(S) / RESEND_WEBHOOK_SECRET_PREVIOUS (whsec_...)
+ */
+const validateResendWebhook = async (req, res, next) => {
+  if (skipValidation()) {
+    console.log('⚠️  RESEND WEBHOOK VALIDATION SKIPPED (dev mode)');
+    return next();
+  }
+
+  try {
+    const headers = {
+      id: req.headers['svix-id'],
+      timestamp: req.headers['svix-timestamp'],
+      signature: req.headers['svix-signature']
+    };
+
+    await verifySignedWebhook(req, res, next, {
+      provider: 'resend',
+      topic: `resend/${req.body?.type || 'unknown'}`,
+      keys: getResendSecrets(),
+      headers,
+      eventId: headers.id,
+      verify: verifySvixSignature
+    });
+
+  } catch (error) {
+    console.error('❌ Resend webhook validation error:', error);
+    res.status(500).json({
+      error: 'Internal error',
+      message: 'Error validating webhook'
+    });
+  }
+};
+
+/**
+ * Validar webhook de Telnyx (Ed25519): telnyx-signature-ed25519, telnyx-timestamp
+ * Claves públicas: TELNYX_PUBLIC_KEY(S) / TELNYX_PUBLIC_KEY_PREVIOUS (base64 o PEM)
+ */
+const validateTelnyxWebhook = async (req, res, next) => {
+  if (skipValidation()) {
+    console.log('⚠️  TELNYX WEBHOOK VALIDATION SKIPPED (dev mode)');
+    return next();
+  }
+
+  try {
+    await verifySignedWebhook(req, res, next, {
+      provider: 'telnyx',
+      topic: `telnyx/${req.body?.data?.event_type || 'unknown'}`,
+      keys: getTelnyxPublicKeys(),
+      headers: {
+        timestamp: req.headers['telnyx-timestamp'],
+        signature: req.headers['telnyx-signature-ed25519']
+      },
+      eventId: req.body?.data?.id,
+      verify: verifyTelnyxSignature
+    });
+
+  } catch (error) {
+    console.error('❌ Telnyx webhook validation error:', error);
+    res.status(500).json({
+      error: 'Internal error',
+      message: 'Error validating webhook'
+    });
+  }
+};
+
 /**
  * Middleware alternativo: skip validation en desarrollo
  * SOLO USAR PARA TESTING
  */
 const validateShopifyWebhookDev = (req, res, next) => {
-  if (process.env.NODE_ENV === 'development' && process.env.SKIP_WEBHOOK_VALIDATION === 'true') {
+  if (skipValidation()) {
     console.log('⚠️  WEBHOOK VALIDATION SKIPPED (dev mode)');
     
     // Parsear body si es Buffer
@@ -229,8 +484,41 @@ const validateShopifyWebhookDev = (req, res, next) => {
   return validateShopifyWebhook(req, res, next);
 };
 
+// ==================== STARTUP ====================
+
+/**
+ * Resend/Telnyx sin secreto configurado responden 500 a todos los webhooks:
+ * en producción el servidor no arranca, en desarrollo solo avisa.
+ * La clave de Telnyx solo es obligatoria con SMS_ENABLED=true (cuenta dada de baja)
+ */
+const checkWebhookSecrets = () => {
+  if (skipValidation()) return;
+
+  const missing = [];
+  if (getResendSecrets().length === 0) missing.push('RESEND_WEBHOOK_SECRET');
+
+  if (getTelnyxPublicKeys().length === 0) {
+    if (process.env.SMS_ENABLED === 'true') {
+      missing.push('TELNYX_PUBLIC_KEY');
+    } else {
+      console.warn('⚠️  TELNYX_PUBLIC_KEY not configured (SMS disabled) - Telnyx webhooks will be rejected with 500');
+    }
+  }
+
+  if (missing.length === 0) return;
+
+  const message = `Webhook signing secret(s) not configured: ${missing.join(', ')}`;
+  if (process.env.NODE_ENV === 'production') {
+    throw new Error(message);
+  }
+  console.warn(`⚠️  ${message} - those webhooks will be rejected with 500`);
+};
+
 module.exports = { 
   validateShopifyWebhook,
   validateShopifyWebhookDev,
+  validateResendWebhook,
+  validateTelnyxWebhook,
+  checkWebhookSecrets,
   captureRawBody
 };
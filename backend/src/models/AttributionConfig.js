@@ -0,0 +1,42 @@
+// backend/src/models/AttributionConfig.js
+// ⚙️ Configuración de atribución multi-touch (singleton)
+const mongoose = require('mongoose');
+
+const attributionConfigSchema = new mongoose.Schema({
+  // Ventana (días antes de la orden) en la que cada tipo de touch cuenta
+  windows: {
+    email_open: { type: Number, default: 2, min: 0, max: 90 },
+    email_click: { type: Number, default: 7, min: 0, max: 90 },
+    sms_click: { type: Number, default: 7, min: 0, max: 90 },
+    popup_signup: { type: Number, default: 30, min: 0, max: 90 },
+    flow_email: { type: Number, default: 7, min: 0, max: 90 },
+    flow_sms: { type: Number, default: 7, min: 0, max: 90 }
+  },
+
+  // Time decay: un touch de hace halfLifeDays vale la mitad que uno de ahora
+  timeDecayHalfLifeDays: { type: Number, default: 3, min: 0.1, max: 30 },
+
+  // Máximo de touches considerados por orden (los más recientes)
+  maxTouchesPerOrder: { type: Number, default: 50, min: 1, max: 200 },
+
+  // Modelo que se muestra por defecto en reportes
+  defaultModel: {
+    type: String,
+    enum: ['first_touch', 'last_touch', 'linear', 'time_decay'],
+    default: 'last_touch'
+  }
+}, {
+  timestamps: true,
+  collection: 'attribution_config'
+});
+
+// Singleton
+attributionConfigSchema.statics.getConfig = async function () {
+  let config = await this.findOne();
+  if (!config) {
+    config = await this.create({});
+  }
+  return config;
+};
+
+module.exports = mongoose.model('AttributionConfig', attributionConfigSchema);
@@ -0,0 +1,82 @@
+// backend/src/models/AttributionCredit.js
+// 💰 AttributionCredit - Crédito de una orden asignado a un touchpoint según un modelo
+// Una orden genera filas para cada modelo (first_touch, last_touch, linear, time_decay);
+// la suma de weight por orden y modelo es 1.
+const mongoose = require('mongoose');
+
+const MODELS = ['first_touch', 'last_touch', 'linear', 'time_decay'];
+
+const attributionCreditSchema = new mongoose.Schema({
+  order: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Order',
+    required: true
+  },
+  customer: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Customer'
+  },
+  orderValue: {
+    type: Number,
+    required: true
+  },
+  orderDate: {
+    type: Date,
+    required: true
+  },
+
+  model: {
+    type: String,
+    enum: MODELS,
+    required: true
+  },
+
+  touchpoint: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Touchpoint'
+  },
+  touchType: String,
+  channel: {
+    type: String,
+    required: true
+  },
+  campaign: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Campaign'
+  },
+  smsCampaign: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'SmsCampaign'
+  },
+  flow: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Flow'
+  },
+  touchedAt: Date,
+
+  // Fracción de la orden (0-1) y revenue = weight × orderValue
+  weight: {
+    type: Number,
+    required: true
+  },
+  revenue: {
+    type: Number,
+    required: true
+  }
+
+}, {
+  timestamps: true,
+  collection: 'attribution_credits'
+});
+
+// ==================== ÍNDICES ====================
+
+attributionCreditSchema.index({ order: 1, model: 1 });
+attributionCreditSchema.index({ orderDate: -1, model: 1, channel: 1 });
+attributionCreditSchema.index({ campaign: 1, model: 1 });
+attributionCreditSchema.index({ smsCampaign: 1, model: 1 });
+attributionCreditSchema.index({ flow: 1, model: 1 });
+
+attributionCreditSchema.statics.MODELS = MODELS;
+
+module.exports = mongoose.model('AttributionCredit', attributionCreditSchema);
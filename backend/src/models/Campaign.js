@@ -1,5 +1,6 @@
 // backend/src/models/Campaign.js (ACTUALIZADO CON REVENUE + UNSUBSCRIBE)
 const mongoose = require('mongoose');
+const blockRenderer = require('../utils/blockRenderer');
 
 const campaignSchema = new mongoose.Schema({
   name: {
@@ -17,15 +18,26 @@ const campaignSchema = new mongoose.Schema({
   },
   previewText: String,
   
+  // Parte de texto plano del email (se genera desde templateBlocks)
+  textContent: String,
+  
+  // Documento del email builder: si tiene bloques, htmlContent y textContent se generan al guardar
+  templateBlocks: [{
+    _id: false,
+    type: { type: String, enum: Object.keys(blockRenderer.BLOCK_TYPES) },
+    props: { type: mongoose.Schema.Types.Mixed, default: {} }
+  }],
+  
   targetType: {
     type: String,
-    enum: ['list', 'segment'],
+    enum: ['list', 'segment', 'resend'],
     default: 'list'
   },
 
-  // segment field kept for backward compat with existing data (no longer populated)
+  // Segmento dinámico: la membresía se evalúa al enviar (campaignSendService)
   segment: {
-    type: mongoose.Schema.Types.ObjectId
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Segment'
   },
   
   list: {
@@ -43,6 +55,36 @@ status: {
   scheduledAt: Date,
   sentAt: Date,
   
+  // Topic del preference center: los clientes que lo desactivaron se saltan
+  topic: {
+    type: String,
+    enum: ['promotions', 'content', 'product_launches', 'order_updates'],
+    default: 'promotions'
+  },
+  
+  // Resultado de la última validación del template (al guardar y antes de enviar)
+  templateValidation: {
+    valid: { type: Boolean, default: true },
+    errors: [String],
+    unknownVariables: [String],
+    checkedAt: Date
+  },
+  
+  // Último preflight (ver preflightService): errores bloquean, warnings requieren acknowledgement
+  preflight: {
+    passed: Boolean,
+    errors: [{ _id: false, severity: String, code: String, message: String, details: mongoose.Schema.Types.Mixed }],
+    warnings: [{ _id: false, severity: String, code: String, message: String, details: mongoose.Schema.Types.Mixed }],
+    warningsHash: String,
+    summary: mongoose.Schema.Types.Mixed,
+    checkedAt: Date,
+    
+    // Warnings reconocidos (vale mientras warningsHash no cambie)
+    acknowledgedHash: String,
+    acknowledgedBy: String,
+    acknowledgedAt: Date
+  },
+  
   // STATS CON REVENUE + UNSUBSCRIBE
   stats: {
     totalRecipients: { type: Number, default: 0 },
@@ -54,6 +96,17 @@ status: {
     complained: { type: Number, default: 0 },
     unsubscribed: { type: Number, default: 0 },
     skipped: { type: Number, default: 0 },
+    suppressed: { type: Number, default: 0 },  // Excluidos al preparar (Suppression list)
+    frequencyCapped: { type: Number, default: 0 },  // Saltados por frequency capping global
+    preferenceSkipped: { type: Number, default: 0 }, // Saltados por preferencias (topic, pausa, fewer)
+    optedDown: { type: Number, default: 0 },         // Opt-downs desde el preference center (no son unsubscribes)
+    
+    // 🤖 Human-only (botFilterService): destinatarios únicos con open/click human
+    // y eventos descartados como prefetch (Apple MPP) o scanner
+    humanOpened: { type: Number, default: 0 },
+    humanClicked: { type: Number, default: 0 },
+    machineOpens: { type: Number, default: 0 },
+    machineClicks: { type: Number, default: 0 },
     
     // REVENUE METRICS
     purchased: { type: Number, default: 0 },
@@ -65,8 +118,13 @@ status: {
     clickRate: { type: Number, default: 0 },
     bounceRate: { type: Number, default: 0 },
     unsubscribeRate: { type: Number, default: 0 },  // 🆕 UNSUBSCRIBE RATE
+    humanOpenRate: { type: Number, default: 0 },
+    humanClickRate: { type: Number, default: 0 },
     conversionRate: { type: Number, default: 0 },
-    revenuePerEmail: { type: Number, default: 0 }
+    revenuePerEmail: { type: Number, default: 0 },
+    
+    // Error de la última preparación fallida (la campaña vuelve a draft)
+    error: { type: String, default: null }
   },
   
   fromName: {
@@ -88,6 +146,142 @@ status: {
     default: true
   },
   
+  // ==================== A/B TESTING ====================
+  // Se envía cada variante a un % de la audiencia, se espera waitHours y el
+  // resto recibe la ganadora (ver abTestService + abTestJob)
+  abTest: {
+    enabled: { type: Boolean, default: false },
+    
+    // Campos vacíos en una variante usan los de la campaña
+    variants: [{
+      key: { type: String, required: true },   // 'A', 'B', ...
+      subject: String,
+      previewText: String,
+      fromName: String,
+      htmlContent: String
+    }],
+    
+    testPercentage: { type: Number, default: 20, min: 1, max: 100 },
+    waitHours: { type: Number, default: 4, min: 0 },
+    winnerMetric: {
+      type: String,
+      enum: ['open_rate', 'click_rate', 'revenue'],
+      default: 'open_rate'
+    },
+    
+    // testing → waiting → winner_sent → completed
+    status: {
+      type: String,
+      enum: ['pending', 'testing', 'waiting', 'winner_sent', 'completed'],
+      default: 'pending'
+    },
+    testCompletedAt: Date,
+    winnerSelectAt: Date,
+    
+    winner: String,
+    winnerSelectedAt: Date,
+    winnerSelectedBy: {
+      type: String,
+      enum: ['auto', 'manual']
+    },
+    
+    // Snapshot de resultados al elegir ganadora
+    results: [{
+      key: String,
+      sent: Number,
+      opened: Number,
+      clicked: Number,
+      purchased: Number,
+      revenue: Number,
+      openRate: Number,
+      clickRate: Number,
+      revenuePerRecipient: Number
+    }]
+  },
+  
+  // ==================== SEND-TIME OPTIMIZATION ====================
+  // Cada destinatario recibe el email en su mejor hora (ET) dentro de 24h;
+  // un grupo de control se envía inmediatamente (ver sendTimeService)
+  sendTimeOptimization: {
+    enabled: { type: Boolean, default: false },
+    controlPercentage: { type: Number, default: 10, min: 0, max: 50 },
+    
+    // Calculados al enviar
+    windowStart: Date,
+    fallbackHour: Number,
+    fallbackSource: {
+      type: String,
+      enum: ['list', 'global', 'maximus', 'default']
+    }
+  },
+  
+  // Se envía sin consultar el frequency capping global (solo admins)
+  frequencyCapExempt: { type: Boolean, default: false },
+  
+  // ==================== CÓDIGOS ÚNICOS ({{coupon}}) ====================
+  // Un price rule de Shopify + pool de códigos de un solo uso (ver couponPoolService)
+  coupon: {
+    percentOff: { type: Number, min: 1, max: 100 },
+    expirationDays: { type: Number, default: 14, min: 1, max: 365 },
+    prefix: { type: String, default: 'JPE', uppercase: true, trim: true },
+    
+    // Calculados al generar el pool
+    priceRuleId: String,
+    endsAt: Date,
+    generated: { type: Number, default: 0 },
+    assigned: { type: Number, default: 0 },
+    redeemed: { type: Number, default: 0 },
+    revenue: { type: Number, default: 0 }
+  },
+  
+  // ==================== RESEND A NO-OPENERS ====================
+  // delayHours después del envío se crea una campaña hija con nuevo subject para
+  // los que recibieron y no abrieron ni clickearon (ver resendService + resendJob)
+  resend: {
+    enabled: { type: Boolean, default: false },
+    subject: String,
+    previewText: String,
+    delayHours: { type: Number, default: 48, min: 1, max: 168 },
+    status: {
+      type: String,
+      enum: ['pending', 'sent', 'skipped', 'failed'],
+      default: 'pending'
+    },
+    childCampaign: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Campaign',
+      default: null
+    },
+    processedAt: Date,
+    error: String
+  },
+  
+  // Campaña hija (targetType 'resend'): la original de la que sale la audiencia
+  parentCampaign: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Campaign',
+    default: null
+  },
+  
+  // ==================== HOLDOUT ====================
+  // % de la audiencia que no recibe la campaña: base del reporte de incrementalidad
+  // (ver holdoutService + HoldoutMember)
+  holdout: {
+    percentage: { type: Number, default: 0, min: 0, max: 50 },
+    windowDays: { type: Number, default: 7, min: 1, max: 30 },
+    withheld: { type: Number, default: 0 },
+    startedAt: { type: Date, default: null }
+  },
+  
+  // ==================== SERIES RECURRENTES ====================
+  // Ocurrencia materializada de una CampaignSeries (ver campaignSeriesService)
+  series: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'CampaignSeries',
+    default: null
+  },
+  seriesOccurrence: { type: Number, default: null },
+  
   tags: [String],
   notes: String
   
@@ -101,6 +295,29 @@ campaignSchema.index({ status: 1, scheduledAt: 1 });
 campaignSchema.index({ createdAt: -1 });
 campaignSchema.index({ list: 1 });
 campaignSchema.index({ targetType: 1 });
+campaignSchema.index({ 'abTest.status': 1, 'abTest.winnerSelectAt': 1 });
+campaignSchema.index({ status: 1, 'resend.enabled': 1, 'resend.status': 1 });
+campaignSchema.index({ parentCampaign: 1 });
+campaignSchema.index({ series: 1, scheduledAt: 1 });
+
+// ==================== EMAIL BUILDER ====================
+// Bloques → HTML + texto antes de validar (htmlContent es required)
+campaignSchema.pre('validate', function(next) {
+  if (this.isModified('templateBlocks') && this.templateBlocks?.length > 0) {
+    this.renderBlocks();
+  }
+  next();
+});
+
+campaignSchema.methods.renderBlocks = function() {
+  const { html, text } = blockRenderer.render(
+    this.templateBlocks.map(b => ({ type: b.type, props: b.props })),
+    { title: this.subject }
+  );
+  this.htmlContent = html;
+  this.textContent = text;
+  return { html, text };
+};
 
 // ==================== PRE-SAVE VALIDATION ====================
 campaignSchema.pre('save', function(next) {
@@ -113,6 +330,22 @@ campaignSchema.pre('save', function(next) {
 
 // ==================== MÉTODOS DE INSTANCIA ====================
 
+/**
+ * Contenido efectivo de una variante (fallback a la campaña)
+ */
+campaignSchema.methods.getVariantContent = function(key) {
+  const variant = key && this.abTest?.variants?.find(v => v.key === key);
+  
+  return {
+    subject: variant?.subject || this.subject,
+    previewText: variant?.previewText || this.previewText,
+    fromName: variant?.fromName || this.fromName,
+    htmlContent: variant?.htmlContent || this.htmlContent,
+    // El texto plano sale de los bloques de la campaña: no aplica a variantes con HTML propio
+    textContent: variant?.htmlContent ? null : this.textContent
+  };
+};
+
 /**
  * Actualiza todos los rates calculados
  */
@@ -122,6 +355,8 @@ campaignSchema.methods.updateRates = function() {
     this.stats.openRate = parseFloat(((this.stats.opened / this.stats.delivered) * 100).toFixed(2));
     this.stats.clickRate = parseFloat(((this.stats.clicked / this.stats.delivered) * 100).toFixed(2));
     this.stats.conversionRate = parseFloat(((this.stats.purchased / this.stats.delivered) * 100).toFixed(2));
+    this.stats.humanOpenRate = parseFloat((((this.stats.humanOpened || 0) / this.stats.delivered) * 100).toFixed(2));
+    this.stats.humanClickRate = parseFloat((((this.stats.humanClicked || 0) / this.stats.delivered) * 100).toFixed(2));
   }
   
   // Bounce & Unsubscribe rates (basados en sent)
@@ -226,7 +461,9 @@ campaignSchema.statics.getDetailedStats = async function(campaignId) {
       conversionRate: campaign.stats.conversionRate,
       clickToOpenRate: campaign.stats.opened > 0
         ? parseFloat(((campaign.stats.clicked / campaign.stats.opened) * 100).toFixed(2))
-        : 0
+        : 0,
+      humanOpenRate: campaign.stats.humanOpenRate,
+      humanClickRate: campaign.stats.humanClickRate
     },
     revenue: {
       total: campaign.stats.totalRevenue,
@@ -0,0 +1,98 @@
+// backend/src/models/CampaignSeries.js
+// 🔁 Campaign Series - Campañas recurrentes (newsletter semanal, pickle of the month)
+// La serie apunta a una campaña template (draft). campaignSeriesService materializa
+// cada ocurrencia como su propia Campaign programada (series + seriesOccurrence) y
+// schedulerJob la envía como cualquier otra. Las fechas que caen en un
+// blackout_period del BusinessCalendar se saltan (skipBlackouts).
+const mongoose = require('mongoose');
+
+const campaignSeriesSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+
+  description: String,
+
+  // Campaña draft con contenido + audiencia que se copia en cada ocurrencia
+  template: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Campaign',
+    required: true
+  },
+
+  // ==================== REGLA DE RECURRENCIA ====================
+  recurrence: {
+    // weekly: weekdays (0 = domingo ... 6 = sábado) cada `interval` semanas
+    // monthly: el nthWeek-ésimo `weekday` del mes (nthWeek -1 = el último) cada `interval` meses
+    frequency: {
+      type: String,
+      enum: ['weekly', 'monthly'],
+      required: true
+    },
+    interval: { type: Number, default: 1, min: 1, max: 12 },
+    weekdays: [{ type: Number, min: 0, max: 6 }],
+    nthWeek: { type: Number, min: -1, max: 4 },
+    weekday: { type: Number, min: 0, max: 6 },
+
+    // Hora local de envío (HH:mm, ET)
+    sendTime: { type: String, default: '10:00' },
+    timezone: { type: String, default: 'America/New_York' },
+
+    startDate: { type: Date, required: true },
+    // Fin: endDate y/o count (ocurrencias enviadas, las saltadas no cuentan)
+    endDate: { type: Date, default: null },
+    count: { type: Number, default: null, min: 1 }
+  },
+
+  // Saltar fechas dentro de un blackout_period del BusinessCalendar
+  skipBlackouts: { type: Boolean, default: true },
+
+  // Horas antes del envío en que se crea la Campaign programada (editable/preflight)
+  leadHours: { type: Number, default: 24, min: 0, max: 168 },
+
+  // Los warnings del preflight se aceptan solos al enviar (los errores siempre bloquean)
+  acknowledgeWarnings: { type: Boolean, default: false },
+
+  status: {
+    type: String,
+    enum: ['active', 'paused', 'completed'],
+    default: 'active',
+    index: true
+  },
+
+  // ==================== PROGRESO ====================
+  // Cursor: última fecha procesada (materializada o saltada)
+  lastOccurrenceAt: { type: Date, default: null },
+  nextOccurrenceAt: { type: Date, default: null },
+  occurrencesCreated: { type: Number, default: 0 },
+
+  skipped: [{
+    _id: false,
+    date: Date,
+    reason: {
+      type: String,
+      enum: ['blackout', 'missed', 'error']
+    },
+    calendarEntry: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'BusinessCalendar'
+    },
+    detail: String
+  }],
+
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true,
+  collection: 'campaign_series'
+});
+
+// ==================== ÍNDICES ====================
+campaignSeriesSchema.index({ status: 1, nextOccurrenceAt: 1 });
+campaignSeriesSchema.index({ template: 1 });
+
+module.exports = mongoose.model('CampaignSeries', campaignSeriesSchema);
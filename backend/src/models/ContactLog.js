@@ -0,0 +1,62 @@
+// backend/src/models/ContactLog.js
+// 📬 ContactLog - Registro de cada mensaje de marketing enviado (email o SMS)
+// Lo usa contactPressureService para el frequency capping global entre canales.
+const mongoose = require('mongoose');
+
+const contactLogSchema = new mongoose.Schema({
+  channel: {
+    type: String,
+    enum: ['email', 'sms'],
+    required: true
+  },
+
+  // Origen del envío
+  source: {
+    type: String,
+    enum: ['campaign', 'maximus', 'flow', 'sms_campaign'],
+    required: true
+  },
+
+  // Identidad: email y/o teléfono (últimos 10 dígitos) para cruzar canales
+  customer: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Customer'
+  },
+  email: {
+    type: String,
+    lowercase: true,
+    trim: true
+  },
+  phone: String,
+
+  campaign: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Campaign'
+  },
+  smsCampaign: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'SmsCampaign'
+  },
+  flow: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Flow'
+  },
+
+  sentAt: {
+    type: Date,
+    default: Date.now
+  }
+
+}, {
+  timestamps: false,
+  collection: 'contact_logs'
+});
+
+// ==================== ÍNDICES ====================
+
+contactLogSchema.index({ email: 1, sentAt: -1 });
+contactLogSchema.index({ phone: 1, sentAt: -1 });
+// Ninguna ventana de capping pasa de 30 días
+contactLogSchema.index({ sentAt: 1 }, { expireAfterSeconds: 31 * 24 * 60 * 60 });
+
+module.exports = mongoose.model('ContactLog', contactLogSchema);
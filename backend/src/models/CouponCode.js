@@ -0,0 +1,74 @@
+// backend/src/models/CouponCode.js
+// 🎟️ CouponCode - Pool de códigos únicos de un solo uso para {{coupon}} en campañas
+// couponPoolService los genera por adelantado bajo un único price rule de Shopify
+// (campaign.coupon.priceRuleId), emailQueue asigna uno por destinatario al enviar
+// y webhooksController.orderCreate marca el canje con la orden.
+const mongoose = require('mongoose');
+
+const couponCodeSchema = new mongoose.Schema({
+  code: {
+    type: String,
+    required: true,
+    uppercase: true,
+    trim: true
+  },
+
+  campaign: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Campaign',
+    required: true
+  },
+
+  priceRuleId: {
+    type: String,
+    required: true
+  },
+
+  // available → assigned (al enviar) → redeemed (orderCreate)
+  status: {
+    type: String,
+    enum: ['available', 'reserved', 'assigned', 'redeemed'],
+    default: 'available'
+  },
+
+  // Bulk claim (mismo patrón que EmailSend.lockedBy)
+  claimedBy: { type: String, default: null },
+
+  // Destinatario
+  email: {
+    type: String,
+    lowercase: true,
+    trim: true,
+    default: null
+  },
+  customer: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Customer',
+    default: null
+  },
+  assignedAt: { type: Date, default: null },
+
+  // Canje
+  redeemedAt: { type: Date, default: null },
+  order: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Order',
+    default: null
+  },
+  orderTotal: { type: Number, default: null },
+
+  // true = generado con SHOPIFY_MOCK (no existe en Shopify)
+  mocked: { type: Boolean, default: false }
+}, {
+  timestamps: true,
+  collection: 'coupon_codes'
+});
+
+// ==================== ÍNDICES ====================
+
+couponCodeSchema.index({ code: 1 }, { unique: true });
+couponCodeSchema.index({ campaign: 1, status: 1 });
+couponCodeSchema.index({ campaign: 1, email: 1 });
+couponCodeSchema.index({ claimedBy: 1 });
+
+module.exports = mongoose.model('CouponCode', couponCodeSchema);
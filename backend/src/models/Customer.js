@@ -78,6 +78,23 @@ const customerSchema = new mongoose.Schema({
     index: true
   },
   
+  // 📬 Preference center: topics, frecuencia y pausa (opt-down sin unsubscribe)
+  emailPreferences: {
+    topics: {
+      promotions: { type: Boolean, default: true },
+      content: { type: Boolean, default: true },          // Recetas / contenido
+      product_launches: { type: Boolean, default: true },
+      order_updates: { type: Boolean, default: true }
+    },
+    frequency: {
+      type: String,
+      enum: ['normal', 'fewer'],
+      default: 'normal'
+    },
+    pausedUntil: Date,
+    updatedAt: Date
+  },
+  
   // ✅ Información detallada de bounces
   bounceInfo: {
     isBounced: { type: Boolean, default: false, index: true },
@@ -172,10 +189,13 @@ customerSchema.methods.updateSegments = async function() {
   await this.save();
 };
 
-// Método para verificar si cumple un segmento
-customerSchema.methods.matchesSegment = function(segment) {
-  // TODO: Implementar lógica de evaluación de condiciones
-  return false;
+// Método para verificar si cumple un segmento (evalúa sus reglas contra la DB)
+customerSchema.methods.matchesSegment = async function(segment) {
+  const query = segment.buildQuery();
+  if (Object.keys(query).length === 0) return false;
+  
+  const match = await this.constructor.exists({ $and: [{ _id: this._id }, query] });
+  return !!match;
 };
 
 // ✅ FIXED: Marcar customer como bounced
@@ -30,7 +30,7 @@ const emailEventSchema = new mongoose.Schema({
   
   eventType: {
     type: String,
-    enum: ['sent', 'delivered', 'opened', 'clicked', 'bounced', 'complained', 'unsubscribed', 'delayed', 'purchased'],
+    enum: ['sent', 'delivered', 'opened', 'clicked', 'bounced', 'complained', 'unsubscribed', 'opted_down', 'delayed', 'purchased'],
     required: true,
     index: true
   },
@@ -74,6 +74,14 @@ const emailEventSchema = new mongoose.Schema({
   ipAddress: String,
   resendId: String, // Legacy - mantener por compatibilidad
   
+  // 🤖 Opens/clicks: botFilterService (null = evento anterior al filtro, cuenta como human)
+  classification: {
+    type: String,
+    enum: ['human', 'prefetch', 'scanner', null],
+    default: null
+  },
+  classificationReasons: { type: [String], default: undefined },
+  
   metadata: {
     resendEventId: {
       type: String,
@@ -202,7 +210,16 @@ emailEventSchema.index(
   }
 );
 
-// 12. ⚠️ OPCIONAL: TTL Index - Auto-eliminar eventos después de 2 años
+// 12. Human-only stats (primer open/click human por destinatario)
+emailEventSchema.index(
+  { campaign: 1, email: 1, eventType: 1, classification: 1 },
+  { 
+    name: 'campaign_email_classification_idx',
+    background: true 
+  }
+);
+
+// 13. ⚠️ OPCIONAL: TTL Index - Auto-eliminar eventos después de 2 años
 // ⚠️ DESCOMENTAR SOLO SI QUIERES AUTO-DELETE
 // emailEventSchema.index(
 //   { eventDate: 1 },
@@ -41,6 +41,36 @@ const emailSendSchema = new mongoose.Schema({
     index: true
   },
   
+  // Variante A/B asignada (null si la campaña no tiene A/B test)
+  variant: {
+    type: String,
+    default: null
+  },
+  
+  // Send-time optimization: grupo y hora programada (vacío si no aplica)
+  sto: {
+    group: { type: String, enum: ['optimized', 'control'] },
+    preferredHour: Number,       // 0-23, hora ET
+    hourSource: String,          // customer | list | global | maximus | default
+    scheduledFor: Date
+  },
+  
+  // Productos del bloque {{recommendations}} resueltos al enviar (reporte por producto)
+  recommendations: [{
+    _id: false,
+    productId: String,           // shopifyId
+    title: String,
+    reason: { type: String, enum: ['bought_together', 'back_in_stock', 'top_seller'] },
+    position: Number
+  }],
+  
+  // Código único de {{coupon}} asignado al enviar (ver couponPoolService)
+  coupon: {
+    code: String,
+    redeemedAt: Date,
+    orderId: { type: mongoose.Schema.Types.ObjectId, ref: 'Order' }
+  },
+  
   // ========== ESTADO DEL ENVÍO ==========
   status: {
     type: String,
@@ -55,10 +85,17 @@ const emailSendSchema = new mongoose.Schema({
       delivered   - Webhook confirmó entrega
       failed      - Error permanente
       bounced     - Email rebotó
-      skipped     - Saltado (bounced/unsubscribed/complained)
+      skipped     - Saltado (ver skipReason)
     `
   },
   
+  // Motivo del skip (status = skipped)
+  skipReason: {
+    type: String,
+    enum: ['bounced', 'complained', 'unsubscribed', 'suppressed', 'frequency_capped', 'topic_opt_out', 'paused', 'fewer_emails', 'coupon_unavailable'],
+    default: null
+  },
+  
   // ========== LOCKING PARA ATOMIC OPERATIONS ==========
   lockedBy: {
     type: String,
@@ -161,6 +198,12 @@ emailSendSchema.index(
   { name: 'campaign_status_lookup' }
 );
 
+// Para resultados de A/B test por variante
+emailSendSchema.index(
+  { campaignId: 1, variant: 1 },
+  { name: 'campaign_variant_lookup', partialFilterExpression: { variant: { $type: 'string' } } }
+);
+
 // ========== MÉTODOS DE INSTANCIA ==========
 
 /**
@@ -463,6 +506,117 @@ emailSendSchema.statics.getCampaignStats = async function(campaignId) {
   return stats;
 };
 
+/**
+ * Engagement por grupo (variante A/B, grupo STO...): enviados y destinatarios
+ * únicos que abrieron / hicieron click según EmailEvent. humanOpened/humanClicked
+ * excluyen los eventos clasificados como prefetch o scanner (botFilterService)
+ * @param {string} campaignId
+ * @param {string} groupField - campo de EmailSend por el que agrupar ('variant', 'sto.group')
+ * @returns {object} { [grupo]: { sent, opened, clicked, humanOpened, humanClicked } }
+ */
+emailSendSchema.statics.getEngagementByGroup = async function(campaignId, groupField) {
+  const campaignObjectId = new mongoose.Types.ObjectId(campaignId);
+  
+  const rows = await this.aggregate([
+    { $match: { campaignId: campaignObjectId, [groupField]: { $type: 'string' } } },
+    {
+      $lookup: {
+        from: 'email_events',
+        let: { email: '$recipientEmail' },
+        pipeline: [
+          {
+            $match: {
+              $expr: { $eq: ['$email', '$$email'] },
+              campaign: { $in: [campaignObjectId, campaignObjectId.toString()] },
+              eventType: { $in: ['opened', 'clicked'] }
+            }
+          },
+          {
+            $group: {
+              _id: '$eventType',
+              human: {
+                $max: { $cond: [{ $in: [{ $ifNull: ['$classification', 'human'] }, ['prefetch', 'scanner']] }, 0, 1] }
+              }
+            }
+          }
+        ],
+        as: 'events'
+      }
+    },
+    {
+      $addFields: {
+        humanEvents: {
+          $map: {
+            input: { $filter: { input: '$events', cond: { $eq: ['$$this.human', 1] } } },
+            in: '$$this._id'
+          }
+        }
+      }
+    },
+    {
+      $group: {
+        _id: `$${groupField}`,
+        sent: { $sum: { $cond: [{ $in: ['$status', ['sent', 'delivered']] }, 1, 0] } },
+        opened: { $sum: { $cond: [{ $in: ['opened', '$events._id'] }, 1, 0] } },
+        clicked: { $sum: { $cond: [{ $in: ['clicked', '$events._id'] }, 1, 0] } },
+        humanOpened: { $sum: { $cond: [{ $in: ['opened', '$humanEvents'] }, 1, 0] } },
+        humanClicked: { $sum: { $cond: [{ $in: ['clicked', '$humanEvents'] }, 1, 0] } }
+      }
+    }
+  ]);
+  
+  const result = {};
+  rows.forEach(r => {
+    result[r._id] = {
+      sent: r.sent,
+      opened: r.opened,
+      clicked: r.clicked,
+      humanOpened: r.humanOpened,
+      humanClicked: r.humanClicked
+    };
+  });
+  
+  return result;
+};
+
+/**
+ * Revenue por grupo: órdenes atribuidas a la campaña (Order.attribution)
+ * asignadas al grupo del EmailSend de cada cliente
+ * @returns {object} { [grupo]: { purchased, revenue } }
+ */
+emailSendSchema.statics.getRevenueByGroup = async function(campaignId, groupField) {
+  const Order = require('./Order');
+  const campaignObjectId = new mongoose.Types.ObjectId(campaignId);
+  
+  const orders = await Order.find({ 'attribution.campaign': campaignObjectId, customer: { $ne: null } })
+    .select('customer totalPrice')
+    .lean();
+  
+  if (orders.length === 0) return {};
+  
+  const sends = await this.find({
+    campaignId: campaignObjectId,
+    customerId: { $in: orders.map(o => o.customer) },
+    [groupField]: { $type: 'string' }
+  }).select(`customerId ${groupField}`).lean();
+  
+  const groupByCustomer = new Map(
+    sends.map(s => [s.customerId.toString(), groupField.split('.').reduce((obj, key) => obj?.[key], s)])
+  );
+  
+  const result = {};
+  orders.forEach(order => {
+    const group = groupByCustomer.get(order.customer.toString());
+    if (!group) return;
+    
+    if (!result[group]) result[group] = { purchased: 0, revenue: 0 };
+    result[group].purchased++;
+    result[group].revenue += order.totalPrice || 0;
+  });
+  
+  return result;
+};
+
 // ========== MIDDLEWARE ==========
 
 // Antes de guardar, validar email
@@ -0,0 +1,151 @@
+// backend/src/models/Flow.js
+// 🔄 Flow Model - Automatizaciones disparadas por eventos (Shopify webhooks)
+const mongoose = require('mongoose');
+
+const TRIGGER_TYPES = [
+  'customer_created',
+  'customer_tag_added',
+  'order_placed',
+  'order_fulfilled',
+  'order_cancelled',
+  'order_refunded',
+  'cart_abandoned',
+  'product_back_in_stock',
+  'sms_keyword'
+];
+
+const STEP_TYPES = ['send_email', 'send_sms', 'wait', 'condition', 'add_tag', 'create_discount'];
+
+// Los steps de tipo "condition" llevan sus ramas en config.ifTrue / config.ifFalse
+// (arrays de steps con la misma forma), por eso config es Mixed.
+const flowStepSchema = new mongoose.Schema({
+  type: {
+    type: String,
+    enum: STEP_TYPES,
+    required: true
+  },
+  order: {
+    type: Number,
+    default: 0
+  },
+  config: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  }
+}, { _id: true });
+
+const flowSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  description: String,
+
+  // ==================== TRIGGER ====================
+  trigger: {
+    type: {
+      type: String,
+      enum: TRIGGER_TYPES,
+      required: true,
+      index: true
+    },
+    // Filtros opcionales por trigger:
+    //   customer_tag_added → tagName
+    //   order_placed       → firstOrderOnly, minOrderValue
+    //   cart_abandoned     → abandonedAfterMinutes (lo aplica el webhook)
+    //   sms_keyword        → keyword (solo entra por la acción start_flow de un SmsKeyword)
+    config: {
+      type: mongoose.Schema.Types.Mixed,
+      default: {}
+    }
+  },
+
+  // ==================== STEPS ====================
+  steps: [flowStepSchema],
+
+  status: {
+    type: String,
+    enum: ['draft', 'active', 'paused'],
+    default: 'draft',
+    index: true
+  },
+
+  // ==================== SETTINGS ====================
+  settings: {
+    // Permitir que un cliente entre de nuevo al flow
+    allowReentry: {
+      type: Boolean,
+      default: false
+    },
+    // Si allowReentry, tiempo mínimo entre entradas
+    reentryWindowHours: {
+      type: Number,
+      default: 24
+    },
+    // Cancelar ejecuciones en curso cuando el cliente compra
+    exitOnPurchase: {
+      type: Boolean,
+      default: false
+    },
+    fromName: String,
+    fromEmail: String,
+    replyTo: String
+  },
+
+  // ==================== METRICS ====================
+  // Las métricas de email las actualizan EmailEvent.logEvent y el webhook de Resend
+  metrics: {
+    totalTriggered: { type: Number, default: 0 },
+    completed: { type: Number, default: 0 },
+    cancelled: { type: Number, default: 0 },
+    failed: { type: Number, default: 0 },
+    emailsSent: { type: Number, default: 0 },
+    smsSent: { type: Number, default: 0 },
+    delivered: { type: Number, default: 0 },
+    opens: { type: Number, default: 0 },
+    clicks: { type: Number, default: 0 },
+    bounced: { type: Number, default: 0 },
+    complained: { type: Number, default: 0 },
+    totalOrders: { type: Number, default: 0 },
+    totalRevenue: { type: Number, default: 0 }
+  },
+
+  activatedAt: Date,
+  pausedAt: Date,
+
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+
+}, {
+  timestamps: true,
+  collection: 'flows'
+});
+
+// ==================== ÍNDICES ====================
+
+flowSchema.index({ status: 1, 'trigger.type': 1 });
+
+// ==================== MÉTODOS ====================
+
+/**
+ * Steps de primer nivel en orden de ejecución
+ */
+flowSchema.methods.getOrderedSteps = function() {
+  return [...(this.steps || [])]
+    .map(s => (s.toObject ? s.toObject() : s))
+    .sort((a, b) => (a.order || 0) - (b.order || 0));
+};
+
+// ==================== STATICS ====================
+
+flowSchema.statics.getActiveByTrigger = function(triggerType) {
+  return this.find({ status: 'active', 'trigger.type': triggerType });
+};
+
+flowSchema.statics.TRIGGER_TYPES = TRIGGER_TYPES;
+flowSchema.statics.STEP_TYPES = STEP_TYPES;
+
+module.exports = mongoose.model('Flow', flowSchema);
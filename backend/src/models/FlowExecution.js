@@ -0,0 +1,149 @@
+// backend/src/models/FlowExecution.js
+// 🔄 FlowExecution Model - Una inscripción de un cliente en un Flow
+const mongoose = require('mongoose');
+
+const flowExecutionSchema = new mongoose.Schema({
+  flow: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Flow',
+    required: true,
+    index: true
+  },
+  customer: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Customer',
+    index: true
+  },
+  email: {
+    type: String,
+    lowercase: true,
+    trim: true
+  },
+  // Inscripciones solo con teléfono (sms_keyword sin Customer)
+  phone: {
+    type: String,
+    trim: true
+  },
+
+  status: {
+    type: String,
+    enum: ['active', 'waiting', 'completed', 'cancelled', 'failed'],
+    default: 'active',
+    index: true
+  },
+
+  // Payload del trigger (cart, order, producto...) usado para personalizar
+  triggerData: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+
+  // ==================== PLAN DE EJECUCIÓN ====================
+  // Copia de los steps al momento de inscribir. Los steps de condición
+  // insertan su rama justo después de sí mismos al evaluarse, así que
+  // editar el Flow no rompe ejecuciones en curso.
+  plan: {
+    type: [mongoose.Schema.Types.Mixed],
+    default: []
+  },
+  currentStep: {
+    type: Number,
+    default: 0
+  },
+  nextRunAt: {
+    type: Date,
+    index: true
+  },
+  // Valores generados por steps (ej. discountCode de create_discount)
+  // disponibles como {{placeholders}} en los steps siguientes
+  context: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  // Lock para que el job diferido y el barrido no avancen la misma ejecución a la vez
+  lockedAt: Date,
+
+  stepHistory: [{
+    stepType: String,
+    stepIndex: Number,
+    status: {
+      type: String,
+      enum: ['completed', 'skipped', 'failed']
+    },
+    result: mongoose.Schema.Types.Mixed,
+    executedAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+
+  // ==================== ATRIBUCIÓN ====================
+  attributedOrders: [{
+    orderId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Order'
+    },
+    amount: Number,
+    date: Date
+  }],
+
+  completedAt: Date,
+  cancelledAt: Date,
+  cancelReason: String,
+  lastError: String
+
+}, {
+  timestamps: true,
+  collection: 'flow_executions'
+});
+
+// ==================== ÍNDICES ====================
+
+flowExecutionSchema.index({ flow: 1, customer: 1, status: 1 });
+flowExecutionSchema.index({ flow: 1, phone: 1, status: 1 });
+flowExecutionSchema.index({ 'triggerData.email': 1, createdAt: -1 });
+flowExecutionSchema.index({ status: 1, nextRunAt: 1 });
+
+// ==================== MÉTODOS ====================
+
+flowExecutionSchema.methods.recordStep = function(step, status, result = {}) {
+  this.stepHistory.push({
+    stepType: step.type,
+    stepIndex: this.currentStep,
+    status,
+    result,
+    executedAt: new Date()
+  });
+};
+
+// ==================== STATICS ====================
+
+/**
+ * Ejecuciones cuyo wait ya venció (para el barrido de recuperación)
+ */
+flowExecutionSchema.statics.getDue = function(limit = 200) {
+  return this.find({
+    status: { $in: ['active', 'waiting'] },
+    nextRunAt: { $lte: new Date() }
+  })
+    .sort({ nextRunAt: 1 })
+    .limit(limit)
+    .select('_id');
+};
+
+flowExecutionSchema.statics.getFlowStats = async function(flowId) {
+  const stats = await this.aggregate([
+    { $match: { flow: new mongoose.Types.ObjectId(flowId) } },
+    { $group: { _id: '$status', count: { $sum: 1 } } }
+  ]);
+
+  const result = { active: 0, waiting: 0, completed: 0, cancelled: 0, failed: 0, total: 0 };
+  stats.forEach(s => {
+    result[s._id] = s.count;
+    result.total += s.count;
+  });
+
+  return result;
+};
+
+module.exports = mongoose.model('FlowExecution', flowExecutionSchema);
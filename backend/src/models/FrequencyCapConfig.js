@@ -0,0 +1,41 @@
+// backend/src/models/FrequencyCapConfig.js
+// 🚦 Configuración de frequency capping global (singleton)
+const mongoose = require('mongoose');
+
+const capRuleSchema = new mongoose.Schema({
+  // email / sms = por canal, all = cruzado entre canales
+  channel: {
+    type: String,
+    enum: ['email', 'sms', 'all'],
+    required: true
+  },
+  maxMessages: { type: Number, required: true, min: 1, max: 100 },
+  windowHours: { type: Number, required: true, min: 1, max: 720 }
+}, { _id: false });
+
+const frequencyCapConfigSchema = new mongoose.Schema({
+  enabled: { type: Boolean, default: false },
+
+  rules: {
+    type: [capRuleSchema],
+    default: [
+      { channel: 'email', maxMessages: 3, windowHours: 168 },
+      { channel: 'sms', maxMessages: 1, windowHours: 24 },
+      { channel: 'all', maxMessages: 4, windowHours: 168 }
+    ]
+  }
+}, {
+  timestamps: true,
+  collection: 'frequency_cap_config'
+});
+
+// Singleton
+frequencyCapConfigSchema.statics.getConfig = async function () {
+  let config = await this.findOne();
+  if (!config) {
+    config = await this.create({});
+  }
+  return config;
+};
+
+module.exports = mongoose.model('FrequencyCapConfig', frequencyCapConfigSchema);
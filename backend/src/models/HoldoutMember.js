@@ -0,0 +1,55 @@
+// backend/src/models/HoldoutMember.js
+// 🧪 HoldoutMember - Destinatarios retenidos (grupo de control) de una campaña
+// holdoutService los elige por hash determinístico (holdout.percentage) al preparar
+// el envío: no reciben el email/SMS y sirven de base para el reporte de incrementalidad.
+const mongoose = require('mongoose');
+
+const holdoutMemberSchema = new mongoose.Schema({
+  channel: {
+    type: String,
+    enum: ['email', 'sms'],
+    required: true
+  },
+
+  // Campaign (email) o SmsCampaign (sms)
+  campaign: {
+    type: mongoose.Schema.Types.ObjectId,
+    refPath: 'campaignModel',
+    required: true
+  },
+  campaignModel: {
+    type: String,
+    enum: ['Campaign', 'SmsCampaign'],
+    required: true
+  },
+
+  // Email o teléfono normalizado (la misma key que decide el hash)
+  recipient: {
+    type: String,
+    required: true,
+    trim: true
+  },
+
+  customer: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Customer',
+    default: null
+  },
+  smsSubscriber: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'SmsSubscriber',
+    default: null
+  },
+
+  assignedAt: { type: Date, default: Date.now }
+}, {
+  timestamps: false,
+  collection: 'holdout_members'
+});
+
+// ==================== ÍNDICES ====================
+
+holdoutMemberSchema.index({ campaign: 1, recipient: 1 }, { unique: true });
+holdoutMemberSchema.index({ customer: 1 });
+
+module.exports = mongoose.model('HoldoutMember', holdoutMemberSchema);
@@ -36,6 +36,9 @@ const maximusCampaignLogSchema = new mongoose.Schema({
     delivered: { type: Number, default: 0 },
     opened: { type: Number, default: 0 },
     clicked: { type: Number, default: 0 },
+    // opened/clicked son human-only (botFilterService); raw* incluye prefetch y scanners
+    rawOpened: { type: Number, default: 0 },
+    rawClicked: { type: Number, default: 0 },
     converted: { type: Number, default: 0 },
     bounced: { type: Number, default: 0 },
     unsubscribed: { type: Number, default: 0 },
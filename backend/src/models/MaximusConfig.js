@@ -22,6 +22,9 @@ const maximusConfigSchema = new mongoose.Schema({
   sendWindowEnd: { type: Number, default: 19 },   // 7 PM
   timezone: { type: String, default: 'America/New_York' },
 
+  // Holdout: % of each Maximus campaign's list withheld to measure incremental revenue
+  holdoutPercentage: { type: Number, default: 0, min: 0, max: 50 },
+
   // Learning state
   learning: {
     phase: { type: String, enum: ['initial', 'learning', 'optimized'], default: 'initial' },
@@ -116,7 +119,9 @@ const maximusConfigSchema = new mongoose.Schema({
       cloudinaryId: String,
       generationTime: Number
     }],
-    selectedEngine: { type: String, enum: ['gemini', 'gpt', null], default: null }
+    selectedEngine: { type: String, enum: ['gemini', 'gpt', null], default: null },
+    // Copied from holdoutPercentage when generated, can be overridden at approval
+    holdoutPercentage: { type: Number, min: 0, max: 50 }
   },
 
   // Pending weekly plan (awaiting human approval)
@@ -100,6 +100,9 @@ const productSchema = new mongoose.Schema({
     index: true
   },
   
+  // Última vez que pasó de agotado a disponible (recomendaciones "back in stock")
+  restockedAt: Date,
+  
   // ==================== ESTADÍSTICAS DE VENTAS ====================
   salesStats: {
     totalUnitsSold: { type: Number, default: 0 },
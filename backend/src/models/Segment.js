@@ -0,0 +1,112 @@
+// backend/src/models/Segment.js
+// 🎯 Segment Model - Segmentos dinámicos basados en reglas
+// La membresía NO se guarda: se evalúa compilando las reglas a un filtro de
+// Customer en el momento de usarse (preview, envío de campaña).
+const mongoose = require('mongoose');
+
+const segmentSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  slug: {
+    type: String,
+    unique: true,
+    sparse: true,
+    lowercase: true,
+    trim: true
+  },
+  description: String,
+  category: {
+    type: String,
+    default: 'custom'
+  },
+
+  // ==================== REGLAS ====================
+  // Árbol { match: 'all'|'any', rules: [regla | subgrupo] }
+  // Ver segmentationService para campos y operadores permitidos
+  rules: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null
+  },
+
+  // Formato anterior (lista plana con logicalOperator). Se convierte a árbol al compilar
+  conditions: [{
+    field: String,
+    operator: String,
+    value: mongoose.Schema.Types.Mixed,
+    logicalOperator: {
+      type: String,
+      enum: ['AND', 'OR'],
+      default: 'AND'
+    }
+  }],
+
+  type: {
+    type: String,
+    enum: ['predefined', 'custom'],
+    default: 'custom'
+  },
+  isPredefined: {
+    type: Boolean,
+    default: false
+  },
+  isActive: {
+    type: Boolean,
+    default: true,
+    index: true
+  },
+
+  // Cache del último conteo (informativo; el envío siempre re-evalúa)
+  customerCount: {
+    type: Number,
+    default: 0
+  },
+  lastCalculated: Date,
+
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+
+}, {
+  timestamps: true,
+  collection: 'segments'
+});
+
+// ==================== ÍNDICES ====================
+
+segmentSchema.index({ category: 1, isActive: 1 });
+
+// ==================== MÉTODOS ====================
+
+/**
+ * Árbol de reglas efectivo (rules o conditions convertidas)
+ */
+segmentSchema.methods.getRuleTree = function() {
+  const segmentationService = require('../services/segmentationService');
+
+  if (this.rules && Array.isArray(this.rules.rules)) {
+    return this.rules;
+  }
+
+  const conditions = (this.conditions || []).map(c => (c.toObject ? c.toObject() : c));
+  return segmentationService.conditionsToTree(conditions);
+};
+
+/**
+ * Filtro de MongoDB sobre Customer
+ */
+segmentSchema.methods.buildQuery = function() {
+  const segmentationService = require('../services/segmentationService');
+  return segmentationService.compile(this.getRuleTree());
+};
+
+// ==================== STATICS ====================
+
+segmentSchema.statics.getActive = function() {
+  return this.find({ isActive: true }).sort({ category: 1, customerCount: -1 });
+};
+
+module.exports = mongoose.model('Segment', segmentSchema);
@@ -33,6 +33,13 @@ const smsCampaignSchema = new mongoose.Schema({
     default: 1  // 160 chars = 1 segment, 306 = 2, 459 = 3, etc.
   },
   
+  // GSM-7 or UCS-2 (a single emoji switches the whole message to UCS-2: 70/67 chars per segment)
+  encoding: {
+    type: String,
+    enum: ['GSM-7', 'UCS-2'],
+    default: 'GSM-7'
+  },
+  
   // Optional: Campaign-specific discount code
   discountCode: {
     type: String,
@@ -59,6 +66,18 @@ const smsCampaignSchema = new mongoose.Schema({
   trackingUrl: {
     type: String  // Short URL for click tracking
   },
+
+  // ==================== MEDIA (MMS) ====================
+  // Validated by smsMediaService (type + size). Recipients without MMS
+  // (Canada, landlines, carriers in SMS_MMS_UNSUPPORTED_CARRIERS) get an SMS with the link
+  media: [{
+    _id: false,
+    url: { type: String, required: true },
+    contentType: String,
+    bytes: Number,
+    source: { type: String, enum: ['upload', 'apollo', 'url'], default: 'url' },
+    cloudinaryId: String
+  }],
   
   // ==================== STATUS ====================
   status: {
@@ -68,6 +87,13 @@ const smsCampaignSchema = new mongoose.Schema({
     index: true
   },
   
+  // Why it's paused: by an admin or by the budget cap
+  pausedReason: {
+    type: String,
+    enum: ['manual', 'budget_cap', null],
+    default: null
+  },
+  
   // ==================== SCHEDULING ====================
   scheduledAt: {
     type: Date,
@@ -82,6 +108,28 @@ const smsCampaignSchema = new mongoose.Schema({
     type: Date
   },
   
+  // ==================== DELIVERY (quiet hours + throttling) ====================
+  delivery: {
+    // quiet_hours: defer messages outside each subscriber's local allowed window
+    // immediate: send to everyone right away (legacy behavior)
+    mode: {
+      type: String,
+      enum: ['immediate', 'quiet_hours'],
+      default: 'quiet_hours'
+    },
+    // Local hours (subscriber timezone). Allowed window = [quietHoursEnd, quietHoursStart)
+    quietHoursStart: { type: Number, min: 0, max: 23, default: 21 },
+    quietHoursEnd: { type: Number, min: 0, max: 23, default: 8 },
+    // Throughput cap against Telnyx (messages per second)
+    maxPerSecond: { type: Number, min: 0.1, max: 50, default: 1 }
+  },
+  
+  // Skip global frequency capping for this campaign (admin only)
+  frequencyCapExempt: {
+    type: Boolean,
+    default: false
+  },
+  
   // ==================== AUDIENCE TARGETING ====================
   audienceType: {
     type: String,
@@ -115,6 +163,35 @@ const smsCampaignSchema = new mongoose.Schema({
     ref: 'SmsSubscriber'
   }],
   
+  // ==================== HOLDOUT ====================
+  // % of the audience that does not get the SMS (incrementality baseline, see holdoutService)
+  holdout: {
+    percentage: { type: Number, default: 0, min: 0, max: 50 },
+    windowDays: { type: Number, default: 7, min: 1, max: 30 },
+    withheld: { type: Number, default: 0 },
+    startedAt: { type: Date, default: null }
+  },
+  
+  // ==================== COST / BUDGET ====================
+  // Pre-send estimate (smsCostService): from the audience on create/update,
+  // exact per message once the send is queued
+  costEstimate: {
+    total: { type: Number, default: null },
+    perMessage: { type: Number, default: null },
+    recipients: { type: Number, default: null },
+    segments: Number,
+    encoding: String,
+    estimatedAt: Date
+  },
+  
+  // Hard cap in USD: the queue pauses the campaign (pausedReason: budget_cap)
+  // before a message would go over it
+  budget: {
+    cap: { type: Number, min: 0, default: null },  // null = no cap
+    committed: { type: Number, default: 0 },       // Sent so far (Telnyx cost, estimate until reported)
+    reachedAt: { type: Date, default: null }
+  },
+  
   // ==================== STATS ====================
   stats: {
     // Audience
@@ -125,12 +202,19 @@ const smsCampaignSchema = new mongoose.Schema({
     sent: { type: Number, default: 0 },          // Sent to Telnyx
     delivered: { type: Number, default: 0 },     // Confirmed delivered
     failed: { type: Number, default: 0 },        // Failed to send/deliver
+    deferred: { type: Number, default: 0 },      // Held for subscriber's quiet hours
+    frequencyCapped: { type: Number, default: 0 }, // Skipped by global frequency capping
     
     // Engagement
     clicked: { type: Number, default: 0 },       // Clicked tracking link
     converted: { type: Number, default: 0 },     // Made a purchase
     unsubscribed: { type: Number, default: 0 },  // Opted out after this
     
+    // MMS
+    mmsSent: { type: Number, default: 0 },       // Sent with media
+    mmsFallback: { type: Number, default: 0 },   // Sent as SMS + link (no MMS support)
+    mediaCost: { type: Number, default: 0 },     // Cost of the MMS messages
+    
     // Financial
     totalRevenue: { type: Number, default: 0 },  // Revenue attributed
     totalCost: { type: Number, default: 0 },     // SMS cost
@@ -174,34 +258,31 @@ smsCampaignSchema.index({ 'stats.totalRevenue': -1 });
 
 // ==================== PRE-SAVE: Calculate segments ====================
 smsCampaignSchema.pre('save', function(next) {
-  if (this.isModified('message')) {
+  if (this.isModified('message') || this.isModified('discountCode') ||
+      this.isModified('discountPercent') || this.isModified('dynamicDiscount')) {
     this.messageLength = this.message?.length || 0;
     
-    // GSM-7 encoding: 160 chars for 1 segment, 153 per segment after
-    // Unicode: 70 chars for 1 segment, 67 per segment after
-    const hasUnicode = /[^\x00-\x7F]/.test(this.message || '');
+    // Segments of the message as it goes out: GSM-7 vs UCS-2 (GSM extension chars
+    // count double), merge fields expanded and URLs shortened
+    const smsCostService = require('../services/smsCostService');
+    const analysis = smsCostService.analyzeText(smsCostService.expandMessage(this.message, {
+      discountCode: this.discountCode,
+      discountPercent: this.discountPercent,
+      dynamicDiscount: this.dynamicDiscount
+    }));
     
-    if (hasUnicode) {
-      // Unicode
-      if (this.messageLength <= 70) {
-        this.segments = 1;
-      } else {
-        this.segments = Math.ceil(this.messageLength / 67);
-      }
-    } else {
-      // GSM-7
-      if (this.messageLength <= 160) {
-        this.segments = 1;
-      } else {
-        this.segments = Math.ceil(this.messageLength / 153);
-      }
-    }
+    this.segments = Math.max(analysis.segments, 1);
+    this.encoding = analysis.encoding;
   }
   next();
 });
 
 // ==================== METHODS ====================
 
+smsCampaignSchema.methods.hasMedia = function() {
+  return (this.media || []).length > 0;
+};
+
 /**
  * Build MongoDB query for target audience
  */
@@ -271,7 +352,7 @@ smsCampaignSchema.methods.getEligibleSubscribers = async function(options = {})
   const SmsSubscriber = mongoose.model('SmsSubscriber');
   const query = this.buildAudienceQuery();
   
-  let q = SmsSubscriber.find(query).select('phone discountCode');
+  let q = SmsSubscriber.find(query).select('phone discountCode countryCode location.timezone location.countryCode carrier lineType');
   
   if (options.limit) q = q.limit(options.limit);
   if (options.skip) q = q.skip(options.skip);
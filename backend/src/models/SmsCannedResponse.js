@@ -0,0 +1,57 @@
+// backend/src/models/SmsCannedResponse.js
+// 💬 SmsCannedResponse - Respuestas guardadas para el inbox de SMS
+// El body acepta merge fields ({firstName}, {orderNumber}, {trackingUrl}...)
+// que smsInboxService rellena con el Customer y su última Order al responder.
+const mongoose = require('mongoose');
+
+const smsCannedResponseSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+
+  // Atajo para el dashboard (ej: "wismo" → "where is my order")
+  shortcut: {
+    type: String,
+    trim: true,
+    lowercase: true
+  },
+
+  body: {
+    type: String,
+    required: true
+  },
+
+  category: {
+    type: String,
+    trim: true,
+    default: 'general'
+  },
+
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+
+  usageCount: {
+    type: Number,
+    default: 0
+  },
+  lastUsedAt: Date,
+
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true,
+  collection: 'sms_canned_responses'
+});
+
+// ==================== ÍNDICES ====================
+
+smsCannedResponseSchema.index({ shortcut: 1 }, { unique: true, sparse: true });
+smsCannedResponseSchema.index({ isActive: 1, category: 1, name: 1 });
+
+module.exports = mongoose.model('SmsCannedResponse', smsCannedResponseSchema);
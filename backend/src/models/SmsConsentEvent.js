@@ -0,0 +1,117 @@
+// backend/src/models/SmsConsentEvent.js
+// 📜 SmsConsentEvent - Ledger de consentimiento SMS (append-only, TCPA/CASL)
+// Un documento por opt-in, confirmación, opt-out o re-opt-in con el texto de
+// disclosure mostrado, origen, IP y los message IDs involucrados.
+// Cada evento encadena el hash del anterior del mismo teléfono: editar o borrar
+// uno rompe la cadena y smsConsentService.verifyChain() lo detecta.
+const mongoose = require('mongoose');
+
+const EVENT_TYPES = [
+  'opt_in',            // Alta inmediata (single opt-in o keyword)
+  'opt_in_requested',  // Double opt-in: se envió "Reply Y to confirm"
+  'opt_in_confirmed',  // Double opt-in: respondió Y
+  'opt_out',           // STOP
+  're_opt_in'          // START / re-suscripción tras una baja
+];
+
+const smsConsentEventSchema = new mongoose.Schema({
+  phone: {
+    type: String,
+    required: true,
+    trim: true
+  },
+
+  subscriber: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'SmsSubscriber',
+    default: null
+  },
+
+  type: {
+    type: String,
+    enum: EVENT_TYPES,
+    required: true
+  },
+
+  // popup, checkout, keyword, reply_stop, reply_start, reply_confirm, api...
+  source: {
+    type: String,
+    required: true
+  },
+
+  // ==================== DISCLOSURE ====================
+  // Texto exacto mostrado al cliente (o el mensaje SMS que aceptó)
+  disclosureText: String,
+  // 'client' = lo envió el popup; 'server_default' = no vino y se usó el default
+  disclosureSource: {
+    type: String,
+    enum: ['client', 'server_default', 'sms', null],
+    default: null
+  },
+  // Checkbox de consentimiento y timestamp que reporta el navegador
+  consentCheckbox: Boolean,
+  clientTimestamp: Date,
+
+  // ==================== ORIGEN ====================
+  ipAddress: String,
+  userAgent: String,
+  sourceUrl: String,
+  pageUrl: String,
+  keyword: String,
+
+  // ==================== MENSAJES ====================
+  inboundMessageId: String,
+  outboundMessageId: String,
+  messageText: String,
+
+  occurredAt: {
+    type: Date,
+    default: Date.now
+  },
+
+  metadata: mongoose.Schema.Types.Mixed,
+
+  // ==================== CADENA ====================
+  prevHash: {
+    type: String,
+    default: null
+  },
+  hash: {
+    type: String,
+    required: true
+  }
+}, {
+  timestamps: false,
+  collection: 'sms_consent_events'
+});
+
+// ==================== ÍNDICES ====================
+
+smsConsentEventSchema.index({ phone: 1, occurredAt: 1 });
+// Un solo sucesor por eslabón: dos escrituras concurrentes no bifurcan la cadena
+smsConsentEventSchema.index({ phone: 1, prevHash: 1 }, { unique: true });
+smsConsentEventSchema.index({ type: 1, occurredAt: -1 });
+
+// ==================== APPEND-ONLY ====================
+
+const rejectMutation = function(next) {
+  next(new Error('SmsConsentEvent es append-only: no se puede modificar ni borrar'));
+};
+
+smsConsentEventSchema.pre('save', function(next) {
+  if (!this.isNew) return rejectMutation(next);
+  next();
+});
+
+[
+  'updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne', 'findOneAndReplace',
+  'deleteOne', 'deleteMany', 'findOneAndDelete'
+].forEach(op => {
+  smsConsentEventSchema.pre(op, { document: true, query: true }, rejectMutation);
+});
+
+// ==================== STATICS ====================
+
+smsConsentEventSchema.statics.EVENT_TYPES = EVENT_TYPES;
+
+module.exports = mongoose.model('SmsConsentEvent', smsConsentEventSchema);
@@ -37,6 +37,9 @@ const smsConversationSchema = new mongoose.Schema({
     required: true
   },
 
+  // MMS media (outbound)
+  mediaUrls: [String],
+
   // ==================== TELNYX INFO ====================
   messageId: {
     type: String,
@@ -75,6 +78,8 @@ const smsConversationSchema = new mongoose.Schema({
       'opt_in',            // START message from customer
       'help',              // HELP request
       'reply',             // General reply from customer
+      'agent_reply',       // Respuesta de un agente desde el inbox
+      'keyword',           // SmsKeyword recibido / auto-respuesta del keyword
       'other'
     ],
     default: 'other'
@@ -216,6 +221,7 @@ smsConversationSchema.statics.logOutbound = async function(data) {
     discountCode: data.discountCode,
     discountPercent: data.discountPercent,
     cost: data.cost,
+    mediaUrls: data.mediaUrls,
     metadata: data.metadata
   });
 };
@@ -236,6 +242,9 @@ smsConversationSchema.statics.logInbound = async function(data) {
     messageType = 'help';
   }
 
+  // El caller puede forzarlo (ej. keyword matcheado por smsKeywordService)
+  if (data.messageType) messageType = data.messageType;
+
   return this.create({
     direction: 'inbound',
     from: data.from,
@@ -0,0 +1,135 @@
+// backend/src/models/SmsKeyword.js
+// 🔑 SmsKeyword - Keywords definidos por admin ("Text PICKLES to …")
+// smsKeywordService los matchea en handleInboundSms (después de STOP/START/HELP)
+// y ejecuta sus acciones en orden: subscribe, reply, tag, start_flow, enter_contest.
+const mongoose = require('mongoose');
+
+const ACTION_TYPES = ['subscribe', 'reply', 'tag', 'start_flow', 'enter_contest'];
+
+// Reservados por compliance (10DLC): los maneja handleInboundSms antes que el engine
+const RESERVED_KEYWORDS = [
+  'STOP', 'UNSUBSCRIBE', 'CANCEL', 'QUIT', 'END',
+  'START', 'YES', 'UNSTOP', 'SUBSCRIBE',
+  'HELP', 'INFO', 'AYUDA',
+  // Confirmación del double opt-in
+  'CONFIRM', 'SI'
+];
+
+// Config por tipo:
+//   subscribe     → discountPercent (0 = sin código), discountExpiresDays
+//   reply         → message (merge fields del inbox + {keyword}), fallbackMessage
+//   tag           → tag
+//   start_flow    → flowId
+//   enter_contest → contestName, allowMultipleEntries
+const keywordActionSchema = new mongoose.Schema({
+  type: {
+    type: String,
+    enum: ACTION_TYPES,
+    required: true
+  },
+  order: {
+    type: Number,
+    default: 0
+  },
+  config: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  }
+}, { _id: true });
+
+const smsKeywordSchema = new mongoose.Schema({
+  // Siempre en mayúsculas, una sola palabra
+  keyword: {
+    type: String,
+    required: true,
+    unique: true,
+    uppercase: true,
+    trim: true
+  },
+
+  // Variantes que disparan lo mismo (ej. PICKLE, PICKLEZ)
+  aliases: {
+    type: [String],
+    default: []
+  },
+
+  name: {
+    type: String,
+    trim: true
+  },
+  description: String,
+
+  status: {
+    type: String,
+    enum: ['active', 'paused'],
+    default: 'active'
+  },
+
+  // ==================== VIGENCIA ====================
+  // Sin rangos = siempre activo. Con rangos: solo dentro de alguno (ej. fines de semana de feria)
+  activeRanges: [{
+    _id: false,
+    startsAt: Date,
+    endsAt: Date
+  }],
+
+  // Respuesta fuera de vigencia (vacío = no se responde)
+  inactiveMessage: String,
+
+  // ==================== ACCIONES ====================
+  actions: [keywordActionSchema],
+
+  // ==================== MÉTRICAS ====================
+  stats: {
+    received: { type: Number, default: 0 },
+    outsideWindow: { type: Number, default: 0 },
+    newSubscribers: { type: Number, default: 0 },
+    resubscribed: { type: Number, default: 0 },
+    repliesSent: { type: Number, default: 0 },
+    tagged: { type: Number, default: 0 },
+    flowsStarted: { type: Number, default: 0 },
+    contestEntries: { type: Number, default: 0 },
+    failedActions: { type: Number, default: 0 },
+    lastReceivedAt: Date
+  },
+
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true,
+  collection: 'sms_keywords'
+});
+
+// ==================== ÍNDICES ====================
+
+smsKeywordSchema.index({ aliases: 1 });
+smsKeywordSchema.index({ status: 1 });
+
+// ==================== MÉTODOS ====================
+
+/**
+ * ¿Dentro de alguno de los rangos de vigencia?
+ */
+smsKeywordSchema.methods.isInWindow = function(date = new Date()) {
+  if (!this.activeRanges || this.activeRanges.length === 0) return true;
+
+  return this.activeRanges.some(range =>
+    (!range.startsAt || range.startsAt <= date) &&
+    (!range.endsAt || range.endsAt >= date)
+  );
+};
+
+smsKeywordSchema.methods.getOrderedActions = function() {
+  return [...(this.actions || [])]
+    .map(a => (a.toObject ? a.toObject() : a))
+    .sort((a, b) => (a.order || 0) - (b.order || 0));
+};
+
+// ==================== STATICS ====================
+
+smsKeywordSchema.statics.ACTION_TYPES = ACTION_TYPES;
+smsKeywordSchema.statics.RESERVED_KEYWORDS = RESERVED_KEYWORDS;
+
+module.exports = mongoose.model('SmsKeyword', smsKeywordSchema);
@@ -0,0 +1,77 @@
+// backend/src/models/SmsKeywordHit.js
+// 🔑 SmsKeywordHit - Cada vez que alguien envía un SmsKeyword
+// Base de las analytics por keyword (únicos, nuevos suscriptores, serie diaria)
+// y de las participaciones en concursos (enter_contest).
+const mongoose = require('mongoose');
+
+const smsKeywordHitSchema = new mongoose.Schema({
+  keyword: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'SmsKeyword',
+    required: true
+  },
+
+  // Texto tal como llegó (puede ser un alias)
+  matchedText: String,
+
+  phone: {
+    type: String,
+    required: true
+  },
+
+  subscriber: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'SmsSubscriber',
+    default: null
+  },
+
+  outsideWindow: {
+    type: Boolean,
+    default: false
+  },
+
+  // Resultado de cada acción del pipeline
+  actions: [{
+    _id: false,
+    type: { type: String },
+    status: {
+      type: String,
+      enum: ['completed', 'skipped', 'failed']
+    },
+    reason: String,
+    result: mongoose.Schema.Types.Mixed
+  }],
+
+  newSubscriber: {
+    type: Boolean,
+    default: false
+  },
+
+  // ==================== CONCURSO ====================
+  contestEntry: {
+    type: Boolean,
+    default: false
+  },
+  contestName: String,
+  contestWinner: {
+    type: Boolean,
+    default: false
+  },
+  contestWonAt: Date,
+
+  receivedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  timestamps: false,
+  collection: 'sms_keyword_hits'
+});
+
+// ==================== ÍNDICES ====================
+
+smsKeywordHitSchema.index({ keyword: 1, receivedAt: -1 });
+smsKeywordHitSchema.index({ keyword: 1, phone: 1 });
+smsKeywordHitSchema.index({ keyword: 1, contestEntry: 1, contestName: 1 });
+
+module.exports = mongoose.model('SmsKeywordHit', smsKeywordHitSchema);
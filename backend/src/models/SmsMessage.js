@@ -41,6 +41,18 @@ const smsMessageSchema = new mongoose.Schema({
 
   // Dynamic discount variant assigned to this message
   discountPercent: Number,
+
+  // ==================== MEDIA (MMS) ====================
+  // Set at queue time from the campaign media and the subscriber's MMS support
+  mediaUrls: [String],
+  
+  mms: {
+    type: Boolean,
+    default: false
+  },
+  
+  // Campaign had media but this recipient got SMS + link: country, line_type, carrier
+  mmsFallbackReason: String,
   
   // ==================== TELNYX INFO ====================
   messageId: {
@@ -59,7 +71,8 @@ const smsMessageSchema = new mongoose.Schema({
       'delivered',    // Confirmed delivered
       'failed',       // Failed to send
       'undelivered',  // Sent but not delivered
-      'rejected'      // Rejected by carrier
+      'rejected',     // Rejected by carrier
+      'skipped'       // Not sent (see skipReason)
     ],
     default: 'pending',
     index: true
@@ -69,6 +82,25 @@ const smsMessageSchema = new mongoose.Schema({
   errorCode: String,
   errorMessage: String,
   
+  // Why the message was skipped (status = skipped)
+  skipReason: {
+    type: String,
+    enum: ['frequency_capped']
+  },
+  skippedAt: Date,
+  
+  // ==================== QUIET HOURS ====================
+  // Subscriber's local timezone at queue time
+  timezone: String,
+  
+  // Not sent before this time (deferred out of the subscriber's quiet hours)
+  scheduledFor: Date,
+  
+  deferred: {
+    type: Boolean,
+    default: false
+  },
+  
   // ==================== TIMESTAMPS ====================
   queuedAt: Date,
   sentAt: Date,
@@ -107,11 +139,21 @@ const smsMessageSchema = new mongoose.Schema({
   },
   
   // ==================== COST ====================
+  // Actual cost reported by Telnyx (send response or message.finalized webhook)
   cost: {
     type: Number,
     default: 0
   },
   
+  // smsCostService estimate at queue time (country + carrier + segments / MMS)
+  estimatedCost: {
+    type: Number,
+    default: 0
+  },
+  
+  // Rate table country used for the estimate
+  countryCode: String,
+  
   carrier: String,
   
   // ==================== METADATA ====================
@@ -128,6 +170,7 @@ smsMessageSchema.index({ campaign: 1, status: 1 });
 smsMessageSchema.index({ campaign: 1, delivered: 1 });
 smsMessageSchema.index({ messageId: 1 });
 smsMessageSchema.index({ createdAt: -1 });
+smsMessageSchema.index({ campaign: 1, status: 1, scheduledFor: 1 });
 smsMessageSchema.index({ subscriber: 1, campaign: 1 }, { unique: true }); // Prevent duplicates
 
 // ==================== METHODS ====================
@@ -246,7 +289,10 @@ smsMessageSchema.statics.getCampaignStats = async function(campaignId) {
       $group: {
         _id: '$status',
         count: { $sum: 1 },
-        totalCost: { $sum: '$cost' }
+        totalCost: { $sum: '$cost' },
+        mms: { $sum: { $cond: ['$mms', 1, 0] } },
+        mmsFallback: { $sum: { $cond: [{ $ifNull: ['$mmsFallbackReason', false] }, 1, 0] } },
+        mediaCost: { $sum: { $cond: ['$mms', { $ifNull: ['$cost', 0] }, 0] } }
       }
     }
   ]);
@@ -257,29 +303,54 @@ smsMessageSchema.statics.getCampaignStats = async function(campaignId) {
     sent: 0,
     delivered: 0,
     failed: 0,
-    totalCost: 0
+    skipped: 0,
+    totalCost: 0,
+    mms: 0,
+    mmsFallback: 0,
+    mediaCost: 0
   };
   
   result.forEach(r => {
     stats[r._id] = r.count;
     stats.totalCost += r.totalCost || 0;
+    // Pending messages haven't gone out yet
+    if (r._id !== 'pending' && r._id !== 'skipped') {
+      stats.mms += r.mms || 0;
+      stats.mmsFallback += r.mmsFallback || 0;
+    }
+    stats.mediaCost += r.mediaCost || 0;
   });
   
   return stats;
 };
 
 /**
- * Get pending messages for a campaign
+ * Get pending messages for a campaign that are due (not deferred into the future)
  */
 smsMessageSchema.statics.getPendingForCampaign = async function(campaignId, limit = 100) {
   return this.find({
     campaign: campaignId,
-    status: 'pending'
+    status: 'pending',
+    $or: [
+      { scheduledFor: null },
+      { scheduledFor: { $lte: new Date() } }
+    ]
   })
   .limit(limit)
   .lean();
 };
 
+/**
+ * Count pending messages deferred to a future time
+ */
+smsMessageSchema.statics.countDeferredForCampaign = async function(campaignId) {
+  return this.countDocuments({
+    campaign: campaignId,
+    status: 'pending',
+    scheduledFor: { $gt: new Date() }
+  });
+};
+
 /**
  * Check if subscriber already received this campaign
  */
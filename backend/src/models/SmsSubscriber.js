@@ -21,18 +21,40 @@ const smsSubscriberSchema = new mongoose.Schema({
   // ==================== STATUS ====================
   status: {
     type: String,
-    enum: ['active', 'unsubscribed', 'bounced', 'invalid'],
+    enum: ['active', 'pending_confirmation', 'unsubscribed', 'bounced', 'invalid'],
     default: 'active',
     index: true
   },
+
+  // ==================== DOUBLE OPT-IN ====================
+  // Con SMS_DOUBLE_OPT_IN=true el alta queda en pending_confirmation hasta que
+  // responda Y; el welcome SMS (y su código) se envía recién al confirmar
+  confirmationRequestedAt: Date,
+  confirmationMessageId: String,
+  confirmationRequests: {
+    type: Number,
+    default: 0
+  },
+  confirmedAt: Date,
   
   // ==================== SOURCE ====================
   source: {
     type: String,
-    enum: ['popup', 'checkout', 'manual', 'import', 'landing_page', 'website-popup-sms', 'api', 'test'],
+    enum: ['popup', 'checkout', 'manual', 'import', 'landing_page', 'website-popup-sms', 'api', 'test', 'keyword'],
     default: 'popup'
   },
   sourceUrl: String,
+  // SmsKeyword con el que se suscribió (source 'keyword')
+  sourceKeyword: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'SmsKeyword',
+    default: null
+  },
+  // Tags de la acción 'tag' de los keywords
+  tags: {
+    type: [String],
+    default: []
+  },
   ipAddress: String,
   userAgent: String,
 
@@ -283,6 +305,7 @@ smsSubscriberSchema.index({ 'conversionData.convertedAt': -1 });
 smsSubscriberSchema.index({ 'location.region': 1, status: 1 });
 smsSubscriberSchema.index({ 'location.city': 1, 'location.region': 1 });
 smsSubscriberSchema.index({ unsubscribeCampaignId: 1, status: 1 });
+smsSubscriberSchema.index({ sourceKeyword: 1, createdAt: -1 });
 
 // ==================== VIRTUALS ====================
 
@@ -999,6 +1022,23 @@ smsSubscriberSchema.statics.getUnsubscribeAnalytics = async function(dateRange =
   };
 };
 
+// Re-subscribe (START o keyword): limpia los datos de la baja anterior
+smsSubscriberSchema.methods.resubscribe = function() {
+  this.status = 'active';
+  this.subscribedAt = new Date();
+  this.unsubscribedAt = null;
+  this.unsubscribeReason = null;
+  this.unsubscribeSource = null;
+  this.unsubscribeAfterSms = null;
+  this.timeToUnsubscribe = null;
+  this.smsCountBeforeUnsub = null;
+  this.unsubscribeFeedback = null;
+  this.unsubscribeKeyword = null;
+  this.unsubscribeCampaignId = null;
+
+  return this.save();
+};
+
 // Record unsubscribe with full analytics
 smsSubscriberSchema.methods.recordUnsubscribe = async function(data = {}) {
   this.status = 'unsubscribed';
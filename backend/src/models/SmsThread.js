@@ -0,0 +1,84 @@
+// backend/src/models/SmsThread.js
+// 💬 SmsThread - Estado del inbox por teléfono (un documento por conversación)
+// Los mensajes viven en SmsConversation; aquí solo status, asignación, no leídos
+// y el link al Customer. smsInboxService lo actualiza en cada inbound y reply.
+const mongoose = require('mongoose');
+
+const smsThreadSchema = new mongoose.Schema({
+  // Teléfono del cliente en E.164 (misma key que SmsConversation.phone)
+  phone: {
+    type: String,
+    required: true,
+    unique: true,
+    trim: true
+  },
+
+  // ==================== STATUS ====================
+  status: {
+    type: String,
+    enum: ['open', 'closed', 'snoozed'],
+    default: 'open'
+  },
+
+  // Vuelve a 'open' al pasar esta fecha o con un nuevo inbound
+  snoozedUntil: {
+    type: Date,
+    default: null
+  },
+
+  closedAt: Date,
+  closedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+
+  // ==================== ASIGNACIÓN ====================
+  assignedTo: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  assignedAt: Date,
+
+  // ==================== NO LEÍDOS ====================
+  // Inbounds desde la última lectura o respuesta de un agente
+  unreadCount: {
+    type: Number,
+    default: 0
+  },
+  lastReadAt: Date,
+
+  // ==================== ÚLTIMO MENSAJE ====================
+  lastMessageAt: Date,
+  lastMessagePreview: String,
+  lastDirection: {
+    type: String,
+    enum: ['inbound', 'outbound']
+  },
+  lastInboundAt: Date,
+  lastOutboundAt: Date,
+
+  // ==================== RELACIONES ====================
+  subscriber: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'SmsSubscriber',
+    default: null
+  },
+  customer: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Customer',
+    default: null
+  }
+}, {
+  timestamps: true,
+  collection: 'sms_threads'
+});
+
+// ==================== ÍNDICES ====================
+
+smsThreadSchema.index({ status: 1, lastMessageAt: -1 });
+smsThreadSchema.index({ assignedTo: 1, status: 1, lastMessageAt: -1 });
+smsThreadSchema.index({ status: 1, snoozedUntil: 1 });
+smsThreadSchema.index({ unreadCount: 1 });
+
+module.exports = mongoose.model('SmsThread', smsThreadSchema);
@@ -45,6 +45,10 @@ const smsTransactionalSchema = new mongoose.Schema({
   },
   messageLength: Number,
 
+  // MMS: media enviada (vacío = SMS). mmsFallbackReason = tenía media pero fue SMS + link
+  mediaUrls: [String],
+  mmsFallbackReason: String,
+
   // Telnyx info
   telnyxMessageId: String,
   status: {
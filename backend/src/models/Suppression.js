@@ -0,0 +1,70 @@
+// backend/src/models/Suppression.js
+// 🛑 Suppression - Lista única de emails/dominios que no deben recibir email
+// La consulta suppressionService.findSuppressed() (emailQueue, campaignSendService,
+// popupController). Se alimenta de webhooks de Resend (bounce/complaint),
+// unsubscribes, importación CSV y altas manuales.
+const mongoose = require('mongoose');
+
+const suppressionSchema = new mongoose.Schema({
+  // 'email' = dirección exacta, 'domain' = todo el dominio (ej. mailinator.com)
+  type: {
+    type: String,
+    enum: ['email', 'domain'],
+    required: true
+  },
+
+  value: {
+    type: String,
+    required: true,
+    lowercase: true,
+    trim: true
+  },
+
+  reason: {
+    type: String,
+    enum: ['hard_bounce', 'soft_bounce', 'complaint', 'unsubscribe', 'manual', 'import'],
+    required: true
+  },
+
+  source: {
+    type: String,
+    enum: [
+      'resend_webhook',
+      'unsubscribe_link',
+      'list_unsubscribe',
+      'preference_center',
+      'csv_import',
+      'admin',
+      'migration'
+    ],
+    required: true
+  },
+
+  customer: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Customer'
+  },
+  campaign: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Campaign'
+  },
+
+  notes: String,
+  createdBy: String,
+
+  // null = permanente. Las vencidas se ignoran en la consulta y Mongo las borra (TTL)
+  expiresAt: { type: Date, default: null }
+}, {
+  timestamps: true,
+  collection: 'suppressions'
+});
+
+// ==================== ÍNDICES ====================
+
+suppressionSchema.index({ type: 1, value: 1 }, { unique: true });
+suppressionSchema.index({ reason: 1, createdAt: -1 });
+suppressionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+suppressionSchema.statics.REASONS = ['hard_bounce', 'soft_bounce', 'complaint', 'unsubscribe', 'manual', 'import'];
+
+module.exports = mongoose.model('Suppression', suppressionSchema);
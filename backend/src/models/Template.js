@@ -1,5 +1,7 @@
 // backend/src/models/Template.js
 const mongoose = require('mongoose');
+const blockRenderer = require('../utils/blockRenderer');
+const templateEngine = require('../utils/templateEngine');
 
 const templateSchema = new mongoose.Schema({
   name: {
@@ -18,10 +20,20 @@ const templateSchema = new mongoose.Schema({
   },
   previewText: String,
   
-  // Tipo de template
+  // Parte de texto plano del email (se genera desde templateBlocks)
+  textContent: String,
+  
+  // Documento del email builder: si tiene bloques, htmlContent y textContent se generan al guardar
+  templateBlocks: [{
+    _id: false,
+    type: { type: String, enum: Object.keys(blockRenderer.BLOCK_TYPES) },
+    props: { type: mongoose.Schema.Types.Mixed, default: {} }
+  }],
+  
+  // Tipo de template ('partial' = bloque reutilizable vía {% include "name" %})
   type: {
     type: String,
-    enum: ['welcome', 'abandoned_cart', 'order_confirmation', 'promotional', 'newsletter', 'custom'],
+    enum: ['welcome', 'abandoned_cart', 'order_confirmation', 'promotional', 'newsletter', 'custom', 'partial'],
     default: 'custom',
     index: true
   },
@@ -55,21 +67,40 @@ const templateSchema = new mongoose.Schema({
   collection: 'templates'
 });
 
-// Método para renderizar template con datos
-templateSchema.methods.render = function(data) {
-  let html = this.htmlContent;
-  let subject = this.subject;
-  
-  // Reemplazar variables {{variable}}
+// Bloques → HTML + texto antes de validar (htmlContent es required)
+templateSchema.pre('validate', function(next) {
+  if (this.isModified('templateBlocks') && this.templateBlocks?.length > 0) {
+    this.renderBlocks();
+  }
+  next();
+});
+
+templateSchema.methods.renderBlocks = function() {
+  const { html, text } = blockRenderer.render(
+    this.templateBlocks.map(b => ({ type: b.type, props: b.props })),
+    { title: this.subject || this.name }
+  );
+  this.htmlContent = html;
+  this.textContent = text;
+  return { html, text };
+};
+
+// Método para renderizar template con datos (templateEngine).
+// Los defaultValue de variables se usan cuando data no trae la variable.
+templateSchema.methods.render = function(data = {}, options = {}) {
+  const context = {};
+  (this.variables || []).forEach(v => {
+    if (v.name && v.defaultValue !== undefined) context[v.name] = v.defaultValue;
+  });
   Object.keys(data).forEach(key => {
-    const regex = new RegExp(`{{${key}}}`, 'g');
-    html = html.replace(regex, data[key] || '');
-    if (subject) {
-      subject = subject.replace(regex, data[key] || '');
-    }
+    if (data[key] !== undefined && data[key] !== null && data[key] !== '') context[key] = data[key];
   });
   
-  return { html, subject };
+  return {
+    html: templateEngine.render(this.htmlContent, context, options),
+    subject: this.subject ? templateEngine.render(this.subject, context, { ...options, autoescape: false }) : this.subject,
+    text: this.textContent ? templateEngine.render(this.textContent, context, { ...options, autoescape: false }) : null
+  };
 };
 
 module.exports = mongoose.model('Template', templateSchema);
\ No newline at end of file
@@ -0,0 +1,115 @@
+// backend/src/models/Touchpoint.js
+// 👆 Touchpoint - Cada interacción de marketing de un cliente (email, SMS, popup, flow)
+// Base del modelo de atribución multi-touch (ver multiTouchAttributionService)
+const mongoose = require('mongoose');
+
+const TOUCH_TYPES = [
+  'email_open',
+  'email_click',
+  'sms_click',
+  'popup_signup',
+  'flow_email',
+  'flow_sms'
+];
+
+const CHANNELS = ['email', 'sms', 'popup', 'flow'];
+
+const touchpointSchema = new mongoose.Schema({
+  // Identidad: al menos uno de customer / email / phone
+  customer: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Customer',
+    index: true
+  },
+  email: {
+    type: String,
+    lowercase: true,
+    trim: true,
+    index: true
+  },
+  // Últimos 10 dígitos (para cruzar SmsSubscriber con la orden)
+  phone: {
+    type: String,
+    index: true
+  },
+  smsSubscriber: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'SmsSubscriber'
+  },
+
+  type: {
+    type: String,
+    enum: TOUCH_TYPES,
+    required: true
+  },
+  channel: {
+    type: String,
+    enum: CHANNELS,
+    required: true,
+    index: true
+  },
+
+  // Origen del touch
+  campaign: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Campaign'
+  },
+  smsCampaign: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'SmsCampaign'
+  },
+  flow: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Flow'
+  },
+  flowExecution: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'FlowExecution'
+  },
+
+  url: String,
+  metadata: mongoose.Schema.Types.Mixed,
+
+  occurredAt: {
+    type: Date,
+    default: Date.now
+  }
+
+}, {
+  timestamps: false,
+  collection: 'touchpoints'
+});
+
+// ==================== ÍNDICES ====================
+
+touchpointSchema.index({ customer: 1, occurredAt: -1 });
+touchpointSchema.index({ email: 1, occurredAt: -1 });
+touchpointSchema.index({ phone: 1, occurredAt: -1 });
+// Los touches más viejos que cualquier ventana de atribución no sirven
+touchpointSchema.index({ occurredAt: 1 }, { expireAfterSeconds: 180 * 24 * 60 * 60 });
+
+// ==================== STATICS ====================
+
+/**
+ * Channel de un tipo de touch
+ */
+touchpointSchema.statics.channelFor = function(type) {
+  if (type.startsWith('email_')) return 'email';
+  if (type.startsWith('sms_')) return 'sms';
+  if (type.startsWith('popup_')) return 'popup';
+  return 'flow';
+};
+
+/**
+ * Normaliza teléfono a los últimos 10 dígitos
+ */
+touchpointSchema.statics.normalizePhone = function(phone) {
+  if (!phone) return null;
+  const digits = String(phone).replace(/\D/g, '');
+  return digits.length >= 10 ? digits.slice(-10) : null;
+};
+
+touchpointSchema.statics.TOUCH_TYPES = TOUCH_TYPES;
+touchpointSchema.statics.CHANNELS = CHANNELS;
+
+module.exports = mongoose.model('Touchpoint', touchpointSchema);
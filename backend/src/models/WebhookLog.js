@@ -13,14 +13,14 @@ const webhookLogSchema = new mongoose.Schema({
   
   source: {
     type: String,
-    enum: ['shopify', 'klaviyo', 'resend', 'manual', 'test', 'other'],
+    enum: ['shopify', 'klaviyo', 'resend', 'telnyx', 'manual', 'test', 'other'],
     default: 'shopify'
   },
   
   // Processing status
   status: {
     type: String,
-    enum: ['received', 'processing', 'processed', 'failed', 'ignored'],
+    enum: ['received', 'processing', 'processed', 'failed', 'ignored', 'rejected'],
     default: 'received',
     index: true
   },
@@ -187,6 +187,32 @@ webhookLogSchema.methods.markFailed = async function(error) {
   await this.save();
 };
 
+// Static method to log a rejected webhook (firma inválida, timestamp fuera de tolerancia, replay)
+// Se guarda el payload: un intento falsificado es justo lo que hay que poder revisar
+webhookLogSchema.statics.logRejected = async function(data) {
+  try {
+    return await this.create({
+      topic: data.topic,
+      source: data.source,
+      status: 'rejected',
+      payload: data.payload,
+      error: {
+        message: data.message,
+        code: data.reason
+      },
+      metadata: {
+        ip: data.ip,
+        userAgent: data.userAgent,
+        contentLength: data.contentLength,
+        receivedAt: new Date()
+      }
+    });
+  } catch (error) {
+    console.error('⚠️  Error logging rejected webhook:', error.message);
+    return null;
+  }
+};
+
 // Static method to get recent webhooks
 webhookLogSchema.statics.getRecent = async function(options = {}) {
   const {
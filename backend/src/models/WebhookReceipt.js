@@ -0,0 +1,34 @@
+// backend/src/models/WebhookReceipt.js
+// 🔐 WebhookReceipt - IDs de eventos firmados ya procesados (Resend svix-id, Telnyx event id)
+// El handler los inserta (req.webhookVerification.markProcessed) cuando terminó sin errores:
+// un segundo request con el mismo ID es un replay; si falló, el reintento se procesa.
+// TTL: pasada la tolerancia de timestamp la firma ya no vale.
+const mongoose = require('mongoose');
+
+const webhookReceiptSchema = new mongoose.Schema({
+  provider: {
+    type: String,
+    enum: ['resend', 'telnyx'],
+    required: true
+  },
+
+  eventId: {
+    type: String,
+    required: true
+  },
+
+  // Timestamp firmado por el proveedor
+  signedAt: Date,
+
+  receivedAt: { type: Date, default: Date.now }
+}, {
+  timestamps: false,
+  collection: 'webhook_receipts'
+});
+
+// ==================== ÍNDICES ====================
+
+webhookReceiptSchema.index({ provider: 1, eventId: 1 }, { unique: true });
+webhookReceiptSchema.index({ receivedAt: 1 }, { expireAfterSeconds: 7 * 24 * 60 * 60 });
+
+module.exports = mongoose.model('WebhookReceipt', webhookReceiptSchema);
@@ -2,11 +2,16 @@
 const express = require('express');
 const router = express.Router();
 const mongoose = require('mongoose');
-const { auth } = require('../middleware/auth');
+const { auth, authorize } = require('../middleware/auth');
 const Customer = require('../models/Customer');
 const Campaign = require('../models/Campaign');
 const Order = require('../models/Order');
 const EmailEvent = require('../models/EmailEvent');
+const AttributionConfig = require('../models/AttributionConfig');
+const multiTouchAttribution = require('../services/multiTouchAttributionService');
+const emailPreferenceService = require('../services/emailPreferenceService');
+const recommendationService = require('../services/recommendationService');
+const botFilterService = require('../services/botFilterService');
 
 // ============================================================
 // HELPER: Obtener rango de fechas
@@ -101,10 +106,13 @@ router.get('/dashboard', auth, async (req, res) => {
     
     // ========== EMAIL STATS - SOLO DE CAMPAÑAS COMPLETADAS ==========
     const emailsFromCampaigns = completedCampaigns.reduce((acc, c) => {
+      const human = botFilterService.getHumanMetrics(c.stats);
       acc.sent += c.stats?.sent || 0;
       acc.delivered += c.stats?.delivered || 0;
       acc.opened += c.stats?.opened || 0;
       acc.clicked += c.stats?.clicked || 0;
+      acc.humanOpened += human.opened;
+      acc.humanClicked += human.clicked;
       acc.bounced += c.stats?.bounced || 0;
       acc.unsubscribed += c.stats?.unsubscribed || 0;
       acc.totalRevenue += c.stats?.totalRevenue || 0;
@@ -115,6 +123,8 @@ router.get('/dashboard', auth, async (req, res) => {
       delivered: 0,
       opened: 0,
       clicked: 0,
+      humanOpened: 0,
+      humanClicked: 0,
       bounced: 0,
       unsubscribed: 0,
       totalRevenue: 0,
@@ -128,6 +138,9 @@ router.get('/dashboard', auth, async (req, res) => {
     const clickRate = emails.sent > 0 ? ((emails.clicked / emails.sent) * 100).toFixed(2) : 0;
     const bounceRate = emails.sent > 0 ? ((emails.bounced / emails.sent) * 100).toFixed(2) : 0;
     const ctr = emails.opened > 0 ? ((emails.clicked / emails.opened) * 100).toFixed(2) : 0;
+    // 🤖 Human-only: sin prefetch de Apple MPP ni scanners de seguridad
+    const humanOpenRate = emails.sent > 0 ? ((emails.humanOpened / emails.sent) * 100).toFixed(2) : 0;
+    const humanClickRate = emails.sent > 0 ? ((emails.humanClicked / emails.sent) * 100).toFixed(2) : 0;
     
     // ========== ORDERS & REVENUE (Total) ==========
     const orderStats = await Order.aggregate([
@@ -172,14 +185,19 @@ router.get('/dashboard', auth, async (req, res) => {
     }).select('stats');
     
     const prevEmails = prevCampaigns.reduce((acc, c) => {
+      const human = botFilterService.getHumanMetrics(c.stats);
       acc.sent += c.stats?.sent || 0;
       acc.opened += c.stats?.opened || 0;
       acc.clicked += c.stats?.clicked || 0;
+      acc.humanOpened += human.opened;
+      acc.humanClicked += human.clicked;
       return acc;
-    }, { sent: 0, opened: 0, clicked: 0 });
+    }, { sent: 0, opened: 0, clicked: 0, humanOpened: 0, humanClicked: 0 });
     
     const prevOpenRate = prevEmails.sent > 0 ? ((prevEmails.opened / prevEmails.sent) * 100) : 0;
     const prevClickRate = prevEmails.sent > 0 ? ((prevEmails.clicked / prevEmails.sent) * 100) : 0;
+    const prevHumanOpenRate = prevEmails.sent > 0 ? ((prevEmails.humanOpened / prevEmails.sent) * 100) : 0;
+    const prevHumanClickRate = prevEmails.sent > 0 ? ((prevEmails.humanClicked / prevEmails.sent) * 100) : 0;
     
     // ========== RESPONSE ==========
     res.json({
@@ -213,11 +231,17 @@ router.get('/dashboard', auth, async (req, res) => {
         openRate: openRate + '%',
         clickRate: clickRate + '%',
         bounceRate: bounceRate + '%',
-        clickToOpenRate: ctr + '%'
+        clickToOpenRate: ctr + '%',
+        humanOpened: emails.humanOpened,
+        humanClicked: emails.humanClicked,
+        humanOpenRate: humanOpenRate + '%',
+        humanClickRate: humanClickRate + '%'
       },
       comparison: {
         openRateChange: (parseFloat(openRate) - prevOpenRate).toFixed(2),
         clickRateChange: (parseFloat(clickRate) - prevClickRate).toFixed(2),
+        humanOpenRateChange: (parseFloat(humanOpenRate) - prevHumanOpenRate).toFixed(2),
+        humanClickRateChange: (parseFloat(humanClickRate) - prevHumanClickRate).toFixed(2),
         sentChange: emails.sent - prevEmails.sent
       },
       _debug: {
@@ -1259,4 +1283,121 @@ router.get('/campaign-performance', auth, async (req, res) => {
   }
 });
 
+// ============================================================
+// 13. MULTI-TOUCH ATTRIBUTION
+// Revenue por canal y campaña/flow con los 4 modelos lado a lado
+// ============================================================
+router.get('/attribution', auth, async (req, res) => {
+  try {
+    const { days = 30, startDate, endDate } = req.query;
+    const range = startDate
+      ? { start: new Date(startDate), end: endDate ? new Date(endDate) : new Date() }
+      : getDateRange(parseInt(days));
+    
+    const report = await multiTouchAttribution.getReport({
+      startDate: range.start,
+      endDate: range.end
+    });
+    
+    res.json(report);
+    
+  } catch (error) {
+    console.error('Error en attribution report:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+router.get('/attribution/config', auth, async (req, res) => {
+  try {
+    const config = await AttributionConfig.getConfig();
+    res.json(config);
+  } catch (error) {
+    console.error('Error obteniendo attribution config:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+router.put('/attribution/config', auth, authorize('admin'), async (req, res) => {
+  try {
+    const { windows, timeDecayHalfLifeDays, maxTouchesPerOrder, defaultModel } = req.body;
+    const config = await AttributionConfig.getConfig();
+    
+    if (windows && typeof windows === 'object') {
+      Object.entries(windows).forEach(([type, days]) => {
+        if (config.windows[type] !== undefined) {
+          config.windows[type] = days;
+        }
+      });
+    }
+    if (timeDecayHalfLifeDays !== undefined) config.timeDecayHalfLifeDays = timeDecayHalfLifeDays;
+    if (maxTouchesPerOrder !== undefined) config.maxTouchesPerOrder = maxTouchesPerOrder;
+    if (defaultModel !== undefined) config.defaultModel = defaultModel;
+    
+    await config.save();
+    
+    res.json(config);
+    
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ error: error.message });
+    }
+    console.error('Error actualizando attribution config:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Recalcula créditos (p.ej. después de cambiar ventanas)
+router.post('/attribution/recompute', auth, authorize('admin'), async (req, res) => {
+  try {
+    const days = Math.min(Math.max(parseInt(req.body?.days) || 30, 1), 180);
+    const result = await multiTouchAttribution.recompute(days);
+    
+    res.json({ success: true, days, ...result });
+    
+  } catch (error) {
+    console.error('Error recalculando atribución:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// ============================================================
+// 14. PREFERENCE CENTER
+// Opt-downs (topic, fewer, pausa) separados de unsubscribes
+// ============================================================
+router.get('/preferences', auth, async (req, res) => {
+  try {
+    const days = Math.min(Math.max(parseInt(req.query.days) || 30, 1), 365);
+    const report = await emailPreferenceService.getReport({ days });
+    
+    res.json(report);
+    
+  } catch (error) {
+    console.error('Error en preferences report:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// ============================================================
+// 15. RECOMMENDATIONS
+// Productos recomendados por destinatario: clicks y revenue por producto
+// ============================================================
+router.get('/recommendations', auth, async (req, res) => {
+  try {
+    const days = Math.min(Math.max(parseInt(req.query.days) || 30, 1), 365);
+    const { campaignId } = req.query;
+    
+    if (campaignId && !mongoose.Types.ObjectId.isValid(campaignId)) {
+      return res.status(400).json({ error: 'campaignId inválido' });
+    }
+    
+    const report = await recommendationService.getReport({ days, campaignId: campaignId || null });
+    
+    res.json(report);
+    
+  } catch (error) {
+    console.error('Error en recommendations report:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
 module.exports = router;
\ No newline at end of file
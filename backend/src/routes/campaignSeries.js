@@ -0,0 +1,29 @@
+// backend/src/routes/campaignSeries.js
+const express = require('express');
+const router = express.Router();
+const campaignSeriesController = require('../controllers/campaignSeriesController');
+const { auth, authorize } = require('../middleware/auth');
+
+router.use(auth);
+
+// ==================== RUTAS SIN PARÁMETROS (PRIMERO) ====================
+
+router.get('/', campaignSeriesController.getAll);
+router.post('/', authorize('admin', 'manager'), campaignSeriesController.create);
+
+// Próximas fechas de una regla sin guardar (body: { recurrence, skipBlackouts?, limit? })
+router.post('/preview', authorize('admin', 'manager'), campaignSeriesController.preview);
+
+// ==================== RUTAS ESPECÍFICAS CON :id ====================
+
+router.get('/:id/report', campaignSeriesController.getReport);
+router.post('/:id/pause', authorize('admin', 'manager'), campaignSeriesController.pause);
+router.post('/:id/resume', authorize('admin', 'manager'), campaignSeriesController.resume);
+
+// ==================== RUTAS GENÉRICAS CON :id (AL FINAL) ====================
+
+router.get('/:id', campaignSeriesController.getOne);
+router.put('/:id', authorize('admin', 'manager'), campaignSeriesController.update);
+router.delete('/:id', authorize('admin'), campaignSeriesController.delete);
+
+module.exports = router;
@@ -27,6 +27,13 @@ router.post('/queue/resume', authorize('admin'), campaignsController.resumeQueue
 router.post('/queue/clean', authorize('admin'), campaignsController.cleanQueue);
 router.post('/queue/check-campaigns', authorize('admin'), campaignsController.forceCheckCampaigns);
 
+// Validar template sin guardar (body: { htmlContent, previewText?, abTest? })
+router.post('/validate-template', authorize('admin', 'manager'), campaignsController.validateTemplate);
+
+// Email builder: tipos de bloque y preview (body: { blocks, subject?, customerId? | email? })
+router.get('/blocks/types', campaignsController.getBlockTypes);
+router.post('/blocks/preview', authorize('admin', 'manager'), campaignsController.previewBlocks);
+
 // Crear desde template
 router.post('/from-template', authorize('admin', 'manager'), campaignsController.createFromTemplate);
 
@@ -53,9 +60,33 @@ router.put('/:id', authorize('admin', 'manager'), campaignsController.update);
 // Duplicar campaña
 router.post('/:id/duplicate', authorize('admin', 'manager'), campaignsController.duplicate);
 
-// Enviar campaña
+// Preflight (body opcional: { acknowledgeWarnings: true })
+router.post('/:id/preflight', authorize('admin', 'manager'), campaignsController.preflight);
+
+// Enviar campaña (corre el preflight; warnings requieren { acknowledgeWarnings: true })
 router.post('/:id/send', authorize('admin', 'manager'), campaignsController.send);
 
+// Programar / desprogramar (body: { scheduledAt, acknowledgeWarnings })
+router.post('/:id/schedule', authorize('admin', 'manager'), campaignsController.schedule);
+router.post('/:id/unschedule', authorize('admin', 'manager'), campaignsController.unschedule);
+
+// A/B test: elegir ganadora ahora (body opcional: { variantKey })
+router.post('/:id/ab-test/select-winner', authorize('admin', 'manager'), campaignsController.selectAbWinner);
+
+// Frequency capping: exentar campaña (body: { exempt: true|false })
+router.put('/:id/frequency-cap-exempt', authorize('admin'), campaignsController.setFrequencyCapExempt);
+
+// Pool de códigos únicos {{coupon}}
+router.get('/:id/coupons', authorize('admin', 'manager'), campaignsController.getCoupons);
+router.post('/:id/coupons/generate', authorize('admin', 'manager'), campaignsController.generateCoupons);
+
+// Resend a no-openers: stats combinadas + config (body: { enabled, subject, previewText, delayHours })
+router.get('/:id/resend', authorize('admin', 'manager'), campaignsController.getResend);
+router.put('/:id/resend', authorize('admin', 'manager'), campaignsController.updateResend);
+
+// Incrementalidad: tratados vs. grupo de holdout (conversión y revenue por destinatario con IC 95%)
+router.get('/:id/incrementality', authorize('admin', 'manager'), campaignsController.getIncrementality);
+
 // Eliminar campaña
 router.delete('/:id', authorize('admin'), campaignsController.delete);
 
@@ -0,0 +1,30 @@
+// backend/src/routes/flows.js
+const express = require('express');
+const router = express.Router();
+const flowsController = require('../controllers/flowsController');
+const { auth, authorize } = require('../middleware/auth');
+
+router.use(auth);
+
+// ==================== RUTAS SIN PARÁMETROS (PRIMERO) ====================
+
+router.get('/', flowsController.getAll);
+router.post('/', authorize('admin', 'manager'), flowsController.create);
+router.get('/queue/status', flowsController.getQueueStatus);
+
+// Cancelar una ejecución puntual
+router.post('/executions/:executionId/cancel', authorize('admin', 'manager'), flowsController.cancelExecution);
+
+// ==================== RUTAS ESPECÍFICAS CON :id ====================
+
+router.post('/:id/activate', authorize('admin', 'manager'), flowsController.activate);
+router.post('/:id/pause', authorize('admin', 'manager'), flowsController.pause);
+router.get('/:id/executions', flowsController.getExecutions);
+
+// ==================== RUTAS GENÉRICAS CON :id (AL FINAL) ====================
+
+router.get('/:id', flowsController.getOne);
+router.put('/:id', authorize('admin', 'manager'), flowsController.update);
+router.delete('/:id', authorize('admin'), flowsController.delete);
+
+module.exports = router;
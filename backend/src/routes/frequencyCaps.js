@@ -0,0 +1,84 @@
+// backend/src/routes/frequencyCaps.js
+// 🚦 Frequency capping global (config + presión por contacto)
+const express = require('express');
+const router = express.Router();
+const { auth, authorize } = require('../middleware/auth');
+const FrequencyCapConfig = require('../models/FrequencyCapConfig');
+const ContactLog = require('../models/ContactLog');
+const contactPressureService = require('../services/contactPressureService');
+
+router.use(auth);
+
+// Config actual + volumen de contactos de los últimos 7 días
+router.get('/', async (req, res) => {
+  try {
+    const since = new Date(Date.now() - 7 * 24 * 60 * 60 * 1000);
+    
+    const [config, volume] = await Promise.all([
+      FrequencyCapConfig.getConfig(),
+      ContactLog.aggregate([
+        { $match: { sentAt: { $gte: since } } },
+        { $group: { _id: { channel: '$channel', source: '$source' }, count: { $sum: 1 } } },
+        { $sort: { count: -1 } }
+      ])
+    ]);
+    
+    res.json({
+      config,
+      last7Days: volume.map(v => ({ channel: v._id.channel, source: v._id.source, count: v.count }))
+    });
+    
+  } catch (error) {
+    console.error('Error obteniendo frequency caps:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Actualizar config (body: { enabled, rules: [{ channel, maxMessages, windowHours }] })
+router.put('/', authorize('admin'), async (req, res) => {
+  try {
+    const { enabled, rules } = req.body;
+    const config = await FrequencyCapConfig.getConfig();
+    
+    if (enabled !== undefined) config.enabled = !!enabled;
+    if (rules !== undefined) {
+      if (!Array.isArray(rules)) {
+        return res.status(400).json({ error: 'rules debe ser un array' });
+      }
+      config.rules = rules;
+    }
+    
+    await config.save();
+    
+    console.log(`🚦 Frequency caps actualizados: enabled=${config.enabled}, ${config.rules.length} regla(s)`);
+    
+    res.json(config);
+    
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ error: error.message });
+    }
+    console.error('Error actualizando frequency caps:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Presión de un contacto (?email=...&phone=...)
+router.get('/contact', async (req, res) => {
+  try {
+    const { email, phone } = req.query;
+    const pressure = await contactPressureService.getContactPressure({ email, phone });
+    
+    if (!pressure) {
+      return res.status(400).json({ error: 'Debes indicar email o phone' });
+    }
+    
+    res.json(pressure);
+    
+  } catch (error) {
+    console.error('Error obteniendo presión de contacto:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+module.exports = router;
@@ -7,6 +7,7 @@ const { auth, authorize } = require('../middleware/auth');
 const MaximusConfig = require('../models/MaximusConfig');
 const MaximusCampaignLog = require('../models/MaximusCampaignLog');
 const maximusService = require('../services/maximusService');
+const holdoutService = require('../services/holdoutService');
 
 // All routes require admin auth
 router.use(auth);
@@ -40,9 +41,12 @@ router.put('/config', authorize('admin'), async (req, res) => {
       active, creativeAgentReady, lists,
       maxCampaignsPerWeek, maxCampaignsPerDay, minHoursBetweenSameDay,
       sendWindowStart, sendWindowEnd,
-      model, modelForAnalysis
+      model, modelForAnalysis, holdoutPercentage
     } = req.body;
 
+    const holdoutError = holdoutService.validateConfig({ percentage: holdoutPercentage });
+    if (holdoutError) return res.status(400).json({ error: holdoutError });
+
     if (typeof active === 'boolean') config.active = active;
     if (typeof creativeAgentReady === 'boolean') config.creativeAgentReady = creativeAgentReady;
     if (lists) config.lists = lists;
@@ -53,6 +57,7 @@ router.put('/config', authorize('admin'), async (req, res) => {
     if (sendWindowEnd) config.sendWindowEnd = sendWindowEnd;
     if (model) config.model = model;
     if (modelForAnalysis) config.modelForAnalysis = modelForAnalysis;
+    if (holdoutPercentage !== undefined) config.holdoutPercentage = holdoutPercentage;
 
     await config.save();
 
@@ -426,10 +431,15 @@ router.post('/proposal/test', authorize('admin'), async (req, res) => {
 /**
  * POST /api/maximus/proposal/approve
  * Approve pending proposal → schedule campaign
+ * Optional body: { holdoutPercentage } overrides the proposal's holdout
  */
 router.post('/proposal/approve', authorize('admin'), async (req, res) => {
   try {
-    const result = await maximusService.approveProposal();
+    const { holdoutPercentage } = req.body || {};
+    const holdoutError = holdoutService.validateConfig({ percentage: holdoutPercentage });
+    if (holdoutError) return res.status(400).json({ success: false, error: holdoutError });
+
+    const result = await maximusService.approveProposal({ holdoutPercentage });
     res.json(result);
   } catch (error) {
     console.error('Maximus approve error:', error);
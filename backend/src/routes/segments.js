@@ -0,0 +1,28 @@
+// backend/src/routes/segments.js
+const express = require('express');
+const router = express.Router();
+const segmentsController = require('../controllers/segmentsController');
+const { auth, authorize } = require('../middleware/auth');
+
+router.use(auth);
+
+// ==================== RUTAS SIN PARÁMETROS (PRIMERO) ====================
+
+router.get('/', segmentsController.getAll);
+router.post('/', authorize('admin', 'manager'), segmentsController.create);
+router.get('/fields', segmentsController.getFields);
+router.post('/preview', segmentsController.preview);
+router.post('/predefined/create-all', authorize('admin'), segmentsController.createPredefined);
+
+// ==================== RUTAS ESPECÍFICAS CON :id ====================
+
+router.get('/:id/members', segmentsController.getMembers);
+router.post('/:id/recalculate', authorize('admin', 'manager'), segmentsController.recalculate);
+
+// ==================== RUTAS GENÉRICAS CON :id (AL FINAL) ====================
+
+router.get('/:id', segmentsController.getOne);
+router.put('/:id', authorize('admin', 'manager'), segmentsController.update);
+router.delete('/:id', authorize('admin'), segmentsController.delete);
+
+module.exports = router;
@@ -4,6 +4,7 @@ const express = require('express');
 const router = express.Router();
 const smsController = require('../controllers/smsController');
 const smsAnalyticsController = require('../controllers/smsAnalyticsController');
+const smsKeywordController = require('../controllers/smsKeywordController');
 
 // Intentar cargar middleware de auth (opcional)
 let protect = null;
@@ -138,7 +139,44 @@ router.get('/conversations', optionalProtect, smsController.getConversations);
 // Get conversation stats
 router.get('/conversations/stats', optionalProtect, smsController.getConversationStats);
 
-// Get conversation thread for a specific phone
+// 💬 Inbox: threads con status, asignación y no leídos
+router.get('/conversations/inbox', optionalProtect, smsController.getInbox);
+router.get('/conversations/unread', optionalProtect, smsController.getInboxUnread);
+
+// 💬 Canned responses (merge fields: {firstName}, {orderNumber}, {trackingUrl}...)
+router.get('/conversations/canned-responses', optionalProtect, smsController.getCannedResponses);
+router.post('/conversations/canned-responses', optionalProtect, smsController.createCannedResponse);
+router.put('/conversations/canned-responses/:id', optionalProtect, smsController.updateCannedResponse);
+router.delete('/conversations/canned-responses/:id', optionalProtect, smsController.deleteCannedResponse);
+
+// Get conversation thread for a specific phone (+ Customer y última Order)
 router.get('/conversations/thread/:phone', optionalProtect, smsController.getConversationThread);
 
+// 💬 Acciones del agente sobre el thread
+router.post('/conversations/thread/:phone/reply', optionalProtect, smsController.replyToThread);
+router.post('/conversations/thread/:phone/preview', optionalProtect, smsController.previewThreadReply);
+router.put('/conversations/thread/:phone/status', optionalProtect, smsController.updateThreadStatus);
+router.put('/conversations/thread/:phone/assign', optionalProtect, smsController.assignThread);
+router.post('/conversations/thread/:phone/read', optionalProtect, smsController.markThreadRead);
+
+// ==================== 📜 CONSENT LEDGER ====================
+
+// Historial exportable por teléfono (TCPA/CASL) - ?format=csv
+router.get('/consent/:phone', optionalProtect, smsController.getConsentHistory);
+
+// ==================== 🔑 SMS KEYWORDS ====================
+
+// CRUD de keywords ("Text PICKLES to …")
+router.get('/keywords', optionalProtect, smsKeywordController.list);
+router.post('/keywords', optionalProtect, smsKeywordController.create);
+
+// Analytics y concursos por keyword
+router.get('/keywords/:id/analytics', optionalProtect, smsKeywordController.getAnalytics);
+router.get('/keywords/:id/entries', optionalProtect, smsKeywordController.getEntries);
+router.post('/keywords/:id/draw', optionalProtect, smsKeywordController.drawWinners);
+
+router.get('/keywords/:id', optionalProtect, smsKeywordController.get);
+router.put('/keywords/:id', optionalProtect, smsKeywordController.update);
+router.delete('/keywords/:id', optionalProtect, smsKeywordController.remove);
+
 module.exports = router;
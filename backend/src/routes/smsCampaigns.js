@@ -6,9 +6,12 @@ const smsCampaignController = require('../controllers/smsCampaignController');
 
 // Intentar cargar middleware de auth
 let protect = null;
+// Admin-only routes: never open if auth can't load
+let adminOnly = [(req, res) => res.status(503).json({ success: false, error: 'Auth not available' })];
 try {
   const authMiddleware = require('../middleware/auth');
   protect = authMiddleware.protect;
+  adminOnly = [authMiddleware.auth, authMiddleware.authorize('admin')];
 } catch (e) {
   console.log('⚠️  Auth middleware not available for SMS Campaign routes');
 }
@@ -32,6 +35,10 @@ router.get('/audience-count', optionalProtect, smsCampaignController.audienceCou
 // Generate AI templates (must be before /:id routes)
 router.post('/generate-templates', optionalProtect, smsCampaignController.generateTemplates);
 
+// MMS media: validate URLs and pick Apollo creatives (must be before /:id routes)
+router.post('/media/validate', optionalProtect, smsCampaignController.validateMedia);
+router.get('/media/apollo', optionalProtect, smsCampaignController.getApolloMedia);
+
 // List campaigns
 router.get('/', optionalProtect, smsCampaignController.list);
 
@@ -76,12 +83,22 @@ router.get('/:id/clicks', optionalProtect, smsCampaignController.getClickStats);
 // Get A/B testing variant stats
 router.get('/:id/ab-stats', optionalProtect, smsCampaignController.getAbStats);
 
+// Cost: estimate vs. actual (Telnyx) and budget cap
+router.get('/:id/cost', optionalProtect, smsCampaignController.getCostReport);
+router.put('/:id/budget', optionalProtect, smsCampaignController.setBudget);
+
+// Incrementality: treated vs. holdout group
+router.get('/:id/incrementality', optionalProtect, smsCampaignController.getIncrementality);
+
 // Set/update discount code for conversion tracking
 router.put('/:id/discount-code', optionalProtect, smsCampaignController.setDiscountCode);
 
 // Reprocess conversions from existing orders
 router.post('/:id/reprocess-conversions', optionalProtect, smsCampaignController.reprocessConversions);
 
+// Exempt campaign from global frequency capping (admin only)
+router.put('/:id/frequency-cap-exempt', ...adminOnly, smsCampaignController.setFrequencyCapExempt);
+
 // ==================== TRACKING (PUBLIC) ====================
 
 // Track click (no auth - accessed from SMS links)
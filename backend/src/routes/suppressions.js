@@ -0,0 +1,160 @@
+// backend/src/routes/suppressions.js
+// 🛑 Suppression list (emails y dominios) + import/export CSV + auditoría
+const express = require('express');
+const router = express.Router();
+const { auth, authorize } = require('../middleware/auth');
+const Suppression = require('../models/Suppression');
+const suppressionService = require('../services/suppressionService');
+
+router.use(auth);
+
+// ==================== RUTAS SIN PARÁMETROS (PRIMERO) ====================
+
+// Listado paginado (?type=email|domain&reason=...&search=...)
+router.get('/', async (req, res) => {
+  try {
+    const { type, reason, search } = req.query;
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 50, 1), 200);
+
+    const result = await suppressionService.list({ page, limit, type, reason, search });
+
+    res.json(result);
+
+  } catch (error) {
+    console.error('Error listando supresiones:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Totales por tipo y razón
+router.get('/stats', async (req, res) => {
+  try {
+    res.json(await suppressionService.getStats());
+  } catch (error) {
+    console.error('Error obteniendo stats de supresiones:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// ¿Por qué X no recibió este email? (?email=...)
+router.get('/check', async (req, res) => {
+  try {
+    const { email } = req.query;
+
+    if (!email) {
+      return res.status(400).json({ error: 'email es requerido' });
+    }
+
+    res.json(await suppressionService.explain(email));
+
+  } catch (error) {
+    console.error('Error verificando supresión:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Exportar CSV (mismos filtros que el listado)
+router.get('/export', authorize('admin', 'manager'), async (req, res) => {
+  try {
+    const { type, reason, search } = req.query;
+    const { csv, count } = await suppressionService.exportCsv({ type, reason, search });
+
+    console.log(`📤 Supresiones exportadas: ${count}`);
+
+    res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+    res.setHeader('Content-Disposition', `attachment; filename="suppressions-${new Date().toISOString().split('T')[0]}.csv"`);
+    res.send(csv);
+
+  } catch (error) {
+    console.error('Error exportando supresiones:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Importar CSV (body: { csvData, reason? }) - columnas: email | domain, reason?, notes?, expiresAt?
+router.post('/import', authorize('admin', 'manager'), async (req, res) => {
+  try {
+    const { csvData, reason = 'import' } = req.body;
+
+    if (!csvData) {
+      return res.status(400).json({ error: 'csvData es requerido' });
+    }
+
+    if (!Suppression.REASONS.includes(reason)) {
+      return res.status(400).json({ error: `reason inválido: ${reason}` });
+    }
+
+    const stats = await suppressionService.importCsv(csvData, {
+      reason,
+      createdBy: req.user?.email || null
+    });
+
+    console.log(`📥 Supresiones importadas: ${stats.added} nuevas, ${stats.existing} existentes, ${stats.invalid} inválidas`);
+
+    res.json({ success: true, stats });
+
+  } catch (error) {
+    console.error('Error importando supresiones:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Alta manual (body: { email | domain, reason?, notes?, expiresAt? })
+router.post('/', authorize('admin', 'manager'), async (req, res) => {
+  try {
+    const { email, domain, reason = 'manual', notes, expiresAt } = req.body;
+
+    if (!suppressionService.parseTarget(domain ? { domain } : { email })) {
+      return res.status(400).json({ error: 'Debes indicar un email o dominio válido' });
+    }
+
+    if (!Suppression.REASONS.includes(reason)) {
+      return res.status(400).json({ error: `reason inválido: ${reason}` });
+    }
+
+    const suppression = await suppressionService.add({
+      email,
+      domain,
+      reason,
+      source: 'admin',
+      notes,
+      expiresAt: expiresAt || null,
+      createdBy: req.user?.email || null
+    });
+
+    if (!suppression) {
+      return res.status(500).json({ error: 'No se pudo registrar la supresión' });
+    }
+
+    console.log(`🛑 Supresión manual: ${suppression.type} ${suppression.value} (${suppression.reason})`);
+
+    res.status(201).json(suppression);
+
+  } catch (error) {
+    console.error('Error creando supresión:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// ==================== RUTAS CON :id (AL FINAL) ====================
+
+router.delete('/:id', authorize('admin'), async (req, res) => {
+  try {
+    const suppression = await Suppression.findByIdAndDelete(req.params.id);
+
+    if (!suppression) {
+      return res.status(404).json({ error: 'Supresión no encontrada' });
+    }
+
+    console.log(`🔓 Supresión eliminada: ${suppression.type} ${suppression.value} (${req.user?.email || 'admin'})`);
+
+    res.json({ success: true, suppression });
+
+  } catch (error) {
+    console.error('Error eliminando supresión:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+module.exports = router;
@@ -5,104 +5,193 @@ const EmailEvent = require('../models/EmailEvent');
 const Campaign = require('../models/Campaign');
 const Customer = require('../models/Customer');
 const AttributionService = require('../middleware/attributionTracking');
+const multiTouchAttribution = require('../services/multiTouchAttributionService');
+const emailPreferenceService = require('../services/emailPreferenceService');
+const suppressionService = require('../services/suppressionService');
+const botFilterService = require('../services/botFilterService');
 const { verifyUnsubscribeToken } = require('../utils/unsubscribeToken');
 
 // ==================== OPEN TRACKING ====================
 
-router.get('/open/:campaignId/:customerId', async (req, res) => {
-  try {
-    const { campaignId, customerId } = req.params;
-    const { email } = req.query;
-    
-    console.log(`📧 Email opened - Campaign: ${campaignId}, Customer: ${customerId}`);
-    
-    const existingEvent = await EmailEvent.findOne({
+// Pixel transparente 1x1
+const PIXEL = Buffer.from(
+  'R0lGODlhAQABAIAAAAAAAP///yH5BAEAAAAALAAAAAABAAEAAAIBRAA7',
+  'base64'
+);
+
+/**
+ * Clasifica y registra un open (fuera del request: el pixel ya se respondió)
+ */
+async function recordOpen({ campaignId, customerId, email, userAgent, ipAddress, method }) {
+  const { classification, reasons } = await botFilterService.classify({
+    eventType: 'opened',
+    userAgent,
+    ipAddress,
+    method,
+    campaign: campaignId,
+    customer: customerId,
+    email
+  });
+  const isMachine = botFilterService.isMachine(classification);
+  
+  const previousOpens = await EmailEvent.find({
+    campaign: campaignId,
+    customer: customerId,
+    eventType: 'opened'
+  }).select('classification').lean();
+  
+  const hasHumanOpen = previousOpens.some(e => !botFilterService.isMachine(e.classification));
+  
+  // Primer open, o el primer open human después de un prefetch (MPP abre antes que el cliente)
+  if (previousOpens.length === 0 || (!isMachine && !hasHumanOpen)) {
+    await EmailEvent.create({
       campaign: campaignId,
       customer: customerId,
-      eventType: 'opened'
+      email: email || 'unknown',
+      eventType: 'opened',
+      userAgent,
+      ipAddress,
+      classification,
+      classificationReasons: reasons
     });
     
-    if (!existingEvent) {
-      await EmailEvent.create({
-        campaign: campaignId,
-        customer: customerId,
-        email: email || 'unknown',
-        eventType: 'opened',
-        userAgent: req.headers['user-agent'],
-        ipAddress: req.ip || req.connection.remoteAddress
-      });
-      
+    if (previousOpens.length === 0) {
       await Campaign.updateStats(campaignId, 'opened');
       await Customer.updateEmailStats(customerId, 'opened');
-      
-      console.log(`✅ Open event registered`);
-    } else {
-      console.log(`⏭️  Open already registered`);
     }
     
-  } catch (error) {
-    console.error('❌ Error tracking open:', error);
+    await botFilterService.recordCampaignEvent(campaignId, 'opened', classification, !isMachine);
+    
+    if (!isMachine) {
+      await multiTouchAttribution.recordTouch({
+        type: 'email_open',
+        customer: customerId,
+        email,
+        campaign: campaignId
+      });
+    }
+    
+    console.log(`✅ Open event registered (${classification}${reasons.length ? `: ${reasons.join(', ')}` : ''})`);
+  } else {
+    console.log(`⏭️  Open already registered`);
   }
+}
+
+router.get('/open/:campaignId/:customerId', (req, res) => {
+  const { campaignId, customerId } = req.params;
+  const { email } = req.query;
+  
+  console.log(`📧 Email opened - Campaign: ${campaignId}, Customer: ${customerId}`);
   
-  // Retornar pixel transparente
-  const pixel = Buffer.from(
-    'R0lGODlhAQABAIAAAAAAAP///yH5BAEAAAAALAAAAAABAAEAAAIBRAA7',
-    'base64'
-  );
+  const event = {
+    campaignId,
+    customerId,
+    email,
+    userAgent: req.headers['user-agent'],
+    ipAddress: req.ip || req.connection.remoteAddress,
+    method: req.method
+  };
   
+  // Retornar pixel transparente (la clasificación corre después, no demora la imagen)
   res.writeHead(200, {
     'Content-Type': 'image/gif',
-    'Content-Length': pixel.length,
+    'Content-Length': PIXEL.length,
     'Cache-Control': 'no-store, no-cache, must-revalidate, private',
     'Pragma': 'no-cache'
   });
   
-  res.end(pixel);
+  res.end(PIXEL);
+  
+  setImmediate(() => {
+    recordOpen(event).catch(error => console.error('❌ Error tracking open:', error));
+  });
 });
 
 // ==================== CLICK TRACKING ====================
 
-router.get('/click/:campaignId/:customerId', async (req, res) => {
-  try {
-    const { campaignId, customerId } = req.params;
-    const { url, email } = req.query;
-    
-    if (!url) {
-      return res.status(400).json({ error: 'Missing URL parameter' });
-    }
-    
-    console.log(`🖱️  Link clicked - Campaign: ${campaignId}, URL: ${url}`);
-    
-    await EmailEvent.create({
-      campaign: campaignId,
+/**
+ * Clasifica y registra un click (fuera del request: el redirect ya se respondió)
+ */
+async function recordClick({ campaignId, customerId, email, clickedUrl, userAgent, ipAddress, method }) {
+  const recipient = { email, customer: customerId };
+  
+  const { classification, reasons } = await botFilterService.classify({
+    eventType: 'clicked',
+    userAgent,
+    ipAddress,
+    method,
+    campaign: campaignId,
+    clickedUrl,
+    ...recipient
+  });
+  const isMachine = botFilterService.isMachine(classification);
+  const firstHuman = !isMachine && !(await botFilterService.hasHumanEvent(campaignId, recipient, 'clicked'));
+  
+  await EmailEvent.create({
+    campaign: campaignId,
+    customer: customerId,
+    email: email || 'unknown',
+    eventType: 'clicked',
+    clickedUrl,
+    userAgent,
+    ipAddress,
+    classification,
+    classificationReasons: reasons
+  });
+  
+  await Campaign.updateStats(campaignId, 'clicked');
+  await Customer.updateEmailStats(customerId, 'clicked');
+  await botFilterService.recordCampaignEvent(campaignId, 'clicked', classification, firstHuman);
+  
+  // Un scanner que recorre todos los links: los clicks previos de la ráfaga también eran suyos
+  if (reasons.includes('click_burst')) {
+    await botFilterService.reclassifyBurst(campaignId, recipient);
+  }
+  
+  if (!isMachine) {
+    await multiTouchAttribution.recordTouch({
+      type: 'email_click',
       customer: customerId,
-      email: email || 'unknown',
-      eventType: 'clicked',
-      clickedUrl: decodeURIComponent(url),
-      userAgent: req.headers['user-agent'],
-      ipAddress: req.ip || req.connection.remoteAddress
+      email,
+      campaign: campaignId,
+      url: clickedUrl
     });
-    
-    await Campaign.updateStats(campaignId, 'clicked');
-    await Customer.updateEmailStats(customerId, 'clicked');
-    
-    console.log(`✅ Click event registered`);
-    
-    // Establecer cookie de atribución
-    AttributionService.setAttribution(res, campaignId, customerId);
-    
-    // Redirigir a la URL original
-    res.redirect(decodeURIComponent(url));
-    
-  } catch (error) {
-    console.error('❌ Error tracking click:', error);
-    
-    if (req.query.url) {
-      res.redirect(decodeURIComponent(req.query.url));
-    } else {
-      res.status(500).json({ error: 'Error tracking click' });
-    }
   }
+  
+  console.log(`✅ Click event registered (${classification}${reasons.length ? `: ${reasons.join(', ')}` : ''})`);
+}
+
+router.get('/click/:campaignId/:customerId', (req, res) => {
+  const { campaignId, customerId } = req.params;
+  const { url, email } = req.query;
+  
+  if (!url) {
+    return res.status(400).json({ error: 'Missing URL parameter' });
+  }
+  
+  console.log(`🖱️  Link clicked - Campaign: ${campaignId}, URL: ${url}`);
+  
+  const clickedUrl = decodeURIComponent(url);
+  
+  const event = {
+    campaignId,
+    customerId,
+    email,
+    clickedUrl,
+    userAgent: req.headers['user-agent'],
+    ipAddress: req.ip || req.connection.remoteAddress,
+    method: req.method
+  };
+  
+  // Establecer cookie de atribución
+  AttributionService.setAttribution(res, campaignId, customerId);
+  
+  // Redirigir a la URL original (la clasificación corre después, no demora el redirect)
+  res.redirect(clickedUrl);
+  
+  setImmediate(() => {
+    recordClick(event).catch(error => console.error('❌ Error tracking click:', error));
+  });
 });
 
 // ==================== UNSUBSCRIBE ====================
@@ -117,87 +206,30 @@ router.get('/unsubscribe/:token', async (req, res) => {
     
     console.log(`\n🚫 Unsubscribe request received`);
     
-    // Verificar y decodificar token
-    const tokenData = verifyUnsubscribeToken(token);
+    const result = await unsubscribeByToken(req, token, { eventSource: 'email_link' });
     
-    if (!tokenData) {
+    if (result.error === 'invalid_token') {
       console.log('❌ Token inválido o expirado');
       return res.status(400).send(generateErrorPage('Invalid or expired link'));
     }
     
-    const { customerId, email, campaignId } = tokenData;  // 🆕 Extraer campaignId
-    console.log(`   Email: ${email}`);
-    console.log(`   Customer ID: ${customerId}`);
-    console.log(`   Campaign ID: ${campaignId || 'N/A'}`);
-    
-    // Buscar cliente
-    const customer = await Customer.findById(customerId);
-    
-    if (!customer) {
-      // Intentar buscar por email como fallback
-      const customerByEmail = await Customer.findOne({ email: email.toLowerCase() });
-      
-      if (!customerByEmail) {
-        console.log('❌ Cliente no encontrado');
-        return res.status(404).send(generateErrorPage('We could not find your subscription'));
-      }
-      
-      // Usar el encontrado por email
-      await processUnsubscribe(customerByEmail);
-      return res.send(generateSuccessPage(customerByEmail.email));
+    if (result.error === 'not_found') {
+      console.log('❌ Cliente no encontrado');
+      return res.status(404).send(generateErrorPage('We could not find your subscription'));
     }
     
-    // Verificar que el email coincida
-    if (customer.email.toLowerCase() !== email.toLowerCase()) {
-      console.log('⚠️ Email no coincide, pero procesando de todas formas');
-    }
+    const { customer } = result;
     
     // Verificar si ya está unsubscribed
-    if (customer.emailStatus === 'unsubscribed') {
+    if (result.alreadyUnsubscribed) {
       console.log('ℹ️ Cliente ya estaba unsubscribed');
       return res.send(generateAlreadyUnsubscribedPage(customer.email));
     }
     
-    // Procesar unsubscribe
-    await processUnsubscribe(customer);
-    
-    // Registrar evento
-    try {
-      const eventData = {
-        customer: customer._id,
-        email: customer.email,
-        eventType: 'unsubscribed',
-        userAgent: req.headers['user-agent'],
-        ipAddress: req.ip || req.connection.remoteAddress,
-        metadata: {
-          source: 'email_link',
-          previousStatus: customer.emailStatus
-        }
-      };
-      
-      // 🆕 Incluir campaignId si existe
-      if (campaignId) {
-        eventData.campaign = campaignId;
-      }
-      
-      await EmailEvent.create(eventData);
-      
-      // 🆕 Actualizar stats de la campaña si existe
-      if (campaignId) {
-        try {
-          await Campaign.updateStats(campaignId, 'unsubscribed');
-        } catch (statsError) {
-          console.log('⚠️ Could not update campaign unsubscribe stats:', statsError.message);
-        }
-      }
-    } catch (eventError) {
-      console.log('⚠️ No se pudo registrar evento de unsubscribe:', eventError.message);
-    }
-    
     console.log(`✅ Unsubscribe completado para: ${customer.email}\n`);
     
     // Mostrar página de confirmación
-    res.send(generateSuccessPage(customer.email));
+    res.send(generateSuccessPage(customer.email, token));
     
   } catch (error) {
     console.error('❌ Error procesando unsubscribe:', error);
@@ -249,6 +281,46 @@ router.post('/unsubscribe/:token', async (req, res) => {
   }
 });
 
+/**
+ * POST /api/track/list-unsubscribe/:token
+ * RFC 8058 one-click: el cliente de correo (Gmail, Yahoo...) hace POST con
+ * body "List-Unsubscribe=One-Click". Sin página de confirmación.
+ */
+router.post('/list-unsubscribe/:token', async (req, res) => {
+  try {
+    const result = await unsubscribeByToken(req, req.params.token, {
+      source: 'list_unsubscribe',
+      eventSource: 'list-unsubscribe-header'
+    });
+    
+    if (result.error === 'invalid_token') {
+      return res.status(400).send('Invalid or expired token');
+    }
+    
+    if (result.error === 'not_found') {
+      return res.status(404).send('Subscription not found');
+    }
+    
+    if (!result.alreadyUnsubscribed) {
+      console.log(`🚫 One-click unsubscribe: ${result.customer.email}`);
+    }
+    
+    res.status(200).send('Unsubscribed');
+    
+  } catch (error) {
+    console.error('❌ Error en one-click unsubscribe:', error);
+    res.status(500).send('Error processing request');
+  }
+});
+
+/**
+ * GET /api/track/list-unsubscribe/:token
+ * Clientes sin soporte one-click abren la URL: mostrar el flujo normal con confirmación
+ */
+router.get('/list-unsubscribe/:token', (req, res) => {
+  res.redirect(`${req.baseUrl}/unsubscribe/${req.params.token}`);
+});
+
 /**
  * GET /api/track/resubscribe/:token
  * Permite al usuario volver a suscribirse
@@ -274,6 +346,8 @@ router.get('/resubscribe/:token', async (req, res) => {
     customer.acceptsMarketing = true;
     await customer.save();
     
+    await suppressionService.remove({ email: customer.email }, ['unsubscribe']);
+    
     console.log(`✅ Resubscribe completado para: ${customer.email}`);
     
     res.send(generateResubscribePage(customer.email));
@@ -284,9 +358,191 @@ router.get('/resubscribe/:token', async (req, res) => {
   }
 });
 
+// ==================== PREFERENCE CENTER ====================
+
+/**
+ * GET /api/track/preferences/:token
+ * Página de preferencias: topics, frecuencia y pausa (mismo token que unsubscribe)
+ */
+router.get('/preferences/:token', async (req, res) => {
+  try {
+    const { token } = req.params;
+    
+    const tokenData = verifyUnsubscribeToken(token);
+    
+    if (!tokenData) {
+      return res.status(400).send(generateErrorPage('Invalid or expired link'));
+    }
+    
+    const customer = await findTokenCustomer(tokenData);
+    
+    if (!customer) {
+      return res.status(404).send(generateErrorPage('We could not find your subscription'));
+    }
+    
+    res.send(generatePreferencesPage(customer, emailPreferenceService.getPreferences(customer)));
+    
+  } catch (error) {
+    console.error('❌ Error cargando preferencias:', error);
+    res.status(500).send(generateErrorPage('An error occurred. Please try again.'));
+  }
+});
+
+/**
+ * POST /api/track/preferences/:token
+ * Guarda preferencias (formulario o JSON). action=unsubscribe_all hace el unsubscribe completo.
+ * Body: { topics: [..] | {topic: bool}, frequency: 'normal'|'fewer', pauseDays: 0|30|60|90, action? }
+ */
+router.post('/preferences/:token', async (req, res) => {
+  const wantsJson = req.is('application/json') || !req.accepts('html');
+  
+  try {
+    const { token } = req.params;
+    
+    const tokenData = verifyUnsubscribeToken(token);
+    
+    if (!tokenData) {
+      return wantsJson
+        ? res.status(400).json({ success: false, error: 'Invalid or expired token' })
+        : res.status(400).send(generateErrorPage('Invalid or expired link'));
+    }
+    
+    const customer = await findTokenCustomer(tokenData);
+    
+    if (!customer) {
+      return wantsJson
+        ? res.status(404).json({ success: false, error: 'Customer not found' })
+        : res.status(404).send(generateErrorPage('We could not find your subscription'));
+    }
+    
+    const { campaignId } = tokenData;
+    
+    // Unsubscribe completo desde el preference center
+    if (req.body.action === 'unsubscribe_all') {
+      await unsubscribeCustomer(req, customer, {
+        campaignId,
+        reason: req.body.reason,
+        source: 'preference_center',
+        eventSource: 'preference_center'
+      });
+      
+      return wantsJson
+        ? res.json({ success: true, unsubscribed: true, email: customer.email })
+        : res.send(generateSuccessPage(customer.email, token));
+    }
+    
+    const input = emailPreferenceService.parseInput(req.body);
+    const validationError = emailPreferenceService.validateInput(input);
+    
+    if (validationError) {
+      return wantsJson
+        ? res.status(400).json({ success: false, error: validationError })
+        : res.status(400).send(generatePreferencesPage(customer, emailPreferenceService.getPreferences(customer), { error: validationError }));
+    }
+    
+    const result = await emailPreferenceService.updatePreferences(customer, input, {
+      campaignId,
+      userAgent: req.headers['user-agent'],
+      ipAddress: req.ip || req.connection.remoteAddress
+    });
+    
+    console.log(`📬 Preferencias actualizadas: ${customer.email} (${result.changes.join(', ') || 'sin opt-down'})`);
+    
+    if (wantsJson) {
+      return res.json({ success: true, email: customer.email, ...result });
+    }
+    
+    res.send(generatePreferencesPage(customer, result.preferences, { saved: true }));
+    
+  } catch (error) {
+    console.error('❌ Error guardando preferencias:', error);
+    wantsJson
+      ? res.status(500).json({ success: false, error: 'Error processing request' })
+      : res.status(500).send(generateErrorPage('An error occurred. Please try again.'));
+  }
+});
+
 // ==================== HELPER FUNCTIONS ====================
 
-async function processUnsubscribe(customer, reason = null) {
+async function findTokenCustomer({ customerId, email }) {
+  const customer = await Customer.findById(customerId);
+  if (customer) return customer;
+  
+  // Fallback por email
+  return email ? Customer.findOne({ email: email.toLowerCase() }) : null;
+}
+
+/**
+ * Token → cliente → unsubscribe (link del email y one-click List-Unsubscribe)
+ * @returns {object} { customer, alreadyUnsubscribed } o { error: 'invalid_token' | 'not_found' }
+ */
+async function unsubscribeByToken(req, token, { reason = null, source = 'unsubscribe_link', eventSource }) {
+  const tokenData = verifyUnsubscribeToken(token);
+  if (!tokenData) return { error: 'invalid_token' };
+  
+  const customer = await findTokenCustomer(tokenData);
+  if (!customer) return { error: 'not_found' };
+  
+  const unsubscribed = await unsubscribeCustomer(req, customer, {
+    campaignId: tokenData.campaignId,
+    reason,
+    source,
+    eventSource
+  });
+  
+  return { customer, alreadyUnsubscribed: !unsubscribed };
+}
+
+/**
+ * Unsubscribe + evento. false si ya estaba unsubscribed
+ */
+async function unsubscribeCustomer(req, customer, { campaignId, reason = null, source, eventSource }) {
+  if (customer.emailStatus === 'unsubscribed') return false;
+  
+  // Antes de processUnsubscribe, que lo cambia a 'unsubscribed'
+  const previousStatus = customer.emailStatus;
+  
+  await processUnsubscribe(customer, reason, source);
+  await recordUnsubscribeEvent(req, customer, campaignId, eventSource, previousStatus);
+  
+  return true;
+}
+
+async function recordUnsubscribeEvent(req, customer, campaignId, source, previousStatus) {
+  try {
+    const eventData = {
+      customer: customer._id,
+      email: customer.email,
+      eventType: 'unsubscribed',
+      userAgent: req.headers['user-agent'],
+      ipAddress: req.ip || req.connection.remoteAddress,
+      metadata: {
+        source,
+        previousStatus
+      }
+    };
+    
+    // 🆕 Incluir campaignId si existe
+    if (campaignId) {
+      eventData.campaign = campaignId;
+    }
+    
+    await EmailEvent.create(eventData);
+    
+    // 🆕 Actualizar stats de la campaña si existe
+    if (campaignId) {
+      try {
+        await Campaign.updateStats(campaignId, 'unsubscribed');
+      } catch (statsError) {
+        console.log('⚠️ Could not update campaign unsubscribe stats:', statsError.message);
+      }
+    }
+  } catch (eventError) {
+    console.log('⚠️ No se pudo registrar evento de unsubscribe:', eventError.message);
+  }
+}
+
+async function processUnsubscribe(customer, reason = null, source = 'unsubscribe_link') {
   // Actualizar estado
   customer.emailStatus = 'unsubscribed';
   customer.acceptsMarketing = false;
@@ -302,6 +558,14 @@ async function processUnsubscribe(customer, reason = null) {
   console.log(`   ✅ emailStatus: unsubscribed`);
   console.log(`   ✅ acceptsMarketing: false`);
   
+  await suppressionService.add({
+    email: customer.email,
+    reason: 'unsubscribe',
+    source,
+    customer: customer._id,
+    notes: reason || undefined
+  });
+  
   // Opcional: Remover de listas activas
   try {
     const mongoose = require('mongoose');
@@ -326,7 +590,7 @@ async function processUnsubscribe(customer, reason = null) {
 
 // ==================== HTML PAGES ====================
 
-function generateSuccessPage(email) {
+function generateSuccessPage(email, token = null) {
   return `
 <!DOCTYPE html>
 <html lang="en">
@@ -420,6 +684,9 @@ function generateSuccessPage(email) {
     <p style="font-size: 14px; color: #888;">
       Changed your mind? You can always resubscribe.
     </p>
+    ${token ? `<p style="font-size: 14px; color: #888;">
+      Prefer fewer emails instead? <a href="/api/track/preferences/${token}" style="color: #1a5d1a;">Manage your email preferences</a>
+    </p>` : ''}
     <a href="https://jerseypickles.com" class="btn">Visit Store</a>
     <div class="footer">
       Jersey Pickles • New Jersey's Finest Pickles<br>
@@ -572,6 +839,148 @@ function generateResubscribePage(email) {
 </html>`;
 }
 
+function generatePreferencesPage(customer, preferences, { saved = false, error = null } = {}) {
+  // Unsubscribed: topics sin marcar, marcar alguno es lo que lo reactiva
+  const isUnsubscribed = customer.emailStatus === 'unsubscribed';
+  
+  const topicRows = Object.entries(emailPreferenceService.TOPICS).map(([topic, label]) => `
+        <label class="option">
+          <input type="checkbox" name="topics" value="${topic}" ${preferences.topics[topic] && !isUnsubscribed ? 'checked' : ''}>
+          <span>${label}</span>
+        </label>`).join('');
+  
+  const pauseOptions = emailPreferenceService.PAUSE_OPTIONS.map(days => `
+          <option value="${days}">Pause for ${days} days</option>`).join('');
+  
+  const pausedNote = preferences.pausedUntil
+    ? `<p class="note">Emails paused until <strong>${preferences.pausedUntil.toLocaleDateString('en-US', { month: 'long', day: 'numeric', year: 'numeric' })}</strong>.</p>`
+    : '';
+  
+  const unsubscribedNote = isUnsubscribed
+    ? `<p class="note">You're currently unsubscribed. Check the topics you want and save to resubscribe.</p>`
+    : '';
+  
+  return `
+<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="UTF-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1.0">
+  <title>Email Preferences - Jersey Pickles</title>
+  <style>
+    * { margin: 0; padding: 0; box-sizing: border-box; }
+    body {
+      font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, Oxygen, Ubuntu, sans-serif;
+      background: linear-gradient(135deg, #1a5d1a 0%, #2e7d32 100%);
+      min-height: 100vh;
+      display: flex;
+      align-items: center;
+      justify-content: center;
+      padding: 20px;
+    }
+    .container {
+      background: white;
+      border-radius: 16px;
+      padding: 48px;
+      max-width: 520px;
+      width: 100%;
+      box-shadow: 0 20px 60px rgba(0,0,0,0.3);
+    }
+    .logo { margin-bottom: 16px; font-size: 32px; text-align: center; }
+    h1 { color: #1a5d1a; font-size: 24px; margin-bottom: 8px; text-align: center; }
+    h2 { color: #333; font-size: 16px; margin: 24px 0 12px; }
+    p { color: #666; line-height: 1.6; }
+    .email { text-align: center; font-family: monospace; color: #333; margin-bottom: 8px; }
+    .option {
+      display: flex;
+      align-items: center;
+      gap: 12px;
+      padding: 12px 16px;
+      border: 1px solid #eee;
+      border-radius: 8px;
+      margin-bottom: 8px;
+      color: #333;
+      cursor: pointer;
+    }
+    select {
+      width: 100%;
+      padding: 12px;
+      border: 1px solid #ddd;
+      border-radius: 8px;
+      font-size: 15px;
+    }
+    .note { font-size: 14px; color: #e65100; margin-top: 8px; }
+    .alert {
+      padding: 12px 16px;
+      border-radius: 8px;
+      margin-top: 16px;
+      font-size: 14px;
+      text-align: center;
+    }
+    .alert.success { background: #e8f5e9; color: #1a5d1a; }
+    .alert.error { background: #ffebee; color: #c62828; }
+    .btn {
+      display: block;
+      width: 100%;
+      padding: 14px 32px;
+      background: #1a5d1a;
+      color: white;
+      border: none;
+      border-radius: 8px;
+      font-size: 16px;
+      font-weight: 600;
+      margin-top: 28px;
+      cursor: pointer;
+    }
+    .link-btn {
+      display: block;
+      margin: 20px auto 0;
+      background: none;
+      border: none;
+      color: #999;
+      font-size: 13px;
+      text-decoration: underline;
+      cursor: pointer;
+    }
+  </style>
+</head>
+<body>
+  <div class="container">
+    <div class="logo">🥒</div>
+    <h1>Email Preferences</h1>
+    <div class="email">${customer.email}</div>
+    ${saved ? '<div class="alert success">✓ Your preferences have been saved.</div>' : ''}
+    ${error ? `<div class="alert error">${error}</div>` : ''}
+    ${unsubscribedNote}
+    <form method="POST">
+      <h2>What would you like to hear about?</h2>
+      ${topicRows}
+      
+      <h2>How often?</h2>
+      <label class="option">
+        <input type="radio" name="frequency" value="normal" ${preferences.frequency !== 'fewer' ? 'checked' : ''}>
+        <span>All emails</span>
+      </label>
+      <label class="option">
+        <input type="radio" name="frequency" value="fewer" ${preferences.frequency === 'fewer' ? 'checked' : ''}>
+        <span>Fewer emails (about one a week)</span>
+      </label>
+      
+      <h2>Need a break?</h2>
+      <select name="pauseDays">
+        <option value="">${preferences.pausedUntil ? 'Keep current pause' : 'Keep sending'}</option>${pauseOptions}
+        ${preferences.pausedUntil ? '<option value="0">Resume emails now</option>' : ''}
+      </select>
+      ${pausedNote}
+      
+      <button type="submit" name="action" value="save" class="btn">Save Preferences</button>
+      <button type="submit" name="action" value="unsubscribe_all" class="link-btn">Unsubscribe from all emails</button>
+    </form>
+  </div>
+</body>
+</html>`;
+}
+
 function generateErrorPage(message) {
   return `
 <!DOCTYPE html>
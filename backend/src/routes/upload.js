@@ -32,7 +32,10 @@ router.post('/image', async (req, res) => {
     res.json({
       success: true,
       url: result.secure_url,
-      public_id: result.public_id
+      public_id: result.public_id,
+      // Para MMS (smsMediaService valida tipo y tamaño)
+      bytes: result.bytes,
+      format: result.format
     });
 
   } catch (error) {
@@ -6,7 +6,8 @@
 const express = require('express');
 const router = express.Router();
 const webhooksController = require('../controllers/webhooksController');
-const { validateShopifyWebhook } = require('../middleware/validateWebhook');
+const suppressionService = require('../services/suppressionService');
+const { validateShopifyWebhook, validateResendWebhook, validateTelnyxWebhook } = require('../middleware/validateWebhook');
 const { webhookLimiter } = require('../middleware/rateLimiter');
 
 // ==================== SMS IMPORTS ====================
@@ -62,8 +63,9 @@ router.post('/refunds/create', validateShopifyWebhook, webhooksController.refund
 /**
  * Handler de webhooks de Telnyx SMS
  * Eventos: message.sent, message.finalized, message.received
+ * Firma Ed25519 verificada por validateTelnyxWebhook (rechazos → WebhookLog)
  */
-router.post('/telnyx', async (req, res) => {
+router.post('/telnyx', validateTelnyxWebhook, async (req, res) => {
   // Responder inmediatamente (Telnyx requiere respuesta rápida)
   res.status(200).json({ received: true });
 
@@ -94,15 +96,14 @@ router.post('/telnyx', async (req, res) => {
       // Usa el handler consolidado en smsController
       if (webhookData.isInbound) {
         await smsController.handleInboundSms(webhookData);
-        return;
-      }
-
-      // Actualizar estado del SMS saliente
-      // Usa el handler consolidado en smsController
-      if (webhookData.messageId) {
+      } else if (webhookData.messageId) {
+        // Actualizar estado del SMS saliente
+        // Usa el handler consolidado en smsController
         await smsController.updateSmsStatus(webhookData);
       }
 
+      await req.webhookVerification?.markProcessed();
+
     } catch (error) {
       console.error('❌ Telnyx Webhook Error:', error);
     }
@@ -138,8 +139,10 @@ router.post('/test', webhooksController.testWebhook);
  * - 'delivered' → Se incrementa AQUÍ vía webhook
  * - 'opened', 'clicked', etc → Se incrementan AQUÍ vía webhook (✅ ÚNICOS solamente)
  * - 'bounced' → ✅ Auto-marca customer como bounced
+ * 
+ * Firma Svix verificada por validateResendWebhook (rechazos → WebhookLog)
  */
-router.post('/resend', async (req, res) => {
+router.post('/resend', validateResendWebhook, async (req, res) => {
   try {
     const event = req.body;
     
@@ -268,6 +271,36 @@ router.post('/resend', async (req, res) => {
           }
         }
         
+        // 🤖 Clasificar opens/clicks (human, prefetch de Apple MPP, scanner de seguridad)
+        const userAgent = data.click?.userAgent || data.click?.user_agent || data.user_agent || null;
+        const ipAddress = data.click?.ipAddress || data.click?.ip_address || data.ip_address || null;
+        let classification = null;
+        let classificationReasons;
+        let isFirstHuman = false;
+        
+        if (eventType === 'opened' || eventType === 'clicked') {
+          const botFilterService = require('../services/botFilterService');
+          
+          ({ classification, reasons: classificationReasons } = await botFilterService.classify({
+            eventType,
+            userAgent,
+            ipAddress,
+            campaign: campaignId,
+            email: emailAddress,
+            customer: customerId,
+            clickedUrl: data.click?.link,
+            eventDate: data.click?.timestamp || data.created_at
+          }));
+          
+          if (campaignId && !botFilterService.isMachine(classification)) {
+            isFirstHuman = !(await botFilterService.hasHumanEvent(campaignId, { email: emailAddress }, eventType));
+          }
+          
+          if (classification !== 'human') {
+            console.log(`   🤖 ${eventType} clasificado como ${classification} (${classificationReasons.join(', ')})`);
+          }
+        }
+        
         // 1. Crear EmailEvent (siempre se crea para historial completo)
         const eventData = {
           customer: customerId || null,
@@ -276,7 +309,10 @@ router.post('/resend', async (req, res) => {
           source: 'resend',
           clickedUrl: data.click?.link || null,
           bounceReason: data.bounce?.message || null,
-          userAgent: data.click?.user_agent || null,
+          userAgent,
+          ipAddress,
+          classification,
+          classificationReasons,
           metadata: {
             resendEventId: resendEventId,
             idempotencyKey: idempotencyKey,
@@ -425,6 +461,16 @@ router.post('/resend', async (req, res) => {
           }
         }
         
+        // 3b. Stats human-only de la campaña
+        if (campaignId && classification) {
+          const botFilterService = require('../services/botFilterService');
+          await botFilterService.recordCampaignEvent(campaignId, eventType, classification, isFirstHuman);
+          
+          if (classificationReasons.includes('click_burst')) {
+            await botFilterService.reclassifyBurst(campaignId, { email: emailAddress });
+          }
+        }
+        
         // 4. Actualizar Customer stats
         if (customerId) {
           try {
@@ -473,6 +519,7 @@ router.post('/resend', async (req, res) => {
         }
         
         await webhookLog.markProcessed(actions, []);
+        await req.webhookVerification?.markProcessed();
         
         console.log(`   ✅ Webhook procesado completamente\n`);
         
@@ -497,13 +544,6 @@ async function handleBounce(email, data, campaignId) {
   try {
     const Customer = require('../models/Customer');
     
-    const customer = await Customer.findOne({ email });
-    
-    if (!customer) {
-      console.log(`   ⚠️  Customer no encontrado para bounce: ${email}`);
-      return;
-    }
-    
     // Determinar tipo de bounce
     let bounceType = 'soft';
     const bounceMessage = data.bounce?.message || data.bounce?.type || '';
@@ -523,6 +563,22 @@ async function handleBounce(email, data, campaignId) {
       bounceType = 'hard';
     }
     
+    // Suppression list (aunque el customer no exista)
+    await suppressionService.add({
+      email,
+      reason: bounceType === 'hard' ? 'hard_bounce' : 'soft_bounce',
+      source: 'resend_webhook',
+      campaign: campaignId,
+      notes: bounceMessage.substring(0, 200) || undefined
+    });
+    
+    const customer = await Customer.findOne({ email });
+    
+    if (!customer) {
+      console.log(`   ⚠️  Customer no encontrado para bounce: ${email}`);
+      return;
+    }
+    
     console.log(`   🚫 Bounce detectado: ${email}`);
     console.log(`      Tipo: ${bounceType}`);
     console.log(`      Razón: ${bounceMessage.substring(0, 100)}`);
@@ -569,6 +625,15 @@ async function handleComplaint(email, data, campaignId) {
     const Customer = require('../models/Customer');
     const List = require('../models/List');
     
+    // Suppression list (aunque el customer no exista)
+    await suppressionService.add({
+      email,
+      reason: 'complaint',
+      source: 'resend_webhook',
+      campaign: campaignId,
+      notes: data.complaint?.feedback_type || undefined
+    });
+    
     const customer = await Customer.findOne({ email });
     
     if (!customer) {
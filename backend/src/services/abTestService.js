@@ -0,0 +1,280 @@
+// backend/src/services/abTestService.js
+// 🧪 A/B Testing de campañas de email
+//
+// Flujo:
+//   1. sendCampaign envía cada variante a su parte del testPercentage (abTest.status = testing)
+//   2. Cuando el test termina de enviarse, emailQueue pasa a waiting con winnerSelectAt
+//   3. abTestJob elige la ganadora (open_rate | click_rate | revenue) y
+//      campaignSendService.sendWinnerVariant envía el resto (winner_sent → completed)
+const crypto = require('crypto');
+const Campaign = require('../models/Campaign');
+const EmailSend = require('../models/EmailSend');
+
+const MAX_VARIANTS = 5;
+const METRICS = ['open_rate', 'click_rate', 'revenue'];
+
+class AbTestService {
+
+  isEnabled(campaign) {
+    return !!(campaign.abTest?.enabled && campaign.abTest.variants?.length >= 2);
+  }
+
+  // ==================== VALIDACIÓN ====================
+
+  /**
+   * Valida la configuración de A/B test. Devuelve lista de errores (vacía = OK).
+   * Una variante sin overrides es el control (contenido de la campaña)
+   */
+  validateConfig(abTest) {
+    const errors = [];
+
+    if (!abTest || !abTest.enabled) return errors;
+
+    const variants = abTest.variants || [];
+
+    if (variants.length < 2) {
+      errors.push('El A/B test necesita al menos 2 variantes');
+    }
+    if (variants.length > MAX_VARIANTS) {
+      errors.push(`Máximo ${MAX_VARIANTS} variantes`);
+    }
+
+    const keys = variants.map(v => v.key);
+    if (keys.some(k => !k)) {
+      errors.push('Cada variante necesita una key (A, B, ...)');
+    }
+    if (new Set(keys).size !== keys.length) {
+      errors.push('Las keys de las variantes deben ser únicas');
+    }
+
+    const pct = abTest.testPercentage;
+    if (pct !== undefined && (typeof pct !== 'number' || pct < 1 || pct > 100)) {
+      errors.push('testPercentage debe estar entre 1 y 100');
+    }
+
+    if (abTest.waitHours !== undefined && (typeof abTest.waitHours !== 'number' || abTest.waitHours < 0)) {
+      errors.push('waitHours debe ser un número >= 0');
+    }
+
+    if (abTest.winnerMetric && !METRICS.includes(abTest.winnerMetric)) {
+      errors.push(`winnerMetric debe ser uno de: ${METRICS.join(', ')}`);
+    }
+
+    return errors;
+  }
+
+  // ==================== ASIGNACIÓN ====================
+
+  /**
+   * Variante para un destinatario en la fase de test, o false si queda fuera
+   * del split. Determinística (hash de campaignId:email) para que un re-run
+   * asigne lo mismo.
+   */
+  assignVariant(campaignId, email, abTest) {
+    const hash = crypto
+      .createHash('sha256')
+      .update(`${campaignId}:${email}`)
+      .digest();
+
+    const bucket = hash.readUInt32BE(0) % 10000;
+    if (bucket >= (abTest.testPercentage || 20) * 100) {
+      return false;
+    }
+
+    const variants = abTest.variants;
+    return variants[hash.readUInt32BE(4) % variants.length].key;
+  }
+
+  // ==================== RESULTADOS ====================
+
+  /**
+   * Resultados por variante: destinatarios únicos que abrieron / hicieron click
+   * (EmailEvent) y órdenes atribuidas a la campaña (Order.attribution)
+   */
+  async getVariantResults(campaign) {
+    const keys = (campaign.abTest?.variants || []).map(v => v.key);
+
+    const [engagement, revenueByVariant] = await Promise.all([
+      EmailSend.getEngagementByGroup(campaign._id, 'variant'),
+      EmailSend.getRevenueByGroup(campaign._id, 'variant')
+    ]);
+
+    return keys.map(key => {
+      const row = engagement[key] || { sent: 0, opened: 0, clicked: 0, humanOpened: 0, humanClicked: 0 };
+      const revenue = revenueByVariant[key] || { purchased: 0, revenue: 0 };
+
+      return {
+        key,
+        sent: row.sent,
+        opened: row.opened,
+        clicked: row.clicked,
+        humanOpened: row.humanOpened,
+        humanClicked: row.humanClicked,
+        purchased: revenue.purchased,
+        revenue: parseFloat(revenue.revenue.toFixed(2)),
+        openRate: row.sent > 0 ? parseFloat(((row.opened / row.sent) * 100).toFixed(2)) : 0,
+        clickRate: row.sent > 0 ? parseFloat(((row.clicked / row.sent) * 100).toFixed(2)) : 0,
+        humanOpenRate: row.sent > 0 ? parseFloat(((row.humanOpened / row.sent) * 100).toFixed(2)) : 0,
+        humanClickRate: row.sent > 0 ? parseFloat(((row.humanClicked / row.sent) * 100).toFixed(2)) : 0,
+        revenuePerRecipient: row.sent > 0 ? parseFloat((revenue.revenue / row.sent).toFixed(2)) : 0
+      };
+    });
+  }
+
+  /**
+   * Elige ganadora según la métrica. Empate o sin datos → primera variante.
+   * Opens/clicks solo human: MPP y scanners abren todas las variantes por igual
+   */
+  pickWinner(results, metric) {
+    const field = {
+      open_rate: 'humanOpenRate',
+      click_rate: 'humanClickRate',
+      revenue: 'revenuePerRecipient'
+    }[metric] || 'humanOpenRate';
+
+    const best = results.reduce((winner, r) => (r[field] > winner[field] ? r : winner), results[0]);
+
+    return {
+      key: best.key,
+      value: best[field],
+      hasData: results.some(r => r[field] > 0)
+    };
+  }
+
+  // ==================== SELECCIÓN DE GANADORA ====================
+
+  /**
+   * Elige la ganadora y envía el resto de la audiencia.
+   * @param {string} campaignId
+   * @param {object} options - { variantKey } para forzar una ganadora manualmente
+   */
+  async selectWinner(campaignId, { variantKey = null } = {}) {
+    const campaign = await Campaign.findById(campaignId);
+
+    if (!campaign) {
+      return { success: false, error: 'Campaign not found' };
+    }
+
+    if (!this.isEnabled(campaign)) {
+      return { success: false, error: 'Campaign has no A/B test' };
+    }
+
+    // Se permite forzar la ganadora mientras el test sigue enviándose
+    const allowed = variantKey ? ['testing', 'waiting'] : ['waiting'];
+    if (!allowed.includes(campaign.abTest.status)) {
+      return { success: false, error: `A/B test is ${campaign.abTest.status}` };
+    }
+
+    if (variantKey && !campaign.abTest.variants.some(v => v.key === variantKey)) {
+      return { success: false, error: `Variant ${variantKey} not found` };
+    }
+
+    const results = await this.getVariantResults(campaign);
+    const picked = this.pickWinner(results, campaign.abTest.winnerMetric);
+    const winner = variantKey || picked.key;
+
+    // Claim atómico: evita que job y endpoint manual elijan dos veces
+    const claimed = await Campaign.findOneAndUpdate(
+      { _id: campaign._id, 'abTest.status': campaign.abTest.status, 'abTest.winner': null },
+      {
+        $set: {
+          'abTest.status': 'waiting',
+          'abTest.winner': winner,
+          'abTest.winnerSelectedAt': new Date(),
+          'abTest.winnerSelectedBy': variantKey ? 'manual' : 'auto',
+          'abTest.results': results
+        }
+      },
+      { new: true }
+    );
+
+    if (!claimed) {
+      return { success: false, error: 'Winner already selected' };
+    }
+
+    console.log(`🏆 A/B "${campaign.name}": ganadora ${winner} (${variantKey ? 'manual' : `${campaign.abTest.winnerMetric}${picked.hasData ? '' : ', sin datos'}`})`);
+
+    const { sendWinnerVariant } = require('./campaignSendService');
+    const sendResult = await sendWinnerVariant(campaign._id);
+
+    if (!sendResult.success) {
+      // Liberar para reintentar en la próxima corrida
+      await Campaign.updateOne(
+        { _id: campaign._id },
+        { $set: { 'abTest.winner': null, 'abTest.winnerSelectedAt': null, 'abTest.winnerSelectedBy': null } }
+      );
+      return { success: false, error: sendResult.error };
+    }
+
+    return {
+      success: true,
+      winner,
+      selectedBy: variantKey ? 'manual' : 'auto',
+      results,
+      remainingRecipients: sendResult.totalRecipients
+    };
+  }
+
+  /**
+   * Tests cuyo tiempo de espera terminó (usado por abTestJob)
+   */
+  async processDueTests() {
+    const due = await Campaign.find({
+      'abTest.enabled': true,
+      'abTest.status': 'waiting',
+      'abTest.winner': null,
+      'abTest.winnerSelectAt': { $lte: new Date() }
+    }).select('_id name').lean();
+
+    const processed = [];
+
+    for (const campaign of due) {
+      try {
+        const result = await this.selectWinner(campaign._id);
+        processed.push({ campaignId: campaign._id, name: campaign.name, ...result });
+
+        if (!result.success) {
+          console.error(`🧪 A/B "${campaign.name}": ${result.error}`);
+        }
+      } catch (error) {
+        console.error(`🧪 A/B "${campaign.name}" error:`, error.message);
+        processed.push({ campaignId: campaign._id, name: campaign.name, success: false, error: error.message });
+      }
+    }
+
+    return processed;
+  }
+
+  /**
+   * Resumen para getStats: resultados en vivo (o snapshot si ya hay ganadora)
+   */
+  async getSummary(campaign) {
+    if (!this.isEnabled(campaign)) return null;
+
+    const live = await this.getVariantResults(campaign);
+    const leader = this.pickWinner(live, campaign.abTest.winnerMetric);
+
+    return {
+      status: campaign.abTest.status,
+      testPercentage: campaign.abTest.testPercentage,
+      waitHours: campaign.abTest.waitHours,
+      winnerMetric: campaign.abTest.winnerMetric,
+      winnerSelectAt: campaign.abTest.winnerSelectAt,
+      winner: campaign.abTest.winner || null,
+      winnerSelectedAt: campaign.abTest.winnerSelectedAt,
+      winnerSelectedBy: campaign.abTest.winnerSelectedBy,
+      leader: leader.hasData ? leader.key : null,
+      variants: campaign.abTest.variants.map(v => ({
+        key: v.key,
+        subject: v.subject || campaign.subject,
+        previewText: v.previewText || campaign.previewText,
+        fromName: v.fromName || campaign.fromName,
+        customHtml: !!v.htmlContent,
+        results: live.find(r => r.key === v.key),
+        resultsAtSelection: (campaign.abTest.results || []).find(r => r.key === v.key) || null
+      }))
+    };
+  }
+}
+
+module.exports = new AbTestService();
@@ -7,6 +7,7 @@ const Customer = require('../models/Customer');
 const EmailEvent = require('../models/EmailEvent');
 const Order = require('../models/Order');
 const Segment = require('../models/Segment');
+const botFilterService = require('./botFilterService');
 const mongoose = require('mongoose');
 
 class AICalculator {
@@ -344,16 +345,21 @@ class AICalculator {
     const currentEvent = currentSeasonalContexts[0]?.event || null;
     const currentEventType = currentSeasonalContexts[0]?.type || null;
     
-    const contexts = campaigns.map(c => ({
-      ...this.detectCampaignContext(c.subject, c.name, c.sentAt),
-      campaign: c.name,
-      subject: c.subject,
-      sentAt: c.sentAt,
-      openRate: Math.min(c.stats?.openRate || 0, 100), // 🔧 Cap at 100%
-      clickRate: Math.min(c.stats?.clickRate || 0, 100), // 🔧 Cap at 100%
-      revenue: c.stats?.totalRevenue || 0,
-      conversionRate: c.stats?.conversionRate || 0
-    }));
+    const contexts = campaigns.map(c => {
+      // 🤖 Solo opens/clicks human (sin Apple MPP ni scanners)
+      const human = botFilterService.getHumanMetrics(c.stats);
+      
+      return {
+        ...this.detectCampaignContext(c.subject, c.name, c.sentAt),
+        campaign: c.name,
+        subject: c.subject,
+        sentAt: c.sentAt,
+        openRate: Math.min(human.openRate, 100), // 🔧 Cap at 100%
+        clickRate: Math.min(human.clickRate, 100), // 🔧 Cap at 100%
+        revenue: c.stats?.totalRevenue || 0,
+        conversionRate: c.stats?.conversionRate || 0
+      };
+    });
 
     // Contar tipos
     const typeCounts = {};
@@ -571,13 +577,13 @@ class AICalculator {
 
     // Stats actuales
     const currentStats = await EmailEvent.aggregate([
-      { $match: { eventDate: { $gte: currentStart } } },
+      { $match: { eventDate: { $gte: currentStart }, ...botFilterService.humanMatch() } },
       { $group: { _id: '$eventType', count: { $sum: 1 } } }
     ]);
 
     // Stats anteriores
     const previousStats = await EmailEvent.aggregate([
-      { $match: { eventDate: { $gte: prevStart, $lt: currentStart } } },
+      { $match: { eventDate: { $gte: prevStart, $lt: currentStart }, ...botFilterService.humanMatch() } },
       { $group: { _id: '$eventType', count: { $sum: 1 } } }
     ]);
 
@@ -746,21 +752,23 @@ class AICalculator {
     }
 
     // 🔧 SANITIZAR DATOS: Corregir open rates imposibles
+    // 🤖 Opens/clicks human-only (sin Apple MPP ni scanners) cuando la campaña está clasificada
     const sanitizedCampaigns = campaigns.map(c => {
+      const human = botFilterService.getHumanMetrics(c.stats);
       const sent = c.stats?.sent || 0;
-      const opened = c.stats?.opened || 0;
-      const clicked = c.stats?.clicked || 0;
+      const opened = human.opened;
+      const clicked = human.clicked;
       
       // Recalcular rates para evitar datos corruptos
       // Open rate no puede ser > 100%
-      let openRate = c.stats?.openRate || 0;
+      let openRate = human.openRate;
       if (openRate > 100 || openRate < 0) {
         // Recalcular desde los números base
         openRate = sent > 0 ? Math.min((opened / sent) * 100, 100) : 0;
-        console.log(`⚠️ Corrigiendo open rate corrupto en "${c.name}": ${c.stats?.openRate}% → ${openRate.toFixed(2)}%`);
+        console.log(`⚠️ Corrigiendo open rate corrupto en "${c.name}": ${human.openRate}% → ${openRate.toFixed(2)}%`);
       }
       
-      let clickRate = c.stats?.clickRate || 0;
+      let clickRate = human.clickRate;
       if (clickRate > 100 || clickRate < 0) {
         clickRate = opened > 0 ? Math.min((clicked / opened) * 100, 100) : 0;
       }
@@ -961,7 +969,8 @@ class AICalculator {
 
     const matchStage = {
       eventDate: { $gte: start },
-      eventType: { $in: ['sent', 'opened', 'clicked'] }
+      eventType: { $in: ['sent', 'opened', 'clicked'] },
+      ...botFilterService.humanMatch()
     };
 
     if (segmentId) {
@@ -1109,8 +1118,8 @@ class AICalculator {
           campaigns: { $sum: 1 },
           campaignNames: { $push: '$name' },
           totalSent: { $sum: '$stats.sent' },
-          totalOpened: { $sum: '$stats.opened' },
-          totalClicked: { $sum: '$stats.clicked' },
+          totalOpened: { $sum: botFilterService.humanStatExpr('opened') },
+          totalClicked: { $sum: botFilterService.humanStatExpr('clicked') },
           totalBounced: { $sum: '$stats.bounced' },
           totalUnsubscribed: { $sum: '$stats.unsubscribed' },
           totalRevenue: { $sum: '$stats.totalRevenue' },
@@ -0,0 +1,376 @@
+// backend/src/services/botFilterService.js
+// 🤖 Bot Filter - Clasifica opens y clicks en human | prefetch | scanner
+//
+// - prefetch: proxies que descargan el pixel sin que nadie lea (Apple Mail Privacy
+//   Protection). Gmail/Yahoo proxy solo piden la imagen al renderizar → human
+// - scanner: gateways de seguridad (Safe Links, Mimecast, Proofpoint...) que
+//   visitan/abren todo al recibir: user-agent, rangos de IP, HEAD, velocidad
+//   tras la entrega y ráfagas que clickean todos los links del email
+//
+// EmailEvent.classification guarda el resultado. Campaign.stats.humanOpened /
+// humanClicked cuentan destinatarios únicos con al menos un evento human; los
+// eventos sin clasificación (históricos) cuentan como human en los filtros.
+const EmailEvent = require('../models/EmailEvent');
+const EmailSend = require('../models/EmailSend');
+const Campaign = require('../models/Campaign');
+
+const MACHINE_CLASSIFICATIONS = ['prefetch', 'scanner'];
+
+// Segundos desde la entrega por debajo de los cuales nadie abre/clickea
+const MIN_HUMAN_OPEN_SECONDS = 5;
+const MIN_HUMAN_CLICK_SECONDS = 10;
+
+// Ráfaga: N links distintos del mismo destinatario en la ventana = scanner
+const CLICK_BURST_WINDOW_SECONDS = 20;
+const CLICK_BURST_LINKS = 3;
+
+const SCANNER_USER_AGENTS = [
+  /barracuda/i, /mimecast/i, /proofpoint/i, /messagelabs/i, /symantec/i,
+  /forcepoint/i, /trendmicro/i, /sophos/i, /fortiguard/i, /zscaler/i,
+  /safelinks/i, /urldefense/i, /cisco/i, /ironport/i,
+  /python-requests/i, /python-urllib/i, /curl\//i, /wget\//i, /go-http-client/i,
+  /java\//i, /okhttp/i, /libwww/i, /axios\//i, /node-fetch/i,
+  /headlesschrome/i, /phantomjs/i, /\b(bot|crawler|spider)\b/i
+];
+
+// MPP manda un user-agent genérico sin plataforma
+const PREFETCH_USER_AGENTS = [/^Mozilla\/5\.0$/];
+
+// Rangos conocidos (mantener al día si aparecen nuevos relays)
+const PREFETCH_RANGES = [
+  '17.0.0.0/8',           // Apple (MPP)
+  '2620:149::/32',        // Apple IPv6
+  '2a01:b740::/32'        // Apple IPv6
+];
+
+const SCANNER_RANGES = [
+  '40.92.0.0/15',         // Microsoft EOP / Safe Links
+  '40.107.0.0/16',
+  '52.100.0.0/14',
+  '104.47.0.0/17',
+  '148.163.128.0/19',     // Proofpoint
+  '67.231.144.0/20',
+  '205.139.110.0/24',     // Mimecast
+  '207.211.30.0/24',
+  '170.10.128.0/24',
+  '209.222.80.0/21',      // Barracuda
+  '64.235.144.0/20'
+];
+
+// ==================== IP HELPERS ====================
+
+/**
+ * IP → { version, value: BigInt } (IPv4-mapped IPv6 se trata como IPv4)
+ */
+function parseIp(ip) {
+  if (!ip) return null;
+  let address = String(ip).trim().split('%')[0];
+
+  const mapped = address.match(/^::ffff:(\d+\.\d+\.\d+\.\d+)$/i);
+  if (mapped) address = mapped[1];
+
+  if (/^\d+\.\d+\.\d+\.\d+$/.test(address)) {
+    const octets = address.split('.').map(Number);
+    if (octets.some(o => o > 255)) return null;
+    return { version: 4, value: octets.reduce((acc, o) => (acc << 8n) + BigInt(o), 0n) };
+  }
+
+  if (!address.includes(':')) return null;
+
+  const [head, tail = ''] = address.split('::');
+  const headParts = head ? head.split(':') : [];
+  const tailParts = address.includes('::') && tail ? tail.split(':') : [];
+  const missing = 8 - headParts.length - tailParts.length;
+  if (missing < 0 || (!address.includes('::') && missing !== 0)) return null;
+
+  const hextets = [...headParts, ...Array(missing).fill('0'), ...tailParts];
+  if (hextets.some(h => !/^[0-9a-f]{1,4}$/i.test(h))) return null;
+
+  return { version: 6, value: hextets.reduce((acc, h) => (acc << 16n) + BigInt(parseInt(h, 16)), 0n) };
+}
+
+function parseRange(cidr) {
+  const [address, bits] = cidr.split('/');
+  const parsed = parseIp(address);
+  const totalBits = parsed.version === 4 ? 32 : 128;
+  const shift = BigInt(totalBits - parseInt(bits, 10));
+  return { version: parsed.version, shift, prefix: parsed.value >> shift };
+}
+
+const PREFETCH_NETWORKS = PREFETCH_RANGES.map(parseRange);
+const SCANNER_NETWORKS = SCANNER_RANGES.map(parseRange);
+
+function inNetworks(parsedIp, networks) {
+  if (!parsedIp) return false;
+  return networks.some(n => n.version === parsedIp.version && (parsedIp.value >> n.shift) === n.prefix);
+}
+
+// Destinatario del evento: por email (webhooks) o por customer (pixel sin ?email)
+function recipientQuery({ email, customer }) {
+  if (email && email !== 'unknown') return { email };
+  if (customer) return { customer };
+  return null;
+}
+
+class BotFilterService {
+
+  // ==================== CLASIFICACIÓN ====================
+
+  /**
+   * Clasifica un open o click
+   * @param {object} event
+   * @param {'opened'|'clicked'} event.eventType
+   * @param {string} [event.userAgent]
+   * @param {string} [event.ipAddress]
+   * @param {string} [event.method] - método HTTP (tracking propio)
+   * @param {string} [event.campaign]
+   * @param {string} [event.email]
+   * @param {string} [event.customer]
+   * @param {string} [event.clickedUrl]
+   * @param {Date} [event.eventDate]
+   * @returns {{ classification: string, reasons: string[] }}
+   */
+  async classify(event) {
+    const reasons = [];
+    const userAgent = (event.userAgent || '').trim();
+    const ip = parseIp(event.ipAddress);
+    const eventDate = event.eventDate ? new Date(event.eventDate) : new Date();
+
+    // 1. Señales de scanner (tienen prioridad: un scanner desde Apple sigue siendo scanner)
+    if (event.method === 'HEAD') reasons.push('head_request');
+    if (userAgent && SCANNER_USER_AGENTS.some(re => re.test(userAgent))) reasons.push('scanner_user_agent');
+    if (inNetworks(ip, SCANNER_NETWORKS)) reasons.push('scanner_ip');
+
+    const secondsSinceDelivery = await this.getSecondsSinceDelivery(event, eventDate);
+    if (secondsSinceDelivery !== null && event.eventType === 'clicked' && secondsSinceDelivery < MIN_HUMAN_CLICK_SECONDS) {
+      reasons.push('click_too_fast');
+    }
+
+    if (event.eventType === 'clicked' && await this.isClickBurst(event, eventDate)) {
+      reasons.push('click_burst');
+    }
+
+    if (reasons.length > 0) {
+      return { classification: 'scanner', reasons };
+    }
+
+    // 2. Prefetch (solo aplica a opens: un proxy de imágenes no sigue links)
+    if (event.eventType === 'opened') {
+      if (PREFETCH_USER_AGENTS.some(re => re.test(userAgent))) reasons.push('prefetch_user_agent');
+      if (inNetworks(ip, PREFETCH_NETWORKS)) reasons.push('prefetch_ip');
+      if (secondsSinceDelivery !== null && secondsSinceDelivery < MIN_HUMAN_OPEN_SECONDS) reasons.push('open_too_fast');
+
+      if (reasons.length > 0) {
+        return { classification: 'prefetch', reasons };
+      }
+    }
+
+    return { classification: 'human', reasons };
+  }
+
+  /**
+   * Segundos entre la entrega (o el envío si aún no llegó el webhook) y el evento
+   */
+  async getSecondsSinceDelivery(event, eventDate) {
+    const recipient = recipientQuery(event);
+    if (!event.campaign || !recipient) return null;
+
+    const query = recipient.email
+      ? { campaignId: event.campaign, recipientEmail: recipient.email.toLowerCase().trim() }
+      : { campaignId: event.campaign, customerId: recipient.customer };
+
+    try {
+      const send = await EmailSend.findOne(query).select('deliveredAt sentAt').lean();
+
+      // Si el webhook de delivered llegó después del evento, deliveredAt no sirve de referencia
+      const delivered = send?.deliveredAt && send.deliveredAt <= eventDate ? send.deliveredAt : null;
+      const reference = delivered || send?.sentAt;
+      if (!reference) return null;
+
+      return (eventDate.getTime() - new Date(reference).getTime()) / 1000;
+    } catch (error) {
+      // IDs inválidos (flows, tests): sin señal de tiempo
+      return null;
+    }
+  }
+
+  /**
+   * ¿Este click completa una ráfaga de links distintos en pocos segundos?
+   */
+  async isClickBurst(event, eventDate) {
+    const recipient = recipientQuery(event);
+    if (!event.campaign || !recipient) return false;
+
+    const since = new Date(eventDate.getTime() - CLICK_BURST_WINDOW_SECONDS * 1000);
+    const urls = await EmailEvent.distinct('clickedUrl', {
+      campaign: event.campaign,
+      ...recipient,
+      eventType: 'clicked',
+      eventDate: { $gte: since }
+    });
+
+    const links = new Set(urls.filter(Boolean));
+    if (event.clickedUrl) links.add(event.clickedUrl);
+
+    return links.size >= CLICK_BURST_LINKS;
+  }
+
+  isMachine(classification) {
+    return MACHINE_CLASSIFICATIONS.includes(classification);
+  }
+
+  // ==================== STATS DE CAMPAÑA ====================
+
+  /**
+   * ¿El destinatario ya tiene un open/click human en la campaña? (llamar antes de crear el evento)
+   * @param {object} recipient - { email } o { customer }
+   */
+  async hasHumanEvent(campaignId, recipient, eventType) {
+    const query = recipientQuery(recipient);
+    if (!query) return false;
+
+    return !!(await EmailEvent.exists({
+      campaign: campaignId,
+      ...query,
+      eventType,
+      classification: { $nin: MACHINE_CLASSIFICATIONS }
+    }));
+  }
+
+  /**
+   * Actualiza los contadores human/machine de la campaña tras registrar un evento
+   * @param {boolean} firstHuman - primer evento human de este tipo para el destinatario
+   */
+  async recordCampaignEvent(campaignId, eventType, classification, firstHuman) {
+    const fields = eventType === 'opened'
+      ? { human: 'stats.humanOpened', machine: 'stats.machineOpens' }
+      : { human: 'stats.humanClicked', machine: 'stats.machineClicks' };
+
+    let update = null;
+    if (this.isMachine(classification)) update = { [fields.machine]: 1 };
+    else if (firstHuman) update = { [fields.human]: 1 };
+
+    if (!update) return;
+
+    const campaign = await Campaign.findByIdAndUpdate(campaignId, { $inc: update }, { new: true });
+    if (campaign) {
+      campaign.updateRates();
+      await campaign.save();
+    }
+  }
+
+  /**
+   * Al detectar una ráfaga, los clicks previos de la ventana también eran del scanner:
+   * se reclasifican, se borran sus touches de atribución y se descuenta el click
+   * human si ya no le queda ninguno
+   */
+  async reclassifyBurst(campaignId, recipient, eventDate = new Date()) {
+    const query = recipientQuery(recipient);
+    if (!query) return 0;
+
+    const since = new Date(new Date(eventDate).getTime() - CLICK_BURST_WINDOW_SECONDS * 1000);
+
+    const result = await EmailEvent.updateMany(
+      {
+        campaign: campaignId,
+        ...query,
+        eventType: 'clicked',
+        classification: 'human',
+        eventDate: { $gte: since }
+      },
+      {
+        $set: { classification: 'scanner' },
+        $addToSet: { classificationReasons: 'click_burst' }
+      }
+    );
+
+    if (!result.modifiedCount) return 0;
+
+    // Los clicks reclasificados no deben seguir sumando crédito de atribución
+    const multiTouchAttribution = require('./multiTouchAttributionService');
+    await multiTouchAttribution.removeTouches({
+      type: 'email_click',
+      campaign: campaignId,
+      ...query,
+      since
+    });
+
+    const stillHuman = await this.hasHumanEvent(campaignId, recipient, 'clicked');
+    const update = { 'stats.machineClicks': result.modifiedCount };
+    if (!stillHuman) update['stats.humanClicked'] = -1;
+
+    const campaign = await Campaign.findByIdAndUpdate(campaignId, { $inc: update }, { new: true });
+    if (campaign) {
+      campaign.updateRates();
+      await campaign.save();
+    }
+
+    return result.modifiedCount;
+  }
+
+  // ==================== MÉTRICAS HUMAN-ONLY ====================
+
+  /**
+   * Match para agregaciones de EmailEvent que excluye opens/clicks de máquinas
+   */
+  humanMatch() {
+    return { classification: { $nin: MACHINE_CLASSIFICATIONS } };
+  }
+
+  /**
+   * ¿La campaña tiene eventos clasificados? (las anteriores al filtro no)
+   */
+  hasClassification(stats = {}) {
+    return ((stats.humanOpened || 0) + (stats.humanClicked || 0) +
+      (stats.machineOpens || 0) + (stats.machineClicks || 0)) > 0;
+  }
+
+  /**
+   * Opens/clicks human de Campaign.stats, con fallback a los totales en campañas sin clasificar
+   * @returns {{ classified, opened, clicked, openRate, clickRate, filteredOpens, filteredClicks }}
+   */
+  getHumanMetrics(stats = {}) {
+    if (!this.hasClassification(stats)) {
+      return {
+        classified: false,
+        opened: stats.opened || 0,
+        clicked: stats.clicked || 0,
+        openRate: stats.openRate || 0,
+        clickRate: stats.clickRate || 0,
+        filteredOpens: 0,
+        filteredClicks: 0
+      };
+    }
+
+    return {
+      classified: true,
+      opened: stats.humanOpened || 0,
+      clicked: stats.humanClicked || 0,
+      openRate: stats.humanOpenRate || 0,
+      clickRate: stats.humanClickRate || 0,
+      filteredOpens: stats.machineOpens || 0,
+      filteredClicks: stats.machineClicks || 0
+    };
+  }
+
+  /**
+   * Expresión de agregación sobre Campaign: stats.human<Field> o el total si no hay clasificación
+   * @param {'opened'|'clicked'} field
+   */
+  humanStatExpr(field) {
+    const human = field === 'opened' ? '$stats.humanOpened' : '$stats.humanClicked';
+    const classified = {
+      $gt: [{
+        $add: [
+          { $ifNull: ['$stats.humanOpened', 0] },
+          { $ifNull: ['$stats.humanClicked', 0] },
+          { $ifNull: ['$stats.machineOpens', 0] },
+          { $ifNull: ['$stats.machineClicks', 0] }
+        ]
+      }, 0]
+    };
+    return { $cond: [classified, { $ifNull: [human, 0] }, { $ifNull: [`$stats.${field}`, 0] }] };
+  }
+}
+
+module.exports = new BotFilterService();
@@ -6,15 +6,24 @@ const List = require('../models/List');
 const Customer = require('../models/Customer');
 const EmailSend = require('../models/EmailSend');
 const emailService = require('./emailService');
+const abTestService = require('./abTestService');
+const sendTimeService = require('./sendTimeService');
+const suppressionService = require('./suppressionService');
+const personalizationService = require('./personalizationService');
+const couponPoolService = require('./couponPoolService');
+const preflightService = require('./preflightService');
+const resendService = require('./resendService');
+const holdoutService = require('./holdoutService');
 
 /**
  * Send a campaign programmatically (no HTTP req/res needed)
  * This is the same logic as campaignsController.send() but callable from anywhere.
  *
  * @param {string} campaignId - Campaign ID to send
- * @returns {object} { success, campaignId, totalRecipients, error }
+ * @param {object} options - { acknowledgeWarnings, acknowledgedBy } for the preflight
+ * @returns {object} { success, campaignId, totalRecipients, error, preflight }
  */
-async function sendCampaign(campaignId) {
+async function sendCampaign(campaignId, options = {}) {
   const campaign = await Campaign.findById(campaignId).populate('list');
 
   if (!campaign) {
@@ -25,7 +34,7 @@ async function sendCampaign(campaignId) {
     return { success: false, error: `Cannot send campaign with status: ${campaign.status}` };
   }
 
-  const { isAvailable, generateJobId } = require('../jobs/emailQueue');
+  const { isAvailable } = require('../jobs/emailQueue');
 
   if (!isAvailable()) {
     return { success: false, error: 'Redis not available' };
@@ -35,22 +44,65 @@ async function sendCampaign(campaignId) {
   console.log(`║  📧 SENDING: ${campaign.name.substring(0, 37).padEnd(37)} ║`);
   console.log('╚════════════════════════════════════════════════╝\n');
 
-  // Count recipients
-  let totalRecipients = 0;
-  if (campaign.targetType === 'list' && campaign.list) {
-    const list = await List.findById(campaign.list._id || campaign.list).select('members');
-    totalRecipients = list?.members?.length || 0;
+  // Template: syntax errors or missing partials block the send (partials may have changed since save)
+  const templateCheck = await personalizationService.validateCampaign(campaign);
+  if (!templateCheck.valid) {
+    await campaign.save();
+    return { success: false, error: `Invalid template: ${templateCheck.errors.join('; ')}` };
+  }
+  if (templateCheck.unknownVariables.length > 0) {
+    console.log(`⚠️  Unknown template variables: ${templateCheck.unknownVariables.join(', ')}`);
+  }
+
+  // {{coupon}}: needs a discount to build the price rule for the code pool
+  if (couponPoolService.usesCoupon(campaign) && !campaign.coupon?.percentOff && !campaign.coupon?.priceRuleId) {
+    return { success: false, error: 'Template uses {{coupon}} but coupon.percentOff is not set' };
   }
 
+  // Resolve audience (segments are evaluated now, not when the campaign was created)
+  const audience = await resolveAudience(campaign);
+
+  if (audience.error) {
+    return { success: false, error: audience.error };
+  }
+
+  const totalRecipients = audience.count;
+
   if (totalRecipients === 0) {
-    return { success: false, error: 'List has no members' };
+    return {
+      success: false,
+      error: {
+        segment: 'Segment has no matching customers',
+        resend: 'No non-openers left to resend to'
+      }[campaign.targetType] || 'List has no members'
+    };
+  }
+
+  // Preflight: errors block, warnings need to be acknowledged (now or when scheduled)
+  const preflight = await preflightService.check(campaign, {
+    audience,
+    sendAt: new Date(),
+    acknowledge: !!options.acknowledgeWarnings,
+    acknowledgedBy: options.acknowledgedBy
+  });
+  if (!preflight.canSend) {
+    await campaign.save();
+    console.log(`🛫 ${preflight.reason}`);
+    return {
+      success: false,
+      error: preflight.reason,
+      requiresAcknowledgement: preflight.requiresAcknowledgement,
+      preflight: preflight.preflight
+    };
   }
 
   console.log(`👥 Total recipients: ${totalRecipients.toLocaleString()}`);
 
-  // Adaptive config
-  const config = getOptimalConfig(totalRecipients);
-  console.log(`⚙️  Mode: ${config.name}`);
+  // A/B test: first phase only goes to the test split
+  const isAbTest = abTestService.isEnabled(campaign);
+  if (isAbTest) {
+    console.log(`🧪 A/B test: ${campaign.abTest.variants.length} variants, ${campaign.abTest.testPercentage}% test split`);
+  }
 
   // Set to preparing
   campaign.status = 'preparing';
@@ -59,21 +111,112 @@ async function sendCampaign(campaignId) {
   campaign.stats.delivered = 0;
   campaign.stats.failed = 0;
   campaign.stats.skipped = 0;
+  campaign.stats.error = null;
+  if (isAbTest) {
+    campaign.abTest.status = 'testing';
+  }
+  await campaign.save();
+
+  prepareInBackground(campaign, audience, isAbTest ? 'test' : 'full');
+
+  return {
+    success: true,
+    campaignId: campaign._id.toString(),
+    totalRecipients,
+    abTest: isAbTest,
+    status: 'preparing'
+  };
+}
+
+/**
+ * Send the winning A/B variant to everyone in the audience who didn't get
+ * a test email. Called by abTestService once a winner has been chosen.
+ *
+ * @param {string} campaignId - Campaign ID
+ * @returns {object} { success, campaignId, totalRecipients, error }
+ */
+async function sendWinnerVariant(campaignId) {
+  const campaign = await Campaign.findById(campaignId).populate('list');
+
+  if (!campaign) {
+    return { success: false, error: 'Campaign not found' };
+  }
+
+  if (campaign.abTest?.status !== 'waiting' || !campaign.abTest.winner) {
+    return { success: false, error: 'Campaign is not waiting for an A/B winner' };
+  }
+
+  const { isAvailable } = require('../jobs/emailQueue');
+
+  if (!isAvailable()) {
+    return { success: false, error: 'Redis not available' };
+  }
+
+  const audience = await resolveAudience(campaign);
+
+  if (audience.error) {
+    return { success: false, error: audience.error };
+  }
+
+  const alreadySent = await EmailSend.countDocuments({ campaignId: campaign._id });
+  const totalRecipients = Math.max(0, audience.count - alreadySent);
+
+  console.log(`🏆 A/B winner ${campaign.abTest.winner} → ${totalRecipients.toLocaleString()} remaining recipients`);
+
+  campaign.abTest.status = 'winner_sent';
   await campaign.save();
 
-  // Process in background
+  prepareInBackground(campaign, audience, 'winner');
+
+  return {
+    success: true,
+    campaignId: campaign._id.toString(),
+    totalRecipients,
+    status: 'sending'
+  };
+}
+
+/**
+ * Stream the audience, create EmailSend records and enqueue personalized
+ * emails in chunks. Runs detached from the caller.
+ *
+ * Phases:
+ *   full   - regular campaign, everyone gets the base content
+ *   test   - A/B test split, each recipient gets its assigned variant
+ *   winner - A/B remainder, everyone without an EmailSend gets the winner
+ *
+ * With send-time optimization, recipients are grouped in hour buckets and
+ * each bucket is enqueued as delayed jobs (the control group goes now).
+ * Delayed jobs carry recipient IDs only; the worker renders them when they run.
+ */
+function prepareInBackground(campaign, audience, phase) {
+  const config = getOptimalConfig(audience.count);
+  console.log(`⚙️  Mode: ${config.name}`);
+
   const campaignIdStr = campaign._id.toString();
-  const htmlTemplate = campaign.htmlContent;
-  const subject = campaign.subject;
-  const fromName = campaign.fromName || 'Jersey Pickles';
-  const fromEmail = campaign.fromEmail || 'info@jerseypickles.com';
-  const replyTo = campaign.replyTo;
-  const listId = campaign.list?._id || campaign.list;
+  const audienceQuery = audience.query;
+  const useSto = sendTimeService.isEnabled(campaign);
+
+  // Content per variant key (null = base content)
+  const contents = new Map();
+  const getContent = (key) => {
+    if (!contents.has(key)) {
+      contents.set(key, campaign.getVariantContent(key));
+    }
+    return contents.get(key);
+  };
+
+  // Which variant a recipient gets in this phase (false = not in this phase)
+  const pickVariant = (email) => {
+    if (phase === 'test') return abTestService.assignVariant(campaignIdStr, email, campaign.abTest);
+    if (phase === 'winner') return campaign.abTest.winner;
+    return null;
+  };
 
   setImmediate(async () => {
-    console.log(`📥 BACKGROUND - Processing campaign ${campaignIdStr}`);
+    console.log(`📥 BACKGROUND - Processing campaign ${campaignIdStr} (${phase}${useSto ? ', STO' : ''})`);
 
-    const { addCampaignToQueue } = require('../jobs/emailQueue');
+    const { addCampaignToQueue, generateJobId, checkAndFinalizeCampaign } = require('../jobs/emailQueue');
     const CURSOR_BATCH_SIZE = config.cursorBatch;
     const BULK_WRITE_BATCH = config.bulkWriteBatch;
     const ENQUEUE_CHUNK_SIZE = config.enqueueChunk;
@@ -81,98 +224,155 @@ async function sendCampaign(campaignId) {
     let processedCount = 0;
     let createdEmailSends = 0;
     let skippedDuplicates = 0;
+    let outsidePhase = 0;
+    let suppressedCount = 0;
+    let heldOutCount = 0;
     let totalEnqueued = 0;
     let enqueueChunkIndex = 0;
 
-    let chunkRecipients = [];
+    // Pending recipients per bucket ('now' or the STO hour)
+    const buckets = new Map();
     let bulkOperations = [];
     const seenEmails = new Set();
 
+    // STO: fallback hour for customers without history + fixed send time per hour
+    let sto = null;
+
+    const getSendAt = (hour) => {
+      if (!sto.sendAtByHour.has(hour)) {
+        sto.sendAtByHour.set(hour, new Date(Date.now() + sendTimeService.getDelayUntilHour(hour)));
+      }
+      return sto.sendAtByHour.get(hour);
+    };
+
+    // Helper: flush a bucket to the queue and free memory
+    const flushBucket = async (key) => {
+      const bucket = buckets.get(key);
+      if (!bucket || bucket.recipients.length === 0) return;
+
+      const delay = bucket.sendAt ? Math.max(0, bucket.sendAt.getTime() - Date.now()) : 0;
+
+      console.log(`📤 Enqueueing chunk #${enqueueChunkIndex} (${bucket.recipients.length} recipients${key !== 'now' ? `, hour ${key}` : ''})`);
+      await addCampaignToQueue(bucket.recipients, campaignIdStr, {
+        delay,
+        bucket: key !== 'now' ? `h${key}` : null
+      });
+      totalEnqueued += bucket.recipients.length;
+      enqueueChunkIndex++;
+      bucket.recipients = [];
+    };
+
     try {
-      const list = await List.findById(listId).select('members');
-      const memberIds = list?.members || [];
-
-      // Load emails already sent or in-flight to skip duplicates on re-runs
-      const alreadyProcessed = await EmailSend.find({
-        campaignId: campaignIdStr,
-        status: { $in: ['sent', 'delivered', 'skipped', 'bounced', 'processing', 'sending'] }
-      }).select('recipientEmail').lean();
+      // Partials + last order only loaded when the template uses them
+      const template = await personalizationService.validate(personalizationService.campaignSources(campaign));
+
+      // {{coupon}}: pre-generate one unique code per recipient (emailQueue tops up if it runs short)
+      if (couponPoolService.usesCoupon(campaign)) {
+        try {
+          const pool = await couponPoolService.ensurePool(campaign, audience.count);
+          console.log(`🎟️  Coupon pool: ${pool.available.toLocaleString()} codes available (${pool.generated.toLocaleString()} new)`);
+        } catch (error) {
+          console.error(`⚠️  Coupon pool generation failed: ${error.message}`);
+        }
+      }
+
+      // Holdout: deterministic slice withheld for the incrementality report
+      const holdoutPercentage = campaign.holdout?.percentage || 0;
+      if (holdoutPercentage > 0) {
+        await holdoutService.markStarted(Campaign, campaignIdStr);
+        console.log(`🧪 Holdout: ${holdoutPercentage}% withheld`);
+      }
+
+      if (useSto) {
+        const fallback = await sendTimeService.getFallbackHour(campaign);
+        sto = {
+          controlPercentage: campaign.sendTimeOptimization.controlPercentage ?? 10,
+          fallback,
+          sendAtByHour: new Map()
+        };
+
+        await Campaign.findByIdAndUpdate(campaignIdStr, {
+          'sendTimeOptimization.windowStart': new Date(),
+          'sendTimeOptimization.fallbackHour': fallback.hour,
+          'sendTimeOptimization.fallbackSource': fallback.source
+        });
+
+        console.log(`⏰ STO fallback hour: ${fallback.hour}:00 ET (${fallback.source}), control ${sto.controlPercentage}%`);
+      }
+
+      // Load emails already sent or in-flight to skip duplicates on re-runs.
+      // The winner phase skips everyone who already has an EmailSend (test split)
+      const processedFilter = { campaignId: campaignIdStr };
+      if (phase !== 'winner') {
+        processedFilter.status = { $in: ['sent', 'delivered', 'skipped', 'bounced', 'processing', 'sending'] };
+      }
+      const alreadyProcessed = await EmailSend.find(processedFilter).select('recipientEmail').lean();
       const alreadyProcessedSet = new Set(alreadyProcessed.map(e => e.recipientEmail.toLowerCase().trim()));
       if (alreadyProcessedSet.size > 0) {
-        console.log(`⏭️  Skipping ${alreadyProcessedSet.size} recipients already processed (re-run)`);
+        console.log(`⏭️  Skipping ${alreadyProcessedSet.size} recipients already processed`);
       }
 
       const cursor = Customer
-        .find({ _id: { $in: memberIds } })
-        .select('email firstName lastName _id')
+        .find(audienceQuery)
+        .select(personalizationService.CUSTOMER_FIELDS)
         .lean()
         .cursor({ batchSize: CURSOR_BATCH_SIZE });
 
-      // Helper: flush current chunk to queue and free memory
-      const flushChunk = async () => {
-        if (chunkRecipients.length === 0) return;
-        console.log(`📤 Enqueueing chunk #${enqueueChunkIndex} (${chunkRecipients.length} recipients)`);
-        await addCampaignToQueue(chunkRecipients, campaignIdStr);
-        totalEnqueued += chunkRecipients.length;
-        enqueueChunkIndex++;
-        chunkRecipients = [];
-      };
-
-      for await (const customer of cursor) {
-        processedCount++;
-
-        const normalizedEmail = customer.email.toLowerCase().trim();
-        const emailKey = `${campaignIdStr}:${normalizedEmail}`;
-        if (seenEmails.has(emailKey)) {
-          skippedDuplicates++;
-          continue;
-        }
-        seenEmails.add(emailKey);
+      // Build EmailSend + queue entry for one recipient
+      const addRecipient = async (customer, normalizedEmail, variant, stoInfo) => {
+        const jobId = generateJobId(campaignIdStr, normalizedEmail);
 
-        // Skip if already processed in a previous run
-        if (alreadyProcessedSet.has(normalizedEmail)) {
-          skippedDuplicates++;
-          continue;
+        const emailSend = {
+          jobId,
+          campaignId: campaignIdStr,
+          recipientEmail: normalizedEmail,
+          customerId: customer._id,
+          variant,
+          status: 'pending',
+          attempts: 0,
+          createdAt: new Date(),
+          lockedBy: null,
+          lockedAt: null
+        };
+        if (stoInfo) {
+          emailSend.sto = {
+            group: stoInfo.group,
+            preferredHour: stoInfo.hour,
+            hourSource: stoInfo.source,
+            scheduledFor: stoInfo.sendAt || new Date()
+          };
         }
 
-        const jobId = generateJobId(campaignIdStr, normalizedEmail);
-
         // EmailSend record
         bulkOperations.push({
           updateOne: {
             filter: { campaignId: campaignIdStr, recipientEmail: normalizedEmail },
-            update: {
-              $setOnInsert: {
-                jobId,
-                campaignId: campaignIdStr,
-                recipientEmail: normalizedEmail,
-                customerId: customer._id,
-                status: 'pending',
-                attempts: 0,
-                createdAt: new Date(),
-                lockedBy: null,
-                lockedAt: null
-              }
-            },
+            update: { $setOnInsert: emailSend },
             upsert: true
           }
         });
 
-        // Personalize + tracking
-        let html = htmlTemplate;
-        html = emailService.personalize(html, customer);
-        html = emailService.injectUnsubscribeLink(html, customer._id.toString(), normalizedEmail, campaignIdStr);
-        html = emailService.injectTracking(html, campaignIdStr, customer._id.toString(), normalizedEmail);
-
-        chunkRecipients.push({
-          email: normalizedEmail,
-          subject,
-          html,
-          from: `${fromName} <${fromEmail}>`,
-          replyTo,
-          customerId: customer._id.toString(),
-          jobId
-        });
+        const bucketKey = stoInfo?.sendAt ? stoInfo.hour : 'now';
+        if (!buckets.has(bucketKey)) {
+          buckets.set(bucketKey, { sendAt: stoInfo?.sendAt || null, recipients: [] });
+        }
+        const bucket = buckets.get(bucketKey);
+
+        if (bucket.sendAt) {
+          // Delayed job (STO): only IDs in Redis, rendered when the job runs
+          bucket.recipients.push({
+            email: normalizedEmail,
+            customerId: customer._id.toString(),
+            jobId,
+            variant,
+            deferred: true
+          });
+        } else {
+          bucket.recipients.push({
+            ...renderRecipient(campaign, getContent(variant), customer, normalizedEmail, template.partials),
+            jobId
+          });
+        }
 
         // Bulk write to DB
         if (bulkOperations.length >= BULK_WRITE_BATCH) {
@@ -186,9 +386,108 @@ async function sendCampaign(campaignId) {
         }
 
         // Enqueue in chunks to avoid accumulating all recipients in memory
-        if (chunkRecipients.length >= ENQUEUE_CHUNK_SIZE) {
-          await flushChunk();
+        if (bucket.recipients.length >= ENQUEUE_CHUNK_SIZE) {
+          await flushBucket(bucketKey);
+        }
+      };
+
+      // STO: resolve preferred hours for a batch of recipients at once
+      let stoBatch = [];
+      const processStoBatch = async () => {
+        if (stoBatch.length === 0) return;
+
+        const preferred = await sendTimeService.getPreferredHours(stoBatch.map(r => r.normalizedEmail));
+
+        for (const r of stoBatch) {
+          const group = sendTimeService.assignGroup(campaignIdStr, r.normalizedEmail, sto.controlPercentage);
+          const hasHistory = preferred.has(r.normalizedEmail);
+          const hour = hasHistory ? preferred.get(r.normalizedEmail) : sto.fallback.hour;
+
+          await addRecipient(r.customer, r.normalizedEmail, r.variant, {
+            group,
+            hour,
+            source: hasHistory ? 'customer' : sto.fallback.source,
+            sendAt: group === 'optimized' ? getSendAt(hour) : null
+          });
+        }
+
+        stoBatch = [];
+      };
+
+      // Suppression list: checked per cursor batch, suppressed recipients get no EmailSend
+      let pending = [];
+      const processPending = async () => {
+        if (pending.length === 0) return;
+
+        const suppressed = await suppressionService.findSuppressed(pending.map(r => r.normalizedEmail));
+        suppressedCount += suppressed.size;
+
+        if (template.usesLastOrder) {
+          const lastOrders = await personalizationService.loadLastOrders(pending.map(r => r.customer._id));
+          pending.forEach(r => { r.customer.lastOrder = lastOrders.get(r.customer._id.toString()) || null; });
+        }
+
+        const heldOut = [];
+
+        for (const r of pending) {
+          if (suppressed.has(r.normalizedEmail)) continue;
+
+          if (holdoutService.isHeldOut(campaignIdStr, r.normalizedEmail, holdoutPercentage)) {
+            heldOut.push({ recipient: r.normalizedEmail, customer: r.customer._id });
+            continue;
+          }
+
+          if (sto) {
+            stoBatch.push(r);
+            if (stoBatch.length >= CURSOR_BATCH_SIZE) {
+              await processStoBatch();
+            }
+          } else {
+            await addRecipient(r.customer, r.normalizedEmail, r.variant, null);
+          }
+        }
+
+        if (heldOut.length > 0) {
+          heldOutCount += heldOut.length;
+          await holdoutService.record('email', Campaign, campaignIdStr, heldOut);
+        }
+
+        pending = [];
+      };
+
+      for await (const customer of cursor) {
+        processedCount++;
+
+        const normalizedEmail = customer.email.toLowerCase().trim();
+        const emailKey = `${campaignIdStr}:${normalizedEmail}`;
+        if (seenEmails.has(emailKey)) {
+          skippedDuplicates++;
+          continue;
         }
+        seenEmails.add(emailKey);
+
+        // Skip if already processed in a previous run
+        if (alreadyProcessedSet.has(normalizedEmail)) {
+          skippedDuplicates++;
+          continue;
+        }
+
+        const variant = pickVariant(normalizedEmail);
+        if (variant === false) {
+          outsidePhase++;
+          continue;
+        }
+
+        pending.push({ customer, normalizedEmail, variant });
+        if (pending.length >= CURSOR_BATCH_SIZE) {
+          await processPending();
+        }
+      }
+
+      await processPending();
+
+      if (sto) {
+        await processStoBatch();
       }
 
       // Residual bulk write
@@ -202,32 +501,211 @@ async function sendCampaign(campaignId) {
       }
 
       // Flush remaining recipients
-      await flushChunk();
-
-      // Adjust and set to sending
-      const actualRecipients = processedCount - skippedDuplicates;
-      await Campaign.findByIdAndUpdate(campaignIdStr, {
-        status: 'sending',
-        sentAt: new Date(),
-        'stats.totalRecipients': actualRecipients
-      });
+      for (const key of buckets.keys()) {
+        await flushBucket(key);
+      }
+
+      const actualRecipients = processedCount - skippedDuplicates - outsidePhase - suppressedCount - heldOutCount;
+
+      if (phase === 'winner') {
+        // Test recipients are already counted in totalRecipients
+        await Campaign.findByIdAndUpdate(campaignIdStr, {
+          status: 'sending',
+          $inc: { 'stats.totalRecipients': actualRecipients, 'stats.suppressed': suppressedCount }
+        });
+
+        // Nothing left to send (e.g. 100% test split): finalize right away
+        if (actualRecipients === 0) {
+          await checkAndFinalizeCampaign(campaignIdStr);
+        }
+      } else {
+        const update = {
+          status: 'sending',
+          sentAt: new Date(),
+          'stats.totalRecipients': actualRecipients,
+          'stats.suppressed': suppressedCount
+        };
+
+        // Test split ended up empty (tiny audience): pick the winner right away
+        if (phase === 'test' && actualRecipients === 0) {
+          update['abTest.status'] = 'waiting';
+          update['abTest.testCompletedAt'] = new Date();
+          update['abTest.winnerSelectAt'] = new Date();
+        }
+
+        await Campaign.findByIdAndUpdate(campaignIdStr, update);
+      }
 
-      console.log(`✅ Campaign ${campaignIdStr} prepared: ${actualRecipients} recipients, ${createdEmailSends} EmailSends, ${enqueueChunkIndex} chunks enqueued`);
+      console.log(`✅ Campaign ${campaignIdStr} prepared (${phase}): ${actualRecipients} recipients, ${createdEmailSends} EmailSends, ${enqueueChunkIndex} chunks enqueued${sto ? ` in ${buckets.size} time buckets` : ''}${suppressedCount > 0 ? `, ${suppressedCount} suppressed` : ''}${heldOutCount > 0 ? `, ${heldOutCount} held out` : ''}`);
 
     } catch (error) {
       console.error(`❌ Campaign ${campaignIdStr} send error:`, error.message);
-      await Campaign.findByIdAndUpdate(campaignIdStr, { status: 'failed' });
+
+      // Back to draft with the error so it can be fixed and sent again (re-runs skip who already got it)
+      try {
+        await Campaign.findByIdAndUpdate(campaignIdStr, {
+          status: 'draft',
+          'stats.error': error.message
+        });
+      } catch (err) {
+        console.error(`❌ Error reverting campaign ${campaignIdStr}:`, err.message);
+      }
     }
   });
+}
+
+/**
+ * Personalized message for one recipient (content = campaign.getVariantContent())
+ */
+function renderRecipient(campaign, content, customer, normalizedEmail, partials) {
+  const campaignIdStr = campaign._id.toString();
+  const customerIdStr = customer._id.toString();
+
+  // Personalize + tracking
+  let html = emailService.injectPreheader(content.htmlContent, content.previewText);
+  html = emailService.personalize(html, customer, { partials });
+  html = emailService.injectUnsubscribeLink(html, customerIdStr, normalizedEmail, campaignIdStr);
+  html = emailService.injectTracking(html, campaignIdStr, customerIdStr, normalizedEmail);
+
+  // Plain-text part (block builder campaigns)
+  let text = null;
+  if (content.textContent) {
+    text = emailService.personalize(content.textContent, customer, { partials, autoescape: false });
+    text = emailService.injectUnsubscribeLinkText(text, customerIdStr, normalizedEmail, campaignIdStr);
+  }
 
   return {
-    success: true,
-    campaignId: campaignIdStr,
-    totalRecipients,
-    status: 'preparing'
+    email: normalizedEmail,
+    subject: content.subject,
+    html,
+    text,
+    from: `${content.fromName || 'Jersey Pickles'} <${campaign.fromEmail || 'info@jerseypickles.com'}>`,
+    replyTo: campaign.replyTo,
+    customerId: customerIdStr
   };
 }
 
+/**
+ * Render the deferred recipients of a delayed (STO) batch when its job runs.
+ * Customers deleted in the meantime come back in `missing` (by jobId).
+ *
+ * @param {string} campaignId
+ * @param {Array} recipients - { email, customerId, jobId, variant, deferred }
+ * @returns {object} { recipients, missing }
+ */
+async function renderDeferredRecipients(campaignId, recipients) {
+  const campaign = await Campaign.findById(campaignId);
+  if (!campaign) {
+    throw new Error(`Campaign ${campaignId} not found`);
+  }
+
+  const template = await personalizationService.validate(personalizationService.campaignSources(campaign));
+
+  const customers = await Customer
+    .find({ _id: { $in: recipients.map(r => r.customerId) } })
+    .select(personalizationService.CUSTOMER_FIELDS)
+    .lean();
+
+  if (template.usesLastOrder) {
+    const lastOrders = await personalizationService.loadLastOrders(customers.map(c => c._id));
+    customers.forEach(c => { c.lastOrder = lastOrders.get(c._id.toString()) || null; });
+  }
+
+  const customersById = new Map(customers.map(c => [c._id.toString(), c]));
+  const contents = new Map();
+  const rendered = [];
+  const missing = [];
+
+  for (const r of recipients) {
+    const customer = customersById.get(r.customerId);
+    if (!customer) {
+      missing.push(r.jobId);
+      continue;
+    }
+
+    const key = r.variant ?? null;
+    if (!contents.has(key)) {
+      contents.set(key, campaign.getVariantContent(key));
+    }
+
+    rendered.push({
+      ...renderRecipient(campaign, contents.get(key), customer, r.email, template.partials),
+      jobId: r.jobId
+    });
+  }
+
+  return { recipients: rendered, missing };
+}
+
+/**
+ * Resolve the Customer filter and size of a campaign's audience.
+ * Lists use their stored members; segments compile their rules at call time,
+ * so membership reflects customer data at the moment of sending.
+ *
+ * @param {object} campaign - Campaign document
+ * @returns {object} { query, count, source } or { error }
+ */
+async function resolveAudience(campaign) {
+  // Resend a no-openers: la audiencia sale de la campaña original (ver resendService)
+  if (campaign.targetType === 'resend') {
+    const parent = campaign.parentCampaign && await Campaign.findById(campaign.parentCampaign);
+
+    if (!parent) {
+      return { error: 'Parent campaign not found' };
+    }
+
+    const { customerIds } = await resendService.buildAudience(parent);
+
+    return { query: { _id: { $in: customerIds } }, count: customerIds.length, source: 'resend' };
+  }
+
+  if (campaign.targetType === 'segment') {
+    if (!campaign.segment) {
+      return { error: 'Campaign has no segment' };
+    }
+
+    const Segment = require('../models/Segment');
+    const segment = await Segment.findById(campaign.segment._id || campaign.segment);
+
+    if (!segment) {
+      return { error: 'Segment not found' };
+    }
+
+    let query;
+    try {
+      query = segment.buildQuery();
+    } catch (error) {
+      return { error: error.message };
+    }
+
+    // An empty rule tree would match every customer
+    if (Object.keys(query).length === 0) {
+      return { error: 'Segment has no rules' };
+    }
+
+    const count = await Customer.countDocuments(query);
+
+    // Keep the cached count in sync for the UI
+    await Segment.updateOne(
+      { _id: segment._id },
+      { $set: { customerCount: count, lastCalculated: new Date() } }
+    );
+
+    console.log(`🎯 Segment "${segment.name}" evaluated: ${count.toLocaleString()} customers`);
+
+    return { query, count, source: 'segment' };
+  }
+
+  if (!campaign.list) {
+    return { error: 'Campaign has no list' };
+  }
+
+  const list = await List.findById(campaign.list._id || campaign.list).select('members');
+  const memberIds = list?.members || [];
+
+  return { query: { _id: { $in: memberIds } }, count: memberIds.length, source: 'list' };
+}
+
 // Adaptive config (same as in controller)
 function getOptimalConfig(total) {
   if (total < 5000) {
@@ -268,4 +746,4 @@ function getOptimalConfig(total) {
   };
 }
 
-module.exports = { sendCampaign };
+module.exports = { sendCampaign, sendWinnerVariant, resolveAudience, renderDeferredRecipients };
@@ -0,0 +1,548 @@
+// backend/src/services/campaignSeriesService.js
+// 🔁 Campaign Series - Recurrencia de campañas de email
+//
+// Flujo:
+//   1. La serie define la regla (weekly en ciertos días / monthly el nth weekday)
+//      y apunta a una campaña template (draft)
+//   2. schedulerJob llama a processDue() cada minuto: leadHours antes de cada fecha
+//      se crea una Campaign 'scheduled' copiando el template (series + seriesOccurrence)
+//   3. Las fechas en un blackout_period del BusinessCalendar se saltan (skipped)
+//   4. schedulerJob envía la ocurrencia como cualquier campaña programada
+//   5. getReport() junta las stats de todas las ocurrencias
+const Campaign = require('../models/Campaign');
+const CampaignSeries = require('../models/CampaignSeries');
+const BusinessCalendar = require('../models/BusinessCalendar');
+const botFilterService = require('./botFilterService');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const HOUR_MS = 60 * 60 * 1000;
+
+// Una ocurrencia con más de 1h de atraso (job caído, serie pausada) no se envía tarde
+const MISSED_GRACE_MS = HOUR_MS;
+// Máximo de fechas procesadas por serie en cada corrida del scheduler
+const MAX_PER_RUN = 10;
+const MAX_SKIPPED_HISTORY = 100;
+
+const SEND_TIME_REGEX = /^([01]\d|2[0-3]):([0-5]\d)$/;
+
+// ==================== TIMEZONE HELPERS ====================
+
+/**
+ * Fecha/hora local en `timezone` de un instante
+ */
+function localParts(date, timezone) {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone: timezone,
+    year: 'numeric',
+    month: 'numeric',
+    day: 'numeric',
+    hour: 'numeric',
+    minute: 'numeric',
+    hourCycle: 'h23'
+  }).formatToParts(date).reduce((acc, p) => {
+    acc[p.type] = parseInt(p.value, 10);
+    return acc;
+  }, {});
+
+  return {
+    year: parts.year,
+    month: parts.month - 1,
+    day: parts.day,
+    hour: parts.hour,
+    minute: parts.minute
+  };
+}
+
+/**
+ * Instante UTC de una fecha/hora local en `timezone` (maneja DST)
+ */
+function zonedTime(year, month, day, hour, minute, timezone) {
+  const guess = Date.UTC(year, month, day, hour, minute);
+  const offsetAt = (ms) => {
+    const p = localParts(new Date(ms), timezone);
+    return Date.UTC(p.year, p.month, p.day, p.hour, p.minute) - ms;
+  };
+
+  const first = guess - offsetAt(guess);
+  return new Date(guess - offsetAt(first));
+}
+
+// Día calendario como número (días desde epoch) para comparar semanas/meses
+const dayNumber = (year, month, day) => Math.floor(Date.UTC(year, month, day) / DAY_MS);
+
+class CampaignSeriesService {
+
+  // ==================== VALIDACIÓN ====================
+
+  /**
+   * Valida la regla de recurrencia. Devuelve lista de errores (vacía = OK).
+   */
+  validateRecurrence(recurrence) {
+    const errors = [];
+
+    if (!recurrence) return ['recurrence es requerido'];
+
+    const { frequency, interval, weekdays, nthWeek, weekday, sendTime, startDate, endDate, count } = recurrence;
+    const isWeekday = (d) => Number.isInteger(d) && d >= 0 && d <= 6;
+
+    if (!['weekly', 'monthly'].includes(frequency)) {
+      errors.push('frequency debe ser weekly o monthly');
+    }
+    if (interval !== undefined && (!Number.isInteger(interval) || interval < 1 || interval > 12)) {
+      errors.push('interval debe estar entre 1 y 12');
+    }
+
+    if (frequency === 'weekly' && (!Array.isArray(weekdays) || weekdays.length === 0 || !weekdays.every(isWeekday))) {
+      errors.push('weekly necesita weekdays (0 = domingo ... 6 = sábado)');
+    }
+    if (frequency === 'monthly') {
+      if (![1, 2, 3, 4, -1].includes(nthWeek)) {
+        errors.push('nthWeek debe ser 1, 2, 3, 4 o -1 (último)');
+      }
+      if (!isWeekday(weekday)) {
+        errors.push('weekday debe estar entre 0 (domingo) y 6 (sábado)');
+      }
+    }
+
+    if (sendTime !== undefined && !SEND_TIME_REGEX.test(sendTime)) {
+      errors.push('sendTime debe tener formato HH:mm');
+    }
+
+    const start = startDate ? new Date(startDate) : null;
+    if (!start || isNaN(start)) {
+      errors.push('startDate es requerido');
+    }
+    if (endDate) {
+      const end = new Date(endDate);
+      if (isNaN(end)) errors.push('endDate inválido');
+      else if (start && end <= start) errors.push('endDate debe ser posterior a startDate');
+    }
+    if (count !== undefined && count !== null && (!Number.isInteger(count) || count < 1)) {
+      errors.push('count debe ser un entero >= 1');
+    }
+
+    return errors;
+  }
+
+  // ==================== FECHAS ====================
+
+  /**
+   * ¿El día local cae en la regla?
+   */
+  matchesRule(recurrence, year, month, day, startLocal) {
+    const weekdayOf = new Date(Date.UTC(year, month, day)).getUTCDay();
+    const interval = recurrence.interval || 1;
+
+    if (recurrence.frequency === 'weekly') {
+      if (!recurrence.weekdays.includes(weekdayOf)) return false;
+      // Semanas contadas desde el domingo de la semana de startDate
+      const startDay = dayNumber(startLocal.year, startLocal.month, startLocal.day);
+      const anchor = startDay - new Date(Date.UTC(startLocal.year, startLocal.month, startLocal.day)).getUTCDay();
+      const week = Math.floor((dayNumber(year, month, day) - anchor) / 7);
+      return week % interval === 0;
+    }
+
+    const months = (year - startLocal.year) * 12 + (month - startLocal.month);
+    if (months % interval !== 0 || weekdayOf !== recurrence.weekday) return false;
+
+    if (recurrence.nthWeek === -1) {
+      const daysInMonth = new Date(Date.UTC(year, month + 1, 0)).getUTCDate();
+      return day + 7 > daysInMonth;
+    }
+    return Math.ceil(day / 7) === recurrence.nthWeek;
+  }
+
+  /**
+   * Primera ocurrencia estrictamente posterior a `after` (null si la serie terminó)
+   */
+  nextOccurrence(recurrence, after) {
+    const timezone = recurrence.timezone || 'America/New_York';
+    const [hour, minute] = (recurrence.sendTime || '10:00').split(':').map(Number);
+    const start = new Date(recurrence.startDate);
+    const end = recurrence.endDate ? new Date(recurrence.endDate) : null;
+    const startLocal = localParts(start, timezone);
+
+    const from = new Date(Math.max(after.getTime(), start.getTime() - 1));
+    const fromLocal = localParts(from, timezone);
+    const maxDays = 372 * (recurrence.interval || 1);
+
+    for (let i = 0; i <= maxDays; i++) {
+      const day = new Date(Date.UTC(fromLocal.year, fromLocal.month, fromLocal.day + i));
+      const y = day.getUTCFullYear();
+      const m = day.getUTCMonth();
+      const d = day.getUTCDate();
+
+      if (!this.matchesRule(recurrence, y, m, d, startLocal)) continue;
+
+      const occurrence = zonedTime(y, m, d, hour, minute, timezone);
+      if (occurrence <= from || occurrence < start) continue;
+      if (end && occurrence > end) return null;
+
+      return occurrence;
+    }
+
+    return null;
+  }
+
+  /**
+   * Próximas `limit` fechas desde `after`
+   */
+  upcoming(recurrence, limit = 5, after = new Date()) {
+    const dates = [];
+    let cursor = after;
+
+    while (dates.length < limit) {
+      const next = this.nextOccurrence(recurrence, cursor);
+      if (!next) break;
+      dates.push(next);
+      cursor = next;
+    }
+
+    return dates;
+  }
+
+  /**
+   * blackout_period del BusinessCalendar que cubre el día local de la fecha (o null)
+   */
+  async findBlackout(date, timezone = 'America/New_York') {
+    const local = localParts(date, timezone);
+    const dayStart = zonedTime(local.year, local.month, local.day, 0, 0, timezone);
+    const dayEnd = new Date(dayStart.getTime() + DAY_MS - 1);
+
+    return BusinessCalendar.findOne({
+      type: 'blackout_period',
+      status: { $ne: 'cancelled' },
+      startDate: { $lte: dayEnd },
+      endDate: { $gte: dayStart }
+    }).select('_id name startDate endDate').lean();
+  }
+
+  /**
+   * Preview sin guardar: próximas fechas marcando las que caen en blackout
+   */
+  async preview(recurrence, { limit = 8, skipBlackouts = true, after = new Date() } = {}) {
+    const dates = this.upcoming(recurrence, limit, after);
+
+    return Promise.all(dates.map(async (date) => {
+      const blackout = skipBlackouts ? await this.findBlackout(date, recurrence.timezone) : null;
+      return {
+        date,
+        skipped: !!blackout,
+        blackout: blackout ? { _id: blackout._id, name: blackout.name } : null
+      };
+    }));
+  }
+
+  // ==================== CRUD ====================
+
+  async create(data, userId = null) {
+    const series = new CampaignSeries({ ...data, createdBy: userId });
+
+    // Las fechas anteriores a la creación no se envían
+    series.lastOccurrenceAt = new Date(Math.max(Date.now(), new Date(series.recurrence.startDate).getTime() - 1));
+    series.nextOccurrenceAt = this.nextOccurrence(series.recurrence, series.lastOccurrenceAt);
+
+    await series.save();
+    await Campaign.updateOne({ _id: series.template }, { $set: { series: series._id } });
+
+    return series;
+  }
+
+  /**
+   * Reanudar: las fechas que pasaron mientras estaba pausada no se envían
+   */
+  async resume(series) {
+    series.status = 'active';
+    series.lastOccurrenceAt = new Date(Math.max(Date.now(), series.lastOccurrenceAt?.getTime() || 0));
+    series.nextOccurrenceAt = this.nextOccurrence(series.recurrence, series.lastOccurrenceAt);
+    return series.save();
+  }
+
+  // ==================== MATERIALIZACIÓN ====================
+
+  /**
+   * Crea la Campaign programada de una ocurrencia copiando el template.
+   * Idempotente: si ya existe la de esa fecha la devuelve.
+   */
+  async materialize(series, date, occurrence) {
+    const existing = await Campaign.findOne({ series: series._id, scheduledAt: date, seriesOccurrence: { $ne: null } });
+    if (existing) return existing;
+
+    const template = await Campaign.findById(series.template);
+    if (!template) {
+      throw new Error('Template campaign not found');
+    }
+
+    const label = date.toLocaleDateString('en-US', {
+      timeZone: series.recurrence.timezone || 'America/New_York',
+      month: 'short',
+      day: 'numeric',
+      year: 'numeric'
+    });
+
+    return Campaign.create({
+      name: `${series.name} #${occurrence} - ${label}`,
+      subject: template.subject,
+      htmlContent: template.htmlContent,
+      textContent: template.textContent,
+      previewText: template.previewText,
+      targetType: template.targetType,
+      segment: template.segment,
+      list: template.list,
+      fromName: template.fromName,
+      fromEmail: template.fromEmail,
+      replyTo: template.replyTo,
+      tags: [...new Set([...(template.tags || []), 'series'])],
+      topic: template.topic,
+      templateBlocks: template.templateBlocks || [],
+      templateValidation: template.templateValidation,
+      abTest: template.abTest?.enabled ? {
+        enabled: true,
+        variants: template.abTest.variants.map(v => ({
+          key: v.key,
+          subject: v.subject,
+          previewText: v.previewText,
+          fromName: v.fromName,
+          htmlContent: v.htmlContent
+        })),
+        testPercentage: template.abTest.testPercentage,
+        waitHours: template.abTest.waitHours,
+        winnerMetric: template.abTest.winnerMetric
+      } : undefined,
+      sendTimeOptimization: template.sendTimeOptimization?.enabled ? {
+        enabled: true,
+        controlPercentage: template.sendTimeOptimization.controlPercentage
+      } : undefined,
+      coupon: template.coupon?.percentOff ? {
+        percentOff: template.coupon.percentOff,
+        expirationDays: template.coupon.expirationDays,
+        prefix: template.coupon.prefix
+      } : undefined,
+      resend: template.resend?.enabled ? {
+        enabled: true,
+        subject: template.resend.subject,
+        previewText: template.resend.previewText,
+        delayHours: template.resend.delayHours
+      } : undefined,
+      holdout: template.holdout?.percentage ? {
+        percentage: template.holdout.percentage,
+        windowDays: template.holdout.windowDays
+      } : undefined,
+      series: series._id,
+      seriesOccurrence: occurrence,
+      status: 'scheduled',
+      scheduledAt: date
+    });
+  }
+
+  skip(series, date, reason, { calendarEntry = null, detail = null } = {}) {
+    series.skipped.push({ date, reason, calendarEntry, detail });
+    if (series.skipped.length > MAX_SKIPPED_HISTORY) {
+      series.skipped = series.skipped.slice(-MAX_SKIPPED_HISTORY);
+    }
+  }
+
+  /**
+   * Procesa las fechas de una serie que entraron en la ventana de leadHours
+   * @returns {object} { created: [campaignId], skipped: number }
+   */
+  async processSeries(series, now = new Date()) {
+    const created = [];
+    let skipped = 0;
+    const leadMs = (series.leadHours ?? 24) * HOUR_MS;
+
+    for (let i = 0; i < MAX_PER_RUN; i++) {
+      const { count } = series.recurrence;
+      if (count && series.occurrencesCreated >= count) {
+        series.status = 'completed';
+        series.nextOccurrenceAt = null;
+        break;
+      }
+
+      const next = this.nextOccurrence(series.recurrence, series.lastOccurrenceAt || new Date(0));
+      series.nextOccurrenceAt = next;
+
+      if (!next) {
+        series.status = 'completed';
+        break;
+      }
+
+      if (next.getTime() - leadMs > now.getTime()) break;
+
+      if (next.getTime() < now.getTime() - MISSED_GRACE_MS) {
+        this.skip(series, next, 'missed');
+        skipped++;
+      } else {
+        const blackout = series.skipBlackouts
+          ? await this.findBlackout(next, series.recurrence.timezone)
+          : null;
+
+        if (blackout) {
+          this.skip(series, next, 'blackout', { calendarEntry: blackout._id, detail: blackout.name });
+          console.log(`🔁 Series "${series.name}": ${next.toISOString()} skipped (blackout "${blackout.name}")`);
+          skipped++;
+        } else {
+          try {
+            const campaign = await this.materialize(series, next, series.occurrencesCreated + 1);
+            series.occurrencesCreated++;
+            created.push(campaign._id);
+            console.log(`🔁 Series "${series.name}": occurrence #${series.occurrencesCreated} scheduled for ${next.toISOString()}`);
+          } catch (error) {
+            this.skip(series, next, 'error', { detail: error.message });
+            console.error(`🔁 Series "${series.name}": ${next.toISOString()} failed - ${error.message}`);
+            skipped++;
+          }
+        }
+      }
+
+      series.lastOccurrenceAt = next;
+    }
+
+    if (series.status !== 'completed') {
+      series.nextOccurrenceAt = this.nextOccurrence(series.recurrence, series.lastOccurrenceAt || new Date(0));
+      if (!series.nextOccurrenceAt) series.status = 'completed';
+    }
+
+    await series.save();
+
+    return { created, skipped };
+  }
+
+  /**
+   * Series activas con una fecha dentro de su ventana de leadHours (schedulerJob)
+   */
+  async processDue(now = new Date()) {
+    const active = await CampaignSeries.find({
+      status: 'active',
+      nextOccurrenceAt: { $ne: null, $lte: new Date(now.getTime() + 168 * HOUR_MS) }
+    });
+
+    const due = active.filter(s => s.nextOccurrenceAt.getTime() - (s.leadHours ?? 24) * HOUR_MS <= now.getTime());
+    const results = [];
+
+    for (const series of due) {
+      try {
+        const result = await this.processSeries(series, now);
+        results.push({ seriesId: series._id, name: series.name, ...result });
+      } catch (error) {
+        console.error(`🔁 Series "${series.name}" error:`, error.message);
+        results.push({ seriesId: series._id, name: series.name, error: error.message });
+      }
+    }
+
+    return results;
+  }
+
+  /**
+   * Opciones de sendCampaign para una campaña programada (schedulerJob)
+   */
+  async getSendOptions(campaign) {
+    if (!campaign.series || !campaign.seriesOccurrence) return {};
+
+    const series = await CampaignSeries.findById(campaign.series).select('acknowledgeWarnings').lean();
+    return series?.acknowledgeWarnings
+      ? { acknowledgeWarnings: true, acknowledgedBy: 'series' }
+      : {};
+  }
+
+  // ==================== REPORTING ====================
+
+  /**
+   * Stats de todas las ocurrencias de la serie + totales + próximas fechas
+   */
+  async getReport(series) {
+    const campaigns = await Campaign.find({ series: series._id, seriesOccurrence: { $ne: null } })
+      .select('name status scheduledAt sentAt seriesOccurrence stats')
+      .sort({ scheduledAt: 1 })
+      .lean();
+
+    const rate = (n, base) => base > 0 ? parseFloat(((n / base) * 100).toFixed(2)) : 0;
+
+    const totals = {
+      occurrences: campaigns.length,
+      sent: 0,
+      delivered: 0,
+      opened: 0,
+      clicked: 0,
+      humanOpened: 0,
+      humanClicked: 0,
+      bounced: 0,
+      unsubscribed: 0,
+      purchased: 0,
+      revenue: 0
+    };
+
+    const occurrences = campaigns.map(c => {
+      const s = c.stats || {};
+      const human = botFilterService.getHumanMetrics(s);
+      totals.sent += s.sent || 0;
+      totals.delivered += s.delivered || 0;
+      totals.opened += s.opened || 0;
+      totals.clicked += s.clicked || 0;
+      totals.humanOpened += human.opened;
+      totals.humanClicked += human.clicked;
+      totals.bounced += s.bounced || 0;
+      totals.unsubscribed += s.unsubscribed || 0;
+      totals.purchased += s.purchased || 0;
+      totals.revenue += s.totalRevenue || 0;
+
+      return {
+        _id: c._id,
+        occurrence: c.seriesOccurrence,
+        name: c.name,
+        status: c.status,
+        scheduledAt: c.scheduledAt,
+        sentAt: c.sentAt,
+        sent: s.sent || 0,
+        delivered: s.delivered || 0,
+        opened: s.opened || 0,
+        clicked: s.clicked || 0,
+        humanOpened: human.opened,
+        humanClicked: human.clicked,
+        purchased: s.purchased || 0,
+        revenue: parseFloat((s.totalRevenue || 0).toFixed(2)),
+        openRate: rate(s.opened || 0, s.delivered || 0),
+        clickRate: rate(s.clicked || 0, s.delivered || 0),
+        humanOpenRate: rate(human.opened, s.delivered || 0),
+        humanClickRate: rate(human.clicked, s.delivered || 0)
+      };
+    });
+
+    totals.revenue = parseFloat(totals.revenue.toFixed(2));
+
+    const remaining = series.recurrence.count ? series.recurrence.count - series.occurrencesCreated : 5;
+    const upcoming = series.status === 'active' && remaining > 0
+      ? await this.preview(series.recurrence, {
+        limit: Math.min(5, remaining),
+        skipBlackouts: series.skipBlackouts,
+        after: series.lastOccurrenceAt || new Date()
+      })
+      : [];
+
+    return {
+      series: {
+        _id: series._id,
+        name: series.name,
+        status: series.status,
+        recurrence: series.recurrence,
+        occurrencesCreated: series.occurrencesCreated,
+        nextOccurrenceAt: series.nextOccurrenceAt
+      },
+      totals: {
+        ...totals,
+        openRate: rate(totals.opened, totals.delivered),
+        clickRate: rate(totals.clicked, totals.delivered),
+        humanOpenRate: rate(totals.humanOpened, totals.delivered),
+        humanClickRate: rate(totals.humanClicked, totals.delivered),
+        unsubscribeRate: rate(totals.unsubscribed, totals.sent),
+        conversionRate: rate(totals.purchased, totals.delivered),
+        revenuePerEmail: totals.sent > 0 ? parseFloat((totals.revenue / totals.sent).toFixed(4)) : 0
+      },
+      occurrences,
+      skipped: series.skipped,
+      upcoming
+    };
+  }
+}
+
+module.exports = new CampaignSeriesService();
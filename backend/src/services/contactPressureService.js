@@ -0,0 +1,218 @@
+// backend/src/services/contactPressureService.js
+// 🚦 Contact pressure - Frequency capping global entre email y SMS
+//
+// Cada envío de marketing (campañas, Maximus, flows, campañas SMS) se registra
+// en ContactLog. Antes de enviar una campaña, emailQueue y el sender de SMS
+// consultan este servicio: si el contacto ya alcanzó alguna regla de
+// FrequencyCapConfig (por canal o cruzada), se salta con 'frequency_capped'.
+//
+// Los flows cuentan para la presión pero no se limitan. Una campaña marcada
+// frequencyCapExempt por un admin se envía sin consultar los caps.
+const ContactLog = require('../models/ContactLog');
+const FrequencyCapConfig = require('../models/FrequencyCapConfig');
+
+const normalizePhone = (phone) => {
+  if (!phone) return null;
+  const digits = String(phone).replace(/\D/g, '');
+  return digits.length >= 10 ? digits.slice(-10) : null;
+};
+
+class ContactPressureService {
+
+  // ==================== EVALUACIÓN ====================
+
+  /**
+   * Contactos que alcanzaron algún cap para un canal
+   * @param {string} channel - 'email' | 'sms'
+   * @param {object[]} contacts - [{ key, email?, phone? }]
+   * @returns {Set<string>} keys limitados
+   */
+  async findCapped(channel, contacts) {
+    const capped = new Set();
+    if (contacts.length === 0) return capped;
+
+    const config = await FrequencyCapConfig.getConfig();
+    if (!config.enabled) return capped;
+
+    const rules = (config.rules || []).filter(r => r.channel === channel || r.channel === 'all');
+    if (rules.length === 0) return capped;
+
+    const now = Date.now();
+    const maxWindowMs = Math.max(...rules.map(r => r.windowHours)) * 60 * 60 * 1000;
+
+    const emails = [...new Set(contacts.map(c => c.email).filter(Boolean))];
+    const phones = [...new Set(contacts.map(c => normalizePhone(c.phone)).filter(Boolean))];
+
+    const identity = [];
+    if (emails.length > 0) identity.push({ email: { $in: emails } });
+    if (phones.length > 0) identity.push({ phone: { $in: phones } });
+    if (identity.length === 0) return capped;
+
+    const logs = await ContactLog.find({
+      sentAt: { $gte: new Date(now - maxWindowMs) },
+      $or: identity
+    }).select('channel email phone sentAt').lean();
+
+    if (logs.length === 0) return capped;
+
+    // Índices por email y teléfono
+    const byEmail = new Map();
+    const byPhone = new Map();
+    logs.forEach(log => {
+      if (log.email) {
+        if (!byEmail.has(log.email)) byEmail.set(log.email, []);
+        byEmail.get(log.email).push(log);
+      }
+      if (log.phone) {
+        if (!byPhone.has(log.phone)) byPhone.set(log.phone, []);
+        byPhone.get(log.phone).push(log);
+      }
+    });
+
+    contacts.forEach(contact => {
+      const phone = normalizePhone(contact.phone);
+      const seen = new Map();
+      [...(byEmail.get(contact.email) || []), ...(byPhone.get(phone) || [])]
+        .forEach(log => seen.set(log._id.toString(), log));
+      const history = [...seen.values()];
+
+      if (history.length === 0) return;
+
+      const overCap = rules.some(rule => {
+        const since = now - rule.windowHours * 60 * 60 * 1000;
+        const count = history.filter(log =>
+          log.sentAt.getTime() >= since &&
+          (rule.channel === 'all' || log.channel === rule.channel)
+        ).length;
+        return count >= rule.maxMessages;
+      });
+
+      if (overCap) capped.add(contact.key);
+    });
+
+    return capped;
+  }
+
+  /**
+   * Evalúa un batch de emails de una campaña
+   * @returns {object} { capped: Set<email>, phoneByEmail: Map, source, exempt }
+   */
+  async evaluateEmailBatch(campaignId, emails) {
+    const Campaign = require('../models/Campaign');
+    const Customer = require('../models/Customer');
+
+    const [campaign, customers] = await Promise.all([
+      Campaign.findById(campaignId).select('frequencyCapExempt tags').lean(),
+      Customer.find({ email: { $in: emails }, phone: { $exists: true, $ne: null } })
+        .select('email phone')
+        .lean()
+    ]);
+
+    const phoneByEmail = new Map();
+    customers.forEach(c => {
+      const phone = normalizePhone(c.phone);
+      if (phone) phoneByEmail.set(c.email.toLowerCase(), phone);
+    });
+
+    const exempt = !!campaign?.frequencyCapExempt;
+    const source = campaign?.tags?.includes('maximus') ? 'maximus' : 'campaign';
+
+    const capped = exempt
+      ? new Set()
+      : await this.findCapped('email', emails.map(email => ({
+          key: email,
+          email,
+          phone: phoneByEmail.get(email)
+        })));
+
+    return { capped, phoneByEmail, source, exempt };
+  }
+
+  /**
+   * Evalúa un batch de mensajes de una campaña SMS
+   * @returns {Set<string>} teléfonos limitados (tal como vienen en `phones`)
+   */
+  async evaluateSmsBatch(smsCampaign, phones) {
+    if (smsCampaign?.frequencyCapExempt) return new Set();
+
+    return this.findCapped('sms', phones.map(phone => ({ key: phone, phone })));
+  }
+
+  // ==================== REGISTRO ====================
+
+  /**
+   * Registra envíos. Nunca lanza: el registro no debe romper el envío.
+   * @param {object[]} entries - [{ channel, source, customer?, email?, phone?, campaign?, smsCampaign?, flow? }]
+   */
+  async recordContacts(entries) {
+    const docs = entries
+      .map(entry => ({
+        ...entry,
+        email: entry.email ? String(entry.email).toLowerCase().trim() : undefined,
+        phone: normalizePhone(entry.phone) || undefined,
+        sentAt: entry.sentAt || new Date()
+      }))
+      .filter(doc => doc.email || doc.phone);
+
+    if (docs.length === 0) return 0;
+
+    try {
+      await ContactLog.insertMany(docs, { ordered: false });
+      return docs.length;
+    } catch (error) {
+      console.error('⚠️  ContactLog insert error:', error.message);
+      return 0;
+    }
+  }
+
+  // ==================== CONSULTA ====================
+
+  /**
+   * Presión actual de un contacto frente a cada regla
+   */
+  async getContactPressure({ email, phone }) {
+    const config = await FrequencyCapConfig.getConfig();
+    const normalizedEmail = email ? String(email).toLowerCase().trim() : null;
+    const normalizedPhone = normalizePhone(phone);
+
+    const identity = [];
+    if (normalizedEmail) identity.push({ email: normalizedEmail });
+    if (normalizedPhone) identity.push({ phone: normalizedPhone });
+    if (identity.length === 0) return null;
+
+    const maxWindowHours = Math.max(24, ...config.rules.map(r => r.windowHours));
+    const logs = await ContactLog.find({
+      sentAt: { $gte: new Date(Date.now() - maxWindowHours * 60 * 60 * 1000) },
+      $or: identity
+    })
+      .sort({ sentAt: -1 })
+      .lean();
+
+    const now = Date.now();
+    const rules = config.rules.map(rule => {
+      const since = now - rule.windowHours * 60 * 60 * 1000;
+      const count = logs.filter(log =>
+        log.sentAt.getTime() >= since &&
+        (rule.channel === 'all' || log.channel === rule.channel)
+      ).length;
+
+      return {
+        channel: rule.channel,
+        maxMessages: rule.maxMessages,
+        windowHours: rule.windowHours,
+        count,
+        capped: count >= rule.maxMessages
+      };
+    });
+
+    return {
+      enabled: config.enabled,
+      email: normalizedEmail,
+      phone: normalizedPhone,
+      rules,
+      recentContacts: logs.slice(0, 20)
+    };
+  }
+}
+
+module.exports = new ContactPressureService();
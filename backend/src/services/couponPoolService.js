@@ -0,0 +1,330 @@
+// backend/src/services/couponPoolService.js
+// 🎟️ Coupon Pool - Códigos únicos de un solo uso por destinatario ({{coupon}})
+//
+// 1. ensurePool()    - price rule único por campaña + códigos pre-generados (Shopify batch)
+// 2. assignBatch()   - emailQueue asigna un código por destinatario al enviar (bulk claim)
+// 3. redeemFromOrder() - orderCreate marca el canje → atribución exacta al destinatario
+//
+// Con SHOPIFY_MOCK=true los códigos se generan igual pero no se crean en Shopify.
+const crypto = require('crypto');
+const Campaign = require('../models/Campaign');
+const CouponCode = require('../models/CouponCode');
+const EmailSend = require('../models/EmailSend');
+const shopifyService = require('./shopifyService');
+
+const PLACEHOLDER_REGEX = /\{\{\s*coupon\s*\}\}/g;
+
+// Sin 0/O/1/I para que se puedan tipear sin confusión
+const CODE_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+const CODE_LENGTH = 8;
+const SHOPIFY_BATCH_SIZE = 100;
+const MAX_POOL_SIZE = 200000;
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+class CouponPoolService {
+
+  hasPlaceholder(content) {
+    return !!content && /\{\{\s*coupon\s*\}\}/.test(content);
+  }
+
+  /**
+   * ¿La campaña usa {{coupon}} en subject, html, texto o variantes A/B?
+   */
+  usesCoupon(campaign) {
+    const sources = [campaign.subject, campaign.htmlContent, campaign.textContent];
+    (campaign.abTest?.variants || []).forEach(v => sources.push(v.subject, v.htmlContent));
+    return sources.some(source => this.hasPlaceholder(source));
+  }
+
+  render(content, code) {
+    return content ? content.replace(PLACEHOLDER_REGEX, code) : content;
+  }
+
+  generateCode(prefix) {
+    const bytes = crypto.randomBytes(CODE_LENGTH);
+    let suffix = '';
+    for (let i = 0; i < CODE_LENGTH; i++) {
+      suffix += CODE_ALPHABET[bytes[i] % CODE_ALPHABET.length];
+    }
+    return `${prefix}-${suffix}`;
+  }
+
+  // ==================== GENERACIÓN ====================
+
+  /**
+   * Price rule único de la campaña (se crea la primera vez)
+   */
+  async ensurePriceRule(campaign) {
+    if (campaign.coupon?.priceRuleId) return campaign.coupon.priceRuleId;
+
+    const { percentOff, expirationDays = 14 } = campaign.coupon || {};
+    if (!percentOff) {
+      throw new Error('coupon.percentOff is required to generate codes');
+    }
+
+    const endsAt = new Date(Date.now() + expirationDays * 24 * 60 * 60 * 1000);
+
+    // Sin usage_limit global: cada código se entrega a un solo destinatario y el
+    // canje se controla en redeemFromOrder (igual que el dynamic discount de SMS)
+    const priceRule = await shopifyService.createPriceRule({
+      title: `Email Campaign ${campaign.name} - ${percentOff}%`,
+      target_type: 'line_item',
+      target_selection: 'all',
+      allocation_method: 'across',
+      value_type: 'percentage',
+      value: `-${percentOff}`,
+      customer_selection: 'all',
+      usage_limit: null,
+      once_per_customer: true,
+      starts_at: new Date().toISOString(),
+      ends_at: endsAt.toISOString()
+    });
+
+    await Campaign.findByIdAndUpdate(campaign._id, {
+      'coupon.priceRuleId': String(priceRule.id),
+      'coupon.endsAt': endsAt
+    });
+
+    campaign.coupon.priceRuleId = String(priceRule.id);
+    campaign.coupon.endsAt = endsAt;
+
+    return campaign.coupon.priceRuleId;
+  }
+
+  /**
+   * Genera `count` códigos nuevos: se guardan primero en Mongo (índice único)
+   * y después se crean en Shopify de a 100
+   * @returns {number} códigos generados
+   */
+  async generateCodes(campaign, count) {
+    if (count <= 0) return 0;
+
+    const priceRuleId = await this.ensurePriceRule(campaign);
+    const prefix = campaign.coupon?.prefix || 'JPE';
+    const mocked = shopifyService.isMocked();
+    let generated = 0;
+
+    console.log(`🎟️  Generando ${count.toLocaleString()} códigos para campaña ${campaign._id}${mocked ? ' (mock)' : ''}`);
+
+    while (generated < count) {
+      const size = Math.min(SHOPIFY_BATCH_SIZE, count - generated);
+      const codes = new Set();
+      while (codes.size < size) codes.add(this.generateCode(prefix));
+
+      // ordered:false → si un código ya existe se descarta y se insertan los demás
+      let inserted = [];
+      try {
+        inserted = await CouponCode.insertMany(
+          [...codes].map(code => ({ code, campaign: campaign._id, priceRuleId, mocked })),
+          { ordered: false }
+        );
+      } catch (error) {
+        if (error.code !== 11000 && !error.writeErrors) throw error;
+        inserted = error.insertedDocs ||
+          await CouponCode.find({ code: { $in: [...codes] }, campaign: campaign._id, status: 'available' }).select('code').lean();
+      }
+
+      if (inserted.length === 0) continue;
+
+      try {
+        await shopifyService.createDiscountCodesBatch(priceRuleId, inserted.map(c => c.code));
+      } catch (error) {
+        await CouponCode.deleteMany({ _id: { $in: inserted.map(c => c._id) } });
+        throw error;
+      }
+
+      generated += inserted.length;
+      await Campaign.findByIdAndUpdate(campaign._id, { $inc: { 'coupon.generated': inserted.length } });
+
+      if (!mocked && generated < count) await sleep(500); // Rate limit Shopify API
+    }
+
+    console.log(`✅ ${generated.toLocaleString()} códigos generados (price rule ${priceRuleId})`);
+    return generated;
+  }
+
+  /**
+   * Completa el pool hasta tener `needed` códigos disponibles
+   * @returns {object} { available, generated }
+   */
+  async ensurePool(campaign, needed) {
+    const available = await CouponCode.countDocuments({ campaign: campaign._id, status: 'available' });
+    const shortfall = Math.min(needed, MAX_POOL_SIZE) - available;
+
+    if (shortfall <= 0) return { available, generated: 0 };
+
+    const generated = await this.generateCodes(campaign, shortfall);
+    return { available: available + generated, generated };
+  }
+
+  // ==================== ASIGNACIÓN (emailQueue) ====================
+
+  /**
+   * Asigna un código a cada destinatario. Idempotente: un reintento del job
+   * recibe el mismo código que ya tenía asignado.
+   * @param {string} campaignId
+   * @param {object[]} recipients - [{ email, customerId }]
+   * @returns {Map<string, string>} email → code (sin entrada si el pool se agotó)
+   */
+  async assignBatch(campaignId, recipients) {
+    const assigned = new Map();
+    const emails = [...new Set(recipients.map(r => r.email))];
+
+    const existing = await CouponCode.find({
+      campaign: campaignId,
+      email: { $in: emails },
+      status: { $in: ['assigned', 'redeemed'] }
+    }).select('email code').lean();
+
+    existing.forEach(c => assigned.set(c.email, c.code));
+
+    const missing = recipients.filter((r, i, all) =>
+      !assigned.has(r.email) && all.findIndex(x => x.email === r.email) === i
+    );
+    if (missing.length === 0) return assigned;
+
+    const claimToken = `c-${process.pid}-${Date.now()}-${crypto.randomBytes(3).toString('hex')}`;
+    let claimed = await this.claim(campaignId, missing.length, claimToken);
+
+    // Pool agotado: se intenta completar una vez antes de rendirse
+    if (claimed.length < missing.length) {
+      try {
+        const campaign = await Campaign.findById(campaignId);
+        await this.generateCodes(campaign, missing.length - claimed.length);
+        // claim() devuelve todo lo reservado con el token (los anteriores + los nuevos)
+        claimed = await this.claim(campaignId, missing.length - claimed.length, claimToken);
+      } catch (error) {
+        console.error(`   ⚠️  No se pudo completar el pool de cupones: ${error.message}`);
+      }
+    }
+
+    const now = new Date();
+    const updates = claimed.map((coupon, i) => {
+      assigned.set(missing[i].email, coupon.code);
+      return {
+        updateOne: {
+          filter: { _id: coupon._id, claimedBy: claimToken },
+          update: {
+            $set: {
+              status: 'assigned',
+              email: missing[i].email,
+              customer: missing[i].customerId || null,
+              assignedAt: now,
+              claimedBy: null
+            }
+          }
+        }
+      };
+    });
+
+    if (updates.length > 0) {
+      await CouponCode.bulkWrite(updates, { ordered: false });
+      await Campaign.findByIdAndUpdate(campaignId, { $inc: { 'coupon.assigned': updates.length } });
+    }
+
+    return assigned;
+  }
+
+  async claim(campaignId, count, claimToken) {
+    if (count <= 0) return [];
+
+    const candidates = await CouponCode.find({ campaign: campaignId, status: 'available' })
+      .limit(count)
+      .select('_id')
+      .lean();
+
+    if (candidates.length === 0) return [];
+
+    await CouponCode.updateMany(
+      { _id: { $in: candidates.map(c => c._id) }, status: 'available' },
+      { $set: { status: 'reserved', claimedBy: claimToken } }
+    );
+
+    return CouponCode.find({ claimedBy: claimToken, status: 'reserved' })
+      .select('_id code')
+      .lean();
+  }
+
+  // ==================== CANJE (orderCreate) ====================
+
+  /**
+   * Busca en los discount codes de la orden un código del pool y lo marca canjeado
+   * @returns {object|null} { campaignId, customerId, email, code, reused }
+   */
+  async redeemFromOrder(shopifyOrder, order) {
+    const codes = (shopifyOrder.discount_codes || []).map(d => d.code?.toUpperCase()).filter(Boolean);
+    if (codes.length === 0) return null;
+
+    const coupon = await CouponCode.findOne({ code: { $in: codes }, status: { $in: ['assigned', 'redeemed'] } });
+    if (!coupon) return null;
+
+    const orderTotal = parseFloat(shopifyOrder.total_price) || 0;
+    const result = {
+      campaignId: coupon.campaign,
+      customerId: coupon.customer,
+      email: coupon.email,
+      code: coupon.code,
+      reused: coupon.status === 'redeemed'
+    };
+
+    if (result.reused) {
+      console.log(`   ⚠️  Código ${coupon.code} ya canjeado (orden ${coupon.order}) - reutilizado`);
+      return result;
+    }
+
+    const redeemed = await CouponCode.findOneAndUpdate(
+      { _id: coupon._id, status: 'assigned' },
+      { $set: { status: 'redeemed', redeemedAt: new Date(), order: order._id, orderTotal } },
+      { new: true }
+    );
+    if (!redeemed) return { ...result, reused: true };
+
+    await Promise.all([
+      Campaign.findByIdAndUpdate(coupon.campaign, {
+        $inc: { 'coupon.redeemed': 1, 'coupon.revenue': orderTotal }
+      }),
+      EmailSend.updateOne(
+        { campaignId: coupon.campaign, recipientEmail: coupon.email },
+        { $set: { 'coupon.redeemedAt': redeemed.redeemedAt, 'coupon.orderId': order._id } }
+      )
+    ]);
+
+    return result;
+  }
+
+  // ==================== STATS ====================
+
+  async getStats(campaignId) {
+    const mongoose = require('mongoose');
+
+    const rows = await CouponCode.aggregate([
+      { $match: { campaign: new mongoose.Types.ObjectId(campaignId) } },
+      {
+        $group: {
+          _id: '$status',
+          count: { $sum: 1 },
+          revenue: { $sum: { $ifNull: ['$orderTotal', 0] } }
+        }
+      }
+    ]);
+
+    const byStatus = { available: 0, reserved: 0, assigned: 0, redeemed: 0 };
+    let revenue = 0;
+    rows.forEach(row => {
+      byStatus[row._id] = row.count;
+      revenue += row.revenue;
+    });
+
+    const sent = byStatus.assigned + byStatus.redeemed;
+
+    return {
+      ...byStatus,
+      total: Object.values(byStatus).reduce((sum, n) => sum + n, 0),
+      redemptionRate: sent > 0 ? parseFloat(((byStatus.redeemed / sent) * 100).toFixed(2)) : 0,
+      revenue: parseFloat(revenue.toFixed(2))
+    };
+  }
+}
+
+module.exports = new CouponPoolService();
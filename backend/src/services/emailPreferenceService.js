@@ -0,0 +1,348 @@
+// backend/src/services/emailPreferenceService.js
+// 📬 Preference center - Opt-down por topic, frecuencia y pausa
+//
+// En vez de todo-o-nada (unsubscribe), el cliente elige qué topics recibe,
+// si quiere menos emails o pausar 30/60/90 días. Cada Campaign tiene un topic
+// (Maximus lo asigna según su campaignType) y emailQueue salta a quien no lo
+// quiere: 'topic_opt_out', 'paused' o 'fewer_emails'.
+//
+// Los opt-downs se registran como EmailEvent 'opted_down' y en
+// Campaign.stats.optedDown, separados de los unsubscribes.
+const Customer = require('../models/Customer');
+const EmailEvent = require('../models/EmailEvent');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const TOPICS = {
+  promotions: 'Promotions & discounts',
+  content: 'Recipes & pickle stories',
+  product_launches: 'New products & launches',
+  order_updates: 'Order & shipping updates'
+};
+
+const PAUSE_OPTIONS = [30, 60, 90];
+
+// "Fewer emails": máximo 1 campaña cada N días
+const FEWER_EMAILS_WINDOW_DAYS = 7;
+
+// campaignType de Maximus → topic
+const MAXIMUS_TOPIC_MAP = {
+  promotional: 'promotions',
+  content: 'content',
+  recipe: 'content',
+  pairing: 'content',
+  customer_love: 'content',
+  product_spotlight: 'product_launches'
+};
+
+class EmailPreferenceService {
+
+  constructor() {
+    this.TOPICS = TOPICS;
+    this.PAUSE_OPTIONS = PAUSE_OPTIONS;
+  }
+
+  // ==================== TOPICS ====================
+
+  isValidTopic(topic) {
+    return Object.prototype.hasOwnProperty.call(TOPICS, topic);
+  }
+
+  topicForMaximusType(campaignType) {
+    return MAXIMUS_TOPIC_MAP[campaignType] || 'promotions';
+  }
+
+  /**
+   * Preferencias efectivas de un cliente (con defaults)
+   */
+  getPreferences(customer) {
+    const prefs = customer?.emailPreferences || {};
+    const pausedUntil = prefs.pausedUntil && new Date(prefs.pausedUntil) > new Date()
+      ? new Date(prefs.pausedUntil)
+      : null;
+
+    const topics = {};
+    Object.keys(TOPICS).forEach(topic => {
+      topics[topic] = prefs.topics?.[topic] !== false;
+    });
+
+    return {
+      topics,
+      frequency: prefs.frequency || 'normal',
+      pausedUntil,
+      updatedAt: prefs.updatedAt || null
+    };
+  }
+
+  // ==================== EVALUACIÓN (emailQueue) ====================
+
+  /**
+   * Evalúa un batch de emails de una campaña contra las preferencias
+   * @returns {Map<string, string>} email → skipReason ('topic_opt_out' | 'paused' | 'fewer_emails')
+   */
+  async evaluateEmailBatch(campaignId, emails) {
+    const Campaign = require('../models/Campaign');
+    const ContactLog = require('../models/ContactLog');
+
+    const skips = new Map();
+    if (emails.length === 0) return skips;
+
+    const campaign = await Campaign.findById(campaignId).select('topic').lean();
+    const topic = campaign?.topic || 'promotions';
+    const now = new Date();
+
+    // Solo clientes con alguna preferencia distinta al default
+    const customers = await Customer.find({
+      email: { $in: emails },
+      $or: [
+        { [`emailPreferences.topics.${topic}`]: false },
+        { 'emailPreferences.pausedUntil': { $gt: now } },
+        { 'emailPreferences.frequency': 'fewer' }
+      ]
+    }).select('email emailPreferences').lean();
+
+    if (customers.length === 0) return skips;
+
+    const fewer = [];
+    customers.forEach(c => {
+      const email = c.email.toLowerCase();
+      const prefs = c.emailPreferences || {};
+
+      if (prefs.topics?.[topic] === false) {
+        skips.set(email, 'topic_opt_out');
+      } else if (prefs.pausedUntil && new Date(prefs.pausedUntil) > now) {
+        skips.set(email, 'paused');
+      } else if (prefs.frequency === 'fewer') {
+        fewer.push(email);
+      }
+    });
+
+    // Fewer emails: saltar si ya recibió una campaña dentro de la ventana
+    if (fewer.length > 0) {
+      const recent = await ContactLog.distinct('email', {
+        channel: 'email',
+        source: { $in: ['campaign', 'maximus'] },
+        email: { $in: fewer },
+        sentAt: { $gte: new Date(now.getTime() - FEWER_EMAILS_WINDOW_DAYS * DAY_MS) }
+      });
+      recent.forEach(email => skips.set(email, 'fewer_emails'));
+    }
+
+    return skips;
+  }
+
+  // ==================== ACTUALIZACIÓN (preference center) ====================
+
+  /**
+   * Normaliza el input del formulario (checkboxes) o JSON
+   * topics: ['promotions', ...] | 'promotions' | { promotions: true, ... }
+   */
+  parseInput(body = {}) {
+    const input = {};
+
+    if (body.topics !== undefined) {
+      input.topics = {};
+      if (body.topics && typeof body.topics === 'object' && !Array.isArray(body.topics)) {
+        Object.keys(TOPICS).forEach(topic => {
+          if (body.topics[topic] !== undefined) {
+            input.topics[topic] = body.topics[topic] === true || body.topics[topic] === 'true' || body.topics[topic] === 'on';
+          }
+        });
+      } else {
+        const selected = [].concat(body.topics || []);
+        Object.keys(TOPICS).forEach(topic => {
+          input.topics[topic] = selected.includes(topic);
+        });
+      }
+    } else if (body.action === 'save') {
+      // Formulario enviado sin ningún checkbox marcado
+      input.topics = Object.keys(TOPICS).reduce((acc, topic) => ({ ...acc, [topic]: false }), {});
+    }
+
+    if (body.frequency !== undefined) {
+      input.frequency = body.frequency;
+    }
+
+    // Reactivación explícita de un unsubscribed (con sus topics guardados)
+    if (body.action === 'resubscribe') {
+      input.resubscribe = true;
+    }
+
+    if (body.pauseDays !== undefined && body.pauseDays !== '') {
+      input.pauseDays = parseInt(body.pauseDays, 10);
+    }
+
+    return input;
+  }
+
+  /**
+   * @returns {string|null} error
+   */
+  validateInput(input) {
+    if (input.frequency !== undefined && !['normal', 'fewer'].includes(input.frequency)) {
+      return 'frequency must be "normal" or "fewer"';
+    }
+    if (input.pauseDays !== undefined && input.pauseDays !== 0 && !PAUSE_OPTIONS.includes(input.pauseDays)) {
+      return `pauseDays must be one of ${PAUSE_OPTIONS.join(', ')} (or 0 to resume)`;
+    }
+    return null;
+  }
+
+  /**
+   * Aplica preferencias, registra el opt-down y reactiva si estaba unsubscribed
+   * @param {object} customer - documento Customer
+   * @param {object} input - salida de parseInput
+   * @param {object} context - { campaignId?, userAgent?, ipAddress? }
+   * @returns {object} { preferences, changes, optedDown, resubscribed }
+   */
+  async updatePreferences(customer, input, context = {}) {
+    // Solo una elección explícita reactiva a un unsubscribed: topics marcados en
+    // este POST o action 'resubscribe'. Una pausa o "fewer emails" no lo reactiva
+    const isUnsubscribed = customer.emailStatus === 'unsubscribed';
+    const resubscribed = isUnsubscribed &&
+      (input.resubscribe === true || Object.values(input.topics || {}).some(Boolean));
+
+    // Mientras siga unsubscribed los topics guardados no se tocan (el formulario
+    // se los muestra sin marcar)
+    const topicsInput = isUnsubscribed && !resubscribed ? {} : (input.topics || {});
+
+    const before = this.getPreferences(customer);
+    const after = {
+      topics: { ...before.topics, ...topicsInput },
+      frequency: input.frequency || before.frequency,
+      pausedUntil: before.pausedUntil
+    };
+
+    if (input.pauseDays !== undefined) {
+      after.pausedUntil = input.pauseDays > 0
+        ? new Date(Date.now() + input.pauseDays * DAY_MS)
+        : null;
+    }
+
+    // Cambios que reducen lo que recibe = opt-down
+    const changes = [];
+    Object.keys(TOPICS).forEach(topic => {
+      if (before.topics[topic] && !after.topics[topic]) changes.push(`topic_off:${topic}`);
+    });
+    if (before.frequency === 'normal' && after.frequency === 'fewer') changes.push('frequency:fewer');
+    if (input.pauseDays > 0) changes.push(`pause:${input.pauseDays}d`);
+
+    customer.emailPreferences = {
+      topics: after.topics,
+      frequency: after.frequency,
+      pausedUntil: after.pausedUntil,
+      updatedAt: new Date()
+    };
+
+    if (resubscribed) {
+      customer.emailStatus = 'active';
+      customer.acceptsMarketing = true;
+    }
+
+    await customer.save();
+
+    if (resubscribed) {
+      const suppressionService = require('./suppressionService');
+      await suppressionService.remove({ email: customer.email }, ['unsubscribe']);
+    }
+
+    if (changes.length > 0) {
+      await this.recordOptDown(customer, changes, context);
+    }
+
+    return {
+      preferences: this.getPreferences(customer),
+      changes,
+      optedDown: changes.length > 0,
+      resubscribed
+    };
+  }
+
+  /**
+   * EmailEvent 'opted_down' + Campaign.stats.optedDown. Nunca lanza.
+   */
+  async recordOptDown(customer, changes, { campaignId, userAgent, ipAddress } = {}) {
+    try {
+      const eventData = {
+        customer: customer._id,
+        email: customer.email,
+        eventType: 'opted_down',
+        userAgent,
+        ipAddress,
+        metadata: { source: 'preference_center', changes }
+      };
+      if (campaignId) eventData.campaign = campaignId;
+
+      await EmailEvent.create(eventData);
+
+      if (campaignId) {
+        const Campaign = require('../models/Campaign');
+        await Campaign.findByIdAndUpdate(campaignId, { $inc: { 'stats.optedDown': 1 } });
+      }
+    } catch (error) {
+      console.log('⚠️ No se pudo registrar opt-down:', error.message);
+    }
+  }
+
+  // ==================== REPORTE ====================
+
+  /**
+   * Opt-downs vs unsubscribes en el período + estado actual de preferencias
+   */
+  async getReport({ days = 30 } = {}) {
+    const Campaign = require('../models/Campaign');
+    const since = new Date(Date.now() - days * DAY_MS);
+    const now = new Date();
+
+    const [eventCounts, optDownChanges, topicOptOuts, fewerCount, pausedCount, topCampaigns] = await Promise.all([
+      EmailEvent.aggregate([
+        { $match: { eventType: { $in: ['opted_down', 'unsubscribed'] }, eventDate: { $gte: since } } },
+        { $group: { _id: '$eventType', count: { $sum: 1 } } }
+      ]),
+      EmailEvent.aggregate([
+        { $match: { eventType: 'opted_down', eventDate: { $gte: since } } },
+        { $unwind: '$metadata.changes' },
+        { $group: { _id: '$metadata.changes', count: { $sum: 1 } } },
+        { $sort: { count: -1 } }
+      ]),
+      Promise.all(Object.keys(TOPICS).map(topic =>
+        Customer.countDocuments({ [`emailPreferences.topics.${topic}`]: false })
+          .then(count => ({ topic, label: TOPICS[topic], optedOut: count }))
+      )),
+      Customer.countDocuments({ 'emailPreferences.frequency': 'fewer' }),
+      Customer.countDocuments({ 'emailPreferences.pausedUntil': { $gt: now } }),
+      Campaign.find({ sentAt: { $gte: since }, 'stats.optedDown': { $gt: 0 } })
+        .select('name topic sentAt stats.sent stats.optedDown stats.unsubscribed')
+        .sort({ 'stats.optedDown': -1 })
+        .limit(10)
+        .lean()
+    ]);
+
+    const countOf = (type) => eventCounts.find(e => e._id === type)?.count || 0;
+
+    return {
+      period: { days, since },
+      events: {
+        optedDown: countOf('opted_down'),
+        unsubscribed: countOf('unsubscribed')
+      },
+      optDownChanges: optDownChanges.map(c => ({ change: c._id, count: c.count })),
+      current: {
+        topics: topicOptOuts,
+        fewerEmails: fewerCount,
+        paused: pausedCount
+      },
+      topCampaigns: topCampaigns.map(c => ({
+        _id: c._id,
+        name: c.name,
+        topic: c.topic,
+        sentAt: c.sentAt,
+        sent: c.stats?.sent || 0,
+        optedDown: c.stats?.optedDown || 0,
+        unsubscribed: c.stats?.unsubscribed || 0
+      }))
+    };
+  }
+}
+
+module.exports = new EmailPreferenceService();
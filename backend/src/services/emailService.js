@@ -2,6 +2,8 @@
 const { Resend } = require('resend');
 const CircuitBreaker = require('../utils/circuitBreaker');
 const { generateUnsubscribeToken } = require('../utils/unsubscribeToken');
+const templateEngine = require('../utils/templateEngine');
+const personalizationService = require('./personalizationService');
 
 const resend = new Resend(process.env.RESEND_API_KEY);
 
@@ -32,6 +34,7 @@ class EmailService {
     to, 
     subject, 
     html, 
+    text = null,
     from = null, 
     replyTo = null, 
     campaignId = null, 
@@ -39,7 +42,8 @@ class EmailService {
     tags = null,
     retries = 0,
     maxRetries = 3,
-    includeUnsubscribe = true
+    includeUnsubscribe = true,
+    headers = null
   }) {
     try {
       if (!to || !subject || !html) {
@@ -52,6 +56,8 @@ class EmailService {
 
       if (includeUnsubscribe && customerId) {
         html = this.injectUnsubscribeLink(html, customerId, to, campaignId);
+        if (text) text = this.injectUnsubscribeLinkText(text, customerId, to, campaignId);
+        headers = { ...headers, ...this.generateListUnsubscribeHeaders(customerId, to, campaignId) };
       }
 
       let emailTags = [];
@@ -69,7 +75,9 @@ class EmailService {
           to: Array.isArray(to) ? to : [to],
           subject,
           html,
+          text: text || undefined,
           reply_to: replyTo,
+          headers: headers || undefined,
           tags: emailTags.length > 0 ? emailTags : undefined
         });
       }, `sendEmail:${to}`);
@@ -106,6 +114,7 @@ class EmailService {
           to,
           subject,
           html,
+          text,
           from,
           replyTo,
           campaignId,
@@ -113,7 +122,8 @@ class EmailService {
           tags,
           retries: retries + 1,
           maxRetries,
-          includeUnsubscribe: false
+          includeUnsubscribe: false,
+          headers
         });
       }
       
@@ -163,9 +173,13 @@ class EmailService {
       const formattedEmails = emailsArray.map(email => {
         const toArray = Array.isArray(email.to) ? email.to : [email.to];
         let htmlContent = email.html;
+        let textContent = email.text;
+        let headers = email.headers;
         
         if (includeUnsubscribe && email.customerId) {
-          htmlContent = this.injectUnsubscribeLink(htmlContent, email.customerId, toArray[0]);
+          htmlContent = this.injectUnsubscribeLink(htmlContent, email.customerId, toArray[0], email.campaignId);
+          if (textContent) textContent = this.injectUnsubscribeLinkText(textContent, email.customerId, toArray[0], email.campaignId);
+          headers = { ...headers, ...this.generateListUnsubscribeHeaders(email.customerId, toArray[0], email.campaignId) };
         }
         
         return {
@@ -173,7 +187,9 @@ class EmailService {
           to: toArray,
           subject: email.subject,
           html: htmlContent,
+          text: textContent || undefined,
           reply_to: email.replyTo || email.reply_to || undefined,
+          headers: headers || undefined,
           tags: email.tags || undefined
         };
       });
@@ -290,8 +306,25 @@ class EmailService {
     return `${this.appUrl}/api/track/unsubscribe/${token}`;
   }
 
+  // RFC 8058: List-Unsubscribe one-click (requerido por Gmail/Yahoo para bulk senders).
+  // El cliente de correo hace POST a la URL con body "List-Unsubscribe=One-Click".
+  generateListUnsubscribeHeaders(customerId, email, campaignId = null) {
+    const token = generateUnsubscribeToken(customerId, email, campaignId);
+    return {
+      'List-Unsubscribe': `<${this.appUrl}/api/track/list-unsubscribe/${token}>`,
+      'List-Unsubscribe-Post': 'List-Unsubscribe=One-Click'
+    };
+  }
+
+  // Preference center: mismo token que el unsubscribe
+  generatePreferencesLink(customerId, email, campaignId = null) {
+    const token = generateUnsubscribeToken(customerId, email, campaignId);
+    return `${this.appUrl}/api/track/preferences/${token}`;
+  }
+
   generateUnsubscribeFooter(customerId, email, campaignId = null) {
     const unsubscribeLink = this.generateUnsubscribeLink(customerId, email, campaignId);
+    const preferencesLink = this.generatePreferencesLink(customerId, email, campaignId);
     
     return `
     <table width="100%" cellpadding="0" cellspacing="0" style="margin-top: 40px; border-top: 1px solid #e0e0e0;">
@@ -308,6 +341,10 @@ class EmailService {
               Unsubscribe
             </a>
             &nbsp;•&nbsp;
+            <a href="${preferencesLink}" style="color: #666; text-decoration: underline;">
+              Email preferences
+            </a>
+            &nbsp;•&nbsp;
             <a href="https://jerseypickles.com" style="color: #666; text-decoration: underline;">
               Visit store
             </a>
@@ -320,6 +357,10 @@ class EmailService {
   injectUnsubscribeLink(html, customerId, email, campaignId = null) {
     const unsubscribeLink = this.generateUnsubscribeLink(customerId, email, campaignId);
     
+    if (html.includes('{{preferences_link}}')) {
+      html = html.replace(/\{\{preferences_link\}\}/g, this.generatePreferencesLink(customerId, email, campaignId));
+    }
+    
     if (html.includes('{{unsubscribe_link}}')) {
       return html.replace(/\{\{unsubscribe_link\}\}/g, unsubscribeLink);
     }
@@ -328,6 +369,11 @@ class EmailService {
       return html.replace(/\{\{unsubscribe_url\}\}/g, unsubscribeLink);
     }
     
+    // Templates de Apollo / templateService
+    if (/\{\{unsubscribe(Link|Url)\}\}/.test(html)) {
+      return html.replace(/\{\{unsubscribe(Link|Url)\}\}/g, unsubscribeLink);
+    }
+    
     if (html.includes('%unsubscribe_link%')) {
       return html.replace(/%unsubscribe_link%/g, unsubscribeLink);
     }
@@ -336,7 +382,7 @@ class EmailService {
       return html;
     }
     
-    const footer = this.generateUnsubscribeFooter(customerId, email);
+    const footer = this.generateUnsubscribeFooter(customerId, email, campaignId);
     
     if (html.includes('</body>')) {
       return html.replace('</body>', `${footer}</body>`);
@@ -348,6 +394,22 @@ class EmailService {
     }
   }
 
+  // Parte de texto plano: reemplaza los placeholders o agrega la línea de unsubscribe
+  injectUnsubscribeLinkText(text, customerId, email, campaignId = null) {
+    const unsubscribeLink = this.generateUnsubscribeLink(customerId, email, campaignId);
+    
+    let result = text
+      .replace(/\{\{preferences_link\}\}/g, this.generatePreferencesLink(customerId, email, campaignId))
+      .replace(/\{\{(unsubscribe_link|unsubscribe_url|unsubscribeLink|unsubscribeUrl)\}\}/g, unsubscribeLink);
+    
+    if (!result.includes('/api/track/unsubscribe/')) {
+      result += `\n\nUnsubscribe: ${unsubscribeLink}`;
+    }
+    
+    return result;
+  }
+
+
   // ==================== ERROR CLASSIFICATION ====================
   
   classifyError(error) {
@@ -486,20 +548,36 @@ class EmailService {
 
   // ==================== PERSONALIZACIÓN ====================
   
-  personalize(html, customer) {
-    const variables = {
-      '{{firstName}}': customer.firstName || '',
-      '{{lastName}}': customer.lastName || '',
-      '{{fullName}}': `${customer.firstName || ''} ${customer.lastName || ''}`.trim() || 'Cliente',
-      '{{email}}': customer.email || ''
-    };
+  /**
+   * Renderiza el template (templateEngine) con el contexto del cliente
+   * @param {object} options - { partials: { name: html }, extra: variables adicionales, autoescape: false para texto plano }
+   */
+  personalize(html, customer, options = {}) {
+    const context = personalizationService.buildContext(customer, options.extra);
     
-    Object.keys(variables).forEach(key => {
-      const regex = new RegExp(key, 'g');
-      html = html.replace(regex, variables[key]);
-    });
+    try {
+      return templateEngine.render(html, context, { partials: options.partials, autoescape: options.autoescape });
+    } catch (error) {
+      // HTML legacy con llaves sueltas: solo los 4 placeholders originales
+      console.log(`⚠️ Template inválido, personalización básica: ${error.message}`);
+      return ['firstName', 'lastName', 'fullName', 'email'].reduce(
+        (result, key) => result.replace(new RegExp(`{{\\s*${key}\\s*}}`, 'g'), templateEngine.escapeHtml(context[key])),
+        html
+      );
+    }
+  }
+
+  // Texto de preview (preheader) oculto al inicio del body
+  injectPreheader(html, previewText) {
+    if (!previewText) return html;
     
-    return html;
+    const preheader = `<div style="display:none;max-height:0;overflow:hidden;mso-hide:all;">${previewText}</div>`;
+    
+    if (/<body[^>]*>/i.test(html)) {
+      return html.replace(/<body[^>]*>/i, match => `${match}${preheader}`);
+    }
+    
+    return preheader + html;
   }
 
   // ==================== UTILIDADES ====================
@@ -0,0 +1,747 @@
+// backend/src/services/flowService.js
+// 🔄 Flow Service - Inscribe clientes en Flows y ejecuta sus steps
+const mongoose = require('mongoose');
+const Flow = require('../models/Flow');
+const FlowExecution = require('../models/FlowExecution');
+const Customer = require('../models/Customer');
+const emailService = require('./emailService');
+const multiTouchAttribution = require('./multiTouchAttributionService');
+const contactPressureService = require('./contactPressureService');
+
+// Máximo de steps que una ejecución avanza en una sola corrida (evita loops)
+const MAX_STEPS_PER_RUN = 50;
+// Lock de ejecución: pasado este tiempo se considera abandonado
+const LOCK_TTL_MS = 5 * 60 * 1000;
+// back_in_stock no trae cliente: se inscribe a quienes compraron el producto
+const BACK_IN_STOCK_MAX_RECIPIENTS = 5000;
+
+class FlowService {
+
+  // ==================== TRIGGERS ====================
+
+  /**
+   * Punto de entrada desde los webhooks de Shopify
+   * @param {string} triggerType - Uno de Flow.TRIGGER_TYPES
+   * @param {object} data - Payload del trigger (customerId, email, cart, order...)
+   * @returns {object} { flowsTriggered: [{ flowId, flowName, executionId }] }
+   */
+  async processTrigger(triggerType, data = {}) {
+    const flowsTriggered = [];
+
+    if (!Flow.TRIGGER_TYPES.includes(triggerType)) {
+      console.log(`⚠️  Flow trigger desconocido: ${triggerType}`);
+      return { flowsTriggered };
+    }
+
+    // Una compra puede sacar al cliente de flows en curso (ej. carrito abandonado)
+    if (triggerType === 'order_placed' && data.customerId) {
+      await this.exitOnPurchase(data.customerId);
+    }
+
+    const flows = await Flow.getActiveByTrigger(triggerType);
+
+    if (flows.length === 0) {
+      return { flowsTriggered };
+    }
+
+    console.log(`🔄 ${flows.length} flow(s) activos para ${triggerType}`);
+
+    for (const flow of flows) {
+      if (!this.matchesTriggerConfig(flow, data)) {
+        continue;
+      }
+
+      const recipients = triggerType === 'product_back_in_stock'
+        ? await this.getBackInStockRecipients(data)
+        : [data];
+
+      for (const recipientData of recipients) {
+        try {
+          const execution = await this.enroll(flow, triggerType, recipientData);
+
+          if (execution) {
+            flowsTriggered.push({
+              flowId: flow._id,
+              flowName: flow.name,
+              executionId: execution._id
+            });
+          }
+        } catch (error) {
+          console.error(`❌ Error inscribiendo en flow ${flow.name}:`, error.message);
+        }
+      }
+    }
+
+    return { flowsTriggered };
+  }
+
+  /**
+   * Filtros opcionales definidos en flow.trigger.config
+   */
+  matchesTriggerConfig(flow, data) {
+    const config = flow.trigger?.config || {};
+
+    if (config.tagName && data.tag &&
+        config.tagName.toLowerCase() !== String(data.tag).toLowerCase()) {
+      return false;
+    }
+
+    if (config.firstOrderOnly && data.firstOrder === false) {
+      return false;
+    }
+
+    if (config.minOrderValue && parseFloat(data.orderValue || 0) < parseFloat(config.minOrderValue)) {
+      return false;
+    }
+
+    if (config.productId && data.productId &&
+        String(config.productId) !== String(data.productId)) {
+      return false;
+    }
+
+    return true;
+  }
+
+  /**
+   * Clientes que compraron el producto que volvió a stock
+   */
+  async getBackInStockRecipients(data) {
+    const Order = require('../models/Order');
+
+    const customerIds = await Order.distinct('customer', {
+      'lineItems.productId': String(data.productId)
+    });
+
+    const customers = await Customer.find({
+      _id: { $in: customerIds.slice(0, BACK_IN_STOCK_MAX_RECIPIENTS) },
+      emailStatus: 'active'
+    }).select('_id email firstName');
+
+    return customers.map(c => ({
+      ...data,
+      customerId: c._id,
+      email: c.email,
+      firstName: c.firstName
+    }));
+  }
+
+  /**
+   * Crea la FlowExecution y programa el primer step
+   */
+  async enroll(flow, triggerType, data) {
+    const customerId = data.customerId && mongoose.Types.ObjectId.isValid(data.customerId)
+      ? data.customerId
+      : null;
+
+    // sms_keyword puede llegar solo con teléfono (suscriptor sin Customer)
+    if (!customerId && !data.email && !data.phone) {
+      console.log(`⏭️  Flow ${flow.name}: trigger sin cliente, email ni teléfono`);
+      return null;
+    }
+
+    // Re-entrada
+    const identity = customerId
+      ? { customer: customerId }
+      : data.email ? { email: data.email.toLowerCase() } : { phone: data.phone };
+    const inProgress = await FlowExecution.exists({
+      flow: flow._id,
+      ...identity,
+      status: { $in: ['active', 'waiting'] }
+    });
+
+    if (inProgress) {
+      console.log(`⏭️  Flow ${flow.name}: cliente ya tiene una ejecución en curso`);
+      return null;
+    }
+
+    if (!flow.settings?.allowReentry) {
+      const previous = await FlowExecution.exists({ flow: flow._id, ...identity });
+      if (previous) {
+        console.log(`⏭️  Flow ${flow.name}: cliente ya pasó por este flow`);
+        return null;
+      }
+    } else {
+      const windowHours = flow.settings.reentryWindowHours || 0;
+      const recent = await FlowExecution.exists({
+        flow: flow._id,
+        ...identity,
+        createdAt: { $gte: new Date(Date.now() - windowHours * 60 * 60 * 1000) }
+      });
+      if (recent) {
+        console.log(`⏭️  Flow ${flow.name}: re-entrada dentro de la ventana de ${windowHours}h`);
+        return null;
+      }
+    }
+
+    const plan = flow.getOrderedSteps();
+
+    const execution = await FlowExecution.create({
+      flow: flow._id,
+      customer: customerId,
+      email: data.email,
+      phone: data.phone,
+      status: 'active',
+      triggerData: {
+        ...data,
+        trigger: data.trigger || triggerType
+      },
+      plan,
+      currentStep: 0,
+      nextRunAt: new Date()
+    });
+
+    await Flow.findByIdAndUpdate(flow._id, { $inc: { 'metrics.totalTriggered': 1 } });
+
+    console.log(`✅ Flow "${flow.name}" → ${data.email || customerId || data.phone} (execution ${execution._id})`);
+
+    const { scheduleExecution } = require('../jobs/flowQueue');
+    await scheduleExecution(execution._id, 0);
+
+    return execution;
+  }
+
+  /**
+   * Cancela ejecuciones en curso de flows con exitOnPurchase
+   */
+  async exitOnPurchase(customerId) {
+    const flows = await Flow.find({ 'settings.exitOnPurchase': true }).select('_id name');
+
+    for (const flow of flows) {
+      const result = await FlowExecution.updateMany(
+        {
+          flow: flow._id,
+          customer: customerId,
+          status: { $in: ['active', 'waiting'] }
+        },
+        {
+          $set: {
+            status: 'cancelled',
+            cancelledAt: new Date(),
+            cancelReason: 'purchase',
+            nextRunAt: null
+          }
+        }
+      );
+
+      if (result.modifiedCount > 0) {
+        await Flow.findByIdAndUpdate(flow._id, {
+          $inc: { 'metrics.cancelled': result.modifiedCount }
+        });
+        console.log(`🛑 Flow "${flow.name}": ${result.modifiedCount} ejecución(es) cancelada(s) por compra`);
+      }
+    }
+  }
+
+  // ==================== EJECUCIÓN ====================
+
+  /**
+   * Avanza una ejecución hasta el próximo wait o hasta terminar.
+   * La llama el worker de flowQueue y el barrido de recuperación.
+   */
+  async runExecution(executionId) {
+    const now = new Date();
+
+    // Claim atómico: solo si está vencida y nadie más la tiene
+    const execution = await FlowExecution.findOneAndUpdate(
+      {
+        _id: executionId,
+        status: { $in: ['active', 'waiting'] },
+        nextRunAt: { $lte: now },
+        $or: [
+          { lockedAt: null },
+          { lockedAt: { $lt: new Date(now.getTime() - LOCK_TTL_MS) } }
+        ]
+      },
+      { $set: { lockedAt: now, status: 'active' } },
+      { new: true }
+    );
+
+    if (!execution) {
+      return { skipped: true, reason: 'not_due_or_locked' };
+    }
+
+    try {
+      const flow = await Flow.findById(execution.flow);
+
+      if (!flow) {
+        return await this.finish(execution, 'failed', 'Flow eliminado');
+      }
+
+      // Flow pausado: la ejecución queda en espera sin fecha; activate() la reanuda
+      if (flow.status !== 'active') {
+        execution.status = 'waiting';
+        execution.nextRunAt = null;
+        execution.lockedAt = null;
+        await execution.save();
+        return { skipped: true, reason: 'flow_paused' };
+      }
+
+      const customer = execution.customer
+        ? await Customer.findById(execution.customer)
+        : execution.email ? await Customer.findOne({ email: execution.email }) : null;
+
+      let stepsRun = 0;
+
+      while (execution.currentStep < execution.plan.length) {
+        if (stepsRun++ >= MAX_STEPS_PER_RUN) {
+          return await this.finish(execution, 'failed', `Más de ${MAX_STEPS_PER_RUN} steps en una corrida`);
+        }
+
+        const step = execution.plan[execution.currentStep];
+
+        // ========== WAIT ==========
+        if (step.type === 'wait') {
+          const delayMs = this.getWaitDelayMs(step.config);
+          execution.recordStep(step, 'completed', { delayMs });
+          execution.currentStep++;
+          execution.status = 'waiting';
+          execution.nextRunAt = new Date(Date.now() + delayMs);
+          execution.lockedAt = null;
+          execution.markModified('plan');
+          await execution.save();
+
+          const { scheduleExecution } = require('../jobs/flowQueue');
+          await scheduleExecution(execution._id, delayMs);
+
+          return { waiting: true, nextRunAt: execution.nextRunAt };
+        }
+
+        // ========== CONDITION ==========
+        if (step.type === 'condition') {
+          const passed = await this.evaluateCondition(step.config || {}, execution, customer);
+          const branch = (passed ? step.config?.ifTrue : step.config?.ifFalse) || [];
+
+          // La rama se inserta justo después del step de condición
+          execution.plan.splice(execution.currentStep + 1, 0, ...branch);
+          execution.recordStep(step, 'completed', {
+            conditionType: step.config?.conditionType,
+            result: passed,
+            branchSteps: branch.length
+          });
+          execution.currentStep++;
+          execution.markModified('plan');
+          await execution.save();
+          continue;
+        }
+
+        // ========== ACCIONES ==========
+        let result;
+        try {
+          result = await this.executeAction(step, execution, flow, customer);
+        } catch (error) {
+          result = { status: 'failed', error: error.message };
+        }
+
+        execution.recordStep(step, result.status, result);
+        execution.currentStep++;
+        await execution.save();
+      }
+
+      return await this.finish(execution, 'completed');
+
+    } catch (error) {
+      console.error(`❌ Flow execution ${executionId}:`, error.message);
+      return await this.finish(execution, 'failed', error.message);
+    }
+  }
+
+  async finish(execution, status, error = null) {
+    execution.status = status;
+    execution.nextRunAt = null;
+    execution.lockedAt = null;
+    if (status === 'completed') execution.completedAt = new Date();
+    if (error) execution.lastError = error;
+    await execution.save();
+
+    await Flow.findByIdAndUpdate(execution.flow, {
+      $inc: { [`metrics.${status}`]: 1 }
+    });
+
+    return { status, error };
+  }
+
+  getWaitDelayMs(config = {}) {
+    const minutes =
+      (parseFloat(config.delayMinutes) || 0) +
+      (parseFloat(config.delayHours) || 0) * 60 +
+      (parseFloat(config.delayDays) || 0) * 1440;
+
+    return Math.max(0, Math.round(minutes * 60 * 1000));
+  }
+
+  async executeAction(step, execution, flow, customer) {
+    switch (step.type) {
+      case 'send_email':
+        return this.sendEmailStep(step.config || {}, execution, flow, customer);
+      case 'send_sms':
+        return this.sendSmsStep(step.config || {}, execution, flow, customer);
+      case 'add_tag':
+        return this.addTagStep(step.config || {}, execution, customer);
+      case 'create_discount':
+        return this.createDiscountStep(step.config || {}, execution, flow);
+      default:
+        return { status: 'skipped', reason: `unknown_step_${step.type}` };
+    }
+  }
+
+  // ==================== STEPS ====================
+
+  async sendEmailStep(config, execution, flow, customer) {
+    const email = customer?.email || execution.email;
+
+    if (!email) {
+      return { status: 'skipped', reason: 'no_email' };
+    }
+
+    if (customer && customer.emailStatus && customer.emailStatus !== 'active') {
+      return { status: 'skipped', reason: `email_${customer.emailStatus}` };
+    }
+
+    const variables = this.buildVariables(customer, execution.triggerData, execution.context);
+
+    let html;
+    let subject;
+    let text = null;
+
+    if (config.templateId) {
+      const Template = require('../models/Template');
+      // templateId puede ser un ObjectId o el nombre/tipo del template
+      const template = mongoose.Types.ObjectId.isValid(config.templateId)
+        ? await Template.findById(config.templateId)
+        : await Template.findOne({
+            $or: [{ name: config.templateId }, { type: config.templateId }],
+            isActive: true
+          });
+
+      if (!template || !template.isActive) {
+        return { status: 'failed', error: 'Template no encontrado o inactivo' };
+      }
+
+      const personalizationService = require('./personalizationService');
+      const { partials } = await personalizationService.loadPartials([template.htmlContent]);
+      const rendered = template.render(variables, { partials });
+      html = rendered.html;
+      subject = rendered.subject;
+      text = rendered.text;
+
+      await Template.findByIdAndUpdate(template._id, { $inc: { usageCount: 1 } });
+    } else {
+      html = this.renderString(config.htmlContent || '', variables);
+    }
+
+    if (config.subject) {
+      subject = this.renderString(config.subject, variables);
+    }
+
+    if (!html || !subject) {
+      return { status: 'failed', error: 'El step no tiene html o subject' };
+    }
+
+    html = this.addFlowUtms(html, flow._id);
+
+    const fromName = config.fromName || flow.settings?.fromName;
+    const fromEmail = config.fromEmail || flow.settings?.fromEmail;
+
+    const result = await emailService.sendEmail({
+      to: email,
+      subject,
+      html,
+      text,
+      from: fromEmail ? `${fromName || 'Jersey Pickles'} <${fromEmail}>` : null,
+      replyTo: config.replyTo || flow.settings?.replyTo || null,
+      customerId: customer?._id,
+      // Los tags permiten al webhook de Resend atribuir eventos al flow
+      tags: [
+        { name: 'flow_id', value: flow._id.toString() },
+        { name: 'execution_id', value: execution._id.toString() },
+        ...(customer ? [{ name: 'customer_id', value: customer._id.toString() }] : [])
+      ]
+    });
+
+    if (!result.success) {
+      return { status: 'failed', error: result.error };
+    }
+
+    await multiTouchAttribution.recordTouch({
+      type: 'flow_email',
+      customer: customer?._id,
+      email,
+      flow: flow._id,
+      flowExecution: execution._id,
+      metadata: { emailId: result.id }
+    });
+
+    // Los flows no se limitan, pero cuentan para el frequency capping de campañas
+    await contactPressureService.recordContacts([{
+      channel: 'email',
+      source: 'flow',
+      customer: customer?._id,
+      email,
+      phone: customer?.phone,
+      flow: flow._id
+    }]);
+
+    return { status: 'completed', emailId: result.id, subject };
+  }
+
+  async sendSmsStep(config, execution, flow, customer) {
+    const phone = customer?.phone || execution.triggerData?.phone;
+
+    if (!phone || !config.message) {
+      return { status: 'skipped', reason: !phone ? 'no_phone' : 'no_message' };
+    }
+
+    const telnyxService = require('./telnyxService');
+    const SmsSubscriber = require('../models/SmsSubscriber');
+
+    const formatted = telnyxService.formatPhoneNumber(phone);
+    const subscriber = formatted
+      ? await SmsSubscriber.findOne({ phone: formatted, status: 'active' })
+      : null;
+
+    // Solo suscriptores SMS activos (consentimiento)
+    if (!subscriber) {
+      return { status: 'skipped', reason: 'no_active_sms_subscriber' };
+    }
+
+    const text = this.renderString(config.message, this.buildVariables(customer, execution.triggerData, execution.context));
+
+    const result = await telnyxService.sendSms(subscriber.phone, text, {
+      messageType: 'campaign',
+      subscriberId: subscriber._id,
+      metadata: {
+        flowId: flow._id.toString(),
+        executionId: execution._id.toString()
+      }
+    });
+
+    if (result.skipped) {
+      return { status: 'skipped', reason: result.reason };
+    }
+
+    if (!result.success) {
+      return { status: 'failed', error: result.error };
+    }
+
+    await Flow.findByIdAndUpdate(flow._id, { $inc: { 'metrics.smsSent': 1 } });
+
+    await multiTouchAttribution.recordTouch({
+      type: 'flow_sms',
+      customer: customer?._id,
+      phone: subscriber.phone,
+      smsSubscriber: subscriber._id,
+      flow: flow._id,
+      flowExecution: execution._id,
+      metadata: { messageId: result.messageId }
+    });
+
+    await contactPressureService.recordContacts([{
+      channel: 'sms',
+      source: 'flow',
+      customer: customer?._id,
+      email: customer?.email,
+      phone: subscriber.phone,
+      flow: flow._id
+    }]);
+
+    return { status: 'completed', messageId: result.messageId };
+  }
+
+  async addTagStep(config, execution, customer) {
+    if (!customer) {
+      return { status: 'skipped', reason: 'no_customer' };
+    }
+
+    const tag = this.renderString(config.tagName || '', this.buildVariables(customer, execution.triggerData, execution.context)).trim();
+
+    if (!tag) {
+      return { status: 'skipped', reason: 'no_tag' };
+    }
+
+    await Customer.updateOne({ _id: customer._id }, { $addToSet: { tags: tag } });
+
+    return { status: 'completed', tag };
+  }
+
+  /**
+   * Deja un código de descuento disponible como {{discountCode}}.
+   * Con config.unique se crea un código de un solo uso en Shopify por ejecución;
+   * si no, se usa el código fijo (debe existir ya en Shopify).
+   */
+  async createDiscountStep(config, execution, flow) {
+    let code = config.discountCode;
+
+    if (config.unique) {
+      const shopifyService = require('./shopifyService');
+      const prefix = (config.codePrefix || 'FLOW').toUpperCase();
+      const generated = `${prefix}-${execution._id.toString().slice(-6).toUpperCase()}`;
+
+      const result = await shopifyService.createSmsDiscount(
+        generated,
+        parseFloat(config.discountValue) || 10,
+        parseInt(config.expiresInDays) || 7
+      );
+
+      if (!result.success) {
+        return { status: 'failed', error: result.error };
+      }
+
+      code = result.code;
+    }
+
+    if (!code) {
+      return { status: 'skipped', reason: 'no_discount_code' };
+    }
+
+    execution.context = {
+      ...(execution.context || {}),
+      discountCode: code,
+      discountValue: config.discountValue,
+      discountType: config.discountType || 'percentage'
+    };
+    execution.markModified('context');
+
+    return { status: 'completed', discountCode: code, flowId: flow._id };
+  }
+
+  // ==================== CONDICIONES ====================
+
+  async evaluateCondition(config, execution, customer) {
+    const EmailEvent = require('../models/EmailEvent');
+
+    switch (config.conditionType) {
+      case 'has_purchased': {
+        if (!customer) return false;
+        const Order = require('../models/Order');
+        const purchased = await Order.exists({
+          customer: customer._id,
+          orderDate: { $gte: execution.createdAt }
+        });
+        return !!purchased;
+      }
+
+      case 'has_opened':
+        return !!(await EmailEvent.exists({ flowExecution: execution._id, eventType: 'opened' }));
+
+      case 'has_clicked':
+        return !!(await EmailEvent.exists({ flowExecution: execution._id, eventType: 'clicked' }));
+
+      case 'has_tag':
+        return !!customer && (customer.tags || [])
+          .map(t => t.toLowerCase())
+          .includes(String(config.tagName || '').toLowerCase());
+
+      case 'orders_count_gte':
+        return (customer?.ordersCount || 0) >= (parseInt(config.value) || 0);
+
+      case 'total_spent_gte':
+        return (customer?.totalSpent || 0) >= (parseFloat(config.value) || 0);
+
+      default:
+        console.log(`⚠️  Condición desconocida: ${config.conditionType}`);
+        return false;
+    }
+  }
+
+  // ==================== PERSONALIZACIÓN ====================
+
+  /**
+   * Variables planas para {{placeholders}}: datos del cliente + triggerData
+   * aplanado con notación de punto (cart.checkoutUrl, abandoned.firstProductName...)
+   */
+  buildVariables(customer, triggerData = {}, context = {}) {
+    const variables = {};
+
+    const flatten = (obj, prefix = '', depth = 0) => {
+      if (!obj || typeof obj !== 'object' || depth > 2) return;
+      Object.entries(obj).forEach(([key, value]) => {
+        const path = prefix ? `${prefix}.${key}` : key;
+        if (value === null || value === undefined) return;
+        if (typeof value === 'object' && !(value instanceof Date) && !Array.isArray(value)) {
+          flatten(value, path, depth + 1);
+        } else if (!Array.isArray(value)) {
+          variables[path] = String(value);
+        }
+      });
+    };
+
+    flatten(triggerData);
+    flatten(context);
+
+    if (customer) {
+      variables.firstName = customer.firstName || variables.firstName || '';
+      variables.lastName = customer.lastName || '';
+      variables.email = customer.email || variables.email || '';
+    }
+
+    variables.fullName = `${variables.firstName || ''} ${variables.lastName || ''}`.trim();
+
+    return variables;
+  }
+
+  /**
+   * Reemplaza {{key}} conocidos; los desconocidos (ej. {{unsubscribe_link}}) se dejan intactos
+   */
+  renderString(text, variables) {
+    return String(text).replace(/{{\s*([\w.]+)\s*}}/g, (match, key) =>
+      Object.prototype.hasOwnProperty.call(variables, key) ? variables[key] : match
+    );
+  }
+
+  /**
+   * utm_campaign=flow_<id> en links de la tienda para que orderCreate atribuya al flow
+   */
+  addFlowUtms(html, flowId) {
+    return html.replace(/href=["']([^"']+)["']/gi, (match, url) => {
+      if (!url.includes('jerseypickles.com') && !url.startsWith('/')) return match;
+      if (url.includes('unsubscribe') || url.includes('/api/track/')) return match;
+
+      try {
+        const urlObj = new URL(url.startsWith('/') ? `https://jerseypickles.com${url}` : url);
+        if (!urlObj.searchParams.has('utm_source')) urlObj.searchParams.set('utm_source', 'email');
+        if (!urlObj.searchParams.has('utm_medium')) urlObj.searchParams.set('utm_medium', 'flow');
+        if (!urlObj.searchParams.has('utm_campaign')) urlObj.searchParams.set('utm_campaign', `flow_${flowId}`);
+        return `href="${urlObj.toString()}"`;
+      } catch (e) {
+        return match;
+      }
+    });
+  }
+
+  // ==================== ADMIN ====================
+
+  /**
+   * Reanuda ejecuciones que quedaron en espera mientras el flow estaba pausado
+   */
+  async resumePausedExecutions(flowId) {
+    const result = await FlowExecution.updateMany(
+      { flow: flowId, status: 'waiting', nextRunAt: null },
+      { $set: { nextRunAt: new Date() } }
+    );
+
+    return result.modifiedCount;
+  }
+
+  async cancelExecution(executionId, reason = 'manual') {
+    const execution = await FlowExecution.findOneAndUpdate(
+      { _id: executionId, status: { $in: ['active', 'waiting'] } },
+      {
+        $set: {
+          status: 'cancelled',
+          cancelledAt: new Date(),
+          cancelReason: reason,
+          nextRunAt: null
+        }
+      },
+      { new: true }
+    );
+
+    if (execution) {
+      await Flow.findByIdAndUpdate(execution.flow, { $inc: { 'metrics.cancelled': 1 } });
+    }
+
+    return execution;
+  }
+}
+
+module.exports = new FlowService();
@@ -0,0 +1,305 @@
+// backend/src/services/holdoutService.js
+// 🧪 Holdout - Grupo de control para medir el revenue incremental real
+//
+// 1. Al preparar el envío (email, SMS, Maximus) un % determinístico de la audiencia
+//    se retiene: no recibe la campaña y queda registrado en HoldoutMember
+// 2. getReport() compara, con datos de Order (no de atribución), conversión y
+//    revenue por destinatario entre tratados y holdout dentro de holdout.windowDays,
+//    con intervalos de confianza del 95%
+//
+// stats.totalRevenue cuenta toda orden atribuida tras un click; la diferencia con
+// el incremental es lo que igual se hubiera vendido sin la campaña.
+const crypto = require('crypto');
+const HoldoutMember = require('../models/HoldoutMember');
+const Order = require('../models/Order');
+const Customer = require('../models/Customer');
+
+const MAX_PERCENTAGE = 50;
+const DEFAULT_WINDOW_DAYS = 7;
+const MAX_WINDOW_DAYS = 30;
+const Z_95 = 1.96;
+const MIN_GROUP_SIZE = 100;
+
+const round = (n, decimals = 2) => n === null ? null : parseFloat(n.toFixed(decimals));
+
+// Últimos 10 dígitos: SmsSubscriber guarda E.164, Customer lo que mande Shopify
+const phoneKey = (phone) => String(phone || '').replace(/\D/g, '').slice(-10);
+
+class HoldoutService {
+
+  isEnabled(campaign) {
+    return (campaign?.holdout?.percentage || 0) > 0;
+  }
+
+  /**
+   * Valida la config de holdout. Devuelve mensaje de error o null
+   */
+  validateConfig(holdout) {
+    if (!holdout) return null;
+
+    const { percentage, windowDays } = holdout;
+    if (percentage !== undefined && (typeof percentage !== 'number' || percentage < 0 || percentage > MAX_PERCENTAGE)) {
+      return `holdout.percentage debe estar entre 0 y ${MAX_PERCENTAGE}`;
+    }
+    if (windowDays !== undefined && (!Number.isInteger(windowDays) || windowDays < 1 || windowDays > MAX_WINDOW_DAYS)) {
+      return `holdout.windowDays debe estar entre 1 y ${MAX_WINDOW_DAYS}`;
+    }
+
+    return null;
+  }
+
+  /**
+   * Config para guardar en la campaña (undefined = sin holdout)
+   */
+  buildConfig(holdout) {
+    if (!holdout?.percentage) return undefined;
+    return {
+      percentage: holdout.percentage,
+      windowDays: holdout.windowDays || DEFAULT_WINDOW_DAYS
+    };
+  }
+
+  // ==================== ASIGNACIÓN ====================
+
+  /**
+   * ¿El destinatario queda en el holdout? Determinístico por campaña + email/teléfono
+   * (un re-run o la fase ganadora de un A/B retienen a los mismos)
+   */
+  isHeldOut(campaignId, recipient, percentage) {
+    if (!percentage) return false;
+
+    const hash = crypto
+      .createHash('sha256')
+      .update(`holdout:${campaignId}:${recipient}`)
+      .digest();
+
+    const bucket = hash.readUInt32BE(0) % 10000;
+    return bucket < percentage * 100;
+  }
+
+  /**
+   * Registra los retenidos (idempotente) y actualiza holdout.withheld de la campaña
+   * @param {'email'|'sms'} channel
+   * @param {Model} CampaignModel - Campaign o SmsCampaign
+   * @param {string} campaignId
+   * @param {object[]} members - [{ recipient, customer?, smsSubscriber? }]
+   * @returns {number} nuevos retenidos
+   */
+  async record(channel, CampaignModel, campaignId, members) {
+    if (members.length === 0) return 0;
+
+    const now = new Date();
+    const result = await HoldoutMember.bulkWrite(members.map(m => ({
+      updateOne: {
+        filter: { campaign: campaignId, recipient: m.recipient },
+        update: {
+          $setOnInsert: {
+            channel,
+            campaign: campaignId,
+            campaignModel: CampaignModel.modelName,
+            recipient: m.recipient,
+            customer: m.customer || null,
+            smsSubscriber: m.smsSubscriber || null,
+            assignedAt: now
+          }
+        },
+        upsert: true
+      }
+    })), { ordered: false });
+
+    const added = result.upsertedCount || 0;
+    if (added > 0) {
+      await CampaignModel.updateOne({ _id: campaignId }, { $inc: { 'holdout.withheld': added } });
+    }
+
+    return added;
+  }
+
+  /**
+   * Inicio de la ventana de medición (solo la primera vez: la fase ganadora no la mueve)
+   */
+  async markStarted(CampaignModel, campaignId) {
+    await CampaignModel.updateOne(
+      { _id: campaignId, 'holdout.startedAt': null },
+      { $set: { 'holdout.startedAt': new Date() } }
+    );
+  }
+
+  // ==================== REPORTE ====================
+
+  /**
+   * Customer por teléfono para destinatarios SMS
+   * @returns {Map<string, string>} phoneKey → customerId
+   */
+  async mapPhonesToCustomers(phones) {
+    const keys = [...new Set(phones.map(phoneKey).filter(k => k.length === 10))];
+    if (keys.length === 0) return new Map();
+
+    const candidates = keys.flatMap(k => [k, `1${k}`, `+1${k}`]);
+    const customers = await Customer.find({ phone: { $in: candidates } }).select('_id phone').lean();
+
+    return new Map(customers.map(c => [phoneKey(c.phone), c._id.toString()]));
+  }
+
+  /**
+   * Customers de cada grupo (null = destinatario sin Customer: cuenta como no convertido)
+   */
+  async loadGroups(channel, campaign) {
+    const holdoutMembers = await HoldoutMember.find({ campaign: campaign._id })
+      .select('recipient customer')
+      .lean();
+
+    if (channel === 'email') {
+      const EmailSend = require('../models/EmailSend');
+      const treated = await EmailSend.distinct('customerId', { campaignId: campaign._id });
+
+      return {
+        treated: treated.map(id => id ? id.toString() : null),
+        holdout: holdoutMembers.map(m => m.customer ? m.customer.toString() : null)
+      };
+    }
+
+    const SmsMessage = require('../models/SmsMessage');
+    const treatedPhones = await SmsMessage.distinct('phone', { campaign: campaign._id });
+    const holdoutPhones = holdoutMembers.map(m => m.recipient);
+    const byPhone = await this.mapPhonesToCustomers([...treatedPhones, ...holdoutPhones]);
+
+    return {
+      treated: treatedPhones.map(p => byPhone.get(phoneKey(p)) || null),
+      holdout: holdoutMembers.map(m => m.customer?.toString() || byPhone.get(phoneKey(m.recipient)) || null)
+    };
+  }
+
+  /**
+   * Conversión y revenue por destinatario de un grupo (media + varianza para el IC)
+   */
+  summarizeGroup(customerIds, buyers) {
+    const n = customerIds.length;
+    let converters = 0;
+    let orders = 0;
+    let revenue = 0;
+    let sumSquares = 0;
+
+    customerIds.forEach(id => {
+      const buyer = id && buyers.get(id);
+      if (!buyer) return;
+      converters++;
+      orders += buyer.orders;
+      revenue += buyer.revenue;
+      sumSquares += buyer.revenue * buyer.revenue;
+    });
+
+    const conversionRate = n > 0 ? converters / n : 0;
+    const revenuePerRecipient = n > 0 ? revenue / n : 0;
+    const revenueVariance = n > 1 ? (sumSquares - n * revenuePerRecipient * revenuePerRecipient) / (n - 1) : 0;
+
+    return { n, converters, orders, revenue, conversionRate, revenuePerRecipient, revenueVariance };
+  }
+
+  /**
+   * Incrementalidad tratados vs. holdout
+   * @param {'email'|'sms'} channel
+   * @param {object} campaign - Campaign o SmsCampaign (con holdout)
+   */
+  async getReport(channel, campaign) {
+    if (!this.isEnabled(campaign)) return null;
+
+    const { percentage, windowDays = DEFAULT_WINDOW_DAYS, startedAt, withheld = 0 } = campaign.holdout;
+
+    const base = { channel, percentage, windowDays, withheld };
+    if (!startedAt) {
+      return { ...base, status: 'not_started' };
+    }
+
+    const windowEnd = new Date(Math.min(
+      new Date(startedAt).getTime() + windowDays * 24 * 60 * 60 * 1000,
+      Date.now()
+    ));
+
+    const groups = await this.loadGroups(channel, campaign);
+    const customerIds = [...new Set([...groups.treated, ...groups.holdout].filter(Boolean))];
+    const mongoose = require('mongoose');
+
+    const rows = customerIds.length > 0
+      ? await Order.aggregate([
+        {
+          $match: {
+            customer: { $in: customerIds.map(id => new mongoose.Types.ObjectId(id)) },
+            orderDate: { $gte: new Date(startedAt), $lte: windowEnd }
+          }
+        },
+        {
+          $group: {
+            _id: '$customer',
+            orders: { $sum: 1 },
+            revenue: { $sum: { $ifNull: ['$totalPrice', 0] } }
+          }
+        }
+      ])
+      : [];
+
+    const buyers = new Map(rows.map(r => [r._id.toString(), { orders: r.orders, revenue: r.revenue }]));
+
+    const treated = this.summarizeGroup(groups.treated, buyers);
+    const holdout = this.summarizeGroup(groups.holdout, buyers);
+
+    // Diferencia de proporciones (conversión) y de medias (revenue/destinatario, Welch)
+    const conversionDiff = treated.conversionRate - holdout.conversionRate;
+    const conversionSe = Math.sqrt(
+      (treated.n > 0 ? treated.conversionRate * (1 - treated.conversionRate) / treated.n : 0) +
+      (holdout.n > 0 ? holdout.conversionRate * (1 - holdout.conversionRate) / holdout.n : 0)
+    );
+
+    const rprDiff = treated.revenuePerRecipient - holdout.revenuePerRecipient;
+    const rprSe = Math.sqrt(
+      (treated.n > 0 ? treated.revenueVariance / treated.n : 0) +
+      (holdout.n > 0 ? holdout.revenueVariance / holdout.n : 0)
+    );
+
+    const interval = (diff, se, scale = 1) => ({
+      low: round((diff - Z_95 * se) * scale),
+      high: round((diff + Z_95 * se) * scale)
+    });
+
+    const formatGroup = (g) => ({
+      recipients: g.n,
+      converters: g.converters,
+      orders: g.orders,
+      revenue: round(g.revenue),
+      conversionRate: round(g.conversionRate * 100, 3),
+      revenuePerRecipient: round(g.revenuePerRecipient, 4)
+    });
+
+    const conversionCi = interval(conversionDiff, conversionSe, 100);
+    const incrementalRevenue = rprDiff * treated.n;
+    const attributedRevenue = campaign.stats?.totalRevenue || 0;
+
+    return {
+      ...base,
+      status: windowEnd.getTime() < Date.now() ? 'complete' : 'measuring',
+      windowStart: startedAt,
+      windowEnd,
+      treated: formatGroup(treated),
+      holdout: formatGroup(holdout),
+      incremental: {
+        // Puntos porcentuales de conversión
+        conversionRateDiff: round(conversionDiff * 100, 3),
+        conversionRateCi: conversionCi,
+        conversionLift: holdout.conversionRate > 0
+          ? round((conversionDiff / holdout.conversionRate) * 100, 1)
+          : null,
+        revenuePerRecipientDiff: round(rprDiff, 4),
+        revenuePerRecipientCi: interval(rprDiff, rprSe),
+        incrementalRevenue: round(incrementalRevenue),
+        incrementalRevenueCi: interval(rprDiff, rprSe, treated.n),
+        significant: conversionCi.low > 0 || conversionCi.high < 0
+      },
+      attributedRevenue: round(attributedRevenue),
+      // Qué parte del revenue atribuido es realmente incremental
+      incrementalShare: attributedRevenue > 0 ? round((incrementalRevenue / attributedRevenue) * 100, 1) : null,
+      lowSample: holdout.n < MIN_GROUP_SIZE
+    };
+  }
+}
+
+module.exports = new HoldoutService();
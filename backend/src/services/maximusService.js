@@ -8,6 +8,8 @@ const MaximusCampaignLog = require('../models/MaximusCampaignLog');
 const Campaign = require('../models/Campaign');
 const List = require('../models/List');
 const apolloService = require('./apolloService');
+const emailPreferenceService = require('./emailPreferenceService');
+const botFilterService = require('./botFilterService');
 
 // Lazy load shopifyService to avoid circular deps
 let shopifyService = null;
@@ -783,7 +785,8 @@ Retry with a subject that contains NO weekday names and NO date-specific urgency
         cloudinaryId: c.cloudinaryId,
         generationTime: c.generationTime
       })),
-      selectedEngine: creatives[0]?.engine || null
+      selectedEngine: creatives[0]?.engine || null,
+      holdoutPercentage: config.holdoutPercentage || 0
     };
     await config.save();
 
@@ -1385,8 +1388,9 @@ Respond ONLY with valid JSON — an array of up to ${config.maxCampaignsPerWeek}
 
   /**
    * Approve the pending proposal → create and schedule the campaign
+   * options.holdoutPercentage overrides the proposal's holdout
    */
-  async approveProposal() {
+  async approveProposal(options = {}) {
     const config = await MaximusConfig.getConfig();
 
     if (!config.pendingProposal?.active) {
@@ -1409,7 +1413,8 @@ Respond ONLY with valid JSON — an array of up to ${config.maxCampaignsPerWeek}
     }
 
     // Create and schedule the campaign — use the original scheduledAt from proposal
-    const result = await this.scheduleCampaign(config, decision, htmlContent, proposalScheduledAt);
+    const holdoutPercentage = options.holdoutPercentage ?? config.pendingProposal.holdoutPercentage;
+    const result = await this.scheduleCampaign(config, decision, htmlContent, proposalScheduledAt, { holdoutPercentage });
 
     // Clear the proposal
     config.pendingProposal = { active: false };
@@ -1600,7 +1605,7 @@ Respond ONLY with valid JSON — an array of up to ${config.maxCampaignsPerWeek}
   /**
    * Create the campaign in the system and schedule it
    */
-  async scheduleCampaign(config, decision, htmlContent, overrideScheduledAt = null) {
+  async scheduleCampaign(config, decision, htmlContent, overrideScheduledAt = null, options = {}) {
     const dayNames = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
     const now = new Date();
 
@@ -1622,6 +1627,8 @@ Respond ONLY with valid JSON — an array of up to ${config.maxCampaignsPerWeek}
     const startOfYear = new Date(scheduledAt.getFullYear(), 0, 1);
     const weekNumber = Math.ceil(((scheduledAt - startOfYear) / 86400000 + startOfYear.getDay() + 1) / 7);
 
+    const holdoutPercentage = options.holdoutPercentage ?? config.holdoutPercentage ?? 0;
+
     // If we have htmlContent (from Apollo), campaign is ready to schedule
     const hasCreative = htmlContent && htmlContent !== '<p>Awaiting creative from design agent</p>';
 
@@ -1637,9 +1644,32 @@ Respond ONLY with valid JSON — an array of up to ${config.maxCampaignsPerWeek}
       status: hasCreative ? 'scheduled' : 'draft',
       scheduledAt: hasCreative ? scheduledAt : null,
       tags: ['maximus', 'agent-generated', decision.product, decision.discountCode].filter(Boolean),
+      topic: emailPreferenceService.topicForMaximusType(decision.campaignType),
+      // Holdout: part of the list is withheld to measure incremental revenue
+      holdout: holdoutPercentage > 0 ? { percentage: holdoutPercentage } : undefined,
       'stats.totalRecipients': 0
     });
 
+    // Preflight on schedule: Maximus acknowledges its own warnings, errors leave it as a draft
+    if (hasCreative) {
+      try {
+        const preflightService = require('./preflightService');
+        const preflight = await preflightService.check(campaign, {
+          sendAt: scheduledAt,
+          acknowledge: true,
+          acknowledgedBy: 'maximus'
+        });
+        if (!preflight.canSend) {
+          campaign.status = 'draft';
+          campaign.scheduledAt = null;
+          console.log(`🏛️ Maximus: ${preflight.reason} - left as draft`);
+        }
+        await campaign.save();
+      } catch (error) {
+        console.error('🏛️ Maximus: Preflight error:', error.message);
+      }
+    }
+
     // Log in Maximus history (use scheduled date, not approval date)
     const log = await MaximusCampaignLog.create({
       campaign: campaign._id,
@@ -1666,8 +1696,10 @@ Respond ONLY with valid JSON — an array of up to ${config.maxCampaignsPerWeek}
     await config.save();
 
     console.log(`🏛️ Maximus: Campaign created - ${campaign._id} (${campaign.status})`);
-    if (hasCreative) {
+    if (campaign.status === 'scheduled') {
       console.log(`🏛️ Maximus: Scheduled for ${scheduledAt.toISOString()}`);
+    } else if (hasCreative) {
+      console.log(`🏛️ Maximus: Draft (blocked by preflight, see campaign.preflight)`);
     } else {
       console.log(`🏛️ Maximus: Draft (waiting for creative agent)`);
     }
@@ -1724,17 +1756,22 @@ Respond ONLY with valid JSON — an array of up to ${config.maxCampaignsPerWeek}
     const stats = campaign.stats || {};
     const delivered = stats.delivered || 0;
 
+    // Aprender solo de opens/clicks human: MPP y scanners inflan el open rate
+    const human = botFilterService.getHumanMetrics(stats);
+
     log.metrics = {
       sent: stats.sent || 0,
       delivered,
-      opened: stats.opened || 0,
-      clicked: stats.clicked || 0,
+      opened: human.opened,
+      clicked: human.clicked,
+      rawOpened: stats.opened || 0,
+      rawClicked: stats.clicked || 0,
       converted: stats.purchased || 0,
       bounced: stats.bounced || 0,
       unsubscribed: stats.unsubscribed || 0,
       revenue: parseFloat((stats.totalRevenue || 0).toFixed(2)),
-      openRate: delivered > 0 ? parseFloat(((stats.opened || 0) / delivered * 100).toFixed(1)) : 0,
-      clickRate: delivered > 0 ? parseFloat(((stats.clicked || 0) / delivered * 100).toFixed(1)) : 0,
+      openRate: delivered > 0 ? parseFloat((human.opened / delivered * 100).toFixed(1)) : 0,
+      clickRate: delivered > 0 ? parseFloat((human.clicked / delivered * 100).toFixed(1)) : 0,
       conversionRate: delivered > 0 ? parseFloat(((stats.purchased || 0) / delivered * 100).toFixed(1)) : 0
     };
     log.metricsUpdatedAt = new Date();
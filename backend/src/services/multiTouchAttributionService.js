@@ -0,0 +1,385 @@
+// backend/src/services/multiTouchAttributionService.js
+// 🧭 Atribución multi-touch
+//
+// Cada interacción (email open/click, click en SMS, signup de popup, step de flow)
+// se guarda como Touchpoint. Cuando entra una orden se buscan los touches del
+// cliente dentro de la ventana de cada tipo y se reparte el crédito con cuatro
+// modelos: first_touch, last_touch, linear y time_decay. Cada reparto queda en
+// AttributionCredit (una fila por touch y modelo), así los reportes comparan
+// modelos lado a lado sin recalcular.
+//
+// La atribución legacy (Order.attribution, last-click) no se toca.
+const mongoose = require('mongoose');
+const Touchpoint = require('../models/Touchpoint');
+const AttributionCredit = require('../models/AttributionCredit');
+const AttributionConfig = require('../models/AttributionConfig');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const RECOMPUTE_BATCH_SIZE = 200;
+
+// Los IDs vienen de URLs de tracking: solo se guardan si son ObjectIds válidos
+const validId = (id) => (id && mongoose.Types.ObjectId.isValid(id) ? id : undefined);
+
+// Campos de Order para re-atribuir (recompute / removeTouches)
+const ORDER_FIELDS = 'customer totalPrice orderDate shopifyData.phone shopifyData.billing_address.phone';
+
+const orderOptions = (order) => ({
+  customer: order.customer,
+  phone: order.customer?.phone ||
+         order.shopifyData?.phone ||
+         order.shopifyData?.billing_address?.phone
+});
+
+class MultiTouchAttributionService {
+
+  // ==================== REGISTRO DE TOUCHES ====================
+
+  /**
+   * Guarda un touchpoint. Nunca lanza: el tracking no debe romper el flujo que lo llama.
+   * @param {object} touch - { type, customer?, email?, phone?, smsSubscriber?, campaign?, smsCampaign?, flow?, flowExecution?, url?, metadata?, occurredAt? }
+   */
+  async recordTouch(touch) {
+    try {
+      const customer = validId(touch.customer);
+      const email = touch.email && touch.email !== 'unknown'
+        ? String(touch.email).toLowerCase().trim()
+        : null;
+      const phone = Touchpoint.normalizePhone(touch.phone);
+
+      if (!customer && !email && !phone) return null;
+
+      return await Touchpoint.create({
+        customer,
+        email: email || undefined,
+        phone: phone || undefined,
+        smsSubscriber: validId(touch.smsSubscriber),
+        type: touch.type,
+        channel: Touchpoint.channelFor(touch.type),
+        campaign: validId(touch.campaign),
+        smsCampaign: validId(touch.smsCampaign),
+        flow: validId(touch.flow),
+        flowExecution: validId(touch.flowExecution),
+        url: touch.url,
+        metadata: touch.metadata,
+        occurredAt: touch.occurredAt || new Date()
+      });
+    } catch (error) {
+      console.error(`⚠️  Touchpoint (${touch.type}) no registrado:`, error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Borra touches que resultaron ser de máquinas (ráfaga de un scanner detectada
+   * después del click) y re-atribuye las órdenes que ya les habían dado crédito
+   * @param {object} filter - { type, campaign, customer?, email?, since }
+   * @returns {number} touches borrados
+   */
+  async removeTouches({ type, campaign, customer, email, since }) {
+    const query = { type, campaign: validId(campaign), occurredAt: { $gte: since } };
+    if (email && email !== 'unknown') query.email = String(email).toLowerCase().trim();
+    else if (validId(customer)) query.customer = customer;
+    else return 0;
+
+    const touches = await Touchpoint.find(query).select('_id').lean();
+    if (touches.length === 0) return 0;
+
+    const touchIds = touches.map(t => t._id);
+    const orderIds = await AttributionCredit.distinct('order', { touchpoint: { $in: touchIds } });
+
+    await Touchpoint.deleteMany({ _id: { $in: touchIds } });
+
+    if (orderIds.length > 0) {
+      const Order = require('../models/Order');
+      const orders = await Order.find({ _id: { $in: orderIds } })
+        .populate('customer', 'email phone')
+        .select(ORDER_FIELDS)
+        .lean();
+
+      for (const order of orders) {
+        await this.attributeOrder(order, orderOptions(order));
+      }
+    }
+
+    return touchIds.length;
+  }
+
+  // ==================== ATRIBUCIÓN ====================
+
+  /**
+   * Touches elegibles para una orden según las ventanas de la config
+   */
+  async getEligibleTouches({ customerId, email, phone, orderDate }, config) {
+    const identity = [];
+    if (customerId) identity.push({ customer: customerId });
+    if (email) identity.push({ email: String(email).toLowerCase().trim() });
+    const normalizedPhone = Touchpoint.normalizePhone(phone);
+    if (normalizedPhone) identity.push({ phone: normalizedPhone });
+
+    if (identity.length === 0) return [];
+
+    const windows = config.windows || {};
+    const windowFilters = Touchpoint.TOUCH_TYPES
+      .filter(type => (windows[type] || 0) > 0)
+      .map(type => ({
+        type,
+        occurredAt: {
+          $gte: new Date(orderDate.getTime() - windows[type] * DAY_MS),
+          $lte: orderDate
+        }
+      }));
+
+    if (windowFilters.length === 0) return [];
+
+    const touches = await Touchpoint.find({
+      $and: [{ $or: identity }, { $or: windowFilters }]
+    })
+      .sort({ occurredAt: -1 })
+      .limit(config.maxTouchesPerOrder || 50)
+      .lean();
+
+    // Cronológico: first_touch = índice 0
+    return touches.reverse();
+  }
+
+  /**
+   * Pesos por modelo (cada arreglo suma 1)
+   */
+  computeWeights(touches, orderDate, halfLifeDays) {
+    const n = touches.length;
+
+    const decay = touches.map(t => {
+      const ageDays = Math.max(0, (orderDate - new Date(t.occurredAt)) / DAY_MS);
+      return Math.pow(2, -ageDays / halfLifeDays);
+    });
+    const decayTotal = decay.reduce((sum, d) => sum + d, 0);
+
+    return {
+      first_touch: touches.map((_, i) => (i === 0 ? 1 : 0)),
+      last_touch: touches.map((_, i) => (i === n - 1 ? 1 : 0)),
+      linear: touches.map(() => 1 / n),
+      time_decay: decay.map(d => (decayTotal > 0 ? d / decayTotal : 1 / n))
+    };
+  }
+
+  /**
+   * Calcula y guarda los créditos de una orden (reemplaza los anteriores)
+   * @param {object} order - documento Order
+   * @param {object} options - { customer?, email?, phone? }
+   * @returns {object} { touches, credits }
+   */
+  async attributeOrder(order, options = {}) {
+    const config = await AttributionConfig.getConfig();
+
+    const orderDate = order.orderDate ? new Date(order.orderDate) : new Date();
+    const orderValue = parseFloat(order.totalPrice) || 0;
+    const customerId = options.customer?._id || order.customer?._id || order.customer;
+
+    const touches = await this.getEligibleTouches({
+      customerId,
+      email: options.email || options.customer?.email,
+      phone: options.phone || options.customer?.phone,
+      orderDate
+    }, config);
+
+    await AttributionCredit.deleteMany({ order: order._id });
+
+    if (touches.length === 0) {
+      return { touches: 0, credits: 0 };
+    }
+
+    const weights = this.computeWeights(touches, orderDate, config.timeDecayHalfLifeDays || 3);
+    const credits = [];
+
+    AttributionCredit.MODELS.forEach(model => {
+      touches.forEach((touch, i) => {
+        const weight = weights[model][i];
+        if (weight <= 0) return;
+
+        credits.push({
+          order: order._id,
+          customer: customerId,
+          orderValue,
+          orderDate,
+          model,
+          touchpoint: touch._id,
+          touchType: touch.type,
+          channel: touch.channel,
+          campaign: touch.campaign,
+          smsCampaign: touch.smsCampaign,
+          flow: touch.flow,
+          touchedAt: touch.occurredAt,
+          weight,
+          revenue: parseFloat((orderValue * weight).toFixed(4))
+        });
+      });
+    });
+
+    await AttributionCredit.insertMany(credits, { ordered: false });
+
+    return { touches: touches.length, credits: credits.length };
+  }
+
+  /**
+   * Recalcula las órdenes de los últimos N días (p.ej. tras cambiar ventanas)
+   */
+  async recompute(days = 30) {
+    const Order = require('../models/Order');
+    const since = new Date(Date.now() - days * DAY_MS);
+
+    // Cursor: el periodo puede tener decenas de miles de órdenes
+    const cursor = Order.find({ orderDate: { $gte: since } })
+      .populate('customer', 'email phone')
+      .select(ORDER_FIELDS)
+      .lean()
+      .cursor({ batchSize: RECOMPUTE_BATCH_SIZE });
+
+    let processed = 0;
+    let attributed = 0;
+    let failed = 0;
+
+    for await (const order of cursor) {
+      processed++;
+      try {
+        const result = await this.attributeOrder(order, orderOptions(order));
+        if (result.touches > 0) attributed++;
+      } catch (error) {
+        failed++;
+        console.error(`⚠️  Recompute attribution order ${order._id}:`, error.message);
+      }
+    }
+
+    return { orders: processed, attributed, failed };
+  }
+
+  // ==================== REPORTE ====================
+
+  /**
+   * Revenue por canal y por campaña/flow, con los cuatro modelos lado a lado
+   * @param {object} options - { startDate, endDate }
+   */
+  async getReport({ startDate, endDate } = {}) {
+    const Order = require('../models/Order');
+    const Campaign = require('../models/Campaign');
+    const SmsCampaign = require('../models/SmsCampaign');
+    const Flow = require('../models/Flow');
+
+    const end = endDate ? new Date(endDate) : new Date();
+    const start = startDate ? new Date(startDate) : new Date(end.getTime() - 30 * DAY_MS);
+    const dateMatch = { orderDate: { $gte: start, $lte: end } };
+
+    const [config, byChannelRows, bySourceRows, totals, attributedOrders] = await Promise.all([
+      AttributionConfig.getConfig(),
+      AttributionCredit.aggregate([
+        { $match: dateMatch },
+        {
+          $group: {
+            _id: { channel: '$channel', model: '$model' },
+            revenue: { $sum: '$revenue' },
+            conversions: { $sum: '$weight' }
+          }
+        }
+      ]),
+      AttributionCredit.aggregate([
+        { $match: dateMatch },
+        {
+          $group: {
+            _id: {
+              campaign: '$campaign',
+              smsCampaign: '$smsCampaign',
+              flow: '$flow',
+              channel: '$channel',
+              model: '$model'
+            },
+            revenue: { $sum: '$revenue' },
+            conversions: { $sum: '$weight' }
+          }
+        }
+      ]),
+      Order.aggregate([
+        { $match: dateMatch },
+        { $group: { _id: null, revenue: { $sum: '$totalPrice' }, orders: { $sum: 1 } } }
+      ]),
+      AttributionCredit.aggregate([
+        { $match: { ...dateMatch, model: 'last_touch' } },
+        { $group: { _id: null, revenue: { $sum: '$orderValue' }, orders: { $sum: 1 } } }
+      ])
+    ]);
+
+    const emptyModels = () => AttributionCredit.MODELS.reduce((acc, model) => {
+      acc[model] = { revenue: 0, conversions: 0 };
+      return acc;
+    }, {});
+
+    const round = (value, decimals = 2) => parseFloat(value.toFixed(decimals));
+
+    // Por canal
+    const byChannel = {};
+    byChannelRows.forEach(row => {
+      const { channel, model } = row._id;
+      if (!byChannel[channel]) byChannel[channel] = emptyModels();
+      byChannel[channel][model] = {
+        revenue: round(row.revenue),
+        conversions: round(row.conversions, 3)
+      };
+    });
+
+    // Por campaña / campaña SMS / flow
+    const sources = new Map();
+    bySourceRows.forEach(row => {
+      const { campaign, smsCampaign, flow, channel, model } = row._id;
+      const sourceType = campaign ? 'campaign' : smsCampaign ? 'sms_campaign' : flow ? 'flow' : channel;
+      const sourceId = campaign || smsCampaign || flow || null;
+      const key = `${sourceType}:${sourceId || ''}`;
+
+      if (!sources.has(key)) {
+        sources.set(key, { sourceType, sourceId, channel, name: null, models: emptyModels() });
+      }
+      const entry = sources.get(key);
+      entry.models[model].revenue = round(entry.models[model].revenue + row.revenue);
+      entry.models[model].conversions = round(entry.models[model].conversions + row.conversions, 3);
+    });
+
+    const entries = [...sources.values()];
+    const idsOf = (type) => entries.filter(e => e.sourceType === type).map(e => e.sourceId);
+
+    const [campaigns, smsCampaigns, flows] = await Promise.all([
+      Campaign.find({ _id: { $in: idsOf('campaign') } }).select('name').lean(),
+      SmsCampaign.find({ _id: { $in: idsOf('sms_campaign') } }).select('name').lean(),
+      Flow.find({ _id: { $in: idsOf('flow') } }).select('name').lean()
+    ]);
+
+    const names = new Map();
+    [...campaigns, ...smsCampaigns, ...flows].forEach(doc => names.set(doc._id.toString(), doc.name));
+    entries.forEach(entry => {
+      entry.name = entry.sourceId
+        ? (names.get(entry.sourceId.toString()) || 'Deleted')
+        : entry.channel === 'popup' ? 'Popup signup' : 'Unknown';
+    });
+
+    const sortModel = AttributionCredit.MODELS.includes(config.defaultModel) ? config.defaultModel : 'last_touch';
+    entries.sort((a, b) => b.models[sortModel].revenue - a.models[sortModel].revenue);
+
+    const totalRevenue = totals[0]?.revenue || 0;
+    const attributedRevenue = attributedOrders[0]?.revenue || 0;
+
+    return {
+      period: { start, end },
+      models: AttributionCredit.MODELS,
+      defaultModel: sortModel,
+      windows: config.windows,
+      timeDecayHalfLifeDays: config.timeDecayHalfLifeDays,
+      totals: {
+        orders: totals[0]?.orders || 0,
+        revenue: round(totalRevenue),
+        attributedOrders: attributedOrders[0]?.orders || 0,
+        attributedRevenue: round(attributedRevenue),
+        unattributedRevenue: round(Math.max(0, totalRevenue - attributedRevenue))
+      },
+      byChannel,
+      bySource: entries
+    };
+  }
+}
+
+module.exports = new MultiTouchAttributionService();
@@ -0,0 +1,244 @@
+// backend/src/services/personalizationService.js
+// 🧩 Personalización - Contexto de cliente + partials + validación de templates
+//
+// Arma las variables que ve el templateEngine para cada destinatario y valida
+// el htmlContent de campañas (al guardar y antes de enviar): errores de sintaxis
+// y partials inexistentes bloquean; variables desconocidas se reportan como warning.
+const templateEngine = require('../utils/templateEngine');
+
+// Mismos umbrales que los segmentos VIP de segmentationService
+const TIERS = [
+  { name: 'super_vip', minSpent: 500 },
+  { name: 'vip', minSpent: 200 }
+];
+
+// Variables disponibles en campañas (paths completos; items[] = campo de cada item en un for)
+const CONTEXT_VARIABLES = {
+  firstName: 'First name',
+  lastName: 'Last name',
+  fullName: 'First + last name (fallback "Cliente")',
+  email: 'Email address',
+  phone: 'Phone number',
+  totalSpent: 'Lifetime spend',
+  ordersCount: 'Number of orders',
+  averageOrderValue: 'Average order value',
+  lastOrderDate: 'Date of the last order',
+  tier: 'super_vip | vip | customer | subscriber',
+  tags: 'Customer tags',
+  'address.city': 'City',
+  'address.province': 'State / province (e.g. NJ)',
+  'address.country': 'Country',
+  'address.zip': 'ZIP code',
+  lastOrder: 'Last order (null if none)',
+  'lastOrder.orderNumber': 'Last order number',
+  'lastOrder.date': 'Last order date',
+  'lastOrder.total': 'Last order total',
+  'lastOrder.itemCount': 'Number of items in the last order',
+  'lastOrder.items': 'Last order line items (use in {% for %})',
+  'lastOrder.items[].title': 'Item title',
+  'lastOrder.items[].quantity': 'Item quantity',
+  'lastOrder.items[].price': 'Item price',
+  'lastOrder.items[].sku': 'Item SKU',
+  coupon: 'Unique single-use discount code (requires coupon.percentOff on the campaign)'
+};
+
+// Campos de Customer que necesita buildContext (select del cursor de envío)
+const CUSTOMER_FIELDS = 'email firstName lastName _id phone totalSpent ordersCount averageOrderValue lastOrderDate address tags';
+
+class PersonalizationService {
+
+  constructor() {
+    this.CONTEXT_VARIABLES = CONTEXT_VARIABLES;
+    this.CUSTOMER_FIELDS = CUSTOMER_FIELDS;
+  }
+
+  // ==================== CONTEXTO ====================
+
+  tierFor(customer) {
+    const spent = customer.totalSpent || 0;
+    const tier = TIERS.find(t => spent >= t.minSpent);
+    if (tier) return tier.name;
+    return (customer.ordersCount || 0) > 0 ? 'customer' : 'subscriber';
+  }
+
+  /**
+   * Variables de un destinatario
+   * @param {object} customer - Customer lean (lastOrder opcional, ver loadLastOrders)
+   * @param {object} extra - variables adicionales (defaults de Template.variables, etc.)
+   */
+  buildContext(customer = {}, extra = {}) {
+    const lastOrder = customer.lastOrder || null;
+
+    return {
+      ...extra,
+      firstName: customer.firstName || '',
+      lastName: customer.lastName || '',
+      fullName: `${customer.firstName || ''} ${customer.lastName || ''}`.trim() || 'Cliente',
+      email: customer.email || '',
+      phone: customer.phone || '',
+      totalSpent: customer.totalSpent || 0,
+      ordersCount: customer.ordersCount || 0,
+      averageOrderValue: customer.averageOrderValue || 0,
+      lastOrderDate: customer.lastOrderDate || null,
+      tier: this.tierFor(customer),
+      tags: customer.tags || [],
+      address: {
+        city: customer.address?.city || '',
+        province: customer.address?.province || '',
+        country: customer.address?.country || '',
+        zip: customer.address?.zip || ''
+      },
+      lastOrder: lastOrder ? {
+        orderNumber: lastOrder.orderNumber,
+        date: lastOrder.orderDate,
+        total: lastOrder.totalPrice,
+        itemCount: (lastOrder.lineItems || []).reduce((sum, item) => sum + (item.quantity || 0), 0),
+        items: (lastOrder.lineItems || []).map(item => ({
+          title: item.title,
+          quantity: item.quantity,
+          price: item.price,
+          sku: item.sku
+        }))
+      } : null
+    };
+  }
+
+  /**
+   * Última orden de cada cliente de un batch
+   * @returns {Map<string, object>} customerId → Order
+   */
+  async loadLastOrders(customerIds) {
+    const Order = require('../models/Order');
+    const orders = new Map();
+    if (customerIds.length === 0) return orders;
+
+    const rows = await Order.aggregate([
+      { $match: { customer: { $in: customerIds } } },
+      { $sort: { orderDate: -1 } },
+      {
+        $group: {
+          _id: '$customer',
+          orderNumber: { $first: '$orderNumber' },
+          orderDate: { $first: '$orderDate' },
+          totalPrice: { $first: '$totalPrice' },
+          lineItems: { $first: '$lineItems' }
+        }
+      }
+    ]);
+
+    rows.forEach(row => orders.set(row._id.toString(), row));
+    return orders;
+  }
+
+  // ==================== PARTIALS ====================
+
+  /**
+   * Carga los partials (Template type 'partial') incluidos en los sources,
+   * resolviendo includes anidados
+   * @returns {object} { partials: { name: html }, missing: [] }
+   */
+  async loadPartials(sources) {
+    const Template = require('../models/Template');
+    const partials = {};
+    const missing = new Set();
+    let pending = this.includedPartials(sources);
+
+    for (let depth = 0; pending.length > 0 && depth < 5; depth++) {
+      const found = await Template.find({ type: 'partial', isActive: true, name: { $in: pending } })
+        .select('name htmlContent')
+        .lean();
+
+      found.forEach(t => { partials[t.name] = t.htmlContent; });
+      pending.filter(name => partials[name] === undefined).forEach(name => missing.add(name));
+
+      pending = this.includedPartials(found.map(t => t.htmlContent))
+        .filter(name => partials[name] === undefined && !missing.has(name));
+    }
+
+    return { partials, missing: [...missing] };
+  }
+
+  includedPartials(sources) {
+    const names = new Set();
+    sources.filter(Boolean).forEach(source => {
+      templateEngine.analyze(source).partials.forEach(name => names.add(name));
+    });
+    return [...names];
+  }
+
+  // ==================== VALIDACIÓN ====================
+
+  /**
+   * Valida uno o más sources contra las variables conocidas
+   * @param {string[]} sources
+   * @param {object} options - { knownVariables: [] extra (ej. Template.variables) }
+   * @returns {object} { valid, errors, unknownVariables, missingPartials, usesLastOrder, partials }
+   */
+  async validate(sources, { knownVariables = [] } = {}) {
+    const { partials, missing } = await this.loadPartials(sources);
+    const known = new Set([...Object.keys(CONTEXT_VARIABLES), ...knownVariables]);
+
+    const errors = [];
+    const unknown = new Set();
+    let usesLastOrder = false;
+
+    sources.filter(Boolean).forEach(source => {
+      const analysis = templateEngine.analyze(source, { partials });
+      errors.push(...analysis.errors);
+
+      analysis.variables.forEach(path => {
+        if (path === 'lastOrder' || path.startsWith('lastOrder.')) usesLastOrder = true;
+        if (!this.isKnown(path, known)) unknown.add(path);
+      });
+    });
+
+    missing.forEach(name => errors.push(`Partial "${name}" not found`));
+
+    return {
+      valid: errors.length === 0,
+      errors: [...new Set(errors)],
+      unknownVariables: [...unknown],
+      missingPartials: missing,
+      usesLastOrder,
+      partials
+    };
+  }
+
+  // size/first/last son accesos válidos sobre cualquier variable conocida
+  isKnown(path, known) {
+    if (known.has(path)) return true;
+    const parent = path.slice(0, path.lastIndexOf('.'));
+    const last = path.slice(path.lastIndexOf('.') + 1);
+    if (parent && ['size', 'first', 'last'].includes(last)) return known.has(parent);
+    return false;
+  }
+
+  /**
+   * Contenido base + variantes A/B de una campaña
+   */
+  campaignSources(campaign) {
+    const sources = [campaign.htmlContent, campaign.previewText, campaign.textContent];
+    (campaign.abTest?.variants || []).forEach(v => {
+      sources.push(v.htmlContent, v.previewText);
+    });
+    return sources.filter(Boolean);
+  }
+
+  /**
+   * Valida y guarda el resultado en campaign.templateValidation (no hace save)
+   */
+  async validateCampaign(campaign) {
+    const result = await this.validate(this.campaignSources(campaign));
+
+    campaign.templateValidation = {
+      valid: result.valid,
+      errors: result.errors,
+      unknownVariables: result.unknownVariables,
+      checkedAt: new Date()
+    };
+
+    return result;
+  }
+}
+
+module.exports = new PersonalizationService();
@@ -0,0 +1,413 @@
+// backend/src/services/preflightService.js
+// 🛫 Preflight - Chequeo de una campaña antes de enviarla / programarla
+//
+// Errores bloquean el envío. Warnings requieren acknowledgement: se guarda el
+// hash de los warnings reconocidos y si cambian (nuevo contenido, otra audiencia)
+// hay que volver a reconocerlos.
+//
+// Corre automáticamente en campaignSendService.sendCampaign (send + schedulerJob)
+// y al programar (campaignsController.schedule, Maximus).
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const Customer = require('../models/Customer');
+const personalizationService = require('./personalizationService');
+const couponPoolService = require('./couponPoolService');
+const blockRenderer = require('../utils/blockRenderer');
+
+const LIMITS = {
+  GMAIL_CLIP_BYTES: 102 * 1024,     // Gmail corta el mensaje ("[Message clipped]") y con él el unsubscribe
+  SIZE_WARNING_BYTES: 90 * 1024,
+  SUBJECT_MAX: 60,                  // Se trunca en mobile
+  PREVIEW_MIN: 35,                  // Más corto → el inbox completa con texto del body
+  PREVIEW_MAX: 140,
+  BOUNCED_WARNING: 0.03,
+  BOUNCED_ERROR: 0.10
+};
+
+// Hosts que nunca llegan al destinatario
+const UNREACHABLE_HOSTS = /^(localhost|127\.\d+\.\d+\.\d+|0\.0\.0\.0|10\.\d+\.\d+\.\d+|192\.168\.\d+\.\d+|.*\.local|.*\.test|(www\.)?example\.(com|org|net))$/i;
+
+// Merge tags de otras plataformas / sintaxis vieja que se enviarían literales
+const FOREIGN_MERGE_TAGS = [
+  { regex: /\*\|[A-Z0-9_:]+\|\*/g, name: 'Mailchimp' },
+  { regex: /%%[a-zA-Z0-9_.]+%%/g, name: 'Salesforce' },
+  { regex: /\[(?:First ?Name|Last ?Name|Name|Email)\]/gi, name: 'bracket' },
+  { regex: /(?<![{%])\{\s*[a-zA-Z_][a-zA-Z0-9_.]*\s*\}(?!\})/g, name: 'single-brace' }
+];
+
+// "code SUMMER20", "use code: PICKLE15", "promo code “BOWL20”"
+const DISCOUNT_CODE_REGEX = /\b(?:(?:promo|discount|coupon)\s+code|code|coupon)\b\s*:?\s*["'“‘]?([A-Za-z0-9][A-Za-z0-9_-]{2,19})\b/gi;
+
+class PreflightService {
+
+  constructor() {
+    this.LIMITS = LIMITS;
+  }
+
+  issue(severity, code, message, details = {}) {
+    return { severity, code, message, details };
+  }
+
+  // ==================== CHEQUEOS DE CONTENIDO ====================
+
+  /**
+   * Links con formato roto o que no llegan al destinatario
+   */
+  checkLinks(html, label) {
+    const issues = [];
+    const hrefs = [...html.matchAll(/href\s*=\s*["']([^"']*)["']/gi)].map(m => m[1].trim());
+
+    hrefs.forEach(href => {
+      // Placeholders que se reemplazan por destinatario
+      if (href.includes('{{') || href.includes('{%') || href.startsWith('%unsubscribe')) return;
+      if (href.startsWith('tel:') || href.startsWith('sms:')) return;
+
+      if (href === '' || href === '#') {
+        issues.push(this.issue('warning', 'empty_link', `${label}Link vacío (href="${href}")`, { href }));
+        return;
+      }
+
+      if (href.startsWith('#')) return;
+
+      if (/^javascript:/i.test(href)) {
+        issues.push(this.issue('error', 'broken_link', `${label}Link con javascript: (bloqueado por los clientes de email)`, { href }));
+        return;
+      }
+
+      if (href.startsWith('mailto:')) {
+        if (!/^mailto:[^@\s]+@[^@\s]+\.[^@\s]+/i.test(href)) {
+          issues.push(this.issue('error', 'broken_link', `${label}mailto inválido: ${href}`, { href }));
+        }
+        return;
+      }
+
+      let url;
+      try {
+        url = new URL(href);
+      } catch (error) {
+        issues.push(this.issue('error', 'broken_link', `${label}Link con formato inválido (¿falta https://?): ${href}`, { href }));
+        return;
+      }
+
+      if (!['http:', 'https:'].includes(url.protocol)) {
+        issues.push(this.issue('error', 'broken_link', `${label}Protocolo no soportado (${url.protocol}): ${href}`, { href }));
+      } else if (/\s/.test(href)) {
+        issues.push(this.issue('error', 'broken_link', `${label}Link con espacios: ${href}`, { href }));
+      } else if (UNREACHABLE_HOSTS.test(url.hostname) || !url.hostname.includes('.')) {
+        issues.push(this.issue('error', 'unreachable_link', `${label}Link a un host no público (${url.hostname})`, { href }));
+      } else if (url.protocol === 'http:') {
+        issues.push(this.issue('warning', 'insecure_link', `${label}Link sin https: ${href}`, { href }));
+      }
+    });
+
+    return { issues, count: hrefs.length };
+  }
+
+  /**
+   * Imágenes sin atributo alt (alt="" es válido para imágenes decorativas)
+   */
+  checkImages(html, label) {
+    const images = [...html.matchAll(/<img\b[^>]*>/gi)].map(m => m[0]);
+    const missingAlt = images.filter(tag => !/\balt\s*=/i.test(tag));
+
+    const issues = missingAlt.length > 0
+      ? [this.issue('warning', 'image_alt', `${label}${missingAlt.length} imagen(es) sin alt text`, {
+        images: missingAlt.slice(0, 10).map(tag => tag.match(/src\s*=\s*["']([^"']*)["']/i)?.[1] || tag.slice(0, 80))
+      })]
+      : [];
+
+    return { issues, count: images.length };
+  }
+
+  /**
+   * Unsubscribe: sin placeholder se agrega un footer por defecto (warning),
+   * pero si el copy ya menciona "unsubscribe" emailService no agrega nada (error)
+   */
+  checkUnsubscribe(html, label) {
+    const hasPlaceholder = /\{\{\s*unsubscribe(_link|_url|Link|Url)\s*\}\}|%unsubscribe_link%/.test(html);
+    if (hasPlaceholder) return [];
+
+    if (html.toLowerCase().includes('unsubscribe')) {
+      return [this.issue('error', 'missing_unsubscribe', `${label}El copy menciona "unsubscribe" pero no tiene {{unsubscribe_link}}: el email saldría sin link de baja`)];
+    }
+
+    return [this.issue('warning', 'missing_unsubscribe', `${label}Sin {{unsubscribe_link}}: se agregará el footer de baja por defecto`)];
+  }
+
+  /**
+   * Tamaño final (con tracking y links de baja) contra el límite de Gmail
+   */
+  checkSize(html, campaignId, label) {
+    const emailService = require('./emailService');
+    const sampleId = new mongoose.Types.ObjectId().toString();
+    const sampleEmail = 'preflight.sample@jerseypickles.com';
+
+    let rendered = emailService.personalize(html, { firstName: 'Sample', lastName: 'Customer', email: sampleEmail });
+    rendered = emailService.injectUnsubscribeLink(rendered, sampleId, sampleEmail, campaignId);
+    rendered = emailService.injectTracking(rendered, campaignId, sampleId, sampleEmail);
+
+    const bytes = Buffer.byteLength(rendered, 'utf8');
+    const kb = (bytes / 1024).toFixed(1);
+
+    if (bytes > LIMITS.GMAIL_CLIP_BYTES) {
+      return { bytes, issues: [this.issue('error', 'html_size', `${label}HTML de ${kb}KB: Gmail lo corta a los 102KB (se pierde el unsubscribe y el tracking)`, { bytes })] };
+    }
+    if (bytes > LIMITS.SIZE_WARNING_BYTES) {
+      return { bytes, issues: [this.issue('warning', 'html_size', `${label}HTML de ${kb}KB, cerca del límite de 102KB de Gmail`, { bytes })] };
+    }
+    return { bytes, issues: [] };
+  }
+
+  checkSubjectAndPreview(content, label) {
+    const issues = [];
+    const subject = (content.subject || '').trim();
+    const preview = (content.previewText || '').trim();
+
+    if (!subject) {
+      issues.push(this.issue('error', 'subject_length', `${label}Subject vacío`));
+    } else if (subject.length > LIMITS.SUBJECT_MAX) {
+      issues.push(this.issue('warning', 'subject_length', `${label}Subject de ${subject.length} caracteres (se trunca en mobile después de ~${LIMITS.SUBJECT_MAX})`, { length: subject.length }));
+    }
+
+    if (!preview) {
+      issues.push(this.issue('warning', 'preview_length', `${label}Sin preview text: el inbox muestra el inicio del body`));
+    } else if (preview.length < LIMITS.PREVIEW_MIN) {
+      issues.push(this.issue('warning', 'preview_length', `${label}Preview text de ${preview.length} caracteres (mínimo recomendado ${LIMITS.PREVIEW_MIN})`, { length: preview.length }));
+    } else if (preview.length > LIMITS.PREVIEW_MAX) {
+      issues.push(this.issue('warning', 'preview_length', `${label}Preview text de ${preview.length} caracteres (se corta después de ~${LIMITS.PREVIEW_MAX})`, { length: preview.length }));
+    }
+
+    return issues;
+  }
+
+  /**
+   * Merge tags que llegarían literales o vacíos al destinatario
+   */
+  checkMergeTags(content, label) {
+    const issues = [];
+
+    // El subject no pasa por el templateEngine: solo {{coupon}} se reemplaza
+    const subjectTags = (content.subject?.match(/\{\{[^}]*\}\}|\{%[^%]*%\}/g) || [])
+      .filter(tag => !couponPoolService.hasPlaceholder(tag));
+    if (subjectTags.length > 0) {
+      issues.push(this.issue('error', 'unresolved_merge_tag', `${label}El subject no se personaliza: ${subjectTags.join(', ')} saldría literal`, { tags: subjectTags }));
+    }
+
+    const text = blockRenderer.htmlToText(content.htmlContent || '') + '\n' + (content.previewText || '');
+    FOREIGN_MERGE_TAGS.forEach(({ regex, name }) => {
+      const found = [...new Set(text.match(regex) || [])];
+      if (found.length > 0) {
+        issues.push(this.issue('error', 'unresolved_merge_tag', `${label}Merge tags ${name} sin reemplazar: ${found.slice(0, 5).join(', ')}`, { tags: found }));
+      }
+    });
+
+    return issues;
+  }
+
+  // ==================== CHEQUEOS DE CAMPAÑA ====================
+
+  /**
+   * Códigos de descuento mencionados en el copy contra las promociones del BusinessCalendar
+   */
+  async checkDiscountCodes(contents, sendAt) {
+    const BusinessCalendar = require('../models/BusinessCalendar');
+    const issues = [];
+
+    const codes = new Set();
+    contents.forEach(content => {
+      const text = `${content.subject || ''}\n${content.previewText || ''}\n${blockRenderer.htmlToText(content.htmlContent || '')}`;
+      [...text.matchAll(DISCOUNT_CODE_REGEX)].forEach(match => {
+        const code = match[1];
+        // Solo tokens en mayúsculas con al menos una letra ("code below" no es un código)
+        if (code === code.toUpperCase() && /[A-Z]/.test(code)) codes.add(code);
+      });
+    });
+
+    if (codes.size === 0) return { issues, codes: [] };
+
+    const promotions = await BusinessCalendar.find({
+      type: 'promotion',
+      status: { $ne: 'cancelled' },
+      'promotion.discountCode': { $in: [...codes].map(code => new RegExp(`^${code}$`, 'i')) }
+    }).select('name startDate endDate promotion.discountCode').lean();
+
+    codes.forEach(code => {
+      const promotion = promotions.find(p => p.promotion.discountCode.toUpperCase() === code);
+
+      if (!promotion) {
+        issues.push(this.issue('warning', 'discount_code_unknown', `Código "${code}" no existe en las promociones del Business Calendar`, { code }));
+      } else if (new Date(promotion.endDate) < sendAt) {
+        issues.push(this.issue('error', 'discount_code_expired', `Código "${code}" vence el ${new Date(promotion.endDate).toLocaleDateString('en-US')} (promoción "${promotion.name}"), antes del envío`, { code, promotionId: promotion._id }));
+      } else if (new Date(promotion.startDate) > sendAt) {
+        issues.push(this.issue('warning', 'discount_code_not_started', `Código "${code}": la promoción "${promotion.name}" empieza el ${new Date(promotion.startDate).toLocaleDateString('en-US')}, después del envío`, { code, promotionId: promotion._id }));
+      }
+    });
+
+    return { issues, codes: [...codes] };
+  }
+
+  /**
+   * Audiencia vacía o con mucha proporción de bounces
+   */
+  async checkAudience(campaign, audience) {
+    const issues = [];
+
+    if (!audience) {
+      const { resolveAudience } = require('./campaignSendService');
+      audience = await resolveAudience(campaign);
+    }
+
+    if (audience.error) {
+      return { issues: [this.issue('error', 'audience', audience.error)], count: 0 };
+    }
+    if (audience.count === 0) {
+      return { issues: [this.issue('error', 'audience', 'La audiencia no tiene destinatarios')], count: 0 };
+    }
+
+    const bounced = await Customer.countDocuments({
+      $and: [
+        audience.query,
+        { $or: [{ emailStatus: 'bounced' }, { 'bounceInfo.isBounced': true }] }
+      ]
+    });
+
+    const share = bounced / audience.count;
+    const pct = (share * 100).toFixed(1);
+    const target = audience.source === 'segment' ? 'El segmento' : 'La lista';
+
+    if (share >= LIMITS.BOUNCED_ERROR) {
+      issues.push(this.issue('error', 'bounced_share', `${target} tiene ${pct}% de emails rebotados (${bounced.toLocaleString()}): limpiarla antes de enviar`, { bounced, total: audience.count, share }));
+    } else if (share >= LIMITS.BOUNCED_WARNING) {
+      issues.push(this.issue('warning', 'bounced_share', `${target} tiene ${pct}% de emails rebotados (${bounced.toLocaleString()})`, { bounced, total: audience.count, share }));
+    }
+
+    return { issues, count: audience.count, bounced };
+  }
+
+  // ==================== RUN ====================
+
+  /**
+   * Corre todos los chequeos (no guarda)
+   * @param {object} campaign - documento Campaign
+   * @param {object} options - { audience (de resolveAudience, opcional), sendAt }
+   * @returns {object} { passed, errors, warnings, warningsHash, checkedAt, summary }
+   */
+  async run(campaign, { audience = null, sendAt = null } = {}) {
+    const when = sendAt || campaign.scheduledAt || new Date();
+    const campaignId = campaign._id.toString();
+    const issues = [];
+
+    // Contenido base + cada variante A/B
+    const variantKeys = campaign.abTest?.enabled ? campaign.abTest.variants.map(v => v.key) : [];
+    const contents = variantKeys.length > 0
+      ? variantKeys.map(key => ({ label: `[${key}] `, ...campaign.getVariantContent(key) }))
+      : [{ label: '', ...campaign.getVariantContent(null) }];
+
+    let htmlBytes = 0;
+    let links = 0;
+    let images = 0;
+
+    contents.forEach(content => {
+      const html = content.htmlContent || '';
+      const linkCheck = this.checkLinks(html, content.label);
+      const imageCheck = this.checkImages(html, content.label);
+      const sizeCheck = this.checkSize(html, campaignId, content.label);
+
+      issues.push(
+        ...linkCheck.issues,
+        ...imageCheck.issues,
+        ...this.checkUnsubscribe(html, content.label),
+        ...sizeCheck.issues,
+        ...this.checkSubjectAndPreview(content, content.label),
+        ...this.checkMergeTags(content, content.label)
+      );
+
+      htmlBytes = Math.max(htmlBytes, sizeCheck.bytes);
+      links = Math.max(links, linkCheck.count);
+      images = Math.max(images, imageCheck.count);
+    });
+
+    // Sintaxis + variables que no existen en el contexto (se renderizarían vacías)
+    const template = await personalizationService.validate(personalizationService.campaignSources(campaign));
+    template.errors.forEach(error => issues.push(this.issue('error', 'template_syntax', error)));
+    if (template.unknownVariables.length > 0) {
+      issues.push(this.issue('error', 'unresolved_merge_tag', `Variables desconocidas (saldrían vacías): ${template.unknownVariables.join(', ')}`, { variables: template.unknownVariables }));
+    }
+
+    if (couponPoolService.usesCoupon(campaign) && !campaign.coupon?.percentOff && !campaign.coupon?.priceRuleId) {
+      issues.push(this.issue('error', 'unresolved_merge_tag', 'Usa {{coupon}} pero la campaña no tiene coupon.percentOff configurado'));
+    }
+
+    const discountCheck = await this.checkDiscountCodes(contents, when);
+    const audienceCheck = await this.checkAudience(campaign, audience);
+    issues.push(...discountCheck.issues, ...audienceCheck.issues);
+
+    const errors = issues.filter(i => i.severity === 'error');
+    const warnings = issues.filter(i => i.severity === 'warning');
+
+    return {
+      passed: errors.length === 0,
+      errors,
+      warnings,
+      warningsHash: this.hashWarnings(warnings),
+      checkedAt: new Date(),
+      summary: {
+        htmlBytes,
+        links,
+        images,
+        discountCodes: discountCheck.codes,
+        recipients: audienceCheck.count,
+        bouncedRecipients: audienceCheck.bounced || 0
+      }
+    };
+  }
+
+  hashWarnings(warnings) {
+    if (warnings.length === 0) return null;
+    const key = warnings.map(w => `${w.code}:${w.message}`).sort().join('\n');
+    return crypto.createHash('sha256').update(key).digest('hex').slice(0, 16);
+  }
+
+  /**
+   * Corre el preflight y lo guarda en campaign.preflight (no hace save).
+   * Con acknowledge=true los warnings actuales quedan reconocidos.
+   * @param {object} options - { audience, sendAt, acknowledge, acknowledgedBy }
+   * @returns {object} { canSend, reason, preflight }
+   */
+  async check(campaign, { audience = null, sendAt = null, acknowledge = false, acknowledgedBy = null } = {}) {
+    const result = await this.run(campaign, { audience, sendAt });
+    const previous = campaign.preflight || {};
+
+    const acknowledged = !result.warningsHash ||
+      acknowledge ||
+      (previous.acknowledgedHash && previous.acknowledgedHash === result.warningsHash);
+
+    campaign.preflight = {
+      passed: result.passed,
+      errors: result.errors,
+      warnings: result.warnings,
+      warningsHash: result.warningsHash,
+      summary: result.summary,
+      checkedAt: result.checkedAt,
+      acknowledgedHash: acknowledge && result.warningsHash ? result.warningsHash : previous.acknowledgedHash,
+      acknowledgedBy: acknowledge && result.warningsHash ? acknowledgedBy : previous.acknowledgedBy,
+      acknowledgedAt: acknowledge && result.warningsHash ? new Date() : previous.acknowledgedAt
+    };
+
+    let reason = null;
+    if (!result.passed) {
+      reason = `Preflight: ${result.errors.length} error(es) - ${result.errors.map(e => e.message).slice(0, 3).join('; ')}`;
+    } else if (!acknowledged) {
+      reason = `Preflight: ${result.warnings.length} warning(s) requieren confirmación (acknowledgeWarnings)`;
+    }
+
+    return {
+      canSend: !reason,
+      reason,
+      requiresAcknowledgement: result.passed && !acknowledged,
+      preflight: campaign.preflight
+    };
+  }
+}
+
+module.exports = new PreflightService();
@@ -173,6 +173,13 @@ class ProductService {
       isOnSale: productData.variants?.some(v => v.compareAtPrice && v.compareAtPrice > v.price)
     };
     
+    // Restock: estaba agotado y volvió a tener inventario
+    const previous = await Product.findOne({ shopifyId: productData.shopifyId }).select('isOutOfStock').lean();
+    if (previous?.isOutOfStock && !productData.isOutOfStock) {
+      productData.restockedAt = new Date();
+      console.log(`📦 Back in stock: ${productData.title}`);
+    }
+    
     const product = await Product.findOneAndUpdate(
       { shopifyId: productData.shopifyId },
       productData,
@@ -0,0 +1,365 @@
+// backend/src/services/recommendationService.js
+// 🛍️ Recomendaciones - Bloque {{recommendations}} resuelto por destinatario al enviar
+//
+// emailQueue llama resolveBatch() con cada batch: por cliente se eligen, en orden,
+//   1. bought_together - comprados junto a algo de su última orden
+//   2. back_in_stock   - repuestos en los últimos días (primero los que ya compró)
+//   3. top_seller      - más vendidos que todavía no probó
+// Solo productos activos y con stock. Cada link lleva utm_content=rec_<shopifyId>
+// para reportar clicks y revenue por producto recomendado (getReport).
+const blockRenderer = require('../utils/blockRenderer');
+
+const CATALOG_TTL_MS = 15 * 60 * 1000;
+const BACK_IN_STOCK_DAYS = 14;
+const STORE_URL = 'https://jerseypickles.com';
+
+const PLACEHOLDER_REGEX = /\{\{\s*recommendations(?::(\d+))?\s*\}\}/g;
+
+const LABELS = {
+  bought_together: 'Pairs with your last order',
+  back_in_stock: 'Back in stock',
+  top_seller: 'Best seller'
+};
+
+class RecommendationService {
+
+  constructor() {
+    this.catalog = null;
+    this.catalogLoadedAt = 0;
+  }
+
+  hasPlaceholder(content) {
+    return !!content && /\{\{\s*recommendations(?::\d+)?\s*\}\}/.test(content);
+  }
+
+  // ==================== CATÁLOGO (cache) ====================
+
+  /**
+   * Productos disponibles + top sellers + pares comprados juntos (cache 15 min)
+   */
+  async getCatalog() {
+    if (this.catalog && Date.now() - this.catalogLoadedAt < CATALOG_TTL_MS) {
+      return this.catalog;
+    }
+
+    const Product = require('../models/Product');
+    const productService = require('./productService');
+
+    const [products, topSelling, boughtTogether] = await Promise.all([
+      Product.find({ status: 'active', isOutOfStock: false })
+        .select('shopifyId title handle featuredImage variants priceRange frequentlyBoughtWith restockedAt')
+        .lean(),
+      productService.calculateTopSellingFromOrders(30),
+      productService.calculateFrequentlyBoughtTogether(90, 2)
+    ]);
+
+    const available = new Map(products.map(p => [p.shopifyId, p]));
+
+    // productId → socios ordenados por co-ocurrencias
+    const partners = new Map();
+    const addPartner = (a, b, count) => {
+      if (!a || !b) return;
+      if (!partners.has(a)) partners.set(a, new Map());
+      const current = partners.get(a).get(b) || 0;
+      partners.get(a).set(b, Math.max(current, count || 1));
+    };
+
+    boughtTogether.forEach(pair => {
+      const [a, b] = pair.products.map(p => p.productId);
+      addPartner(a, b, pair.coOccurrences);
+      addPartner(b, a, pair.coOccurrences);
+    });
+    products.forEach(p => {
+      (p.frequentlyBoughtWith || []).forEach(fb => addPartner(p.shopifyId, fb.shopifyId, fb.coOccurrences));
+    });
+
+    const restockSince = Date.now() - BACK_IN_STOCK_DAYS * 24 * 60 * 60 * 1000;
+
+    this.catalog = {
+      available,
+      partners: new Map([...partners].map(([id, map]) => [
+        id,
+        [...map].sort((a, b) => b[1] - a[1]).map(([partnerId]) => partnerId)
+      ])),
+      topSellers: topSelling.map(t => t.shopifyId).filter(id => available.has(id)),
+      restocked: products
+        .filter(p => p.restockedAt && new Date(p.restockedAt).getTime() >= restockSince)
+        .sort((a, b) => new Date(b.restockedAt) - new Date(a.restockedAt))
+        .map(p => p.shopifyId)
+    };
+    this.catalogLoadedAt = Date.now();
+
+    return this.catalog;
+  }
+
+  // ==================== SELECCIÓN ====================
+
+  /**
+   * Historial de compras de un batch de clientes
+   * @returns {Map<string, object>} customerId → { lastOrder: Set, purchased: Set }
+   */
+  async loadHistory(customerIds) {
+    const mongoose = require('mongoose');
+    const Order = require('../models/Order');
+    const history = new Map();
+
+    const ids = customerIds.filter(id => mongoose.Types.ObjectId.isValid(id));
+    if (ids.length === 0) return history;
+
+    const rows = await Order.aggregate([
+      { $match: { customer: { $in: ids.map(id => new mongoose.Types.ObjectId(id)) } } },
+      { $sort: { orderDate: -1 } },
+      {
+        $group: {
+          _id: '$customer',
+          lastOrder: { $first: '$lineItems.productId' },
+          purchased: { $push: '$lineItems.productId' }
+        }
+      }
+    ]);
+
+    rows.forEach(row => {
+      history.set(row._id.toString(), {
+        lastOrder: new Set((row.lastOrder || []).filter(Boolean)),
+        purchased: new Set((row.purchased || []).flat().filter(Boolean))
+      });
+    });
+
+    return history;
+  }
+
+  /**
+   * Productos para un cliente
+   * @returns {object[]} [{ productId, reason }]
+   */
+  pickForCustomer(catalog, history, limit) {
+    const picks = [];
+    const used = new Set();
+    const purchased = history?.purchased || new Set();
+
+    const add = (productId, reason) => {
+      if (picks.length >= limit || used.has(productId) || !catalog.available.has(productId)) return;
+      used.add(productId);
+      picks.push({ productId, reason });
+    };
+
+    // 1. Comprados junto a su última orden
+    (history ? [...history.lastOrder] : []).forEach(productId => {
+      (catalog.partners.get(productId) || [])
+        .filter(partnerId => !purchased.has(partnerId))
+        .forEach(partnerId => add(partnerId, 'bought_together'));
+    });
+
+    // 2. Back in stock que ya compró
+    catalog.restocked.filter(id => purchased.has(id)).forEach(id => add(id, 'back_in_stock'));
+
+    // 3. Top sellers que no probó
+    catalog.topSellers.filter(id => !purchased.has(id)).forEach(id => add(id, 'top_seller'));
+
+    // Relleno: otros back in stock
+    catalog.restocked.forEach(id => add(id, 'back_in_stock'));
+
+    return picks;
+  }
+
+  // ==================== RENDER (emailQueue) ====================
+
+  toGridProduct(product, reason) {
+    const variant = product.variants?.[0];
+    const url = new URL(`${STORE_URL}/products/${product.handle}`);
+    url.searchParams.set('utm_content', `rec_${product.shopifyId}`);
+
+    return {
+      title: product.title,
+      imageUrl: product.featuredImage,
+      price: variant?.price ?? product.priceRange?.min,
+      compareAtPrice: variant?.compareAtPrice,
+      url: url.toString(),
+      label: LABELS[reason]
+    };
+  }
+
+  /**
+   * Reemplaza {{recommendations}} en html/text de cada destinatario.
+   * Nunca deja el placeholder: si falla o no hay productos, el bloque queda vacío.
+   * @param {string} campaignId
+   * @param {object[]} recipients - [{ customerId, email, html, text }]
+   * @returns {object[]} [{ html, text, recommendations: [{ productId, title, reason, position }] }]
+   */
+  async resolveBatch(campaignId, recipients) {
+    const emailService = require('./emailService');
+
+    let catalog = null;
+    let history = new Map();
+    try {
+      catalog = await this.getCatalog();
+      history = await this.loadHistory(recipients.map(r => r.customerId).filter(Boolean));
+    } catch (error) {
+      console.error('   ⚠️  Recomendaciones no disponibles:', error.message);
+    }
+
+    return recipients.map(recipient => {
+      const limits = [recipient.html, recipient.text]
+        .filter(Boolean)
+        .flatMap(content => [...content.matchAll(PLACEHOLDER_REGEX)].map(m => parseInt(m[1]) || 3));
+      const limit = Math.min(Math.max(...limits, 1), 6);
+
+      const picks = catalog ? this.pickForCustomer(catalog, history.get(String(recipient.customerId)), limit) : [];
+      const products = picks.map(pick => ({ ...pick, product: catalog.available.get(pick.productId) }));
+
+      const html = recipient.html
+        ? recipient.html.replace(PLACEHOLDER_REGEX, (match, count) => {
+          const selected = products.slice(0, parseInt(count) || 3);
+          if (selected.length === 0) return '';
+          const grid = blockRenderer.productGridTable({
+            products: selected.map(p => this.toGridProduct(p.product, p.reason)),
+            columns: Math.min(selected.length, 3)
+          });
+          return emailService.wrapLinksWithTracking(grid, campaignId, recipient.customerId, recipient.email);
+        })
+        : recipient.html;
+
+      const text = recipient.text
+        ? recipient.text.replace(PLACEHOLDER_REGEX, (match, count) => products
+          .slice(0, parseInt(count) || 3)
+          .map(p => `- ${p.product.title}\n  ${this.toGridProduct(p.product, p.reason).url}`)
+          .join('\n'))
+        : recipient.text;
+
+      return {
+        html,
+        text,
+        recommendations: products.map((p, index) => ({
+          productId: p.productId,
+          title: p.product.title,
+          reason: p.reason,
+          position: index + 1
+        }))
+      };
+    });
+  }
+
+  // ==================== REPORTE ====================
+
+  /**
+   * Recomendados, clicks y revenue por producto
+   * Revenue: órdenes atribuidas a la campaña que incluyen un producto que se le recomendó a ese cliente
+   * @param {object} options - { days, campaignId? }
+   */
+  async getReport({ days = 30, campaignId = null } = {}) {
+    const mongoose = require('mongoose');
+    const EmailSend = require('../models/EmailSend');
+    const EmailEvent = require('../models/EmailEvent');
+    const Order = require('../models/Order');
+
+    const since = new Date(Date.now() - days * 24 * 60 * 60 * 1000);
+    const sendMatch = { 'recommendations.0': { $exists: true }, sentAt: { $gte: since } };
+    if (campaignId) sendMatch.campaignId = new mongoose.Types.ObjectId(campaignId);
+
+    const sends = await EmailSend.find(sendMatch)
+      .select('campaignId customerId recommendations')
+      .lean();
+
+    const byProduct = new Map();
+    const productRow = (productId, title) => {
+      if (!byProduct.has(productId)) {
+        byProduct.set(productId, {
+          productId,
+          title,
+          recommended: 0,
+          byReason: { bought_together: 0, back_in_stock: 0, top_seller: 0 },
+          clicks: 0,
+          uniqueClickers: new Set(),
+          orders: 0,
+          revenue: 0
+        });
+      }
+      return byProduct.get(productId);
+    };
+
+    // campaign:customer → productIds recomendados
+    const recommendedTo = new Map();
+    const campaignIds = new Set();
+
+    sends.forEach(send => {
+      campaignIds.add(send.campaignId.toString());
+      const key = `${send.campaignId}:${send.customerId}`;
+      if (!recommendedTo.has(key)) recommendedTo.set(key, new Set());
+
+      send.recommendations.forEach(rec => {
+        const row = productRow(rec.productId, rec.title);
+        row.recommended++;
+        if (row.byReason[rec.reason] !== undefined) row.byReason[rec.reason]++;
+        recommendedTo.get(key).add(rec.productId);
+      });
+    });
+
+    if (campaignIds.size === 0) {
+      return { period: { days, since }, campaignId, totals: { recommended: 0, clicks: 0, orders: 0, revenue: 0 }, products: [] };
+    }
+
+    const campaignObjectIds = [...campaignIds].map(id => new mongoose.Types.ObjectId(id));
+
+    const [clicks, orders] = await Promise.all([
+      EmailEvent.find({
+        campaign: { $in: campaignObjectIds },
+        eventType: 'clicked',
+        clickedUrl: { $regex: 'utm_content=rec_' },
+        eventDate: { $gte: since }
+      }).select('clickedUrl customer email').lean(),
+      Order.find({
+        'attribution.campaign': { $in: campaignObjectIds },
+        customer: { $ne: null },
+        orderDate: { $gte: since }
+      }).select('attribution.campaign customer lineItems').lean()
+    ]);
+
+    clicks.forEach(click => {
+      const match = click.clickedUrl.match(/utm_content=rec_([^&#]+)/);
+      if (!match || !byProduct.has(match[1])) return;
+      const row = byProduct.get(match[1]);
+      row.clicks++;
+      row.uniqueClickers.add(String(click.customer || click.email));
+    });
+
+    orders.forEach(order => {
+      const recommended = recommendedTo.get(`${order.attribution.campaign}:${order.customer}`);
+      if (!recommended) return;
+
+      (order.lineItems || []).forEach(item => {
+        if (!recommended.has(item.productId)) return;
+        const row = byProduct.get(item.productId);
+        row.orders++;
+        row.revenue += (item.price || 0) * (item.quantity || 1);
+      });
+    });
+
+    const products = [...byProduct.values()]
+      .map(row => ({
+        productId: row.productId,
+        title: row.title,
+        recommended: row.recommended,
+        byReason: row.byReason,
+        clicks: row.clicks,
+        uniqueClicks: row.uniqueClickers.size,
+        clickRate: row.recommended > 0 ? parseFloat(((row.uniqueClickers.size / row.recommended) * 100).toFixed(2)) : 0,
+        orders: row.orders,
+        revenue: parseFloat(row.revenue.toFixed(2))
+      }))
+      .sort((a, b) => b.revenue - a.revenue || b.clicks - a.clicks);
+
+    return {
+      period: { days, since },
+      campaignId,
+      totals: {
+        recommended: products.reduce((sum, p) => sum + p.recommended, 0),
+        clicks: products.reduce((sum, p) => sum + p.clicks, 0),
+        orders: products.reduce((sum, p) => sum + p.orders, 0),
+        revenue: parseFloat(products.reduce((sum, p) => sum + p.revenue, 0).toFixed(2))
+      },
+      products
+    };
+  }
+}
+
+module.exports = new RecommendationService();
@@ -0,0 +1,318 @@
+// backend/src/services/resendService.js
+// 🔁 Resend a no-openers - Follow-up automático de campañas de email
+//
+// Flujo:
+//   1. La campaña se configura con resend { enabled, subject, delayHours }
+//   2. delayHours después de sentAt, resendJob crea una campaña hija (targetType 'resend')
+//   3. Al enviarla, campaignSendService.resolveAudience llama a buildAudience():
+//      delivered en la original - abrieron/clickearon (human) - compraron - se dieron de baja
+//   4. getCombinedStats() muestra original, resend y el total (el incremental es la hija)
+const Campaign = require('../models/Campaign');
+const EmailSend = require('../models/EmailSend');
+const EmailEvent = require('../models/EmailEvent');
+const Order = require('../models/Order');
+const botFilterService = require('./botFilterService');
+
+const MIN_DELAY_HOURS = 1;
+const MAX_DELAY_HOURS = 168;
+
+const toIdSet = (ids) => new Set(ids.filter(Boolean).map(id => id.toString()));
+
+class ResendService {
+
+  isEnabled(campaign) {
+    return !!(campaign.resend?.enabled && campaign.resend.subject);
+  }
+
+  // ==================== VALIDACIÓN ====================
+
+  /**
+   * Valida la configuración del resend. Devuelve lista de errores (vacía = OK).
+   */
+  validateConfig(resend) {
+    const errors = [];
+
+    if (!resend || !resend.enabled) return errors;
+
+    if (!resend.subject || !String(resend.subject).trim()) {
+      errors.push('El resend necesita un subject nuevo');
+    }
+
+    const delay = resend.delayHours;
+    if (delay !== undefined && (typeof delay !== 'number' || delay < MIN_DELAY_HOURS || delay > MAX_DELAY_HOURS)) {
+      errors.push(`delayHours debe estar entre ${MIN_DELAY_HOURS} y ${MAX_DELAY_HOURS}`);
+    }
+
+    return errors;
+  }
+
+  // ==================== AUDIENCIA ====================
+
+  /**
+   * Inicio del envío original: las compras y bajas se cuentan desde acá
+   * (sentAt se marca al terminar, puede ser horas después del primer email)
+   */
+  async getSendStart(parent) {
+    const first = await EmailSend.findOne({ campaignId: parent._id, sentAt: { $ne: null } })
+      .sort({ sentAt: 1 })
+      .select('sentAt')
+      .lean();
+
+    return first?.sentAt || parent.sentAt;
+  }
+
+  /**
+   * Destinatarios del resend: delivered en la original sin open/click,
+   * sin compras ni bajas desde el envío
+   * @returns {object} { customerIds, delivered, excluded: { engaged, purchased, unsubscribed } }
+   */
+  async buildAudience(parent) {
+    const since = await this.getSendStart(parent);
+
+    const deliveredIds = await EmailSend.distinct('customerId', {
+      campaignId: parent._id,
+      status: 'delivered',
+      customerId: { $ne: null }
+    });
+
+    const delivered = toIdSet(deliveredIds);
+
+    const [engagedIds, purchasedIds, unsubscribedIds] = await Promise.all([
+      // Un prefetch de Apple MPP o un scanner no es un open: esos sí reciben el resend
+      EmailEvent.distinct('customer', {
+        campaign: parent._id,
+        eventType: { $in: ['opened', 'clicked'] },
+        ...botFilterService.humanMatch()
+      }),
+      Order.distinct('customer', {
+        customer: { $in: deliveredIds },
+        orderDate: { $gte: since }
+      }),
+      EmailEvent.distinct('customer', {
+        customer: { $in: deliveredIds },
+        eventType: { $in: ['unsubscribed', 'complained'] },
+        eventDate: { $gte: since }
+      })
+    ]);
+
+    const engaged = toIdSet(engagedIds);
+    const purchased = toIdSet(purchasedIds);
+    const unsubscribed = toIdSet(unsubscribedIds);
+
+    const excluded = { engaged: 0, purchased: 0, unsubscribed: 0 };
+    const customerIds = [];
+
+    deliveredIds.forEach(id => {
+      const key = id.toString();
+      if (engaged.has(key)) excluded.engaged++;
+      else if (purchased.has(key)) excluded.purchased++;
+      else if (unsubscribed.has(key)) excluded.unsubscribed++;
+      else customerIds.push(id);
+    });
+
+    console.log(`🔁 Resend "${parent.name}": ${delivered.size.toLocaleString()} delivered → ${customerIds.length.toLocaleString()} non-openers (${excluded.engaged} engaged, ${excluded.purchased} purchased, ${excluded.unsubscribed} unsubscribed)`);
+
+    return { customerIds, delivered: delivered.size, excluded };
+  }
+
+  // ==================== CAMPAÑA HIJA ====================
+
+  /**
+   * Crea la campaña hija con el contenido de la original (o de la variante ganadora)
+   */
+  async createChild(parent) {
+    const content = parent.getVariantContent(parent.abTest?.winner || null);
+
+    return Campaign.create({
+      name: `${parent.name} (Resend)`,
+      subject: parent.resend.subject,
+      previewText: parent.resend.previewText || content.previewText,
+      htmlContent: content.htmlContent,
+      textContent: content.textContent,
+      fromName: content.fromName,
+      fromEmail: parent.fromEmail,
+      replyTo: parent.replyTo,
+      targetType: 'resend',
+      parentCampaign: parent._id,
+      topic: parent.topic,
+      trackOpens: parent.trackOpens,
+      trackClicks: parent.trackClicks,
+      coupon: parent.coupon?.percentOff ? {
+        percentOff: parent.coupon.percentOff,
+        expirationDays: parent.coupon.expirationDays,
+        prefix: parent.coupon.prefix
+      } : undefined,
+      tags: [...(parent.tags || []), 'resend'],
+      status: 'draft'
+    });
+  }
+
+  /**
+   * Crea y envía el resend de una campaña. El preflight ya se corrió en la original,
+   * los warnings se aceptan automáticamente (los errores sí bloquean)
+   */
+  async sendResend(parentId) {
+    const { sendCampaign } = require('./campaignSendService');
+
+    // Claim atómico: evita dos resends si el job se solapa con un reintento
+    const parent = await Campaign.findOneAndUpdate(
+      { _id: parentId, 'resend.status': 'pending', 'resend.childCampaign': null },
+      { $set: { 'resend.processedAt': new Date() } },
+      { new: true }
+    );
+
+    if (!parent) {
+      return { success: false, error: 'Resend already processed' };
+    }
+
+    const audience = await this.buildAudience(parent);
+
+    if (audience.customerIds.length === 0) {
+      await Campaign.updateOne({ _id: parent._id }, { $set: { 'resend.status': 'skipped', 'resend.error': 'No non-openers left' } });
+      return { success: false, skipped: true, error: 'No non-openers left' };
+    }
+
+    const child = await this.createChild(parent);
+    await Campaign.updateOne({ _id: parent._id }, { $set: { 'resend.childCampaign': child._id } });
+
+    const result = await sendCampaign(child._id, { acknowledgeWarnings: true, acknowledgedBy: 'resend' });
+
+    await Campaign.updateOne({ _id: parent._id }, {
+      $set: result.success
+        ? { 'resend.status': 'sent', 'resend.error': null }
+        : { 'resend.status': 'failed', 'resend.error': result.error }
+    });
+
+    return { ...result, childCampaignId: child._id };
+  }
+
+  /**
+   * Resends vencidos: campañas enviadas hace más de delayHours
+   */
+  async processDue() {
+    const candidates = await Campaign.find({
+      status: 'sent',
+      'resend.enabled': true,
+      'resend.status': 'pending',
+      'resend.childCampaign': null,
+      sentAt: { $lte: new Date(Date.now() - MIN_DELAY_HOURS * 60 * 60 * 1000) }
+    }).select('_id name sentAt resend.delayHours').lean();
+
+    const now = Date.now();
+    const due = candidates.filter(c =>
+      new Date(c.sentAt).getTime() + (c.resend.delayHours || 48) * 60 * 60 * 1000 <= now
+    );
+
+    const processed = [];
+
+    for (const campaign of due) {
+      try {
+        const result = await this.sendResend(campaign._id);
+        processed.push({ campaignId: campaign._id, name: campaign.name, ...result });
+
+        if (!result.success && !result.skipped) {
+          console.error(`🔁 Resend "${campaign.name}": ${result.error}`);
+        }
+      } catch (error) {
+        console.error(`🔁 Resend "${campaign.name}" error:`, error.message);
+        await Campaign.updateOne({ _id: campaign._id }, { $set: { 'resend.status': 'failed', 'resend.error': error.message } });
+        processed.push({ campaignId: campaign._id, name: campaign.name, success: false, error: error.message });
+      }
+    }
+
+    return processed;
+  }
+
+  // ==================== STATS ====================
+
+  pickStats(campaign) {
+    const stats = campaign?.stats || {};
+    const human = botFilterService.getHumanMetrics(stats);
+    return {
+      sent: stats.sent || 0,
+      delivered: stats.delivered || 0,
+      opened: stats.opened || 0,
+      clicked: stats.clicked || 0,
+      humanOpened: human.opened,
+      humanClicked: human.clicked,
+      purchased: stats.purchased || 0,
+      revenue: parseFloat((stats.totalRevenue || 0).toFixed(2)),
+      unsubscribed: stats.unsubscribed || 0
+    };
+  }
+
+  /**
+   * Original, resend y combinado. La audiencia del resend no abrió ni clickeó
+   * la original, así que sus opens/clicks/compras son incrementales y se suman.
+   */
+  async getCombinedStats(campaign) {
+    const parent = campaign.parentCampaign
+      ? await Campaign.findById(campaign.parentCampaign).lean()
+      : campaign;
+
+    if (!parent) return null;
+
+    const child = parent.resend?.childCampaign
+      ? await Campaign.findById(parent.resend.childCampaign).lean()
+      : null;
+
+    const original = this.pickStats(parent);
+    const resend = child ? this.pickStats(child) : null;
+
+    const combined = { ...original };
+    if (resend) {
+      Object.keys(combined).forEach(key => { combined[key] += resend[key]; });
+      combined.revenue = parseFloat(combined.revenue.toFixed(2));
+    }
+
+    // Base = delivered de la original (los del resend ya están contados ahí)
+    const base = original.delivered || 1;
+    const rate = (n) => parseFloat(((n / base) * 100).toFixed(2));
+
+    return {
+      parentCampaignId: parent._id,
+      childCampaignId: child?._id || null,
+      config: {
+        enabled: !!parent.resend?.enabled,
+        subject: parent.resend?.subject || null,
+        delayHours: parent.resend?.delayHours,
+        status: parent.resend?.status,
+        processedAt: parent.resend?.processedAt || null,
+        error: parent.resend?.error || null
+      },
+      original: {
+        ...original,
+        openRate: rate(original.opened),
+        clickRate: rate(original.clicked),
+        humanOpenRate: rate(original.humanOpened),
+        humanClickRate: rate(original.humanClicked)
+      },
+      resend: resend ? {
+        ...resend,
+        status: child.status,
+        subject: child.subject,
+        openRate: resend.delivered > 0 ? parseFloat(((resend.opened / resend.delivered) * 100).toFixed(2)) : 0,
+        humanOpenRate: resend.delivered > 0 ? parseFloat(((resend.humanOpened / resend.delivered) * 100).toFixed(2)) : 0
+      } : null,
+      combined: {
+        ...combined,
+        openRate: rate(combined.opened),
+        clickRate: rate(combined.clicked),
+        humanOpenRate: rate(combined.humanOpened),
+        humanClickRate: rate(combined.humanClicked)
+      },
+      incremental: {
+        opened: resend?.opened || 0,
+        clicked: resend?.clicked || 0,
+        humanOpened: resend?.humanOpened || 0,
+        humanClicked: resend?.humanClicked || 0,
+        purchased: resend?.purchased || 0,
+        revenue: resend?.revenue || 0,
+        openRateLift: resend ? parseFloat((rate(combined.opened) - rate(original.opened)).toFixed(2)) : 0,
+        humanOpenRateLift: resend ? parseFloat((rate(combined.humanOpened) - rate(original.humanOpened)).toFixed(2)) : 0
+      }
+    };
+  }
+}
+
+module.exports = new ResendService();
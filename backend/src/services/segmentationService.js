@@ -0,0 +1,504 @@
+// backend/src/services/segmentationService.js
+// 🎯 Segmentation Service - Compila reglas de segmentos a filtros de MongoDB
+//
+// Formato de reglas (árbol JSON):
+//   {
+//     match: 'all' | 'any',
+//     rules: [
+//       { field: 'totalSpent', operator: 'greater_than_or_equals', value: 200 },
+//       { match: 'any', rules: [ ...subgrupo... ] }
+//     ]
+//   }
+//
+// Los campos permitidos están en FIELDS; cualquier otro se rechaza para no
+// exponer consultas arbitrarias sobre la colección de clientes.
+
+const Customer = require('../models/Customer');
+
+// ==================== CAMPOS PERMITIDOS ====================
+
+const FIELDS = {
+  totalSpent: { type: 'number', label: 'Total gastado' },
+  ordersCount: { type: 'number', label: 'Número de órdenes' },
+  averageOrderValue: { type: 'number', label: 'Ticket promedio' },
+  lastOrderDate: { type: 'date', label: 'Última orden' },
+  lastCartActivity: { type: 'date', label: 'Última actividad de carrito' },
+  createdAt: { type: 'date', label: 'Fecha de registro' },
+  acceptsMarketing: { type: 'boolean', label: 'Acepta marketing' },
+  tags: { type: 'array', label: 'Tags' },
+  source: { type: 'string', label: 'Origen' },
+  emailStatus: { type: 'string', label: 'Estado de email' },
+  popupDiscountCode: { type: 'string', label: 'Código de popup' },
+  'emailStats.sent': { type: 'number', label: 'Emails enviados' },
+  'emailStats.opened': { type: 'number', label: 'Emails abiertos' },
+  'emailStats.clicked': { type: 'number', label: 'Emails con click' },
+  'emailStats.bounced': { type: 'number', label: 'Rebotes' },
+  'emailStats.purchased': { type: 'number', label: 'Compras atribuidas a email' },
+  'emailStats.totalRevenue': { type: 'number', label: 'Revenue de email' },
+  'emailStats.lastOpenedAt': { type: 'date', label: 'Última apertura' },
+  'emailStats.lastClickedAt': { type: 'date', label: 'Último click' },
+  'bounceInfo.isBounced': { type: 'boolean', label: 'Rebotado' },
+  'bounceInfo.bounceType': { type: 'string', label: 'Tipo de rebote' },
+  'address.city': { type: 'string', label: 'Ciudad' },
+  'address.province': { type: 'string', label: 'Estado/Provincia' },
+  'address.country': { type: 'string', label: 'País' },
+  'address.zip': { type: 'string', label: 'Código postal' }
+};
+
+const OPERATORS = {
+  number: ['equals', 'not_equals', 'greater_than', 'less_than', 'greater_than_or_equals', 'less_than_or_equals', 'between', 'exists', 'not_exists'],
+  date: ['before', 'after', 'between', 'in_last_days', 'not_in_last_days', 'exists', 'not_exists'],
+  string: ['equals', 'not_equals', 'in', 'not_in', 'contains', 'not_contains', 'starts_with', 'exists', 'not_exists'],
+  array: ['contains', 'not_contains', 'in', 'not_in', 'exists', 'not_exists'],
+  boolean: ['equals', 'not_equals']
+};
+
+// Alias usados por segmentos antiguos (conditions planas)
+const OPERATOR_ALIASES = {
+  greater_than: { date: 'after' },
+  less_than: { date: 'before' },
+  greater_than_or_equals: { date: 'after' },
+  less_than_or_equals: { date: 'before' },
+  equals: { array: 'contains' },
+  not_equals: { array: 'not_contains' }
+};
+
+const MAX_DEPTH = 5;
+const MAX_RULES = 50;
+
+// ==================== SEGMENTOS PREDEFINIDOS ====================
+
+const PREDEFINED_SEGMENTS = [
+  // === PURCHASE ===
+  { name: 'Compradores', slug: 'compradores', category: 'purchase',
+    description: 'Clientes que han realizado al menos una compra',
+    rules: { match: 'all', rules: [{ field: 'ordersCount', operator: 'greater_than', value: 0 }] } },
+  { name: 'No han comprado', slug: 'no-compradores', category: 'purchase',
+    description: 'Clientes registrados que nunca han comprado',
+    rules: { match: 'all', rules: [{ field: 'ordersCount', operator: 'equals', value: 0 }] } },
+  { name: 'Compradores recurrentes', slug: 'compradores-recurrentes', category: 'purchase',
+    description: 'Clientes que han comprado 2 o más veces',
+    rules: { match: 'all', rules: [{ field: 'ordersCount', operator: 'greater_than_or_equals', value: 2 }] } },
+  { name: 'VIP ($200+)', slug: 'vip', category: 'purchase',
+    description: 'Clientes que han gastado $200 o más',
+    rules: { match: 'all', rules: [{ field: 'totalSpent', operator: 'greater_than_or_equals', value: 200 }] } },
+  { name: 'Super VIP ($500+)', slug: 'super-vip', category: 'purchase',
+    description: 'Clientes que han gastado $500 o más',
+    rules: { match: 'all', rules: [{ field: 'totalSpent', operator: 'greater_than_or_equals', value: 500 }] } },
+
+  // === ENGAGEMENT ===
+  { name: 'Engaged sin compra', slug: 'engaged-sin-compra', category: 'engagement',
+    description: 'Abrieron emails pero nunca compraron',
+    rules: { match: 'all', rules: [
+      { field: 'emailStats.opened', operator: 'greater_than', value: 0 },
+      { field: 'ordersCount', operator: 'equals', value: 0 }
+    ] } },
+  { name: 'Clickers sin compra', slug: 'clickers-sin-compra', category: 'engagement',
+    description: 'Hicieron click pero no compraron - muy cerca de convertir',
+    rules: { match: 'all', rules: [
+      { field: 'emailStats.clicked', operator: 'greater_than', value: 0 },
+      { field: 'ordersCount', operator: 'equals', value: 0 }
+    ] } },
+  { name: 'Super engaged', slug: 'super-engaged', category: 'engagement',
+    description: 'Abrieron 5+ emails',
+    rules: { match: 'all', rules: [{ field: 'emailStats.opened', operator: 'greater_than_or_equals', value: 5 }] } },
+  { name: 'Nunca abrieron', slug: 'nunca-abrieron', category: 'engagement',
+    description: 'Recibieron emails pero nunca abrieron',
+    rules: { match: 'all', rules: [
+      { field: 'emailStats.sent', operator: 'greater_than', value: 0 },
+      { field: 'emailStats.opened', operator: 'equals', value: 0 }
+    ] } },
+
+  // === POPUP ===
+  { name: 'Popup sin convertir', slug: 'popup-sin-convertir', category: 'popup',
+    description: 'Suscriptores de popup que no han comprado',
+    rules: { match: 'all', rules: [
+      { field: 'popupDiscountCode', operator: 'exists' },
+      { field: 'ordersCount', operator: 'equals', value: 0 }
+    ] } },
+  { name: 'Popup convertidos', slug: 'popup-convertidos', category: 'popup',
+    description: 'Suscriptores de popup que sí compraron',
+    rules: { match: 'all', rules: [
+      { field: 'popupDiscountCode', operator: 'exists' },
+      { field: 'ordersCount', operator: 'greater_than', value: 0 }
+    ] } },
+
+  // === LIFECYCLE ===
+  { name: 'Nuevos (30 días)', slug: 'nuevos-30-dias', category: 'lifecycle',
+    description: 'Registrados en los últimos 30 días',
+    rules: { match: 'all', rules: [{ field: 'createdAt', operator: 'in_last_days', value: 30 }] } },
+  { name: 'Inactivos (90 días)', slug: 'inactivos-90-dias', category: 'lifecycle',
+    description: 'Compradores que no han comprado en 90 días',
+    rules: { match: 'all', rules: [
+      { field: 'lastOrderDate', operator: 'not_in_last_days', value: 90 },
+      { field: 'ordersCount', operator: 'greater_than', value: 0 }
+    ] } },
+  { name: 'Compradores recientes', slug: 'compradores-recientes', category: 'lifecycle',
+    description: 'Compraron en los últimos 30 días',
+    rules: { match: 'all', rules: [{ field: 'lastOrderDate', operator: 'in_last_days', value: 30 }] } },
+
+  // === CLEANUP ===
+  { name: 'Bounced (limpiar)', slug: 'bounced', category: 'cleanup',
+    description: 'Emails que rebotan',
+    rules: { match: 'all', rules: [{ field: 'bounceInfo.isBounced', operator: 'equals', value: true }] } },
+  { name: 'Hard bounces', slug: 'hard-bounced', category: 'cleanup',
+    description: 'Hard bounces - eliminar inmediatamente',
+    rules: { match: 'all', rules: [{ field: 'bounceInfo.bounceType', operator: 'equals', value: 'hard' }] } },
+  { name: 'Desuscritos', slug: 'unsubscribed', category: 'cleanup',
+    description: 'Se desuscribieron',
+    rules: { match: 'all', rules: [{ field: 'emailStatus', operator: 'equals', value: 'unsubscribed' }] } },
+  { name: 'Reportaron spam', slug: 'complained', category: 'cleanup',
+    description: 'Marcaron como spam - NO enviar',
+    rules: { match: 'all', rules: [{ field: 'emailStatus', operator: 'equals', value: 'complained' }] } }
+];
+
+// ==================== HELPERS ====================
+
+function escapeRegex(value) {
+  return String(value).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+function daysAgo(days) {
+  const date = new Date();
+  date.setDate(date.getDate() - parseInt(days));
+  return date;
+}
+
+function isGroup(node) {
+  return node && Array.isArray(node.rules);
+}
+
+class SegmentationService {
+
+  // ==================== VALIDACIÓN ====================
+
+  /**
+   * Valida un árbol de reglas
+   * @returns {string[]} errores (vacío si es válido)
+   */
+  validateRules(tree) {
+    const errors = [];
+    let ruleCount = 0;
+
+    const walk = (node, path, depth) => {
+      if (depth > MAX_DEPTH) {
+        errors.push(`${path}: máximo ${MAX_DEPTH} niveles de anidación`);
+        return;
+      }
+
+      if (!isGroup(node)) {
+        errors.push(`${path}: debe ser un grupo { match, rules: [] }`);
+        return;
+      }
+
+      if (node.match && !['all', 'any'].includes(node.match)) {
+        errors.push(`${path}.match: debe ser 'all' o 'any'`);
+      }
+
+      node.rules.forEach((rule, i) => {
+        const rulePath = `${path}.rules[${i}]`;
+
+        if (isGroup(rule)) {
+          walk(rule, rulePath, depth + 1);
+          return;
+        }
+
+        ruleCount++;
+        const field = FIELDS[rule?.field];
+
+        if (!field) {
+          errors.push(`${rulePath}: campo no permitido (${rule?.field})`);
+          return;
+        }
+
+        const operator = this.resolveOperator(rule.operator, field.type);
+        if (!OPERATORS[field.type].includes(operator)) {
+          errors.push(`${rulePath}: operador '${rule.operator}' no válido para ${rule.field} (${field.type})`);
+          return;
+        }
+
+        const needsValue = !['exists', 'not_exists'].includes(operator);
+        if (needsValue && (rule.value === undefined || rule.value === null || rule.value === '')) {
+          errors.push(`${rulePath}: falta value`);
+        }
+
+        if (operator === 'between' && (!Array.isArray(rule.value) || rule.value.length !== 2)) {
+          errors.push(`${rulePath}: between requiere value: [min, max]`);
+        }
+
+        if (['in', 'not_in'].includes(operator) && !Array.isArray(rule.value)) {
+          errors.push(`${rulePath}: ${operator} requiere un array`);
+        }
+
+        // Valores que no se pueden convertir al tipo del campo
+        if (needsValue && rule.value !== undefined && rule.value !== null && rule.value !== '') {
+          const isDays = ['in_last_days', 'not_in_last_days'].includes(operator);
+          const values = Array.isArray(rule.value) ? rule.value : [rule.value];
+          for (const v of values) {
+            try {
+              this.castValue(v, isDays ? 'number' : field.type);
+            } catch (error) {
+              errors.push(`${rulePath}: ${error.message}`);
+              break;
+            }
+          }
+        }
+      });
+    };
+
+    walk(tree, 'rules', 1);
+
+    if (ruleCount > MAX_RULES) {
+      errors.push(`Máximo ${MAX_RULES} reglas por segmento`);
+    }
+
+    return errors;
+  }
+
+  resolveOperator(operator, fieldType) {
+    return OPERATOR_ALIASES[operator]?.[fieldType] || operator;
+  }
+
+  // ==================== COMPILACIÓN ====================
+
+  /**
+   * Compila un árbol de reglas a un filtro de MongoDB sobre Customer
+   * @throws {Error} si las reglas no son válidas
+   */
+  compile(tree) {
+    if (!tree || !isGroup(tree) || tree.rules.length === 0) {
+      return {};
+    }
+
+    const errors = this.validateRules(tree);
+    if (errors.length > 0) {
+      throw new Error(`Reglas de segmento inválidas: ${errors.join('; ')}`);
+    }
+
+    return this.compileGroup(tree);
+  }
+
+  compileGroup(group) {
+    const clauses = group.rules
+      .map(rule => (isGroup(rule) ? this.compileGroup(rule) : this.compileRule(rule)))
+      .filter(clause => Object.keys(clause).length > 0);
+
+    if (clauses.length === 0) return {};
+    if (clauses.length === 1) return clauses[0];
+
+    return group.match === 'any' ? { $or: clauses } : { $and: clauses };
+  }
+
+  compileRule(rule) {
+    const { field, value } = rule;
+    const type = FIELDS[field].type;
+    const operator = this.resolveOperator(rule.operator, type);
+    const cast = (v) => this.castValue(v, type);
+
+    switch (operator) {
+      case 'equals':
+        // Contadores sin valor (clientes viejos sin ordersCount, emailStats...) cuentan como 0
+        if (type === 'number' && cast(value) === 0) {
+          return { [field]: { $in: [0, null] } };
+        }
+        return { [field]: cast(value) };
+      case 'not_equals':
+        return { [field]: { $ne: cast(value) } };
+      case 'greater_than':
+        return { [field]: { $gt: cast(value) } };
+      case 'less_than':
+        return { [field]: { $lt: cast(value) } };
+      case 'greater_than_or_equals':
+        return { [field]: { $gte: cast(value) } };
+      case 'less_than_or_equals':
+        return { [field]: { $lte: cast(value) } };
+      case 'between':
+        return { [field]: { $gte: cast(value[0]), $lte: cast(value[1]) } };
+      case 'before':
+        return { [field]: { $lt: cast(value) } };
+      case 'after':
+        return { [field]: { $gt: cast(value) } };
+      case 'in_last_days':
+        return { [field]: { $gte: daysAgo(value) } };
+      case 'not_in_last_days':
+        return { [field]: { $lt: daysAgo(value) } };
+      case 'in':
+        return { [field]: { $in: value.map(cast) } };
+      case 'not_in':
+        return { [field]: { $nin: value.map(cast) } };
+      case 'contains':
+        return type === 'array'
+          ? { [field]: { $regex: `^${escapeRegex(value)}$`, $options: 'i' } }
+          : { [field]: { $regex: escapeRegex(value), $options: 'i' } };
+      case 'not_contains':
+        return type === 'array'
+          ? { [field]: { $not: new RegExp(`^${escapeRegex(value)}$`, 'i') } }
+          : { [field]: { $not: new RegExp(escapeRegex(value), 'i') } };
+      case 'starts_with':
+        return { [field]: { $regex: `^${escapeRegex(value)}`, $options: 'i' } };
+      case 'exists':
+        return type === 'array'
+          ? { [`${field}.0`]: { $exists: true } }
+          : { [field]: { $exists: true, $nin: [null, ''] } };
+      case 'not_exists':
+        return type === 'array'
+          ? { [`${field}.0`]: { $exists: false } }
+          : { $or: [{ [field]: { $exists: false } }, { [field]: null }, { [field]: '' }] };
+      default:
+        return {};
+    }
+  }
+
+  /**
+   * @throws {Error} si el valor no es un número o una fecha válida
+   * (NaN / Invalid Date en el filtro no coinciden con nada sin avisar)
+   */
+  castValue(value, type) {
+    switch (type) {
+      case 'number': {
+        const number = typeof value === 'number' ? value : parseFloat(value);
+        if (!Number.isFinite(number)) {
+          throw new Error(`valor numérico inválido: ${value}`);
+        }
+        return number;
+      }
+      case 'date': {
+        const date = new Date(value);
+        if (Number.isNaN(date.getTime())) {
+          throw new Error(`fecha inválida: ${value}`);
+        }
+        return date;
+      }
+      case 'boolean':
+        return value === true || value === 'true';
+      default:
+        return String(value);
+    }
+  }
+
+  /**
+   * Convierte conditions planas (formato anterior) a árbol.
+   * logicalOperator 'OR' corta un grupo AND nuevo: a AND b OR c → (a AND b) OR c
+   */
+  conditionsToTree(conditions = []) {
+    if (!conditions.length) return null;
+
+    const orGroups = [[]];
+    conditions.forEach((condition, i) => {
+      if (i > 0 && String(condition.logicalOperator || 'AND').toUpperCase() === 'OR') {
+        orGroups.push([]);
+      }
+      const { field, operator, value } = condition;
+      orGroups[orGroups.length - 1].push({ field, operator, value });
+    });
+
+    if (orGroups.length === 1) {
+      return { match: 'all', rules: orGroups[0] };
+    }
+
+    return {
+      match: 'any',
+      rules: orGroups.map(rules => ({ match: 'all', rules }))
+    };
+  }
+
+  // ==================== CONSULTAS ====================
+
+  /**
+   * Filtro de MongoDB para un segmento (documento o id)
+   */
+  async getSegmentQuery(segmentOrId) {
+    const Segment = require('../models/Segment');
+    const segment = segmentOrId?.buildQuery
+      ? segmentOrId
+      : await Segment.findById(segmentOrId);
+
+    if (!segment) {
+      throw new Error('Segmento no encontrado');
+    }
+
+    return segment.buildQuery();
+  }
+
+  async countMembers(query) {
+    return Customer.countDocuments(query);
+  }
+
+  async getSampleMembers(query, limit = 10) {
+    return Customer.find(query)
+      .select('email firstName lastName totalSpent ordersCount lastOrderDate emailStatus tags')
+      .sort({ totalSpent: -1 })
+      .limit(Math.min(parseInt(limit) || 10, 100))
+      .lean();
+  }
+
+  /**
+   * Conteo + muestra para reglas sin guardar (preview en el editor)
+   */
+  async preview(tree, sampleSize = 10) {
+    const query = this.compile(tree);
+
+    const [count, sample] = await Promise.all([
+      this.countMembers(query),
+      this.getSampleMembers(query, sampleSize)
+    ]);
+
+    return { count, sample, query };
+  }
+
+  /**
+   * Recalcula y guarda customerCount de un segmento
+   */
+  async recalculate(segment) {
+    const count = await this.countMembers(segment.buildQuery());
+    segment.customerCount = count;
+    segment.lastCalculated = new Date();
+    await segment.save();
+    return count;
+  }
+
+  // ==================== PREDEFINIDOS ====================
+
+  async createAllPredefinedSegments() {
+    const Segment = require('../models/Segment');
+    const results = [];
+
+    for (const def of PREDEFINED_SEGMENTS) {
+      try {
+        const existing = await Segment.findOne({ slug: def.slug });
+        const segment = existing || new Segment({ slug: def.slug });
+
+        Object.assign(segment, {
+          ...def,
+          type: 'predefined',
+          isPredefined: true,
+          isActive: true
+        });
+
+        const count = await this.recalculate(segment);
+
+        results.push({
+          action: existing ? 'updated' : 'created',
+          key: def.slug,
+          name: def.name,
+          category: def.category,
+          count
+        });
+      } catch (error) {
+        results.push({ action: 'error', key: def.slug, name: def.name, error: error.message });
+      }
+    }
+
+    return results;
+  }
+
+  getFieldDefinitions() {
+    return Object.entries(FIELDS).map(([field, def]) => ({
+      field,
+      ...def,
+      operators: OPERATORS[def.type]
+    }));
+  }
+}
+
+module.exports = new SegmentationService();
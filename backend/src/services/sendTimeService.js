@@ -0,0 +1,264 @@
+// backend/src/services/sendTimeService.js
+// ⏰ Send-Time Optimization (STO) por destinatario
+//
+// Cada cliente recibe el email en su hora preferida (ET) dentro de las próximas
+// 24h. La hora sale de su historial de opens/clicks en EmailEvent; si no tiene
+// suficiente historial se usa el heatmap de la lista, el global, el aprendizaje
+// de Maximus o DEFAULT_HOUR, en ese orden.
+//
+// Un grupo de control (controlPercentage) se envía inmediatamente para medir el lift.
+const crypto = require('crypto');
+const EmailEvent = require('../models/EmailEvent');
+const EmailSend = require('../models/EmailSend');
+const botFilterService = require('./botFilterService');
+
+const TIMEZONE = 'America/New_York';
+const HISTORY_DAYS = 180;
+const HEATMAP_DAYS = 90;
+const MIN_CUSTOMER_EVENTS = 2;
+const LIST_SAMPLE_SIZE = 5000;
+const DEFAULT_HOUR = 10;
+
+class SendTimeService {
+
+  isEnabled(campaign) {
+    return !!campaign.sendTimeOptimization?.enabled;
+  }
+
+  // ==================== GRUPOS ====================
+
+  /**
+   * Grupo STO determinístico por email (un re-run asigna lo mismo)
+   */
+  assignGroup(campaignId, email, controlPercentage = 10) {
+    const hash = crypto
+      .createHash('sha256')
+      .update(`sto:${campaignId}:${email}`)
+      .digest();
+
+    const bucket = hash.readUInt32BE(0) % 10000;
+    return bucket < controlPercentage * 100 ? 'control' : 'optimized';
+  }
+
+  // ==================== HORA PREFERIDA ====================
+
+  /**
+   * Hora preferida (ET) por email según su historial de opens/clicks
+   * @param {string[]} emails
+   * @returns {Map<string, number>} email → hora 0-23 (solo clientes con historial suficiente)
+   */
+  async getPreferredHours(emails) {
+    if (emails.length === 0) return new Map();
+
+    const since = new Date(Date.now() - HISTORY_DAYS * 24 * 60 * 60 * 1000);
+
+    const rows = await EmailEvent.aggregate([
+      {
+        $match: {
+          email: { $in: emails },
+          eventType: { $in: ['opened', 'clicked'] },
+          eventDate: { $gte: since },
+          // La hora de un prefetch de MPP es la de descarga, no la de lectura
+          ...botFilterService.humanMatch()
+        }
+      },
+      {
+        $group: {
+          _id: { email: '$email', hour: { $hour: { date: '$eventDate', timezone: TIMEZONE } } },
+          count: { $sum: 1 }
+        }
+      },
+      { $sort: { count: -1 } },
+      {
+        $group: {
+          _id: '$_id.email',
+          hour: { $first: '$_id.hour' },
+          events: { $sum: '$count' }
+        }
+      }
+    ]);
+
+    const hours = new Map();
+    rows.forEach(r => {
+      if (r.events >= MIN_CUSTOMER_EVENTS) {
+        hours.set(r._id, r.hour);
+      }
+    });
+
+    return hours;
+  }
+
+  /**
+   * Hora con más opens/clicks en un conjunto de eventos (heatmap agregado)
+   */
+  async getHeatmapHour(match = {}) {
+    const since = new Date(Date.now() - HEATMAP_DAYS * 24 * 60 * 60 * 1000);
+
+    const [top] = await EmailEvent.aggregate([
+      {
+        $match: {
+          ...match,
+          eventType: { $in: ['opened', 'clicked'] },
+          eventDate: { $gte: since },
+          ...botFilterService.humanMatch()
+        }
+      },
+      {
+        $group: {
+          _id: { $hour: { date: '$eventDate', timezone: TIMEZONE } },
+          count: { $sum: 1 }
+        }
+      },
+      { $sort: { count: -1 } },
+      { $limit: 1 }
+    ]);
+
+    return top ? top._id : null;
+  }
+
+  /**
+   * Hora de respaldo para clientes sin historial
+   * @returns {object} { hour, source }
+   */
+  async getFallbackHour(campaign) {
+    // 1. Heatmap de la lista (muestra de miembros)
+    if (campaign.targetType === 'list' && campaign.list) {
+      const List = require('../models/List');
+      const list = await List.findById(campaign.list._id || campaign.list)
+        .select({ members: { $slice: LIST_SAMPLE_SIZE } })
+        .lean();
+
+      const memberIds = list?.members || [];
+      if (memberIds.length > 0) {
+        const hour = await this.getHeatmapHour({
+          customer: { $in: [...memberIds, ...memberIds.map(id => id.toString())] }
+        });
+        if (hour !== null) return { hour, source: 'list' };
+      }
+    }
+
+    // 2. Heatmap global
+    const globalHour = await this.getHeatmapHour();
+    if (globalHour !== null) return { hour: globalHour, source: 'global' };
+
+    // 3. Aprendizaje de Maximus
+    try {
+      const MaximusConfig = require('../models/MaximusConfig');
+      const config = await MaximusConfig.findOne().select('learning.bestHours').lean();
+      const bestHour = config?.learning?.bestHours?.[0]?.hour;
+      if (typeof bestHour === 'number') return { hour: bestHour, source: 'maximus' };
+    } catch (error) {
+      // Maximus no disponible
+    }
+
+    return { hour: DEFAULT_HOUR, source: 'default' };
+  }
+
+  // ==================== PROGRAMACIÓN ====================
+
+  /**
+   * Milisegundos hasta la próxima vez que sea `hour` en ET (0 si es la hora actual)
+   */
+  getDelayUntilHour(hour, now = new Date()) {
+    const parts = new Intl.DateTimeFormat('en-US', {
+      timeZone: TIMEZONE,
+      hour: 'numeric',
+      minute: 'numeric',
+      second: 'numeric',
+      hour12: false
+    }).formatToParts(now);
+
+    const get = (type) => parseInt(parts.find(p => p.type === type).value);
+    // hour12: false puede dar "24" a medianoche
+    const currentHour = get('hour') % 24;
+
+    if (hour === currentHour) return 0;
+
+    const hoursAhead = (hour - currentHour + 24) % 24;
+    const msIntoHour = (get('minute') * 60 + get('second')) * 1000;
+
+    return hoursAhead * 60 * 60 * 1000 - msIntoHour;
+  }
+
+  // ==================== REPORTE ====================
+
+  /**
+   * Lift del grupo optimizado vs. control enviado inmediatamente
+   */
+  async getLiftReport(campaign) {
+    if (!this.isEnabled(campaign)) return null;
+
+    const [engagement, revenue, distribution] = await Promise.all([
+      EmailSend.getEngagementByGroup(campaign._id, 'sto.group'),
+      EmailSend.getRevenueByGroup(campaign._id, 'sto.group'),
+      EmailSend.aggregate([
+        { $match: { campaignId: campaign._id, 'sto.group': 'optimized' } },
+        {
+          $group: {
+            _id: { hour: '$sto.preferredHour', source: '$sto.hourSource' },
+            count: { $sum: 1 }
+          }
+        },
+        { $sort: { '_id.hour': 1 } }
+      ])
+    ]);
+
+    const buildGroup = (key) => {
+      const e = engagement[key] || { sent: 0, opened: 0, clicked: 0, humanOpened: 0, humanClicked: 0 };
+      const r = revenue[key] || { purchased: 0, revenue: 0 };
+
+      return {
+        sent: e.sent,
+        opened: e.opened,
+        clicked: e.clicked,
+        humanOpened: e.humanOpened,
+        humanClicked: e.humanClicked,
+        purchased: r.purchased,
+        revenue: parseFloat(r.revenue.toFixed(2)),
+        openRate: e.sent > 0 ? parseFloat(((e.opened / e.sent) * 100).toFixed(2)) : 0,
+        clickRate: e.sent > 0 ? parseFloat(((e.clicked / e.sent) * 100).toFixed(2)) : 0,
+        humanOpenRate: e.sent > 0 ? parseFloat(((e.humanOpened / e.sent) * 100).toFixed(2)) : 0,
+        humanClickRate: e.sent > 0 ? parseFloat(((e.humanClicked / e.sent) * 100).toFixed(2)) : 0,
+        revenuePerRecipient: e.sent > 0 ? parseFloat((r.revenue / e.sent).toFixed(2)) : 0
+      };
+    };
+
+    const optimized = buildGroup('optimized');
+    const control = buildGroup('control');
+
+    const lift = (field) => control[field] > 0
+      ? parseFloat((((optimized[field] - control[field]) / control[field]) * 100).toFixed(1))
+      : null;
+
+    // Destinatarios por hora y origen de la hora
+    const byHour = {};
+    const bySource = {};
+    distribution.forEach(d => {
+      const hour = d._id.hour;
+      byHour[hour] = (byHour[hour] || 0) + d.count;
+      bySource[d._id.source || 'unknown'] = (bySource[d._id.source || 'unknown'] || 0) + d.count;
+    });
+
+    return {
+      controlPercentage: campaign.sendTimeOptimization.controlPercentage,
+      fallbackHour: campaign.sendTimeOptimization.fallbackHour,
+      fallbackSource: campaign.sendTimeOptimization.fallbackSource,
+      windowStart: campaign.sendTimeOptimization.windowStart,
+      optimized,
+      control,
+      lift: {
+        openRate: lift('openRate'),
+        clickRate: lift('clickRate'),
+        humanOpenRate: lift('humanOpenRate'),
+        humanClickRate: lift('humanClickRate'),
+        revenuePerRecipient: lift('revenuePerRecipient')
+      },
+      distribution: {
+        byHour: Object.entries(byHour).map(([hour, count]) => ({ hour: parseInt(hour), count })),
+        bySource
+      }
+    };
+  }
+}
+
+module.exports = new SendTimeService();
@@ -9,6 +9,17 @@ class ShopifyService {
     this.baseUrl = `https://${this.shopUrl}/admin/api/${this.apiVersion}`;
   }
 
+  // 🧪 SHOPIFY_MOCK=true (o sin access token fuera de producción): price rules y
+  // discount codes se simulan localmente, sin llamar a Shopify
+  isMocked() {
+    return process.env.SHOPIFY_MOCK === 'true' ||
+      (!this.accessToken && process.env.NODE_ENV !== 'production');
+  }
+
+  mockId() {
+    return Date.now() * 1000 + Math.floor(Math.random() * 1000);
+  }
+
   getHeaders() {
     return {
       'X-Shopify-Access-Token': this.accessToken,
@@ -245,6 +256,12 @@ class ShopifyService {
       console.log(`   Descuento: ${data.value}%`);
       console.log(`   Expira: ${new Date(data.ends_at).toLocaleDateString()}`);
       
+      if (this.isMocked()) {
+        const priceRule = { id: this.mockId(), ...data, mocked: true };
+        console.log(`🧪 [MOCK] Price rule simulado con ID: ${priceRule.id}`);
+        return priceRule;
+      }
+      
       const response = await axios.post(
         `${this.baseUrl}/price_rules.json`,
         { price_rule: data },
@@ -275,6 +292,11 @@ class ShopifyService {
       console.log(`🎟️  Creando discount code: ${code}`);
       console.log(`   Para price rule ID: ${priceRuleId}`);
       
+      if (this.isMocked()) {
+        console.log(`🧪 [MOCK] Discount code simulado: ${code}`);
+        return { id: this.mockId(), price_rule_id: priceRuleId, code, mocked: true };
+      }
+      
       const response = await axios.post(
         `${this.baseUrl}/price_rules/${priceRuleId}/discount_codes.json`,
         { 
@@ -301,6 +323,37 @@ class ShopifyService {
     }
   }
 
+  // ✅ Crear hasta 100 discount codes de una vez (pool de {{coupon}})
+  // Shopify los crea en background: devuelve un discount_code_creation job
+  async createDiscountCodesBatch(priceRuleId, codes) {
+    if (codes.length > 100) {
+      throw new Error('Shopify batch limit is 100 discount codes');
+    }
+    
+    try {
+      console.log(`🎟️  Creando ${codes.length} discount codes para price rule ${priceRuleId}`);
+      
+      if (this.isMocked()) {
+        console.log(`🧪 [MOCK] ${codes.length} discount codes simulados`);
+        return { id: this.mockId(), price_rule_id: priceRuleId, status: 'completed', codes_count: codes.length, mocked: true };
+      }
+      
+      const response = await axios.post(
+        `${this.baseUrl}/price_rules/${priceRuleId}/batch.json`,
+        { discount_codes: codes.map(code => ({ code })) },
+        { headers: this.getHeaders() }
+      );
+      
+      return response.data.discount_code_creation;
+      
+    } catch (error) {
+      console.error('❌ Error creando discount codes en batch:');
+      console.error('   Status:', error.response?.status);
+      console.error('   Data:', JSON.stringify(error.response?.data, null, 2));
+      throw error;
+    }
+  }
+
   // 🆕 ACTUALIZADO: Crear webhooks incluyendo los nuevos para flows
   async createWebhooks() {
     const webhooks = [
@@ -0,0 +1,265 @@
+// backend/src/services/smsConsentService.js
+// 📜 SMS Consent - Double opt-in y ledger auditable de consentimiento
+//
+// 1. record(): agrega un SmsConsentEvent encadenado (hash del anterior del mismo teléfono)
+// 2. Double opt-in (SMS_DOUBLE_OPT_IN=true): requestConfirmation() envía "Reply Y to
+//    confirm" y deja al subscriber en pending_confirmation; handleInboundSms confirma
+// 3. exportForPhone(): todo el historial de un teléfono + verificación de la cadena,
+//    en JSON o CSV, para disputas TCPA/CASL
+const crypto = require('crypto');
+const SmsConsentEvent = require('../models/SmsConsentEvent');
+const SmsSubscriber = require('../models/SmsSubscriber');
+const telnyxService = require('./telnyxService');
+
+// Texto por defecto si el popup no manda el que mostró (queda marcado como server_default)
+const DEFAULT_DISCLOSURE = 'By submitting this form, you agree to receive recurring automated marketing text ' +
+  'messages from Jersey Pickles at the number provided. Consent is not a condition of purchase. ' +
+  'Msg frequency varies. Msg & data rates may apply. Reply HELP for help and STOP to cancel.';
+
+const CONFIRMATION_TEXT = 'Jersey Pickles: Reply Y to confirm you want to receive recurring autodialed ' +
+  'marketing texts from us. Consent not required to buy. Msg & data rates may apply. Reply STOP to cancel.';
+
+const CONFIRMATION_REPLIES = ['y', 'yes', 'confirm', 'si', 'sí'];
+
+// No reenviar la confirmación si se pidió hace menos de esto
+const CONFIRMATION_RESEND_MINUTES = 10;
+const MAX_CONFIRMATION_REQUESTS = 3;
+const MAX_DISCLOSURE_LENGTH = 2000;
+const MAX_CHAIN_RETRIES = 3;
+
+// Campos que entran al hash (orden fijo)
+const HASHED_FIELDS = [
+  'phone', 'subscriber', 'type', 'source', 'disclosureText', 'disclosureSource',
+  'consentCheckbox', 'clientTimestamp', 'ipAddress', 'userAgent', 'sourceUrl', 'pageUrl',
+  'keyword', 'inboundMessageId', 'outboundMessageId', 'messageText', 'occurredAt'
+];
+
+const CSV_COLUMNS = [
+  'occurredAt', 'type', 'source', 'phone', 'keyword', 'disclosureText', 'disclosureSource',
+  'consentCheckbox', 'clientTimestamp', 'ipAddress', 'userAgent', 'sourceUrl', 'pageUrl',
+  'inboundMessageId', 'outboundMessageId', 'messageText', 'hash', 'prevHash'
+];
+
+const normalizeValue = (value) => {
+  if (value === undefined || value === null) return null;
+  if (value instanceof Date) return value.toISOString();
+  if (typeof value === 'object' && value.toString) return value.toString();
+  return value;
+};
+
+class SmsConsentService {
+
+  isDoubleOptInEnabled() {
+    return process.env.SMS_DOUBLE_OPT_IN === 'true';
+  }
+
+  isConfirmationReply(text) {
+    return CONFIRMATION_REPLIES.includes(String(text || '').toLowerCase().trim().replace(/[.!]+$/, ''));
+  }
+
+  /**
+   * Disclosure a registrar: el texto que mandó el popup o el default
+   */
+  resolveDisclosure(text) {
+    const clean = typeof text === 'string' ? text.trim().slice(0, MAX_DISCLOSURE_LENGTH) : '';
+    return clean
+      ? { disclosureText: clean, disclosureSource: 'client' }
+      : { disclosureText: DEFAULT_DISCLOSURE, disclosureSource: 'server_default' };
+  }
+
+  /**
+   * Campos de evidencia del formulario (disclosure, IP, UA, URLs, checkbox)
+   */
+  consentFields(consent = {}) {
+    return {
+      ...this.resolveDisclosure(consent.disclosureText),
+      consentCheckbox: consent.consentCheckbox,
+      clientTimestamp: consent.clientTimestamp,
+      ipAddress: consent.ipAddress,
+      userAgent: consent.userAgent,
+      sourceUrl: consent.sourceUrl,
+      pageUrl: consent.pageUrl
+    };
+  }
+
+  // ==================== LEDGER ====================
+
+  computeHash(prevHash, event) {
+    const payload = [prevHash || null, ...HASHED_FIELDS.map(f => normalizeValue(event[f]))];
+    return crypto.createHash('sha256').update(JSON.stringify(payload)).digest('hex');
+  }
+
+  /**
+   * Agrega un evento al ledger. No lanza: un fallo de registro no debe
+   * cortar el alta/baja (queda en el log para revisar)
+   * @param {object} data - phone, type, source y los campos de SmsConsentEvent
+   */
+  async record(data) {
+    const event = {
+      ...data,
+      subscriber: data.subscriber || null,
+      occurredAt: data.occurredAt || new Date()
+    };
+
+    for (let attempt = 0; attempt < MAX_CHAIN_RETRIES; attempt++) {
+      try {
+        const last = await SmsConsentEvent.findOne({ phone: event.phone })
+          .sort({ occurredAt: -1, _id: -1 })
+          .select('hash')
+          .lean();
+
+        // Hash sobre los valores ya casteados por el schema (los mismos que se leen al verificar)
+        const prevHash = last?.hash || null;
+        const doc = new SmsConsentEvent({ ...event, prevHash, hash: 'pending' });
+        doc.hash = this.computeHash(prevHash, doc);
+        return await doc.save();
+      } catch (error) {
+        // Otro evento del mismo teléfono tomó el eslabón: reintentar sobre el nuevo último
+        if (error.code === 11000 && attempt < MAX_CHAIN_RETRIES - 1) continue;
+        console.error(`❌ Consent ledger (${event.type} ${event.phone}):`, error.message);
+        return null;
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Recorre la cadena desde el primer evento. valid=false si falta, sobra o
+   * cambió algún eslabón
+   */
+  verifyChain(events) {
+    const byPrev = new Map();
+    events.forEach(e => byPrev.set(e.prevHash || null, e));
+
+    let prevHash = null;
+    let visited = 0;
+
+    while (byPrev.has(prevHash)) {
+      const event = byPrev.get(prevHash);
+      const expected = this.computeHash(prevHash, event);
+      if (expected !== event.hash) {
+        return { valid: false, brokenAt: event._id, reason: 'hash_mismatch' };
+      }
+      prevHash = event.hash;
+      visited++;
+    }
+
+    if (visited !== events.length) {
+      return { valid: false, brokenAt: null, reason: 'chain_incomplete' };
+    }
+
+    return { valid: true, events: visited };
+  }
+
+  /**
+   * Historial completo de un teléfono
+   */
+  async exportForPhone(phone) {
+    const [events, subscriber] = await Promise.all([
+      SmsConsentEvent.find({ phone }).sort({ occurredAt: 1, _id: 1 }).lean(),
+      SmsSubscriber.findOne({ phone })
+        .select('phone status source subscribedAt confirmedAt unsubscribedAt ipAddress userAgent sourceUrl')
+        .lean()
+    ]);
+
+    return {
+      phone,
+      exportedAt: new Date(),
+      currentStatus: subscriber?.status || null,
+      subscriber,
+      chain: this.verifyChain(events),
+      events
+    };
+  }
+
+  toCsv(events) {
+    const escape = (value) => {
+      const str = normalizeValue(value);
+      if (str === null) return '';
+      const text = String(str);
+      return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    };
+
+    const rows = events.map(e => CSV_COLUMNS.map(c => escape(e[c])).join(','));
+    return [CSV_COLUMNS.join(','), ...rows].join('\n');
+  }
+
+  // ==================== DOUBLE OPT-IN ====================
+
+  /**
+   * Envía "Reply Y to confirm" y registra opt_in_requested con el disclosure
+   * @param {object} subscriber - SmsSubscriber (documento, en pending_confirmation)
+   * @param {object} consent - disclosure, ip, userAgent, sourceUrl, pageUrl, consentCheckbox, clientTimestamp
+   */
+  async requestConfirmation(subscriber, consent = {}) {
+    const recentlyRequested = subscriber.confirmationRequestedAt &&
+      Date.now() - subscriber.confirmationRequestedAt.getTime() < CONFIRMATION_RESEND_MINUTES * 60 * 1000;
+
+    if (recentlyRequested) {
+      return { success: true, skipped: true, reason: 'recently_requested' };
+    }
+    if ((subscriber.confirmationRequests || 0) >= MAX_CONFIRMATION_REQUESTS) {
+      return { success: false, skipped: true, reason: 'max_confirmation_requests' };
+    }
+
+    const result = await telnyxService.sendSms(subscriber.phone, CONFIRMATION_TEXT, {
+      messageType: 'opt_in',
+      subscriberId: subscriber._id,
+      metadata: { type: 'double_opt_in_request' }
+    });
+
+    if (result.success) {
+      subscriber.confirmationRequestedAt = new Date();
+      subscriber.confirmationMessageId = result.messageId;
+      subscriber.confirmationRequests = (subscriber.confirmationRequests || 0) + 1;
+      await subscriber.save();
+    }
+
+    await this.record({
+      phone: subscriber.phone,
+      subscriber: subscriber._id,
+      type: 'opt_in_requested',
+      source: subscriber.source,
+      ...this.consentFields(consent),
+      outboundMessageId: result.messageId,
+      messageText: CONFIRMATION_TEXT,
+      metadata: result.success ? undefined : { sendError: result.error || result.reason }
+    });
+
+    return result;
+  }
+
+  /**
+   * Respuesta Y de un pending_confirmation: activa y registra opt_in_confirmed.
+   * El welcome SMS lo envía el caller
+   */
+  async confirm(subscriber, { inboundMessageId, text, source = 'reply_confirm', keyword } = {}) {
+    subscriber.status = 'active';
+    subscriber.confirmedAt = new Date();
+    subscriber.subscribedAt = subscriber.confirmedAt;
+    await subscriber.save();
+
+    await this.record({
+      phone: subscriber.phone,
+      subscriber: subscriber._id,
+      type: 'opt_in_confirmed',
+      source,
+      keyword,
+      disclosureText: CONFIRMATION_TEXT,
+      disclosureSource: 'sms',
+      inboundMessageId,
+      outboundMessageId: subscriber.confirmationMessageId,
+      messageText: text
+    });
+
+    console.log(`✅ Double opt-in confirmed: ${subscriber.phone}`);
+    return subscriber;
+  }
+
+  getConfirmationText() {
+    return CONFIRMATION_TEXT;
+  }
+}
+
+module.exports = new SmsConsentService();
@@ -0,0 +1,416 @@
+// backend/src/services/smsCostService.js
+// 💰 SMS Cost - Segmentos, tarifas y presupuesto de campañas SMS/MMS
+//
+// 1. analyzeText(): GSM-7 vs UCS-2 y segmentos reales. Un solo emoji pasa TODO el
+//    mensaje a UCS-2 (70/67 caracteres por segmento en vez de 160/153)
+// 2. expandMessage(): el texto como sale de verdad: URLs acortadas y merge fields
+//    ({name}, {discount}, {code}) con su largo máximo
+// 3. Tabla de tarifas por país + recargo por carrier (SMS_RATE_TABLE para ajustar)
+// 4. estimateAudience(): costo previo al envío agrupando la audiencia por país/carrier
+// 5. getCostReport(): estimado vs real (costo que reporta Telnyx en el webhook)
+const mongoose = require('mongoose');
+const SmsSubscriber = require('../models/SmsSubscriber');
+const SmsMessage = require('../models/SmsMessage');
+const urlShortenerService = require('./urlShortenerService');
+const smsMediaService = require('./smsMediaService');
+
+// ==================== ENCODING ====================
+
+// Alfabeto GSM 03.38 (1 unidad) y su extensión (escape + carácter = 2 unidades)
+const GSM7_BASIC = '@£$¥èéùìòÇ\nØø\rÅåΔ_ΦΓΛΩΠΨΣΘΞÆæßÉ !"#¤%&\'()*+,-./0123456789:;<=>?' +
+  '¡ABCDEFGHIJKLMNOPQRSTUVWXYZÄÖÑÜ§¿abcdefghijklmnopqrstuvwxyzäöñüà';
+const GSM7_EXTENDED = '^{}\\[~]|€\f';
+
+const GSM7_BASIC_SET = new Set(GSM7_BASIC);
+const GSM7_EXTENDED_SET = new Set(GSM7_EXTENDED);
+
+const SEGMENT_LIMITS = {
+  'GSM-7': { single: 160, multi: 153 },
+  'UCS-2': { single: 70, multi: 67 }
+};
+
+// Largo de un código generado por ShortUrl.generateCode()
+const SHORT_CODE_LENGTH = 6;
+
+// ==================== TARIFAS (USD) ====================
+// sms = por segmento, mms = por mensaje. Los carriers de US cobran un recargo
+// aparte (pass-through 10DLC) que se suma a la tarifa del país.
+const DEFAULT_RATE_TABLE = {
+  countries: {
+    US: { sms: 0.004, mms: 0.015 },
+    CA: { sms: 0.0075, mms: 0.02 }
+  },
+  default: { sms: 0.05, mms: 0.05 },
+  carriers: {
+    'at&t': { label: 'AT&T', sms: 0.002, mms: 0.0035 },
+    't-mobile': { label: 'T-Mobile', sms: 0.003, mms: 0.01 },
+    'sprint': { label: 'T-Mobile', sms: 0.003, mms: 0.01 },
+    'verizon': { label: 'Verizon', sms: 0.003, mms: 0.005 },
+    'cellco': { label: 'Verizon', sms: 0.003, mms: 0.005 },
+    'us cellular': { label: 'US Cellular', sms: 0.005, mms: 0.005 }
+  }
+};
+
+const MAX_BUDGET_CAP = 100000;
+
+const round = (n, decimals = 4) => parseFloat((n || 0).toFixed(decimals));
+
+class SmsCostService {
+
+  constructor() {
+    this.rateTable = this.loadRateTable();
+  }
+
+  /**
+   * Tabla por defecto + overrides de SMS_RATE_TABLE (JSON con la misma forma)
+   */
+  loadRateTable() {
+    if (!process.env.SMS_RATE_TABLE) return DEFAULT_RATE_TABLE;
+
+    try {
+      const override = JSON.parse(process.env.SMS_RATE_TABLE);
+      return {
+        countries: { ...DEFAULT_RATE_TABLE.countries, ...(override.countries || {}) },
+        default: { ...DEFAULT_RATE_TABLE.default, ...(override.default || {}) },
+        carriers: { ...DEFAULT_RATE_TABLE.carriers, ...(override.carriers || {}) }
+      };
+    } catch (error) {
+      console.error('⚠️ SMS_RATE_TABLE inválido, usando tarifas por defecto:', error.message);
+      return DEFAULT_RATE_TABLE;
+    }
+  }
+
+  getRateTable() {
+    return this.rateTable;
+  }
+
+  // ==================== SEGMENTOS ====================
+
+  /**
+   * Encoding y segmentos de un texto ya expandido
+   * @returns {object} { encoding, characters, units, segments, nonGsmChars }
+   */
+  analyzeText(text = '') {
+    const chars = Array.from(text || '');
+    const nonGsm = new Set();
+    let gsmUnits = 0;
+
+    chars.forEach(ch => {
+      if (GSM7_BASIC_SET.has(ch)) gsmUnits += 1;
+      else if (GSM7_EXTENDED_SET.has(ch)) gsmUnits += 2;
+      else nonGsm.add(ch);
+    });
+
+    const encoding = nonGsm.size > 0 ? 'UCS-2' : 'GSM-7';
+    // UCS-2 cuenta unidades UTF-16: un emoji fuera del BMP ocupa 2
+    const units = encoding === 'UCS-2' ? (text || '').length : gsmUnits;
+    const limits = SEGMENT_LIMITS[encoding];
+    const segments = units === 0 ? 0 : (units <= limits.single ? 1 : Math.ceil(units / limits.multi));
+
+    return {
+      encoding,
+      characters: chars.length,
+      units,
+      segments,
+      nonGsmChars: [...nonGsm]
+    };
+  }
+
+  /**
+   * Texto tal como lo arma el queue: merge fields con su valor más largo posible
+   * y URLs reemplazadas por el short URL
+   * @param {string} message - Template de la campaña
+   * @param {object} options - discountCode, discountPercent, dynamicDiscount { enabled, min, max }
+   */
+  expandMessage(message = '', { discountCode, discountPercent, dynamicDiscount } = {}) {
+    let text = (message || '').replace(/\{name\}/g, 'friend');
+
+    if (dynamicDiscount?.enabled && dynamicDiscount.max) {
+      // JPC{percent}-{random4}
+      text = text
+        .replace(/\{discount\}/g, String(dynamicDiscount.max))
+        .replace(/\{code\}/g, `JPC${dynamicDiscount.max}-XXXX`);
+    } else {
+      text = text
+        .replace(/\{discount\}/g, discountPercent ? String(discountPercent) : '')
+        .replace(/\{code\}/g, discountCode || '');
+    }
+
+    const shortUrl = urlShortenerService.getShortUrl('X'.repeat(SHORT_CODE_LENGTH));
+    return text.replace(/(https?:\/\/[^\s]+)/gi, (url) => {
+      // La puntuación final queda fuera del link (igual que processMessageUrls)
+      const trailing = url.match(/[.,!?;:]+$/)?.[0] || '';
+      return shortUrl + trailing;
+    });
+  }
+
+  // ==================== TARIFAS ====================
+
+  /**
+   * Recargo del carrier (match parcial sobre el nombre que devuelve Telnyx)
+   */
+  findCarrier(carrier) {
+    const name = (carrier || '').toLowerCase();
+    if (!name) return null;
+
+    const key = Object.keys(this.rateTable.carriers).find(k => name.includes(k));
+    return key ? { key, ...this.rateTable.carriers[key] } : null;
+  }
+
+  /**
+   * Costo de un mensaje
+   * @param {object} params - countryCode, carrier, segments, mms
+   */
+  messageCost({ countryCode, carrier, segments = 1, mms = false }) {
+    const rate = this.rateTable.countries[(countryCode || 'US').toUpperCase()] || this.rateTable.default;
+    const surcharge = this.findCarrier(carrier);
+
+    if (mms) {
+      return round(rate.mms + (surcharge?.mms || 0), 5);
+    }
+    return round(segments * (rate.sms + (surcharge?.sms || 0)), 5);
+  }
+
+  /**
+   * Costo estimado de un mensaje ya preparado (texto final + MMS o no) para un subscriber
+   */
+  estimateMessage(recipient, text, { mms = false, ...expandOptions } = {}) {
+    const analysis = this.analyzeText(this.expandMessage(text, expandOptions));
+    return this.messageCost({
+      countryCode: recipient?.location?.countryCode || recipient?.countryCode,
+      carrier: recipient?.carrier,
+      segments: analysis.segments,
+      mms
+    });
+  }
+
+  // ==================== ESTIMADO PREVIO AL ENVÍO ====================
+
+  /**
+   * Costo estimado de enviar un mensaje a una audiencia
+   * @param {object} query - Query de SmsSubscriber (buildAudienceQuery o el de audience-count)
+   * @param {object} content - message, discountCode, discountPercent, dynamicDiscount, media, holdoutPercentage
+   */
+  async estimateAudience(query, content = {}) {
+    const { message, media = [], holdoutPercentage = 0, ...expandOptions } = content;
+
+    const text = this.expandMessage(message, expandOptions);
+    const analysis = this.analyzeText(text);
+    const hasMedia = (media || []).length > 0;
+
+    // Quien no recibe MMS recibe el texto + link a la imagen
+    const fallbackAnalysis = hasMedia
+      ? this.analyzeText(this.expandMessage(smsMediaService.fallbackText(text, media)))
+      : null;
+
+    const groups = await SmsSubscriber.aggregate([
+      { $match: query },
+      {
+        $group: {
+          _id: {
+            countryCode: { $ifNull: ['$location.countryCode', '$countryCode'] },
+            carrier: '$carrier',
+            lineType: '$lineType'
+          },
+          count: { $sum: 1 }
+        }
+      }
+    ]);
+
+    const sendRatio = 1 - (holdoutPercentage || 0) / 100;
+    const byCountry = {};
+    const byCarrier = {};
+    let total = 0;
+    let recipients = 0;
+    let mmsRecipients = 0;
+    let perMessageMin = null;
+    let perMessageMax = null;
+
+    groups.forEach(g => {
+      const count = g.count * sendRatio;
+      const countryCode = (g._id.countryCode || 'US').toUpperCase();
+      const mms = hasMedia && smsMediaService.canReceiveMms({ countryCode, ...g._id }).mms;
+      const segments = hasMedia && !mms ? fallbackAnalysis.segments : analysis.segments;
+
+      const unitCost = this.messageCost({ countryCode, carrier: g._id.carrier, segments, mms });
+      const cost = unitCost * count;
+
+      total += cost;
+      recipients += count;
+      if (mms) mmsRecipients += count;
+      perMessageMin = perMessageMin === null ? unitCost : Math.min(perMessageMin, unitCost);
+      perMessageMax = perMessageMax === null ? unitCost : Math.max(perMessageMax, unitCost);
+
+      byCountry[countryCode] = byCountry[countryCode] || { countryCode, recipients: 0, cost: 0 };
+      byCountry[countryCode].recipients += count;
+      byCountry[countryCode].cost += cost;
+
+      const carrierLabel = this.findCarrier(g._id.carrier)?.label || 'Other / unknown';
+      byCarrier[carrierLabel] = byCarrier[carrierLabel] || { carrier: carrierLabel, recipients: 0, cost: 0 };
+      byCarrier[carrierLabel].recipients += count;
+      byCarrier[carrierLabel].cost += cost;
+    });
+
+    const warnings = [];
+    if (analysis.encoding === 'UCS-2') {
+      const gsmOnly = Array.from(text).filter(ch => !analysis.nonGsmChars.includes(ch)).join('');
+      warnings.push(`UCS-2 encoding caused by ${analysis.nonGsmChars.join(' ')}: ${analysis.segments} segment(s) vs ${this.analyzeText(gsmOnly).segments} without them`);
+    }
+    if (fallbackAnalysis && fallbackAnalysis.segments > analysis.segments) {
+      warnings.push(`SMS + link fallback uses ${fallbackAnalysis.segments} segment(s)`);
+    }
+
+    const finalize = (rows) => Object.values(rows)
+      .map(r => ({ ...r, recipients: Math.round(r.recipients), cost: round(r.cost, 2) }))
+      .sort((a, b) => b.cost - a.cost);
+
+    return {
+      currency: 'USD',
+      recipients: Math.round(recipients),
+      mmsRecipients: Math.round(mmsRecipients),
+      encoding: analysis.encoding,
+      characters: analysis.characters,
+      segments: analysis.segments,
+      nonGsmChars: analysis.nonGsmChars,
+      fallbackSegments: fallbackAnalysis?.segments || null,
+      perMessage: {
+        min: perMessageMin || 0,
+        max: perMessageMax || 0,
+        average: recipients > 0 ? round(total / recipients, 5) : 0
+      },
+      total: round(total, 2),
+      byCountry: finalize(byCountry),
+      byCarrier: finalize(byCarrier),
+      warnings
+    };
+  }
+
+  // ==================== PRESUPUESTO ====================
+
+  /**
+   * Valida el budget de una campaña. Devuelve mensaje de error o null
+   */
+  validateBudget(budget) {
+    if (budget === undefined || budget === null) return null;
+
+    const { cap } = budget;
+    if (cap !== undefined && cap !== null && (typeof cap !== 'number' || cap <= 0 || cap > MAX_BUDGET_CAP)) {
+      return `budget.cap debe ser mayor a 0 y hasta ${MAX_BUDGET_CAP} (null = sin tope)`;
+    }
+
+    return null;
+  }
+
+  /**
+   * ¿Enviar este mensaje pasa el tope?
+   */
+  wouldExceedBudget(campaign, nextCost = 0) {
+    const cap = campaign?.budget?.cap;
+    if (!cap) return false;
+    return (campaign.budget.committed || 0) + nextCost > cap;
+  }
+
+  /**
+   * Diferencia a aplicar a budget.committed cuando llega el costo real
+   */
+  committedAdjustment(actualCost, estimatedCost) {
+    return round((actualCost || 0) - (estimatedCost || 0), 5);
+  }
+
+  /**
+   * Primer costo real de un mensaje de campaña: lo guarda y corrige budget.committed.
+   * Condicional sobre cost sin reportar: dos webhooks simultáneos del mismo mensaje
+   * no aplican la diferencia dos veces
+   * @returns {boolean} true si este llamado hizo la corrección
+   */
+  async recordActualCost(message, actualCost) {
+    if (!(actualCost > 0)) return false;
+
+    const previous = await SmsMessage.findOneAndUpdate(
+      { _id: message._id, cost: { $in: [0, null] } },
+      { $set: { cost: actualCost } },
+      { new: false }
+    ).select('campaign estimatedCost').lean();
+
+    if (!previous) return false;
+
+    const SmsCampaign = require('../models/SmsCampaign');
+    await SmsCampaign.updateOne(
+      { _id: previous.campaign },
+      { $inc: { 'budget.committed': this.committedAdjustment(actualCost, previous.estimatedCost) } }
+    );
+
+    return true;
+  }
+
+  // ==================== ESTIMADO vs REAL ====================
+
+  /**
+   * Estimado vs costo real (webhook de Telnyx) de una campaña enviada
+   */
+  async getCostReport(campaign) {
+    const campaignId = new mongoose.Types.ObjectId(campaign._id);
+
+    const [totals] = await SmsMessage.aggregate([
+      { $match: { campaign: campaignId, status: { $nin: ['pending', 'skipped'] } } },
+      {
+        $group: {
+          _id: null,
+          messages: { $sum: 1 },
+          estimated: { $sum: { $ifNull: ['$estimatedCost', 0] } },
+          actual: { $sum: { $ifNull: ['$cost', 0] } },
+          withActual: { $sum: { $cond: [{ $gt: ['$cost', 0] }, 1, 0] } },
+          // Solo mensajes con costo real: comparación manzana con manzana
+          estimatedWithActual: {
+            $sum: { $cond: [{ $gt: ['$cost', 0] }, { $ifNull: ['$estimatedCost', 0] }, 0] }
+          }
+        }
+      }
+    ]);
+
+    const breakdown = await SmsMessage.aggregate([
+      { $match: { campaign: campaignId, status: { $nin: ['pending', 'skipped'] } } },
+      {
+        $group: {
+          _id: { countryCode: '$countryCode', mms: '$mms' },
+          messages: { $sum: 1 },
+          estimated: { $sum: { $ifNull: ['$estimatedCost', 0] } },
+          actual: { $sum: { $ifNull: ['$cost', 0] } },
+          withActual: { $sum: { $cond: [{ $gt: ['$cost', 0] }, 1, 0] } }
+        }
+      },
+      { $sort: { estimated: -1 } }
+    ]);
+
+    const t = totals || { messages: 0, estimated: 0, actual: 0, withActual: 0, estimatedWithActual: 0 };
+    const variance = t.actual - t.estimatedWithActual;
+
+    return {
+      currency: 'USD',
+      preSendEstimate: campaign.costEstimate?.total ?? null,
+      budget: {
+        cap: campaign.budget?.cap || null,
+        committed: round(campaign.budget?.committed || 0, 2),
+        reachedAt: campaign.budget?.reachedAt || null
+      },
+      messages: t.messages,
+      estimated: round(t.estimated, 2),
+      actual: round(t.actual, 2),
+      // Telnyx reporta el costo en message.finalized: puede faltar en los más recientes
+      actualReported: t.withActual,
+      actualPending: t.messages - t.withActual,
+      variance: round(variance, 2),
+      variancePercent: t.estimatedWithActual > 0 ? round((variance / t.estimatedWithActual) * 100, 1) : null,
+      breakdown: breakdown.map(b => ({
+        countryCode: b._id.countryCode || 'US',
+        type: b._id.mms ? 'MMS' : 'SMS',
+        messages: b.messages,
+        estimated: round(b.estimated, 2),
+        actual: round(b.actual, 2),
+        actualReported: b.withActual
+      }))
+    };
+  }
+}
+
+module.exports = new SmsCostService();
@@ -0,0 +1,610 @@
+// backend/src/services/smsInboxService.js
+// 💬 SMS Inbox - Conversaciones bidireccionales con respuesta de agentes
+//
+// 1. handleInboundSms → registerInbound(): upsert del SmsThread, +1 no leído y
+//    reapertura si estaba cerrado o en snooze
+// 2. reply(): renderiza merge fields con el Customer y su última Order, envía por
+//    telnyxService (que ya loguea el outbound en SmsConversation) y actualiza el thread
+// 3. Status open/closed/snoozed, asignación a un User y respuestas guardadas
+//
+// Los mensajes siguen viviendo solo en SmsConversation; SmsThread es el estado del inbox.
+const SmsThread = require('../models/SmsThread');
+const SmsCannedResponse = require('../models/SmsCannedResponse');
+const SmsConversation = require('../models/SmsConversation');
+const SmsSubscriber = require('../models/SmsSubscriber');
+const Customer = require('../models/Customer');
+const Order = require('../models/Order');
+const telnyxService = require('./telnyxService');
+
+const STATUSES = ['open', 'closed', 'snoozed'];
+const MAX_REPLY_LENGTH = 1600; // 10 segmentos GSM
+const PREVIEW_LENGTH = 120;
+
+// Merge fields disponibles en replies y respuestas guardadas
+const MERGE_FIELDS = [
+  'firstName',
+  'lastName',
+  'orderNumber',
+  'orderStatus',
+  'orderTotal',
+  'orderDate',
+  'trackingNumber',
+  'trackingUrl',
+  'trackingCompany',
+  'discountCode'
+];
+
+// Últimos 10 dígitos: SmsSubscriber guarda E.164, Customer lo que mande Shopify
+const phoneKey = (phone) => String(phone || '').replace(/\D/g, '').slice(-10);
+
+const phoneCandidates = (phone) => {
+  const key = phoneKey(phone);
+  return key.length === 10 ? [key, `1${key}`, `+1${key}`] : [];
+};
+
+const preview = (text) => {
+  const clean = String(text || '').replace(/\s+/g, ' ').trim();
+  return clean.length > PREVIEW_LENGTH ? `${clean.slice(0, PREVIEW_LENGTH - 1)}…` : clean;
+};
+
+// shortenTrackingUrl vive en smsTransactionalService (opcional)
+let shortenTrackingUrl = (url, number) => url || number || '';
+try {
+  shortenTrackingUrl = require('./smsTransactionalService').shortenTrackingUrl || shortenTrackingUrl;
+} catch (e) {
+  // Sin servicio transaccional: se usa la URL tal cual
+}
+
+class SmsInboxService {
+
+  // ==================== THREADS ====================
+
+  /**
+   * Thread del teléfono (lo crea si no existe: conversaciones previas al inbox)
+   */
+  async ensureThread(phone) {
+    const existing = await SmsThread.findOne({ phone });
+    if (existing) return existing;
+
+    const last = await SmsConversation.findOne({ phone }).sort({ createdAt: -1 }).lean();
+    const subscriber = await SmsSubscriber.findOne({ phone }).select('_id').lean();
+
+    return SmsThread.findOneAndUpdate(
+      { phone },
+      {
+        $setOnInsert: {
+          phone,
+          subscriber: subscriber?._id || null,
+          lastMessageAt: last?.createdAt,
+          lastMessagePreview: last ? preview(last.message) : undefined,
+          lastDirection: last?.direction
+        }
+      },
+      { upsert: true, new: true }
+    );
+  }
+
+  /**
+   * Inbound del cliente: +1 no leído, reabre el thread y refresca el link al Customer.
+   * Con unread=false (keywords con auto-respuesta) solo actualiza el último mensaje
+   */
+  async registerInbound(phone, { message, subscriberId, unread = true } = {}) {
+    const now = new Date();
+    const update = {
+      $set: {
+        lastMessageAt: now,
+        lastMessagePreview: preview(message),
+        lastDirection: 'inbound',
+        lastInboundAt: now,
+        ...(subscriberId && { subscriber: subscriberId })
+      },
+      $setOnInsert: { phone }
+    };
+
+    if (unread) {
+      update.$set.status = 'open';
+      update.$set.snoozedUntil = null;
+      update.$inc = { unreadCount: 1 };
+    }
+
+    const thread = await SmsThread.findOneAndUpdate({ phone }, update, { upsert: true, new: true });
+
+    if (!thread.customer) {
+      const { customer } = await this.findCustomer(phone, thread.subscriber);
+      if (customer) {
+        await SmsThread.updateOne({ _id: thread._id }, { $set: { customer: customer._id } });
+      }
+    }
+
+    return thread;
+  }
+
+  /**
+   * Snoozes vencidos vuelven a 'open'
+   */
+  async wakeSnoozed() {
+    const result = await SmsThread.updateMany(
+      { status: 'snoozed', snoozedUntil: { $lte: new Date() } },
+      { $set: { status: 'open', snoozedUntil: null } }
+    );
+    return result.modifiedCount || 0;
+  }
+
+  /**
+   * Inbox paginado
+   * @param {object} options - status, assignedTo ('me' | userId | 'unassigned'), unread, page, limit
+   */
+  async listThreads(options = {}) {
+    const { status = 'open', assignedTo = null, unread = false, page = 1, limit = 50, userId = null } = options;
+
+    await this.wakeSnoozed();
+
+    const query = {};
+    if (status && status !== 'all') query.status = status;
+    if (unread) query.unreadCount = { $gt: 0 };
+
+    if (assignedTo === 'unassigned') {
+      query.assignedTo = null;
+    } else if (assignedTo === 'me') {
+      if (userId) query.assignedTo = userId;
+    } else if (assignedTo) {
+      query.assignedTo = assignedTo;
+    }
+
+    const skip = (page - 1) * limit;
+
+    const [threads, total] = await Promise.all([
+      SmsThread.find(query)
+        .sort({ lastMessageAt: -1 })
+        .skip(skip)
+        .limit(limit)
+        .populate('assignedTo', 'email firstName lastName')
+        .populate('customer', 'email firstName lastName ordersCount totalSpent')
+        .populate('subscriber', 'phone phoneFormatted status')
+        .lean(),
+      SmsThread.countDocuments(query)
+    ]);
+
+    return {
+      threads,
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    };
+  }
+
+  /**
+   * Conteos de no leídos para el badge del dashboard
+   */
+  async getUnreadCounts(userId = null) {
+    await this.wakeSnoozed();
+
+    const [byStatus, unread] = await Promise.all([
+      SmsThread.aggregate([
+        { $group: { _id: '$status', count: { $sum: 1 } } }
+      ]),
+      SmsThread.aggregate([
+        { $match: { unreadCount: { $gt: 0 }, status: 'open' } },
+        {
+          $group: {
+            _id: null,
+            threads: { $sum: 1 },
+            messages: { $sum: '$unreadCount' },
+            unassigned: { $sum: { $cond: [{ $eq: ['$assignedTo', null] }, 1, 0] } },
+            mine: userId
+              ? { $sum: { $cond: [{ $eq: ['$assignedTo', userId] }, 1, 0] } }
+              : { $sum: 0 }
+          }
+        }
+      ])
+    ]);
+
+    const statuses = Object.fromEntries(STATUSES.map(s => [s, 0]));
+    byStatus.forEach(s => { if (s._id) statuses[s._id] = s.count; });
+
+    const u = unread[0] || {};
+    return {
+      unreadThreads: u.threads || 0,
+      unreadMessages: u.messages || 0,
+      unassigned: u.unassigned || 0,
+      mine: userId ? (u.mine || 0) : null,
+      byStatus: statuses
+    };
+  }
+
+  /**
+   * Status del thread. snoozed requiere snoozedUntil futuro
+   */
+  async setStatus(phone, status, { snoozedUntil = null, userId = null } = {}) {
+    if (!STATUSES.includes(status)) {
+      return { success: false, error: `status debe ser uno de: ${STATUSES.join(', ')}` };
+    }
+
+    const update = { status, snoozedUntil: null };
+
+    if (status === 'snoozed') {
+      const until = snoozedUntil ? new Date(snoozedUntil) : null;
+      if (!until || isNaN(until.getTime()) || until <= new Date()) {
+        return { success: false, error: 'snoozedUntil debe ser una fecha futura' };
+      }
+      update.snoozedUntil = until;
+    }
+
+    if (status === 'closed') {
+      update.closedAt = new Date();
+      update.closedBy = userId;
+      update.unreadCount = 0;
+      update.lastReadAt = new Date();
+    }
+
+    await this.ensureThread(phone);
+    const thread = await SmsThread.findOneAndUpdate({ phone }, { $set: update }, { new: true }).lean();
+
+    return { success: true, thread };
+  }
+
+  /**
+   * Asigna el thread a un User (null = desasignar)
+   */
+  async assign(phone, userId) {
+    if (userId) {
+      const User = require('../models/User');
+      const user = await User.findById(userId).select('isActive').lean();
+      if (!user || !user.isActive) {
+        return { success: false, error: 'User not found or inactive' };
+      }
+    }
+
+    await this.ensureThread(phone);
+    const thread = await SmsThread.findOneAndUpdate(
+      { phone },
+      { $set: { assignedTo: userId || null, assignedAt: userId ? new Date() : null } },
+      { new: true }
+    )
+      .populate('assignedTo', 'email firstName lastName')
+      .lean();
+
+    return { success: true, thread };
+  }
+
+  async markRead(phone) {
+    const thread = await SmsThread.findOneAndUpdate(
+      { phone },
+      { $set: { unreadCount: 0, lastReadAt: new Date() } },
+      { new: true }
+    ).lean();
+
+    return thread;
+  }
+
+  // ==================== CONTEXTO (CUSTOMER + ORDER) ====================
+
+  /**
+   * Customer por teléfono; si no, por el email de conversión del subscriber
+   */
+  async findCustomer(phone, subscriberId = null) {
+    const candidates = phoneCandidates(phone);
+    let customer = candidates.length > 0
+      ? await Customer.findOne({ phone: { $in: candidates } })
+        .select('email firstName lastName phone ordersCount totalSpent lastOrderDate')
+        .lean()
+      : null;
+
+    if (!customer) {
+      const subscriber = await SmsSubscriber.findOne(subscriberId ? { _id: subscriberId } : { phone })
+        .select('conversionData.customerEmail')
+        .lean();
+      const email = subscriber?.conversionData?.customerEmail;
+      if (email) {
+        customer = await Customer.findOne({ email: email.toLowerCase() })
+          .select('email firstName lastName phone ordersCount totalSpent lastOrderDate')
+          .lean();
+      }
+    }
+
+    return { customer };
+  }
+
+  /**
+   * Última Order del Customer (o por teléfono de la orden si no hay Customer)
+   */
+  async findLatestOrder(phone, customer) {
+    const select = 'orderNumber totalPrice currency financialStatus fulfillmentStatus orderDate lineItems shopifyData.fulfillments shopifyData.order_status_url';
+
+    if (customer) {
+      const order = await Order.findOne({ customer: customer._id })
+        .sort({ orderDate: -1 })
+        .select(select)
+        .lean();
+      if (order) return order;
+    }
+
+    const candidates = phoneCandidates(phone);
+    if (candidates.length === 0) return null;
+
+    return Order.findOne({
+      $or: [
+        { 'shopifyData.phone': { $in: candidates } },
+        { 'shopifyData.shipping_address.phone': { $in: candidates } },
+        { 'shopifyData.billing_address.phone': { $in: candidates } }
+      ]
+    })
+      .sort({ orderDate: -1 })
+      .select(select)
+      .lean();
+  }
+
+  /**
+   * Tracking del último fulfillment con número
+   */
+  getTracking(order) {
+    const fulfillments = order?.shopifyData?.fulfillments || [];
+    const fulfillment = [...fulfillments].reverse()
+      .find(f => f.tracking_number || f.tracking_numbers?.length || f.tracking_url) || null;
+
+    if (!fulfillment) return null;
+
+    const number = fulfillment.tracking_number || fulfillment.tracking_numbers?.[0] || null;
+    const url = fulfillment.tracking_url || fulfillment.tracking_urls?.[0] || null;
+    const company = fulfillment.tracking_company || null;
+
+    return {
+      number,
+      company,
+      url: shortenTrackingUrl(url, number, company) || url,
+      shipmentStatus: fulfillment.shipment_status || null
+    };
+  }
+
+  /**
+   * Subscriber, Customer y última Order para el panel lateral y los merge fields
+   */
+  async getContext(phone) {
+    const subscriber = await SmsSubscriber.findOne({ phone })
+      .select('phone phoneFormatted status discountCode secondDiscountCode converted convertedWith')
+      .lean();
+
+    const { customer } = await this.findCustomer(phone, subscriber?._id);
+    const order = await this.findLatestOrder(phone, customer);
+    const tracking = this.getTracking(order);
+
+    const latestOrder = order ? {
+      _id: order._id,
+      orderNumber: order.orderNumber,
+      totalPrice: order.totalPrice,
+      currency: order.currency,
+      financialStatus: order.financialStatus,
+      fulfillmentStatus: order.fulfillmentStatus || 'unfulfilled',
+      orderDate: order.orderDate,
+      items: (order.lineItems || []).map(i => ({ title: i.title, quantity: i.quantity })),
+      statusUrl: order.shopifyData?.order_status_url || null,
+      tracking
+    } : null;
+
+    return { subscriber, customer, latestOrder };
+  }
+
+  // ==================== MERGE FIELDS ====================
+
+  /**
+   * Reemplaza {field} con datos del contexto. Campos sin dato quedan vacíos
+   */
+  renderTemplate(template, context = {}) {
+    const { customer, latestOrder, subscriber } = context;
+
+    const values = {
+      firstName: customer?.firstName || 'there',
+      lastName: customer?.lastName || '',
+      orderNumber: latestOrder?.orderNumber || '',
+      orderStatus: latestOrder?.fulfillmentStatus || '',
+      orderTotal: latestOrder?.totalPrice !== undefined && latestOrder?.totalPrice !== null
+        ? `$${Number(latestOrder.totalPrice).toFixed(2)}`
+        : '',
+      orderDate: latestOrder?.orderDate
+        ? new Date(latestOrder.orderDate).toLocaleDateString('en-US', { month: 'short', day: 'numeric', timeZone: 'America/New_York' })
+        : '',
+      trackingNumber: latestOrder?.tracking?.number || '',
+      trackingUrl: latestOrder?.tracking?.url || latestOrder?.statusUrl || '',
+      trackingCompany: latestOrder?.tracking?.company || '',
+      discountCode: subscriber?.discountCode || ''
+    };
+
+    const missing = [];
+    const text = String(template || '').replace(/\{(\w+)\}/g, (match, field) => {
+      if (!MERGE_FIELDS.includes(field)) return match;
+      if (!values[field]) missing.push(field);
+      return values[field];
+    });
+
+    return { text: text.replace(/[ \t]{2,}/g, ' ').trim(), missing };
+  }
+
+  /**
+   * Texto final de una reply (canned response o mensaje libre)
+   */
+  async buildReply(phone, { message, cannedResponseId } = {}) {
+    let template = message;
+    let canned = null;
+
+    if (cannedResponseId) {
+      canned = await SmsCannedResponse.findOne({ _id: cannedResponseId, isActive: true }).lean();
+      if (!canned) return { success: false, error: 'Canned response not found' };
+      template = message || canned.body;
+    }
+
+    if (!template || !template.trim()) {
+      return { success: false, error: 'message o cannedResponseId es requerido' };
+    }
+
+    const context = await this.getContext(phone);
+    const { text, missing } = this.renderTemplate(template, context);
+
+    if (text.length > MAX_REPLY_LENGTH) {
+      return { success: false, error: `El mensaje excede ${MAX_REPLY_LENGTH} caracteres` };
+    }
+
+    return { success: true, text, missing, canned, context };
+  }
+
+  // ==================== REPLY ====================
+
+  /**
+   * Envía la respuesta de un agente. telnyxService la loguea en SmsConversation
+   * con messageType 'agent_reply' y el agente en metadata
+   */
+  async reply(phone, { message, cannedResponseId, user = null } = {}) {
+    const built = await this.buildReply(phone, { message, cannedResponseId });
+    if (!built.success) return built;
+
+    const { text, missing, canned, context } = built;
+
+    if (context.subscriber?.status === 'unsubscribed') {
+      return { success: false, error: 'El número está dado de baja (STOP)' };
+    }
+
+    const result = await telnyxService.sendSms(phone, text, {
+      messageType: 'agent_reply',
+      subscriberId: context.subscriber?._id,
+      metadata: {
+        agentId: user?._id?.toString() || null,
+        agentEmail: user?.email || null,
+        cannedResponseId: canned?._id?.toString() || null
+      }
+    });
+
+    if (!result.success) {
+      return { success: false, skipped: !!result.skipped, error: result.error };
+    }
+
+    const now = new Date();
+    const thread = await SmsThread.findOneAndUpdate(
+      { phone },
+      {
+        $set: {
+          lastMessageAt: now,
+          lastMessagePreview: preview(text),
+          lastDirection: 'outbound',
+          lastOutboundAt: now,
+          unreadCount: 0,
+          lastReadAt: now,
+          ...(context.subscriber && { subscriber: context.subscriber._id }),
+          ...(context.customer && { customer: context.customer._id })
+        },
+        $setOnInsert: { phone }
+      },
+      { upsert: true, new: true }
+    ).lean();
+
+    // Quien responde un thread sin dueño se lo queda
+    if (user?._id && !thread.assignedTo) {
+      await SmsThread.updateOne(
+        { _id: thread._id, assignedTo: null },
+        { $set: { assignedTo: user._id, assignedAt: now } }
+      );
+    }
+
+    if (canned) {
+      await SmsCannedResponse.updateOne(
+        { _id: canned._id },
+        { $inc: { usageCount: 1 }, $set: { lastUsedAt: now } }
+      );
+    }
+
+    return {
+      success: true,
+      messageId: result.messageId,
+      status: result.status,
+      text,
+      missingFields: missing
+    };
+  }
+
+  // ==================== CANNED RESPONSES ====================
+
+  /**
+   * Valida una respuesta guardada. Devuelve mensaje de error o null
+   */
+  validateCannedResponse(data, partial = false) {
+    if (!partial || data.name !== undefined) {
+      if (!data.name || !String(data.name).trim()) return 'name es requerido';
+    }
+    if (!partial || data.body !== undefined) {
+      if (!data.body || !String(data.body).trim()) return 'body es requerido';
+      if (data.body.length > MAX_REPLY_LENGTH) return `body excede ${MAX_REPLY_LENGTH} caracteres`;
+
+      const unknown = [...String(data.body).matchAll(/\{(\w+)\}/g)]
+        .map(m => m[1])
+        .filter(f => !MERGE_FIELDS.includes(f));
+      if (unknown.length > 0) {
+        return `Merge fields desconocidos: ${unknown.join(', ')}. Disponibles: ${MERGE_FIELDS.join(', ')}`;
+      }
+    }
+    return null;
+  }
+
+  pickCannedFields(data) {
+    const fields = {};
+    ['name', 'body', 'category', 'isActive'].forEach(key => {
+      if (data[key] !== undefined) fields[key] = data[key];
+    });
+    // Sparse unique: '' también cuenta como valor
+    if (data.shortcut !== undefined) fields.shortcut = data.shortcut ? String(data.shortcut).trim() : undefined;
+    return fields;
+  }
+
+  async listCannedResponses({ category = null, includeInactive = false } = {}) {
+    const query = {};
+    if (!includeInactive) query.isActive = true;
+    if (category) query.category = category;
+
+    return SmsCannedResponse.find(query).sort({ category: 1, name: 1 }).lean();
+  }
+
+  async createCannedResponse(data, userId = null) {
+    const error = this.validateCannedResponse(data);
+    if (error) return { success: false, error };
+
+    try {
+      const canned = await SmsCannedResponse.create({ ...this.pickCannedFields(data), createdBy: userId });
+      return { success: true, cannedResponse: canned };
+    } catch (err) {
+      if (err.code === 11000) return { success: false, error: `Shortcut "${data.shortcut}" ya existe` };
+      throw err;
+    }
+  }
+
+  async updateCannedResponse(id, data) {
+    const error = this.validateCannedResponse(data, true);
+    if (error) return { success: false, error };
+
+    const fields = this.pickCannedFields(data);
+    const update = { $set: fields };
+    if (Object.prototype.hasOwnProperty.call(fields, 'shortcut') && !fields.shortcut) {
+      delete fields.shortcut;
+      update.$unset = { shortcut: 1 };
+    }
+
+    try {
+      const canned = await SmsCannedResponse.findByIdAndUpdate(id, update, { new: true, runValidators: true }).lean();
+      if (!canned) return { success: false, error: 'Canned response not found' };
+      return { success: true, cannedResponse: canned };
+    } catch (err) {
+      if (err.code === 11000) return { success: false, error: `Shortcut "${data.shortcut}" ya existe` };
+      throw err;
+    }
+  }
+
+  async deleteCannedResponse(id) {
+    const result = await SmsCannedResponse.deleteOne({ _id: id });
+    return result.deletedCount > 0;
+  }
+
+  getMergeFields() {
+    return MERGE_FIELDS;
+  }
+}
+
+module.exports = new SmsInboxService();
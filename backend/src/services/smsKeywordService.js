@@ -0,0 +1,700 @@
+// backend/src/services/smsKeywordService.js
+// 🔑 SMS Keywords - Engine de keywords definidos por admin ("Text PICKLES to …")
+//
+// 1. handleInboundSms → match(): mensaje de una sola palabra que coincide con un
+//    SmsKeyword activo (o alias). STOP/START/HELP son reservados y nunca llegan aquí
+// 2. handle(): fuera de activeRanges responde inactiveMessage; si no, corre las
+//    acciones en orden (subscribe → reply → tag → start_flow → enter_contest)
+// 3. Cada envío queda en SmsKeywordHit + stats del keyword para las analytics
+const mongoose = require('mongoose');
+const SmsKeyword = require('../models/SmsKeyword');
+const SmsKeywordHit = require('../models/SmsKeywordHit');
+const SmsSubscriber = require('../models/SmsSubscriber');
+const Customer = require('../models/Customer');
+const telnyxService = require('./telnyxService');
+const smsInboxService = require('./smsInboxService');
+const smsConsentService = require('./smsConsentService');
+
+const KEYWORD_REGEX = /^[A-Z0-9]{2,20}$/;
+const DEFAULT_DISCOUNT_PERCENT = 15;
+const MAX_REPLY_LENGTH = 1600;
+const MAX_DRAW = 50;
+
+// Los merge fields del inbox + {keyword}
+const REPLY_FIELDS = [...smsInboxService.getMergeFields(), 'keyword'];
+
+const round = (n, decimals = 2) => parseFloat(n.toFixed(decimals));
+
+// "Pickles!" → "PICKLES"; null si no es una sola palabra
+const normalizeText = (text) => {
+  const clean = String(text || '').trim().toUpperCase().replace(/^[^A-Z0-9]+|[^A-Z0-9]+$/g, '');
+  return KEYWORD_REGEX.test(clean) ? clean : null;
+};
+
+class SmsKeywordService {
+
+  // ==================== MATCH ====================
+
+  /**
+   * SmsKeyword activo (status) para el texto recibido. La vigencia se evalúa en handle()
+   * para poder responder inactiveMessage
+   */
+  async match(text) {
+    const word = normalizeText(text);
+    if (!word || SmsKeyword.RESERVED_KEYWORDS.includes(word)) return null;
+
+    return SmsKeyword.findOne({
+      status: 'active',
+      $or: [{ keyword: word }, { aliases: word }]
+    });
+  }
+
+  // ==================== PIPELINE ====================
+
+  /**
+   * Ejecuta el keyword para un teléfono
+   * @param {object} keyword - SmsKeyword (documento)
+   * @param {object} data - { phone, text, subscriber, messageId }
+   * @returns {object} SmsKeywordHit
+   */
+  async handle(keyword, { phone, text, subscriber = null, messageId = null }) {
+    const now = new Date();
+    const hit = new SmsKeywordHit({
+      keyword: keyword._id,
+      matchedText: String(text || '').trim().slice(0, 160),
+      phone,
+      subscriber: subscriber?._id || null,
+      receivedAt: now
+    });
+
+    const inc = { 'stats.received': 1 };
+
+    if (!keyword.isInWindow(now)) {
+      hit.outsideWindow = true;
+      inc['stats.outsideWindow'] = 1;
+
+      if (keyword.inactiveMessage && subscriber?.status !== 'unsubscribed') {
+        const sent = await this.sendReply(keyword, phone, keyword.inactiveMessage, subscriber);
+        hit.actions.push({ type: 'reply', ...sent });
+      }
+
+      await this.saveHit(keyword, hit, inc, now);
+      console.log(`🔑 Keyword ${keyword.keyword} fuera de vigencia: ${phone}`);
+      return hit;
+    }
+
+    const ctx = { phone, text, messageId, subscriber, hit, customer: undefined };
+
+    for (const action of keyword.getOrderedActions()) {
+      let outcome;
+      try {
+        outcome = await this.runAction(action, keyword, ctx);
+      } catch (error) {
+        console.error(`❌ Keyword ${keyword.keyword} acción ${action.type}:`, error.message);
+        outcome = { status: 'failed', reason: error.message };
+      }
+
+      // stat = contador de SmsKeyword.stats que suma la acción
+      const { stat, ...entry } = outcome;
+      hit.actions.push({ type: action.type, ...entry });
+
+      if (entry.status === 'failed') {
+        inc['stats.failedActions'] = (inc['stats.failedActions'] || 0) + 1;
+      } else if (entry.status === 'completed' && stat) {
+        inc[`stats.${stat}`] = (inc[`stats.${stat}`] || 0) + 1;
+      }
+    }
+
+    hit.subscriber = ctx.subscriber?._id || null;
+
+    await this.saveHit(keyword, hit, inc, now);
+    console.log(`🔑 Keyword ${keyword.keyword} ← ${phone} (${hit.actions.map(a => `${a.type}:${a.status}`).join(', ') || 'sin acciones'})`);
+
+    return hit;
+  }
+
+  async saveHit(keyword, hit, inc, now) {
+    await hit.save();
+    await SmsKeyword.updateOne(
+      { _id: keyword._id },
+      { $inc: inc, $set: { 'stats.lastReceivedAt': now } }
+    );
+  }
+
+  async runAction(action, keyword, ctx) {
+    const config = action.config || {};
+
+    switch (action.type) {
+      case 'subscribe':
+        return this.subscribeAction(config, keyword, ctx);
+      case 'reply':
+        return this.replyAction(config, keyword, ctx);
+      case 'tag':
+        return this.tagAction(config, ctx);
+      case 'start_flow':
+        return this.startFlowAction(config, keyword, ctx);
+      case 'enter_contest':
+        return this.contestAction(config, keyword, ctx);
+      default:
+        return { status: 'skipped', reason: 'unknown_action' };
+    }
+  }
+
+  /**
+   * Alta con source 'keyword': el cliente inició el opt-in por SMS, no pasa por
+   * double opt-in. Reactiva bajas previas y confirma pendientes
+   */
+  async subscribeAction(config, keyword, ctx) {
+    const discountPercent = config.discountPercent ?? DEFAULT_DISCOUNT_PERCENT;
+    let subscriber = ctx.subscriber;
+
+    // Evidencia para el ledger: el mensaje entrante es el consentimiento
+    const consent = {
+      source: 'keyword',
+      keyword: keyword.keyword,
+      disclosureSource: 'sms',
+      inboundMessageId: ctx.messageId,
+      messageText: ctx.text
+    };
+
+    if (subscriber?.status === 'active') {
+      return { status: 'skipped', reason: 'already_subscribed' };
+    }
+
+    if (subscriber?.status === 'pending_confirmation') {
+      await smsConsentService.confirm(subscriber, {
+        inboundMessageId: ctx.messageId,
+        text: ctx.text,
+        source: 'keyword',
+        keyword: keyword.keyword
+      });
+      return { status: 'completed', stat: 'newSubscribers', result: { confirmed: true } };
+    }
+
+    if (subscriber && subscriber.status === 'unsubscribed') {
+      await subscriber.resubscribe();
+      await smsConsentService.record({ phone: ctx.phone, subscriber: subscriber._id, type: 're_opt_in', ...consent });
+      return { status: 'completed', stat: 'resubscribed', result: { resubscribed: true } };
+    }
+
+    if (subscriber) {
+      return { status: 'skipped', reason: `subscriber_${subscriber.status}` };
+    }
+
+    let discount = null;
+    if (discountPercent > 0) {
+      discount = await this.createDiscount(discountPercent, config.discountExpiresDays);
+    }
+
+    subscriber = await SmsSubscriber.create({
+      phone: ctx.phone,
+      phoneFormatted: telnyxService.formatForDisplay ? telnyxService.formatForDisplay(ctx.phone) : ctx.phone,
+      status: 'active',
+      source: 'keyword',
+      sourceKeyword: keyword._id,
+      subscribedAt: new Date(),
+      discountCode: discount?.code,
+      discountPercent: discount ? discountPercent : undefined,
+      shopifyPriceRuleId: discount?.priceRuleId || null,
+      shopifyDiscountCodeId: discount?.discountId || null,
+      secondSmsSent: false,
+      converted: false,
+      convertedWith: null
+    });
+
+    await smsConsentService.record({ phone: ctx.phone, subscriber: subscriber._id, type: 'opt_in', ...consent });
+
+    ctx.subscriber = subscriber;
+    ctx.hit.newSubscriber = true;
+    console.log(`📱 New SMS subscriber via keyword ${keyword.keyword}: ${ctx.phone}`);
+
+    return {
+      status: 'completed',
+      stat: 'newSubscribers',
+      result: { subscriberId: subscriber._id, discountCode: discount?.code || null }
+    };
+  }
+
+  /**
+   * Código JP-XXXXX como el del popup (smsConversionService lo detecta en la orden)
+   */
+  async createDiscount(percent, expiresDays = null) {
+    // Lazy: el controller carga este service al iniciar
+    const { generateDiscountCode, createShopifyDiscountCode } = require('../controllers/smsController');
+
+    const code = await generateDiscountCode();
+    const expiresAt = expiresDays ? new Date(Date.now() + expiresDays * 24 * 60 * 60 * 1000) : null;
+
+    let shopifyDiscount = null;
+    try {
+      shopifyDiscount = await createShopifyDiscountCode(code, percent, expiresAt);
+    } catch (err) {
+      console.error('⚠️  Error creating Shopify discount for keyword:', err.message);
+    }
+
+    return {
+      code,
+      priceRuleId: shopifyDiscount?.priceRuleId || null,
+      discountId: shopifyDiscount?.discountId || null
+    };
+  }
+
+  /**
+   * Respuesta con merge fields; fallbackMessage si falta algún dato (ej. ORDER sin orden)
+   */
+  async replyAction(config, keyword, ctx) {
+    if (!config.message) {
+      return { status: 'skipped', reason: 'no_message' };
+    }
+
+    if (ctx.subscriber?.status === 'unsubscribed') {
+      return { status: 'skipped', reason: 'unsubscribed' };
+    }
+
+    const template = String(config.message).replace(/\{keyword\}/g, keyword.keyword);
+    const context = await smsInboxService.getContext(ctx.phone);
+    let { text, missing } = smsInboxService.renderTemplate(template, context);
+
+    if (missing.length > 0 && config.fallbackMessage) {
+      const fallback = String(config.fallbackMessage).replace(/\{keyword\}/g, keyword.keyword);
+      text = smsInboxService.renderTemplate(fallback, context).text;
+    }
+
+    const sent = await this.sendReply(keyword, ctx.phone, text, ctx.subscriber);
+    return { ...sent, stat: sent.status === 'completed' ? 'repliesSent' : undefined };
+  }
+
+  async sendReply(keyword, phone, text, subscriber) {
+    const result = await telnyxService.sendSms(phone, text, {
+      messageType: 'keyword',
+      subscriberId: subscriber?._id,
+      metadata: {
+        keywordId: keyword._id.toString(),
+        keyword: keyword.keyword
+      }
+    });
+
+    if (result.skipped) return { status: 'skipped', reason: result.reason };
+    if (!result.success) return { status: 'failed', reason: result.error };
+
+    return { status: 'completed', result: { messageId: result.messageId } };
+  }
+
+  async findCustomer(ctx) {
+    if (ctx.customer === undefined) {
+      const { customer } = await smsInboxService.findCustomer(ctx.phone, ctx.subscriber?._id);
+      ctx.customer = customer || null;
+    }
+    return ctx.customer;
+  }
+
+  /**
+   * Tag en el SmsSubscriber y, si existe, en el Customer
+   */
+  async tagAction(config, ctx) {
+    const tag = String(config.tag || '').trim();
+    if (!tag) return { status: 'skipped', reason: 'no_tag' };
+
+    const customer = await this.findCustomer(ctx);
+
+    if (!ctx.subscriber && !customer) {
+      return { status: 'skipped', reason: 'no_subscriber' };
+    }
+
+    if (ctx.subscriber) {
+      await SmsSubscriber.updateOne({ _id: ctx.subscriber._id }, { $addToSet: { tags: tag } });
+    }
+    if (customer) {
+      await Customer.updateOne({ _id: customer._id }, { $addToSet: { tags: tag } });
+    }
+
+    return {
+      status: 'completed',
+      stat: 'tagged',
+      result: { tag, subscriber: !!ctx.subscriber, customer: !!customer }
+    };
+  }
+
+  /**
+   * Inscribe en un Flow activo (trigger 'sms_keyword'); sin Customer entra por teléfono
+   */
+  async startFlowAction(config, keyword, ctx) {
+    if (!config.flowId) return { status: 'skipped', reason: 'no_flow' };
+
+    const Flow = require('../models/Flow');
+    const flowService = require('./flowService');
+
+    const flow = await Flow.findById(config.flowId);
+    if (!flow || flow.status !== 'active') {
+      return { status: 'skipped', reason: 'flow_not_active' };
+    }
+
+    const customer = await this.findCustomer(ctx);
+
+    const execution = await flowService.enroll(flow, 'sms_keyword', {
+      customerId: customer?._id,
+      email: customer?.email,
+      phone: ctx.phone,
+      firstName: customer?.firstName,
+      keyword: keyword.keyword,
+      discountCode: ctx.subscriber?.discountCode
+    });
+
+    if (!execution) return { status: 'skipped', reason: 'already_enrolled' };
+
+    return { status: 'completed', stat: 'flowsStarted', result: { flowId: flow._id, executionId: execution._id } };
+  }
+
+  /**
+   * Participación en un concurso (una por teléfono salvo allowMultipleEntries)
+   */
+  async contestAction(config, keyword, ctx) {
+    const contestName = config.contestName || keyword.keyword;
+
+    if (!config.allowMultipleEntries) {
+      const entered = await SmsKeywordHit.exists({
+        keyword: keyword._id,
+        phone: ctx.phone,
+        contestEntry: true,
+        contestName
+      });
+      if (entered) return { status: 'skipped', reason: 'already_entered' };
+    }
+
+    ctx.hit.contestEntry = true;
+    ctx.hit.contestName = contestName;
+
+    return { status: 'completed', stat: 'contestEntries', result: { contestName } };
+  }
+
+  // ==================== ADMIN ====================
+
+  /**
+   * Valida keyword/aliases/acciones. Devuelve mensaje de error o null
+   */
+  validate(data, partial = false) {
+    if (!partial || data.keyword !== undefined) {
+      const word = String(data.keyword || '').trim().toUpperCase();
+      if (!KEYWORD_REGEX.test(word)) {
+        return 'keyword debe ser una sola palabra de 2 a 20 letras o números';
+      }
+    }
+
+    if (data.aliases !== undefined) {
+      if (!Array.isArray(data.aliases)) return 'aliases debe ser un array';
+      const invalid = data.aliases.find(a => !KEYWORD_REGEX.test(String(a || '').trim().toUpperCase()));
+      if (invalid !== undefined) return `Alias inválido: ${invalid}`;
+    }
+
+    const words = this.collectWords(data);
+    const reserved = words.find(w => SmsKeyword.RESERVED_KEYWORDS.includes(w));
+    if (reserved) {
+      return `${reserved} es reservado (STOP/START/HELP)`;
+    }
+
+    if (data.activeRanges !== undefined) {
+      if (!Array.isArray(data.activeRanges)) return 'activeRanges debe ser un array';
+      for (const range of data.activeRanges) {
+        const start = range?.startsAt ? new Date(range.startsAt) : null;
+        const end = range?.endsAt ? new Date(range.endsAt) : null;
+        if ((start && isNaN(start.getTime())) || (end && isNaN(end.getTime()))) {
+          return 'activeRanges: fechas inválidas';
+        }
+        if (start && end && start >= end) {
+          return 'activeRanges: startsAt debe ser anterior a endsAt';
+        }
+      }
+    }
+
+    if (data.actions !== undefined) {
+      const actionsError = this.validateActions(data.actions);
+      if (actionsError) return actionsError;
+    }
+
+    if (data.inactiveMessage && data.inactiveMessage.length > MAX_REPLY_LENGTH) {
+      return `inactiveMessage excede ${MAX_REPLY_LENGTH} caracteres`;
+    }
+
+    return null;
+  }
+
+  validateActions(actions) {
+    if (!Array.isArray(actions)) return 'actions debe ser un array';
+
+    for (let i = 0; i < actions.length; i++) {
+      const action = actions[i];
+      const where = `actions[${i}]`;
+
+      if (!action || !SmsKeyword.ACTION_TYPES.includes(action.type)) {
+        return `${where}: tipo inválido (${action?.type}). Válidos: ${SmsKeyword.ACTION_TYPES.join(', ')}`;
+      }
+
+      const config = action.config || {};
+
+      if (action.type === 'subscribe' && config.discountPercent !== undefined &&
+          (typeof config.discountPercent !== 'number' || config.discountPercent < 0 || config.discountPercent > 50)) {
+        return `${where}: subscribe.discountPercent debe estar entre 0 y 50`;
+      }
+      if (action.type === 'reply') {
+        if (!config.message) return `${where}: reply requiere message`;
+        for (const field of ['message', 'fallbackMessage']) {
+          if (!config[field]) continue;
+          if (config[field].length > MAX_REPLY_LENGTH) return `${where}: ${field} excede ${MAX_REPLY_LENGTH} caracteres`;
+          const unknown = [...String(config[field]).matchAll(/\{(\w+)\}/g)]
+            .map(m => m[1])
+            .filter(f => !REPLY_FIELDS.includes(f));
+          if (unknown.length > 0) {
+            return `${where}: merge fields desconocidos: ${unknown.join(', ')}. Disponibles: ${REPLY_FIELDS.join(', ')}`;
+          }
+        }
+      }
+      if (action.type === 'tag' && !config.tag) {
+        return `${where}: tag requiere tag`;
+      }
+      if (action.type === 'start_flow' && !mongoose.Types.ObjectId.isValid(config.flowId)) {
+        return `${where}: start_flow requiere flowId`;
+      }
+    }
+
+    return null;
+  }
+
+  collectWords(data) {
+    const words = [];
+    if (data.keyword) words.push(String(data.keyword).trim().toUpperCase());
+    (Array.isArray(data.aliases) ? data.aliases : []).forEach(a => words.push(String(a).trim().toUpperCase()));
+    return words;
+  }
+
+  /**
+   * ¿Alguna palabra ya la usa otro keyword (como keyword o alias)?
+   */
+  async findConflict(words, excludeId = null) {
+    if (words.length === 0) return null;
+
+    const query = { $or: [{ keyword: { $in: words } }, { aliases: { $in: words } }] };
+    if (excludeId) query._id = { $ne: excludeId };
+
+    const existing = await SmsKeyword.findOne(query).select('keyword aliases').lean();
+    if (!existing) return null;
+
+    const used = words.find(w => w === existing.keyword || existing.aliases.includes(w));
+    return `${used} ya está en uso por el keyword ${existing.keyword}`;
+  }
+
+  pickFields(data) {
+    const fields = {};
+    ['name', 'description', 'status', 'activeRanges', 'inactiveMessage', 'actions'].forEach(key => {
+      if (data[key] !== undefined) fields[key] = data[key];
+    });
+    if (data.keyword !== undefined) fields.keyword = String(data.keyword).trim().toUpperCase();
+    if (data.aliases !== undefined) {
+      fields.aliases = [...new Set(data.aliases.map(a => String(a).trim().toUpperCase()))];
+    }
+    if (fields.actions) {
+      fields.actions = fields.actions.map((a, i) => ({ type: a.type, order: a.order ?? i, config: a.config || {} }));
+    }
+    return fields;
+  }
+
+  async create(data, userId = null) {
+    const error = this.validate(data);
+    if (error) return { success: false, error };
+
+    const fields = this.pickFields(data);
+    const conflict = await this.findConflict(this.collectWords(fields));
+    if (conflict) return { success: false, error: conflict };
+
+    const keyword = await SmsKeyword.create({ ...fields, createdBy: userId });
+    return { success: true, keyword };
+  }
+
+  async update(id, data) {
+    const error = this.validate(data, true);
+    if (error) return { success: false, error };
+
+    const keyword = await SmsKeyword.findById(id);
+    if (!keyword) return { success: false, notFound: true, error: 'Keyword not found' };
+
+    const fields = this.pickFields(data);
+    const words = this.collectWords({
+      keyword: fields.keyword || keyword.keyword,
+      aliases: fields.aliases || keyword.aliases
+    });
+    const conflict = await this.findConflict(words, keyword._id);
+    if (conflict) return { success: false, error: conflict };
+
+    Object.assign(keyword, fields);
+    await keyword.save();
+
+    return { success: true, keyword };
+  }
+
+  // ==================== ANALYTICS ====================
+
+  /**
+   * Analytics de un keyword: totales, únicos, serie diaria, resultado de acciones
+   * y conversiones de los suscriptores que entraron por él
+   */
+  async getAnalytics(keyword, days = 30) {
+    const since = new Date(Date.now() - days * 24 * 60 * 60 * 1000);
+    const match = { keyword: keyword._id, receivedAt: { $gte: since } };
+
+    const [totals, daily, actions, conversions] = await Promise.all([
+      SmsKeywordHit.aggregate([
+        { $match: match },
+        {
+          $group: {
+            _id: null,
+            received: { $sum: 1 },
+            phones: { $addToSet: '$phone' },
+            outsideWindow: { $sum: { $cond: ['$outsideWindow', 1, 0] } },
+            newSubscribers: { $sum: { $cond: ['$newSubscriber', 1, 0] } },
+            contestEntries: { $sum: { $cond: ['$contestEntry', 1, 0] } }
+          }
+        },
+        {
+          $project: {
+            _id: 0,
+            received: 1,
+            uniquePhones: { $size: '$phones' },
+            outsideWindow: 1,
+            newSubscribers: 1,
+            contestEntries: 1
+          }
+        }
+      ]),
+      SmsKeywordHit.aggregate([
+        { $match: match },
+        {
+          $group: {
+            _id: { $dateToString: { format: '%Y-%m-%d', date: '$receivedAt', timezone: 'America/New_York' } },
+            received: { $sum: 1 },
+            newSubscribers: { $sum: { $cond: ['$newSubscriber', 1, 0] } }
+          }
+        },
+        { $sort: { _id: 1 } }
+      ]),
+      SmsKeywordHit.aggregate([
+        { $match: match },
+        { $unwind: '$actions' },
+        {
+          $group: {
+            _id: { type: '$actions.type', status: '$actions.status' },
+            count: { $sum: 1 }
+          }
+        }
+      ]),
+      SmsSubscriber.aggregate([
+        { $match: { sourceKeyword: keyword._id } },
+        {
+          $group: {
+            _id: null,
+            subscribers: { $sum: 1 },
+            active: { $sum: { $cond: [{ $eq: ['$status', 'active'] }, 1, 0] } },
+            converted: { $sum: { $cond: ['$converted', 1, 0] } },
+            revenue: { $sum: { $ifNull: ['$conversionData.orderTotal', 0] } }
+          }
+        }
+      ])
+    ]);
+
+    const actionBreakdown = {};
+    actions.forEach(a => {
+      const type = a._id.type;
+      actionBreakdown[type] = actionBreakdown[type] || { completed: 0, skipped: 0, failed: 0 };
+      actionBreakdown[type][a._id.status] = a.count;
+    });
+
+    const conv = conversions[0] || { subscribers: 0, active: 0, converted: 0, revenue: 0 };
+
+    return {
+      keyword: keyword.keyword,
+      days,
+      inWindow: keyword.isInWindow(),
+      lifetime: keyword.stats,
+      period: totals[0] || { received: 0, uniquePhones: 0, outsideWindow: 0, newSubscribers: 0, contestEntries: 0 },
+      daily: daily.map(d => ({ date: d._id, received: d.received, newSubscribers: d.newSubscribers })),
+      actions: actionBreakdown,
+      // Suscriptores con source 'keyword' de este keyword (todo el histórico)
+      subscribers: {
+        total: conv.subscribers,
+        active: conv.active,
+        converted: conv.converted,
+        conversionRate: conv.subscribers > 0 ? round((conv.converted / conv.subscribers) * 100, 1) : 0,
+        revenue: round(conv.revenue)
+      }
+    };
+  }
+
+  // ==================== CONCURSOS ====================
+
+  async getContestEntries(keyword, { contestName = null, page = 1, limit = 100 } = {}) {
+    const query = { keyword: keyword._id, contestEntry: true };
+    if (contestName) query.contestName = contestName;
+
+    const [entries, total, winners] = await Promise.all([
+      SmsKeywordHit.find(query)
+        .sort({ receivedAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .select('phone subscriber contestName contestWinner contestWonAt receivedAt')
+        .lean(),
+      SmsKeywordHit.countDocuments(query),
+      SmsKeywordHit.countDocuments({ ...query, contestWinner: true })
+    ]);
+
+    return {
+      entries,
+      winners,
+      pagination: { page, limit, total, pages: Math.ceil(total / limit) }
+    };
+  }
+
+  /**
+   * Sortea ganadores entre las participaciones (un teléfono gana una sola vez)
+   */
+  async drawWinners(keyword, { contestName = null, count = 1 } = {}) {
+    const n = Math.min(Math.max(parseInt(count) || 1, 1), MAX_DRAW);
+    const name = contestName || keyword.keyword;
+
+    const previousWinners = await SmsKeywordHit.distinct('phone', {
+      keyword: keyword._id,
+      contestName: name,
+      contestWinner: true
+    });
+
+    const drawn = await SmsKeywordHit.aggregate([
+      {
+        $match: {
+          keyword: keyword._id,
+          contestEntry: true,
+          contestName: name,
+          phone: { $nin: previousWinners }
+        }
+      },
+      // Una participación por teléfono para el sorteo (allowMultipleEntries suma chances)
+      { $sample: { size: n * 5 } },
+      { $group: { _id: '$phone', hitId: { $first: '$_id' } } },
+      { $limit: n }
+    ]);
+
+    if (drawn.length === 0) {
+      return { success: false, error: 'No hay participaciones elegibles' };
+    }
+
+    const now = new Date();
+    await SmsKeywordHit.updateMany(
+      { _id: { $in: drawn.map(d => d.hitId) } },
+      { $set: { contestWinner: true, contestWonAt: now } }
+    );
+
+    return {
+      success: true,
+      contestName: name,
+      winners: drawn.map(d => ({ phone: d._id, entryId: d.hitId, wonAt: now }))
+    };
+  }
+}
+
+module.exports = new SmsKeywordService();
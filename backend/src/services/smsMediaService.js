@@ -0,0 +1,242 @@
+// backend/src/services/smsMediaService.js
+// 🖼️ SMS Media - MMS para campañas y transaccionales
+//
+// 1. validateMedia(): HEAD a cada URL (tipo y tamaño reales, no los que dice el editor)
+// 2. prepare(): por destinatario decide MMS o SMS + link (Canadá, fijos y carriers
+//    sin MMS reciben el link a la imagen en el texto)
+// 3. listApolloCreatives(): creatives de Apollo en Cloudinary, listos para MMS
+const axios = require('axios');
+const cloudinary = require('../config/cloudinary');
+
+// Tipos que entregan todos los carriers de US
+const ALLOWED_CONTENT_TYPES = ['image/jpeg', 'image/jpg', 'image/png', 'image/gif'];
+
+// Límite práctico de los carriers (AT&T/T-Mobile recortan o rechazan arriba de ~1MB)
+const MAX_MEDIA_BYTES = 1024 * 1024;
+const MAX_MEDIA_ITEMS = 3;
+const HEAD_TIMEOUT_MS = 10000;
+
+// Países sin MMS en nuestro número (10DLC US): reciben SMS con link
+const NON_MMS_COUNTRIES = ['CA'];
+const NON_MMS_LINE_TYPES = ['landline'];
+
+const MEDIA_SOURCES = ['upload', 'apollo', 'url'];
+
+class SmsMediaService {
+
+  /**
+   * Carriers sin MMS (SMS_MMS_UNSUPPORTED_CARRIERS="carrier a,carrier b"), match parcial
+   */
+  getUnsupportedCarriers() {
+    return (process.env.SMS_MMS_UNSUPPORTED_CARRIERS || '')
+      .split(',')
+      .map(c => c.trim().toLowerCase())
+      .filter(Boolean);
+  }
+
+  getLimits() {
+    return {
+      maxBytes: MAX_MEDIA_BYTES,
+      maxItems: MAX_MEDIA_ITEMS,
+      contentTypes: ALLOWED_CONTENT_TYPES,
+      nonMmsCountries: NON_MMS_COUNTRIES,
+      unsupportedCarriers: this.getUnsupportedCarriers()
+    };
+  }
+
+  // ==================== VALIDACIÓN ====================
+
+  /**
+   * Tipo y tamaño reales de una URL
+   */
+  async inspect(url) {
+    const response = await axios.head(url, {
+      timeout: HEAD_TIMEOUT_MS,
+      maxRedirects: 3,
+      validateStatus: status => status < 400
+    });
+
+    const contentType = (response.headers['content-type'] || '').split(';')[0].trim().toLowerCase();
+    const length = parseInt(response.headers['content-length'], 10);
+
+    return {
+      contentType: contentType || null,
+      bytes: Number.isFinite(length) ? length : null
+    };
+  }
+
+  /**
+   * Valida la lista de media de una campaña/trigger
+   * @param {Array<string|object>} items - URLs o { url, source, cloudinaryId }
+   * @returns {object} { error, media: [{ url, contentType, bytes, source, cloudinaryId }] }
+   */
+  async validateMedia(items) {
+    if (items === undefined || items === null) return { error: null, media: [] };
+    if (!Array.isArray(items)) return { error: 'media must be an array', media: [] };
+    if (items.length > MAX_MEDIA_ITEMS) {
+      return { error: `Maximum ${MAX_MEDIA_ITEMS} media files per message`, media: [] };
+    }
+
+    const media = [];
+    let totalBytes = 0;
+
+    for (const item of items) {
+      const entry = typeof item === 'string' ? { url: item } : (item || {});
+      const url = typeof entry.url === 'string' ? entry.url.trim() : '';
+
+      if (!/^https:\/\//i.test(url)) {
+        return { error: 'Media URLs must be public https URLs', media: [] };
+      }
+      if (entry.source && !MEDIA_SOURCES.includes(entry.source)) {
+        return { error: `Invalid media source: ${entry.source}`, media: [] };
+      }
+
+      let info;
+      try {
+        info = await this.inspect(url);
+      } catch (error) {
+        return { error: `Media not reachable (${url}): ${error.message}`, media: [] };
+      }
+
+      if (!ALLOWED_CONTENT_TYPES.includes(info.contentType)) {
+        return {
+          error: `Unsupported media type ${info.contentType || 'unknown'} (allowed: JPEG, PNG, GIF)`,
+          media: []
+        };
+      }
+      if (info.bytes === null) {
+        return { error: `Could not determine media size (${url})`, media: [] };
+      }
+
+      totalBytes += info.bytes;
+      if (totalBytes > MAX_MEDIA_BYTES) {
+        return {
+          error: `Media too large: ${Math.round(totalBytes / 1024)}KB (max ${MAX_MEDIA_BYTES / 1024}KB per message)`,
+          media: []
+        };
+      }
+
+      media.push({
+        url,
+        contentType: info.contentType,
+        bytes: info.bytes,
+        source: entry.source || (entry.cloudinaryId ? 'upload' : 'url'),
+        cloudinaryId: entry.cloudinaryId || null
+      });
+    }
+
+    return { error: null, media };
+  }
+
+  // ==================== MMS vs SMS + LINK ====================
+
+  /**
+   * ¿El destinatario puede recibir MMS?
+   * @param {object} recipient - SmsSubscriber (o { phone, countryCode, carrier, lineType })
+   * @returns {object} { mms, reason }
+   */
+  canReceiveMms(recipient = {}) {
+    const country = recipient.location?.countryCode || recipient.countryCode;
+    if (country && NON_MMS_COUNTRIES.includes(country.toUpperCase())) {
+      return { mms: false, reason: 'country' };
+    }
+
+    if (recipient.lineType && NON_MMS_LINE_TYPES.includes(recipient.lineType)) {
+      return { mms: false, reason: 'line_type' };
+    }
+
+    const carrier = (recipient.carrier || '').toLowerCase();
+    if (carrier && this.getUnsupportedCarriers().some(c => carrier.includes(c))) {
+      return { mms: false, reason: 'carrier' };
+    }
+
+    return { mms: true, reason: null };
+  }
+
+  /**
+   * Texto + media a enviar a un destinatario.
+   * Sin MMS: el link a la primera imagen va al final del texto (se acorta después
+   * con el resto de URLs del mensaje)
+   * @returns {object} { text, mediaUrls, mms, fallbackReason }
+   */
+  prepare(recipient, text, media = []) {
+    const urls = (media || []).map(m => (typeof m === 'string' ? m : m.url)).filter(Boolean);
+
+    if (urls.length === 0) {
+      return { text, mediaUrls: [], mms: false, fallbackReason: null };
+    }
+
+    const { mms, reason } = this.canReceiveMms(recipient);
+    if (mms) {
+      return { text, mediaUrls: urls, mms: true, fallbackReason: null };
+    }
+
+    return {
+      text: this.fallbackText(text, urls),
+      mediaUrls: [],
+      mms: false,
+      fallbackReason: reason
+    };
+  }
+
+  /**
+   * SMS + link a la primera imagen. Sin emoji: uno solo pasaría todo el
+   * mensaje a UCS-2 (70 caracteres por segmento en vez de 160)
+   */
+  fallbackText(text, media = []) {
+    const url = (media || []).map(m => (typeof m === 'string' ? m : m.url)).find(Boolean);
+    return url ? `${text}\nPhoto: ${url}` : text;
+  }
+
+  // ==================== APOLLO CREATIVES ====================
+
+  /**
+   * URL de Cloudinary reducida para MMS (JPG, 800px, calidad auto)
+   */
+  getMmsUrl(cloudinaryId) {
+    return cloudinary.url(cloudinaryId, {
+      secure: true,
+      format: 'jpg',
+      transformation: [
+        { width: 800, crop: 'limit' },
+        { quality: 'auto:good' }
+      ]
+    });
+  }
+
+  /**
+   * Creatives generados por Apollo (tag "apollo" en Cloudinary), más recientes primero
+   * @param {object} options - product (slug), limit, nextCursor
+   */
+  async listApolloCreatives({ product = null, limit = 30, nextCursor = null } = {}) {
+    const result = await cloudinary.api.resources_by_tag(product || 'apollo', {
+      resource_type: 'image',
+      max_results: Math.min(limit, 100),
+      direction: 'desc',
+      tags: true,
+      next_cursor: nextCursor || undefined
+    });
+
+    const creatives = (result.resources || [])
+      // Filtrando por producto el tag base es el slug: quedarse solo con los de Apollo
+      .filter(r => !product || (r.tags || []).includes('apollo'))
+      .map(r => ({
+        cloudinaryId: r.public_id,
+        originalUrl: r.secure_url,
+        url: this.getMmsUrl(r.public_id),
+        source: 'apollo',
+        width: r.width,
+        height: r.height,
+        originalBytes: r.bytes,
+        tags: r.tags || [],
+        createdAt: r.created_at
+      }));
+
+    return {
+      creatives,
+      nextCursor: result.next_cursor || null
+    };
+  }
+}
+
+module.exports = new SmsMediaService();
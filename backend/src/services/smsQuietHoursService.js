@@ -0,0 +1,182 @@
+// backend/src/services/smsQuietHoursService.js
+// 🌙 Quiet hours y throttling para campañas SMS
+//
+// Cada suscriptor recibe la campaña solo dentro de su horario permitido local
+// (por defecto 8am–9pm, estilo TCPA) según SmsSubscriber.location.timezone.
+// Los mensajes fuera de horario quedan 'pending' con scheduledFor = próxima
+// hora permitida en su zona; smsCampaignQueueJob los retoma cuando vencen.
+
+const DEFAULT_TIMEZONE = 'America/New_York';
+const DEFAULT_QUIET_START = 21; // 9 PM local
+const DEFAULT_QUIET_END = 8;    // 8 AM local
+const DEFAULT_MAX_PER_SECOND = parseFloat(process.env.SMS_MAX_PER_SECOND) || 1;
+const MAX_PER_SECOND_LIMIT = 50;
+
+class SmsQuietHoursService {
+
+  // ==================== CONFIG ====================
+
+  /**
+   * Config de entrega efectiva de una campaña (con defaults)
+   */
+  getDeliveryConfig(campaign) {
+    const delivery = campaign?.delivery || {};
+
+    return {
+      mode: delivery.mode || 'quiet_hours',
+      quietHoursStart: Number.isInteger(delivery.quietHoursStart) ? delivery.quietHoursStart : DEFAULT_QUIET_START,
+      quietHoursEnd: Number.isInteger(delivery.quietHoursEnd) ? delivery.quietHoursEnd : DEFAULT_QUIET_END,
+      maxPerSecond: Math.min(delivery.maxPerSecond || DEFAULT_MAX_PER_SECOND, MAX_PER_SECOND_LIMIT)
+    };
+  }
+
+  /**
+   * Milisegundos mínimos entre envíos para respetar maxPerSecond
+   */
+  getSendInterval(campaign) {
+    return Math.ceil(1000 / this.getDeliveryConfig(campaign).maxPerSecond);
+  }
+
+  // ==================== ZONA HORARIA ====================
+
+  /**
+   * Timezone IANA válida o la default (ET)
+   */
+  resolveTimezone(timezone) {
+    if (!timezone) return DEFAULT_TIMEZONE;
+
+    try {
+      new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+      return timezone;
+    } catch (error) {
+      return DEFAULT_TIMEZONE;
+    }
+  }
+
+  /**
+   * Hora/minuto/segundo locales en una timezone
+   */
+  getLocalTime(timezone, now = new Date()) {
+    const parts = new Intl.DateTimeFormat('en-US', {
+      timeZone: this.resolveTimezone(timezone),
+      hour: 'numeric',
+      minute: 'numeric',
+      second: 'numeric',
+      hour12: false
+    }).formatToParts(now);
+
+    const get = (type) => parseInt(parts.find(p => p.type === type).value, 10);
+
+    return {
+      hour: get('hour') % 24,
+      minute: get('minute'),
+      second: get('second')
+    };
+  }
+
+  /**
+   * ¿La hora local cae en quiet hours? Soporta ventanas que cruzan medianoche (21 → 8)
+   */
+  isQuietHour(hour, quietHoursStart, quietHoursEnd) {
+    if (quietHoursStart === quietHoursEnd) return false;
+
+    return quietHoursStart > quietHoursEnd
+      ? hour >= quietHoursStart || hour < quietHoursEnd
+      : hour >= quietHoursStart && hour < quietHoursEnd;
+  }
+
+  // ==================== PROGRAMACIÓN ====================
+
+  /**
+   * Cuándo puede salir un mensaje para un suscriptor
+   * @returns {Date|null} null = puede enviarse ya
+   */
+  getScheduledTime(campaign, timezone, now = new Date()) {
+    const config = this.getDeliveryConfig(campaign);
+    if (config.mode !== 'quiet_hours') return null;
+
+    const local = this.getLocalTime(timezone, now);
+    if (!this.isQuietHour(local.hour, config.quietHoursStart, config.quietHoursEnd)) {
+      return null;
+    }
+
+    // Horas hasta quietHoursEnd en hora local, al inicio de esa hora
+    const hoursAhead = (config.quietHoursEnd - local.hour + 24) % 24;
+    const msIntoHour = (local.minute * 60 + local.second) * 1000;
+
+    return new Date(now.getTime() + hoursAhead * 60 * 60 * 1000 - msIntoHour);
+  }
+
+  // ==================== VALIDACIÓN ====================
+
+  /**
+   * Valida la config de entrega recibida del editor
+   * @returns {string|null} error
+   */
+  validateDeliveryConfig(delivery) {
+    if (!delivery) return null;
+
+    if (delivery.mode !== undefined && !['immediate', 'quiet_hours'].includes(delivery.mode)) {
+      return 'delivery.mode must be "immediate" or "quiet_hours"';
+    }
+
+    for (const field of ['quietHoursStart', 'quietHoursEnd']) {
+      const value = delivery[field];
+      if (value !== undefined && (!Number.isInteger(value) || value < 0 || value > 23)) {
+        return `delivery.${field} must be an hour between 0 and 23`;
+      }
+    }
+
+    if (delivery.maxPerSecond !== undefined) {
+      const mps = Number(delivery.maxPerSecond);
+      if (!(mps > 0) || mps > MAX_PER_SECOND_LIMIT) {
+        return `delivery.maxPerSecond must be between 0 and ${MAX_PER_SECOND_LIMIT}`;
+      }
+    }
+
+    return null;
+  }
+
+  // ==================== REPORTE ====================
+
+  /**
+   * Mensajes diferidos pendientes agrupados por hora de salida
+   */
+  async getDeferralSchedule(campaignId) {
+    const SmsMessage = require('../models/SmsMessage');
+
+    const rows = await SmsMessage.aggregate([
+      {
+        $match: {
+          campaign: campaignId,
+          status: 'pending',
+          scheduledFor: { $gt: new Date() }
+        }
+      },
+      {
+        $group: {
+          _id: {
+            sendAt: { $dateToString: { format: '%Y-%m-%dT%H:00:00Z', date: '$scheduledFor' } },
+            timezone: '$timezone'
+          },
+          count: { $sum: 1 }
+        }
+      },
+      { $sort: { '_id.sendAt': 1 } }
+    ]);
+
+    const pending = rows.reduce((sum, r) => sum + r.count, 0);
+
+    return {
+      pending,
+      nextSendAt: rows[0] ? new Date(rows[0]._id.sendAt) : null,
+      schedule: rows.map(r => ({
+        sendAt: new Date(r._id.sendAt),
+        timezone: r._id.timezone || DEFAULT_TIMEZONE,
+        count: r.count
+      }))
+    };
+  }
+}
+
+module.exports = new SmsQuietHoursService();
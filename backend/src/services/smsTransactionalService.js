@@ -3,6 +3,7 @@
 const SmsTransactional = require('../models/SmsTransactional');
 const SmsSubscriber = require('../models/SmsSubscriber');
 const telnyxService = require('./telnyxService');
+const smsMediaService = require('./smsMediaService');
 
 // ==================== DEFAULT MESSAGE TEMPLATES ====================
 const DEFAULT_TEMPLATES = {
@@ -144,11 +145,11 @@ const replaceVariables = (template, data) => {
 const SMS_ENABLED = process.env.SMS_ENABLED === 'true';
 
 let triggerSettings = {
-  order_confirmation: { enabled: SMS_ENABLED, template: null },
-  shipping_notification: { enabled: SMS_ENABLED, template: null },
-  delivery_confirmation: { enabled: false, template: null },
-  order_cancelled: { enabled: false, template: null },
-  delayed_shipment: { enabled: false, template: null, delayHours: 72 }
+  order_confirmation: { enabled: SMS_ENABLED, template: null, media: [] },
+  shipping_notification: { enabled: SMS_ENABLED, template: null, media: [] },
+  delivery_confirmation: { enabled: false, template: null, media: [] },
+  order_cancelled: { enabled: false, template: null, media: [] },
+  delayed_shipment: { enabled: false, template: null, media: [], delayHours: 72 }
 };
 
 // ==================== HELPER FUNCTIONS ====================
@@ -183,6 +184,17 @@ const checkOptIn = async (phone) => {
   };
 };
 
+/**
+ * MMS del trigger (settings.media, validada al guardar) o SMS + link si el
+ * destinatario no recibe MMS. Sin subscriber se usa el país de la orden
+ */
+const prepareMedia = (triggerType, order, subscriber, message) => {
+  const recipient = subscriber || {
+    countryCode: order.shipping_address?.country_code || order.billing_address?.country_code
+  };
+  return smsMediaService.prepare(recipient, message, triggerSettings[triggerType]?.media);
+};
+
 /**
  * Extract phone from Shopify order
  */
@@ -263,6 +275,8 @@ const sendOrderConfirmation = async (order) => {
       orderTotal: order.total_price
     });
 
+    const prepared = prepareMedia(triggerType, order, subscriber, message);
+
     // Create log entry
     const smsLog = new SmsTransactional({
       triggerType,
@@ -275,8 +289,10 @@ const sendOrderConfirmation = async (order) => {
       orderNumber,
       orderName: order.name,
       orderTotal: parseFloat(order.total_price || 0),
-      message,
-      messageLength: message.length,
+      message: prepared.text,
+      messageLength: prepared.text.length,
+      mediaUrls: prepared.mediaUrls,
+      mmsFallbackReason: prepared.fallbackReason,
       optInVerified: false, // Transactional SMS - no opt-in required
       smsSubscriberId: subscriber?._id || null,
       status: 'pending'
@@ -286,9 +302,10 @@ const sendOrderConfirmation = async (order) => {
 
     // Send SMS with logging options
     console.log(`   📤 Sending SMS to ${formattedPhone}...`);
-    const result = await telnyxService.sendSms(formattedPhone, message, {
+    const result = await telnyxService.sendSms(formattedPhone, prepared.text, {
       messageType: 'transactional',
       subscriberId: subscriber?._id,
+      mediaUrls: prepared.mediaUrls,
       metadata: {
         triggerType,
         orderNumber,
@@ -385,6 +402,8 @@ const sendShippingNotification = async (order, fulfillment) => {
       trackingCompany
     });
 
+    const prepared = prepareMedia(triggerType, order, subscriber, message);
+
     // Create log entry
     const smsLog = new SmsTransactional({
       triggerType,
@@ -401,8 +420,10 @@ const sendShippingNotification = async (order, fulfillment) => {
       trackingUrl,
       trackingCompany,
       fulfillmentId,
-      message,
-      messageLength: message.length,
+      message: prepared.text,
+      messageLength: prepared.text.length,
+      mediaUrls: prepared.mediaUrls,
+      mmsFallbackReason: prepared.fallbackReason,
       optInVerified: false, // Transactional SMS - no opt-in required
       smsSubscriberId: subscriber?._id || null,
       status: 'pending'
@@ -412,9 +433,10 @@ const sendShippingNotification = async (order, fulfillment) => {
 
     // Send SMS with logging options
     console.log(`   📤 Sending shipping SMS to ${formattedPhone}...`);
-    const result = await telnyxService.sendSms(formattedPhone, message, {
+    const result = await telnyxService.sendSms(formattedPhone, prepared.text, {
       messageType: 'transactional',
       subscriberId: subscriber?._id,
+      mediaUrls: prepared.mediaUrls,
       metadata: {
         triggerType,
         orderNumber,
@@ -501,6 +523,8 @@ const sendDeliveryConfirmation = async (order, fulfillment) => {
       orderNumber
     });
 
+    const prepared = prepareMedia(triggerType, order, subscriber, message);
+
     // Create log entry
     const smsLog = new SmsTransactional({
       triggerType,
@@ -513,8 +537,10 @@ const sendDeliveryConfirmation = async (order, fulfillment) => {
       orderNumber,
       orderName: order.name,
       fulfillmentId,
-      message,
-      messageLength: message.length,
+      message: prepared.text,
+      messageLength: prepared.text.length,
+      mediaUrls: prepared.mediaUrls,
+      mmsFallbackReason: prepared.fallbackReason,
       optInVerified: false, // Transactional SMS - no opt-in required
       smsSubscriberId: subscriber?._id || null,
       status: 'pending'
@@ -524,9 +550,10 @@ const sendDeliveryConfirmation = async (order, fulfillment) => {
 
     // Send SMS with logging options
     console.log(`   📤 Sending delivery SMS to ${formattedPhone}...`);
-    const result = await telnyxService.sendSms(formattedPhone, message, {
+    const result = await telnyxService.sendSms(formattedPhone, prepared.text, {
       messageType: 'transactional',
       subscriberId: subscriber?._id,
+      mediaUrls: prepared.mediaUrls,
       metadata: {
         triggerType,
         orderNumber,
@@ -613,6 +640,8 @@ const sendOrderCancelled = async (order, cancelReason = null) => {
       cancelReason: reason
     });
 
+    const prepared = prepareMedia(triggerType, order, subscriber, message);
+
     // Create log entry
     const smsLog = new SmsTransactional({
       triggerType,
@@ -625,8 +654,10 @@ const sendOrderCancelled = async (order, cancelReason = null) => {
       orderNumber,
       orderName: order.name,
       orderTotal: parseFloat(order.total_price || 0),
-      message,
-      messageLength: message.length,
+      message: prepared.text,
+      messageLength: prepared.text.length,
+      mediaUrls: prepared.mediaUrls,
+      mmsFallbackReason: prepared.fallbackReason,
       optInVerified: false, // Transactional SMS - no opt-in required
       smsSubscriberId: subscriber?._id || null,
       status: 'pending',
@@ -637,9 +668,10 @@ const sendOrderCancelled = async (order, cancelReason = null) => {
 
     // Send SMS with logging options
     console.log(`   📤 Sending cancellation SMS to ${formattedPhone}...`);
-    const result = await telnyxService.sendSms(formattedPhone, message, {
+    const result = await telnyxService.sendSms(formattedPhone, prepared.text, {
       messageType: 'transactional',
       subscriberId: subscriber?._id,
+      mediaUrls: prepared.mediaUrls,
       metadata: {
         triggerType,
         orderNumber,
@@ -723,6 +755,8 @@ const sendDelayedShipmentNotification = async (order) => {
       orderNumber
     });
 
+    const prepared = prepareMedia(triggerType, order, subscriber, message);
+
     // Create log entry
     const smsLog = new SmsTransactional({
       triggerType,
@@ -735,8 +769,10 @@ const sendDelayedShipmentNotification = async (order) => {
       orderNumber,
       orderName: order.name,
       orderTotal: parseFloat(order.total_price || 0),
-      message,
-      messageLength: message.length,
+      message: prepared.text,
+      messageLength: prepared.text.length,
+      mediaUrls: prepared.mediaUrls,
+      mmsFallbackReason: prepared.fallbackReason,
       optInVerified: false,
       smsSubscriberId: subscriber?._id || null,
       status: 'pending',
@@ -750,9 +786,10 @@ const sendDelayedShipmentNotification = async (order) => {
 
     // Send SMS with logging options
     console.log(`   📤 Sending delayed shipment SMS to ${formattedPhone}...`);
-    const result = await telnyxService.sendSms(formattedPhone, message, {
+    const result = await telnyxService.sendSms(formattedPhone, prepared.text, {
       messageType: 'transactional',
       subscriberId: subscriber?._id,
+      mediaUrls: prepared.mediaUrls,
       metadata: {
         triggerType,
         orderNumber,
@@ -889,5 +926,8 @@ module.exports = {
 
   // Templates (for preview)
   TEMPLATES,
-  DEFAULT_TEMPLATES
+  DEFAULT_TEMPLATES,
+
+  // Helpers (SMS inbox merge fields)
+  shortenTrackingUrl
 };
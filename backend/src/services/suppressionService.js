@@ -0,0 +1,370 @@
+// backend/src/services/suppressionService.js
+// 🛑 Suppression - Un solo lugar para responder "¿por qué X no recibió este email?"
+//
+// findSuppressed() es la consulta única que usan emailQueue, campaignSendService
+// y popupController. Revisa la colección Suppression (email exacto y dominio) y,
+// para clientes anteriores a la colección, el estado legacy de Customer
+// (emailStatus / bounceInfo) hasta que scripts/migrateSuppressions.js los migre.
+const mongoose = require('mongoose');
+const csv = require('csv-parser');
+const { Readable } = require('stream');
+const Suppression = require('../models/Suppression');
+
+// Si ya existe una entrada, una razón menos severa no la reemplaza
+const SEVERITY = {
+  soft_bounce: 1,
+  unsubscribe: 2,
+  import: 3,
+  manual: 4,
+  hard_bounce: 5,
+  complaint: 6
+};
+
+const SOFT_BOUNCE_DAYS = 7;
+
+// Los IDs llegan de tags de Resend / tokens: solo se guardan si son ObjectIds válidos
+const validId = (id) => (id && mongoose.Types.ObjectId.isValid(id) ? id : undefined);
+
+const normalizeEmail = (email) => (email ? String(email).toLowerCase().trim() : null);
+const domainOf = (email) => {
+  const at = email ? email.lastIndexOf('@') : -1;
+  return at > 0 ? email.slice(at + 1) : null;
+};
+
+class SuppressionService {
+
+  // ==================== CONSULTA ====================
+
+  /**
+   * Normaliza { email } | { domain } | 'x@y.com' | '@y.com' → { type, value } o null
+   */
+  parseTarget(input) {
+    if (!input) return null;
+
+    if (typeof input === 'string') {
+      const value = input.toLowerCase().trim();
+      if (value.startsWith('@')) return this.parseTarget({ domain: value.slice(1) });
+      return value.includes('@') ? this.parseTarget({ email: value }) : this.parseTarget({ domain: value });
+    }
+
+    if (input.email) {
+      const email = normalizeEmail(input.email);
+      return /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email) ? { type: 'email', value: email } : null;
+    }
+
+    if (input.domain) {
+      const domain = String(input.domain).toLowerCase().trim().replace(/^@/, '');
+      return /^[a-z0-9.-]+\.[a-z]{2,}$/.test(domain) ? { type: 'domain', value: domain } : null;
+    }
+
+    return null;
+  }
+
+  /**
+   * Emails suprimidos de un batch
+   * @param {string[]} emails - normalizados (lowercase)
+   * @returns {Map<string, object>} email → { reason, source, type, value, expiresAt, legacy }
+   */
+  async findSuppressed(emails) {
+    const Customer = require('../models/Customer');
+    const suppressed = new Map();
+    if (emails.length === 0) return suppressed;
+
+    const domains = [...new Set(emails.map(domainOf).filter(Boolean))];
+    const now = new Date();
+
+    const [entries, legacyCustomers] = await Promise.all([
+      Suppression.find({
+        $and: [
+          {
+            $or: [
+              { type: 'email', value: { $in: emails } },
+              { type: 'domain', value: { $in: domains } }
+            ]
+          },
+          { $or: [{ expiresAt: null }, { expiresAt: { $gt: now } }] }
+        ]
+      }).select('type value reason source expiresAt').lean(),
+      Customer.find({
+        email: { $in: emails },
+        $or: [
+          { emailStatus: { $in: ['bounced', 'complained', 'unsubscribed'] } },
+          { 'bounceInfo.isBounced': true }
+        ]
+      }).select('email emailStatus bounceInfo').lean()
+    ]);
+
+    const byEmail = new Map();
+    const byDomain = new Map();
+    entries.forEach(entry => {
+      (entry.type === 'email' ? byEmail : byDomain).set(entry.value, entry);
+    });
+
+    const legacyByEmail = new Map();
+    legacyCustomers.forEach(c => legacyByEmail.set(c.email.toLowerCase(), c));
+
+    emails.forEach(email => {
+      const entry = byEmail.get(email) || byDomain.get(domainOf(email));
+      if (entry) {
+        suppressed.set(email, {
+          reason: entry.reason,
+          source: entry.source,
+          type: entry.type,
+          value: entry.value,
+          expiresAt: entry.expiresAt || null,
+          legacy: false
+        });
+        return;
+      }
+
+      const customer = legacyByEmail.get(email);
+      if (customer) {
+        suppressed.set(email, {
+          reason: this.legacyReason(customer),
+          source: 'customer_status',
+          type: 'email',
+          value: email,
+          expiresAt: null,
+          legacy: true
+        });
+      }
+    });
+
+    return suppressed;
+  }
+
+  /**
+   * Consulta de un solo email
+   */
+  async check(email) {
+    const normalized = normalizeEmail(email);
+    if (!normalized) return null;
+
+    const result = await this.findSuppressed([normalized]);
+    return result.get(normalized) || null;
+  }
+
+  // Razón equivalente al estado legacy de Customer
+  legacyReason(customer) {
+    if (customer.emailStatus === 'complained') return 'complaint';
+    if (customer.emailStatus === 'unsubscribed') return 'unsubscribe';
+    return customer.bounceInfo?.bounceType === 'soft' ? 'soft_bounce' : 'hard_bounce';
+  }
+
+  // ==================== ALTAS / BAJAS ====================
+
+  /**
+   * Agrega o actualiza una supresión. Nunca lanza: los webhooks y el unsubscribe no deben romperse.
+   * @param {object} data - { email | domain, reason, source, customer?, campaign?, notes?, createdBy?, expiresAt? }
+   * @returns {object|null} documento Suppression
+   */
+  async add(data) {
+    try {
+      const target = this.parseTarget(data.domain ? { domain: data.domain } : { email: data.email });
+      if (!target) return null;
+
+      const expiresAt = data.reason === 'soft_bounce' && data.expiresAt === undefined
+        ? new Date(Date.now() + SOFT_BOUNCE_DAYS * 24 * 60 * 60 * 1000)
+        : (data.expiresAt ? new Date(data.expiresAt) : null);
+
+      const existing = await Suppression.findOne(target);
+
+      if (existing && (SEVERITY[existing.reason] || 0) > (SEVERITY[data.reason] || 0)) {
+        return existing;
+      }
+
+      const fields = {
+        reason: data.reason,
+        source: data.source,
+        customer: validId(data.customer) || existing?.customer,
+        campaign: validId(data.campaign),
+        notes: data.notes || existing?.notes,
+        createdBy: data.createdBy || existing?.createdBy,
+        expiresAt
+      };
+
+      if (existing) {
+        existing.set(fields);
+        return await existing.save();
+      }
+
+      return await Suppression.create({ ...target, ...fields });
+    } catch (error) {
+      console.error(`⚠️  Suppression (${data.reason}) no registrada:`, error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Quita supresiones de un email/dominio (opcional: solo ciertas razones)
+   */
+  async remove(target, reasons = null) {
+    const parsed = this.parseTarget(target);
+    if (!parsed) return 0;
+
+    const query = { ...parsed };
+    if (reasons) query.reason = { $in: reasons };
+
+    const result = await Suppression.deleteMany(query);
+    return result.deletedCount || 0;
+  }
+
+  // ==================== CSV ====================
+
+  /**
+   * Importa un CSV con columna email o domain (opcionales: reason, notes, expiresAt).
+   * No pisa entradas existentes.
+   */
+  async importCsv(csvData, { reason = 'import', createdBy = null } = {}) {
+    const rows = [];
+
+    await new Promise((resolve, reject) => {
+      Readable.from(csvData)
+        .pipe(csv({ mapHeaders: ({ header }) => header.trim().toLowerCase() }))
+        .on('data', row => rows.push(row))
+        .on('end', resolve)
+        .on('error', reject);
+    });
+
+    const stats = { total: rows.length, added: 0, existing: 0, invalid: 0 };
+    const operations = [];
+
+    rows.forEach(row => {
+      const target = this.parseTarget(row.domain ? { domain: row.domain } : { email: row.email || row['e-mail'] });
+      if (!target) {
+        stats.invalid++;
+        return;
+      }
+
+      const rowReason = Suppression.REASONS.includes(row.reason) ? row.reason : reason;
+      const expiresAt = row.expiresat ? new Date(row.expiresat) : null;
+
+      operations.push({
+        updateOne: {
+          filter: target,
+          update: {
+            $setOnInsert: {
+              ...target,
+              reason: rowReason,
+              source: 'csv_import',
+              notes: row.notes || undefined,
+              createdBy,
+              expiresAt: expiresAt && !isNaN(expiresAt) ? expiresAt : null
+            }
+          },
+          upsert: true
+        }
+      });
+    });
+
+    for (let i = 0; i < operations.length; i += 1000) {
+      const chunk = operations.slice(i, i + 1000);
+      const result = await Suppression.bulkWrite(chunk, { ordered: false });
+      stats.added += result.upsertedCount || 0;
+      stats.existing += chunk.length - (result.upsertedCount || 0);
+    }
+
+    return stats;
+  }
+
+  /**
+   * Exporta las supresiones vigentes como CSV
+   */
+  async exportCsv(filter = {}) {
+    const escape = (value) => {
+      if (value === null || value === undefined) return '';
+      const str = value instanceof Date ? value.toISOString() : String(value);
+      return /[",\n]/.test(str) ? `"${str.replace(/"/g, '""')}"` : str;
+    };
+
+    const entries = await Suppression.find(this.buildFilter(filter))
+      .sort({ createdAt: -1 })
+      .lean();
+
+    const header = ['type', 'value', 'reason', 'source', 'createdAt', 'expiresAt', 'notes'];
+    const lines = entries.map(e => [
+      e.type, e.value, e.reason, e.source, e.createdAt, e.expiresAt, e.notes
+    ].map(escape).join(','));
+
+    return { csv: [header.join(','), ...lines].join('\n'), count: entries.length };
+  }
+
+  // ==================== LISTADO / AUDITORÍA ====================
+
+  buildFilter({ type, reason, search } = {}) {
+    const query = { $or: [{ expiresAt: null }, { expiresAt: { $gt: new Date() } }] };
+    if (type) query.type = type;
+    if (reason) query.reason = reason;
+    if (search) query.value = { $regex: search.toLowerCase().replace(/[.*+?^${}()|[\]\\]/g, '\\$&') };
+    return query;
+  }
+
+  async list({ page = 1, limit = 50, ...filter } = {}) {
+    const query = this.buildFilter(filter);
+    const skip = (page - 1) * limit;
+
+    const [entries, total] = await Promise.all([
+      Suppression.find(query).sort({ createdAt: -1 }).skip(skip).limit(limit).lean(),
+      Suppression.countDocuments(query)
+    ]);
+
+    return {
+      entries,
+      pagination: { page, limit, total, pages: Math.ceil(total / limit) }
+    };
+  }
+
+  async getStats() {
+    const rows = await Suppression.aggregate([
+      { $match: this.buildFilter() },
+      { $group: { _id: { type: '$type', reason: '$reason' }, count: { $sum: 1 } } }
+    ]);
+
+    const stats = { total: 0, byType: { email: 0, domain: 0 }, byReason: {} };
+    rows.forEach(r => {
+      stats.total += r.count;
+      stats.byType[r._id.type] = (stats.byType[r._id.type] || 0) + r.count;
+      stats.byReason[r._id.reason] = (stats.byReason[r._id.reason] || 0) + r.count;
+    });
+
+    return stats;
+  }
+
+  /**
+   * Todo lo que puede impedir que un email reciba campañas
+   */
+  async explain(email) {
+    const Customer = require('../models/Customer');
+    const EmailSend = require('../models/EmailSend');
+    const normalized = normalizeEmail(email);
+
+    const [suppression, entries, customer, recentSkips] = await Promise.all([
+      this.check(normalized),
+      Suppression.find({
+        $or: [
+          { type: 'email', value: normalized },
+          { type: 'domain', value: domainOf(normalized) }
+        ]
+      }).lean(),
+      Customer.findOne({ email: normalized })
+        .select('email emailStatus acceptsMarketing bounceInfo emailPreferences')
+        .lean(),
+      EmailSend.find({ recipientEmail: normalized, status: 'skipped' })
+        .sort({ updatedAt: -1 })
+        .limit(20)
+        .select('campaignId skipReason lastError skippedAt')
+        .lean()
+    ]);
+
+    return {
+      email: normalized,
+      suppressed: !!suppression,
+      suppression,
+      entries,
+      customer,
+      recentSkips
+    };
+  }
+}
+
+module.exports = new SuppressionService();
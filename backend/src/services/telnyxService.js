@@ -38,7 +38,7 @@ class TelnyxService {
    * Send an SMS
    * @param {string} to - Destination number in E.164 format (+1XXXXXXXXXX)
    * @param {string} text - Message content
-   * @param {object} options - Additional options (messageType, subscriberId, discountCode, discountPercent, campaignId, metadata)
+   * @param {object} options - Additional options (messageType, subscriberId, discountCode, discountPercent, campaignId, mediaUrls, metadata)
    * @returns {object} - Telnyx response
    */
   async sendSms(to, text, options = {}) {
@@ -76,12 +76,13 @@ class TelnyxService {
       };
 
       // Add extra options if they exist
-      if (options.mediaUrls) {
+      const isMms = Array.isArray(options.mediaUrls) && options.mediaUrls.length > 0;
+      if (isMms) {
         payload.media_urls = options.mediaUrls;
         payload.type = 'MMS';
       }
 
-      console.log(`📱 Sending SMS to ${formattedTo}`);
+      console.log(`📱 Sending ${isMms ? `MMS (${options.mediaUrls.length} media)` : 'SMS'} to ${formattedTo}`);
 
       const response = await this.axios.post('/messages', payload);
 
@@ -97,7 +98,8 @@ class TelnyxService {
         carrier: data?.to?.[0]?.carrier,
         lineType: data?.to?.[0]?.line_type,
         parts: data?.parts || 1,
-        encoding: data?.encoding
+        encoding: data?.encoding,
+        type: data?.type || (isMms ? 'MMS' : 'SMS')
       };
 
       // 📝 Log outbound message to SmsConversation
@@ -142,6 +144,7 @@ class TelnyxService {
         discountCode: options.discountCode,
         discountPercent: options.discountPercent,
         cost: result.cost,
+        mediaUrls: options.mediaUrls,
         metadata: {
           ...options.metadata,
           carrier: result.carrier,
@@ -219,6 +219,11 @@ const urlShortenerService = {
       console.error('Error updating related models on click:', error.message);
     }
 
+    // Touchpoint for multi-touch attribution
+    if (shortUrl.sourceType !== 'sms_transactional') {
+      await this.recordSmsTouch(shortUrl, originalUrl);
+    }
+
     return {
       originalUrl,
       shortUrl,
@@ -226,6 +231,44 @@ const urlShortenerService = {
     };
   },
 
+  /**
+   * Record the click as an SMS touchpoint (identity = subscriber phone)
+   */
+  async recordSmsTouch(shortUrl, originalUrl) {
+    try {
+      const SmsSubscriber = require('../models/SmsSubscriber');
+      const multiTouchAttribution = require('./multiTouchAttributionService');
+
+      let phone = null;
+      let subscriberId = shortUrl.subscriberId;
+
+      if (shortUrl.messageId) {
+        const SmsMessage = require('../models/SmsMessage');
+        const message = await SmsMessage.findById(shortUrl.messageId).select('phone subscriber').lean();
+        phone = message?.phone;
+        subscriberId = subscriberId || message?.subscriber;
+      }
+
+      if (!phone && subscriberId) {
+        const subscriber = await SmsSubscriber.findById(subscriberId).select('phone').lean();
+        phone = subscriber?.phone;
+      }
+
+      if (!phone) return;
+
+      await multiTouchAttribution.recordTouch({
+        type: 'sms_click',
+        phone,
+        smsSubscriber: subscriberId,
+        smsCampaign: shortUrl.sourceType === 'sms_campaign' ? shortUrl.campaignId : undefined,
+        url: originalUrl,
+        metadata: { sourceType: shortUrl.sourceType, code: shortUrl.code }
+      });
+    } catch (error) {
+      console.error('Error recording SMS touchpoint:', error.message);
+    }
+  },
+
   /**
    * Record conversion for a short URL
    */
@@ -0,0 +1,437 @@
+// backend/src/utils/blockRenderer.js
+// 🧱 Email builder - Documento de bloques JSON → HTML email-safe + texto plano
+//
+// Un documento es un array de bloques (o { blocks: [...] }):
+//   { type: 'hero', props: { imageUrl, alt, link, headline, subheadline } }
+//
+// El HTML sale con tablas y estilos inline (Gmail/Outlook ignoran <style>).
+// El texto de los bloques puede usar el lenguaje de templateEngine
+// ({{ firstName | default: "friend" }}, {% if %}...): se conserva intacto y
+// se personaliza al enviar, igual que el htmlContent escrito a mano.
+
+const THEME = {
+  background: '#f5f1e8',
+  content: '#ffffff',
+  primary: '#1a3d17',
+  accent: '#d4a843',
+  text: '#3a3a3a',
+  muted: '#666666',
+  footerBackground: '#122016',
+  footerText: '#a2b6aa',
+  footerLink: '#6eb489',
+  fontFamily: 'Arial, Helvetica, sans-serif',
+  serifFamily: 'Georgia, \'Times New Roman\', serif'
+};
+
+const WIDTH = 600;
+
+// Tipos de bloque y props requeridas
+const BLOCK_TYPES = {
+  header: { required: [], description: 'Logo and/or title bar' },
+  hero: { required: ['imageUrl'], description: 'Full-width image with optional headline' },
+  text: { required: [], description: 'Paragraphs (text) or rich HTML (html)' },
+  button: { required: ['label', 'url'], description: 'Call to action' },
+  product_grid: { required: ['products'], description: 'Products in 1-3 columns' },
+  recommendations: { required: [], description: 'Per-recipient product picks resolved at send time (count 1-6)' },
+  recipe: { required: ['title'], description: 'Recipe card with ingredients and steps' },
+  divider: { required: [], description: 'Horizontal rule' },
+  footer: { required: [], description: 'Brand footer with unsubscribe and preferences links' }
+};
+
+// Tags del templateEngine: no se escapan para que sigan siendo válidos al personalizar
+const TEMPLATE_TAG_REGEX = /({{[\s\S]*?}}|{%[\s\S]*?%})/g;
+
+const escapeHtml = (value) => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+// Escapa texto del usuario respetando {{ }} / {% %}
+function escapeText(value) {
+  if (value === null || value === undefined) return '';
+  return String(value)
+    .split(TEMPLATE_TAG_REGEX)
+    .map((part, i) => (i % 2 === 1 ? part : escapeHtml(part)))
+    .join('');
+}
+
+// Mayúsculas para títulos en texto plano (sin tocar las variables)
+const upper = (value) => String(value)
+  .split(TEMPLATE_TAG_REGEX)
+  .map((part, i) => (i % 2 === 1 ? part : part.toUpperCase()))
+  .join('');
+
+// URLs: http(s), mailto o un placeholder del template
+function safeUrl(url) {
+  if (!url) return '';
+  const str = String(url).trim();
+  if (/^(https?:\/\/|mailto:|{{)/i.test(str)) return escapeText(str);
+  return '';
+}
+
+const isHexColor = (value) => /^#[0-9a-f]{3}([0-9a-f]{3})?$/i.test(String(value || ''));
+const color = (value, fallback) => (isHexColor(value) ? value : fallback);
+const align = (value) => (['left', 'center', 'right'].includes(value) ? value : 'center');
+
+const money = (value) => {
+  const num = parseFloat(value);
+  return isNaN(num) ? '' : `$${num.toFixed(2)}`;
+};
+
+const row = (content, style = '') =>
+  `    <tr>\n      <td style="${style}">\n${content}\n      </td>\n    </tr>`;
+
+// Grilla de productos (también la usa recommendationService para {{recommendations}})
+function productGridTable(p) {
+  const products = Array.isArray(p.products) ? p.products : [];
+  const columns = Math.min(Math.max(parseInt(p.columns) || 2, 1), 3);
+  const cellWidth = Math.floor(100 / columns);
+
+  const cell = (product) => {
+    if (!product) return `<td width="${cellWidth}%" style="padding:8px;"></td>`;
+
+    const url = safeUrl(product.url);
+    const image = product.imageUrl
+      ? `<img src="${safeUrl(product.imageUrl)}" alt="${escapeText(product.title)}" width="${Math.floor((WIDTH - 64) / columns) - 16}" style="display:block;width:100%;height:auto;border:0;border-radius:4px;" />`
+      : '';
+    const compare = product.compareAtPrice && parseFloat(product.compareAtPrice) > parseFloat(product.price)
+      ? ` <span style="color:${THEME.muted};text-decoration:line-through;font-weight:400;">${money(product.compareAtPrice)}</span>`
+      : '';
+    const price = product.price !== undefined && product.price !== null
+      ? `<p style="margin:0 0 10px;font-family:${THEME.fontFamily};font-size:15px;font-weight:700;color:${THEME.primary};">${money(product.price)}${compare}</p>`
+      : '';
+    const cta = url
+      ? `<a href="${url}" target="_blank" style="font-family:${THEME.fontFamily};font-size:13px;font-weight:700;color:${THEME.primary};text-decoration:underline;">${escapeText(product.ctaLabel || p.ctaLabel || 'Shop now')}</a>`
+      : '';
+
+    return `<td width="${cellWidth}%" valign="top" style="padding:8px;text-align:center;">
+            ${url && image ? `<a href="${url}" target="_blank">${image}</a>` : image}
+            ${product.label ? `<p style="margin:10px 0 0;font-family:${THEME.fontFamily};font-size:10px;letter-spacing:0.15em;text-transform:uppercase;color:#a67c1e;font-weight:700;">${escapeText(product.label)}</p>` : ''}
+            <p style="margin:10px 0 4px;font-family:${THEME.serifFamily};font-size:16px;line-height:1.3;color:${THEME.text};">${escapeText(product.title)}</p>
+            ${price}${cta}
+          </td>`;
+  };
+
+  const rows = [];
+  for (let i = 0; i < products.length; i += columns) {
+    const cells = [];
+    for (let c = 0; c < columns; c++) cells.push(cell(products[i + c]));
+    rows.push(`          <tr>\n            ${cells.join('\n            ')}\n          </tr>`);
+  }
+
+  const title = p.title
+    ? `        <h3 style="margin:0 0 12px;font-family:${THEME.fontFamily};font-size:12px;letter-spacing:0.15em;text-transform:uppercase;color:${THEME.primary};font-weight:700;text-align:center;">${escapeText(p.title)}</h3>\n`
+    : '';
+
+  return `${title}        <table role="presentation" width="100%" cellspacing="0" cellpadding="0" border="0">\n${rows.join('\n')}\n        </table>`;
+}
+
+const recommendationCount = (p) => Math.min(Math.max(parseInt(p.count) || 3, 1), 6);
+
+// ==================== HTML POR BLOQUE ====================
+
+const HTML_RENDERERS = {
+  header(p) {
+    const bg = color(p.backgroundColor, THEME.primary);
+    const fg = color(p.textColor, '#ffffff');
+    const logo = p.logoUrl
+      ? `<img src="${safeUrl(p.logoUrl)}" alt="${escapeText(p.logoAlt || 'Jersey Pickles')}" width="${parseInt(p.logoWidth) || 160}" style="display:inline-block;height:auto;border:0;" />`
+      : '';
+    const linkedLogo = logo && p.link ? `<a href="${safeUrl(p.link)}" target="_blank">${logo}</a>` : logo;
+    const title = p.title
+      ? `<h1 style="margin:${logo ? '12px' : '0'} 0 0;font-family:${THEME.serifFamily};font-size:26px;line-height:1.3;font-weight:700;color:${fg};">${escapeText(p.title)}</h1>`
+      : '';
+
+    return row(`        ${linkedLogo}${title}`, `padding:24px 32px;text-align:center;background-color:${bg};`);
+  },
+
+  hero(p) {
+    const img = `<img src="${safeUrl(p.imageUrl)}" alt="${escapeText(p.alt || p.headline || '')}" width="${WIDTH}" style="display:block;width:100%;height:auto;border:0;" />`;
+    const image = p.link ? `<a href="${safeUrl(p.link)}" target="_blank" style="display:block;">${img}</a>` : img;
+
+    let html = row(`        ${image}`, 'padding:0;');
+
+    if (p.headline || p.subheadline) {
+      const headline = p.headline
+        ? `<h2 style="margin:0 0 8px;font-family:${THEME.serifFamily};font-size:28px;line-height:1.25;font-weight:700;color:${THEME.primary};">${escapeText(p.headline)}</h2>`
+        : '';
+      const sub = p.subheadline
+        ? `<p style="margin:0;font-family:${THEME.fontFamily};font-size:16px;line-height:1.5;color:${THEME.muted};">${escapeText(p.subheadline)}</p>`
+        : '';
+      html += '\n' + row(`        ${headline}${sub}`, `padding:28px 32px 8px;text-align:${align(p.align)};`);
+    }
+
+    return html;
+  },
+
+  text(p) {
+    const style = `margin:0 0 16px;font-family:${p.serif ? THEME.serifFamily : THEME.fontFamily};font-size:${parseInt(p.fontSize) || 16}px;line-height:1.6;color:${color(p.color, THEME.text)};`;
+
+    // html = rich text del editor (confiable); text = párrafos separados por línea en blanco
+    const content = p.html
+      ? `        <div style="${style}">${p.html}</div>`
+      : String(p.text || '')
+        .split(/\n\s*\n/)
+        .map(paragraph => paragraph.trim())
+        .filter(Boolean)
+        .map(paragraph => `        <p style="${style}">${escapeText(paragraph).replace(/\n/g, '<br />')}</p>`)
+        .join('\n');
+
+    return row(content, `padding:16px 32px 0;text-align:${p.align === 'center' || p.align === 'right' ? p.align : 'left'};`);
+  },
+
+  button(p) {
+    const bg = color(p.backgroundColor, THEME.primary);
+    const fg = color(p.textColor, '#ffffff');
+
+    // Tabla con bgcolor para que Outlook pinte el botón
+    const button = `        <table role="presentation" cellspacing="0" cellpadding="0" border="0" align="${align(p.align)}" style="margin:0 auto;">
+          <tr>
+            <td bgcolor="${bg}" style="border-radius:4px;background-color:${bg};">
+              <a href="${safeUrl(p.url)}" target="_blank" style="display:inline-block;padding:16px 40px;font-family:${THEME.fontFamily};font-size:14px;font-weight:700;letter-spacing:0.1em;text-transform:uppercase;color:${fg};text-decoration:none;border-radius:4px;">${escapeText(p.label)}</a>
+            </td>
+          </tr>
+        </table>`;
+
+    return row(button, `padding:24px 32px;text-align:${align(p.align)};`);
+  },
+
+  product_grid: (p) => row(productGridTable(p), 'padding:24px 24px 8px;'),
+
+  // Placeholder: emailQueue lo resuelve por destinatario al enviar (recommendationService)
+  recommendations(p) {
+    const title = p.title !== ''
+      ? `        <h3 style="margin:0 0 12px;font-family:${THEME.fontFamily};font-size:12px;letter-spacing:0.15em;text-transform:uppercase;color:${THEME.primary};font-weight:700;text-align:center;">${escapeText(p.title || 'Picked for you')}</h3>\n`
+      : '';
+    return row(`${title}        {{recommendations:${recommendationCount(p)}}}`, 'padding:24px 24px 8px;');
+  },
+
+  recipe(p) {
+    const ingredients = Array.isArray(p.ingredients) ? p.ingredients : [];
+    const steps = Array.isArray(p.steps) ? p.steps : [];
+    const meta = [p.prepTime && `⏱ ${p.prepTime}`, p.servings && `Serves ${p.servings}`].filter(Boolean).join(' · ');
+    const heading = (text) => `<h3 style="margin:0 0 12px;font-family:${THEME.fontFamily};font-size:12px;letter-spacing:0.15em;text-transform:uppercase;color:${THEME.primary};font-weight:700;">${text}</h3>`;
+    const itemStyle = `margin:0 0 8px;font-family:${THEME.serifFamily};font-size:16px;color:${THEME.text};line-height:1.5;`;
+
+    const image = p.imageUrl
+      ? `          <img src="${safeUrl(p.imageUrl)}" alt="${escapeText(p.title)}" width="${WIDTH - 64}" style="display:block;width:100%;height:auto;border:0;border-radius:4px;margin:0 0 20px;" />\n`
+      : '';
+
+    const ingredientsHtml = ingredients.length > 0
+      ? `          ${heading('Ingredients')}\n          <ul style="margin:0 0 20px;padding-left:20px;">\n${ingredients.map(i => `            <li style="${itemStyle}">${escapeText(i)}</li>`).join('\n')}\n          </ul>\n`
+      : '';
+
+    const stepsHtml = steps.length > 0
+      ? `          ${heading('Method')}\n          <ol style="margin:0;padding:0;list-style:none;">\n${steps.map((s, i) => `            <li style="${itemStyle}"><strong style="color:${THEME.primary};">${i + 1}.</strong> ${escapeText(s)}</li>`).join('\n')}\n          </ol>\n`
+      : '';
+
+    const cta = p.ctaUrl
+      ? `          <p style="margin:20px 0 0;text-align:center;"><a href="${safeUrl(p.ctaUrl)}" target="_blank" style="font-family:${THEME.fontFamily};font-size:14px;font-weight:700;color:${THEME.primary};text-decoration:underline;">${escapeText(p.ctaLabel || 'Get the ingredients →')}</a></p>\n`
+      : '';
+
+    const card = `        <table role="presentation" width="100%" cellspacing="0" cellpadding="0" border="0" style="background-color:#fdf8ef;border-left:4px solid ${THEME.accent};">
+          <tr>
+            <td style="padding:24px 28px;">
+${image}          ${meta ? `<p style="margin:0 0 8px;font-family:${THEME.fontFamily};font-size:11px;letter-spacing:0.18em;text-transform:uppercase;color:#a67c1e;font-weight:700;">Recipe · ${escapeText(meta)}</p>` : ''}
+          <h2 style="margin:0 0 20px;font-family:${THEME.serifFamily};font-size:26px;line-height:1.25;font-weight:700;color:${THEME.primary};">${escapeText(p.title)}</h2>
+${ingredientsHtml}${stepsHtml}${cta}            </td>
+          </tr>
+        </table>`;
+
+    return row(card, 'padding:24px 32px;');
+  },
+
+  divider(p) {
+    const thickness = Math.min(Math.max(parseInt(p.thickness) || 1, 1), 8);
+    const spacing = Math.min(Math.max(parseInt(p.spacing) || 16, 0), 64);
+
+    return row(
+      `        <table role="presentation" width="100%" cellspacing="0" cellpadding="0" border="0"><tr><td style="border-top:${thickness}px solid ${color(p.color, '#e5e0d5')};font-size:0;line-height:0;">&nbsp;</td></tr></table>`,
+      `padding:${spacing}px 32px;`
+    );
+  },
+
+  footer(p) {
+    const linkStyle = `color:${THEME.footerLink};text-decoration:underline;`;
+    const lines = [
+      `<p style="margin:0 0 8px;">${escapeText(p.text || 'Jersey Pickles — Handcrafted in New Jersey')}</p>`
+    ];
+    if (p.address) lines.push(`<p style="margin:0 0 8px;">${escapeText(p.address)}</p>`);
+
+    const social = (Array.isArray(p.socialLinks) ? p.socialLinks : [])
+      .filter(link => link && link.label && safeUrl(link.url))
+      .map(link => `<a href="${safeUrl(link.url)}" target="_blank" style="${linkStyle}">${escapeText(link.label)}</a>`);
+    if (social.length > 0) lines.push(`<p style="margin:0 0 8px;">${social.join(' &nbsp;·&nbsp; ')}</p>`);
+
+    const links = [`<a href="{{unsubscribe_link}}" style="${linkStyle}">Unsubscribe</a>`];
+    if (p.showPreferences !== false) links.push(`<a href="{{preferences_link}}" style="${linkStyle}">Email preferences</a>`);
+    lines.push(`<p style="margin:0;">${links.join(' &nbsp;·&nbsp; ')}</p>`);
+
+    return row(
+      lines.map(line => `        ${line}`).join('\n'),
+      `padding:24px 32px;text-align:center;background-color:${THEME.footerBackground};color:${THEME.footerText};font-family:${THEME.fontFamily};font-size:11px;line-height:1.6;`
+    );
+  }
+};
+
+// ==================== TEXTO PLANO POR BLOQUE ====================
+
+// HTML del editor → texto (links como "texto (url)")
+function htmlToText(html) {
+  return String(html || '')
+    .replace(/<a\s[^>]*href=["']([^"']+)["'][^>]*>([\s\S]*?)<\/a>/gi, (m, url, label) => `${label.replace(/<[^>]+>/g, '')} (${url})`)
+    .replace(/<br\s*\/?>/gi, '\n')
+    .replace(/<\/(p|div|h[1-6]|tr)>/gi, '\n\n')
+    .replace(/<li[^>]*>/gi, '- ')
+    .replace(/<\/li>/gi, '\n')
+    .replace(/<[^>]+>/g, '')
+    .replace(/&nbsp;/g, ' ')
+    .replace(/&amp;/g, '&')
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&#39;/g, '\'')
+    .replace(/[ \t]+\n/g, '\n')
+    .replace(/\n{3,}/g, '\n\n')
+    .trim();
+}
+
+const TEXT_RENDERERS = {
+  header: (p) => (p.title ? upper(p.title) : ''),
+
+  hero: (p) => [p.headline, p.subheadline, p.link && `→ ${p.link}`].filter(Boolean).join('\n'),
+
+  text: (p) => (p.html ? htmlToText(p.html) : String(p.text || '').trim()),
+
+  button: (p) => `${p.label}: ${p.url}`,
+
+  product_grid: (p) => {
+    const products = Array.isArray(p.products) ? p.products : [];
+    const lines = products.map(product => {
+      const price = product.price !== undefined && product.price !== null ? ` — ${money(product.price)}` : '';
+      return `- ${product.title}${price}${product.url ? `\n  ${product.url}` : ''}`;
+    });
+    return [p.title && upper(p.title), ...lines].filter(Boolean).join('\n');
+  },
+
+  recommendations: (p) => [
+    p.title !== '' && upper(p.title || 'Picked for you'),
+    `{{recommendations:${recommendationCount(p)}}}`
+  ].filter(Boolean).join('\n'),
+
+  recipe: (p) => {
+    const ingredients = Array.isArray(p.ingredients) ? p.ingredients : [];
+    const steps = Array.isArray(p.steps) ? p.steps : [];
+    const meta = [p.prepTime, p.servings && `Serves ${p.servings}`].filter(Boolean).join(' · ');
+    const parts = [`RECIPE: ${p.title}`];
+    if (meta) parts.push(meta);
+    if (ingredients.length > 0) parts.push(`Ingredients:\n${ingredients.map(i => `- ${i}`).join('\n')}`);
+    if (steps.length > 0) parts.push(`Method:\n${steps.map((s, i) => `${i + 1}. ${s}`).join('\n')}`);
+    if (p.ctaUrl) parts.push(`${p.ctaLabel || 'Get the ingredients'}: ${p.ctaUrl}`);
+    return parts.join('\n\n');
+  },
+
+  divider: () => '----------------------------------------',
+
+  footer: (p) => [
+    p.text || 'Jersey Pickles — Handcrafted in New Jersey',
+    p.address,
+    'Unsubscribe: {{unsubscribe_link}}',
+    p.showPreferences !== false && 'Email preferences: {{preferences_link}}'
+  ].filter(Boolean).join('\n')
+};
+
+// ==================== API ====================
+
+const blocksOf = (doc) => (Array.isArray(doc) ? doc : (doc?.blocks || []));
+
+/**
+ * Valida la estructura del documento
+ * @returns {string[]} errores ("Block 3 (button): url is required")
+ */
+function validate(doc) {
+  const blocks = blocksOf(doc);
+  const errors = [];
+
+  if (!Array.isArray(blocks)) return ['blocks must be an array'];
+
+  blocks.forEach((block, index) => {
+    const label = `Block ${index + 1}${block?.type ? ` (${block.type})` : ''}`;
+    const definition = block && BLOCK_TYPES[block.type];
+
+    if (!definition) {
+      errors.push(`${label}: unknown block type`);
+      return;
+    }
+
+    const props = block.props || {};
+    definition.required.forEach(prop => {
+      const value = props[prop];
+      if (value === undefined || value === null || value === '' || (Array.isArray(value) && value.length === 0)) {
+        errors.push(`${label}: ${prop} is required`);
+      }
+    });
+
+    ['url', 'link', 'imageUrl', 'logoUrl', 'ctaUrl'].forEach(prop => {
+      if (props[prop] && !safeUrl(props[prop])) errors.push(`${label}: ${prop} must be an http(s) URL`);
+    });
+
+    if (block.type === 'product_grid' && Array.isArray(props.products)) {
+      props.products.forEach((product, i) => {
+        if (!product?.title) errors.push(`${label}: product ${i + 1} needs a title`);
+      });
+    }
+  });
+
+  return errors;
+}
+
+/**
+ * Documento → { html, text }. Si no hay bloque footer se agrega uno por defecto
+ * (unsubscribe + preferences son obligatorios en campañas).
+ * @param {Array|object} doc - bloques o { blocks }
+ * @param {object} options - { title }
+ */
+function render(doc, options = {}) {
+  const blocks = blocksOf(doc).filter(block => block && HTML_RENDERERS[block.type]);
+  if (!blocks.some(block => block.type === 'footer')) {
+    blocks.push({ type: 'footer', props: {} });
+  }
+
+  const rows = blocks.map(block => HTML_RENDERERS[block.type](block.props || {}));
+  const texts = blocks.map(block => TEXT_RENDERERS[block.type](block.props || {})).filter(Boolean);
+
+  const html = `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="utf-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1.0">
+  <meta http-equiv="X-UA-Compatible" content="IE=edge">
+  <title>${escapeText(options.title || 'Jersey Pickles')}</title>
+</head>
+<body style="margin:0;padding:0;background-color:${THEME.background};">
+  <table role="presentation" width="100%" cellspacing="0" cellpadding="0" border="0" style="background-color:${THEME.background};">
+    <tr>
+      <td align="center" style="padding:0;">
+  <table role="presentation" width="${WIDTH}" cellspacing="0" cellpadding="0" border="0" style="width:100%;max-width:${WIDTH}px;margin:0 auto;background-color:${THEME.content};">
+${rows.join('\n')}
+  </table>
+      </td>
+    </tr>
+  </table>
+</body>
+</html>`;
+
+  return { html, text: texts.join('\n\n') };
+}
+
+module.exports = {
+  render,
+  productGridTable,
+  validate,
+  htmlToText,
+  escapeText,
+  BLOCK_TYPES,
+  THEME
+};
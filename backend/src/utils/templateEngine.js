@@ -0,0 +1,594 @@
+// backend/src/utils/templateEngine.js
+// 🧩 Motor de templates para htmlContent de campañas y Templates
+//
+// Sintaxis (estilo Liquid):
+//   {{ firstName | default: "friend" }}      salida con HTML escaping
+//   {{ lastOrder.total | money }}            filtros encadenables
+//   {{ promoHtml | raw }}                    sin escaping
+//   {% if tier == "vip" and address.province == "NJ" %} ... {% elsif ... %} ... {% else %} ... {% endif %}
+//   {% for item in lastOrder.items limit: 3 %} {{ item.title }} {{ forloop.index }} {% endfor %}
+//   {% include "footer-nj" %}                partial (Template con type 'partial')
+//
+// Los placeholders de links ({{unsubscribe_link}}, {{preferences_link}}...),
+// {{coupon}} y {{recommendations}} se dejan intactos: se reemplazan después por destinatario.
+
+const RESERVED_PLACEHOLDERS = [
+  'unsubscribe_link',
+  'unsubscribe_url',
+  'unsubscribeLink',
+  'unsubscribeUrl',
+  'preferences_link',
+  'coupon'                // código único del pool (couponPoolService, al enviar)
+];
+
+// {{recommendations}} / {{recommendations:4}}: emailQueue lo resuelve por destinatario al enviar
+const RECOMMENDATIONS_PLACEHOLDER = /^recommendations(:\d+)?$/;
+
+const MAX_INCLUDE_DEPTH = 5;
+const CACHE_LIMIT = 100;
+
+class TemplateSyntaxError extends Error {
+  constructor(message, line) {
+    super(line ? `${message} (line ${line})` : message);
+    this.name = 'TemplateSyntaxError';
+    this.line = line;
+  }
+}
+
+// ==================== FILTROS ====================
+
+const escapeHtml = (value) => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;');
+
+const isBlank = (value) =>
+  value === null || value === undefined || value === '' ||
+  (Array.isArray(value) && value.length === 0);
+
+const FILTERS = {
+  default: (value, fallback = '') => (isBlank(value) ? fallback : value),
+  upcase: (value) => String(value ?? '').toUpperCase(),
+  downcase: (value) => String(value ?? '').toLowerCase(),
+  capitalize: (value) => {
+    const str = String(value ?? '');
+    return str.charAt(0).toUpperCase() + str.slice(1);
+  },
+  truncate: (value, length = 50, ellipsis = '...') => {
+    const str = String(value ?? '');
+    return str.length > length ? str.slice(0, Math.max(0, length - ellipsis.length)) + ellipsis : str;
+  },
+  money: (value) => {
+    const num = parseFloat(value);
+    return isNaN(num) ? '' : `$${num.toFixed(2)}`;
+  },
+  date: (value, format = 'short') => {
+    const date = value ? new Date(value) : null;
+    if (!date || isNaN(date)) return '';
+    const options = format === 'long'
+      ? { month: 'long', day: 'numeric', year: 'numeric' }
+      : { month: 'short', day: 'numeric' };
+    return date.toLocaleDateString('en-US', { ...options, timeZone: 'America/New_York' });
+  },
+  size: (value) => (value && value.length !== undefined ? value.length : 0),
+  first: (value) => (Array.isArray(value) ? value[0] : value),
+  last: (value) => (Array.isArray(value) ? value[value.length - 1] : value),
+  join: (value, separator = ', ') => (Array.isArray(value) ? value.join(separator) : value),
+  escape: (value) => value,  // el escaping ya es el default; se acepta por compatibilidad
+  raw: (value) => value
+};
+
+// ==================== PARSER ====================
+
+const TAG_REGEX = /{{\s*([\s\S]*?)\s*}}|{%-?\s*([\s\S]*?)\s*-?%}/g;
+
+const lineAt = (source, index) => source.slice(0, index).split('\n').length;
+
+/**
+ * Divide respetando comillas
+ */
+function splitOutsideQuotes(str, separator) {
+  const parts = [];
+  let current = '';
+  let quote = null;
+
+  for (let i = 0; i < str.length; i++) {
+    const char = str[i];
+    if (quote) {
+      current += char;
+      if (char === quote) quote = null;
+    } else if (char === '"' || char === "'") {
+      quote = char;
+      current += char;
+    } else if (str.startsWith(separator, i)) {
+      parts.push(current);
+      current = '';
+      i += separator.length - 1;
+    } else {
+      current += char;
+    }
+  }
+  parts.push(current);
+
+  return parts.map(p => p.trim());
+}
+
+/**
+ * Operando: literal ("x", 3, true, nil) o path (a.b.c)
+ */
+function parseOperand(token, line) {
+  const str = token.trim();
+
+  if (/^"[^"]*"$|^'[^']*'$/.test(str)) return { literal: str.slice(1, -1) };
+  if (/^-?\d+(\.\d+)?$/.test(str)) return { literal: parseFloat(str) };
+  if (str === 'true' || str === 'false') return { literal: str === 'true' };
+  if (str === 'nil' || str === 'null' || str === 'blank' || str === 'empty') return { literal: null };
+  if (/^[A-Za-z_][\w]*(\.[A-Za-z_][\w]*)*$/.test(str)) return { path: str };
+
+  throw new TemplateSyntaxError(`Invalid expression "${str}"`, line);
+}
+
+function parseOutput(expression, line) {
+  const [head, ...filterParts] = splitOutsideQuotes(expression, '|');
+
+  if (!head) throw new TemplateSyntaxError('Empty output tag {{ }}', line);
+
+  const filters = filterParts.map(part => {
+    const colon = part.indexOf(':');
+    const name = (colon === -1 ? part : part.slice(0, colon)).trim();
+
+    if (!FILTERS[name]) throw new TemplateSyntaxError(`Unknown filter "${name}"`, line);
+
+    const args = colon === -1
+      ? []
+      : splitOutsideQuotes(part.slice(colon + 1), ',').map(arg => parseOperand(arg, line));
+
+    return { name, args };
+  });
+
+  return { value: parseOperand(head, line), filters };
+}
+
+function parseCondition(expression, line) {
+  const orParts = splitOutsideQuotes(expression, ' or ');
+  if (orParts.length > 1) return { or: orParts.map(p => parseCondition(p, line)) };
+
+  const andParts = splitOutsideQuotes(expression, ' and ');
+  if (andParts.length > 1) return { and: andParts.map(p => parseCondition(p, line)) };
+
+  const str = expression.trim();
+  if (str.startsWith('not ')) return { not: parseCondition(str.slice(4), line) };
+
+  const match = str.match(/^(.+?)\s*(==|!=|>=|<=|>|<|\scontains\s)\s*(.+)$/);
+  if (match) {
+    return {
+      op: match[2].trim(),
+      left: parseOperand(match[1], line),
+      right: parseOperand(match[3], line)
+    };
+  }
+
+  return { truthy: parseOperand(str, line) };
+}
+
+/**
+ * Source → AST
+ */
+function parse(source) {
+  const root = { type: 'root', body: [] };
+  const stack = [root];
+  let current = root.body;
+  let lastIndex = 0;
+  let match;
+
+  TAG_REGEX.lastIndex = 0;
+
+  while ((match = TAG_REGEX.exec(source)) !== null) {
+    if (match.index > lastIndex) {
+      current.push({ type: 'text', value: source.slice(lastIndex, match.index) });
+    }
+    lastIndex = TAG_REGEX.lastIndex;
+
+    const line = lineAt(source, match.index);
+
+    // {{ output }}
+    if (match[1] !== undefined) {
+      const expression = match[1];
+      if (RESERVED_PLACEHOLDERS.includes(expression) || RECOMMENDATIONS_PLACEHOLDER.test(expression)) {
+        current.push({ type: 'text', value: match[0] });
+      } else {
+        current.push({ type: 'output', line, ...parseOutput(expression, line) });
+      }
+      continue;
+    }
+
+    // {% tag %}
+    const tag = match[2];
+    const [keyword] = tag.split(/\s+/);
+    const rest = tag.slice(keyword.length).trim();
+    const parent = stack[stack.length - 1];
+
+    switch (keyword) {
+      case 'if':
+      case 'unless': {
+        const node = {
+          type: 'if',
+          line,
+          branches: [{ condition: keyword === 'unless' ? { not: parseCondition(rest, line) } : parseCondition(rest, line), body: [] }],
+          elseBody: null
+        };
+        current.push(node);
+        stack.push(node);
+        current = node.branches[0].body;
+        break;
+      }
+
+      case 'elsif': {
+        if (parent.type !== 'if' || parent.elseBody) throw new TemplateSyntaxError('{% elsif %} without {% if %}', line);
+        const branch = { condition: parseCondition(rest, line), body: [] };
+        parent.branches.push(branch);
+        current = branch.body;
+        break;
+      }
+
+      case 'else': {
+        if (parent.type === 'if' && !parent.elseBody) {
+          parent.elseBody = [];
+          current = parent.elseBody;
+        } else if (parent.type === 'for' && !parent.elseBody) {
+          parent.elseBody = [];
+          current = parent.elseBody;
+        } else {
+          throw new TemplateSyntaxError('{% else %} without {% if %} or {% for %}', line);
+        }
+        break;
+      }
+
+      case 'endif':
+      case 'endunless': {
+        if (parent.type !== 'if') throw new TemplateSyntaxError(`{% ${keyword} %} without {% if %}`, line);
+        stack.pop();
+        current = currentBody(stack[stack.length - 1]);
+        break;
+      }
+
+      case 'for': {
+        const forMatch = rest.match(/^([A-Za-z_]\w*)\s+in\s+([A-Za-z_][\w.]*)(?:\s+limit:\s*(\d+))?$/);
+        if (!forMatch) throw new TemplateSyntaxError(`Invalid for loop "${tag}"`, line);
+        const node = {
+          type: 'for',
+          line,
+          variable: forMatch[1],
+          collection: forMatch[2],
+          limit: forMatch[3] ? parseInt(forMatch[3], 10) : null,
+          body: [],
+          elseBody: null
+        };
+        current.push(node);
+        stack.push(node);
+        current = node.body;
+        break;
+      }
+
+      case 'endfor': {
+        if (parent.type !== 'for') throw new TemplateSyntaxError('{% endfor %} without {% for %}', line);
+        stack.pop();
+        current = currentBody(stack[stack.length - 1]);
+        break;
+      }
+
+      case 'include': {
+        const nameMatch = rest.match(/^["']([^"']+)["']$/);
+        if (!nameMatch) throw new TemplateSyntaxError(`Invalid include "${tag}"`, line);
+        current.push({ type: 'include', line, name: nameMatch[1] });
+        break;
+      }
+
+      default:
+        throw new TemplateSyntaxError(`Unknown tag "{% ${keyword} %}"`, line);
+    }
+  }
+
+  if (lastIndex < source.length) {
+    current.push({ type: 'text', value: source.slice(lastIndex) });
+  }
+
+  if (stack.length > 1) {
+    const open = stack[stack.length - 1];
+    throw new TemplateSyntaxError(`Unclosed {% ${open.type} %}`, open.line);
+  }
+
+  return root.body;
+}
+
+// Body activo de un nodo abierto (la última rama de un if, o el else)
+function currentBody(node) {
+  if (node.type === 'root') return node.body;
+  if (node.elseBody) return node.elseBody;
+  if (node.type === 'if') return node.branches[node.branches.length - 1].body;
+  return node.body;
+}
+
+// ==================== RENDER ====================
+
+function lookup(path, scopes) {
+  // Datos planos con keys 'a.b' (variables de flows)
+  for (let i = scopes.length - 1; i >= 0; i--) {
+    if (scopes[i] && path.includes('.') && Object.prototype.hasOwnProperty.call(scopes[i], path)) {
+      return scopes[i][path];
+    }
+  }
+
+  const [head, ...segments] = path.split('.');
+
+  let value;
+  for (let i = scopes.length - 1; i >= 0; i--) {
+    if (scopes[i] && Object.prototype.hasOwnProperty.call(scopes[i], head)) {
+      value = scopes[i][head];
+      break;
+    }
+  }
+
+  for (const segment of segments) {
+    if (value === null || value === undefined) return undefined;
+    if (segment === 'size' && value.length !== undefined) {
+      value = value.length;
+    } else if (segment === 'first' && Array.isArray(value)) {
+      value = value[0];
+    } else if (segment === 'last' && Array.isArray(value)) {
+      value = value[value.length - 1];
+    } else {
+      value = value[segment];
+    }
+  }
+
+  return value;
+}
+
+const evaluateOperand = (operand, scopes) =>
+  (operand.path !== undefined ? lookup(operand.path, scopes) : operand.literal);
+
+const truthy = (value) => !isBlank(value) && value !== false && value !== 0;
+
+function evaluateCondition(condition, scopes) {
+  if (condition.or) return condition.or.some(c => evaluateCondition(c, scopes));
+  if (condition.and) return condition.and.every(c => evaluateCondition(c, scopes));
+  if (condition.not) return !evaluateCondition(condition.not, scopes);
+  if (condition.truthy) return truthy(evaluateOperand(condition.truthy, scopes));
+
+  const left = evaluateOperand(condition.left, scopes);
+  const right = evaluateOperand(condition.right, scopes);
+
+  switch (condition.op) {
+    // == compara como string para que "NJ" == NJ y 3 == "3" funcionen
+    case '==': return (left ?? null) === (right ?? null) || (left != null && right != null && String(left) === String(right));
+    case '!=': return !evaluateCondition({ ...condition, op: '==' }, scopes);
+    case '>': return parseFloat(left) > parseFloat(right);
+    case '<': return parseFloat(left) < parseFloat(right);
+    case '>=': return parseFloat(left) >= parseFloat(right);
+    case '<=': return parseFloat(left) <= parseFloat(right);
+    case 'contains':
+      if (Array.isArray(left)) return left.map(String).includes(String(right));
+      return left != null && String(left).includes(String(right));
+    default: return false;
+  }
+}
+
+function renderNodes(nodes, scopes, options, depth) {
+  let out = '';
+
+  for (const node of nodes) {
+    switch (node.type) {
+      case 'text':
+        out += node.value;
+        break;
+
+      case 'output': {
+        let value = evaluateOperand(node.value, scopes);
+        let raw = false;
+
+        for (const filter of node.filters) {
+          if (filter.name === 'raw') raw = true;
+          value = FILTERS[filter.name](value, ...filter.args.map(arg => evaluateOperand(arg, scopes)));
+        }
+
+        if (value === null || value === undefined) break;
+        out += raw || options.autoescape === false ? String(value) : escapeHtml(value);
+        break;
+      }
+
+      case 'if': {
+        const branch = node.branches.find(b => evaluateCondition(b.condition, scopes));
+        const body = branch ? branch.body : node.elseBody;
+        if (body) out += renderNodes(body, scopes, options, depth);
+        break;
+      }
+
+      case 'for': {
+        let items = lookup(node.collection, scopes);
+        items = Array.isArray(items) ? items : [];
+        if (node.limit !== null) items = items.slice(0, node.limit);
+
+        if (items.length === 0) {
+          if (node.elseBody) out += renderNodes(node.elseBody, scopes, options, depth);
+          break;
+        }
+
+        items.forEach((item, index) => {
+          const loopScope = {
+            [node.variable]: item,
+            forloop: {
+              index: index + 1,
+              index0: index,
+              first: index === 0,
+              last: index === items.length - 1,
+              length: items.length
+            }
+          };
+          out += renderNodes(node.body, [...scopes, loopScope], options, depth);
+        });
+        break;
+      }
+
+      case 'include': {
+        const partial = options.partials?.[node.name];
+        if (partial === undefined || depth >= MAX_INCLUDE_DEPTH) break;
+        out += renderNodes(compile(partial), scopes, options, depth + 1);
+        break;
+      }
+    }
+  }
+
+  return out;
+}
+
+// ==================== API ====================
+
+const cache = new Map();
+
+/**
+ * Parsea con cache (las campañas renderizan el mismo source miles de veces)
+ */
+function compile(source) {
+  const key = String(source ?? '');
+
+  if (cache.has(key)) return cache.get(key);
+
+  const ast = parse(key);
+  if (cache.size >= CACHE_LIMIT) cache.delete(cache.keys().next().value);
+  cache.set(key, ast);
+
+  return ast;
+}
+
+/**
+ * @param {string} source - template
+ * @param {object} data - variables
+ * @param {object} options - { partials: { name: source }, autoescape: false para texto plano (subject) }
+ */
+function render(source, data = {}, options = {}) {
+  return renderNodes(compile(source), [data], options, 0);
+}
+
+/**
+ * Análisis estático: variables usadas (paths completos, sin variables de loop),
+ * partials incluidos y errores de sintaxis
+ * @returns {object} { errors: [], variables: [], partials: [] }
+ */
+function analyze(source, options = {}) {
+  const variables = new Set();
+  const partials = new Set();
+  const errors = [];
+
+  const visitOperand = (operand, locals) => {
+    if (operand.path === undefined) return;
+    const root = operand.path.split('.')[0];
+    if (!locals.has(root)) variables.add(operand.path);
+  };
+
+  const visitCondition = (condition, locals) => {
+    if (condition.or) return condition.or.forEach(c => visitCondition(c, locals));
+    if (condition.and) return condition.and.forEach(c => visitCondition(c, locals));
+    if (condition.not) return visitCondition(condition.not, locals);
+    if (condition.truthy) return visitOperand(condition.truthy, locals);
+    visitOperand(condition.left, locals);
+    visitOperand(condition.right, locals);
+  };
+
+  // locals: nombre de variable de loop → path de la colección (item → lastOrder.items[])
+  const visit = (nodes, locals, depth) => {
+    nodes.forEach(node => {
+      switch (node.type) {
+        case 'output':
+          visitOperand(node.value, locals);
+          node.filters.forEach(f => f.args.forEach(arg => visitOperand(arg, locals)));
+          break;
+
+        case 'if':
+          node.branches.forEach(b => {
+            visitCondition(b.condition, locals);
+            visit(b.body, locals, depth);
+          });
+          if (node.elseBody) visit(node.elseBody, locals, depth);
+          break;
+
+        case 'for': {
+          visitOperand({ path: node.collection }, locals);
+          const loopLocals = new Map(locals);
+          loopLocals.set(node.variable, `${node.collection}[]`);
+          loopLocals.set('forloop', 'forloop');
+          visit(node.body, loopLocals, depth);
+          if (node.elseBody) visit(node.elseBody, locals, depth);
+
+          // Campos usados del item: lastOrder.items[].title
+          collectLoopFields(node.body, node.variable, `${node.collection}[]`);
+          break;
+        }
+
+        case 'include': {
+          partials.add(node.name);
+          const partial = options.partials?.[node.name];
+          if (partial !== undefined && depth < MAX_INCLUDE_DEPTH) {
+            try {
+              visit(compile(partial), locals, depth + 1);
+            } catch (error) {
+              errors.push(`Partial "${node.name}": ${error.message}`);
+            }
+          }
+          break;
+        }
+      }
+    });
+  };
+
+  const collectLoopFields = (nodes, variable, prefix) => {
+    const add = (operand) => {
+      if (operand.path === undefined) return;
+      const [root, ...rest] = operand.path.split('.');
+      if (root === variable && rest.length > 0) variables.add(`${prefix}.${rest.join('.')}`);
+    };
+    const walkCondition = (c) => {
+      if (c.or) return c.or.forEach(walkCondition);
+      if (c.and) return c.and.forEach(walkCondition);
+      if (c.not) return walkCondition(c.not);
+      if (c.truthy) return add(c.truthy);
+      add(c.left);
+      add(c.right);
+    };
+    nodes.forEach(node => {
+      if (node.type === 'output') {
+        add(node.value);
+        node.filters.forEach(f => f.args.forEach(add));
+      } else if (node.type === 'if') {
+        node.branches.forEach(b => {
+          walkCondition(b.condition);
+          collectLoopFields(b.body, variable, prefix);
+        });
+        if (node.elseBody) collectLoopFields(node.elseBody, variable, prefix);
+      } else if (node.type === 'for') {
+        add({ path: node.collection });
+        if (node.variable !== variable) collectLoopFields(node.body, variable, prefix);
+      }
+    });
+  };
+
+  try {
+    visit(compile(source), new Map(), 0);
+  } catch (error) {
+    errors.push(error.message);
+  }
+
+  return { errors, variables: [...variables], partials: [...partials] };
+}
+
+module.exports = {
+  render,
+  analyze,
+  compile,
+  escapeHtml,
+  TemplateSyntaxError,
+  FILTERS,
+  RESERVED_PLACEHOLDERS
+};
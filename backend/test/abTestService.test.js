@@ -0,0 +1,94 @@
+// backend/test/abTestService.test.js
+process.env.RESEND_API_KEY = process.env.RESEND_API_KEY || 're_test';
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const abTestService = require('../src/services/abTestService');
+
+const abTest = (overrides = {}) => ({
+  enabled: true,
+  testPercentage: 20,
+  variants: [{ key: 'A' }, { key: 'B' }],
+  ...overrides
+});
+
+const emails = Array.from({ length: 5000 }, (_, i) => `customer${i}@example.com`);
+
+describe('abTestService.assignVariant', () => {
+  it('is deterministic for the same campaign and email', () => {
+    const config = abTest();
+    for (const email of emails.slice(0, 200)) {
+      assert.equal(
+        abTestService.assignVariant('c1', email, config),
+        abTestService.assignVariant('c1', email, config)
+      );
+    }
+  });
+
+  it('puts roughly testPercentage of the audience in the test split', () => {
+    const inTest = emails.filter(e => abTestService.assignVariant('c1', e, abTest()) !== false).length;
+    const share = inTest / emails.length;
+
+    assert.ok(share > 0.17 && share < 0.23, `share ${share}`);
+  });
+
+  it('splits the test group evenly across variants', () => {
+    const config = abTest({ testPercentage: 100, variants: [{ key: 'A' }, { key: 'B' }, { key: 'C' }] });
+    const counts = { A: 0, B: 0, C: 0 };
+    emails.forEach(e => { counts[abTestService.assignVariant('c1', e, config)]++; });
+
+    Object.values(counts).forEach(count => {
+      assert.ok(Math.abs(count / emails.length - 1 / 3) < 0.03, JSON.stringify(counts));
+    });
+  });
+
+  it('uses a different split per campaign', () => {
+    const config = abTest({ testPercentage: 100 });
+    const differs = emails.slice(0, 200).some(e =>
+      abTestService.assignVariant('c1', e, config) !== abTestService.assignVariant('c2', e, config)
+    );
+
+    assert.equal(differs, true);
+  });
+});
+
+describe('abTestService.validateConfig', () => {
+  it('accepts a valid config and ignores disabled tests', () => {
+    assert.deepEqual(abTestService.validateConfig(abTest({ waitHours: 4, winnerMetric: 'click_rate' })), []);
+    assert.deepEqual(abTestService.validateConfig({ enabled: false }), []);
+  });
+
+  it('requires two variants with unique keys', () => {
+    assert.match(abTestService.validateConfig(abTest({ variants: [{ key: 'A' }] })).join(), /al menos 2/);
+    assert.match(abTestService.validateConfig(abTest({ variants: [{ key: 'A' }, { key: 'A' }] })).join(), /únicas/);
+  });
+
+  it('validates percentage, wait and metric', () => {
+    const errors = abTestService.validateConfig(abTest({ testPercentage: 0, waitHours: -1, winnerMetric: 'bounces' }));
+    assert.equal(errors.length, 3);
+  });
+});
+
+describe('abTestService.pickWinner', () => {
+  const results = [
+    { key: 'A', humanOpenRate: 30, humanClickRate: 2, revenuePerRecipient: 1.5 },
+    { key: 'B', humanOpenRate: 25, humanClickRate: 4, revenuePerRecipient: 0.5 }
+  ];
+
+  it('picks the best variant for the metric', () => {
+    assert.equal(abTestService.pickWinner(results, 'open_rate').key, 'A');
+    assert.equal(abTestService.pickWinner(results, 'click_rate').key, 'B');
+    assert.equal(abTestService.pickWinner(results, 'revenue').key, 'A');
+  });
+
+  it('falls back to the first variant on a tie without data', () => {
+    const winner = abTestService.pickWinner([
+      { key: 'A', humanOpenRate: 0 },
+      { key: 'B', humanOpenRate: 0 }
+    ], 'open_rate');
+
+    assert.equal(winner.key, 'A');
+    assert.equal(winner.hasData, false);
+  });
+});
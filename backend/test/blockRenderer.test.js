@@ -0,0 +1,103 @@
+// backend/test/blockRenderer.test.js
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const blockRenderer = require('../src/utils/blockRenderer');
+const templateEngine = require('../src/utils/templateEngine');
+
+describe('blockRenderer.validate', () => {
+  it('accepts a valid document', () => {
+    assert.deepEqual(blockRenderer.validate({
+      blocks: [
+        { type: 'hero', props: { imageUrl: 'https://cdn.test/hero.jpg' } },
+        { type: 'button', props: { label: 'Shop', url: '{{ shopUrl }}' } },
+        { type: 'product_grid', props: { products: [{ title: 'Garlic Dill' }] } }
+      ]
+    }), []);
+  });
+
+  it('reports unknown types, missing props and unsafe URLs by position', () => {
+    assert.deepEqual(blockRenderer.validate([
+      { type: 'carousel' },
+      { type: 'button', props: { label: 'Go', url: 'javascript:alert(1)' } },
+      { type: 'product_grid', props: { products: [] } },
+      { type: 'product_grid', props: { products: [{ price: 5 }] } }
+    ]), [
+      'Block 1 (carousel): unknown block type',
+      'Block 2 (button): url must be an http(s) URL',
+      'Block 3 (product_grid): products is required',
+      'Block 4 (product_grid): product 1 needs a title'
+    ]);
+  });
+});
+
+describe('blockRenderer.render', () => {
+  it('escapes user text but keeps template tags intact', () => {
+    const { html } = blockRenderer.render([
+      { type: 'text', props: { text: 'Hi {{ firstName | default: "friend" }} <3 & enjoy' } }
+    ]);
+
+    assert.ok(html.includes('Hi {{ firstName | default: "friend" }} &lt;3 &amp; enjoy'));
+    assert.equal(
+      templateEngine.render(html, { firstName: 'Ana' }).includes('Hi Ana &lt;3 &amp; enjoy'),
+      true
+    );
+  });
+
+  it('drops unsafe links', () => {
+    const { html } = blockRenderer.render([
+      { type: 'hero', props: { imageUrl: 'https://cdn.test/a.jpg', link: 'javascript:alert(1)' } }
+    ]);
+    assert.equal(html.includes('javascript:'), false);
+  });
+
+  it('always ends with a footer carrying unsubscribe and preference links', () => {
+    const { html, text } = blockRenderer.render([{ type: 'divider' }]);
+
+    assert.ok(html.includes('href="{{unsubscribe_link}}"'));
+    assert.ok(html.includes('href="{{preferences_link}}"'));
+    assert.ok(text.endsWith('Unsubscribe: {{unsubscribe_link}}\nEmail preferences: {{preferences_link}}'));
+  });
+
+  it('uses inline styles and tables only', () => {
+    const { html } = blockRenderer.render([{ type: 'button', props: { label: 'Shop', url: 'https://jerseypickles.com' } }]);
+
+    assert.equal(/<style|class=/.test(html), false);
+    assert.ok(html.includes('bgcolor="#1a3d17"'));
+  });
+
+  it('lays products out in rows of the requested columns', () => {
+    const products = ['A', 'B', 'C', 'D'].map(title => ({ title, price: 9 }));
+    const table = blockRenderer.productGridTable({ products, columns: 3 });
+
+    assert.equal((table.match(/<tr>/g) || []).length, 2);
+    assert.equal((table.match(/<td width="33%"/g) || []).length, 6);
+  });
+
+  it('leaves a recommendations placeholder for the send step', () => {
+    const { html, text } = blockRenderer.render([{ type: 'recommendations', props: { count: 10 } }]);
+
+    assert.ok(html.includes('{{recommendations:6}}'));
+    assert.ok(text.startsWith('PICKED FOR YOU\n{{recommendations:6}}'));
+  });
+
+  it('builds a plain-text version of each block', () => {
+    const { text } = blockRenderer.render([
+      { type: 'header', props: { title: 'Hello {{ firstName }}' } },
+      { type: 'button', props: { label: 'Shop', url: 'https://jerseypickles.com' } },
+      { type: 'recipe', props: { title: 'Pickle Toast', ingredients: ['Bread'], steps: ['Toast it'] } }
+    ]);
+
+    assert.ok(text.startsWith('HELLO {{ firstName }}\n\nShop: https://jerseypickles.com\n\nRECIPE: Pickle Toast'));
+    assert.ok(text.includes('Ingredients:\n- Bread\n\nMethod:\n1. Toast it'));
+  });
+});
+
+describe('blockRenderer.htmlToText', () => {
+  it('keeps link targets and list items', () => {
+    assert.equal(
+      blockRenderer.htmlToText('<p>Visit <a href="https://x.test">our <b>shop</b></a></p><ul><li>One</li><li>Two &amp; three</li></ul>'),
+      'Visit our shop (https://x.test)\n\n- One\n- Two & three'
+    );
+  });
+});
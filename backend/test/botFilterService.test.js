@@ -0,0 +1,147 @@
+// backend/test/botFilterService.test.js
+const { describe, it, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+
+const Campaign = require('../src/models/Campaign');
+const EmailEvent = require('../src/models/EmailEvent');
+const EmailSend = require('../src/models/EmailSend');
+const botFilterService = require('../src/services/botFilterService');
+const multiTouchAttribution = require('../src/services/multiTouchAttributionService');
+
+const IPHONE_UA = 'Mozilla/5.0 (iPhone; CPU iPhone OS 17_4 like Mac OS X) AppleWebKit/605.1.15 (KHTML, like Gecko) Mobile/15E148';
+
+const stubSend = (send) => mock.method(EmailSend, 'findOne', () => ({ select: () => ({ lean: async () => send }) }));
+
+describe('botFilterService.classify (request signals)', () => {
+  it('treats a normal mail client as human', async () => {
+    assert.deepEqual(
+      await botFilterService.classify({ eventType: 'opened', userAgent: IPHONE_UA, ipAddress: '73.12.4.9' }),
+      { classification: 'human', reasons: [] }
+    );
+  });
+
+  it('flags Apple Mail Privacy Protection opens as prefetch', async () => {
+    const byUa = await botFilterService.classify({ eventType: 'opened', userAgent: 'Mozilla/5.0', ipAddress: '73.12.4.9' });
+    const byIpv6 = await botFilterService.classify({ eventType: 'opened', userAgent: IPHONE_UA, ipAddress: '2620:149:a:1::5' });
+    const byMapped = await botFilterService.classify({ eventType: 'opened', userAgent: IPHONE_UA, ipAddress: '::ffff:17.58.1.2' });
+
+    assert.deepEqual(byUa, { classification: 'prefetch', reasons: ['prefetch_user_agent'] });
+    assert.deepEqual(byIpv6.reasons, ['prefetch_ip']);
+    assert.deepEqual(byMapped.reasons, ['prefetch_ip']);
+  });
+
+  it('never marks clicks as prefetch', async () => {
+    const result = await botFilterService.classify({ eventType: 'clicked', userAgent: 'Mozilla/5.0', ipAddress: '17.58.1.2' });
+    assert.equal(result.classification, 'human');
+  });
+
+  it('flags security scanners by method, user agent and network', async () => {
+    const result = await botFilterService.classify({
+      eventType: 'clicked',
+      method: 'HEAD',
+      userAgent: 'Mozilla/5.0 (compatible; Proofpoint URL Defense)',
+      ipAddress: '148.163.150.10'
+    });
+
+    assert.deepEqual(result, { classification: 'scanner', reasons: ['head_request', 'scanner_user_agent', 'scanner_ip'] });
+    assert.equal((await botFilterService.classify({ eventType: 'opened', userAgent: 'python-requests/2.31' })).classification, 'scanner');
+  });
+
+  it('ignores malformed IPs', async () => {
+    const result = await botFilterService.classify({ eventType: 'opened', userAgent: IPHONE_UA, ipAddress: '999.1.1.1' });
+    assert.equal(result.classification, 'human');
+  });
+});
+
+describe('botFilterService.classify (timing signals)', () => {
+  afterEach(() => mock.restoreAll());
+
+  const deliveredAt = new Date('2026-05-01T14:00:00Z');
+  const base = { campaign: 'camp_1', email: 'a@test.com', userAgent: IPHONE_UA, ipAddress: '73.12.4.9' };
+
+  it('flags clicks within seconds of delivery as scanner', async () => {
+    stubSend({ deliveredAt });
+    mock.method(EmailEvent, 'distinct', async () => []);
+
+    const result = await botFilterService.classify({ ...base, eventType: 'clicked', eventDate: new Date('2026-05-01T14:00:04Z') });
+    assert.deepEqual(result, { classification: 'scanner', reasons: ['click_too_fast'] });
+  });
+
+  it('flags opens within seconds of delivery as prefetch', async () => {
+    stubSend({ deliveredAt });
+
+    const result = await botFilterService.classify({ ...base, eventType: 'opened', eventDate: new Date('2026-05-01T14:00:02Z') });
+    assert.deepEqual(result, { classification: 'prefetch', reasons: ['open_too_fast'] });
+  });
+
+  it('falls back to sentAt when the delivered webhook arrives after the event', async () => {
+    stubSend({ sentAt: new Date('2026-05-01T13:00:00Z'), deliveredAt: new Date('2026-05-01T14:10:00Z') });
+    mock.method(EmailEvent, 'distinct', async () => []);
+
+    const result = await botFilterService.classify({ ...base, eventType: 'clicked', eventDate: new Date('2026-05-01T14:00:04Z') });
+    assert.equal(result.classification, 'human');
+  });
+
+  it('flags the third distinct link clicked within the burst window', async () => {
+    stubSend(null);
+    const distinct = mock.method(EmailEvent, 'distinct', async () => ['https://a.test/1', 'https://a.test/2']);
+
+    const result = await botFilterService.classify({ ...base, eventType: 'clicked', clickedUrl: 'https://a.test/3' });
+    assert.deepEqual(result.reasons, ['click_burst']);
+    assert.equal(distinct.mock.calls[0].arguments[1].email, 'a@test.com');
+
+    const repeat = await botFilterService.classify({ ...base, eventType: 'clicked', clickedUrl: 'https://a.test/2' });
+    assert.equal(repeat.classification, 'human');
+  });
+});
+
+describe('botFilterService.reclassifyBurst', () => {
+  afterEach(() => mock.restoreAll());
+
+  it('moves earlier human clicks to scanner and removes their attribution touches', async () => {
+    const eventDate = new Date('2026-05-01T14:00:20Z');
+    const updateMany = mock.method(EmailEvent, 'updateMany', async () => ({ modifiedCount: 2 }));
+    const removeTouches = mock.method(multiTouchAttribution, 'removeTouches', async () => ({}));
+    mock.method(botFilterService, 'hasHumanEvent', async () => false);
+    const save = mock.fn(async () => {});
+    const campaignUpdate = mock.method(Campaign, 'findByIdAndUpdate', async () => ({ updateRates: () => {}, save }));
+
+    const changed = await botFilterService.reclassifyBurst('camp_1', { email: 'a@test.com' }, eventDate);
+
+    assert.equal(changed, 2);
+    assert.equal(updateMany.mock.calls[0].arguments[0].classification, 'human');
+    assert.deepEqual(removeTouches.mock.calls[0].arguments[0], {
+      type: 'email_click',
+      campaign: 'camp_1',
+      email: 'a@test.com',
+      since: new Date('2026-05-01T14:00:00Z')
+    });
+    assert.deepEqual(campaignUpdate.mock.calls[0].arguments[1], {
+      $inc: { 'stats.machineClicks': 2, 'stats.humanClicked': -1 }
+    });
+    assert.equal(save.mock.callCount(), 1);
+  });
+
+  it('does nothing when no human click was in the window', async () => {
+    mock.method(EmailEvent, 'updateMany', async () => ({ modifiedCount: 0 }));
+    const removeTouches = mock.method(multiTouchAttribution, 'removeTouches', async () => ({}));
+
+    assert.equal(await botFilterService.reclassifyBurst('camp_1', { email: 'a@test.com' }), 0);
+    assert.equal(removeTouches.mock.callCount(), 0);
+  });
+});
+
+describe('botFilterService.getHumanMetrics', () => {
+  it('falls back to raw totals for campaigns sent before classification', () => {
+    assert.deepEqual(botFilterService.getHumanMetrics({ opened: 10, clicked: 2, openRate: 50 }), {
+      classified: false, opened: 10, clicked: 2, openRate: 50, clickRate: 0, filteredOpens: 0, filteredClicks: 0
+    });
+  });
+
+  it('uses human counters once events are classified', () => {
+    const metrics = botFilterService.getHumanMetrics({ opened: 10, humanOpened: 6, machineOpens: 4, humanOpenRate: 30 });
+    assert.equal(metrics.classified, true);
+    assert.equal(metrics.opened, 6);
+    assert.equal(metrics.filteredOpens, 4);
+  });
+});
@@ -0,0 +1,95 @@
+// backend/test/campaignSendService.test.js
+process.env.RESEND_API_KEY = process.env.RESEND_API_KEY || 're_test';
+const { describe, it, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+
+const Campaign = require('../src/models/Campaign');
+const List = require('../src/models/List');
+const EmailSend = require('../src/models/EmailSend');
+const emailQueue = require('../src/jobs/emailQueue');
+const personalizationService = require('../src/services/personalizationService');
+const preflightService = require('../src/services/preflightService');
+const sendTimeService = require('../src/services/sendTimeService');
+const holdoutService = require('../src/services/holdoutService');
+const { sendCampaign } = require('../src/services/campaignSendService');
+
+const buildCampaign = (overrides = {}) => {
+  const campaign = new Campaign({
+    name: 'Spring pickles',
+    subject: 'New batch',
+    htmlContent: '<p>Hi {{firstName}}</p>',
+    targetType: 'list',
+    list: new mongoose.Types.ObjectId(),
+    status: 'draft',
+    ...overrides
+  });
+  mock.method(campaign, 'save', async () => campaign);
+  return campaign;
+};
+
+// Stubs para que sendCampaign llegue a la preparación en background;
+// devuelve la promesa del update con status que deja el catch
+const stubSend = (campaign) => {
+  mock.method(console, 'log', () => {});
+  mock.method(console, 'error', () => {});
+  mock.method(Campaign, 'findById', () => ({ populate: async () => campaign }));
+  mock.method(List, 'findById', () => ({ select: async () => ({ members: [new mongoose.Types.ObjectId()] }) }));
+  mock.method(emailQueue, 'isAvailable', () => true);
+  mock.method(personalizationService, 'validateCampaign', async () => ({ valid: true, errors: [], unknownVariables: [] }));
+  mock.method(personalizationService, 'validate', async () => ({ valid: true, errors: [], partials: {}, usesLastOrder: false }));
+  mock.method(preflightService, 'check', async () => ({ canSend: true }));
+
+  return new Promise(resolve => {
+    mock.method(Campaign, 'findByIdAndUpdate', async (id, update) => {
+      if (update.status) resolve(update);
+      return null;
+    });
+  });
+};
+
+describe('campaignSendService.sendCampaign background failures', () => {
+  afterEach(() => mock.restoreAll());
+
+  it('reverts the campaign to draft with the error so it can be sent again', async () => {
+    const campaign = buildCampaign();
+    const reverted = stubSend(campaign);
+    mock.method(EmailSend, 'find', () => { throw new Error('connection reset'); });
+
+    const result = await sendCampaign(campaign._id);
+
+    assert.equal(result.success, true);
+    assert.equal(result.status, 'preparing');
+    assert.deepEqual(await reverted, { status: 'draft', 'stats.error': 'connection reset' });
+  });
+
+  it('reverts when the STO fallback hour cannot be loaded', async () => {
+    const campaign = buildCampaign({ sendTimeOptimization: { enabled: true } });
+    const reverted = stubSend(campaign);
+    mock.method(sendTimeService, 'getFallbackHour', async () => { throw new Error('aggregate failed'); });
+
+    await sendCampaign(campaign._id);
+
+    assert.deepEqual(await reverted, { status: 'draft', 'stats.error': 'aggregate failed' });
+  });
+
+  it('reverts when the template partials cannot be loaded', async () => {
+    const campaign = buildCampaign();
+    const reverted = stubSend(campaign);
+    personalizationService.validate.mock.mockImplementation(async () => { throw new Error('partials lookup failed'); });
+
+    await sendCampaign(campaign._id);
+
+    assert.deepEqual(await reverted, { status: 'draft', 'stats.error': 'partials lookup failed' });
+  });
+
+  it('reverts when the holdout cannot be marked as started', async () => {
+    const campaign = buildCampaign({ holdout: { percentage: 10 } });
+    const reverted = stubSend(campaign);
+    mock.method(holdoutService, 'markStarted', async () => { throw new Error('write conflict'); });
+
+    await sendCampaign(campaign._id);
+
+    assert.deepEqual(await reverted, { status: 'draft', 'stats.error': 'write conflict' });
+  });
+});
@@ -0,0 +1,153 @@
+// backend/test/campaignSeriesService.test.js
+const { describe, it, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+
+const campaignSeriesService = require('../src/services/campaignSeriesService');
+
+const iso = (dates) => dates.map(d => d.toISOString());
+
+describe('campaignSeriesService.validateRecurrence', () => {
+  it('accepts weekly and monthly rules', () => {
+    assert.deepEqual(campaignSeriesService.validateRecurrence({
+      frequency: 'weekly', weekdays: [2, 4], sendTime: '10:00', startDate: '2026-03-02'
+    }), []);
+    assert.deepEqual(campaignSeriesService.validateRecurrence({
+      frequency: 'monthly', nthWeek: -1, weekday: 5, startDate: '2026-01-01', endDate: '2026-12-31', count: 6
+    }), []);
+  });
+
+  it('reports each invalid field', () => {
+    assert.deepEqual(campaignSeriesService.validateRecurrence({
+      frequency: 'monthly', nthWeek: 5, weekday: 7, sendTime: '24:00', interval: 0,
+      startDate: '2026-03-01', endDate: '2026-02-01', count: 0
+    }), [
+      'interval debe estar entre 1 y 12',
+      'nthWeek debe ser 1, 2, 3, 4 o -1 (último)',
+      'weekday debe estar entre 0 (domingo) y 6 (sábado)',
+      'sendTime debe tener formato HH:mm',
+      'endDate debe ser posterior a startDate',
+      'count debe ser un entero >= 1'
+    ]);
+    assert.deepEqual(campaignSeriesService.validateRecurrence({ frequency: 'weekly', weekdays: [], startDate: 'nope' }), [
+      'weekly necesita weekdays (0 = domingo ... 6 = sábado)',
+      'startDate es requerido'
+    ]);
+  });
+});
+
+describe('campaignSeriesService.upcoming', () => {
+  it('sends weekly at the local time across the DST change', () => {
+    const recurrence = {
+      frequency: 'weekly',
+      weekdays: [2, 4],
+      sendTime: '10:00',
+      timezone: 'America/New_York',
+      startDate: new Date('2026-03-02T05:00:00Z')
+    };
+
+    assert.deepEqual(iso(campaignSeriesService.upcoming(recurrence, 4, new Date('2026-03-01T00:00:00Z'))), [
+      '2026-03-03T15:00:00.000Z',
+      '2026-03-05T15:00:00.000Z',
+      '2026-03-10T14:00:00.000Z',
+      '2026-03-12T14:00:00.000Z'
+    ]);
+  });
+
+  it('counts every-other-week intervals from the start week', () => {
+    const recurrence = {
+      frequency: 'weekly',
+      interval: 2,
+      weekdays: [1],
+      sendTime: '09:30',
+      timezone: 'America/New_York',
+      startDate: new Date('2026-03-04T05:00:00Z')
+    };
+
+    assert.deepEqual(iso(campaignSeriesService.upcoming(recurrence, 3, new Date('2026-03-01T00:00:00Z'))), [
+      '2026-03-16T13:30:00.000Z',
+      '2026-03-30T13:30:00.000Z',
+      '2026-04-13T13:30:00.000Z'
+    ]);
+  });
+
+  it('picks the nth or last weekday of the month', () => {
+    const base = { frequency: 'monthly', sendTime: '09:00', timezone: 'America/New_York', startDate: new Date('2026-01-01T05:00:00Z') };
+    const after = new Date('2026-01-01T00:00:00Z');
+
+    assert.deepEqual(iso(campaignSeriesService.upcoming({ ...base, nthWeek: -1, weekday: 5 }, 3, after)), [
+      '2026-01-30T14:00:00.000Z',
+      '2026-02-27T14:00:00.000Z',
+      '2026-03-27T13:00:00.000Z'
+    ]);
+    assert.deepEqual(iso(campaignSeriesService.upcoming({ ...base, nthWeek: 2, weekday: 2 }, 4, after)).slice(3), [
+      '2026-04-14T13:00:00.000Z'
+    ]);
+  });
+
+  it('stops at endDate', () => {
+    const recurrence = {
+      frequency: 'weekly',
+      weekdays: [3],
+      timezone: 'America/New_York',
+      startDate: new Date('2026-03-01T05:00:00Z'),
+      endDate: new Date('2026-03-12T00:00:00Z')
+    };
+
+    assert.equal(campaignSeriesService.upcoming(recurrence, 5, new Date('2026-03-01T00:00:00Z')).length, 2);
+  });
+});
+
+describe('campaignSeriesService.processSeries', () => {
+  afterEach(() => mock.restoreAll());
+
+  const buildSeries = (extra = {}) => ({
+    _id: 'series_1',
+    name: 'Weekly',
+    status: 'active',
+    leadHours: 24,
+    skipBlackouts: true,
+    occurrencesCreated: 0,
+    skipped: [],
+    lastOccurrenceAt: new Date('2026-03-01T00:00:00Z'),
+    recurrence: {
+      frequency: 'weekly',
+      weekdays: [2, 4],
+      sendTime: '10:00',
+      timezone: 'America/New_York',
+      startDate: new Date('2026-03-02T05:00:00Z')
+    },
+    save: async () => {},
+    ...extra
+  });
+
+  it('skips missed dates and blackouts, and schedules the one inside leadHours', async () => {
+    mock.method(console, 'log', () => {});
+    mock.method(campaignSeriesService, 'findBlackout', async (date) =>
+      (date.toISOString() === '2026-03-05T15:00:00.000Z' ? { _id: 'cal_1', name: 'Inventory' } : null));
+    const materialize = mock.method(campaignSeriesService, 'materialize', async () => ({ _id: 'camp_1' }));
+
+    const series = buildSeries();
+
+    // Tue 3 quedó atrás (más de 1h), Thu 5 cae en blackout, Tue 10 todavía no entra en las 24h
+    const first = await campaignSeriesService.processSeries(series, new Date('2026-03-04T16:00:00Z'));
+    assert.deepEqual(first, { created: [], skipped: 2 });
+    assert.deepEqual(series.skipped.map(s => s.reason), ['missed', 'blackout']);
+    assert.equal(series.skipped[1].calendarEntry, 'cal_1');
+    assert.equal(series.nextOccurrenceAt.toISOString(), '2026-03-10T14:00:00.000Z');
+
+    const second = await campaignSeriesService.processSeries(series, new Date('2026-03-09T20:00:00Z'));
+    assert.deepEqual(second, { created: ['camp_1'], skipped: 0 });
+    assert.equal(materialize.mock.calls[0].arguments[1].toISOString(), '2026-03-10T14:00:00.000Z');
+    assert.equal(materialize.mock.calls[0].arguments[2], 1);
+    assert.equal(series.nextOccurrenceAt.toISOString(), '2026-03-12T14:00:00.000Z');
+  });
+
+  it('completes the series after count occurrences', async () => {
+    const series = buildSeries({ occurrencesCreated: 3, recurrence: { ...buildSeries().recurrence, count: 3 } });
+    const result = await campaignSeriesService.processSeries(series, new Date('2026-03-09T20:00:00Z'));
+
+    assert.deepEqual(result, { created: [], skipped: 0 });
+    assert.equal(series.status, 'completed');
+    assert.equal(series.nextOccurrenceAt, null);
+  });
+});
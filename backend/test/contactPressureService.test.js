@@ -0,0 +1,101 @@
+// backend/test/contactPressureService.test.js
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+
+const ContactLog = require('../src/models/ContactLog');
+const FrequencyCapConfig = require('../src/models/FrequencyCapConfig');
+const contactPressureService = require('../src/services/contactPressureService');
+
+const HOUR = 60 * 60 * 1000;
+
+const log = (channel, hoursAgo, identity) => ({
+  _id: new mongoose.Types.ObjectId(),
+  channel,
+  sentAt: new Date(Date.now() - hoursAgo * HOUR),
+  ...identity
+});
+
+// Stub de ContactLog.find(...).select(...).lean()
+const stubLogs = (logs) => {
+  mock.method(ContactLog, 'find', () => ({
+    select: () => ({ lean: async () => logs })
+  }));
+};
+
+const stubConfig = (config) => {
+  mock.method(FrequencyCapConfig, 'getConfig', async () => config);
+};
+
+describe('contactPressureService.findCapped', () => {
+  beforeEach(() => {
+    stubConfig({
+      enabled: true,
+      rules: [
+        { channel: 'email', maxMessages: 2, windowHours: 24 },
+        { channel: 'all', maxMessages: 3, windowHours: 72 }
+      ]
+    });
+  });
+
+  afterEach(() => mock.restoreAll());
+
+  it('caps a contact that reached a channel rule inside its window', async () => {
+    stubLogs([
+      log('email', 2, { email: 'a@test.com' }),
+      log('email', 20, { email: 'a@test.com' })
+    ]);
+
+    const capped = await contactPressureService.findCapped('email', [{ key: 'a@test.com', email: 'a@test.com' }]);
+    assert.deepEqual([...capped], ['a@test.com']);
+  });
+
+  it('ignores sends that fell outside the rule window', async () => {
+    stubLogs([
+      log('email', 2, { email: 'a@test.com' }),
+      log('email', 30, { email: 'a@test.com' })
+    ]);
+
+    const capped = await contactPressureService.findCapped('email', [{ key: 'a@test.com', email: 'a@test.com' }]);
+    assert.equal(capped.size, 0);
+  });
+
+  it('counts SMS sent to the same phone towards cross-channel rules', async () => {
+    stubLogs([
+      log('email', 10, { email: 'a@test.com' }),
+      log('sms', 40, { phone: '2015550123' }),
+      log('sms', 60, { phone: '2015550123' })
+    ]);
+
+    const capped = await contactPressureService.findCapped('email', [
+      { key: 'a@test.com', email: 'a@test.com', phone: '+1 (201) 555-0123' }
+    ]);
+    assert.deepEqual([...capped], ['a@test.com']);
+  });
+
+  it('does not count the same log twice when it matches email and phone', async () => {
+    const shared = log('sms', 5, { email: 'a@test.com', phone: '2015550123' });
+    stubLogs([shared, log('email', 5, { email: 'a@test.com' })]);
+
+    const capped = await contactPressureService.findCapped('email', [
+      { key: 'a@test.com', email: 'a@test.com', phone: '2015550123' }
+    ]);
+    assert.equal(capped.size, 0);
+  });
+
+  it('skips the lookup when capping is disabled', async () => {
+    stubConfig({ enabled: false, rules: [{ channel: 'all', maxMessages: 1, windowHours: 24 }] });
+    const find = mock.method(ContactLog, 'find');
+
+    const capped = await contactPressureService.findCapped('sms', [{ key: '2015550123', phone: '2015550123' }]);
+    assert.equal(capped.size, 0);
+    assert.equal(find.mock.callCount(), 0);
+  });
+});
+
+describe('contactPressureService.evaluateSmsBatch', () => {
+  it('returns nothing for exempt campaigns', async () => {
+    const capped = await contactPressureService.evaluateSmsBatch({ frequencyCapExempt: true }, ['2015550123']);
+    assert.equal(capped.size, 0);
+  });
+});
@@ -0,0 +1,97 @@
+// backend/test/couponPoolService.test.js
+const { describe, it, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+
+const Campaign = require('../src/models/Campaign');
+const CouponCode = require('../src/models/CouponCode');
+const couponPoolService = require('../src/services/couponPoolService');
+
+const queryResult = (docs) => ({ select: () => ({ lean: async () => docs }) });
+
+describe('couponPoolService placeholders', () => {
+  it('detects {{coupon}} in any part of the campaign, including A/B variants', () => {
+    assert.equal(couponPoolService.usesCoupon({ subject: 'Hi', htmlContent: '<p>Code: {{ coupon }}</p>' }), true);
+    assert.equal(couponPoolService.usesCoupon({
+      subject: 'Hi',
+      htmlContent: '<p>No code</p>',
+      abTest: { variants: [{ subject: 'Your code {{coupon}}' }] }
+    }), true);
+    assert.equal(couponPoolService.usesCoupon({ subject: 'Hi', htmlContent: '{{ couponCode }}' }), false);
+  });
+
+  it('replaces every placeholder with the recipient code', () => {
+    assert.equal(couponPoolService.render('{{coupon}} / {{ coupon }}', 'JPE-ABCD2345'), 'JPE-ABCD2345 / JPE-ABCD2345');
+    assert.equal(couponPoolService.render(null, 'JPE-ABCD2345'), null);
+  });
+
+  it('generates prefixed codes without ambiguous characters', () => {
+    const codes = new Set(Array.from({ length: 200 }, () => couponPoolService.generateCode('JPE')));
+
+    assert.equal(codes.size, 200);
+    codes.forEach(code => assert.match(code, /^JPE-[A-HJ-NP-Z2-9]{8}$/));
+  });
+});
+
+describe('couponPoolService.assignBatch', () => {
+  afterEach(() => mock.restoreAll());
+
+  it('reuses codes already assigned and claims one per new recipient', async () => {
+    mock.method(CouponCode, 'find', () => queryResult([{ email: 'a@test.com', code: 'JPE-AAAAAAAA' }]));
+    const claim = mock.method(couponPoolService, 'claim', async (campaignId, count) =>
+      [{ _id: 'c1', code: 'JPE-BBBBBBBB' }, { _id: 'c2', code: 'JPE-CCCCCCCC' }].slice(0, count));
+    const bulkWrite = mock.method(CouponCode, 'bulkWrite', async () => ({}));
+    const campaignUpdate = mock.method(Campaign, 'findByIdAndUpdate', async () => ({}));
+
+    const assigned = await couponPoolService.assignBatch('camp_1', [
+      { email: 'a@test.com', customerId: 'cust_a' },
+      { email: 'b@test.com', customerId: 'cust_b' },
+      { email: 'b@test.com', customerId: 'cust_b' }
+    ]);
+
+    assert.deepEqual(Object.fromEntries(assigned), {
+      'a@test.com': 'JPE-AAAAAAAA',
+      'b@test.com': 'JPE-BBBBBBBB'
+    });
+    assert.equal(claim.mock.calls[0].arguments[1], 1);
+
+    const [update] = bulkWrite.mock.calls[0].arguments[0];
+    assert.equal(update.updateOne.update.$set.email, 'b@test.com');
+    assert.equal(update.updateOne.filter.claimedBy, claim.mock.calls[0].arguments[2]);
+    assert.deepEqual(campaignUpdate.mock.calls[0].arguments[1], { $inc: { 'coupon.assigned': 1 } });
+  });
+
+  it('leaves recipients without a code when the pool cannot be refilled', async () => {
+    mock.method(CouponCode, 'find', () => queryResult([]));
+    mock.method(couponPoolService, 'claim', async () => []);
+    mock.method(Campaign, 'findById', async () => ({ _id: 'camp_1', coupon: {} }));
+    mock.method(console, 'error', () => {});
+    const bulkWrite = mock.method(CouponCode, 'bulkWrite', async () => ({}));
+
+    const assigned = await couponPoolService.assignBatch('camp_1', [{ email: 'a@test.com' }]);
+
+    assert.equal(assigned.size, 0);
+    assert.equal(bulkWrite.mock.callCount(), 0);
+  });
+});
+
+describe('couponPoolService.redeemFromOrder', () => {
+  afterEach(() => mock.restoreAll());
+
+  it('ignores orders without pool codes', async () => {
+    assert.equal(await couponPoolService.redeemFromOrder({ discount_codes: [] }, {}), null);
+  });
+
+  it('reports a code that was already redeemed without counting it again', async () => {
+    mock.method(console, 'log', () => {});
+    mock.method(CouponCode, 'findOne', async () => ({
+      campaign: 'camp_1', customer: 'cust_1', email: 'a@test.com', code: 'JPE-AAAAAAAA', status: 'redeemed'
+    }));
+    const redeem = mock.method(CouponCode, 'findOneAndUpdate', async () => null);
+
+    const result = await couponPoolService.redeemFromOrder({ discount_codes: [{ code: 'jpe-aaaaaaaa' }] }, { _id: 'order_1' });
+
+    assert.equal(result.reused, true);
+    assert.equal(result.email, 'a@test.com');
+    assert.equal(redeem.mock.callCount(), 0);
+  });
+});
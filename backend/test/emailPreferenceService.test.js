@@ -0,0 +1,185 @@
+// backend/test/emailPreferenceService.test.js
+const { describe, it, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+
+const Campaign = require('../src/models/Campaign');
+const ContactLog = require('../src/models/ContactLog');
+const Customer = require('../src/models/Customer');
+const EmailEvent = require('../src/models/EmailEvent');
+const suppressionService = require('../src/services/suppressionService');
+const emailPreferenceService = require('../src/services/emailPreferenceService');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+describe('emailPreferenceService.getPreferences', () => {
+  it('defaults every topic to subscribed', () => {
+    const prefs = emailPreferenceService.getPreferences({});
+    assert.ok(Object.values(prefs.topics).every(Boolean));
+    assert.equal(prefs.frequency, 'normal');
+    assert.equal(prefs.pausedUntil, null);
+  });
+
+  it('keeps explicit opt-outs and ignores an expired pause', () => {
+    const prefs = emailPreferenceService.getPreferences({
+      emailPreferences: {
+        topics: { promotions: false },
+        pausedUntil: new Date(Date.now() - DAY_MS)
+      }
+    });
+    assert.equal(prefs.topics.promotions, false);
+    assert.equal(prefs.topics.content, true);
+    assert.equal(prefs.pausedUntil, null);
+  });
+});
+
+describe('emailPreferenceService.parseInput', () => {
+  it('reads checkbox arrays and single values', () => {
+    assert.deepEqual(emailPreferenceService.parseInput({ topics: ['content', 'bogus'] }).topics, {
+      promotions: false,
+      content: true,
+      product_launches: false,
+      order_updates: false
+    });
+    assert.equal(emailPreferenceService.parseInput({ topics: 'promotions' }).topics.promotions, true);
+  });
+
+  it('reads JSON objects, only touching the topics sent', () => {
+    assert.deepEqual(
+      emailPreferenceService.parseInput({ topics: { promotions: 'on', content: false, bogus: true } }).topics,
+      { promotions: true, content: false }
+    );
+  });
+
+  it('treats a saved form with no checkbox as opting out of everything', () => {
+    const { topics } = emailPreferenceService.parseInput({ action: 'save' });
+    assert.ok(Object.values(topics).every(value => value === false));
+  });
+
+  it('flags an explicit resubscribe action', () => {
+    assert.equal(emailPreferenceService.parseInput({ action: 'resubscribe' }).resubscribe, true);
+    assert.equal('resubscribe' in emailPreferenceService.parseInput({ action: 'save' }), false);
+  });
+
+  it('parses pauseDays and leaves empty values out', () => {
+    assert.equal(emailPreferenceService.parseInput({ pauseDays: '60' }).pauseDays, 60);
+    assert.equal('pauseDays' in emailPreferenceService.parseInput({ pauseDays: '' }), false);
+  });
+});
+
+describe('emailPreferenceService.validateInput', () => {
+  it('accepts known frequencies and pause lengths', () => {
+    assert.equal(emailPreferenceService.validateInput({ frequency: 'fewer', pauseDays: 30 }), null);
+    assert.equal(emailPreferenceService.validateInput({ pauseDays: 0 }), null);
+  });
+
+  it('rejects anything else', () => {
+    assert.match(emailPreferenceService.validateInput({ frequency: 'daily' }), /frequency/);
+    assert.match(emailPreferenceService.validateInput({ pauseDays: 45 }), /pauseDays/);
+    assert.match(emailPreferenceService.validateInput({ pauseDays: NaN }), /pauseDays/);
+  });
+});
+
+describe('emailPreferenceService.evaluateEmailBatch', () => {
+  afterEach(() => mock.restoreAll());
+
+  it('maps each email to its skip reason for the campaign topic', async () => {
+    mock.method(Campaign, 'findById', () => ({ select: () => ({ lean: async () => ({ topic: 'content' }) }) }));
+    mock.method(Customer, 'find', () => ({
+      select: () => ({
+        lean: async () => [
+          { email: 'Optout@test.com', emailPreferences: { topics: { content: false } } },
+          { email: 'paused@test.com', emailPreferences: { pausedUntil: new Date(Date.now() + DAY_MS) } },
+          { email: 'fewer@test.com', emailPreferences: { frequency: 'fewer' } },
+          { email: 'fewer-ok@test.com', emailPreferences: { frequency: 'fewer' } }
+        ]
+      })
+    }));
+    const distinct = mock.method(ContactLog, 'distinct', async () => ['fewer@test.com']);
+
+    const skips = await emailPreferenceService.evaluateEmailBatch('camp_1', [
+      'optout@test.com', 'paused@test.com', 'fewer@test.com', 'fewer-ok@test.com', 'default@test.com'
+    ]);
+
+    assert.deepEqual(Object.fromEntries(skips), {
+      'optout@test.com': 'topic_opt_out',
+      'paused@test.com': 'paused',
+      'fewer@test.com': 'fewer_emails'
+    });
+    assert.deepEqual(distinct.mock.calls[0].arguments[1].email, { $in: ['fewer@test.com', 'fewer-ok@test.com'] });
+  });
+});
+
+describe('emailPreferenceService.updatePreferences', () => {
+  afterEach(() => mock.restoreAll());
+
+  const unsubscribedCustomer = () => ({
+    _id: 'cust_1',
+    email: 'ana@test.com',
+    emailStatus: 'unsubscribed',
+    acceptsMarketing: false,
+    emailPreferences: { topics: { promotions: true, content: true } },
+    save: mock.fn(async () => {})
+  });
+
+  it('keeps an unsubscribed customer unsubscribed when they only pause', async () => {
+    mock.method(EmailEvent, 'create', async () => ({}));
+    const remove = mock.method(suppressionService, 'remove', async () => 1);
+    const customer = unsubscribedCustomer();
+
+    const input = emailPreferenceService.parseInput({ action: 'save', pauseDays: '30' });
+    const result = await emailPreferenceService.updatePreferences(customer, input);
+
+    assert.equal(result.resubscribed, false);
+    assert.equal(customer.emailStatus, 'unsubscribed');
+    assert.equal(customer.acceptsMarketing, false);
+    assert.equal(remove.mock.callCount(), 0);
+    assert.ok(customer.emailPreferences.pausedUntil > new Date());
+    // El formulario sin marcar no pisa los topics guardados
+    assert.equal(customer.emailPreferences.topics.promotions, true);
+  });
+
+  it('keeps them unsubscribed when they only ask for fewer emails', async () => {
+    mock.method(EmailEvent, 'create', async () => ({}));
+    const remove = mock.method(suppressionService, 'remove', async () => 1);
+    const customer = unsubscribedCustomer();
+
+    const result = await emailPreferenceService.updatePreferences(customer, { frequency: 'fewer' });
+
+    assert.equal(result.resubscribed, false);
+    assert.equal(customer.emailStatus, 'unsubscribed');
+    assert.equal(remove.mock.callCount(), 0);
+  });
+
+  it('resubscribes on explicitly chosen topics and lifts the unsubscribe suppression', async () => {
+    mock.method(EmailEvent, 'create', async () => ({}));
+    const remove = mock.method(suppressionService, 'remove', async () => 1);
+    const customer = unsubscribedCustomer();
+
+    const input = emailPreferenceService.parseInput({ action: 'save', topics: ['content'] });
+    const result = await emailPreferenceService.updatePreferences(customer, input);
+
+    assert.equal(result.resubscribed, true);
+    assert.equal(customer.emailStatus, 'active');
+    assert.equal(customer.acceptsMarketing, true);
+    assert.deepEqual(remove.mock.calls[0].arguments, [{ email: 'ana@test.com' }, ['unsubscribe']]);
+    assert.equal(customer.emailPreferences.topics.content, true);
+  });
+
+  it('resubscribes on the explicit resubscribe action', async () => {
+    mock.method(suppressionService, 'remove', async () => 1);
+    const customer = unsubscribedCustomer();
+
+    const result = await emailPreferenceService.updatePreferences(customer, { resubscribe: true });
+
+    assert.equal(result.resubscribed, true);
+    assert.equal(customer.emailStatus, 'active');
+  });
+});
+
+describe('emailPreferenceService.topicForMaximusType', () => {
+  it('maps Maximus campaign types and defaults to promotions', () => {
+    assert.equal(emailPreferenceService.topicForMaximusType('recipe'), 'content');
+    assert.equal(emailPreferenceService.topicForMaximusType('product_spotlight'), 'product_launches');
+    assert.equal(emailPreferenceService.topicForMaximusType('something_new'), 'promotions');
+  });
+});
@@ -0,0 +1,74 @@
+// backend/test/flowService.test.js
+process.env.RESEND_API_KEY = process.env.RESEND_API_KEY || 're_test';
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const flowService = require('../src/services/flowService');
+
+describe('flowService.matchesTriggerConfig', () => {
+  const flow = (config) => ({ trigger: { config } });
+
+  it('matches when the flow has no filters', () => {
+    assert.equal(flowService.matchesTriggerConfig({ trigger: {} }, { tag: 'vip' }), true);
+  });
+
+  it('compares tags case-insensitively', () => {
+    assert.equal(flowService.matchesTriggerConfig(flow({ tagName: 'VIP' }), { tag: 'vip' }), true);
+    assert.equal(flowService.matchesTriggerConfig(flow({ tagName: 'VIP' }), { tag: 'wholesale' }), false);
+  });
+
+  it('skips repeat orders when firstOrderOnly is set', () => {
+    assert.equal(flowService.matchesTriggerConfig(flow({ firstOrderOnly: true }), { firstOrder: false }), false);
+    assert.equal(flowService.matchesTriggerConfig(flow({ firstOrderOnly: true }), { firstOrder: true }), true);
+  });
+
+  it('applies the minimum order value', () => {
+    assert.equal(flowService.matchesTriggerConfig(flow({ minOrderValue: '50' }), { orderValue: '49.99' }), false);
+    assert.equal(flowService.matchesTriggerConfig(flow({ minOrderValue: 50 }), { orderValue: 50 }), true);
+  });
+
+  it('filters by product id', () => {
+    assert.equal(flowService.matchesTriggerConfig(flow({ productId: 123 }), { productId: '123' }), true);
+    assert.equal(flowService.matchesTriggerConfig(flow({ productId: 123 }), { productId: '456' }), false);
+  });
+});
+
+describe('flowService.getWaitDelayMs', () => {
+  it('adds minutes, hours and days', () => {
+    assert.equal(flowService.getWaitDelayMs({ delayMinutes: 30, delayHours: 1, delayDays: 1 }), (30 + 60 + 1440) * 60000);
+  });
+
+  it('never returns a negative delay', () => {
+    assert.equal(flowService.getWaitDelayMs({ delayHours: -2 }), 0);
+    assert.equal(flowService.getWaitDelayMs(), 0);
+  });
+});
+
+describe('flowService personalization', () => {
+  it('flattens trigger data with dot notation and adds customer fields', () => {
+    const variables = flowService.buildVariables(
+      { firstName: 'Ana', lastName: 'Diaz', email: 'ana@example.com' },
+      { cart: { checkoutUrl: 'https://shop/checkout', items: [1, 2] } }
+    );
+
+    assert.equal(variables['cart.checkoutUrl'], 'https://shop/checkout');
+    assert.equal(variables['cart.items'], undefined);
+    assert.equal(variables.fullName, 'Ana Diaz');
+  });
+
+  it('leaves unknown placeholders untouched', () => {
+    const text = flowService.renderString('Hi {{ firstName }}, {{unsubscribe_link}}', { firstName: 'Ana' });
+    assert.equal(text, 'Hi Ana, {{unsubscribe_link}}');
+  });
+
+  it('adds flow UTMs only to store links', () => {
+    const html = flowService.addFlowUtms(
+      '<a href="https://jerseypickles.com/shop">x</a><a href="https://other.com">y</a>',
+      'f1'
+    );
+
+    assert.match(html, /jerseypickles\.com\/shop\?utm_source=email&utm_medium=flow&utm_campaign=flow_f1/);
+    assert.match(html, /href="https:\/\/other\.com"/);
+  });
+});
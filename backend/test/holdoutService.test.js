@@ -0,0 +1,97 @@
+// backend/test/holdoutService.test.js
+const { describe, it, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+
+const Order = require('../src/models/Order');
+const holdoutService = require('../src/services/holdoutService');
+
+const ids = (n) => Array.from({ length: n }, () => new mongoose.Types.ObjectId().toString());
+
+describe('holdoutService config', () => {
+  it('validates percentage and window', () => {
+    assert.equal(holdoutService.validateConfig({ percentage: 10, windowDays: 7 }), null);
+    assert.equal(holdoutService.validateConfig(null), null);
+    assert.match(holdoutService.validateConfig({ percentage: 60 }), /percentage/);
+    assert.match(holdoutService.validateConfig({ percentage: '10' }), /percentage/);
+    assert.match(holdoutService.validateConfig({ windowDays: 1.5 }), /windowDays/);
+  });
+
+  it('builds the stored config with the default window', () => {
+    assert.deepEqual(holdoutService.buildConfig({ percentage: 10 }), { percentage: 10, windowDays: 7 });
+    assert.equal(holdoutService.buildConfig({ percentage: 0 }), undefined);
+  });
+});
+
+describe('holdoutService.isHeldOut', () => {
+  it('is deterministic per campaign and recipient', () => {
+    const first = holdoutService.isHeldOut('camp_1', 'a@test.com', 25);
+    for (let i = 0; i < 5; i++) {
+      assert.equal(holdoutService.isHeldOut('camp_1', 'a@test.com', 25), first);
+    }
+  });
+
+  it('holds out roughly the configured share', () => {
+    let held = 0;
+    for (let i = 0; i < 20000; i++) {
+      if (holdoutService.isHeldOut('camp_1', `user${i}@test.com`, 10)) held++;
+    }
+    assert.ok(held > 1800 && held < 2200, `held out ${held} of 20000`);
+  });
+
+  it('never holds out with 0%', () => {
+    assert.equal(holdoutService.isHeldOut('camp_1', 'a@test.com', 0), false);
+  });
+});
+
+describe('holdoutService.summarizeGroup', () => {
+  it('computes conversion, revenue per recipient and sample variance', () => {
+    const buyers = new Map([['a', { orders: 2, revenue: 30 }], ['b', { orders: 1, revenue: 10 }]]);
+    const summary = holdoutService.summarizeGroup(['a', 'b', 'c', 'd'], buyers);
+
+    assert.equal(summary.converters, 2);
+    assert.equal(summary.orders, 3);
+    assert.equal(summary.conversionRate, 0.5);
+    assert.equal(summary.revenuePerRecipient, 10);
+    // (900 + 100 - 4 * 100) / 3
+    assert.equal(summary.revenueVariance, 200);
+  });
+});
+
+describe('holdoutService.getReport', () => {
+  afterEach(() => mock.restoreAll());
+
+  it('returns not_started before the send', async () => {
+    const report = await holdoutService.getReport('email', { holdout: { percentage: 10 } });
+    assert.equal(report.status, 'not_started');
+  });
+
+  it('compares treated and holdout orders within the window', async () => {
+    const treated = ids(1000);
+    const holdout = ids(200);
+    mock.method(holdoutService, 'loadGroups', async () => ({ treated, holdout }));
+    const aggregate = mock.method(Order, 'aggregate', async () => [
+      ...treated.slice(0, 100),
+      ...holdout.slice(0, 10)
+    ].map(id => ({ _id: new mongoose.Types.ObjectId(id), orders: 1, revenue: 50 })));
+
+    const startedAt = new Date(Date.now() - 10 * 24 * 60 * 60 * 1000);
+    const report = await holdoutService.getReport('email', {
+      holdout: { percentage: 20, windowDays: 7, startedAt, withheld: 200 },
+      stats: { totalRevenue: 5000 }
+    });
+
+    assert.equal(report.status, 'complete');
+    assert.equal(report.windowEnd.getTime(), startedAt.getTime() + 7 * 24 * 60 * 60 * 1000);
+    assert.equal(aggregate.mock.calls[0].arguments[0][0].$match.orderDate.$lte, report.windowEnd);
+
+    assert.equal(report.treated.conversionRate, 10);
+    assert.equal(report.holdout.conversionRate, 5);
+    assert.equal(report.incremental.conversionRateDiff, 5);
+    assert.equal(report.incremental.conversionLift, 100);
+    assert.equal(report.incremental.incrementalRevenue, 2500);
+    assert.equal(report.incremental.significant, true);
+    assert.equal(report.incrementalShare, 50);
+    assert.equal(report.lowSample, false);
+  });
+});
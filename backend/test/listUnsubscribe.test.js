@@ -0,0 +1,68 @@
+// backend/test/listUnsubscribe.test.js
+process.env.RESEND_API_KEY = process.env.RESEND_API_KEY || 're_test';
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const express = require('express');
+
+const emailService = require('../src/services/emailService');
+const { verifyUnsubscribeToken } = require('../src/utils/unsubscribeToken');
+const trackingRoutes = require('../src/routes/tracking');
+
+describe('emailService.generateListUnsubscribeHeaders', () => {
+  it('returns RFC 8058 one-click headers', () => {
+    const headers = emailService.generateListUnsubscribeHeaders('cust_1', 'Someone@Test.com', 'camp_1');
+
+    assert.equal(headers['List-Unsubscribe-Post'], 'List-Unsubscribe=One-Click');
+    assert.match(headers['List-Unsubscribe'], /^<https:\/\/.+\/api\/track\/list-unsubscribe\/[A-Za-z0-9_-]+>$/);
+  });
+
+  it('points to a token that identifies the customer and campaign', () => {
+    const headers = emailService.generateListUnsubscribeHeaders('cust_1', 'Someone@Test.com', 'camp_1');
+    const token = headers['List-Unsubscribe'].match(/list-unsubscribe\/([^>]+)>/)[1];
+
+    assert.deepEqual(
+      (({ customerId, email, campaignId }) => ({ customerId, email, campaignId }))(verifyUnsubscribeToken(token)),
+      { customerId: 'cust_1', email: 'someone@test.com', campaignId: 'camp_1' }
+    );
+  });
+
+  it('omits the campaign for transactional sends', () => {
+    const headers = emailService.generateListUnsubscribeHeaders('cust_1', 'someone@test.com');
+    const token = headers['List-Unsubscribe'].match(/list-unsubscribe\/([^>]+)>/)[1];
+
+    assert.equal(verifyUnsubscribeToken(token).campaignId, null);
+  });
+});
+
+describe('POST /api/track/list-unsubscribe/:token', () => {
+  let server;
+  let baseUrl;
+
+  before(async () => {
+    const app = express();
+    app.use(express.urlencoded({ extended: false }));
+    app.use('/api/track', trackingRoutes);
+    server = app.listen(0);
+    await new Promise(resolve => server.once('listening', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}/api/track`;
+  });
+
+  after(() => server.close());
+
+  it('rejects a forged token without a confirmation page', async () => {
+    const res = await fetch(`${baseUrl}/list-unsubscribe/not-a-token`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+      body: 'List-Unsubscribe=One-Click'
+    });
+
+    assert.equal(res.status, 400);
+  });
+
+  it('sends GET requests to the regular unsubscribe page', async () => {
+    const res = await fetch(`${baseUrl}/list-unsubscribe/abc`, { redirect: 'manual' });
+
+    assert.equal(res.status, 302);
+    assert.equal(res.headers.get('location'), '/api/track/unsubscribe/abc');
+  });
+});
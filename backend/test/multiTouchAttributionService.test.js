@@ -0,0 +1,61 @@
+// backend/test/multiTouchAttributionService.test.js
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const multiTouchAttribution = require('../src/services/multiTouchAttributionService');
+const Touchpoint = require('../src/models/Touchpoint');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const orderDate = new Date('2026-03-10T12:00:00Z');
+const touchAt = (daysBefore) => ({ occurredAt: new Date(orderDate.getTime() - daysBefore * DAY_MS) });
+
+const sum = (values) => values.reduce((total, v) => total + v, 0);
+
+describe('multiTouchAttribution.computeWeights', () => {
+  // Cronológico: el primero es el más viejo
+  const touches = [touchAt(6), touchAt(3), touchAt(0)];
+  const weights = multiTouchAttribution.computeWeights(touches, orderDate, 3);
+
+  it('gives all credit to the first and last touch in the single-touch models', () => {
+    assert.deepEqual(weights.first_touch, [1, 0, 0]);
+    assert.deepEqual(weights.last_touch, [0, 0, 1]);
+  });
+
+  it('splits credit evenly in the linear model', () => {
+    weights.linear.forEach(w => assert.ok(Math.abs(w - 1 / 3) < 1e-12));
+  });
+
+  it('halves the time decay weight every half-life', () => {
+    assert.ok(Math.abs(weights.time_decay[1] / weights.time_decay[2] - 0.5) < 1e-12);
+    assert.ok(Math.abs(weights.time_decay[0] / weights.time_decay[2] - 0.25) < 1e-12);
+  });
+
+  it('sums to 1 in every model', () => {
+    Object.values(weights).forEach(model => assert.ok(Math.abs(sum(model) - 1) < 1e-12));
+  });
+
+  it('gives a single touch all the credit', () => {
+    const single = multiTouchAttribution.computeWeights([touchAt(2)], orderDate, 3);
+    Object.values(single).forEach(model => assert.deepEqual(model, [1]));
+  });
+
+  it('does not boost touches recorded after the order', () => {
+    const [weight] = multiTouchAttribution.computeWeights([touchAt(-1), touchAt(0)], orderDate, 3).time_decay;
+    assert.equal(weight, 0.5);
+  });
+});
+
+describe('Touchpoint helpers', () => {
+  it('maps touch types to channels', () => {
+    assert.equal(Touchpoint.channelFor('email_click'), 'email');
+    assert.equal(Touchpoint.channelFor('sms_click'), 'sms');
+    assert.equal(Touchpoint.channelFor('popup_signup'), 'popup');
+    assert.equal(Touchpoint.channelFor('flow_step'), 'flow');
+  });
+
+  it('normalizes phones to the last 10 digits', () => {
+    assert.equal(Touchpoint.normalizePhone('+1 (732) 555-0100'), '7325550100');
+    assert.equal(Touchpoint.normalizePhone('555-0100'), null);
+    assert.equal(Touchpoint.normalizePhone(null), null);
+  });
+});
@@ -0,0 +1,148 @@
+// backend/test/preflightService.test.js
+process.env.RESEND_API_KEY = process.env.RESEND_API_KEY || 're_test';
+const { describe, it, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+
+const BusinessCalendar = require('../src/models/BusinessCalendar');
+const preflightService = require('../src/services/preflightService');
+
+const codes = (issues) => issues.map(i => `${i.severity}:${i.code}`);
+
+describe('preflightService.checkLinks', () => {
+  it('flags broken, unreachable and insecure links', () => {
+    const html = [
+      '<a href="https://jerseypickles.com/shop">ok</a>',
+      '<a href="{{ shopUrl }}">placeholder</a>',
+      '<a href="#">empty</a>',
+      '<a href="javascript:void(0)">js</a>',
+      '<a href="jerseypickles.com">no scheme</a>',
+      '<a href="http://localhost:3000">local</a>',
+      '<a href="http://jerseypickles.com">http</a>',
+      '<a href="mailto:nobody">mail</a>'
+    ].join('');
+
+    const { issues, count } = preflightService.checkLinks(html, '');
+
+    assert.equal(count, 8);
+    assert.deepEqual(codes(issues), [
+      'warning:empty_link',
+      'error:broken_link',
+      'error:broken_link',
+      'error:unreachable_link',
+      'warning:insecure_link',
+      'error:broken_link'
+    ]);
+  });
+});
+
+describe('preflightService content checks', () => {
+  it('warns about images without alt but accepts decorative alt=""', () => {
+    const { issues, count } = preflightService.checkImages('<img src="a.png" alt=""><img src="b.png">', '');
+    assert.equal(count, 2);
+    assert.deepEqual(issues[0].details.images, ['b.png']);
+  });
+
+  it('blocks copy that mentions unsubscribe without the link', () => {
+    assert.deepEqual(preflightService.checkUnsubscribe('<a href="{{unsubscribe_link}}">x</a>', ''), []);
+    assert.deepEqual(codes(preflightService.checkUnsubscribe('<p>Unsubscribe anytime</p>', '')), ['error:missing_unsubscribe']);
+    assert.deepEqual(codes(preflightService.checkUnsubscribe('<p>Hi</p>', '')), ['warning:missing_unsubscribe']);
+  });
+
+  it('measures the final HTML against the Gmail clipping limit', () => {
+    const small = preflightService.checkSize('<p>Hi</p>', 'camp_1', '');
+    const huge = preflightService.checkSize(`<p>${'x'.repeat(110 * 1024)}</p>`, 'camp_1', '');
+
+    assert.deepEqual(small.issues, []);
+    assert.ok(small.bytes > '<p>Hi</p>'.length);
+    assert.deepEqual(codes(huge.issues), ['error:html_size']);
+  });
+
+  it('checks subject and preview lengths', () => {
+    assert.deepEqual(codes(preflightService.checkSubjectAndPreview({ subject: ' ' }, '')), ['error:subject_length', 'warning:preview_length']);
+    assert.deepEqual(preflightService.checkSubjectAndPreview({
+      subject: 'Fresh pickles',
+      previewText: 'Our garlic dill is back in stock this week only'
+    }, ''), []);
+  });
+
+  it('finds merge tags that would go out literally', () => {
+    const issues = preflightService.checkMergeTags({
+      subject: 'Hi {{ firstName }}, your {{coupon}}',
+      htmlContent: '<p>Hello *|FNAME|* and {name}, keep {{ firstName }}</p>'
+    }, '[B] ');
+
+    assert.deepEqual(codes(issues), ['error:unresolved_merge_tag', 'error:unresolved_merge_tag', 'error:unresolved_merge_tag']);
+    assert.deepEqual(issues[0].details.tags, ['{{ firstName }}']);
+    assert.ok(issues.every(i => i.message.startsWith('[B] ')));
+  });
+});
+
+describe('preflightService.checkDiscountCodes', () => {
+  afterEach(() => mock.restoreAll());
+
+  it('compares codes in the copy with Business Calendar promotions', async () => {
+    mock.method(BusinessCalendar, 'find', () => ({
+      select: () => ({
+        lean: async () => [
+          { name: 'Spring', startDate: new Date('2026-03-01'), endDate: new Date('2026-03-31'), promotion: { discountCode: 'spring20' } },
+          { name: 'Summer', startDate: new Date('2026-06-01'), endDate: new Date('2026-06-30'), promotion: { discountCode: 'SUMMER15' } }
+        ]
+      })
+    }));
+
+    const { issues, codes: found } = await preflightService.checkDiscountCodes([
+      { subject: 'Use code SPRING20', htmlContent: '<p>Or promo code “SUMMER15”, or coupon: GHOST10. See the code below.</p>' }
+    ], new Date('2026-04-15'));
+
+    assert.deepEqual(found, ['SPRING20', 'SUMMER15', 'GHOST10']);
+    assert.deepEqual(codes(issues), ['error:discount_code_expired', 'warning:discount_code_not_started', 'warning:discount_code_unknown']);
+  });
+
+  it('skips the lookup when there are no codes', async () => {
+    const find = mock.method(BusinessCalendar, 'find');
+    const result = await preflightService.checkDiscountCodes([{ subject: 'Hi', htmlContent: '<p>no codes here</p>' }], new Date());
+    assert.deepEqual(result, { issues: [], codes: [] });
+    assert.equal(find.mock.callCount(), 0);
+  });
+});
+
+describe('preflightService.check', () => {
+  afterEach(() => mock.restoreAll());
+
+  const warning = { severity: 'warning', code: 'subject_length', message: 'long subject' };
+  const stubRun = (warnings, errors = []) => mock.method(preflightService, 'run', async () => ({
+    passed: errors.length === 0,
+    errors,
+    warnings,
+    warningsHash: preflightService.hashWarnings(warnings),
+    checkedAt: new Date(),
+    summary: {}
+  }));
+
+  it('requires acknowledging warnings once, until they change', async () => {
+    const campaign = {};
+
+    stubRun([warning]);
+    assert.equal((await preflightService.check(campaign)).requiresAcknowledgement, true);
+    assert.equal((await preflightService.check(campaign, { acknowledge: true, acknowledgedBy: 'admin' })).canSend, true);
+    assert.equal((await preflightService.check(campaign)).canSend, true);
+
+    mock.restoreAll();
+    stubRun([warning, { severity: 'warning', code: 'image_alt', message: '1 imagen(es) sin alt text' }]);
+    assert.equal((await preflightService.check(campaign)).canSend, false);
+  });
+
+  it('never lets errors through, even when acknowledged', async () => {
+    stubRun([], [{ severity: 'error', code: 'audience', message: 'La audiencia no tiene destinatarios' }]);
+    const result = await preflightService.check({}, { acknowledge: true });
+
+    assert.equal(result.canSend, false);
+    assert.match(result.reason, /1 error\(es\) - La audiencia no tiene destinatarios/);
+  });
+
+  it('hashes warnings independently of their order', () => {
+    const other = { code: 'image_alt', message: 'x' };
+    assert.equal(preflightService.hashWarnings([warning, other]), preflightService.hashWarnings([other, warning]));
+    assert.equal(preflightService.hashWarnings([]), null);
+  });
+});
@@ -0,0 +1,99 @@
+// backend/test/recommendationService.test.js
+process.env.RESEND_API_KEY = process.env.RESEND_API_KEY || 're_test';
+const { describe, it, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+
+const recommendationService = require('../src/services/recommendationService');
+
+const product = (shopifyId, extra = {}) => ({
+  shopifyId,
+  title: `Pickle ${shopifyId}`,
+  handle: `pickle-${shopifyId}`,
+  variants: [{ price: '9.99' }],
+  ...extra
+});
+
+const buildCatalog = () => ({
+  available: new Map(['A', 'B', 'C', 'D', 'E', 'F'].map(id => [id, product(id)])),
+  partners: new Map([['A', ['B', 'X', 'C']]]),
+  topSellers: ['C', 'D', 'E'],
+  restocked: ['F', 'A']
+});
+
+describe('recommendationService.pickForCustomer', () => {
+  it('orders bought-together, back-in-stock and top sellers without repeats', () => {
+    const history = { lastOrder: new Set(['A']), purchased: new Set(['A', 'C']) };
+    const picks = recommendationService.pickForCustomer(buildCatalog(), history, 6);
+
+    assert.deepEqual(picks, [
+      { productId: 'B', reason: 'bought_together' },
+      { productId: 'A', reason: 'back_in_stock' },
+      { productId: 'D', reason: 'top_seller' },
+      { productId: 'E', reason: 'top_seller' },
+      { productId: 'F', reason: 'back_in_stock' }
+    ]);
+  });
+
+  it('falls back to top sellers for customers without orders', () => {
+    const picks = recommendationService.pickForCustomer(buildCatalog(), undefined, 2);
+    assert.deepEqual(picks.map(p => p.productId), ['C', 'D']);
+  });
+
+  it('skips products that are no longer available', () => {
+    const catalog = buildCatalog();
+    catalog.available.delete('B');
+    const history = { lastOrder: new Set(['A']), purchased: new Set(['A']) };
+
+    assert.equal(recommendationService.pickForCustomer(catalog, history, 1)[0].productId, 'C');
+  });
+});
+
+describe('recommendationService.toGridProduct', () => {
+  it('tags the product link for per-product reporting', () => {
+    const grid = recommendationService.toGridProduct(product('123', { featuredImage: 'https://cdn.test/p.jpg' }), 'top_seller');
+
+    assert.equal(grid.url, 'https://jerseypickles.com/products/pickle-123?utm_content=rec_123');
+    assert.equal(grid.label, 'Best seller');
+    assert.equal(grid.price, '9.99');
+  });
+});
+
+describe('recommendationService.resolveBatch', () => {
+  afterEach(() => mock.restoreAll());
+
+  it('replaces the placeholder per recipient with the requested count', async () => {
+    mock.method(recommendationService, 'getCatalog', async () => buildCatalog());
+    mock.method(recommendationService, 'loadHistory', async () => new Map([
+      ['cust_1', { lastOrder: new Set(['A']), purchased: new Set(['A']) }]
+    ]));
+
+    const [first, second] = await recommendationService.resolveBatch('camp_1', [
+      { customerId: 'cust_1', email: 'a@test.com', html: '<div>{{recommendations:2}}</div>', text: 'Picks:\n{{ recommendations:2 }}' },
+      { customerId: 'cust_2', email: 'b@test.com', html: '{{recommendations}}' }
+    ]);
+
+    assert.deepEqual(first.recommendations.map(r => [r.productId, r.position]), [['B', 1], ['C', 2]]);
+    assert.ok(first.html.includes('/api/track/click/camp_1/cust_1'));
+    assert.equal(first.text, 'Picks:\n- Pickle B\n  https://jerseypickles.com/products/pickle-B?utm_content=rec_B\n' +
+      '- Pickle C\n  https://jerseypickles.com/products/pickle-C?utm_content=rec_C');
+    assert.deepEqual(second.recommendations.map(r => r.productId), ['C', 'D', 'E']);
+  });
+
+  it('removes the placeholder when recommendations are unavailable', async () => {
+    mock.method(recommendationService, 'getCatalog', async () => { throw new Error('db down'); });
+    mock.method(console, 'error', () => {});
+
+    const [result] = await recommendationService.resolveBatch('camp_1', [
+      { customerId: 'cust_1', html: '<p>Hi</p>{{recommendations}}', text: 'Hi {{recommendations}}' }
+    ]);
+
+    assert.equal(result.html, '<p>Hi</p>');
+    assert.equal(result.text, 'Hi ');
+    assert.deepEqual(result.recommendations, []);
+  });
+
+  it('detects the placeholder', () => {
+    assert.equal(recommendationService.hasPlaceholder('x {{ recommendations:4 }} y'), true);
+    assert.equal(recommendationService.hasPlaceholder('{{ recommended }}'), false);
+  });
+});
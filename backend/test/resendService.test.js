@@ -0,0 +1,80 @@
+// backend/test/resendService.test.js
+const { describe, it, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+
+const Campaign = require('../src/models/Campaign');
+const EmailEvent = require('../src/models/EmailEvent');
+const EmailSend = require('../src/models/EmailSend');
+const Order = require('../src/models/Order');
+const resendService = require('../src/services/resendService');
+
+describe('resendService.validateConfig', () => {
+  it('ignores disabled resends', () => {
+    assert.deepEqual(resendService.validateConfig({ enabled: false, delayHours: 0 }), []);
+    assert.deepEqual(resendService.validateConfig(undefined), []);
+  });
+
+  it('requires a new subject and a delay between 1 hour and 7 days', () => {
+    assert.deepEqual(resendService.validateConfig({ enabled: true, subject: 'Did you miss this?', delayHours: 48 }), []);
+    assert.equal(resendService.validateConfig({ enabled: true, subject: '  ' }).length, 1);
+    assert.equal(resendService.validateConfig({ enabled: true, subject: 'x', delayHours: 169 }).length, 1);
+    assert.equal(resendService.validateConfig({ enabled: true, subject: 'x', delayHours: '24' }).length, 1);
+  });
+
+  it('is only enabled with a subject', () => {
+    assert.equal(resendService.isEnabled({ resend: { enabled: true } }), false);
+    assert.equal(resendService.isEnabled({ resend: { enabled: true, subject: 'Again' } }), true);
+  });
+});
+
+describe('resendService.buildAudience', () => {
+  afterEach(() => mock.restoreAll());
+
+  it('keeps delivered non-openers who did not buy or unsubscribe', async () => {
+    const since = new Date('2026-05-01T14:00:00Z');
+    mock.method(console, 'log', () => {});
+    mock.method(EmailSend, 'findOne', () => ({ sort: () => ({ select: () => ({ lean: async () => ({ sentAt: since }) }) }) }));
+    mock.method(EmailSend, 'distinct', async () => ['c1', 'c2', 'c3', 'c4', 'c5']);
+    const eventDistinct = mock.method(EmailEvent, 'distinct', async (field, query) =>
+      (query.campaign ? ['c1'] : ['c3', 'c1']));
+    const orderDistinct = mock.method(Order, 'distinct', async () => ['c2', 'c3']);
+
+    const result = await resendService.buildAudience({ _id: 'camp_1', name: 'Spring' });
+
+    assert.deepEqual(result, {
+      customerIds: ['c4', 'c5'],
+      delivered: 5,
+      excluded: { engaged: 1, purchased: 2, unsubscribed: 0 }
+    });
+
+    // Opens de bots no cuentan como engagement
+    const engagedQuery = eventDistinct.mock.calls.find(call => call.arguments[1].campaign).arguments[1];
+    assert.ok(engagedQuery.classification);
+    assert.equal(orderDistinct.mock.calls[0].arguments[1].orderDate.$gte, since);
+  });
+});
+
+describe('resendService.getCombinedStats', () => {
+  afterEach(() => mock.restoreAll());
+
+  it('adds the resend on top of the original and rates against original delivered', async () => {
+    const parent = {
+      _id: 'parent',
+      resend: { enabled: true, subject: 'Again', childCampaign: 'child', status: 'sent' },
+      stats: { sent: 1000, delivered: 1000, opened: 200, clicked: 50, purchased: 5, totalRevenue: 100.1 }
+    };
+    mock.method(Campaign, 'findById', () => ({
+      lean: async () => ({ _id: 'child', status: 'sent', subject: 'Again', stats: { sent: 800, delivered: 800, opened: 80, clicked: 8, purchased: 2, totalRevenue: 40.2 } })
+    }));
+
+    const stats = await resendService.getCombinedStats(parent);
+
+    assert.equal(stats.childCampaignId, 'child');
+    assert.equal(stats.original.openRate, 20);
+    assert.equal(stats.resend.openRate, 10);
+    assert.equal(stats.combined.opened, 280);
+    assert.equal(stats.combined.revenue, 140.3);
+    assert.equal(stats.combined.openRate, 28);
+    assert.equal(stats.incremental.openRateLift, 8);
+  });
+});
@@ -0,0 +1,118 @@
+// backend/test/segmentationService.test.js
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const segmentationService = require('../src/services/segmentationService');
+
+const all = (...rules) => ({ match: 'all', rules });
+
+describe('segmentationService.compile', () => {
+  it('returns an empty filter for an empty tree', () => {
+    assert.deepEqual(segmentationService.compile({ match: 'all', rules: [] }), {});
+    assert.deepEqual(segmentationService.compile(null), {});
+  });
+
+  it('compiles a single rule without wrapping it', () => {
+    assert.deepEqual(
+      segmentationService.compile(all({ field: 'totalSpent', operator: 'greater_than_or_equals', value: '200' })),
+      { totalSpent: { $gte: 200 } }
+    );
+  });
+
+  it('compiles nested all/any groups to $and/$or', () => {
+    const query = segmentationService.compile(all(
+      { field: 'acceptsMarketing', operator: 'equals', value: 'true' },
+      {
+        match: 'any',
+        rules: [
+          { field: 'tags', operator: 'contains', value: 'vip' },
+          { field: 'totalSpent', operator: 'between', value: [100, 500] }
+        ]
+      }
+    ));
+
+    assert.deepEqual(query, {
+      $and: [
+        { acceptsMarketing: true },
+        {
+          $or: [
+            { tags: { $regex: '^vip$', $options: 'i' } },
+            { totalSpent: { $gte: 100, $lte: 500 } }
+          ]
+        }
+      ]
+    });
+  });
+
+  it('maps legacy operators on date fields', () => {
+    const query = segmentationService.compile(all({ field: 'createdAt', operator: 'greater_than', value: '2024-01-01' }));
+    assert.deepEqual(query, { createdAt: { $gt: new Date('2024-01-01') } });
+  });
+
+  it('escapes regex characters in text operators', () => {
+    const query = segmentationService.compile(all({ field: 'address.city', operator: 'contains', value: 'St. (Paul)' }));
+    assert.equal(query['address.city'].$regex, 'St\\. \\(Paul\\)');
+  });
+
+  it('treats a missing counter as 0 for equals 0', () => {
+    assert.deepEqual(
+      segmentationService.compile(all({ field: 'ordersCount', operator: 'equals', value: 0 })),
+      { ordersCount: { $in: [0, null] } }
+    );
+  });
+
+  it('rejects fields outside the allow-list', () => {
+    assert.throws(
+      () => segmentationService.compile(all({ field: 'password', operator: 'equals', value: 'x' })),
+      /campo no permitido/
+    );
+  });
+
+  it('rejects operators that do not fit the field type', () => {
+    assert.throws(
+      () => segmentationService.compile(all({ field: 'tags', operator: 'greater_than', value: 1 })),
+      /no válido para tags/
+    );
+  });
+
+  it('rejects values that are not numbers or dates instead of querying NaN', () => {
+    assert.throws(
+      () => segmentationService.compile(all({ field: 'totalSpent', operator: 'less_than', value: 'abc' })),
+      /valor numérico inválido/
+    );
+    assert.throws(
+      () => segmentationService.compile(all({ field: 'lastOrderDate', operator: 'before', value: 'yesterday-ish' })),
+      /fecha inválida/
+    );
+    assert.throws(
+      () => segmentationService.compile(all({ field: 'lastOrderDate', operator: 'in_last_days', value: 'x' })),
+      /valor numérico inválido/
+    );
+  });
+
+  it('limits nesting depth', () => {
+    let tree = all({ field: 'totalSpent', operator: 'greater_than', value: 1 });
+    for (let i = 0; i < 5; i++) tree = all(tree);
+
+    assert.match(segmentationService.validateRules(tree).join(), /niveles de anidación/);
+  });
+});
+
+describe('segmentationService.conditionsToTree', () => {
+  it('splits flat conditions into AND groups at each OR', () => {
+    const tree = segmentationService.conditionsToTree([
+      { field: 'totalSpent', operator: 'greater_than', value: 1 },
+      { field: 'ordersCount', operator: 'greater_than', value: 1, logicalOperator: 'AND' },
+      { field: 'tags', operator: 'contains', value: 'vip', logicalOperator: 'OR' }
+    ]);
+
+    assert.equal(tree.match, 'any');
+    assert.equal(tree.rules.length, 2);
+    assert.equal(tree.rules[0].rules.length, 2);
+    assert.equal(tree.rules[1].rules[0].field, 'tags');
+  });
+
+  it('returns null without conditions', () => {
+    assert.equal(segmentationService.conditionsToTree([]), null);
+  });
+});
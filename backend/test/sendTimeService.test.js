@@ -0,0 +1,54 @@
+// backend/test/sendTimeService.test.js
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const sendTimeService = require('../src/services/sendTimeService');
+
+const MINUTE = 60 * 1000;
+const HOUR = 60 * MINUTE;
+
+describe('sendTimeService.assignGroup', () => {
+  const emails = Array.from({ length: 5000 }, (_, i) => `customer${i}@example.com`);
+
+  it('is deterministic per campaign and email', () => {
+    emails.slice(0, 100).forEach(email => {
+      assert.equal(sendTimeService.assignGroup('c1', email, 10), sendTimeService.assignGroup('c1', email, 10));
+    });
+  });
+
+  it('keeps about controlPercentage in the control group', () => {
+    const control = emails.filter(e => sendTimeService.assignGroup('c1', e, 10) === 'control').length;
+    const share = control / emails.length;
+
+    assert.ok(share > 0.08 && share < 0.12, `share ${share}`);
+  });
+
+  it('sends everyone optimized with a 0% control group', () => {
+    assert.ok(emails.slice(0, 200).every(e => sendTimeService.assignGroup('c1', e, 0) === 'optimized'));
+  });
+});
+
+describe('sendTimeService.getDelayUntilHour', () => {
+  // 09:30 ET (EST, UTC-5)
+  const winter = new Date('2026-01-15T14:30:00Z');
+  // 10:30 ET (EDT, UTC-4)
+  const summer = new Date('2026-07-15T14:30:00Z');
+
+  it('returns 0 during the target hour', () => {
+    assert.equal(sendTimeService.getDelayUntilHour(9, winter), 0);
+    assert.equal(sendTimeService.getDelayUntilHour(10, summer), 0);
+  });
+
+  it('waits until the start of a later hour today', () => {
+    assert.equal(sendTimeService.getDelayUntilHour(10, winter), 30 * MINUTE);
+    assert.equal(sendTimeService.getDelayUntilHour(11, summer), 30 * MINUTE);
+  });
+
+  it('rolls over to tomorrow for an hour that already passed', () => {
+    assert.equal(sendTimeService.getDelayUntilHour(8, winter), 22 * HOUR + 30 * MINUTE);
+  });
+
+  it('handles midnight in Eastern time', () => {
+    assert.equal(sendTimeService.getDelayUntilHour(0, winter), 14 * HOUR + 30 * MINUTE);
+  });
+});
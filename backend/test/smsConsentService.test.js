@@ -0,0 +1,111 @@
+// backend/test/smsConsentService.test.js
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const smsConsentService = require('../src/services/smsConsentService');
+
+// Encadena eventos como lo hace record(): cada hash incluye el del anterior
+const buildChain = (events) => {
+  let prevHash = null;
+  return events.map((event, i) => {
+    const linked = { _id: `evt_${i}`, ...event, prevHash };
+    linked.hash = smsConsentService.computeHash(prevHash, linked);
+    prevHash = linked.hash;
+    return linked;
+  });
+};
+
+const sampleEvents = () => buildChain([
+  { phone: '+12015550123', type: 'opt_in', source: 'popup', occurredAt: new Date('2026-03-01T10:00:00Z'), ipAddress: '203.0.113.5' },
+  { phone: '+12015550123', type: 'confirmed', source: 'reply_confirm', occurredAt: new Date('2026-03-01T10:02:00Z'), keyword: 'Y' },
+  { phone: '+12015550123', type: 'opt_out', source: 'keyword', occurredAt: new Date('2026-04-10T18:00:00Z'), keyword: 'STOP' }
+]);
+
+describe('smsConsentService.computeHash', () => {
+  it('is deterministic and depends on the previous hash', () => {
+    const event = { phone: '+12015550123', type: 'opt_in', occurredAt: new Date('2026-03-01T10:00:00Z') };
+    const first = smsConsentService.computeHash(null, event);
+
+    assert.match(first, /^[0-9a-f]{64}$/);
+    assert.equal(smsConsentService.computeHash(null, { ...event }), first);
+    assert.notEqual(smsConsentService.computeHash('abc', event), first);
+  });
+
+  it('treats missing and null fields the same', () => {
+    const event = { phone: '+12015550123', type: 'opt_in' };
+    assert.equal(
+      smsConsentService.computeHash(null, event),
+      smsConsentService.computeHash(null, { ...event, keyword: null, userAgent: undefined })
+    );
+  });
+
+  it('ignores fields outside the hashed set', () => {
+    const event = { phone: '+12015550123', type: 'opt_in' };
+    assert.equal(
+      smsConsentService.computeHash(null, event),
+      smsConsentService.computeHash(null, { ...event, createdAt: new Date() })
+    );
+  });
+});
+
+describe('smsConsentService.verifyChain', () => {
+  it('accepts an intact chain regardless of input order', () => {
+    const events = sampleEvents();
+    assert.deepEqual(smsConsentService.verifyChain(events), { valid: true, events: 3 });
+    assert.deepEqual(smsConsentService.verifyChain([...events].reverse()), { valid: true, events: 3 });
+  });
+
+  it('accepts an empty history', () => {
+    assert.deepEqual(smsConsentService.verifyChain([]), { valid: true, events: 0 });
+  });
+
+  it('detects an edited event', () => {
+    const events = sampleEvents();
+    events[1].keyword = 'YES';
+
+    const result = smsConsentService.verifyChain(events);
+    assert.equal(result.valid, false);
+    assert.equal(result.reason, 'hash_mismatch');
+    assert.equal(result.brokenAt, 'evt_1');
+  });
+
+  it('detects a deleted event', () => {
+    const events = sampleEvents();
+    events.splice(1, 1);
+
+    const result = smsConsentService.verifyChain(events);
+    assert.equal(result.valid, false);
+    assert.equal(result.reason, 'chain_incomplete');
+  });
+
+  it('detects a re-hashed event that breaks the next link', () => {
+    const events = sampleEvents();
+    events[0].source = 'import';
+    events[0].hash = smsConsentService.computeHash(null, events[0]);
+
+    const result = smsConsentService.verifyChain(events);
+    assert.equal(result.valid, false);
+    assert.equal(result.reason, 'chain_incomplete');
+  });
+});
+
+describe('smsConsentService helpers', () => {
+  it('recognises confirmation replies', () => {
+    assert.equal(smsConsentService.isConfirmationReply(' Yes! '), true);
+    assert.equal(smsConsentService.isConfirmationReply('Sí.'), true);
+    assert.equal(smsConsentService.isConfirmationReply('yes please'), false);
+    assert.equal(smsConsentService.isConfirmationReply(null), false);
+  });
+
+  it('falls back to the server disclosure when the client sends none', () => {
+    assert.equal(smsConsentService.resolveDisclosure('   ').disclosureSource, 'server_default');
+    assert.deepEqual(smsConsentService.resolveDisclosure(' I agree '), { disclosureText: 'I agree', disclosureSource: 'client' });
+  });
+
+  it('escapes CSV values', () => {
+    const csv = smsConsentService.toCsv([{ type: 'opt_in', messageText: 'Hi, "friend"' }]);
+    const [header, row] = csv.split('\n');
+    assert.ok(header.startsWith('occurredAt,type,source'));
+    assert.ok(row.includes('"Hi, ""friend"""'));
+  });
+});
@@ -0,0 +1,109 @@
+// backend/test/smsCostService.test.js
+const { describe, it, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+
+const SmsMessage = require('../src/models/SmsMessage');
+const SmsCampaign = require('../src/models/SmsCampaign');
+const smsCostService = require('../src/services/smsCostService');
+
+describe('smsCostService.analyzeText', () => {
+  it('fits 160 GSM-7 characters in one segment and splits at 153 after that', () => {
+    assert.equal(smsCostService.analyzeText('a'.repeat(160)).segments, 1);
+    assert.equal(smsCostService.analyzeText('a'.repeat(161)).segments, 2);
+    assert.equal(smsCostService.analyzeText('a'.repeat(306)).segments, 2);
+    assert.equal(smsCostService.analyzeText('a'.repeat(307)).segments, 3);
+  });
+
+  it('counts extended GSM characters as two units', () => {
+    const result = smsCostService.analyzeText('a'.repeat(159) + '€');
+    assert.equal(result.encoding, 'GSM-7');
+    assert.equal(result.characters, 160);
+    assert.equal(result.units, 161);
+    assert.equal(result.segments, 2);
+  });
+
+  it('switches the whole message to UCS-2 for a single emoji', () => {
+    const result = smsCostService.analyzeText('Pickles are back! 🥒');
+    assert.equal(result.encoding, 'UCS-2');
+    assert.deepEqual(result.nonGsmChars, ['🥒']);
+  });
+
+  it('uses 70/67 UCS-2 limits counting UTF-16 units', () => {
+    // Emoji fuera del BMP = 2 unidades
+    assert.equal(smsCostService.analyzeText('a'.repeat(68) + '😀').segments, 1);
+    assert.equal(smsCostService.analyzeText('a'.repeat(69) + '😀').segments, 2);
+    assert.equal(smsCostService.analyzeText('é'.repeat(10) + 'ç'.repeat(124)).segments, 2);
+    assert.equal(smsCostService.analyzeText('ç'.repeat(135)).segments, 3);
+  });
+
+  it('returns zero segments for empty text', () => {
+    assert.equal(smsCostService.analyzeText('').segments, 0);
+    assert.equal(smsCostService.analyzeText(null).segments, 0);
+  });
+});
+
+describe('smsCostService.messageCost', () => {
+  it('multiplies the country rate plus carrier surcharge by segments', () => {
+    assert.equal(smsCostService.messageCost({ countryCode: 'US', carrier: 'AT&T Mobility', segments: 2 }), 0.012);
+    assert.equal(smsCostService.messageCost({ countryCode: 'us', segments: 1 }), 0.004);
+  });
+
+  it('charges MMS per message', () => {
+    assert.equal(smsCostService.messageCost({ countryCode: 'US', carrier: 'Cellco Partnership', segments: 4, mms: true }), 0.02);
+  });
+
+  it('falls back to the default rate for unknown countries', () => {
+    assert.equal(smsCostService.messageCost({ countryCode: 'MX', segments: 1 }), 0.05);
+  });
+});
+
+describe('smsCostService budget', () => {
+  afterEach(() => mock.restoreAll());
+
+  it('validates the cap', () => {
+    assert.equal(smsCostService.validateBudget(null), null);
+    assert.equal(smsCostService.validateBudget({ cap: null }), null);
+    assert.equal(smsCostService.validateBudget({ cap: 250 }), null);
+    assert.match(smsCostService.validateBudget({ cap: 0 }), /budget.cap/);
+    assert.match(smsCostService.validateBudget({ cap: '100' }), /budget.cap/);
+    assert.match(smsCostService.validateBudget({ cap: 100001 }), /budget.cap/);
+  });
+
+  it('only blocks the message that would go over the cap', () => {
+    const campaign = { budget: { cap: 10, committed: 9.99 } };
+    assert.equal(smsCostService.wouldExceedBudget(campaign, 0.01), false);
+    assert.equal(smsCostService.wouldExceedBudget(campaign, 0.02), true);
+    assert.equal(smsCostService.wouldExceedBudget({ budget: { cap: null, committed: 50 } }, 1), false);
+  });
+
+  it('adjusts committed by the difference between actual and estimated cost', () => {
+    assert.equal(smsCostService.committedAdjustment(0.0081, 0.012), -0.0039);
+    assert.equal(smsCostService.committedAdjustment(0.02, 0.015), 0.005);
+    assert.equal(smsCostService.committedAdjustment(0.004, undefined), 0.004);
+  });
+
+  it('applies the adjustment only for the first reported cost', async () => {
+    let stored = null;
+    mock.method(SmsMessage, 'findOneAndUpdate', (filter, update) => {
+      const previous = stored === null ? { campaign: 'camp_1', estimatedCost: 0.012 } : null;
+      if (previous) stored = update.$set.cost;
+      return { select: () => ({ lean: async () => previous }) };
+    });
+    const updateOne = mock.method(SmsCampaign, 'updateOne', async () => ({}));
+
+    assert.equal(await smsCostService.recordActualCost({ _id: 'msg_1' }, 0.0081), true);
+    assert.equal(await smsCostService.recordActualCost({ _id: 'msg_1' }, 0.0081), false);
+
+    assert.equal(updateOne.mock.callCount(), 1);
+    assert.deepEqual(updateOne.mock.calls[0].arguments, [
+      { _id: 'camp_1' },
+      { $inc: { 'budget.committed': -0.0039 } }
+    ]);
+  });
+
+  it('ignores webhooks without a cost', async () => {
+    const find = mock.method(SmsMessage, 'findOneAndUpdate');
+    assert.equal(await smsCostService.recordActualCost({ _id: 'msg_1' }, 0), false);
+    assert.equal(find.mock.callCount(), 0);
+  });
+});
@@ -0,0 +1,106 @@
+// backend/test/smsInboxService.test.js
+const { describe, it, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+
+const SmsThread = require('../src/models/SmsThread');
+const telnyxService = require('../src/services/telnyxService');
+const smsInboxService = require('../src/services/smsInboxService');
+
+const context = {
+  customer: { _id: 'cust_1', firstName: 'Ana' },
+  subscriber: { _id: 'sub_1', status: 'active', discountCode: 'JP15-ANA' },
+  latestOrder: {
+    orderNumber: '#1042',
+    fulfillmentStatus: 'fulfilled',
+    totalPrice: 38.5,
+    orderDate: new Date('2026-05-01T16:00:00Z'),
+    tracking: { number: '1Z999', company: 'UPS', url: 'https://ups.com/track?tracknum=1Z999' }
+  }
+};
+
+describe('smsInboxService.renderTemplate', () => {
+  it('fills merge fields from the customer, latest order and subscriber', () => {
+    const { text, missing } = smsInboxService.renderTemplate(
+      'Hi {firstName}! Order {orderNumber} ({orderTotal}, {orderDate}) ships via {trackingCompany}: {trackingUrl}. Code {discountCode}',
+      context
+    );
+
+    assert.equal(text, 'Hi Ana! Order #1042 ($38.50, May 1) ships via UPS: https://ups.com/track?tracknum=1Z999. Code JP15-ANA');
+    assert.deepEqual(missing, []);
+  });
+
+  it('reports missing fields and leaves unknown braces alone', () => {
+    const { text, missing } = smsInboxService.renderTemplate('Hi {firstName}, tracking {trackingNumber} {notAField}', {});
+
+    assert.equal(text, 'Hi there, tracking {notAField}');
+    assert.deepEqual(missing, ['trackingNumber']);
+  });
+});
+
+describe('smsInboxService.getTracking', () => {
+  it('uses the latest fulfillment that has tracking', () => {
+    const tracking = smsInboxService.getTracking({
+      shopifyData: {
+        fulfillments: [
+          { tracking_number: 'OLD', tracking_company: 'USPS' },
+          { tracking_numbers: ['1Z999'], tracking_company: 'UPS', shipment_status: 'in_transit' },
+          { status: 'cancelled' }
+        ]
+      }
+    });
+
+    assert.deepEqual(tracking, {
+      number: '1Z999',
+      company: 'UPS',
+      url: 'https://ups.com/track?tracknum=1Z999',
+      shipmentStatus: 'in_transit'
+    });
+    assert.equal(smsInboxService.getTracking({ shopifyData: { fulfillments: [] } }), null);
+  });
+});
+
+describe('smsInboxService.validateCannedResponse', () => {
+  it('requires name and body with known merge fields', () => {
+    assert.equal(smsInboxService.validateCannedResponse({ name: 'Shipping', body: 'Hi {firstName}' }), null);
+    assert.equal(smsInboxService.validateCannedResponse({ body: 'x' }), 'name es requerido');
+    assert.match(smsInboxService.validateCannedResponse({ name: 'x', body: 'Hi {first_name}' }), /first_name/);
+    assert.match(smsInboxService.validateCannedResponse({ name: 'x', body: 'a'.repeat(1601) }), /1600/);
+  });
+
+  it('only checks the fields sent on partial updates', () => {
+    assert.equal(smsInboxService.validateCannedResponse({ category: 'orders' }, true), null);
+    assert.equal(smsInboxService.validateCannedResponse({ name: ' ' }, true), 'name es requerido');
+  });
+});
+
+describe('smsInboxService.reply', () => {
+  afterEach(() => mock.restoreAll());
+
+  it('does not text numbers that replied STOP', async () => {
+    mock.method(smsInboxService, 'getContext', async () => ({ ...context, subscriber: { ...context.subscriber, status: 'unsubscribed' } }));
+    const send = mock.method(telnyxService, 'sendSms', async () => ({ success: true }));
+
+    const result = await smsInboxService.reply('+12015550123', { message: 'Hi {firstName}' });
+
+    assert.equal(result.success, false);
+    assert.equal(send.mock.callCount(), 0);
+  });
+
+  it('sends the rendered text, clears unread and assigns unowned threads to the agent', async () => {
+    mock.method(smsInboxService, 'getContext', async () => context);
+    const send = mock.method(telnyxService, 'sendSms', async () => ({ success: true, messageId: 'msg_1', status: 'queued' }));
+    const threadUpdate = mock.method(SmsThread, 'findOneAndUpdate', () => ({ lean: async () => ({ _id: 'thread_1', assignedTo: null }) }));
+    const assign = mock.method(SmsThread, 'updateOne', async () => ({}));
+
+    const result = await smsInboxService.reply('+12015550123', {
+      message: 'Hi {firstName}, your order {orderNumber} is {orderStatus}',
+      user: { _id: 'agent_1', email: 'agent@jerseypickles.com' }
+    });
+
+    assert.equal(result.text, 'Hi Ana, your order #1042 is fulfilled');
+    assert.equal(send.mock.calls[0].arguments[2].messageType, 'agent_reply');
+    assert.equal(send.mock.calls[0].arguments[2].metadata.agentId, 'agent_1');
+    assert.equal(threadUpdate.mock.calls[0].arguments[1].$set.unreadCount, 0);
+    assert.deepEqual(assign.mock.calls[0].arguments[0], { _id: 'thread_1', assignedTo: null });
+  });
+});
@@ -0,0 +1,175 @@
+// backend/test/smsKeywordService.test.js
+const { describe, it, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+
+const SmsKeyword = require('../src/models/SmsKeyword');
+const SmsKeywordHit = require('../src/models/SmsKeywordHit');
+const telnyxService = require('../src/services/telnyxService');
+const smsInboxService = require('../src/services/smsInboxService');
+const smsKeywordService = require('../src/services/smsKeywordService');
+
+const buildKeyword = (overrides = {}) => new SmsKeyword({
+  name: 'Pickles promo',
+  keyword: 'PICKLES',
+  status: 'active',
+  ...overrides
+});
+
+// Stub de persistencia: hit.save() y los $inc de stats
+const stubPersistence = () => {
+  mock.method(SmsKeywordHit.prototype, 'save', async function() { return this; });
+  return mock.method(SmsKeyword, 'updateOne', async () => ({}));
+};
+
+describe('smsKeywordService.match', () => {
+  afterEach(() => mock.restoreAll());
+
+  it('normalizes single words and looks up keyword or alias', async () => {
+    const findOne = mock.method(SmsKeyword, 'findOne', async (query) => query);
+
+    const query = await smsKeywordService.match('  pickles! ');
+
+    assert.deepEqual(query, { status: 'active', $or: [{ keyword: 'PICKLES' }, { aliases: 'PICKLES' }] });
+    assert.equal(findOne.mock.callCount(), 1);
+  });
+
+  it('ignores sentences and reserved compliance words', async () => {
+    const findOne = mock.method(SmsKeyword, 'findOne', async () => ({}));
+
+    assert.equal(await smsKeywordService.match('I want pickles'), null);
+    assert.equal(await smsKeywordService.match('Stop'), null);
+    assert.equal(await smsKeywordService.match('SI'), null);
+    assert.equal(findOne.mock.callCount(), 0);
+  });
+});
+
+describe('smsKeywordService.validate', () => {
+  it('accepts a valid keyword with actions', () => {
+    assert.equal(smsKeywordService.validate({
+      keyword: 'pickles',
+      aliases: ['pickle', 'brine'],
+      actions: [
+        { type: 'subscribe', config: { discountPercent: 20 } },
+        { type: 'reply', config: { message: 'Thanks for texting {keyword}, {firstName}!' } },
+        { type: 'start_flow', config: { flowId: '507f1f77bcf86cd799439011' } }
+      ]
+    }), null);
+  });
+
+  it('rejects bad words, reserved aliases and invalid actions', () => {
+    assert.match(smsKeywordService.validate({ keyword: 'two words' }), /una sola palabra/);
+    assert.match(smsKeywordService.validate({ keyword: 'PICKLES', aliases: ['help'] }), /HELP es reservado/);
+    assert.match(smsKeywordService.validate({ keyword: 'PICKLES', aliases: ['x'] }), /Alias inválido: x/);
+    assert.match(smsKeywordService.validate({ keyword: 'PICKLES', actions: [{ type: 'email' }] }), /tipo inválido/);
+    assert.match(
+      smsKeywordService.validate({ keyword: 'PICKLES', actions: [{ type: 'subscribe', config: { discountPercent: 80 } }] }),
+      /entre 0 y 50/
+    );
+    assert.match(
+      smsKeywordService.validate({ keyword: 'PICKLES', actions: [{ type: 'reply', config: { message: 'Hi {name}' } }] }),
+      /merge fields desconocidos: name/
+    );
+    assert.match(
+      smsKeywordService.validate({ keyword: 'PICKLES', activeRanges: [{ startsAt: '2026-07-02', endsAt: '2026-07-01' }] }),
+      /anterior a endsAt/
+    );
+  });
+
+  it('only checks the keyword on partial updates when it is sent', () => {
+    assert.equal(smsKeywordService.validate({ status: 'paused' }, true), null);
+    assert.match(smsKeywordService.validate({ keyword: 'a' }, true), /una sola palabra/);
+  });
+});
+
+describe('smsKeywordService.handle', () => {
+  afterEach(() => mock.restoreAll());
+
+  it('answers inactiveMessage outside the active ranges without running actions', async () => {
+    const updateOne = stubPersistence();
+    const send = mock.method(telnyxService, 'sendSms', async () => ({ success: true, messageId: 'msg_1' }));
+    mock.method(console, 'log', () => {});
+
+    const keyword = buildKeyword({
+      activeRanges: [{ startsAt: new Date('2020-01-01'), endsAt: new Date('2020-01-31') }],
+      inactiveMessage: 'This promo has ended',
+      actions: [{ type: 'enter_contest', config: {} }]
+    });
+
+    const hit = await smsKeywordService.handle(keyword, { phone: '+12015550123', text: 'PICKLES' });
+
+    assert.equal(hit.outsideWindow, true);
+    assert.equal(hit.contestEntry, false);
+    assert.equal(send.mock.calls[0].arguments[1], 'This promo has ended');
+    assert.deepEqual(updateOne.mock.calls[0].arguments[1].$inc, { 'stats.received': 1, 'stats.outsideWindow': 1 });
+  });
+
+  it('runs actions in order and counts completed and failed ones', async () => {
+    const updateOne = stubPersistence();
+    mock.method(SmsKeywordHit, 'exists', async () => null);
+    mock.method(smsInboxService, 'getContext', async () => ({}));
+    mock.method(telnyxService, 'sendSms', async () => ({ success: false, error: 'carrier rejected' }));
+    mock.method(console, 'log', () => {});
+
+    const keyword = buildKeyword({
+      actions: [
+        { type: 'reply', order: 2, config: { message: 'Good luck!' } },
+        { type: 'enter_contest', order: 1, config: { contestName: 'Summer' } }
+      ]
+    });
+
+    const hit = await smsKeywordService.handle(keyword, { phone: '+12015550123', text: 'pickles' });
+
+    assert.deepEqual(hit.actions.map(a => `${a.type}:${a.status}`), ['enter_contest:completed', 'reply:failed']);
+    assert.equal(hit.contestEntry, true);
+    assert.equal(hit.contestName, 'Summer');
+    assert.deepEqual(updateOne.mock.calls[0].arguments[1].$inc, {
+      'stats.received': 1,
+      'stats.contestEntries': 1,
+      'stats.failedActions': 1
+    });
+  });
+
+  it('skips repeated contest entries unless multiple entries are allowed', async () => {
+    mock.method(SmsKeywordHit, 'exists', async () => ({ _id: 'hit_0' }));
+    const keyword = buildKeyword();
+    const ctx = { phone: '+12015550123', hit: new SmsKeywordHit({ keyword: keyword._id, phone: '+12015550123' }) };
+
+    assert.deepEqual(
+      await smsKeywordService.contestAction({}, keyword, ctx),
+      { status: 'skipped', reason: 'already_entered' }
+    );
+    assert.equal(
+      (await smsKeywordService.contestAction({ allowMultipleEntries: true }, keyword, ctx)).status,
+      'completed'
+    );
+  });
+
+  it('uses fallbackMessage when the reply is missing merge data', async () => {
+    mock.method(smsInboxService, 'getContext', async () => ({ customer: { firstName: 'Ana' } }));
+    const send = mock.method(telnyxService, 'sendSms', async () => ({ success: true, messageId: 'msg_2' }));
+
+    const outcome = await smsKeywordService.replyAction(
+      { message: 'Order {orderNumber} is {orderStatus}', fallbackMessage: 'Hi {firstName}, no orders found for {keyword}' },
+      buildKeyword({ keyword: 'ORDER' }),
+      { phone: '+12015550123', subscriber: null }
+    );
+
+    assert.equal(send.mock.calls[0].arguments[1], 'Hi Ana, no orders found for ORDER');
+    assert.equal(outcome.stat, 'repliesSent');
+  });
+});
+
+describe('smsKeywordService.findConflict', () => {
+  afterEach(() => mock.restoreAll());
+
+  it('names the word already used by another keyword', async () => {
+    const findOne = mock.method(SmsKeyword, 'findOne', () => ({
+      select: () => ({ lean: async () => ({ keyword: 'DILL', aliases: ['BRINE'] }) })
+    }));
+
+    const conflict = await smsKeywordService.findConflict(['PICKLES', 'BRINE'], 'kw_1');
+
+    assert.equal(conflict, 'BRINE ya está en uso por el keyword DILL');
+    assert.deepEqual(findOne.mock.calls[0].arguments[0]._id, { $ne: 'kw_1' });
+  });
+});
@@ -0,0 +1,83 @@
+// backend/test/smsMediaService.test.js
+const { describe, it, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+
+const smsMediaService = require('../src/services/smsMediaService');
+
+const PHOTO = 'https://res.cloudinary.com/jp/image/upload/pickles.jpg';
+
+describe('smsMediaService.canReceiveMms', () => {
+  afterEach(() => {
+    delete process.env.SMS_MMS_UNSUPPORTED_CARRIERS;
+  });
+
+  it('allows US mobile numbers', () => {
+    assert.deepEqual(smsMediaService.canReceiveMms({ countryCode: 'US', carrier: 'Verizon Wireless', lineType: 'mobile' }), { mms: true, reason: null });
+    assert.deepEqual(smsMediaService.canReceiveMms(), { mms: true, reason: null });
+  });
+
+  it('falls back for Canada, landlines and configured carriers', () => {
+    process.env.SMS_MMS_UNSUPPORTED_CARRIERS = ' Tiny Mobile , ';
+
+    assert.equal(smsMediaService.canReceiveMms({ location: { countryCode: 'ca' } }).reason, 'country');
+    assert.equal(smsMediaService.canReceiveMms({ countryCode: 'US', lineType: 'landline' }).reason, 'line_type');
+    assert.equal(smsMediaService.canReceiveMms({ carrier: 'TINY MOBILE LLC' }).reason, 'carrier');
+    assert.equal(smsMediaService.canReceiveMms({ carrier: 'T-Mobile USA' }).mms, true);
+  });
+});
+
+describe('smsMediaService.prepare', () => {
+  it('sends MMS to capable recipients', () => {
+    assert.deepEqual(
+      smsMediaService.prepare({ countryCode: 'US' }, 'New batch!', [{ url: PHOTO }]),
+      { text: 'New batch!', mediaUrls: [PHOTO], mms: true, fallbackReason: null }
+    );
+  });
+
+  it('appends the first image link when MMS is not possible', () => {
+    assert.deepEqual(
+      smsMediaService.prepare({ countryCode: 'CA' }, 'New batch!', [PHOTO, 'https://example.com/second.png']),
+      { text: `New batch!\nPhoto: ${PHOTO}`, mediaUrls: [], mms: false, fallbackReason: 'country' }
+    );
+  });
+
+  it('leaves plain SMS untouched', () => {
+    assert.deepEqual(
+      smsMediaService.prepare({ countryCode: 'CA' }, 'Hi', []),
+      { text: 'Hi', mediaUrls: [], mms: false, fallbackReason: null }
+    );
+    assert.equal(smsMediaService.fallbackText('Hi', [{}]), 'Hi');
+  });
+});
+
+describe('smsMediaService.validateMedia', () => {
+  afterEach(() => mock.restoreAll());
+
+  it('returns the checked type and size of each item', async () => {
+    mock.method(smsMediaService, 'inspect', async () => ({ contentType: 'image/jpeg', bytes: 200 * 1024 }));
+
+    const { error, media } = await smsMediaService.validateMedia([PHOTO, { url: PHOTO, cloudinaryId: 'jp/pickles' }]);
+
+    assert.equal(error, null);
+    assert.deepEqual(media.map(m => [m.source, m.bytes]), [['url', 204800], ['upload', 204800]]);
+  });
+
+  it('rejects non-https URLs, unsupported types and oversized messages', async () => {
+    const inspect = mock.method(smsMediaService, 'inspect', async () => ({ contentType: 'image/webp', bytes: 1000 }));
+
+    assert.match((await smsMediaService.validateMedia(['http://example.com/a.jpg'])).error, /https/);
+    assert.match((await smsMediaService.validateMedia([PHOTO, PHOTO, PHOTO, PHOTO])).error, /Maximum 3/);
+    assert.match((await smsMediaService.validateMedia([PHOTO])).error, /Unsupported media type image\/webp/);
+
+    inspect.mock.mockImplementation(async () => ({ contentType: 'image/png', bytes: 600 * 1024 }));
+    assert.match((await smsMediaService.validateMedia([PHOTO, PHOTO])).error, /Media too large: 1200KB/);
+
+    inspect.mock.mockImplementation(async () => { throw new Error('timeout of 10000ms exceeded'); });
+    assert.match((await smsMediaService.validateMedia([PHOTO])).error, /Media not reachable/);
+  });
+
+  it('treats a missing list as no media', async () => {
+    assert.deepEqual(await smsMediaService.validateMedia(undefined), { error: null, media: [] });
+    assert.equal((await smsMediaService.validateMedia('x')).error, 'media must be an array');
+  });
+});
@@ -0,0 +1,79 @@
+// backend/test/smsQuietHoursService.test.js
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const smsQuietHoursService = require('../src/services/smsQuietHoursService');
+
+// 22:30 ET / 21:30 CT / 19:30 PT
+const now = new Date('2026-01-15T03:30:00Z');
+
+describe('smsQuietHoursService.isQuietHour', () => {
+  it('handles windows that cross midnight', () => {
+    assert.equal(smsQuietHoursService.isQuietHour(21, 21, 8), true);
+    assert.equal(smsQuietHoursService.isQuietHour(3, 21, 8), true);
+    assert.equal(smsQuietHoursService.isQuietHour(8, 21, 8), false);
+    assert.equal(smsQuietHoursService.isQuietHour(20, 21, 8), false);
+  });
+
+  it('handles same-day windows', () => {
+    assert.equal(smsQuietHoursService.isQuietHour(13, 12, 14), true);
+    assert.equal(smsQuietHoursService.isQuietHour(14, 12, 14), false);
+  });
+
+  it('treats an empty window as never quiet', () => {
+    assert.equal(smsQuietHoursService.isQuietHour(5, 9, 9), false);
+  });
+});
+
+describe('smsQuietHoursService.getScheduledTime', () => {
+  const campaign = { delivery: { mode: 'quiet_hours' } };
+
+  it('sends right away inside the allowed window', () => {
+    assert.equal(smsQuietHoursService.getScheduledTime(campaign, 'America/Los_Angeles', now), null);
+  });
+
+  it('defers to the start of quietHoursEnd in the subscriber timezone', () => {
+    assert.equal(
+      smsQuietHoursService.getScheduledTime(campaign, 'America/New_York', now).toISOString(),
+      '2026-01-15T13:00:00.000Z'
+    );
+    assert.equal(
+      smsQuietHoursService.getScheduledTime(campaign, 'America/Chicago', now).toISOString(),
+      '2026-01-15T14:00:00.000Z'
+    );
+  });
+
+  it('falls back to Eastern time for unknown timezones', () => {
+    assert.equal(
+      smsQuietHoursService.getScheduledTime(campaign, 'Mars/Olympus_Mons', now).toISOString(),
+      '2026-01-15T13:00:00.000Z'
+    );
+  });
+
+  it('ignores quiet hours in immediate mode', () => {
+    assert.equal(smsQuietHoursService.getScheduledTime({ delivery: { mode: 'immediate' } }, 'America/New_York', now), null);
+  });
+});
+
+describe('smsQuietHoursService throughput', () => {
+  it('spaces sends to respect maxPerSecond', () => {
+    assert.equal(smsQuietHoursService.getSendInterval({ delivery: { maxPerSecond: 4 } }), 250);
+    assert.equal(smsQuietHoursService.getSendInterval({ delivery: { maxPerSecond: 3 } }), 334);
+  });
+
+  it('caps maxPerSecond at the carrier limit', () => {
+    assert.equal(smsQuietHoursService.getDeliveryConfig({ delivery: { maxPerSecond: 500 } }).maxPerSecond, 50);
+  });
+});
+
+describe('smsQuietHoursService.validateDeliveryConfig', () => {
+  it('accepts a valid config', () => {
+    assert.equal(smsQuietHoursService.validateDeliveryConfig({ mode: 'quiet_hours', quietHoursStart: 20, quietHoursEnd: 9, maxPerSecond: 5 }), null);
+  });
+
+  it('rejects invalid modes, hours and rates', () => {
+    assert.match(smsQuietHoursService.validateDeliveryConfig({ mode: 'later' }), /delivery.mode/);
+    assert.match(smsQuietHoursService.validateDeliveryConfig({ quietHoursEnd: 24 }), /quietHoursEnd/);
+    assert.match(smsQuietHoursService.validateDeliveryConfig({ maxPerSecond: 0 }), /maxPerSecond/);
+  });
+});
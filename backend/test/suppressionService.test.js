@@ -0,0 +1,114 @@
+// backend/test/suppressionService.test.js
+const { describe, it, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+
+const Customer = require('../src/models/Customer');
+const Suppression = require('../src/models/Suppression');
+const suppressionService = require('../src/services/suppressionService');
+
+const queryResult = (docs) => ({ select: () => ({ lean: async () => docs }) });
+
+describe('suppressionService.parseTarget', () => {
+  it('parses emails and domains from strings', () => {
+    assert.deepEqual(suppressionService.parseTarget(' Someone@Test.com '), { type: 'email', value: 'someone@test.com' });
+    assert.deepEqual(suppressionService.parseTarget('@Competitor.com'), { type: 'domain', value: 'competitor.com' });
+    assert.deepEqual(suppressionService.parseTarget('competitor.com'), { type: 'domain', value: 'competitor.com' });
+  });
+
+  it('parses objects', () => {
+    assert.deepEqual(suppressionService.parseTarget({ domain: '@mailinator.com' }), { type: 'domain', value: 'mailinator.com' });
+    assert.deepEqual(suppressionService.parseTarget({ email: 'A@B.co' }), { type: 'email', value: 'a@b.co' });
+  });
+
+  it('rejects invalid targets', () => {
+    assert.equal(suppressionService.parseTarget('not an email@'), null);
+    assert.equal(suppressionService.parseTarget({ domain: 'localhost' }), null);
+    assert.equal(suppressionService.parseTarget({}), null);
+    assert.equal(suppressionService.parseTarget(null), null);
+  });
+});
+
+describe('suppressionService.findSuppressed', () => {
+  afterEach(() => mock.restoreAll());
+
+  it('matches exact emails, whole domains and legacy customer status', async () => {
+    const find = mock.method(Suppression, 'find', () => queryResult([
+      { type: 'email', value: 'bounced@test.com', reason: 'hard_bounce', source: 'resend_webhook' },
+      { type: 'domain', value: 'competitor.com', reason: 'manual', source: 'admin' }
+    ]));
+    mock.method(Customer, 'find', () => queryResult([
+      { email: 'Legacy@Test.com', emailStatus: 'unsubscribed' }
+    ]));
+
+    const result = await suppressionService.findSuppressed([
+      'bounced@test.com', 'anyone@competitor.com', 'legacy@test.com', 'fine@test.com'
+    ]);
+
+    assert.deepEqual([...result.keys()], ['bounced@test.com', 'anyone@competitor.com', 'legacy@test.com']);
+    assert.equal(result.get('anyone@competitor.com').type, 'domain');
+    assert.deepEqual(
+      { reason: result.get('legacy@test.com').reason, legacy: result.get('legacy@test.com').legacy },
+      { reason: 'unsubscribe', legacy: true }
+    );
+
+    const [{ $or: targets }] = find.mock.calls[0].arguments[0].$and;
+    assert.deepEqual(targets[1], { type: 'domain', value: { $in: ['test.com', 'competitor.com'] } });
+  });
+
+  it('maps legacy status to a suppression reason', () => {
+    assert.equal(suppressionService.legacyReason({ emailStatus: 'complained' }), 'complaint');
+    assert.equal(suppressionService.legacyReason({ emailStatus: 'bounced', bounceInfo: { bounceType: 'soft' } }), 'soft_bounce');
+    assert.equal(suppressionService.legacyReason({ emailStatus: 'bounced' }), 'hard_bounce');
+  });
+});
+
+describe('suppressionService.add', () => {
+  afterEach(() => mock.restoreAll());
+
+  it('does not downgrade a more severe reason', async () => {
+    const existing = { reason: 'complaint', save: mock.fn() };
+    mock.method(Suppression, 'findOne', async () => existing);
+    const create = mock.method(Suppression, 'create', async () => ({}));
+
+    const result = await suppressionService.add({ email: 'someone@test.com', reason: 'soft_bounce', source: 'resend_webhook' });
+
+    assert.equal(result, existing);
+    assert.equal(existing.save.mock.callCount(), 0);
+    assert.equal(create.mock.callCount(), 0);
+  });
+
+  it('expires soft bounces after a week', async () => {
+    mock.method(Suppression, 'findOne', async () => null);
+    const create = mock.method(Suppression, 'create', async (doc) => doc);
+
+    const before = Date.now();
+    const doc = await suppressionService.add({ email: 'someone@test.com', reason: 'soft_bounce', source: 'resend_webhook', customer: 'not-an-id' });
+    const days = (doc.expiresAt.getTime() - before) / (24 * 60 * 60 * 1000);
+
+    assert.equal(create.mock.callCount(), 1);
+    assert.ok(days > 6.99 && days < 7.01);
+    assert.equal(doc.customer, undefined);
+  });
+});
+
+describe('suppressionService.importCsv', () => {
+  afterEach(() => mock.restoreAll());
+
+  it('upserts valid rows without overwriting and counts invalid ones', async () => {
+    const bulkWrite = mock.method(Suppression, 'bulkWrite', async (ops) => ({ upsertedCount: ops.length - 1 }));
+
+    const stats = await suppressionService.importCsv(
+      'Email,Domain,Reason\nA@Test.com,,complaint\n,spam.com,\nnope,,\nb@test.com,,weird\n'
+    );
+
+    assert.deepEqual(stats, { total: 4, added: 2, existing: 1, invalid: 1 });
+
+    const ops = bulkWrite.mock.calls[0].arguments[0];
+    assert.deepEqual(ops.map(op => op.updateOne.filter), [
+      { type: 'email', value: 'a@test.com' },
+      { type: 'domain', value: 'spam.com' },
+      { type: 'email', value: 'b@test.com' }
+    ]);
+    assert.deepEqual(ops.map(op => op.updateOne.update.$setOnInsert.reason), ['complaint', 'import', 'import']);
+  });
+});
@@ -0,0 +1,111 @@
+// backend/test/templateEngine.test.js
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { render, analyze, TemplateSyntaxError } = require('../src/utils/templateEngine');
+
+const customer = {
+  firstName: 'Ana',
+  tier: 'vip',
+  address: { province: 'NJ' },
+  lastOrder: {
+    total: '42.5',
+    items: [{ title: 'Garlic Dill' }, { title: 'Hot Mess' }, { title: 'Bread & Butter' }, { title: 'Sour' }]
+  }
+};
+
+describe('templateEngine.render', () => {
+  it('escapes output unless raw is used', () => {
+    assert.equal(render('{{ name }}', { name: '<b>Tom & Jerry</b>' }), '&lt;b&gt;Tom &amp; Jerry&lt;/b&gt;');
+    assert.equal(render('{{ html | raw }}', { html: '<b>hi</b>' }), '<b>hi</b>');
+    assert.equal(render('{{ name }}', { name: 'A & B' }, { autoescape: false }), 'A & B');
+  });
+
+  it('chains filters and falls back on blank values', () => {
+    assert.equal(render('Hi {{ firstName | default: "friend" | upcase }}!', {}), 'Hi FRIEND!');
+    assert.equal(render('{{ lastOrder.total | money }}', customer), '$42.50');
+    assert.equal(render('{{ note | truncate: 8 }}', { note: 'crunchy pickles' }), 'crunc...');
+  });
+
+  it('renders missing paths as empty', () => {
+    assert.equal(render('[{{ address.city.name }}]', customer), '[]');
+  });
+
+  it('evaluates if / elsif / else with and, or and not', () => {
+    const source = '{% if tier == "vip" and address.province == "NJ" %}local vip' +
+      '{% elsif tier == "vip" %}vip{% else %}regular{% endif %}';
+
+    assert.equal(render(source, customer), 'local vip');
+    assert.equal(render(source, { ...customer, address: { province: 'NY' } }), 'vip');
+    assert.equal(render(source, {}), 'regular');
+    assert.equal(render('{% unless optedOut %}yes{% endunless %}', { optedOut: false }), 'yes');
+    assert.equal(render('{% if not a or b %}x{% endif %}', { a: true, b: false }), '');
+  });
+
+  it('compares numbers and checks contains', () => {
+    assert.equal(render('{% if count >= 3 %}many{% endif %}', { count: 3 }), 'many');
+    assert.equal(render('{% if tags contains "spicy" %}🌶{% endif %}', { tags: ['sour', 'spicy'] }), '🌶');
+  });
+
+  it('loops with limit, forloop and an else branch', () => {
+    const source = '{% for item in lastOrder.items limit: 2 %}{{ forloop.index }}.{{ item.title }}' +
+      '{% unless forloop.last %}, {% endunless %}{% else %}none{% endfor %}';
+
+    assert.equal(render(source, customer), '1.Garlic Dill, 2.Hot Mess');
+    assert.equal(render(source, { lastOrder: { items: [] } }), 'none');
+  });
+
+  it('includes partials with the same data', () => {
+    const partials = { 'footer-nj': 'See you in {{ address.province }}' };
+    assert.equal(render('Bye. {% include "footer-nj" %}', customer, { partials }), 'Bye. See you in NJ');
+  });
+
+  it('stops recursive includes', () => {
+    const partials = { loop: 'x{% include "loop" %}' };
+    assert.equal(render('{% include "loop" %}', {}, { partials }), 'xxxxx');
+  });
+
+  it('leaves per-recipient placeholders for the send step', () => {
+    assert.equal(
+      render('{{unsubscribe_link}} {{coupon}} {{recommendations:4}}', {}),
+      '{{unsubscribe_link}} {{coupon}} {{recommendations:4}}'
+    );
+  });
+
+  it('throws TemplateSyntaxError with the line number', () => {
+    assert.throws(
+      () => render('ok\n{% if a %}\nnever closed'),
+      (error) => error instanceof TemplateSyntaxError && error.line === 2
+    );
+    assert.throws(() => render('{% endfor %}'), TemplateSyntaxError);
+    assert.throws(() => render('{% cycle a %}'), /Unknown tag/);
+  });
+});
+
+describe('templateEngine.analyze', () => {
+  it('lists variables, loop item fields and partials', () => {
+    const result = analyze(
+      '{{ firstName | default: fallbackName }}' +
+      '{% for item in lastOrder.items %}{{ item.title }}{{ forloop.index }}{% endfor %}' +
+      '{% include "footer" %}',
+      { partials: { footer: '{{ address.province }}' } }
+    );
+
+    assert.deepEqual(result.errors, []);
+    assert.deepEqual(result.variables.sort(), [
+      'address.province', 'fallbackName', 'firstName', 'lastOrder.items', 'lastOrder.items[].title'
+    ]);
+    assert.deepEqual(result.partials, ['footer']);
+  });
+
+  it('reports syntax errors instead of throwing', () => {
+    const result = analyze('{% for x %}');
+    assert.equal(result.errors.length, 1);
+    assert.match(result.errors[0], /Invalid for loop/);
+  });
+
+  it('reports broken partials', () => {
+    const result = analyze('{% include "bad" %}', { partials: { bad: '{% if %}' } });
+    assert.match(result.errors[0], /^Partial "bad"/);
+  });
+});
@@ -0,0 +1,239 @@
+// backend/test/validateWebhook.test.js
+const { describe, it, before, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+
+const WebhookLog = require('../src/models/WebhookLog');
+const WebhookReceipt = require('../src/models/WebhookReceipt');
+const {
+  validateResendWebhook,
+  validateTelnyxWebhook,
+  checkWebhookSecrets
+} = require('../src/middleware/validateWebhook');
+
+const SVIX_KEY = crypto.randomBytes(24);
+const SVIX_SECRET = `whsec_${SVIX_KEY.toString('base64')}`;
+
+const { publicKey, privateKey } = crypto.generateKeyPairSync('ed25519');
+// Telnyx entrega la clave cruda: quitar el prefijo SPKI de 12 bytes
+const TELNYX_PUBLIC_KEY = publicKey.export({ format: 'der', type: 'spki' }).subarray(12).toString('base64');
+
+const nowSeconds = () => String(Math.floor(Date.now() / 1000));
+
+const fakeRes = () => ({
+  statusCode: 200,
+  body: null,
+  status(code) { this.statusCode = code; return this; },
+  json(body) { this.body = body; return this; }
+});
+
+// Ejecuta el middleware y devuelve { res, nextCalled, req }
+const run = async (middleware, req) => {
+  const res = fakeRes();
+  let nextCalled = false;
+  await middleware(req, res, () => { nextCalled = true; });
+  return { req, res, nextCalled };
+};
+
+const resendRequest = ({ body, id = 'msg_1', timestamp = nowSeconds(), key = SVIX_KEY, signature } = {}) => {
+  const rawBody = Buffer.from(JSON.stringify(body || { type: 'email.delivered' }));
+  const sig = signature || crypto
+    .createHmac('sha256', key)
+    .update(Buffer.concat([Buffer.from(`${id}.${timestamp}.`), rawBody]))
+    .digest('base64');
+
+  return {
+    body: JSON.parse(rawBody),
+    rawBody,
+    headers: { 'svix-id': id, 'svix-timestamp': timestamp, 'svix-signature': `v1,${sig}` }
+  };
+};
+
+const telnyxRequest = ({ timestamp = nowSeconds(), signWith = privateKey } = {}) => {
+  const rawBody = Buffer.from(JSON.stringify({ data: { id: 'evt_1', event_type: 'message.finalized' } }));
+  const signature = crypto.sign(null, Buffer.concat([Buffer.from(`${timestamp}|`), rawBody]), signWith);
+
+  return {
+    body: JSON.parse(rawBody),
+    rawBody,
+    headers: { 'telnyx-timestamp': timestamp, 'telnyx-signature-ed25519': signature.toString('base64') }
+  };
+};
+
+describe('validateWebhook signed providers', () => {
+  let processed;
+
+  before(() => {
+    process.env.RESEND_WEBHOOK_SECRET = SVIX_SECRET;
+    process.env.TELNYX_PUBLIC_KEY = TELNYX_PUBLIC_KEY;
+  });
+
+  beforeEach(() => {
+    processed = false;
+    mock.method(WebhookReceipt, 'exists', async () => (processed ? { _id: 'x' } : null));
+    mock.method(WebhookLog, 'logRejected', () => {});
+  });
+
+  afterEach(() => mock.restoreAll());
+
+  describe('validateResendWebhook (Svix)', () => {
+    it('accepts a valid signature', async () => {
+      const { req, res, nextCalled } = await run(validateResendWebhook, resendRequest());
+      assert.equal(nextCalled, true);
+      assert.equal(res.body, null);
+      assert.equal(req.webhookVerification.eventId, 'msg_1');
+    });
+
+    it('accepts any v1 signature in a space separated list', async () => {
+      const valid = resendRequest();
+      valid.headers['svix-signature'] = `v1,${Buffer.alloc(32).toString('base64')} ${valid.headers['svix-signature']}`;
+      const { nextCalled } = await run(validateResendWebhook, valid);
+      assert.equal(nextCalled, true);
+    });
+
+    it('accepts the previous secret during rotation', async () => {
+      const previous = crypto.randomBytes(24);
+      process.env.RESEND_WEBHOOK_SECRET_PREVIOUS = `whsec_${previous.toString('base64')}`;
+      try {
+        const { nextCalled } = await run(validateResendWebhook, resendRequest({ key: previous }));
+        assert.equal(nextCalled, true);
+      } finally {
+        delete process.env.RESEND_WEBHOOK_SECRET_PREVIOUS;
+      }
+    });
+
+    it('rejects a signature made with another secret', async () => {
+      const { res, nextCalled } = await run(validateResendWebhook, resendRequest({ key: crypto.randomBytes(24) }));
+      assert.equal(nextCalled, false);
+      assert.equal(res.statusCode, 401);
+      assert.equal(res.body.message, 'Invalid signature');
+    });
+
+    it('rejects a tampered body', async () => {
+      const req = resendRequest();
+      req.rawBody = Buffer.from(JSON.stringify({ type: 'email.bounced' }));
+      const { res } = await run(validateResendWebhook, req);
+      assert.equal(res.statusCode, 401);
+    });
+
+    it('rejects stale timestamps', async () => {
+      const stale = String(Math.floor(Date.now() / 1000) - 600);
+      const { res } = await run(validateResendWebhook, resendRequest({ timestamp: stale }));
+      assert.equal(res.statusCode, 401);
+      assert.equal(res.body.message, 'Timestamp outside tolerance');
+    });
+
+    it('rejects missing headers', async () => {
+      const req = resendRequest();
+      delete req.headers['svix-signature'];
+      const { res } = await run(validateResendWebhook, req);
+      assert.equal(res.statusCode, 401);
+    });
+
+    it('answers 200 without calling the handler on replays', async () => {
+      processed = true;
+      const { res, nextCalled } = await run(validateResendWebhook, resendRequest());
+      assert.equal(nextCalled, false);
+      assert.deepEqual(res.body, { received: true, duplicate: true });
+    });
+
+    it('answers 500 when no secret is configured', async () => {
+      delete process.env.RESEND_WEBHOOK_SECRET;
+      try {
+        const { res } = await run(validateResendWebhook, resendRequest());
+        assert.equal(res.statusCode, 500);
+      } finally {
+        process.env.RESEND_WEBHOOK_SECRET = SVIX_SECRET;
+      }
+    });
+  });
+
+  describe('validateTelnyxWebhook (Ed25519)', () => {
+    it('accepts a valid signature with a raw base64 public key', async () => {
+      const { req, nextCalled } = await run(validateTelnyxWebhook, telnyxRequest());
+      assert.equal(nextCalled, true);
+      assert.equal(req.webhookVerification.eventId, 'evt_1');
+    });
+
+    it('accepts a PEM public key', async () => {
+      process.env.TELNYX_PUBLIC_KEY = publicKey.export({ format: 'pem', type: 'spki' });
+      try {
+        const { nextCalled } = await run(validateTelnyxWebhook, telnyxRequest());
+        assert.equal(nextCalled, true);
+      } finally {
+        process.env.TELNYX_PUBLIC_KEY = TELNYX_PUBLIC_KEY;
+      }
+    });
+
+    it('rejects a signature from another key', async () => {
+      const other = crypto.generateKeyPairSync('ed25519').privateKey;
+      const { res, nextCalled } = await run(validateTelnyxWebhook, telnyxRequest({ signWith: other }));
+      assert.equal(nextCalled, false);
+      assert.equal(res.statusCode, 401);
+    });
+
+    it('rejects a signature replayed with a new timestamp', async () => {
+      const req = telnyxRequest({ timestamp: String(Math.floor(Date.now() / 1000) - 10) });
+      req.headers['telnyx-timestamp'] = nowSeconds();
+      const { res } = await run(validateTelnyxWebhook, req);
+      assert.equal(res.statusCode, 401);
+    });
+
+    it('answers 500 when no public key is configured', async () => {
+      delete process.env.TELNYX_PUBLIC_KEY;
+      try {
+        const { res, nextCalled } = await run(validateTelnyxWebhook, telnyxRequest());
+        assert.equal(nextCalled, false);
+        assert.equal(res.statusCode, 500);
+      } finally {
+        process.env.TELNYX_PUBLIC_KEY = TELNYX_PUBLIC_KEY;
+      }
+    });
+  });
+});
+
+describe('checkWebhookSecrets', () => {
+  const saved = {};
+  const KEYS = ['NODE_ENV', 'SMS_ENABLED', 'RESEND_WEBHOOK_SECRET', 'TELNYX_PUBLIC_KEY'];
+
+  beforeEach(() => {
+    KEYS.forEach(key => { saved[key] = process.env[key]; });
+    delete process.env.RESEND_WEBHOOK_SECRET;
+    delete process.env.TELNYX_PUBLIC_KEY;
+    delete process.env.SMS_ENABLED;
+  });
+
+  afterEach(() => {
+    KEYS.forEach(key => {
+      if (saved[key] === undefined) delete process.env[key];
+      else process.env[key] = saved[key];
+    });
+    mock.restoreAll();
+  });
+
+  it('refuses to start in production without secrets', () => {
+    process.env.NODE_ENV = 'production';
+    process.env.SMS_ENABLED = 'true';
+    assert.throws(() => checkWebhookSecrets(), /RESEND_WEBHOOK_SECRET, TELNYX_PUBLIC_KEY/);
+  });
+
+  it('only warns about the Telnyx key in production while SMS is disabled', () => {
+    process.env.NODE_ENV = 'production';
+    process.env.RESEND_WEBHOOK_SECRET = SVIX_SECRET;
+    const warn = mock.method(console, 'warn', () => {});
+
+    assert.doesNotThrow(() => checkWebhookSecrets());
+    assert.match(warn.mock.calls[0].arguments[0], /TELNYX_PUBLIC_KEY/);
+
+    delete process.env.RESEND_WEBHOOK_SECRET;
+    assert.throws(() => checkWebhookSecrets(), /secret\(s\) not configured: RESEND_WEBHOOK_SECRET$/);
+  });
+
+  it('only warns outside production', () => {
+    process.env.NODE_ENV = 'test';
+    process.env.SMS_ENABLED = 'true';
+    const warn = mock.method(console, 'warn', () => {});
+    checkWebhookSecrets();
+    assert.equal(warn.mock.callCount(), 1);
+  });
+});